@@ -438,7 +438,9 @@ Try "help" to see what I can do! 💬`;
      * @param {Object} context - Optional context (userId, conversationHistory, richContext, etc.)
      * @param {Array<{role: string, content: string}>} [context.conversationHistory] - Persistent conversation history from memory DB
      * @param {Object} [context.richContext] - Rich context from context-engine.build()
-     * @returns {Promise<string>} - AI response
+     * @param {function(string): void} [context.onChunk] - Receives response text as it streams
+     * @param {function(): void} [context.onStreamReset] - Called when streamed text is discarded (provider fallback)
+     * @returns {Promise<string>} - AI response (the full text, even when streamed)
      */
     async processQuery(query, context = {}) {
         try {
@@ -537,6 +539,11 @@ Try "help" to see what I can do! 💬`;
                         console.log(`[AI Handler] Spelling corrected: "${query}" → "${result.correctedQuery}"`);
                     }
                 } catch (routerError) {
+                    // Budget refusals must not be bypassed via the legacy client
+                    if (routerError.code === 'AI_BUDGET_EXCEEDED') {
+                        console.log(`[AI Handler] ${routerError.message}`);
+                        return this.formatBudgetRefusal(routerError);
+                    }
                     console.error('[AI Handler] Router error, falling back to legacy:', routerError.message);
                     aiResponse = await this.processWithLegacyClaude(query, systemPrompt);
                 }
@@ -560,6 +567,15 @@ Try "help" to see what I can do! 💬`;
         }
     }
 
+    /**
+     * Message shown when a query is refused at a hard AI budget limit
+     * @param {Error} error - Router error with code AI_BUDGET_EXCEEDED
+     */
+    formatBudgetRefusal(error) {
+        return `⛔ AI budget reached - ${error.message.replace(/^AI budget exceeded: /, '')}.\n` +
+            `Paid AI is paused until the limit resets. Type "ai budget" for details.`;
+    }
+
     /**
      * Legacy Claude processing (fallback)
      * @param {string} query - User query
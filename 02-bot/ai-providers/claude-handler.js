@@ -11,6 +11,8 @@
  * - Haiku (QUICK) = Fast responses for simple Claude tasks
  *
  * More expensive but highest quality for complex tasks.
+ * Supports streaming (completeStream) for progressive replies and raw
+ * tool-use turns (createMessage) for the agent loop.
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
@@ -95,6 +97,101 @@ class ClaudeHandler {
             await this.initialize();
         }
 
+        // Guard against empty queries
+        if (!query || !query.trim()) {
+            return { response: "I didn't catch that. Could you repeat?", tokens: 0, provider: 'claude', tier: 'quick' };
+        }
+
+        const apiParams = this.buildRequest(query, context);
+
+        try {
+            const response = await this.client.messages.create(apiParams);
+            return this.buildResult(response, apiParams.model, context.effort);
+        } catch (error) {
+            console.error('[Claude] API error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Complete a text query, emitting text as Claude generates it
+     * @param {string} query - User's query
+     * @param {Object} context - Same as complete()
+     * @param {function(string): void} onChunk - Called with each text delta
+     * @returns {Promise<{response: string, tokens: number, model: string, cost: number}>}
+     */
+    async completeStream(query, context = {}, onChunk = () => {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        if (!query || !query.trim()) {
+            const result = await this.complete(query, context);
+            await onChunk(result.response);
+            return result;
+        }
+
+        const apiParams = this.buildRequest(query, context);
+
+        try {
+            const stream = this.client.messages.stream(apiParams);
+            stream.on('text', text => onChunk(text));
+            const response = await stream.finalMessage();
+            return this.buildResult(response, apiParams.model, context.effort);
+        } catch (error) {
+            console.error('[Claude] Streaming API error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Run one raw Messages API turn with tool definitions (agent loop)
+     * Unlike complete(), the caller owns the whole message list and gets the
+     * content blocks back, including any tool_use requests.
+     * @param {Object} params
+     * @param {string} params.system - System prompt
+     * @param {Array} params.messages - Messages API message list
+     * @param {Array} [params.tools] - Tool definitions ({name, description, input_schema})
+     * @param {string} [params.model] - Model id (default: Sonnet, the coder tier)
+     * @param {number} [params.maxTokens=2048]
+     * @returns {Promise<{content: Array, stopReason: string, response: string, tokens: number, model: string, cost: number}>}
+     */
+    async createMessage({ system, messages, tools = [], model = null, maxTokens = 2048 } = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const selectedModel = model || this.models.sonnet;
+        const apiParams = {
+            model: selectedModel,
+            max_tokens: maxTokens,
+            system: system || this.getDefaultSystemPrompt(),
+            messages: messages
+        };
+        if (tools.length > 0) {
+            apiParams.tools = tools;
+        }
+
+        try {
+            const response = await this.client.messages.create(apiParams);
+            return {
+                ...this.buildResult(response, selectedModel),
+                content: response.content || [],
+                stopReason: response.stop_reason
+            };
+        } catch (error) {
+            console.error('[Claude] Tool-use API error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Build Messages API params for a query (model selection, history, Opus 4.6 extras)
+     * @param {string} query - User's query (non-empty)
+     * @param {Object} context - Context including system prompt, history, taskType
+     * @returns {Object} API request params
+     */
+    buildRequest(query, context = {}) {
         const {
             systemPrompt = this.getDefaultSystemPrompt(),
             history = [],
@@ -124,67 +221,68 @@ class ClaudeHandler {
             messages.push(...validHistory);
         }
 
-        // Add current query (guard against empty)
-        if (!query || !query.trim()) {
-            return { response: "I didn't catch that. Could you repeat?", tokens: 0, provider: 'claude', tier: 'quick' };
-        }
         messages.push({ role: 'user', content: query });
 
-        try {
-            // Build API request params
-            const apiParams = {
-                model: selectedModel,
-                max_tokens: maxTokens,
-                system: fullSystemPrompt,
-                messages: messages
-            };
+        // Build API request params
+        const apiParams = {
+            model: selectedModel,
+            max_tokens: maxTokens,
+            system: fullSystemPrompt,
+            messages: messages
+        };
 
-            // Add Opus 4.6 specific features
-            if (selectedModel === 'claude-opus-4-6') {
-                // Effort control (low, medium, high, max)
-                if (effort && this.effortLevels[effort]) {
-                    apiParams.metadata = { ...apiParams.metadata, effort: this.effortLevels[effort] };
-                }
-
-                // Adaptive thinking (new in 4.6)
-                if (thinking === 'adaptive') {
-                    apiParams.thinking = { type: 'enabled', budget_tokens: 10000 }; // Default budget
-                } else if (thinking === true) {
-                    apiParams.thinking = { type: 'enabled', budget_tokens: 10000 };
-                }
+        // Add Opus 4.6 specific features
+        if (selectedModel === 'claude-opus-4-6') {
+            // Effort control (low, medium, high, max)
+            if (effort && this.effortLevels[effort]) {
+                apiParams.metadata = { ...apiParams.metadata, effort: this.effortLevels[effort] };
             }
 
-            const response = await this.client.messages.create(apiParams);
-
-            const responseText = response.content[0]?.text?.trim() || '';
-            const inputTokens = response.usage?.input_tokens || 0;
-            const outputTokens = response.usage?.output_tokens || 0;
-            const totalTokens = inputTokens + outputTokens;
-
-            // Calculate cost
-            const modelCosts = this.costs[selectedModel] || this.costs['claude-sonnet-4-20250514'];
-            const cost = ((inputTokens / 1000000) * modelCosts.input) +
-                        ((outputTokens / 1000000) * modelCosts.output);
+            // Adaptive thinking (new in 4.6)
+            if (thinking === 'adaptive') {
+                apiParams.thinking = { type: 'enabled', budget_tokens: 10000 }; // Default budget
+            } else if (thinking === true) {
+                apiParams.thinking = { type: 'enabled', budget_tokens: 10000 };
+            }
+        }
 
-            // Determine tier for display
-            const tier = selectedModel.includes('opus') ? 'brain' :
-                        selectedModel.includes('sonnet') ? 'coder' : 'quick';
+        return apiParams;
+    }
 
-            return {
-                response: responseText,
-                tokens: totalTokens,
-                inputTokens: inputTokens,
-                outputTokens: outputTokens,
-                model: selectedModel,
-                tier: tier,
-                provider: 'claude',
-                cost: cost,
-                effort: selectedModel === 'claude-opus-4-6' ? effort : undefined
-            };
-        } catch (error) {
-            console.error('[Claude] API error:', error.message);
-            throw error;
-        }
+    /**
+     * Convert a Messages API response into the provider result shape
+     * @param {Object} response - Message from create() or stream.finalMessage()
+     * @param {string} selectedModel - Model the request used
+     * @param {string} [effort='high'] - Opus effort level requested
+     */
+    buildResult(response, selectedModel, effort = 'high') {
+        // Skip thinking blocks - the answer is the text block
+        const textBlock = (response.content || []).find(block => block.type === 'text') || response.content?.[0];
+        const responseText = textBlock?.text?.trim() || '';
+        const inputTokens = response.usage?.input_tokens || 0;
+        const outputTokens = response.usage?.output_tokens || 0;
+        const totalTokens = inputTokens + outputTokens;
+
+        // Calculate cost
+        const modelCosts = this.costs[selectedModel] || this.costs['claude-sonnet-4-20250514'];
+        const cost = ((inputTokens / 1000000) * modelCosts.input) +
+                    ((outputTokens / 1000000) * modelCosts.output);
+
+        // Determine tier for display
+        const tier = selectedModel.includes('opus') ? 'brain' :
+                    selectedModel.includes('sonnet') ? 'coder' : 'quick';
+
+        return {
+            response: responseText,
+            tokens: totalTokens,
+            inputTokens: inputTokens,
+            outputTokens: outputTokens,
+            model: selectedModel,
+            tier: tier,
+            provider: 'claude',
+            cost: cost,
+            effort: selectedModel === 'claude-opus-4-6' ? effort : undefined
+        };
     }
 
     /**
@@ -6,6 +6,7 @@
  * - Claude (Tiered) - Opus for planning/strategy, Sonnet for coding
  * - Grok (xAI) - Social media, X/Twitter, trends, real-time info
  * - Perplexity - Research, knowledge, current information
+ * - Local (offline) - Rules-driven stand-in for all of the above (AI_PROVIDER_MODE=local)
  *
  * Manages provider initialization, health checks, and unified interface.
  */
@@ -14,6 +15,7 @@ const GroqHandler = require('./groq-handler');
 const ClaudeHandler = require('./claude-handler');
 const GrokHandler = require('./grok-handler');
 const PerplexityHandler = require('./perplexity-handler');
+const LocalHandler = require('./local-handler');
 const Router = require('./router');
 
 class AIProviderRegistry {
@@ -24,7 +26,8 @@ class AIProviderRegistry {
             groq: { calls: 0, tokens: 0, errors: 0 },
             claude: { calls: 0, tokens: 0, errors: 0, estimatedCost: 0, opusCalls: 0, sonnetCalls: 0 },
             grok: { calls: 0, tokens: 0, errors: 0, estimatedCost: 0 },
-            perplexity: { calls: 0, tokens: 0, errors: 0, estimatedCost: 0 }
+            perplexity: { calls: 0, tokens: 0, errors: 0, estimatedCost: 0 },
+            local: { calls: 0, tokens: 0, errors: 0 }
         };
         this.initialized = false;
     }
@@ -37,6 +40,12 @@ class AIProviderRegistry {
 
         console.log('[AI Providers] Initializing multi-AI architecture...');
 
+        // Offline mode: local stand-ins for every provider, no keys or network needed
+        if (this.isLocalMode()) {
+            await this.initializeLocal();
+            return this;
+        }
+
         // Initialize Groq (FREE - prioritize for simple queries)
         if (process.env.GROQ_API_KEY) {
             this.providers.groq = new GroqHandler();
@@ -81,6 +90,29 @@ class AIProviderRegistry {
         return this;
     }
 
+    /**
+     * Whether AI_PROVIDER_MODE=local is set
+     */
+    isLocalMode() {
+        return (process.env.AI_PROVIDER_MODE || '').toLowerCase() === 'local';
+    }
+
+    /**
+     * Initialize local stand-ins for every provider
+     * Each stand-in keeps its provider's name so routing, fallbacks and stats
+     * behave exactly as with live keys. Also registered as "local" for forceProvider.
+     */
+    async initializeLocal() {
+        for (const name of ['groq', 'claude', 'grok', 'perplexity', 'local']) {
+            this.providers[name] = new LocalHandler({ standIn: name });
+            await this.providers[name].initialize();
+        }
+        console.log(`[AI Providers] LOCAL mode - offline stand-ins (rules: ${this.providers.local.rulesSource})`);
+
+        this.router = new Router(this.providers, this.stats);
+        this.initialized = true;
+    }
+
     /**
      * Process a query using the smart router
      * @param {string} query - User's query
@@ -123,7 +155,8 @@ class AIProviderRegistry {
             health[name] = {
                 available: true,
                 model: provider.getModel(),
-                isFree: name === 'groq'
+                isFree: name === 'groq' || !!provider.isLocal,
+                offline: !!provider.isLocal
             };
         }
         return health;
@@ -177,6 +210,9 @@ class AIProviderRegistry {
         if (perplexity.calls > 0) {
             summary += `Perplexity: ${perplexity.calls} research queries\n`;
         }
+        if (this.isLocalMode()) {
+            summary += `_Local mode - offline stand-ins, no API calls_\n`;
+        }
         summary += `Free ratio: ${freePercent}%\n`;
         summary += `Est. saved: $${savings.estimatedSaved}`;
 
@@ -191,7 +227,8 @@ class AIProviderRegistry {
             groq: { calls: 0, tokens: 0, errors: 0 },
             claude: { calls: 0, tokens: 0, errors: 0, estimatedCost: 0, opusCalls: 0, sonnetCalls: 0 },
             grok: { calls: 0, tokens: 0, errors: 0, estimatedCost: 0 },
-            perplexity: { calls: 0, tokens: 0, errors: 0, estimatedCost: 0 }
+            perplexity: { calls: 0, tokens: 0, errors: 0, estimatedCost: 0 },
+            local: { calls: 0, tokens: 0, errors: 0 }
         };
     }
 
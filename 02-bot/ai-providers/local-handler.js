@@ -0,0 +1,368 @@
+/**
+ * Local Handler - Offline AI Provider
+ *
+ * Deterministic stand-in for Groq, Claude, Grok and Perplexity so every
+ * AI path (router, ai-handler, skills calling this.ai) runs without API keys
+ * or network access - local development, CI and replay tests.
+ *
+ * Completions come from a rules file (prompt pattern → canned completion):
+ * - Rules are checked in order, first match wins
+ * - A rule can be limited to the provider it stands in for or a task type
+ * - Optional latency, streaming chunks, error injection and simulated cost per rule
+ * - Unmatched prompts use the fallback template (echo by default)
+ * - A rule's "tools" list scripts tool_use turns for createMessage (agent loop);
+ *   the final text can quote the last tool result with {toolResult}
+ *
+ * Enable with AI_PROVIDER_MODE=local. Rules are read from AI_LOCAL_RULES
+ * (default: ai-providers/local-rules.json).
+ *
+ * @example rules file
+ * {
+ *   "defaults": { "latencyMs": 0, "chunkSize": 24, "chunkDelayMs": 0 },
+ *   "rules": [
+ *     { "name": "greeting", "match": "^(hi|hello)\\b", "response": "Hey! How can I help?" },
+ *     { "match": "deploy plan", "provider": "claude", "response": "1. Build\n2. Deploy",
+ *       "chunks": ["1. Build\n", "2. Deploy"], "latencyMs": 200, "cost": 0.05 },
+ *     { "match": "weather and deadlines", "tools": [
+ *         { "name": "weather", "command": "weather London" },
+ *         { "name": "deadlines", "command": "deadlines" }
+ *       ], "response": "Done: {toolResult}" },
+ *     { "match": "flaky", "error": "Groq API error: 429", "failTimes": 1, "response": "Recovered" }
+ *   ],
+ *   "fallback": "[local:{provider}] {query}"
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'local-rules.json');
+const DEFAULT_FALLBACK = '[local:{provider}] {query}';
+
+class LocalHandler {
+    /**
+     * @param {Object} options
+     * @param {string} options.standIn - Provider this instance replaces (groq, claude, ...) or 'local'
+     * @param {string|Object} options.rules - Rules file path or an already-parsed rules object
+     */
+    constructor(options = {}) {
+        this.standIn = options.standIn || 'local';
+        this.rulesSource = options.rules || process.env.AI_LOCAL_RULES || DEFAULT_RULES_FILE;
+
+        this.models = {
+            local: `local-${this.standIn}`
+        };
+        this.currentModel = this.models.local;
+
+        this.rules = [];
+        this.defaults = {};
+        this.fallback = DEFAULT_FALLBACK;
+        this.matchCounts = new Map(); // rule index -> times matched (for failTimes)
+        this.isLocal = true;
+        this.initialized = false;
+    }
+
+    async initialize() {
+        this.loadRules(this.rulesSource);
+        this.initialized = true;
+        return this;
+    }
+
+    /**
+     * Load rules from a file path or a rules object
+     * A missing default rules file is not an error - everything falls back to echo.
+     * @param {string|Object} source - Path to JSON rules file, or rules object
+     */
+    loadRules(source) {
+        let config = {};
+
+        if (source && typeof source === 'object') {
+            config = source;
+        } else if (source && fs.existsSync(source)) {
+            try {
+                config = JSON.parse(fs.readFileSync(source, 'utf8'));
+            } catch (err) {
+                throw new Error(`Invalid local AI rules file ${source}: ${err.message}`);
+            }
+        } else if (source && source !== DEFAULT_RULES_FILE) {
+            throw new Error(`Local AI rules file not found: ${source}`);
+        }
+
+        this.rulesSource = source;
+        this.defaults = config.defaults || {};
+        this.fallback = config.fallback || DEFAULT_FALLBACK;
+        this.rules = (config.rules || []).map((rule, index) => ({
+            ...rule,
+            index,
+            regex: new RegExp(rule.match || '.*', 'i')
+        }));
+        this.matchCounts.clear();
+
+        return this;
+    }
+
+    /**
+     * Re-read the rules source (e.g. after editing the rules file)
+     */
+    reload() {
+        return this.loadRules(this.rulesSource);
+    }
+
+    /**
+     * Complete a text query from the rules
+     * @param {string} query - User's query
+     * @param {Object} context - Context (taskType, model, ... - same shape as the real handlers)
+     * @returns {Promise<{response: string, tokens: number, model: string, provider: string, cost: number}>}
+     */
+    async complete(query, context = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const rule = this.findRule(query, context);
+        await this.delay(this.getOption(rule, 'latencyMs', 0));
+        this.maybeFail(rule);
+
+        return this.buildResult(query, context, this.renderResponse(rule, query, context), rule);
+    }
+
+    /**
+     * Complete a query, emitting the response in chunks as it "arrives"
+     * Uses the rule's explicit chunks, otherwise splits the response every chunkSize chars.
+     * @param {string} query - User's query
+     * @param {Object} context - Context
+     * @param {function(string): void} onChunk - Called with each chunk of text
+     * @returns {Promise<{response: string, tokens: number, model: string, provider: string, cost: number}>}
+     */
+    async completeStream(query, context = {}, onChunk = () => {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const rule = this.findRule(query, context);
+        await this.delay(this.getOption(rule, 'latencyMs', 0));
+        this.maybeFail(rule);
+
+        const response = this.renderResponse(rule, query, context);
+        const chunks = rule && Array.isArray(rule.chunks)
+            ? rule.chunks
+            : this.splitChunks(response, this.getOption(rule, 'chunkSize', 24));
+        const chunkDelay = this.getOption(rule, 'chunkDelayMs', 0);
+
+        for (const chunk of chunks) {
+            await onChunk(chunk);
+            await this.delay(chunkDelay);
+        }
+
+        return this.buildResult(query, context, chunks.join(''), rule);
+    }
+
+    /**
+     * Run one tool-use turn, mirroring ClaudeHandler.createMessage
+     * The rule is matched against the first user message. Each call returns
+     * the next tool from the rule's "tools" list; once they are used up (or the
+     * rule has none) it returns the rule's text with {toolResult} filled in.
+     * @param {Object} params - {system, messages, tools}, plus taskType for rule matching (default 'agent')
+     * @returns {Promise<{content: Array, stopReason: string, response: string, tokens: number, model: string, cost: number}>}
+     */
+    async createMessage({ messages = [], tools = [], taskType = 'agent' } = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const query = this.messageText(messages.find(m => m.role === 'user'));
+        const rule = this.findRule(query, { taskType });
+        await this.delay(this.getOption(rule, 'latencyMs', 0));
+        this.maybeFail(rule);
+
+        const toolsUsed = messages
+            .filter(m => m.role === 'assistant' && Array.isArray(m.content))
+            .reduce((count, m) => count + m.content.filter(block => block.type === 'tool_use').length, 0);
+        const script = rule && Array.isArray(rule.tools) ? rule.tools : [];
+        const next = script[toolsUsed];
+
+        if (next && tools.some(tool => tool.name === next.name)) {
+            const input = next.input || { command: next.command || '' };
+            const result = this.buildResult(query, {}, JSON.stringify(input), rule);
+            return {
+                ...result,
+                response: '',
+                content: [{ type: 'tool_use', id: `local_tool_${toolsUsed + 1}`, name: next.name, input }],
+                stopReason: 'tool_use'
+            };
+        }
+
+        const lastToolResult = this.lastToolResult(messages);
+        const text = this.renderResponse(rule, query, { taskType })
+            .replace(/\{toolResult\}/g, lastToolResult);
+        return {
+            ...this.buildResult(query, {}, text, rule),
+            content: [{ type: 'text', text }],
+            stopReason: 'end_turn'
+        };
+    }
+
+    /**
+     * Plain text of a Messages API message (string or text blocks)
+     */
+    messageText(message) {
+        if (!message) return '';
+        if (typeof message.content === 'string') return message.content;
+        return (message.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('\n');
+    }
+
+    /**
+     * Content of the most recent tool_result block, or ''
+     */
+    lastToolResult(messages) {
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const blocks = Array.isArray(messages[i].content) ? messages[i].content : [];
+            const result = blocks.filter(block => block.type === 'tool_result').pop();
+            if (result) {
+                return typeof result.content === 'string' ? result.content : this.messageText(result);
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Find the first rule that applies to this query
+     * @param {string} query
+     * @param {Object} context
+     * @returns {Object|null}
+     */
+    findRule(query, context = {}) {
+        return this.rules.find(rule => {
+            if (rule.provider && rule.provider !== this.standIn) return false;
+            if (rule.taskType && rule.taskType !== context.taskType) return false;
+            return rule.regex.test(query || '');
+        }) || null;
+    }
+
+    /**
+     * Throw the rule's injected error, if it should fail on this call
+     * failTimes limits the error to the first N matches; omit it to always fail.
+     */
+    maybeFail(rule) {
+        if (!rule) return;
+
+        const count = (this.matchCounts.get(rule.index) || 0) + 1;
+        this.matchCounts.set(rule.index, count);
+
+        if (rule.error && (rule.failTimes === undefined || count <= rule.failTimes)) {
+            throw new Error(rule.error);
+        }
+    }
+
+    /**
+     * Render a rule's response (or the fallback) with {query}/{provider}/{taskType}
+     */
+    renderResponse(rule, query, context = {}) {
+        const template = rule && rule.response !== undefined
+            ? rule.response
+            : (rule && Array.isArray(rule.chunks) ? rule.chunks.join('') : this.fallback);
+
+        return String(template)
+            .replace(/\{query\}/g, query || '')
+            .replace(/\{provider\}/g, this.standIn)
+            .replace(/\{taskType\}/g, context.taskType || 'general');
+    }
+
+    /**
+     * Build a result in the same shape as the real handlers
+     * Cost is 0 unless the rule (or defaults) sets a simulated USD cost.
+     */
+    buildResult(query, context, response, rule = null) {
+        const inputTokens = this.estimateTokens(query);
+        const outputTokens = this.estimateTokens(response);
+
+        return {
+            response: response,
+            tokens: inputTokens + outputTokens,
+            inputTokens: inputTokens,
+            outputTokens: outputTokens,
+            model: this.currentModel,
+            tier: this.standIn === 'claude' ? this.getTier(context.taskType) : undefined,
+            provider: this.standIn,
+            cost: this.getOption(rule, 'cost', 0),
+            local: true
+        };
+    }
+
+    /**
+     * Claude tier for a task type, mirroring ClaudeHandler (brain/coder/quick)
+     */
+    getTier(taskType) {
+        if (['planning', 'strategy', 'architecture', 'design', 'complex_reasoning'].includes(taskType)) {
+            return 'brain';
+        }
+        if (['quick', 'simple'].includes(taskType)) {
+            return 'quick';
+        }
+        return 'coder';
+    }
+
+    /**
+     * Rule option, then file defaults, then built-in default
+     */
+    getOption(rule, key, fallback) {
+        if (rule && rule[key] !== undefined) return rule[key];
+        if (this.defaults[key] !== undefined) return this.defaults[key];
+        return fallback;
+    }
+
+    splitChunks(text, size) {
+        const chunkSize = Math.max(1, size);
+        const chunks = [];
+        for (let i = 0; i < text.length; i += chunkSize) {
+            chunks.push(text.slice(i, i + chunkSize));
+        }
+        return chunks.length > 0 ? chunks : [''];
+    }
+
+    /**
+     * Rough token estimate (~4 chars per token) so usage stats stay meaningful
+     */
+    estimateTokens(text) {
+        return Math.ceil(String(text || '').length / 4);
+    }
+
+    delay(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    /**
+     * Set the model to use (only the local model exists)
+     */
+    setModel(modelKey) {
+        if (this.models[modelKey]) {
+            this.currentModel = this.models[modelKey];
+        }
+    }
+
+    /**
+     * Get current model name
+     */
+    getModel() {
+        return this.currentModel;
+    }
+
+    /**
+     * Get all available models
+     */
+    getAvailableModels() {
+        return { ...this.models };
+    }
+
+    /**
+     * Local provider is always available once initialized
+     */
+    isAvailable() {
+        return this.initialized;
+    }
+}
+
+module.exports = LocalHandler;
@@ -14,15 +14,38 @@
  * - CACHE_ENABLED (default: true)
  * - CACHE_TTL_SECONDS (default: 300)
  * - CACHE_MAX_SIZE (default: 100)
+ *
+ * Enforces AI spend budgets (lib/ai-budget):
+ * - Soft limit → downgrade to a free provider (Groq), or Claude's cheapest tier
+ * - Hard limit → paid providers refused (free providers still answer)
  */
 
 const { CacheManager, hashObject } = require('../lib/cache-manager');
 const cacheConfig = require('../lib/cache-config');
 
+/**
+ * Load the budget module (optional - routing works without SQLite)
+ */
+function loadBudget() {
+    try {
+        return require('../lib/ai-budget');
+    } catch (e) {
+        console.log('[Router] AI budget not available:', e.message);
+        return null;
+    }
+}
+
 class Router {
-    constructor(providers, stats) {
+    /**
+     * @param {Object} providers - Provider handlers keyed by name
+     * @param {Object} stats - Shared stats object
+     * @param {Object} options
+     * @param {Object|null} options.budget - Budget module (default: lib/ai-budget, null disables)
+     */
+    constructor(providers, stats, options = {}) {
         this.providers = providers;
         this.stats = stats;
+        this.budget = options.budget !== undefined ? options.budget : loadBudget();
 
         // Initialize cache for AI responses with environment-based configuration
         // Environment variables override defaults:
@@ -208,7 +231,8 @@ class Router {
         // Fallback if preferred provider not available
         const actualProvider = this.providers[provider] ? provider :
                               (this.providers.groq ? 'groq' :
-                              (this.providers.claude ? 'claude' : null));
+                              (this.providers.claude ? 'claude' :
+                              (this.providers.local ? 'local' : null)));
 
         if (!actualProvider) {
             throw new Error('No AI providers available');
@@ -265,8 +289,14 @@ class Router {
 
     /**
      * Execute query with a specific provider
+     * Streams when context.onChunk is set: providers with completeStream emit
+     * text as it arrives, others (and cache hits) emit the whole response once.
+     * context.onStreamReset is called before a fallback provider starts over.
      */
     async executeWithProvider(provider, query, context, correctedQuery) {
+        // Budget check may downgrade the provider/tier, or refuse the call
+        ({ provider, context } = this.applyBudget(provider, context));
+
         const taskType = context.taskType || '';
         const bypassCache = this.shouldBypassCache(query) || !this.cacheEnabled;
 
@@ -285,6 +315,10 @@ class Router {
                 }
                 this.stats[provider].cacheHits++;
 
+                if (typeof context.onChunk === 'function') {
+                    await context.onChunk(cachedResult.response);
+                }
+
                 return {
                     ...cachedResult,
                     cached: true,
@@ -296,7 +330,7 @@ class Router {
         }
 
         try {
-            const result = await this.providers[provider].complete(query, context);
+            const result = await this.callProvider(provider, query, context);
 
             // Update stats
             this.stats[provider].calls++;
@@ -307,6 +341,8 @@ class Router {
                 this.stats[provider].estimatedCost = (this.stats[provider].estimatedCost || 0) + result.cost;
             }
 
+            this.recordBudgetUsage(provider, context, result);
+
             // Track Claude tier usage (Opus vs Sonnet)
             if (provider === 'claude' && result.tier) {
                 if (result.tier === 'brain') {
@@ -323,7 +359,8 @@ class Router {
                 tier: result.tier, // brain, coder, or undefined
                 tokens: result.tokens,
                 cost: result.cost || 0,
-                correctedQuery: correctedQuery
+                correctedQuery: correctedQuery,
+                budgetDowngrade: context.budgetDowngrade || undefined
             };
 
             // Cache the result (unless bypassing or caching disabled)
@@ -336,12 +373,22 @@ class Router {
         } catch (error) {
             this.stats[provider].errors++;
 
-            // Try fallback chain: claude -> perplexity -> groq -> grok
-            const fallbackOrder = ['claude', 'perplexity', 'groq', 'grok'];
+            // Budget refusals are final - falling back would just hit the same limit
+            if (error.code === 'AI_BUDGET_EXCEEDED') {
+                throw error;
+            }
+
+            // Try fallback chain: claude -> perplexity -> groq -> grok -> local
+            // Providers that already failed for this query are skipped
+            const failed = [...(context.failedProviders || []), provider];
+            const fallbackOrder = ['claude', 'perplexity', 'groq', 'grok', 'local'];
             for (const fallback of fallbackOrder) {
-                if (fallback !== provider && this.providers[fallback]) {
+                if (!failed.includes(fallback) && this.providers[fallback]) {
                     console.log(`[Router] ${provider} failed, falling back to ${fallback}`);
-                    return await this.executeWithProvider(fallback, query, context, correctedQuery);
+                    if (typeof context.onStreamReset === 'function') {
+                        await context.onStreamReset();
+                    }
+                    return await this.executeWithProvider(fallback, query, { ...context, failedProviders: failed }, correctedQuery);
                 }
             }
 
@@ -349,6 +396,102 @@ class Router {
         }
     }
 
+    /**
+     * Call a provider, streaming through context.onChunk when requested
+     */
+    async callProvider(provider, query, context) {
+        const handler = this.providers[provider];
+        const { onChunk, onStreamReset, ...providerContext } = context;
+
+        if (typeof onChunk !== 'function') {
+            return await handler.complete(query, providerContext);
+        }
+
+        if (typeof handler.completeStream === 'function') {
+            return await handler.completeStream(query, providerContext, onChunk);
+        }
+
+        // No streaming support - deliver the full response as one chunk
+        const result = await handler.complete(query, providerContext);
+        await onChunk(result.response);
+        return result;
+    }
+
+    /**
+     * Apply spend budgets before a call
+     * Soft limit: paid provider → free provider if one is available, otherwise
+     * Claude drops to its quick tier. Hard limit: paid providers are refused.
+     * Token limits apply to free providers too.
+     * @returns {{provider: string, context: Object}}
+     * @throws {Error} code AI_BUDGET_EXCEEDED when the call is refused
+     */
+    applyBudget(provider, context) {
+        if (!this.budget) {
+            return { provider, context };
+        }
+
+        const identity = this.getBudgetIdentity(context);
+        const verdict = this.budget.check({ ...identity, provider });
+        const isFree = this.budget.isFreeProvider(provider);
+        const level = isFree ? verdict.tokenStatus : verdict.status;
+
+        if (level === 'ok' || (isFree && level === 'soft')) {
+            return { provider, context };
+        }
+
+        if (!isFree) {
+            // Try a free provider that hasn't failed already and isn't over a token limit
+            const failed = context.failedProviders || [];
+            const freeProvider = ['groq', 'local'].find(name =>
+                this.providers[name] && !failed.includes(name) &&
+                this.budget.check({ ...identity, provider: name }).tokenStatus !== 'hard'
+            );
+            if (freeProvider) {
+                console.log(`[Router] Budget ${level} limit: ${provider} → ${freeProvider}`);
+                return {
+                    provider: freeProvider,
+                    context: { ...context, budgetDowngrade: { from: provider, level } }
+                };
+            }
+
+            if (level === 'soft') {
+                const downgraded = provider === 'claude' ? { ...context, taskType: 'quick' } : context;
+                console.log(`[Router] Budget soft limit: no free provider, using ${provider}${provider === 'claude' ? ' (quick tier)' : ''}`);
+                return {
+                    provider,
+                    context: { ...downgraded, budgetDowngrade: { from: provider, level } }
+                };
+            }
+        }
+
+        console.log(`[Router] Budget hard limit: refusing ${provider} call`);
+        throw this.budget.budgetExceededError(verdict);
+    }
+
+    /**
+     * Record a completed call against the budget
+     */
+    recordBudgetUsage(provider, context, result) {
+        if (!this.budget) return;
+        const identity = this.getBudgetIdentity(context);
+        this.budget.recordUsage({
+            ...identity,
+            provider,
+            model: result.model,
+            tokens: result.tokens || 0,
+            cost: result.cost || 0
+        });
+    }
+
+    /**
+     * User and chat a call is billed to (chat falls back to userId - DMs)
+     */
+    getBudgetIdentity(context = {}) {
+        const userId = context.userId && context.userId !== 'default' ? String(context.userId) : null;
+        const chatId = context.chatId != null ? String(context.chatId) : userId;
+        return { userId, chatId };
+    }
+
     /**
      * Classify a query to determine the best provider
      * @param {string} query - The user's query
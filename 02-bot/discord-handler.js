@@ -0,0 +1,476 @@
+/**
+ * Discord Bot Handler for ClawdBot
+ * Interactions endpoint (incoming) + REST API (outgoing), mirroring telegram-handler.js
+ *
+ * Key Differences from Telegram/WhatsApp/Slack:
+ * =============================================
+ * - Transport: Discord POSTs slash commands and button clicks to /discord as
+ *              "interactions" - no gateway connection is kept open. Each one
+ *              must be answered within 3 seconds, so the bot defers and
+ *              replies through the interaction's webhook token afterwards.
+ * - Security: every request is signed with Ed25519 (X-Signature-Ed25519 over
+ *             timestamp + raw body, checked against the app's public key)
+ * - Commands: slash commands are generated from the skill registry
+ *             (lib/discord-commands.js) and registered on startup
+ * - IDs: snowflakes (numeric strings) for channels, users and interactions
+ * - Recipients: "channelId" for plain channel messages, or
+ *               "channelId:interactionId" to answer a slash command
+ * - Formatting: Discord Markdown - **bold**, *italic*, [text](url)
+ * - Buttons: message components built from lib/action-buttons layouts;
+ *            confirmations are sent as embeds with Yes/No buttons
+ *
+ * Environment Variables:
+ * ----------------------
+ * - DISCORD_BOT_TOKEN: Bot token for the REST API (required to send)
+ * - DISCORD_APPLICATION_ID: Application ID (required for commands and interaction replies)
+ * - DISCORD_PUBLIC_KEY: Application public key (hex) for request verification
+ * - DISCORD_GUILD_ID: Register commands in this server only (instant updates)
+ * - DISCORD_AUTHORIZED_USERS: Comma-separated Discord user IDs allowed to use the bot
+ * - DISCORD_AUTHORIZED_CHANNELS: Comma-separated channel IDs where anyone may use it
+ *
+ * Usage:
+ * ------
+ * const { getDiscordHandler } = require('./discord-handler');
+ * const discord = getDiscordHandler();
+ *
+ * if (discord.isAvailable()) {
+ *     await discord.sendMessage('1234567890123456789', 'Build passed');
+ * }
+ */
+
+const crypto = require('crypto');
+
+// Message limits
+const MESSAGE_LIMITS = {
+    DISCORD: 2000,           // Message content
+    EMBED_DESCRIPTION: 4096, // Embed description
+    EMBED_FIELD: 1024,       // Embed field value
+    BUTTON_LABEL: 80,        // Button label
+    CUSTOM_ID: 100           // Button custom_id
+};
+
+// Interaction types (incoming)
+const INTERACTION_TYPES = {
+    PING: 1,
+    APPLICATION_COMMAND: 2,
+    MESSAGE_COMPONENT: 3
+};
+
+// Interaction callback types (our 3-second answer)
+const RESPONSE_TYPES = {
+    PONG: 1,
+    CHANNEL_MESSAGE: 4,
+    DEFERRED_CHANNEL_MESSAGE: 5,
+    DEFERRED_UPDATE_MESSAGE: 6
+};
+
+// Interaction tokens stay valid for 15 minutes
+const INTERACTION_TTL_MS = 15 * 60 * 1000;
+
+// Ephemeral message flag (only the invoking user sees it)
+const EPHEMERAL = 1 << 6;
+
+// Embed colour for confirmations (amber)
+const CONFIRMATION_COLOR = 0xf5a623;
+
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+
+// DER prefix that turns a raw 32-byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+class DiscordHandler {
+    /**
+     * Initialize Discord handler with bot token, application ID and public key
+     */
+    constructor() {
+        this.token = process.env.DISCORD_BOT_TOKEN || null;
+        this.applicationId = process.env.DISCORD_APPLICATION_ID || null;
+        this.publicKey = process.env.DISCORD_PUBLIC_KEY || null;
+        this.guildId = process.env.DISCORD_GUILD_ID || null;
+        this.webhookPath = '/discord';
+
+        // Open slash command interactions: interactionId -> { token, createdAt, answered }
+        this.interactions = new Map();
+
+        if (!this.token) {
+            console.log('⚠️  Discord not configured (add DISCORD_BOT_TOKEN to .env)');
+        }
+    }
+
+    /**
+     * Check if Discord is available/configured for sending
+     * @returns {boolean} True if a bot token is set
+     */
+    isAvailable() {
+        return !!this.token;
+    }
+
+    /**
+     * Get the webhook path for Express route setup
+     * @returns {string} The webhook path (default: '/discord')
+     */
+    getWebhookPath() {
+        return this.webhookPath;
+    }
+
+    // ============================================================
+    // REQUEST VERIFICATION
+    // ============================================================
+
+    /**
+     * Verify a Discord interaction signature
+     * @param {string} rawBody - Raw request body, exactly as received
+     * @param {string} timestamp - X-Signature-Timestamp header
+     * @param {string} signature - X-Signature-Ed25519 header (hex)
+     * @returns {boolean} True if the request came from Discord
+     */
+    verifySignature(rawBody, timestamp, signature) {
+        if (!this.publicKey || !timestamp || !signature || rawBody === undefined) {
+            return false;
+        }
+
+        try {
+            const key = crypto.createPublicKey({
+                key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(this.publicKey, 'hex')]),
+                format: 'der',
+                type: 'spki'
+            });
+            return crypto.verify(
+                null,
+                Buffer.from(String(timestamp) + rawBody),
+                key,
+                Buffer.from(String(signature), 'hex')
+            );
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Verify an Express request (needs req.rawBody from the body parser)
+     * @param {Object} req - Express request
+     * @returns {boolean} True if the signature is valid
+     */
+    verifyRequest(req) {
+        return this.verifySignature(
+            req.rawBody,
+            req.headers['x-signature-timestamp'],
+            req.headers['x-signature-ed25519']
+        );
+    }
+
+    /**
+     * Check if a Discord user/channel may use the bot
+     * Allowed when the user is listed in DISCORD_AUTHORIZED_USERS or the
+     * channel in DISCORD_AUTHORIZED_CHANNELS. Nothing configured denies all.
+     *
+     * @param {string} channelId - Discord channel ID
+     * @param {string} userId - Discord user ID of the sender
+     * @returns {boolean} True if authorized
+     */
+    isAuthorized(channelId, userId) {
+        const list = name => (process.env[name] || '').split(',').map(id => id.trim()).filter(Boolean);
+
+        if (userId && list('DISCORD_AUTHORIZED_USERS').includes(String(userId))) {
+            return true;
+        }
+        return !!channelId && list('DISCORD_AUTHORIZED_CHANNELS').includes(String(channelId));
+    }
+
+    // ============================================================
+    // RECIPIENTS & FORMATTING
+    // ============================================================
+
+    /**
+     * Build a recipient string for a channel, optionally answering an interaction
+     * @param {string} channelId - Discord channel ID
+     * @param {string} [interactionId] - Slash command interaction being answered
+     * @returns {string} "channelId" or "channelId:interactionId"
+     */
+    static formatRecipient(channelId, interactionId = null) {
+        return interactionId ? `${channelId}:${interactionId}` : String(channelId);
+    }
+
+    /**
+     * Split a recipient string into channel and interaction
+     * @param {string} recipient - Recipient from formatRecipient (may have a "discord:" prefix)
+     * @returns {{channelId: string, interactionId: string|null}}
+     */
+    static parseRecipient(recipient) {
+        const value = String(recipient || '').replace(/^discord:/, '');
+        const [channelId, interactionId] = value.split(':');
+        return { channelId, interactionId: interactionId || null };
+    }
+
+    /**
+     * Convert the bot's Markdown to Discord Markdown
+     * Replies are written for Telegram, where *text* is bold; in Discord it is
+     * italic, so single-asterisk spans become **text**.
+     * @param {string} text - Message text
+     * @returns {string} Discord Markdown
+     */
+    static toDiscordMarkdown(text) {
+        return String(text || '')
+            .replace(/(^|[^*\w])\*(?![\s*])([^*\n]+?)\*(?!\*)/g, '$1**$2**');
+    }
+
+    /**
+     * Convert an action-buttons layout to Discord message components
+     * Each row becomes an action row (max 5 rows of 5 buttons); callback_data
+     * travels as the button's custom_id, so a click comes back through
+     * ActionButtons.parseCallback() like a Telegram callback.
+     * @param {Array} buttons - Inline keyboard rows (see lib/action-buttons)
+     * @returns {Array} Discord components
+     */
+    static toComponents(buttons) {
+        if (!Array.isArray(buttons)) return [];
+
+        return buttons.slice(0, 5).map(row => ({
+            type: 1,
+            components: row.slice(0, 5).map(button => {
+                const label = String(button.text).substring(0, MESSAGE_LIMITS.BUTTON_LABEL);
+                if (button.url) {
+                    return { type: 2, style: 5, label, url: button.url };
+                }
+                const data = String(button.callback_data);
+                return {
+                    type: 2,
+                    style: /^confirm_no|cancel|reject/.test(data) ? 4 : /^confirm_yes|approve/.test(data) ? 3 : 2,
+                    label,
+                    custom_id: data.substring(0, MESSAGE_LIMITS.CUSTOM_ID)
+                };
+            })
+        })).filter(row => row.components.length > 0);
+    }
+
+    /**
+     * Build a Discord embed from a confirmation card (confirmation-manager)
+     * @param {Object} card - { title, description, fields, footer }
+     * @returns {Object} Discord embed
+     */
+    static toEmbed(card) {
+        return {
+            title: card.title,
+            description: DiscordHandler.toDiscordMarkdown(card.description || '').substring(0, MESSAGE_LIMITS.EMBED_DESCRIPTION),
+            color: CONFIRMATION_COLOR,
+            fields: (card.fields || []).slice(0, 25).map(field => ({
+                name: field.name,
+                value: String(field.value).substring(0, MESSAGE_LIMITS.EMBED_FIELD),
+                inline: field.inline !== false
+            })),
+            ...(card.footer ? { footer: { text: card.footer } } : {})
+        };
+    }
+
+    // ============================================================
+    // INTERACTIONS
+    // ============================================================
+
+    /**
+     * Remember a deferred slash command so replies go to it
+     * @param {Object} interaction - Interaction payload
+     */
+    trackInteraction(interaction) {
+        const now = Date.now();
+        for (const [id, entry] of this.interactions) {
+            if (now - entry.createdAt > INTERACTION_TTL_MS) this.interactions.delete(id);
+        }
+        this.interactions.set(String(interaction.id), { token: interaction.token, createdAt: now, answered: false });
+    }
+
+    /**
+     * Get a still-valid interaction by ID
+     * @param {string} interactionId - Interaction ID
+     * @returns {Object|null} { token, createdAt, answered }
+     */
+    getInteraction(interactionId) {
+        const entry = this.interactions.get(String(interactionId));
+        if (!entry || Date.now() - entry.createdAt > INTERACTION_TTL_MS) {
+            return null;
+        }
+        return entry;
+    }
+
+    // ============================================================
+    // SENDING (REST API)
+    // ============================================================
+
+    /**
+     * Call a Discord REST endpoint
+     * Interaction webhooks authenticate with their token, so the bot token is
+     * only sent to other routes.
+     * @param {string} method - HTTP method
+     * @param {string} route - API route (e.g. '/channels/123/messages')
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} Response data
+     */
+    async callApi(method, route, body = undefined) {
+        const axios = require('axios');
+        const headers = { 'Content-Type': 'application/json' };
+        if (!route.startsWith('/webhooks/')) {
+            headers.Authorization = `Bot ${this.token}`;
+        }
+
+        const response = await axios({
+            method,
+            url: `${DISCORD_API_URL}${route}`,
+            data: body,
+            headers,
+            timeout: 10000
+        });
+        return response.data;
+    }
+
+    /**
+     * Send a message - as the answer to a slash command when the recipient
+     * carries one, otherwise as a plain channel message
+     * @param {string} recipient - "channelId" or "channelId:interactionId"
+     * @param {string} text - Message text (bot Markdown)
+     * @param {Object} [options] - Extra message fields (components, embeds)
+     * @returns {Promise<Object|null>} Discord message or null if failed
+     */
+    async sendMessage(recipient, text, options = {}) {
+        if (!this.token) {
+            console.log('[Mock] Would send Discord:', String(text).substring(0, 50) + '...');
+            return null;
+        }
+
+        const { channelId, interactionId } = DiscordHandler.parseRecipient(recipient);
+        const body = {
+            content: DiscordHandler.toDiscordMarkdown(text).substring(0, MESSAGE_LIMITS.DISCORD),
+            allowed_mentions: { parse: [] },
+            ...options
+        };
+
+        try {
+            const interaction = interactionId && this.applicationId ? this.getInteraction(interactionId) : null;
+            let result;
+
+            if (interaction && !interaction.answered) {
+                // First reply replaces the "thinking..." placeholder
+                interaction.answered = true;
+                result = await this.callApi('patch', `/webhooks/${this.applicationId}/${interaction.token}/messages/@original`, body);
+            } else if (interaction) {
+                result = await this.callApi('post', `/webhooks/${this.applicationId}/${interaction.token}`, body);
+            } else {
+                result = await this.callApi('post', `/channels/${channelId}/messages`, body);
+            }
+
+            console.log(`[${new Date().toISOString()}] Discord message sent to ${channelId}${interaction ? ' (interaction reply)' : ''}`);
+            return result;
+        } catch (error) {
+            console.error('Error sending Discord message:', error.response?.data?.message || error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Send a message with buttons
+     * @param {string} recipient - "channelId" or "channelId:interactionId"
+     * @param {string} text - Message text
+     * @param {Array} buttons - Inline keyboard rows (see lib/action-buttons)
+     * @param {Object} [options]
+     * @param {Object} [options.embed] - Confirmation card to render as an embed (text becomes its description)
+     * @returns {Promise<Object|null>} Discord message or null if failed
+     */
+    async sendMessageWithButtons(recipient, text, buttons, options = {}) {
+        const components = DiscordHandler.toComponents(buttons);
+
+        if (options.embed) {
+            const embed = DiscordHandler.toEmbed({ ...options.embed, description: text });
+            return this.sendMessage(recipient, '', { embeds: [embed], components });
+        }
+        return this.sendMessage(recipient, text, { components });
+    }
+
+    /**
+     * Update the message a button was clicked on
+     * @param {string} interactionToken - Token of the component interaction
+     * @param {string} text - New text
+     * @param {Array|null} [buttons] - New button rows (null/undefined removes them)
+     * @returns {Promise<Object|null>} Discord message or null if failed
+     */
+    async editInteractionMessage(interactionToken, text, buttons = undefined) {
+        if (!this.applicationId) return null;
+
+        try {
+            return await this.callApi('patch', `/webhooks/${this.applicationId}/${interactionToken}/messages/@original`, {
+                content: DiscordHandler.toDiscordMarkdown(text).substring(0, MESSAGE_LIMITS.DISCORD),
+                embeds: [],
+                components: DiscordHandler.toComponents(buttons || [])
+            });
+        } catch (error) {
+            console.error('Error editing Discord message:', error.response?.data?.message || error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Send a follow-up message to a component interaction
+     * @param {string} interactionToken - Token of the component interaction
+     * @param {string} text - Message text
+     * @returns {Promise<Object|null>} Discord message or null if failed
+     */
+    async sendFollowUp(interactionToken, text) {
+        if (!this.applicationId) return null;
+
+        try {
+            return await this.callApi('post', `/webhooks/${this.applicationId}/${interactionToken}`, {
+                content: DiscordHandler.toDiscordMarkdown(text).substring(0, MESSAGE_LIMITS.DISCORD),
+                allowed_mentions: { parse: [] }
+            });
+        } catch (error) {
+            console.error('Error sending Discord follow-up:', error.response?.data?.message || error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Register slash commands (bulk overwrite)
+     * Goes to DISCORD_GUILD_ID when set - guild commands update instantly,
+     * global ones can take up to an hour.
+     * @param {Array} commands - Application command definitions
+     * @returns {Promise<number>} Number of commands registered (0 on failure)
+     */
+    async registerCommands(commands) {
+        if (!this.token || !this.applicationId) return 0;
+
+        const route = this.guildId
+            ? `/applications/${this.applicationId}/guilds/${this.guildId}/commands`
+            : `/applications/${this.applicationId}/commands`;
+
+        try {
+            const registered = await this.callApi('put', route, commands);
+            return Array.isArray(registered) ? registered.length : 0;
+        } catch (error) {
+            console.error('[Discord] Command registration failed:', error.response?.data?.message || error.message);
+            return 0;
+        }
+    }
+}
+
+// ============================================================================
+// Singleton Pattern (mirrors telegram-handler.js)
+// ============================================================================
+
+let discordHandlerInstance = null;
+
+/**
+ * Get or create the Discord handler singleton
+ * @returns {DiscordHandler} The singleton instance
+ */
+function getDiscordHandler() {
+    if (!discordHandlerInstance) {
+        discordHandlerInstance = new DiscordHandler();
+    }
+    return discordHandlerInstance;
+}
+
+module.exports = {
+    DiscordHandler,
+    getDiscordHandler,
+    MESSAGE_LIMITS,
+    INTERACTION_TYPES,
+    RESPONSE_TYPES,
+    EPHEMERAL
+};
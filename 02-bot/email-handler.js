@@ -0,0 +1,676 @@
+/**
+ * Email Handler for ClawdBot
+ * IMAP polling or a local maildir (incoming) + SMTP (outgoing), mirroring telegram-handler.js
+ *
+ * Key Differences from the chat platforms:
+ * ========================================
+ * - Transport: nothing is pushed to us - the inbox is polled (IMAP, or a
+ *              maildir's new/ folder as a local stand-in) and every unseen
+ *              message becomes one incoming message. Replies go out over SMTP.
+ * - IDs: the sender's address is both the user ID and the recipient
+ * - Threads: replies keep the subject ("Re: ...") and set In-Reply-To /
+ *            References, so they land in the thread of the email they answer
+ * - Batching: a reply is one email. While an incoming email is processed,
+ *             everything sent to its sender is collected (beginReply) and
+ *             sent together (flushReply) instead of one email per status line
+ * - Attachments: saved to disk and served from /email/attachments so the
+ *                media skills can download them like any other media URL.
+ *                PDFs go to document-analyzer, images to receipts.
+ * - Formatting: plain text - Markdown markers are stripped
+ * - Buttons: none; confirmations are answered by replying "yes" / "no"
+ * - Trust: a From: header is easy to forge, so a message is only handled
+ *          when the receiving server's Authentication-Results says DKIM or
+ *          DMARC passed for the sender's domain (isAuthenticated)
+ *
+ * Environment Variables:
+ * ----------------------
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS: outgoing server (required to send)
+ * - EMAIL_FROM: From address for outgoing mail (defaults to SMTP_USER)
+ * - IMAP_HOST, IMAP_PORT, IMAP_USER, IMAP_PASS, IMAP_MAILBOX: inbox to poll
+ * - EMAIL_MAILDIR: poll this maildir instead of IMAP (new/ -> cur/)
+ * - EMAIL_POLL_INTERVAL_MS: how often to poll (default: 60000)
+ * - EMAIL_AUTHORIZED_SENDERS: Comma-separated addresses (or @domain.com) allowed to use the bot
+ * - EMAIL_AUTHSERV_ID: the receiving server's name in Authentication-Results
+ *   (e.g. mx.google.com); only its results are trusted
+ * - EMAIL_ATTACHMENTS_DIR: where incoming attachments are saved
+ *
+ * Usage:
+ * ------
+ * const { getEmailHandler } = require('./email-handler');
+ * const email = getEmailHandler();
+ *
+ * if (email.isAvailable()) {
+ *     await email.sendEmail({ to: 'client@example.com', subject: 'Invoice', text: '...' });
+ * }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Message limits
+const MESSAGE_LIMITS = {
+    EMAIL: 100000,                     // Body text - no practical limit
+    SUBJECT: 78,                       // Recommended subject line length
+    ATTACHMENT_SIZE: 25 * 1024 * 1024  // Largest attachment we keep
+};
+
+// Incoming attachments that a skill knows what to do with
+const ATTACHMENT_ROUTES = [
+    { match: type => type === 'application/pdf', skill: 'document-analyzer' },
+    { match: type => type.startsWith('image/'), skill: 'receipts' }
+];
+
+// Threads are remembered this long for "Re:" subjects and In-Reply-To
+const THREAD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Message-IDs remembered to skip a message seen twice
+const MAX_SEEN_IDS = 500;
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const DEFAULT_SUBJECT = 'ClawdBot';
+
+/**
+ * Get the directory for saved attachments (EC2 path or local fallback, like invoices)
+ * @returns {string}
+ */
+function getAttachmentsDir() {
+    if (process.env.EMAIL_ATTACHMENTS_DIR) return process.env.EMAIL_ATTACHMENTS_DIR;
+    if (process.env.CLAWDBOT_DATA_DIR) return path.join(process.env.CLAWDBOT_DATA_DIR, 'email-attachments');
+
+    if (process.platform !== 'win32' && fs.existsSync('/opt/clawd-bot')) {
+        return '/opt/clawd-bot/data/email-attachments';
+    }
+    return path.join(__dirname, 'data', 'email-attachments');
+}
+
+class EmailHandler {
+    /**
+     * Initialize email handler from SMTP/IMAP settings
+     */
+    constructor() {
+        this.smtp = {
+            host: process.env.SMTP_HOST || null,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || null,
+            pass: process.env.SMTP_PASS || null
+        };
+        this.imap = {
+            host: process.env.IMAP_HOST || null,
+            port: parseInt(process.env.IMAP_PORT, 10) || 993,
+            user: process.env.IMAP_USER || null,
+            pass: process.env.IMAP_PASS || null,
+            mailbox: process.env.IMAP_MAILBOX || 'INBOX'
+        };
+        this.maildir = process.env.EMAIL_MAILDIR || null;
+        this.from = process.env.EMAIL_FROM || this.smtp.user || null;
+        this.pollIntervalMs = parseInt(process.env.EMAIL_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL_MS;
+        this.attachmentsDir = getAttachmentsDir();
+        this.attachmentsPath = '/email/attachments';
+
+        this.transport = null;       // nodemailer transport, created on first send
+        this.threads = new Map();    // address -> { messageId, references, subject, at }
+        this.replies = new Map();    // address -> collected reply parts
+        this.seenIds = new Set();
+        this.onEmail = null;         // callback from startPolling
+        this.pollTimer = null;
+        this.polling = false;
+
+        if (!this.smtp.host) {
+            console.log('⚠️  Email not configured (add SMTP_HOST to .env)');
+        }
+    }
+
+    /**
+     * Check if email is available/configured for sending
+     * @returns {boolean} True if an SMTP host is set
+     */
+    isAvailable() {
+        return !!this.smtp.host;
+    }
+
+    /**
+     * Check if there is an inbox to poll
+     * @returns {boolean} True if a maildir or IMAP host is set
+     */
+    canReceive() {
+        return !!(this.maildir || this.imap.host);
+    }
+
+    /**
+     * Get the path attachments are served from
+     * @returns {string} The route prefix (default: '/email/attachments')
+     */
+    getAttachmentsPath() {
+        return this.attachmentsPath;
+    }
+
+    /**
+     * Check if a sender may use the bot
+     * Allowed when the address - or its "@domain" - is listed in
+     * EMAIL_AUTHORIZED_SENDERS. Nothing configured denies all, and the bot's
+     * own address is never accepted (no mail loops).
+     *
+     * @param {string} address - Sender address
+     * @returns {boolean} True if authorized
+     */
+    isAuthorized(address) {
+        const sender = EmailHandler.normalizeAddress(address);
+        if (!sender || sender === EmailHandler.normalizeAddress(this.from)) {
+            return false;
+        }
+
+        const allowed = (process.env.EMAIL_AUTHORIZED_SENDERS || '')
+            .split(',')
+            .map(entry => entry.trim().toLowerCase())
+            .filter(Boolean);
+        const domain = sender.substring(sender.indexOf('@'));
+
+        return allowed.includes(sender) || allowed.includes(domain);
+    }
+
+    // ============================================================
+    // ADDRESSES & FORMATTING
+    // ============================================================
+
+    /**
+     * Normalize an address for use as a user ID
+     * @param {string} address - "Name <a@b.com>", "email:a@b.com" or "a@b.com"
+     * @returns {string} Lowercase bare address ('' if none)
+     */
+    static normalizeAddress(address) {
+        const value = String(address || '').trim().replace(/^email:/i, '');
+        const bracketed = value.match(/<([^>]+)>/);
+        return (bracketed ? bracketed[1] : value).trim().toLowerCase();
+    }
+
+    /**
+     * Convert the bot's Markdown to plain text for an email body
+     * @param {string} text - Message text
+     * @returns {string} Plain text
+     */
+    static toPlainText(text) {
+        return String(text || '')
+            .replace(/\*\*(.+?)\*\*/g, '$1')
+            .replace(/(^|[\s(])\*([^*\n]+)\*(?=[\s).,:;!?]|$)/gm, '$1$2')
+            .replace(/(^|[\s(])_([^_\n]+)_(?=[\s).,:;!?]|$)/gm, '$1$2')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1 ($2)');
+    }
+
+    /**
+     * Drop quoted history and the signature from a reply
+     * Keeps what the sender actually wrote: everything before "On ... wrote:",
+     * an "Original Message" divider or the "-- " signature marker, minus
+     * ">" quoted lines.
+     * @param {string} text - Plain-text body
+     * @returns {string}
+     */
+    static stripQuoted(text) {
+        const kept = [];
+        for (const line of String(text || '').replace(/\r\n/g, '\n').split('\n')) {
+            if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line) || line === '-- ') {
+                break;
+            }
+            if (line.startsWith('>')) continue;
+            kept.push(line);
+        }
+        return kept.join('\n').trim();
+    }
+
+    /**
+     * Strip "Re:" / "Fwd:" prefixes from a subject
+     * @param {string} subject - Email subject
+     * @returns {string}
+     */
+    static cleanSubject(subject) {
+        return String(subject || '').replace(/^(\s*(re|fw|fwd)\s*:\s*)+/i, '').trim();
+    }
+
+    /**
+     * The text an email stands for: what the sender wrote, or the subject
+     * when the body is empty ("Subject: expenses" with no body works)
+     * @param {string} subject - Email subject
+     * @param {string} body - Plain-text body
+     * @returns {string}
+     */
+    static toMessageText(subject, body) {
+        return EmailHandler.stripQuoted(body) || EmailHandler.cleanSubject(subject);
+    }
+
+    /**
+     * Pick the skill an incoming attachment goes to
+     * @param {{contentType: string}} attachment
+     * @returns {string|null} Skill name, or null if nothing handles it
+     */
+    static routeAttachment(attachment) {
+        const type = String(attachment?.contentType || '').toLowerCase();
+        const route = ATTACHMENT_ROUTES.find(r => r.match(type));
+        return route ? route.skill : null;
+    }
+
+    /**
+     * Check if an email was sent by a machine (auto-replies, lists, bounces)
+     * These are never answered, which keeps two bots from replying forever.
+     * @param {Object} parsed - mailparser result
+     * @returns {boolean}
+     */
+    static isAutomated(parsed) {
+        const header = name => String(parsed.headers?.get?.(name) || '').toLowerCase();
+        const autoSubmitted = header('auto-submitted');
+        return (!!autoSubmitted && autoSubmitted !== 'no') ||
+            ['bulk', 'list', 'junk', 'auto_reply'].includes(header('precedence')) ||
+            /^(mailer-daemon|postmaster|no-?reply)@/i.test(EmailHandler.normalizeAddress(parsed.from?.value?.[0]?.address));
+    }
+
+    /**
+     * Check that the receiving server vouched for the sender's domain
+     * Reads the Authentication-Results header added by the server that took
+     * delivery: the one from EMAIL_AUTHSERV_ID when set, else the topmost
+     * (headers further down may have come with the message). Passes on
+     * dmarc=pass, or dkim=pass signed by the From domain or a parent of it.
+     * @param {Object} parsed - mailparser result
+     * @param {string} address - Sender address from the From header
+     * @returns {boolean}
+     */
+    static isAuthenticated(parsed, address) {
+        const sender = EmailHandler.normalizeAddress(address);
+        const fromDomain = sender.substring(sender.indexOf('@') + 1);
+        if (!fromDomain) return false;
+
+        const results = [].concat(parsed.headers?.get?.('authentication-results') || [])
+            .map(value => String(value).toLowerCase());
+        const authservId = (process.env.EMAIL_AUTHSERV_ID || '').trim().toLowerCase();
+        const trusted = authservId
+            ? results.find(value => value.split(';')[0].trim().split(/\s+/)[0] === authservId)
+            : results[0];
+        if (!trusted) return false;
+
+        const signedBy = domain => domain === fromDomain || fromDomain.endsWith(`.${domain}`);
+        return trusted.split(';').slice(1).some(result => {
+            const method = result.trim().match(/^(dkim|dmarc)\s*=\s*(\w+)/);
+            if (!method || method[2] !== 'pass') return false;
+            if (method[1] === 'dmarc') {
+                const headerFrom = result.match(/header\.from=([^\s;]+)/);
+                return !headerFrom || headerFrom[1] === fromDomain;
+            }
+            const headerD = result.match(/header\.d=([^\s;]+)/);
+            return !!headerD && signedBy(headerD[1]);
+        });
+    }
+
+    // ============================================================
+    // RECEIVING
+    // ============================================================
+
+    /**
+     * Parse a raw RFC 822 message and save its attachments
+     * @param {Buffer|string} source - Raw message
+     * @returns {Promise<Object|null>} Email ({ from, subject, text, attachments, ... }), or null if skipped
+     */
+    async parseMessage(source) {
+        const { simpleParser } = require('mailparser');
+        const parsed = await simpleParser(source);
+        const sender = parsed.from?.value?.[0] || {};
+        const messageId = parsed.messageId || null;
+
+        if (messageId && this.seenIds.has(messageId)) {
+            return null;
+        }
+        if (messageId) {
+            this.seenIds.add(messageId);
+            if (this.seenIds.size > MAX_SEEN_IDS) {
+                this.seenIds.delete(this.seenIds.values().next().value);
+            }
+        }
+
+        return {
+            from: { address: EmailHandler.normalizeAddress(sender.address), name: sender.name || null },
+            subject: parsed.subject || '',
+            text: parsed.text || '',
+            messageId,
+            references: [].concat(parsed.references || []),
+            date: parsed.date || null,
+            automated: EmailHandler.isAutomated(parsed),
+            authenticated: EmailHandler.isAuthenticated(parsed, sender.address),
+            attachments: this.saveAttachments(parsed.attachments || [])
+        };
+    }
+
+    /**
+     * Save attachments under an unguessable token and give each a URL
+     * @param {Array} attachments - mailparser attachments
+     * @returns {Array<{filename: string, contentType: string, size: number, path: string, url: string}>}
+     */
+    saveAttachments(attachments) {
+        const saved = [];
+        const baseUrl = (process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+        for (const attachment of attachments) {
+            if (attachment.related || !attachment.content) continue; // inline images in HTML bodies
+            if (attachment.size > MESSAGE_LIMITS.ATTACHMENT_SIZE) {
+                console.log(`[Email] Skipped attachment over ${MESSAGE_LIMITS.ATTACHMENT_SIZE / 1024 / 1024}MB: ${attachment.filename}`);
+                continue;
+            }
+
+            const token = crypto.randomBytes(16).toString('hex');
+            const filename = path.basename(attachment.filename || 'attachment').replace(/[^\w.-]+/g, '_');
+            const dir = path.join(this.attachmentsDir, token);
+
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, filename), attachment.content);
+
+            saved.push({
+                filename,
+                contentType: String(attachment.contentType || 'application/octet-stream').toLowerCase(),
+                size: attachment.size || attachment.content.length,
+                path: path.join(dir, filename),
+                url: `${baseUrl}${this.attachmentsPath}/${token}/${encodeURIComponent(filename)}`
+            });
+        }
+
+        return saved;
+    }
+
+    /**
+     * Resolve a served attachment to its file (for the Express route)
+     * @param {string} token - Token from the URL
+     * @param {string} filename - File name from the URL
+     * @returns {string|null} File path, or null if it doesn't exist
+     */
+    getAttachmentPath(token, filename) {
+        if (!/^[a-f0-9]{32}$/.test(String(token))) return null;
+        const file = path.join(this.attachmentsDir, token, path.basename(String(filename)));
+        return fs.existsSync(file) ? file : null;
+    }
+
+    /**
+     * Remember the email a sender's thread continues from
+     * @param {Object} email - Email from parseMessage
+     */
+    trackThread(email) {
+        const now = Date.now();
+        for (const [address, thread] of this.threads) {
+            if (now - thread.at > THREAD_TTL_MS) this.threads.delete(address);
+        }
+        if (!email.from?.address) return;
+
+        this.threads.set(email.from.address, {
+            messageId: email.messageId,
+            references: [...email.references, email.messageId].filter(Boolean),
+            subject: EmailHandler.cleanSubject(email.subject),
+            at: now
+        });
+    }
+
+    /**
+     * Get the thread a reply to this address should continue
+     * @param {string} address - Recipient address
+     * @returns {Object|null} { messageId, references, subject }
+     */
+    getThread(address) {
+        const thread = this.threads.get(EmailHandler.normalizeAddress(address));
+        if (!thread || Date.now() - thread.at > THREAD_TTL_MS) {
+            return null;
+        }
+        return thread;
+    }
+
+    /**
+     * Poll the inbox once
+     * @param {Function} [onEmail] - async (email) => void, called per new message
+     *                               (default: the startPolling callback)
+     * @returns {Promise<number>} Number of messages handed to onEmail
+     */
+    async pollOnce(onEmail = this.onEmail) {
+        if (this.polling || !onEmail) return 0;
+        this.polling = true;
+        try {
+            return this.maildir ? await this.pollMaildir(onEmail) : await this.pollImap(onEmail);
+        } catch (error) {
+            console.error('[Email] Poll failed:', error.message);
+            return 0;
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Read new messages from the maildir, moving each to cur/ once handled
+     * @param {Function} onEmail - async (email) => void
+     * @returns {Promise<number>}
+     */
+    async pollMaildir(onEmail) {
+        const newDir = path.join(this.maildir, 'new');
+        const curDir = path.join(this.maildir, 'cur');
+        if (!fs.existsSync(newDir)) return 0;
+        fs.mkdirSync(curDir, { recursive: true });
+
+        let count = 0;
+        for (const name of fs.readdirSync(newDir).sort()) {
+            if (name.startsWith('.')) continue;
+            const file = path.join(newDir, name);
+            const source = fs.readFileSync(file);
+
+            // Mark as seen first, so a message that breaks a handler isn't retried forever
+            fs.renameSync(file, path.join(curDir, `${name.split(':')[0]}:2,S`));
+
+            const email = await this.parseMessage(source);
+            if (!email) continue;
+            await onEmail(email);
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Fetch unseen messages over IMAP and flag them as seen
+     * @param {Function} onEmail - async (email) => void
+     * @returns {Promise<number>}
+     */
+    async pollImap(onEmail) {
+        if (!this.imap.host) return 0;
+
+        const { ImapFlow } = require('imapflow');
+        const client = new ImapFlow({
+            host: this.imap.host,
+            port: this.imap.port,
+            secure: this.imap.port === 993,
+            auth: { user: this.imap.user, pass: this.imap.pass },
+            logger: false
+        });
+
+        let count = 0;
+        await client.connect();
+        try {
+            const lock = await client.getMailboxLock(this.imap.mailbox);
+            try {
+                const uids = (await client.search({ seen: false }, { uid: true })) || [];
+                for (const uid of uids) {
+                    const message = await client.fetchOne(uid, { source: true }, { uid: true });
+                    await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+                    if (!message?.source) continue;
+
+                    const email = await this.parseMessage(message.source);
+                    if (!email) continue;
+                    await onEmail(email);
+                    count++;
+                }
+            } finally {
+                lock.release();
+            }
+        } finally {
+            await client.logout().catch(() => {});
+        }
+        return count;
+    }
+
+    /**
+     * Start polling the inbox on an interval
+     * @param {Function} onEmail - async (email) => void
+     * @returns {boolean} True if polling started
+     */
+    startPolling(onEmail) {
+        if (this.pollTimer || !this.canReceive()) return false;
+
+        this.onEmail = onEmail;
+        const poll = () => this.pollOnce().then(count => {
+            if (count > 0) console.log(`[Email] Processed ${count} new message(s)`);
+        });
+
+        this.pollTimer = setInterval(poll, this.pollIntervalMs);
+        if (this.pollTimer.unref) this.pollTimer.unref();
+        poll();
+
+        console.log(`[Email] Polling ${this.maildir ? `maildir ${this.maildir}` : `${this.imap.host}/${this.imap.mailbox}`} every ${this.pollIntervalMs / 1000}s`);
+        return true;
+    }
+
+    /**
+     * Stop polling the inbox
+     */
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    // ============================================================
+    // SENDING (SMTP)
+    // ============================================================
+
+    /**
+     * Get (or create) the SMTP transport
+     * @returns {Object} nodemailer transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            const nodemailer = require('nodemailer');
+            this.transport = nodemailer.createTransport({
+                host: this.smtp.host,
+                port: this.smtp.port,
+                secure: this.smtp.secure,
+                auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.pass } : undefined
+            });
+        }
+        return this.transport;
+    }
+
+    /**
+     * Send an email
+     * @param {Object} mail
+     * @param {string} mail.to - Recipient address
+     * @param {string} mail.subject - Subject
+     * @param {string} mail.text - Body (bot Markdown - sent as plain text)
+     * @param {Array<{filename: string, path: string}>} [mail.attachments] - Files to attach
+     * @param {string} [mail.inReplyTo] - Message-ID this answers
+     * @param {string[]} [mail.references] - Thread Message-IDs
+     * @returns {Promise<Object|null>} nodemailer info ({ messageId }) or null if failed
+     */
+    async sendEmail({ to, subject, text, attachments = [], inReplyTo = null, references = [] }) {
+        const recipient = EmailHandler.normalizeAddress(to);
+
+        if (!this.isAvailable()) {
+            console.log('[Mock] Would send Email:', String(subject || text).substring(0, 50) + '...');
+            return null;
+        }
+        if (!recipient) {
+            console.error('[Email] No recipient address provided');
+            return null;
+        }
+
+        try {
+            const info = await this.getTransport().sendMail({
+                from: this.from,
+                to: recipient,
+                subject: String(subject || DEFAULT_SUBJECT).substring(0, MESSAGE_LIMITS.SUBJECT * 2),
+                text: EmailHandler.toPlainText(text),
+                attachments: attachments.map(a => ({ filename: a.filename || path.basename(a.path), path: a.path })),
+                ...(inReplyTo ? { inReplyTo, references } : {})
+            });
+
+            console.log(`[${new Date().toISOString()}] Email sent to ${recipient}`);
+            return info;
+        } catch (error) {
+            console.error('Error sending email:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Send a message as an email, threaded onto the sender's last email
+     * While a reply is open for the recipient (beginReply) the text is
+     * collected instead, and sent as one email by flushReply.
+     * @param {string} recipient - Address
+     * @param {string} text - Message text
+     * @param {Object} [options] - subject / attachments overrides
+     * @returns {Promise<Object|null>} nodemailer info, { queued: true } or null
+     */
+    async sendMessage(recipient, text, options = {}) {
+        const address = EmailHandler.normalizeAddress(recipient);
+        const reply = this.replies.get(address);
+        if (reply && !options.attachments) {
+            reply.push(String(text));
+            return { queued: true };
+        }
+
+        const thread = this.getThread(address);
+        const subject = options.subject ||
+            (thread?.subject ? `Re: ${thread.subject}` : `${DEFAULT_SUBJECT}: ${String(text).split('\n')[0].substring(0, 60)}`);
+
+        return this.sendEmail({
+            to: address,
+            subject,
+            text,
+            attachments: options.attachments || [],
+            inReplyTo: thread?.messageId || null,
+            references: thread?.references || []
+        });
+    }
+
+    /**
+     * Start collecting messages to an address into one reply
+     * @param {string} recipient - Address
+     */
+    beginReply(recipient) {
+        this.replies.set(EmailHandler.normalizeAddress(recipient), []);
+    }
+
+    /**
+     * Send everything collected since beginReply as one email
+     * @param {string} recipient - Address
+     * @returns {Promise<Object|null>} nodemailer info, or null if there was nothing to send
+     */
+    async flushReply(recipient) {
+        const address = EmailHandler.normalizeAddress(recipient);
+        const parts = this.replies.get(address);
+        this.replies.delete(address);
+
+        if (!parts || parts.length === 0) return null;
+        return this.sendMessage(address, parts.join('\n\n'));
+    }
+}
+
+// ============================================================================
+// Singleton Pattern (mirrors telegram-handler.js)
+// ============================================================================
+
+let emailHandlerInstance = null;
+
+/**
+ * Get or create the email handler singleton
+ * @returns {EmailHandler} The singleton instance
+ */
+function getEmailHandler() {
+    if (!emailHandlerInstance) {
+        emailHandlerInstance = new EmailHandler();
+    }
+    return emailHandlerInstance;
+}
+
+module.exports = {
+    EmailHandler,
+    getEmailHandler,
+    MESSAGE_LIMITS
+};
@@ -16,6 +16,14 @@ const app = express();
 const port = process.env.PORT || 3000;
 
 // Middleware
+// Slack signs the raw body of both events (JSON) and interactivity (form-encoded),
+// so its parsers must run before the global ones and keep the raw body
+const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+};
+app.use('/slack', bodyParser.json({ verify: keepRawBody }), bodyParser.urlencoded({ extended: false, verify: keepRawBody }));
+app.use('/discord', bodyParser.json({ verify: keepRawBody }));
+
 app.use(bodyParser.urlencoded({ extended: false }));
 
 // GitHub webhook needs raw body for signature verification
@@ -43,15 +51,29 @@ app.use((req, res, next) => {
 const aiHandler = require('./ai-handler');
 const githubWebhook = require('./github-webhook');
 const { getTelegramHandler, TelegramHandler } = require('./telegram-handler');
+const { getSlackHandler, SlackHandler } = require('./slack-handler');
+const { getDiscordHandler, INTERACTION_TYPES, RESPONSE_TYPES, EPHEMERAL } = require('./discord-handler');
+const discordCommands = require('./lib/discord-commands');
+const { getEmailHandler, EmailHandler } = require('./email-handler');
 const MessagingPlatform = require('./lib/messaging-platform');
 const chatRegistry = require('./lib/chat-registry');
 const activeProject = require('./lib/active-project');
 const ActionButtons = require('./lib/action-buttons');
 const statusMessenger = require('./lib/status-messenger');
+const accessControl = require('./lib/access-control');
 
 // Get Telegram handler singleton
 const telegramHandler = getTelegramHandler();
 
+// Get Slack handler singleton
+const slackHandler = getSlackHandler();
+
+// Get Discord handler singleton
+const discordHandler = getDiscordHandler();
+
+// Get email handler singleton
+const emailHandler = getEmailHandler();
+
 // Import new systems (with graceful fallback if not installed)
 let memory = null;
 let skillRegistry = null;
@@ -108,6 +130,7 @@ try {
     }).then(() => {
         console.log('✅ Skills framework loaded');
         console.log(`   Registered skills: ${skillRegistry.listSkills().map(s => s.name).join(', ')}`);
+        return registerDiscordCommands();
     }).catch(err => {
         console.log('⚠️  Skills loading error:', err.message);
     });
@@ -207,11 +230,17 @@ async function sendTelegramMessage(message, chatId = null) {
     }
 }
 
+// Send email function (alert escalation tier) - goes to ALERT_EMAIL
+async function sendAlertEmail(message, subject = 'ClawdBot alert') {
+    return emailHandler.sendEmail({ to: process.env.ALERT_EMAIL, subject, text: message });
+}
+
 // Initialize Alert Escalation with message senders
 if (alertEscalation) {
     alertEscalation.initialize({
         telegram: sendTelegramMessage,
-        whatsapp: sendWhatsAppMessage
+        whatsapp: sendWhatsAppMessage,
+        email: emailHandler.isAvailable() && process.env.ALERT_EMAIL ? sendAlertEmail : null
     });
     console.log('✅ Alert Escalation senders configured');
 }
@@ -258,6 +287,13 @@ async function sendProactiveMessage(message, alertLevel = 'info') {
 try {
     const { getScheduler } = require('./scheduler');
     scheduler = getScheduler(memory, sendProactiveMessage);
+    // User schedules and reminders post back to the chat they belong to
+    scheduler.setChatSender((message, platform, chatId, buttons) => {
+        const target = platform || chatRegistry.detectPlatform(chatId);
+        return buttons
+            ? MessagingPlatform.sendWithButtons(message, target, chatId, buttons)
+            : MessagingPlatform.sendToRecipient(message, target, chatId);
+    });
     scheduler.start().then(() => {
         console.log('✅ Scheduler started (Telegram primary, WhatsApp backup)');
     }).catch(err => {
@@ -398,7 +434,7 @@ app.post('/api/message', apiAuth, async (req, res) => {
         // Save response and extract facts
         if (memory) {
             memory.saveMessage(effectiveUserId, 'assistant', response);
-            extractAndSaveFacts(effectiveUserId, cleanMessage);
+            queueMemoryCandidates(effectiveUserId, cleanMessage);
         }
 
         res.json({
@@ -557,6 +593,25 @@ app.get('/api/memory', apiAuth, (req, res) => {
     }
 });
 
+// GET /api/ai/budget - AI spend vs limits, burn rate and provider breakdown
+app.get('/api/ai/budget', apiAuth, (req, res) => {
+    try {
+        const aiBudget = require('./lib/ai-budget');
+        const userId = req.query.userId || process.env.YOUR_WHATSAPP;
+        const chatId = req.query.chatId || userId;
+
+        res.json({
+            success: true,
+            userId,
+            ...aiBudget.getSummary({ userId, chatId }),
+            overallBurnRate: aiBudget.getBurnRate(),
+            configuredLimits: aiBudget.getLimits()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // POST /api/whatsapp/send - Send WhatsApp message directly
 app.post('/api/whatsapp/send', apiAuth, async (req, res) => {
     try {
@@ -598,6 +653,51 @@ app.get('/api/skills', apiAuth, (req, res) => {
     }
 });
 
+// POST /api/skills/:name/:action - Enable, disable or reload a skill at runtime
+// Body: { chatId } to apply enable/disable to a single chat instead of globally
+app.post('/api/skills/:name/:action', apiAuth, async (req, res) => {
+    try {
+        const skillLoader = require('./skills/skill-loader');
+        const chatRegistry = require('./lib/chat-registry');
+        const { name, action } = req.params;
+        const { chatId } = req.body || {};
+
+        if (!['enable', 'disable', 'reload'].includes(action)) {
+            return res.status(400).json({ error: `Unknown action '${action}'. Use enable, disable or reload` });
+        }
+
+        if (!skillRegistry?.hasSkill(name) && !skillLoader.findSkillDir(name)) {
+            return res.status(404).json({ error: `Skill '${name}' not found` });
+        }
+
+        // Per-chat override
+        if (chatId && action !== 'reload') {
+            if (action === 'disable' && skillLoader.PROTECTED_SKILLS.includes(name)) {
+                return res.status(400).json({ error: `Skill '${name}' cannot be disabled` });
+            }
+            const overrides = chatRegistry.setSkillOverride(chatId, name, action === 'enable');
+            return res.json({ success: true, skill: name, action, chatId, overrides });
+        }
+
+        let ok;
+        if (action === 'enable') {
+            ok = !!(await skillLoader.enableSkill(name));
+        } else if (action === 'disable') {
+            ok = await skillLoader.disableSkill(name);
+        } else {
+            ok = !!(await skillLoader.reloadSkill(name));
+        }
+
+        if (!ok) {
+            return res.status(400).json({ error: `Failed to ${action} skill '${name}'` });
+        }
+
+        res.json({ success: true, skill: name, action, loaded: skillRegistry?.hasSkill(name) || false });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET /api/logs - Get recent activity logs
 app.get('/api/logs', apiAuth, (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
@@ -658,10 +758,11 @@ app.get('/api/live/state', apiAuth, (req, res) => {
     }];
 
     for (const [taskId, running] of taskQueue.running) {
+        const isClaudeCode = running.task?.type === 'claude_code_session';
         agents.push({
             id: taskId,
-            name: 'Claude Code Session',
-            type: 'claude-code',
+            name: isClaudeCode ? 'Claude Code Session' : `Queued job (${running.task?.type})`,
+            type: isClaudeCode ? 'claude-code' : 'queue-job',
             status: 'running',
             startedAt: running.startTime,
             pid: running.pid || null,
@@ -794,6 +895,89 @@ app.get('/api/live/deployments', apiAuth, (req, res) => {
     res.json({ success: true, count: deployments.length, deployments });
 });
 
+// GET /api/scheduler/runs - Scheduled job run history, plus the jobs themselves
+app.get('/api/scheduler/runs', apiAuth, async (req, res) => {
+    if (!scheduler) return res.json({ success: true, count: 0, runs: [], jobs: [] });
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const jobId = req.query.jobId ? parseInt(req.query.jobId) : null;
+    const status = req.query.status || null;
+
+    try {
+        const runs = scheduler.getRuns({ jobId, status, limit });
+        const jobs = (await scheduler.listAll()).map(job => ({
+            id: job.id,
+            name: job.name,
+            handler: job.handler,
+            cron: job.cron_expression,
+            timezone: job.timezone || scheduler.timezone,
+            enabled: Boolean(job.enabled),
+            catchUp: scheduler.getCatchUpPolicy(job),
+            lastRun: job.last_run,
+            nextRun: job.next_run,
+            runCount: job.run_count || 0,
+            lastError: job.last_error || null
+        }));
+
+        res.json({ success: true, count: runs.length, runs, jobs });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/expenses/export - Expense ledger for the accountant
+// ?period=last quarter (or "all") &company=GMH &format=csv|xero|quickbooks|zip
+app.get('/api/expenses/export', apiAuth, async (req, res) => {
+    const expenseExport = require('./lib/expense-export');
+    const { parseDateRange, clarifyCommands } = require('./lib/date-parser');
+
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!expenseExport.FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: `format must be one of: ${expenseExport.FORMATS.join(', ')}` });
+    }
+
+    const company = req.query.company ? String(req.query.company).toUpperCase() : null;
+    if (company && !chatRegistry.COMPANY_CODES[company]) {
+        return res.status(400).json({ success: false, error: `Unknown company: ${company}` });
+    }
+
+    const period = String(req.query.period || '').trim();
+    if (!period) {
+        return res.status(400).json({ success: false, error: 'period is required, e.g. "last month", "Q1 2026" or "all"' });
+    }
+    let range = null;
+    if (!/^(all|everything)$/i.test(period)) {
+        range = parseDateRange(period);
+        if (!range || range.ambiguous) {
+            return res.status(400).json({
+                success: false,
+                error: range ? range.question : `Couldn't read the period "${period}"`,
+                periods: range ? clarifyCommands(period, range) : undefined
+            });
+        }
+    }
+
+    try {
+        const { files, unconverted } = await expenseExport.exportExpenses({ from: range?.from || null, to: range?.to || null, company }, [format]);
+        if (files.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: format === 'zip' ? 'No receipt images for that period' : 'No expenses for that period'
+            });
+        }
+        const [file] = files;
+        // Bank imports leave out expenses with no rate to GBP - say which
+        if ((format === 'xero' || format === 'quickbooks') && unconverted.length > 0) {
+            res.set('X-Unconverted-Expenses', unconverted.join(','));
+        }
+        res.attachment(file.filename);
+        res.type(file.contentType);
+        res.send(file.content);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ================================================
 // END API ENDPOINTS
 // ================================================
@@ -1288,7 +1472,8 @@ app.post('/telegram', async (req, res) => {
         processMessageAsync(text, chatId, chatId, {
             numMedia: mediaInfo.numMedia,
             mediaUrl: mediaInfo.mediaUrl,
-            mediaContentType: mediaInfo.mediaContentType
+            mediaContentType: mediaInfo.mediaContentType,
+            senderId: message.from?.id?.toString()
         }, 'telegram')
             .catch(err => console.error('[Telegram Async] Error:', err.message));
 
@@ -1301,6 +1486,307 @@ app.post('/telegram', async (req, res) => {
     }
 });
 
+// Dedup cache for Slack event IDs (Slack retries events it thinks timed out)
+const recentSlackEventIds = new Map();
+function isDuplicateSlackEvent(eventId) {
+    if (!eventId) return false;
+    if (recentSlackEventIds.has(eventId)) return true;
+    recentSlackEventIds.set(eventId, Date.now());
+    if (recentSlackEventIds.size > 200) {
+        const cutoff = Date.now() - 5 * 60 * 1000;
+        for (const [id, time] of recentSlackEventIds) {
+            if (time < cutoff) recentSlackEventIds.delete(id);
+        }
+    }
+    return false;
+}
+
+// Slack endpoint - Events API (JSON) and interactivity (form-encoded "payload")
+app.post('/slack', async (req, res) => {
+    try {
+        if (!slackHandler.verifyRequest(req)) {
+            console.log('[Slack] Rejected request with invalid signature');
+            return res.status(401).send('Invalid signature');
+        }
+
+        // Button clicks (Block Kit interactivity)
+        if (req.body.payload) {
+            const payload = JSON.parse(req.body.payload);
+            const action = payload.actions?.[0];
+            const channelId = payload.channel?.id || payload.container?.channel_id;
+            const messageTs = payload.message?.ts || payload.container?.message_ts;
+
+            // Acknowledge within Slack's 3 second window
+            res.status(200).send('');
+
+            if (payload.type !== 'block_actions' || !action || !channelId) {
+                return;
+            }
+            if (action.url && !action.value) {
+                return; // Link buttons open in the browser, nothing to do
+            }
+            if (!slackHandler.isAuthorized(channelId, payload.user?.id)) {
+                console.log(`[Slack] Unauthorized button click: ${payload.user?.id} in ${channelId}`);
+                return;
+            }
+
+            console.log(`[${new Date().toISOString()}] Slack callback: "${action.value}" from ${channelId}`);
+
+            const threadTs = payload.message?.thread_ts || null;
+            const ctx = {
+                senderId: payload.user?.id,
+                platform: 'slack',
+                answerCbQuery: async () => {},
+                editMessageText: async (text, options = {}) => {
+                    if (messageTs) {
+                        await slackHandler.editMessage(channelId, messageTs, text, options.reply_markup?.inline_keyboard);
+                    }
+                },
+                sendReply: text => slackHandler.sendMessage(SlackHandler.formatRecipient(channelId, threadTs), text)
+            };
+
+            handleTelegramCallback(action.value, channelId, ctx)
+                .catch(err => console.error('[Slack Callback Async] Error:', err.message));
+            return;
+        }
+
+        // Events API URL verification handshake
+        if (req.body.type === 'url_verification') {
+            return res.status(200).json({ challenge: req.body.challenge });
+        }
+
+        if (req.body.type !== 'event_callback' || !req.body.event) {
+            return res.status(200).send('');
+        }
+
+        // Respond to Slack immediately; it retries after 3 seconds
+        res.status(200).send('');
+
+        if (isDuplicateSlackEvent(req.body.event_id)) {
+            console.log(`[Slack] Duplicate event ignored: ${req.body.event_id}`);
+            return;
+        }
+
+        const event = req.body.event;
+
+        // Mentions in channels, and direct messages. Ignore edits, joins and bots (including ourselves)
+        const isMention = event.type === 'app_mention';
+        const isDirect = event.type === 'message' && event.channel_type === 'im';
+        if (!isMention && !isDirect) return;
+        if (event.subtype || event.bot_id) return;
+
+        const incoming = MessagingPlatform.MessagingPlatform.normalizeIncoming('slack', req.body);
+
+        console.log(`[${new Date().toISOString()}] Slack: "${incoming.text}" from ${incoming.slackUserId} in ${incoming.userId}`);
+
+        if (!slackHandler.isAuthorized(incoming.userId, incoming.slackUserId)) {
+            console.log(`[Slack] Unauthorized: ${incoming.slackUserId} in ${incoming.userId}`);
+            return;
+        }
+
+        // Replies go to the thread carried by fromNumber ("channel:threadTs")
+        processMessageAsync(incoming.text, incoming.fromNumber, incoming.userId, {
+            numMedia: incoming.numMedia,
+            mediaUrl: incoming.mediaUrl,
+            mediaContentType: incoming.mediaType,
+            senderId: incoming.slackUserId
+        }, 'slack')
+            .catch(err => console.error('[Slack Async] Error:', err.message));
+
+        return;
+    } catch (error) {
+        console.error('Error in Slack webhook:', error);
+        if (!res.headersSent) {
+            res.status(200).send('');
+        }
+    }
+});
+
+// Discord endpoint - interactions: slash commands (generated from the skill
+// registry) and button clicks. Must answer within 3 seconds, so work is deferred.
+app.post('/discord', async (req, res) => {
+    try {
+        if (!discordHandler.verifyRequest(req)) {
+            console.log('[Discord] Rejected request with invalid signature');
+            return res.status(401).send('Invalid request signature');
+        }
+
+        const interaction = req.body;
+
+        // Endpoint verification / health check from Discord
+        if (interaction.type === INTERACTION_TYPES.PING) {
+            return res.json({ type: RESPONSE_TYPES.PONG });
+        }
+
+        const channelId = interaction.channel_id || interaction.channel?.id;
+        const discordUserId = (interaction.member?.user || interaction.user || {}).id;
+
+        if (!channelId || !discordHandler.isAuthorized(channelId, discordUserId)) {
+            console.log(`[Discord] Unauthorized: ${discordUserId} in ${channelId}`);
+            return res.json({
+                type: RESPONSE_TYPES.CHANNEL_MESSAGE,
+                data: { content: 'You are not authorized to use this bot here.', flags: EPHEMERAL }
+            });
+        }
+
+        // Button clicks - same callback handling as Telegram inline keyboards
+        if (interaction.type === INTERACTION_TYPES.MESSAGE_COMPONENT) {
+            const callbackData = interaction.data?.custom_id;
+            res.json({ type: RESPONSE_TYPES.DEFERRED_UPDATE_MESSAGE });
+
+            console.log(`[${new Date().toISOString()}] Discord callback: "${callbackData}" from ${channelId}`);
+
+            const ctx = {
+                senderId: discordUserId,
+                platform: 'discord',
+                answerCbQuery: async () => {},
+                editMessageText: async (text, options = {}) => {
+                    await discordHandler.editInteractionMessage(interaction.token, text, options.reply_markup?.inline_keyboard);
+                },
+                sendReply: text => discordHandler.sendFollowUp(interaction.token, text)
+            };
+
+            handleTelegramCallback(callbackData, channelId, ctx)
+                .catch(err => console.error('[Discord Callback Async] Error:', err.message));
+            return;
+        }
+
+        if (interaction.type !== INTERACTION_TYPES.APPLICATION_COMMAND) {
+            return res.status(400).send('Unsupported interaction type');
+        }
+
+        // Turn "/currency convert amount:100 from:USD" back into "convert 100 USD"
+        const commandText = skillRegistry ? discordCommands.interactionToText(skillRegistry, interaction.data) : null;
+        if (!commandText) {
+            return res.json({
+                type: RESPONSE_TYPES.CHANNEL_MESSAGE,
+                data: { content: `Unknown command: /${interaction.data?.name}`, flags: EPHEMERAL }
+            });
+        }
+
+        // "Bot is thinking..." - the first reply replaces it
+        res.json({ type: RESPONSE_TYPES.DEFERRED_CHANNEL_MESSAGE });
+        discordHandler.trackInteraction(interaction);
+
+        const incoming = MessagingPlatform.MessagingPlatform.normalizeIncoming('discord', { ...interaction, commandText });
+
+        console.log(`[${new Date().toISOString()}] Discord: "/${incoming.commandName}" -> "${incoming.text}" from ${incoming.discordUserId} in ${incoming.userId}`);
+
+        processMessageAsync(incoming.text, incoming.fromNumber, incoming.userId, {
+            numMedia: 0,
+            mediaUrl: null,
+            mediaContentType: null,
+            senderId: incoming.discordUserId,
+            // Slash commands outside a server come from DMs
+            isGroup: !!incoming.guildId
+        }, 'discord')
+            .catch(err => console.error('[Discord Async] Error:', err.message));
+
+        return;
+    } catch (error) {
+        console.error('Error in Discord webhook:', error);
+        if (!res.headersSent) {
+            res.status(500).send('Internal Server Error');
+        }
+    }
+});
+
+/**
+ * Register slash commands for the loaded skills with Discord
+ * Runs after the skills framework has loaded; a no-op unless DISCORD_BOT_TOKEN
+ * and DISCORD_APPLICATION_ID are set.
+ */
+async function registerDiscordCommands() {
+    if (!skillRegistry || !discordHandler.isAvailable() || !discordHandler.applicationId) {
+        return;
+    }
+
+    const commands = discordCommands.buildCommands(skillRegistry);
+    const count = await discordHandler.registerCommands(commands);
+    if (count > 0) {
+        console.log(`   [Discord] Registered ${count} slash commands${discordHandler.guildId ? ` in guild ${discordHandler.guildId}` : ''}`);
+    }
+}
+
+// Email attachments - served so media skills can download them like Twilio/Telegram media
+app.get(`${emailHandler.getAttachmentsPath()}/:token/:filename`, (req, res) => {
+    const file = emailHandler.getAttachmentPath(req.params.token, req.params.filename);
+    if (!file) {
+        return res.status(404).send('Not found');
+    }
+    res.sendFile(file);
+});
+
+/**
+ * Handle one incoming email (called by the email handler's inbox polling)
+ * PDF and image attachments go straight to document-analyzer / receipts;
+ * an email without them is processed like a chat message. Everything sent
+ * back while it is handled goes out as one reply in the sender's thread.
+ * @param {Object} email - Parsed email (see email-handler parseMessage)
+ */
+async function handleIncomingEmail(email) {
+    const incoming = MessagingPlatform.MessagingPlatform.normalizeIncoming('email', email);
+    if (!incoming.userId) return;
+
+    console.log(`[${new Date().toISOString()}] Email: "${incoming.subject}" from ${incoming.userId} (${incoming.numMedia} attachment(s))`);
+
+    if (incoming.isAutomated) {
+        console.log(`[Email] Ignored automated message from ${incoming.userId}`);
+        return;
+    }
+    if (!emailHandler.isAuthorized(incoming.userId)) {
+        console.log(`[Email] Unauthorized sender: ${incoming.userId}`);
+        return;
+    }
+    // From: alone proves nothing - the receiving server must have checked DKIM/DMARC
+    if (!email.authenticated) {
+        console.log(`[Email] Ignored ${incoming.userId}: no DKIM or DMARC pass in Authentication-Results`);
+        return;
+    }
+
+    emailHandler.trackThread(email);
+    emailHandler.beginReply(incoming.fromNumber);
+
+    try {
+        const routed = incoming.attachments
+            .map(attachment => ({ attachment, skill: EmailHandler.routeAttachment(attachment) }))
+            .filter(route => route.skill);
+
+        if (routed.length === 0) {
+            await processMessageAsync(incoming.text, incoming.fromNumber, incoming.userId, {
+                numMedia: 0,
+                mediaUrl: null,
+                mediaContentType: null
+            }, 'email');
+            return;
+        }
+
+        for (const { attachment, skill } of routed) {
+            let reply = 'Skills are not available right now.';
+            if (skillRegistry) {
+                const result = await skillRegistry.executeSkill(skill, '', {
+                    userId: incoming.userId,
+                    chatId: incoming.userId,
+                    fromNumber: incoming.fromNumber,
+                    platform: 'email',
+                    memory: memory,
+                    numMedia: 1,
+                    mediaUrl: attachment.url,
+                    mediaContentType: attachment.contentType,
+                    fileName: attachment.filename,
+                    description: incoming.subject
+                });
+                reply = result.message;
+            }
+            await MessagingPlatform.sendToRecipient(`📎 ${attachment.filename}\n\n${reply}`, 'email', incoming.fromNumber);
+        }
+    } catch (error) {
+        console.error('[Email] Error handling message:', error.message);
+    } finally {
+        await emailHandler.flushReply(incoming.fromNumber);
+    }
+}
+
 /**
  * Detect if a text message is a substantial coding instruction that should trigger the plan flow.
  * Same logic as voice detection (codingKeywords + codingContext) but for text.
@@ -1397,10 +1883,69 @@ async function classifyUserResponse(message, pendingAction) {
     return 'clarify';
 }
 
+// Run a confirmed agent step and continue the agent loop
+// If the run pauses at another destructive step, the new confirmation is stored.
+async function runConfirmedAgentStep(pending, userId, confirmContext) {
+    const agentSkill = skillRegistry && skillRegistry.getSkill('agent');
+    if (!agentSkill) {
+        return { success: false, message: 'Agent skill is not loaded' };
+    }
+
+    const result = await agentSkill.executeConfirmed(pending.params, confirmContext);
+
+    if (result.needsApproval && result.approvalData && confirmationManager) {
+        const { action, ...params } = result.approvalData;
+        confirmationManager.setPending(userId, action, params, confirmContext);
+        console.log(`[Agent] Run paused again for ${userId}: ${params.skill} ${params.command}`);
+    }
+
+    return result;
+}
+
+// Drop a paused agent run when its confirmation is declined
+function cancelAgentStep(pending) {
+    if (pending && pending.action === 'agent_step' && skillRegistry) {
+        const agentSkill = skillRegistry.getSkill('agent');
+        if (agentSkill) agentSkill.cancelConfirmed(pending.params);
+    }
+}
+
+// Message handler for Telegram long polling - routes through same pipeline as WhatsApp
+async function handleTelegramMessage(messageData) {
+    const { text, userId, senderId, chatId, numMedia, mediaUrl, mediaContentType } = messageData;
+
+    console.log(`[Telegram] Message from ${senderId || userId}: ${text?.substring(0, 50) || '[media]'}`);
+
+    // Authorization is already checked in telegram-handler.js (isAuthorized)
+    // which covers: individual users, HQ chat, and registered group chats
+    // No duplicate check needed here
+
+    // Build context similar to WhatsApp
+    const context = {
+        userId: String(userId),
+        senderId: senderId ? String(senderId) : undefined,
+        chatId: String(chatId),
+        platform: 'telegram',
+        numMedia: numMedia || 0,
+        mediaUrl: mediaUrl,
+        mediaContentType: mediaContentType
+    };
+
+    try {
+        // Process through the same pipeline as WhatsApp
+        const response = await processMessageForTelegram(text || '', context);
+        return response;
+    } catch (error) {
+        console.error('[Telegram] Error processing message:', error);
+        return 'Sorry, I encountered an error processing your message.';
+    }
+}
+
 // Telegram message processor - returns response text instead of sending
 // Used by the Telegram long-polling handler which sends replies automatically
+// (AI replies that were streamed into the chat return null - already delivered)
 async function processMessageForTelegram(incomingMsg, context) {
-    const { userId, chatId, platform, numMedia, mediaUrl, mediaContentType } = context;
+    const { userId, senderId, chatId, platform, numMedia, mediaUrl, mediaContentType } = context;
     const activityLog = require('./lib/activity-log');
 
     try {
@@ -1495,7 +2040,8 @@ async function processMessageForTelegram(incomingMsg, context) {
         }
 
         // CHECK FOR ACTIVE CONVERSATION CONTEXT (plans, confirmations)
-        if (confirmationManager && confirmationManager.hasPending(userId)) {
+        if (confirmationManager && confirmationManager.hasPending(userId) &&
+            isRequester(confirmationManager.getPending(userId), senderId)) {
             const pending = confirmationManager.getPending(userId);
 
             if (pending && (pending.action === 'voice_plan' || pending.action === 'text_plan')) {
@@ -1509,7 +2055,7 @@ async function processMessageForTelegram(incomingMsg, context) {
 
                     try {
                         // Use the voice skill to transcribe
-                        const voiceSkillContext = { userId, chatId, platform: 'telegram', mediaUrl, mediaContentType, numMedia: 1 };
+                        const voiceSkillContext = { userId, senderId, chatId, platform: 'telegram', mediaUrl, mediaContentType, numMedia: 1 };
                         const voiceResult = await skillRegistry.route('__voice__', voiceSkillContext);
                         if (voiceResult.handled && voiceResult.data?.transcription) {
                             userMessage = voiceResult.data.transcription;
@@ -1642,6 +2188,12 @@ async function processMessageForTelegram(incomingMsg, context) {
 
             if (userIntent === 'confirm') {
                 const confirmed = confirmationManager.confirm(userId);
+                if (confirmed && confirmed.action === 'agent_step') {
+                    const agentResult = await runConfirmedAgentStep(confirmed, userId, {
+                        userId, chatId: chatId || userId, platform: 'telegram', timestamp: new Date()
+                    });
+                    return agentResult.success ? agentResult.message : `❌ ${agentResult.message}`;
+                }
                 if (confirmed && actionExecutor) {
                     const execResult = await actionExecutor.execute(confirmed.action, confirmed.params, confirmed.context);
                     return execResult.success
@@ -1649,6 +2201,7 @@ async function processMessageForTelegram(incomingMsg, context) {
                         : `That didn't work: ${execResult.error || execResult.message}`;
                 }
             } else if (userIntent === 'reject') {
+                cancelAgentStep(pending);
                 confirmationManager.cancel(userId);
                 return "Cancelled. What would you like to do instead?";
             }
@@ -1747,6 +2300,7 @@ async function processMessageForTelegram(incomingMsg, context) {
         if (skillRegistry) {
             const skillContext = {
                 userId,
+                senderId,
                 chatId,
                 platform: 'telegram',
                 mediaUrl,
@@ -1762,6 +2316,19 @@ async function processMessageForTelegram(incomingMsg, context) {
             if (skillResult.handled) {
                 let responseText = skillResult.success ? skillResult.message : `❌ ${skillResult.message}`;
 
+                // APPROVAL FLOW: skill needs a "yes" before it continues
+                if (skillResult.needsApproval && skillResult.approvalData && confirmationManager) {
+                    const { action, ...params } = skillResult.approvalData;
+                    confirmationManager.setPending(userId, action || 'generate-image', params, {
+                        userId,
+                        senderId,
+                        chatId: chatId || userId,
+                        platform: 'telegram',
+                        timestamp: new Date()
+                    });
+                    console.log(`[Approval] Pending confirmation set for ${userId}: ${action}`);
+                }
+
                 // If this was a voice transcription, process it intelligently
                 if (mediaContentType?.startsWith('audio/') && skillResult.success && skillResult.data?.transcription) {
                     const transcript = skillResult.data.transcription;
@@ -1932,6 +2499,7 @@ async function processMessageForTelegram(incomingMsg, context) {
                         // Try skill routing with the routed command
                         const voiceSkillContext = {
                             userId,
+                            senderId,
                             chatId,
                             platform: 'telegram',
                             autoRepo,
@@ -1979,6 +2547,12 @@ async function processMessageForTelegram(incomingMsg, context) {
                 if (memory) {
                     memory.saveMessage(chatId || userId, 'assistant', responseText);
                 }
+
+                // Files (e.g. expense exports) go out with the text, so nothing is left to reply with
+                if (skillResult.documents) {
+                    await MessagingPlatform.sendDocuments(responseText, 'telegram', chatId || userId, skillResult.documents);
+                    return null;
+                }
                 return responseText;
             }
         }
@@ -2009,6 +2583,11 @@ async function processMessageForTelegram(incomingMsg, context) {
                 ? (memory ? memory.getConversationForClaude(chatId || userId, 8) : [])
                 : [];
 
+            // Stream the reply into one Telegram message as it's generated
+            const aiStream = MessagingPlatform.isStreamingEnabled()
+                ? MessagingPlatform.createStreamingReply('telegram', chatId || userId)
+                : null;
+
             const response = await aiHandler.processQuery(processedMsg, {
                 userId,
                 platform: 'telegram',
@@ -2019,8 +2598,14 @@ async function processMessageForTelegram(incomingMsg, context) {
                 autoCompany,
                 conversationHistory: fallbackHistory,
                 richContext,
+                onChunk: aiStream ? (chunk) => aiStream.push(chunk) : undefined,
+                onStreamReset: aiStream ? () => aiStream.reset() : undefined,
             });
 
+            if (aiStream) {
+                await aiStream.finish(response);
+            }
+
             if (memory) {
                 memory.saveMessage(chatId || userId, 'assistant', response);
             }
@@ -2033,7 +2618,7 @@ async function processMessageForTelegram(incomingMsg, context) {
                 }
             } catch (e) { /* ignore */ }
 
-            return response;
+            return aiStream ? null : response;
         }
 
         return "I couldn't process that. Try 'help' to see available commands.";
@@ -2047,6 +2632,7 @@ async function processMessageForTelegram(incomingMsg, context) {
 // Async message processor - runs after webhook responds
 // Supports both WhatsApp (default) and Telegram platforms
 async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext, platform = 'whatsapp') {
+    let aiStream = null; // Progressive reply when the AI fallback streams
     try {
         // Save incoming message to memory (skip empty messages)
         if (memory && incomingMsg && incomingMsg.trim()) {
@@ -2076,7 +2662,8 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
         // HQ chats have no auto-context - must specify or use active project
 
         // CHECK FOR PENDING CONFIRMATIONS FIRST
-        if (confirmationManager && confirmationManager.hasPending(userId)) {
+        if (confirmationManager && confirmationManager.hasPending(userId) &&
+            isRequester(confirmationManager.getPending(userId), mediaContext.senderId)) {
             const confirmResult = confirmationManager.isConfirmation(incomingMsg);
 
             if (confirmResult === 'yes') {
@@ -2119,10 +2706,9 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
                         try {
                             const genResult = await imageGenSkill.executeConfirmed(pending.params, {
                                 userId,
-                                chatId,
+                                chatId: userId,
                                 fromNumber,
                                 platform,
-                                messageId,
                                 timestamp: new Date()
                             });
 
@@ -2141,6 +2727,33 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
                     }
                 }
 
+                // Handle agent loop steps (destructive skill calls)
+                if (pending && pending.action === 'agent_step') {
+                    try {
+                        const agentResult = await runConfirmedAgentStep(pending, userId, {
+                            userId,
+                            chatId: userId,
+                            fromNumber,
+                            platform,
+                            timestamp: new Date()
+                        });
+
+                        const responseText = agentResult.needsApproval
+                            ? agentResult.message
+                            : (agentResult.success
+                                ? statusMessenger.complete(agentResult.message)
+                                : statusMessenger.failed(agentResult.message));
+
+                        await MessagingPlatform.sendToRecipient(responseText, platform, fromNumber);
+                        return;
+                    } catch (err) {
+                        console.error('[Agent] Confirmed step failed:', err.message);
+                        const errorMessage = statusMessenger.failed(err.message, 'Try again or contact support if this persists');
+                        await MessagingPlatform.sendToRecipient(errorMessage, platform, fromNumber);
+                        return;
+                    }
+                }
+
                 // Handle regular action executor confirmations
                 if (pending && actionExecutor) {
                     console.log(`[AutoExec] Executing confirmed action: ${pending.action}`);
@@ -2164,6 +2777,7 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
                         }
                     } catch (e) { /* ignore */ }
                 }
+                cancelAgentStep(pending);
                 confirmationManager.cancel(userId);
                 await MessagingPlatform.sendToRecipient('*Cancelled.* Let me know if you need anything else.', platform, fromNumber);
                 return;
@@ -2202,6 +2816,9 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
 
         // Process the message
         let responseText = '';
+        let responseButtons = null; // Inline keyboard from a skill (Telegram only)
+        let responseEmbed = null;   // Confirmation card (Discord embeds)
+        let responseDocuments = null; // Files from a skill (Telegram documents, email attachments)
         let handled = false;
 
         const { numMedia, mediaUrl, mediaContentType } = mediaContext;
@@ -2344,7 +2961,11 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
             try {
                 const result = await skillRegistry.route(processedMsg, {
                     userId: userId,
+                    // Group and channel messages: the person who sent it (roles are per person)
+                    senderId: mediaContext.senderId || userId,
+                    isGroup: mediaContext.isGroup,
                     fromNumber: fromNumber,
+                    platform: platform,
                     memory: memory,
                     // Media context for receipt/image skills
                     numMedia: numMedia,
@@ -2358,6 +2979,8 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
 
                 if (result && result.handled) {
                     responseText = result.message;
+                    responseButtons = result.buttons || null;
+                    responseDocuments = result.documents || null;
                     handled = true;
 
                     // APPROVAL FLOW: Check if skill needs approval
@@ -2367,14 +2990,20 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
 
                         confirmationManager.setPending(userId, actionType, params, {
                             userId,
-                            chatId,
+                            senderId: mediaContext.senderId,
+                            chatId: userId,
                             fromNumber,
                             platform,
-                            messageId,
                             timestamp: new Date()
                         });
 
                         console.log(`[Approval] Pending confirmation set for ${userId}: ${actionType}`);
+
+                        // Discord shows the request as an embed with Yes/No buttons
+                        if (platform === 'discord') {
+                            responseEmbed = confirmationManager.formatConfirmationCard(actionType, params);
+                            responseButtons = responseButtons || ActionButtons.confirm(actionType);
+                        }
                     }
 
                     // AUTO-EXECUTION: Check if skill returned an action to execute
@@ -2449,12 +3078,19 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
                 console.error('[ContextEngine] Build failed:', ctxErr.message);
             }
 
+            // Stream the reply as it's generated (Telegram edits one message, WhatsApp gets chunks)
+            if (MessagingPlatform.isStreamingEnabled()) {
+                aiStream = MessagingPlatform.createStreamingReply(platform, fromNumber);
+            }
+
             responseText = await aiHandler.processQuery(incomingMsg, {
                 userId,
                 platform,
                 autoRepo,
                 autoCompany,
                 richContext,
+                onChunk: aiStream ? (chunk) => aiStream.push(chunk) : undefined,
+                onStreamReset: aiStream ? () => aiStream.reset() : undefined,
             });
         }
 
@@ -2462,13 +3098,21 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
         if (memory) {
             memory.saveMessage(userId, 'assistant', responseText);
 
-            // Try to extract facts from the conversation
-            extractAndSaveFacts(userId, incomingMsg);
+            // Queue candidate facts from the conversation for "memory review"
+            queueMemoryCandidates(userId, incomingMsg);
         }
 
         // Truncate response based on platform limits (handled by MessagingPlatform)
         // Send response via appropriate platform
-        await MessagingPlatform.sendToRecipient(responseText, platform, fromNumber);
+        if (aiStream) {
+            await aiStream.finish(responseText);
+        } else if (responseDocuments) {
+            await MessagingPlatform.sendDocuments(responseText, platform, fromNumber, responseDocuments);
+        } else if (responseButtons || responseEmbed) {
+            await MessagingPlatform.sendWithButtons(responseText, platform, fromNumber, responseButtons, { embed: responseEmbed });
+        } else {
+            await MessagingPlatform.sendToRecipient(responseText, platform, fromNumber);
+        }
 
         console.log(`[${new Date().toISOString()}] [${platform}] Sent: "${responseText.substring(0, 50)}..."`);
 
@@ -2476,40 +3120,32 @@ async function processMessageAsync(incomingMsg, fromNumber, userId, mediaContext
         console.error('Error processing message async:', error);
         // Try to send error message to user
         try {
-            await MessagingPlatform.sendToRecipient(
-                `Sorry, I had trouble processing that. Try again or type "help". Error: ${error.message}`,
-                platform,
-                fromNumber
-            );
+            const errorText = `Sorry, I had trouble processing that. Try again or type "help". Error: ${error.message}`;
+            if (aiStream && !aiStream.finished) {
+                // Replace the partial streamed reply
+                await aiStream.finish(errorText);
+            } else {
+                await MessagingPlatform.sendToRecipient(errorText, platform, fromNumber);
+            }
         } catch (sendError) {
             console.error('Failed to send error message:', sendError.message);
         }
     }
 }
 
-// Extract facts from user messages (simple pattern matching)
-function extractAndSaveFacts(userId, message) {
+// Propose facts from user messages (preferences, decisions, people, constraints).
+// Candidates wait in a review queue ("memory review") - nothing is saved unasked.
+function queueMemoryCandidates(userId, message) {
     if (!memory) return;
 
-    const patterns = [
-        { regex: /my name is (\w+)/i, category: 'personal', template: 'User\'s name is $1' },
-        { regex: /i prefer (\w+)/i, category: 'preference', template: 'Prefers $1' },
-        { regex: /i use (\w+)/i, category: 'tools', template: 'Uses $1' },
-        { regex: /i work (?:at|for) (.+)/i, category: 'work', template: 'Works at $1' },
-        { regex: /i(?:'m| am) a (\w+)/i, category: 'personal', template: 'Is a $1' },
-        { regex: /i live in (.+)/i, category: 'personal', template: 'Lives in $1' },
-        { regex: /my timezone is (.+)/i, category: 'preference', template: 'Timezone: $1' },
-        { regex: /remember that (.+)/i, category: 'general', template: '$1' },
-    ];
-
-    for (const pattern of patterns) {
-        const match = message.match(pattern.regex);
-        if (match) {
-            const fact = pattern.template.replace('$1', match[1]);
-            memory.saveFact(userId, fact, pattern.category, 'auto_extracted');
-            console.log(`[Memory] Extracted fact: "${fact}"`);
+    setImmediate(() => {
+        try {
+            const memoryExtractor = require('./lib/memory-extractor');
+            memoryExtractor.processMessage(userId, message, { memory });
+        } catch (err) {
+            console.error('[Memory] Candidate extraction failed:', err.message);
         }
-    }
+    });
 }
 
 // Status command handler
@@ -2546,17 +3182,63 @@ Type "help" for commands! 🤖`;
 // TELEGRAM CALLBACK HANDLER (Inline Keyboard Buttons)
 // ================================================
 
+// Buttons that run whitelisted shell commands - the clicker needs "dev"
+const DEV_BUTTONS = new Set(['deploy', 'deploy_confirm', 'tests', 'logs', 'restart']);
+
+/**
+ * Refuse a shell-command button unless the clicker's role has "dev"
+ * Buttons bypass the skill registry, so the denial is audited here.
+ * @param {string} callbackData - The clicked button's callback_data
+ * @param {string|number} chatId - Chat the button was clicked in
+ * @param {string} senderId - Who clicked
+ * @param {string} platform - 'telegram' | 'slack' | 'discord'
+ * @returns {string|null} Denial message, or null if allowed
+ */
+function checkButtonAccess(callbackData, chatId, senderId, platform) {
+    const { role } = accessControl.resolveRole(senderId, String(chatId));
+    if (accessControl.roleHasPermission(role, accessControl.PERMISSIONS.DEV)) return null;
+
+    const access = { permission: accessControl.PERMISSIONS.DEV, role, userId: senderId };
+    try {
+        const { auditLogger } = require('./lib/audit-logger');
+        auditLogger.logAccessDenied(senderId, String(chatId), 'buttons', callbackData, { platform, role, permission: access.permission });
+    } catch (error) {
+        console.error('[Telegram Callback] Failed to audit access denial:', error.message);
+    }
+    return accessControl.formatDenial(access, 'That button');
+}
+
+/**
+ * Whether a pending confirmation may be answered by this sender
+ * Confirmations are stored per chat; in a group only the member who asked
+ * may say yes or no. Ones stored without a requester are open to the chat.
+ * @param {Object} pending - Pending confirmation
+ * @param {string} senderId - Who answered
+ * @returns {boolean}
+ */
+function isRequester(pending, senderId) {
+    const requester = pending?.context?.senderId;
+    return !requester || !senderId || String(requester) === String(senderId);
+}
+
 /**
  * Handle Telegram inline keyboard button callbacks
  * Routes callback_data to appropriate skill/command execution
  *
  * @param {string} callbackData - The callback_data from the pressed button (e.g., "deploy:my-repo")
+ * Also used for Slack button clicks: the /slack route passes a ctx with the
+ * same editMessageText() plus sendReply() to answer in the message's thread.
+ * The clicker is ctx.callbackQuery.from on Telegram, ctx.senderId elsewhere.
+ *
  * @param {string|number} chatId - The chat ID where the button was pressed
  * @param {Object} ctx - Telegraf context for advanced operations
  */
 async function handleTelegramCallback(callbackData, chatId, ctx) {
     const userId = chatId.toString();
+    // Who clicked - in groups and channels that isn't the chat (roles are per person)
+    const senderId = ctx.senderId || ctx.callbackQuery?.from?.id?.toString();
     const { action, params } = ActionButtons.parseCallback(callbackData);
+    const sendReply = ctx.sendReply || (text => telegramHandler.sendMessage(chatId, text));
 
     console.log(`[Telegram Callback] Action: ${action}, Params: ${params}`);
 
@@ -2564,6 +3246,15 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
         let responseText = '';
         let handled = false;
 
+        if (DEV_BUTTONS.has(action)) {
+            const denial = checkButtonAccess(callbackData, chatId, senderId, ctx.platform || 'telegram');
+            if (denial) {
+                console.log(`[Telegram Callback] ${senderId} may not use ${action} in ${chatId}`);
+                await sendReply(denial);
+                return;
+            }
+        }
+
         switch (action) {
             // ====== Project Actions ======
             case 'deploy': {
@@ -2572,7 +3263,7 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
                     confirmationManager.setPending(userId, 'deploy', {
                         project: params,
                         description: `Deploy ${params}`
-                    }, { userId, chatId });
+                    }, { userId, senderId, chatId });
 
                     responseText = `Deploy *${params}*?\n\nReply *yes* to confirm or *no* to cancel.`;
                     await ctx.editMessageText(responseText, { parse_mode: 'Markdown' });
@@ -2739,6 +3430,8 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
                     if (skillRegistry) {
                         const result = await skillRegistry.route('morning brief full', {
                             userId,
+                            senderId,
+                            chatId: String(chatId),
                             memory
                         });
                         if (result?.handled) {
@@ -2759,6 +3452,10 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
             // ====== Confirmation Actions ======
             case 'confirm_yes': {
                 if (confirmationManager && confirmationManager.hasPending(userId)) {
+                    if (!isRequester(confirmationManager.getPending(userId), senderId)) {
+                        await sendReply('Only the person who asked can confirm this.');
+                        return;
+                    }
                     const pending = confirmationManager.confirm(userId);
                     if (pending && actionExecutor) {
                         const execResult = await actionExecutor.execute(pending.action, pending.params, pending.context);
@@ -2776,6 +3473,10 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
 
             case 'confirm_no': {
                 if (confirmationManager) {
+                    if (!isRequester(confirmationManager.getPending(userId), senderId)) {
+                        await sendReply('Only the person who asked can cancel this.');
+                        return;
+                    }
                     confirmationManager.cancel(userId);
                 }
                 responseText = 'Action cancelled.';
@@ -2784,12 +3485,59 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
                 break;
             }
 
+            // ====== Memory Review Actions ======
+            case 'memory_approve':
+            case 'memory_reject': {
+                const decision = action === 'memory_approve' ? 'approve' : 'reject';
+                const result = skillRegistry
+                    ? await skillRegistry.route(`memory ${decision} ${params}`, { userId, senderId, chatId: String(chatId), memory })
+                    : null;
+                responseText = result?.message || 'Memory review is not available.';
+
+                // Show what's left to review under the result
+                const review = skillRegistry
+                    ? await skillRegistry.route('memory review', { userId, senderId, chatId: String(chatId), memory })
+                    : null;
+                if (review?.buttons) {
+                    responseText += `\n\n${review.message}`;
+                }
+                await ctx.editMessageText(responseText, {
+                    parse_mode: 'Markdown',
+                    reply_markup: review?.buttons ? { inline_keyboard: review.buttons } : undefined
+                });
+                handled = true;
+                break;
+            }
+
+            case 'memory_edit': {
+                responseText = `Send the corrected fact:\n\`memory edit ${params} <fact>\``;
+                await sendReply(responseText);
+                handled = true;
+                break;
+            }
+
+            // ====== Reminder Actions ======
+            case 'reminder_snooze':
+            case 'reminder_done': {
+                const [jobId, minutes] = String(params).split(':');
+                const command = action === 'reminder_done'
+                    ? `done reminder ${jobId}`
+                    : `snooze reminder ${jobId} ${minutes} minutes`;
+                const result = skillRegistry
+                    ? await skillRegistry.route(command, { userId, senderId, chatId: String(chatId), memory })
+                    : null;
+                responseText = result?.message || 'Reminders are not available.';
+                await ctx.editMessageText(responseText, { parse_mode: 'Markdown' });
+                handled = true;
+                break;
+            }
+
             // ====== Help Menu Actions ======
             case 'help': {
                 const helpTopics = {
                     projects: '*Project Commands:*\n• `my repos` - List all repos\n• `project status [repo]` - Show TODO tasks\n• `switch to [repo]` - Set active project',
                     ai: '*AI Commands:*\n• `ai mode economy` - Use FREE Groq\n• `ai mode quality` - Use Claude\n• `ai stats` - View usage',
-                    reminders: '*Reminder Commands:*\n• `remind me [text] in [time]`\n• `show reminders`\n• `clear reminders`',
+                    reminders: '*Reminder Commands:*\n• `remind me [text] tomorrow at 9`\n• `remind me every monday at 9 [text]`\n• `my reminders`\n• `cancel reminder [id]`',
                     stats: '*Stats Commands:*\n• `status` - Bot status\n• `memory stats` - Memory usage\n• `github stats` - Repo stats'
                 };
                 responseText = helpTopics[params] || 'Unknown help topic';
@@ -2845,7 +3593,7 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
 
             default: {
                 responseText = `Unknown action: ${action}`;
-                await telegramHandler.sendMessage(chatId, responseText);
+                await sendReply(responseText);
                 handled = true;
             }
         }
@@ -2859,7 +3607,7 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
     } catch (error) {
         console.error('[Telegram Callback] Error:', error.message);
         try {
-            await telegramHandler.sendMessage(chatId, `Error: ${error.message}`);
+            await sendReply(`Error: ${error.message}`);
         } catch (e) {
             console.error('[Telegram Callback] Failed to send error message:', e.message);
         }
@@ -2867,7 +3615,7 @@ async function handleTelegramCallback(callbackData, chatId, ctx) {
 }
 
 // Start server
-app.listen(port, '0.0.0.0', async () => {
+const server = app.listen(port, '0.0.0.0', async () => {
     console.log('');
     console.log('ClawdBot WhatsApp Server v2.3');
     console.log('=====================================');
@@ -2880,38 +3628,8 @@ app.listen(port, '0.0.0.0', async () => {
     let telegramInitialized = false;
     if (process.env.TELEGRAM_BOT_TOKEN) {
         try {
-            // Message handler for Telegram - routes through same pipeline as WhatsApp
-            const telegramMessageHandler = async (messageData) => {
-                const { text, userId, chatId, numMedia, mediaUrl, mediaContentType, platform } = messageData;
-
-                console.log(`[Telegram] Message from ${userId}: ${text?.substring(0, 50) || '[media]'}`);
-
-                // Authorization is already checked in telegram-handler.js (isAuthorized)
-                // which covers: individual users, HQ chat, and registered group chats
-                // No duplicate check needed here
-
-                // Build context similar to WhatsApp
-                const context = {
-                    userId: String(userId),
-                    chatId: String(chatId),
-                    platform: 'telegram',
-                    numMedia: numMedia || 0,
-                    mediaUrl: mediaUrl,
-                    mediaContentType: mediaContentType
-                };
-
-                try {
-                    // Process through the same pipeline as WhatsApp
-                    const response = await processMessageForTelegram(text || '', context);
-                    return response;
-                } catch (error) {
-                    console.error('[Telegram] Error processing message:', error);
-                    return 'Sorry, I encountered an error processing your message.';
-                }
-            };
-
             telegramInitialized = await telegramHandler.initialize({
-                messageHandler: telegramMessageHandler
+                messageHandler: handleTelegramMessage
             });
 
             if (telegramInitialized) {
@@ -2926,10 +3644,46 @@ app.listen(port, '0.0.0.0', async () => {
         }
     }
 
+    // Slack sends go through the Web API; events arrive on POST /slack
+    if (slackHandler.isAvailable()) {
+        MessagingPlatform.setSlackHandler(slackHandler);
+        const botUserId = await slackHandler.getBotUserId();
+        console.log(`   [Slack] Web API ready${botUserId ? ` (bot ${botUserId})` : ''}`);
+    }
+
+    // Discord sends go through the REST API; interactions arrive on POST /discord
+    if (discordHandler.isAvailable()) {
+        MessagingPlatform.setDiscordHandler(discordHandler);
+        console.log('   [Discord] REST API ready');
+    }
+
+    // Email sends go over SMTP; incoming mail is polled from IMAP or a maildir
+    if (emailHandler.isAvailable()) {
+        MessagingPlatform.setEmailHandler(emailHandler);
+        console.log(`   [Email] SMTP ready (${emailHandler.from || emailHandler.smtp.host})`);
+    }
+    emailHandler.startPolling(handleIncomingEmail);
+
+    // Background jobs (Claude Code, deploys, overnight tasks, reports) persist in
+    // SQLite; results go back to the chat that queued them
+    const taskQueue = require('./lib/task-queue');
+    taskQueue.setNotifier(async (job, message) => {
+        if (!job.chatId) {
+            return sendProactiveMessage(message);
+        }
+        const platform = job.platform || require('./lib/chat-registry').detectPlatform(job.chatId);
+        return MessagingPlatform.sendToRecipient(message, platform, job.chatId);
+    });
+    const recoveredJobs = taskQueue.start();
+    console.log(`   [TaskQueue] Started${recoveredJobs > 0 ? ` (${recoveredJobs} interrupted job(s) re-queued)` : ''}`);
+
     console.log('   Webhook Endpoints:');
     console.log(`   • POST /webhook        - Twilio WhatsApp`);
     console.log(`   • POST /telegram       - Telegram Bot API`);
+    console.log(`   • POST /slack          - Slack Events API + interactivity`);
+    console.log(`   • POST /discord        - Discord interactions (slash commands, buttons)`);
     console.log(`   • POST /github-webhook - GitHub events`);
+    console.log(`   • GET  /email/attachments/:token/:file - Incoming email attachments`);
     console.log(`   • GET  /health         - Health check`);
     console.log('');
     console.log('   Voice Endpoints (Twilio Voice):');
@@ -2947,6 +3701,7 @@ app.listen(port, '0.0.0.0', async () => {
     console.log(`   • GET  /api/memory           - History`);
     console.log(`   • POST /api/whatsapp/send    - Send WA`);
     console.log(`   • GET  /api/skills           - List skills`);
+    console.log(`   • GET  /api/expenses/export  - Expense export`);
     console.log('');
     console.log('   Features:');
     console.log(`   • Memory: ${memory ? 'Persistent' : 'In-memory only'}`);
@@ -2971,6 +3726,9 @@ process.on('SIGTERM', () => {
         scheduler.stop();
     }
 
+    emailHandler.stopPolling();
+    require('./lib/task-queue').stop();
+
     if (memory) {
         memory.close();
     }
@@ -2979,4 +3737,4 @@ process.on('SIGTERM', () => {
 });
 
 // Export for testing
-module.exports = { app, sendWhatsAppMessage };
+module.exports = { app, server, sendWhatsAppMessage, handleTelegramMessage };
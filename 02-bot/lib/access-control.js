@@ -0,0 +1,275 @@
+/**
+ * Access Control - Roles and command permissions
+ *
+ * Every skill command declares the permission it needs (`permission` on the
+ * command, falling back to the skill's `permission`, default "use"). Users get
+ * a role per chat or for every chat (stored in lib/chat-registry), and each
+ * role grants a set of permissions:
+ *
+ *   viewer     - use
+ *   accountant - use, finance
+ *   developer  - use, dev
+ *   admin      - use, finance, dev, admin
+ *   owner      - everything, including handing out admin and owner
+ *
+ * A sender's role is the first of:
+ *   1. owner, if listed in ACCESS_OWNERS (comma-separated user IDs)
+ *   2. their role in this chat
+ *   3. their role in every chat
+ *   4. the chat's default role (user "*")
+ *   5. owner in a private chat (a Telegram DM, or WhatsApp from YOUR_WHATSAPP)
+ *      while ACCESS_OWNERS is unset, so a single-user install keeps working
+ *      without setup. Email senders never get this.
+ *   6. ACCESS_DEFAULT_ROLE (default viewer)
+ *
+ * Roles granted to the primary account of a linked identity (lib/database
+ * identities) apply to every account linked to it.
+ *
+ * @module lib/access-control
+ */
+
+'use strict';
+
+const chatRegistry = require('./chat-registry');
+
+const { ROLES } = chatRegistry;
+
+/**
+ * Permissions commands can require
+ * @constant {Object}
+ */
+const PERMISSIONS = {
+  USE: 'use',         // Everyday commands
+  FINANCE: 'finance', // Invoices, receipts, company money
+  DEV: 'dev',         // Code, deploys, shell, containers
+  ADMIN: 'admin',     // Secrets, backups, skills, bot settings, access
+  OWNER: 'owner'      // Granting admin/owner
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.ADMIN]: [PERMISSIONS.USE, PERMISSIONS.FINANCE, PERMISSIONS.DEV, PERMISSIONS.ADMIN],
+  [ROLES.DEVELOPER]: [PERMISSIONS.USE, PERMISSIONS.DEV],
+  [ROLES.ACCOUNTANT]: [PERMISSIONS.USE, PERMISSIONS.FINANCE],
+  [ROLES.VIEWER]: [PERMISSIONS.USE]
+};
+
+/**
+ * IDs listed in ACCESS_OWNERS
+ * @returns {string[]}
+ */
+function getOwners() {
+  return (process.env.ACCESS_OWNERS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Role used when nothing else applies
+ * @returns {string}
+ */
+function getDefaultRole() {
+  const role = (process.env.ACCESS_DEFAULT_ROLE || '').trim().toLowerCase();
+  return ROLE_PERMISSIONS[role] ? role : ROLES.VIEWER;
+}
+
+/**
+ * The sender's own ID plus the canonical ID of their linked identity
+ * @private
+ */
+function candidateIds(userId) {
+  const ids = [String(userId)];
+  try {
+    const canonical = require('./database').resolveUserId(String(userId));
+    if (canonical && !ids.includes(canonical)) ids.push(canonical);
+  } catch (error) {
+    // No database - the platform ID is all we have
+  }
+  return ids;
+}
+
+/**
+ * Whether a chat is the sender's own private chat
+ * Only where one person per chat is guaranteed: a Telegram private chat (the
+ * chat ID is the user's positive numeric ID) or WhatsApp from YOUR_WHATSAPP,
+ * the only number the webhook accepts. Email never counts - the chat is the
+ * sender's address, and anyone on an authorized domain could claim it.
+ * @private
+ */
+function isPrivateChat(userId, chatId) {
+  if (!chatId || String(chatId) !== String(userId)) return false;
+  const id = String(chatId);
+  if (/^\d+$/.test(id)) return true;
+  const whatsapp = (process.env.YOUR_WHATSAPP || '').trim().replace(/^whatsapp:/, '');
+  return !!whatsapp && id === whatsapp;
+}
+
+/**
+ * Work out a user's role in a chat
+ * @param {string} userId - Sender's platform user ID
+ * @param {string|null} chatId - Chat the message came from
+ * @returns {{role: string, source: string}} Role and where it came from
+ *   (owners/chat/global/chat-default/private-chat/default)
+ */
+function resolveRole(userId, chatId) {
+  if (!userId) {
+    return { role: getDefaultRole(), source: 'default' };
+  }
+
+  const ids = candidateIds(userId);
+  const owners = getOwners();
+  if (ids.some(id => owners.includes(id))) {
+    return { role: ROLES.OWNER, source: 'owners' };
+  }
+
+  if (chatId) {
+    for (const id of ids) {
+      const role = chatRegistry.getRole(id, chatId);
+      if (role) return { role, source: 'chat' };
+    }
+  }
+
+  for (const id of ids) {
+    const role = chatRegistry.getRole(id);
+    if (role) return { role, source: 'global' };
+  }
+
+  if (chatId) {
+    const role = chatRegistry.getRole('*', chatId);
+    if (role) return { role, source: 'chat-default' };
+  }
+
+  if (owners.length === 0 && isPrivateChat(userId, chatId)) {
+    return { role: ROLES.OWNER, source: 'private-chat' };
+  }
+
+  return { role: getDefaultRole(), source: 'default' };
+}
+
+/**
+ * Check whether a role includes a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission || PERMISSIONS.USE);
+}
+
+/**
+ * Permission a command needs: the matching command's `permission`, else the
+ * skill's, else "use"
+ * @param {BaseSkill} skill - Skill that accepted the command
+ * @param {string} command - Command text
+ * @returns {string}
+ */
+function getRequiredPermission(skill, command) {
+  let definition = null;
+  if (skill && typeof skill.matchCommand === 'function') {
+    try {
+      definition = skill.matchCommand(command);
+    } catch (error) {
+      definition = null;
+    }
+  }
+
+  return (definition && definition.permission) || (skill && skill.permission) || PERMISSIONS.USE;
+}
+
+/**
+ * Who sent a message and from which chat
+ * Platforms where the chat isn't the sender (groups, Slack and Discord
+ * channels) pass the sender as context.senderId.
+ * @param {Object} context - Execution context
+ * @returns {{userId: string|null, chatId: string|null}}
+ */
+function getSender(context = {}) {
+  const userId = context.senderId || context.userId || context.from || null;
+  const chatId = context.chatId || context.userId || context.from || null;
+  return {
+    userId: userId ? String(userId) : null,
+    chatId: chatId ? String(chatId) : null
+  };
+}
+
+/**
+ * Whether a message came from a group chat or channel rather than a private
+ * chat with the bot. Platforms that can tell say so in context.isGroup;
+ * otherwise the chat ID gives away Telegram groups (negative), WhatsApp
+ * groups (@g.us) and Slack channels (C/G, where DMs are D).
+ * @param {Object} context - Execution context
+ * @returns {boolean}
+ */
+function isGroupChat(context = {}) {
+  if (typeof context.isGroup === 'boolean') return context.isGroup;
+  const { chatId } = getSender(context);
+  if (!chatId) return false;
+  return chatId.startsWith('-') || chatId.endsWith('@g.us') ||
+    (context.platform === 'slack' && /^[CG]/.test(chatId));
+}
+
+/**
+ * Decide whether the sender may run a command
+ * @param {BaseSkill} skill - Skill that accepted the command
+ * @param {string} command - Command text
+ * @param {Object} context - Execution context
+ * @returns {{allowed: boolean, permission: string, role: string, source: string, userId: string|null, chatId: string|null}}
+ */
+function checkAccess(skill, command, context = {}) {
+  const { userId, chatId } = getSender(context);
+  const permission = getRequiredPermission(skill, command);
+  const { role, source } = resolveRole(userId, chatId);
+
+  return {
+    allowed: roleHasPermission(role, permission),
+    permission,
+    role,
+    source,
+    userId,
+    chatId
+  };
+}
+
+/**
+ * Whether a role may grant or revoke another role
+ * Admins manage developer, accountant and viewer; only owners manage admins
+ * and owners.
+ * @param {string} granterRole - Role of the user making the change
+ * @param {string} role - Role being granted or taken away
+ * @returns {boolean}
+ */
+function canAssign(granterRole, role) {
+  if (role === ROLES.OWNER || role === ROLES.ADMIN) {
+    return roleHasPermission(granterRole, PERMISSIONS.OWNER);
+  }
+  return roleHasPermission(granterRole, PERMISSIONS.ADMIN);
+}
+
+/**
+ * Message shown when a command is refused
+ * @param {Object} access - Result of checkAccess()
+ * @param {string} skillName - Skill that was refused
+ * @returns {string}
+ */
+function formatDenial(access, skillName) {
+  return `🔒 You don't have access to that here.\n\n` +
+    `${skillName} needs the "${access.permission}" permission; your role is ${access.role}.\n` +
+    `Ask an owner or admin to run: access grant <role> to ${access.userId || '<your id>'}`;
+}
+
+module.exports = {
+  resolveRole,
+  roleHasPermission,
+  getRequiredPermission,
+  getSender,
+  isGroupChat,
+  checkAccess,
+  canAssign,
+  formatDenial,
+  getOwners,
+  getDefaultRole,
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+};
@@ -3,6 +3,7 @@
  *
  * Provides pre-configured button layouts for common actions in ClawdBot.
  * These buttons appear inline with messages and allow quick one-tap actions.
+ * Slack gets the same layouts as Block Kit via toBlockKit().
  *
  * Usage:
  *   const ActionButtons = require('./lib/action-buttons');
@@ -108,6 +109,33 @@ const ActionButtons = {
         [{ text: '🗑️ Discard', callback_data: `receipt_discard:${receiptId}` }]
     ],
 
+    /**
+     * Buttons for a suggested memory fact (memory review)
+     * @param {number} candidateId - memory_candidates row id
+     * @returns {Array} Inline keyboard button layout
+     */
+    memoryCandidate: (candidateId) => [
+        [
+            { text: `✅ #${candidateId}`, callback_data: `memory_approve:${candidateId}` },
+            { text: '✏️ Edit', callback_data: `memory_edit:${candidateId}` },
+            { text: '❌ Reject', callback_data: `memory_reject:${candidateId}` }
+        ]
+    ],
+
+    /**
+     * Buttons on a delivered reminder
+     * @param {number} jobId - Scheduler job ID of the reminder
+     * @returns {Array} Inline keyboard button layout
+     */
+    reminder: (jobId) => [
+        [
+            { text: '⏰ 10 min', callback_data: `reminder_snooze:${jobId}:10` },
+            { text: '⏰ 1 hour', callback_data: `reminder_snooze:${jobId}:60` },
+            { text: '⏰ Tomorrow', callback_data: `reminder_snooze:${jobId}:1440` }
+        ],
+        [{ text: '✅ Done', callback_data: `reminder_done:${jobId}` }]
+    ],
+
     /**
      * Generic yes/no confirmation buttons
      * @param {string} actionId - Identifier for the action being confirmed
@@ -169,6 +197,47 @@ const ActionButtons = {
         return buttons;
     },
 
+    /**
+     * Render a message and inline keyboard layout as Slack Block Kit blocks
+     * Text becomes mrkdwn section blocks (3000 chars each), every button row an
+     * "actions" block. The callback_data travels in the button's value, so a
+     * click comes back through parseCallback() like a Telegram callback.
+     * @param {string} text - Message text (already Slack mrkdwn)
+     * @param {Array} buttons - Inline keyboard button layout
+     * @returns {Array} Block Kit blocks
+     */
+    toBlockKit(text, buttons = []) {
+        const blocks = [];
+        let remaining = String(text || '');
+
+        while (remaining.length > 0) {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: remaining.substring(0, 3000) } });
+            remaining = remaining.substring(3000);
+        }
+
+        (buttons || []).forEach((row, rowIndex) => {
+            const elements = row.slice(0, 25).map((button, index) => {
+                const element = {
+                    type: 'button',
+                    text: { type: 'plain_text', text: String(button.text).substring(0, 75), emoji: true },
+                    action_id: `btn_${rowIndex}_${index}`
+                };
+                if (button.url) {
+                    element.url = button.url;
+                } else {
+                    element.value = button.callback_data;
+                }
+                return element;
+            });
+
+            if (elements.length > 0) {
+                blocks.push({ type: 'actions', block_id: `row_${rowIndex}`, elements });
+            }
+        });
+
+        return blocks;
+    },
+
     /**
      * Parse callback data into action and parameters
      * @param {string} data - Callback data string (e.g., "deploy:my-repo")
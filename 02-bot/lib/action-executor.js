@@ -12,6 +12,7 @@
  *   - check-status: Checks project status
  *   - create-task: Creates a GitHub issue
  *   - code-task: Generic code task
+ *   - memory_import: Applies a confirmed MEMORY.md import (lib/memory-export)
  */
 
 const projectManager = require('./project-manager');
@@ -324,6 +325,36 @@ class ActionExecutor {
       };
     });
 
+    // Memory Import Handler - runs after the user confirms the MEMORY.md diff
+    this.registerHandler('memory_import', async (params, context) => {
+      const { plan, path: filePath } = params;
+      const userId = params.userId || context.userId;
+
+      if (!plan || !userId) {
+        return this.errorResult('memory_import', 'No MEMORY.md import to apply');
+      }
+
+      const memory = require('../memory/memory-manager');
+      const memoryExport = require('./memory-export');
+      const applied = memoryExport.applyImport(memory, userId, plan);
+
+      // Rewrite the file so new entries get their ids
+      memoryExport.writeMemoryMd(memory, userId, filePath);
+
+      const summary = Object.entries(applied)
+        .filter(([, count]) => count > 0)
+        .map(([kind, count]) => `${count} ${kind}`)
+        .join(', ');
+
+      return {
+        success: true,
+        action: 'memory_import',
+        message: `Imported MEMORY.md: ${summary || 'nothing changed'}`,
+        data: applied,
+        needsConfirmation: false
+      };
+    });
+
     console.log(`[ActionExecutor] Registered ${this.handlers.size} default handlers`);
   }
 
@@ -2,9 +2,10 @@
  * Receipt Processor Action
  *
  * Processes receipt images automatically using Claude Vision:
- * - Extracts vendor, amount, date, items, category
+ * - Extracts vendor, amount, date, items, category, VAT and the supplier's VAT number
  * - Determines company allocation (GMH, GACC, GCAP, GQCARS, GSPV)
- * - Logs expenses to data/expenses.json
+ * - Records expenses in the expenses table (lib/database) with the image
+ *   kept under data/receipts/ and the exchange rate to GBP (lib/fx-rates)
  * - Returns formatted summary
  *
  * @module lib/actions/receipt-processor
@@ -15,10 +16,21 @@ const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-
-// Data file path
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-const EXPENSES_FILE = path.join(DATA_DIR, 'expenses.json');
+const database = require('../database');
+const fxRates = require('../fx-rates');
+const vat = require('../vat');
+
+// Receipt images (CLAWDBOT_DATA_DIR overrides, like the database)
+const ATTACHMENTS_DIR = process.env.CLAWDBOT_DATA_DIR
+  ? path.join(process.env.CLAWDBOT_DATA_DIR, 'receipts')
+  : path.join(__dirname, '..', '..', 'data', 'receipts');
+
+const MEDIA_EXTENSIONS = {
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg'
+};
 
 // Giquina Group Companies
 const COMPANIES = {
@@ -101,37 +113,11 @@ class ReceiptProcessor {
       apiKey: process.env.ANTHROPIC_API_KEY
     });
 
-    this.ensureDataDirectory();
     this.initialized = true;
     console.log('[ReceiptProcessor] Initialized');
     return this;
   }
 
-  /**
-   * Ensure data directory and expenses file exist
-   */
-  ensureDataDirectory() {
-    try {
-      if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-        console.log(`[ReceiptProcessor] Created data directory: ${DATA_DIR}`);
-      }
-
-      if (!fs.existsSync(EXPENSES_FILE)) {
-        const initialData = {
-          expenses: [],
-          nextId: 1,
-          createdAt: new Date().toISOString()
-        };
-        fs.writeFileSync(EXPENSES_FILE, JSON.stringify(initialData, null, 2));
-        console.log(`[ReceiptProcessor] Created expenses file: ${EXPENSES_FILE}`);
-      }
-    } catch (error) {
-      console.error('[ReceiptProcessor] Failed to create data directory:', error);
-      throw error;
-    }
-  }
-
   /**
    * Process a receipt image
    *
@@ -180,8 +166,10 @@ class ReceiptProcessor {
         description
       });
 
-      // Step 5: Save to expenses.json
-      const expenseId = this.saveExpense(expense);
+      // Step 5: Save to the expense ledger, keeping the image
+      const expenseId = await this.saveExpense(expense);
+      const attachmentPath = this.saveAttachment(imageBuffer, expenseId, mediaType);
+      if (attachmentPath) database.updateExpense(expenseId, { attachmentPath });
 
       // Step 6: Build formatted summary
       const summary = this.formatSummary(expense, expenseId);
@@ -286,6 +274,7 @@ Optional fields (use null if not visible):
 - subtotal: Pre-tax amount
 - vat: VAT/tax amount as number
 - vatRate: VAT rate percentage (e.g., 20)
+- supplierVatNumber: The vendor's VAT registration number as printed (e.g., "GB 123 4567 89")
 - paymentMethod: "card", "cash", "transfer"
 - last4: Last 4 digits of card
 - notes: Any issues, illegible parts, or special observations
@@ -404,16 +393,24 @@ Return ONLY the JSON object:`;
    */
   buildExpenseRecord(extractedData, context) {
     const { userId, company, imageUrl, description } = context;
+    const amount = typeof extractedData.amount === 'number' ? extractedData.amount : null;
+    const vatRate = Number.isFinite(parseFloat(extractedData.vatRate)) ? parseFloat(extractedData.vatRate) : null; // 20 or "20%"
+    let vatAmount = typeof extractedData.vat === 'number' ? extractedData.vat : null;
+    // Only the rate printed - work the VAT out from the total
+    if (vatAmount === null && vatRate !== null && amount !== null) {
+      vatAmount = vat.vatFromGross(amount, vatRate);
+    }
 
     return {
       vendor: extractedData.vendor || 'Unknown',
-      amount: typeof extractedData.amount === 'number' ? extractedData.amount : null,
+      amount,
       currency: extractedData.currency || 'GBP',
       date: extractedData.date || null,
       category: extractedData.category || 'Other',
       items: extractedData.items || [],
-      vat: typeof extractedData.vat === 'number' ? extractedData.vat : null,
-      vatRate: extractedData.vatRate || null,
+      vat: vatAmount,
+      vatRate,
+      supplierVatNumber: vat.normaliseVatNumber(extractedData.supplierVatNumber),
       paymentMethod: extractedData.paymentMethod || null,
       last4: extractedData.last4 || null,
       company: company,
@@ -428,113 +425,89 @@ Return ONLY the JSON object:`;
   }
 
   /**
-   * Save expense to JSON file
+   * Save expense to the expense ledger, with the exchange rate to GBP for its date
+   * @returns {Promise<number>} Expense ID
    */
-  saveExpense(expense) {
-    this.ensureDataDirectory();
-
-    const data = this.loadExpenses();
-    const id = data.nextId;
-
-    const expenseRecord = {
-      id,
-      ...expense,
-      savedAt: new Date().toISOString()
-    };
-
-    data.expenses.push(expenseRecord);
-    data.nextId = id + 1;
-
-    fs.writeFileSync(EXPENSES_FILE, JSON.stringify(data, null, 2));
-    console.log(`[ReceiptProcessor] Saved expense #${id} to ${EXPENSES_FILE}`);
+  async saveExpense(expense) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(expense.date || '') ? expense.date : null;
+    const saved = database.saveExpense(expense.userId, {
+      ...await fxRates.rateFields(expense.currency || 'GBP', date),
+      merchant: expense.vendor,
+      date: expense.date,
+      grossAmount: expense.amount,
+      vatAmount: expense.vat,
+      vatRate: expense.vatRate,
+      currency: expense.currency,
+      supplierVatNumber: expense.supplierVatNumber,
+      category: expense.category,
+      company: expense.company,
+      paymentMethod: expense.paymentMethod,
+      cardLast4: expense.last4,
+      imageUrl: expense.imageUrl,
+      confidence: expense.confidence,
+      notes: expense.notes || expense.userDescription
+    });
+    if (!saved) throw new Error('Could not save expense');
 
-    return id;
+    console.log(`[ReceiptProcessor] Saved expense #${saved.id}`);
+    return saved.id;
   }
 
   /**
-   * Load expenses from JSON file
+   * Keep a receipt image next to its expense
+   * @param {Buffer} imageBuffer
+   * @param {number} expenseId
+   * @param {string} [mediaType='image/jpeg']
+   * @returns {string|null} Path of the stored image
    */
-  loadExpenses() {
+  saveAttachment(imageBuffer, expenseId, mediaType = 'image/jpeg') {
     try {
-      this.ensureDataDirectory();
-      const data = fs.readFileSync(EXPENSES_FILE, 'utf8');
-      return JSON.parse(data);
+      fs.mkdirSync(ATTACHMENTS_DIR, { recursive: true });
+      const filePath = path.join(ATTACHMENTS_DIR, `expense-${expenseId}.${MEDIA_EXTENSIONS[mediaType] || 'jpg'}`);
+      fs.writeFileSync(filePath, imageBuffer);
+      return filePath;
     } catch (error) {
-      console.error('[ReceiptProcessor] Failed to load expenses:', error);
-      return { expenses: [], nextId: 1 };
+      console.error('[ReceiptProcessor] Failed to store receipt image:', error.message);
+      return null;
     }
   }
 
   /**
-   * Get expenses with optional filters
+   * Download a receipt image and keep it next to its expense
+   * @param {string} imageUrl
+   * @param {number} expenseId
+   * @returns {Promise<string|null>} Path of the stored image
    */
-  getExpenses(filters = {}) {
-    const data = this.loadExpenses();
-    let expenses = data.expenses;
-
-    // Filter by company
-    if (filters.company) {
-      expenses = expenses.filter(e => e.company === filters.company.toUpperCase());
-    }
-
-    // Filter by category
-    if (filters.category) {
-      expenses = expenses.filter(e =>
-        e.category && e.category.toLowerCase() === filters.category.toLowerCase()
-      );
-    }
-
-    // Filter by month (YYYY-MM)
-    if (filters.month) {
-      expenses = expenses.filter(e =>
-        e.date && e.date.startsWith(filters.month)
-      );
-    }
-
-    // Filter by date range
-    if (filters.startDate) {
-      expenses = expenses.filter(e => e.date && e.date >= filters.startDate);
-    }
-    if (filters.endDate) {
-      expenses = expenses.filter(e => e.date && e.date <= filters.endDate);
-    }
-
-    // Sort by date descending
-    expenses.sort((a, b) => {
-      const dateA = a.date || a.createdAt || '';
-      const dateB = b.date || b.createdAt || '';
-      return dateB.localeCompare(dateA);
-    });
-
-    // Limit results
-    if (filters.limit && filters.limit > 0) {
-      expenses = expenses.slice(0, filters.limit);
+  async storeAttachment(imageUrl, expenseId) {
+    try {
+      const imageBuffer = await this.downloadImage(imageUrl);
+      return this.saveAttachment(imageBuffer, expenseId, this.detectMediaType(imageUrl));
+    } catch (error) {
+      console.error('[ReceiptProcessor] Failed to download receipt image:', error.message);
+      return null;
     }
+  }
 
-    return expenses;
+  /**
+   * Get expenses with optional filters (see database.listExpenses)
+   */
+  getExpenses(filters = {}) {
+    return database.listExpenses(this.getFilters(filters));
   }
 
   /**
    * Get expense by ID
    */
   getExpenseById(id) {
-    const data = this.loadExpenses();
-    return data.expenses.find(e => e.id === id) || null;
+    return database.getExpense(id);
   }
 
   /**
    * Delete expense by ID
    */
   deleteExpense(id) {
-    const data = this.loadExpenses();
-    const index = data.expenses.findIndex(e => e.id === id);
-
-    if (index === -1) return null;
-
-    const deleted = data.expenses.splice(index, 1)[0];
-    fs.writeFileSync(EXPENSES_FILE, JSON.stringify(data, null, 2));
-    console.log(`[ReceiptProcessor] Deleted expense #${id}`);
-
+    const deleted = database.deleteExpense(id);
+    if (deleted) console.log(`[ReceiptProcessor] Deleted expense #${id}`);
     return deleted;
   }
 
@@ -556,7 +529,10 @@ Return ONLY the JSON object:`;
     // VAT if present
     if (expense.vat !== null) {
       const vatStr = `${expense.currency} ${expense.vat.toFixed(2)}`;
-      parts.push(`VAT: ${vatStr}${expense.vatRate ? ` (${expense.vatRate}%)` : ''}`);
+      parts.push(`VAT: ${vatStr}${expense.vatRate !== null ? ` (${expense.vatRate}%)` : ''}`);
+    }
+    if (expense.supplierVatNumber) {
+      parts.push(`Supplier VAT No: ${expense.supplierVatNumber}`);
     }
 
     // Date
@@ -613,61 +589,43 @@ Return ONLY the JSON object:`;
   }
 
   /**
-   * Get summary of expenses by company
+   * Get summary of expenses by company, in GBP at each expense's stored rate
    */
   getCompanySummary(filters = {}) {
-    const expenses = this.getExpenses(filters);
     const summary = {};
 
-    for (const companyCode of Object.keys(COMPANIES)) {
-      summary[companyCode] = {
-        ...COMPANIES[companyCode],
-        total: 0,
-        vat: 0,
-        count: 0,
-        categories: {}
-      };
-    }
-
-    // Add "Unassigned" for any expenses without a valid company
-    summary['UNASSIGNED'] = {
-      code: 'UNASSIGNED',
-      name: 'Unassigned',
-      total: 0,
-      vat: 0,
-      count: 0,
-      categories: {}
-    };
-
-    for (const expense of expenses) {
-      const company = expense.company && summary[expense.company]
-        ? expense.company
-        : 'UNASSIGNED';
-
-      const amount = expense.amount || 0;
-      const vat = expense.vat || 0;
-      const category = expense.category || 'Other';
-
-      summary[company].total += amount;
-      summary[company].vat += vat;
-      summary[company].count += 1;
-
-      if (!summary[company].categories[category]) {
-        summary[company].categories[category] = 0;
-      }
-      summary[company].categories[category] += amount;
-    }
-
-    // Remove companies with no expenses
-    for (const code of Object.keys(summary)) {
-      if (summary[code].count === 0) {
-        delete summary[code];
+    for (const row of database.getExpenseTotals(this.getFilters(filters), ['company', 'category'])) {
+      const code = COMPANIES[row.company] ? row.company : 'UNASSIGNED';
+      if (!summary[code]) {
+        summary[code] = {
+          ...(COMPANIES[code] || { code: 'UNASSIGNED', name: 'Unassigned' }),
+          total: 0,
+          vat: 0,
+          count: 0,
+          categories: {}
+        };
       }
+      summary[code].total += row.base_gross;
+      summary[code].vat += row.base_vat;
+      summary[code].count += row.count;
+      summary[code].categories[row.category] = (summary[code].categories[row.category] || 0) + row.base_gross;
     }
 
     return summary;
   }
 
+  /**
+   * Map the filter names this module has always taken to the ledger's
+   * @private
+   */
+  getFilters(filters) {
+    return {
+      ...filters,
+      from: filters.from || filters.startDate,
+      to: filters.to || filters.endDate
+    };
+  }
+
   /**
    * Get available company codes
    */
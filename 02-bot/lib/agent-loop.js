@@ -0,0 +1,366 @@
+/**
+ * Agent Loop - Multi-step tool use over the registered skills
+ *
+ * The model gets one tool per enabled skill and answers a question by
+ * calling them in a loop:
+ *   question → model → tool_use → registry.executeSkill → tool_result → model → ...
+ * until it replies with plain text or the step budget runs out.
+ *
+ * Safety:
+ * - Step budget: AGENT_MAX_STEPS model turns per run (default 6)
+ * - AI budgets (lib/ai-budget) are checked before and recorded after every turn
+ * - Commands flagged destructive (BaseSkill.isDestructive) are never run
+ *   directly: the run pauses, the caller asks the user through the
+ *   confirmation manager, and resume() carries on after a "yes"
+ *
+ * Paused runs live in memory and expire after PENDING_TTL_MS.
+ *
+ * @module lib/agent-loop
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_STEPS = 6;
+const MAX_RESULT_CHARS = 3000;
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+// Skills the model may not call (the agent skill itself would recurse)
+const EXCLUDED_SKILLS = new Set(['agent']);
+
+const SYSTEM_PROMPT = `You are ClawdBot's agent mode. Answer the user's request by calling tools.
+Each tool is one bot skill; pass a single "command" string exactly as the user would type it
+(see the command list in each tool's description).
+
+Rules:
+- Use as few tool calls as needed, then answer in plain text
+- Commands marked [needs confirmation] change something - the user is asked before they run
+- If a tool returns an error, fix the command or explain what went wrong
+- Keep the final answer short and formatted for a chat message`;
+
+// runId -> paused run state
+const pendingRuns = new Map();
+
+/**
+ * Step budget from AGENT_MAX_STEPS
+ * @returns {number}
+ */
+function getMaxSteps() {
+  const value = parseInt(process.env.AGENT_MAX_STEPS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_STEPS;
+}
+
+function getRegistry(options) {
+  return options.registry || require('../skills/skill-registry');
+}
+
+function getBudget(options) {
+  if (options.budget !== undefined) return options.budget;
+  try {
+    return require('./ai-budget');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Default model call - Claude (or its local stand-in) through the provider registry
+ */
+async function defaultCallModel(params) {
+  const { registry } = require('../ai-providers');
+  await registry.initialize();
+
+  const provider = registry.providers.claude;
+  if (!provider || typeof provider.createMessage !== 'function') {
+    throw new Error('Agent mode needs Claude (ANTHROPIC_API_KEY) or AI_PROVIDER_MODE=local');
+  }
+
+  const result = await provider.createMessage(params);
+  const stats = registry.stats.claude;
+  stats.calls++;
+  stats.tokens += result.tokens || 0;
+  stats.estimatedCost = (stats.estimatedCost || 0) + (result.cost || 0);
+  return { ...result, provider: 'claude' };
+}
+
+/**
+ * Build tool definitions for every skill enabled in this chat
+ * @param {Object} registry - Skill registry
+ * @param {Object} context - Execution context (chatId/userId)
+ * @returns {Array<{name: string, description: string, input_schema: Object}>}
+ */
+function buildTools(registry, context = {}) {
+  return registry.listSkills()
+    .filter(meta => !EXCLUDED_SKILLS.has(meta.name) && meta.commands.length > 0)
+    .filter(meta => registry.isEnabledForChat(meta.name, context))
+    .map(meta => {
+      const commands = meta.commands
+        .filter(cmd => cmd.usage || cmd.description)
+        .map(cmd => `- ${cmd.usage || cmd.description}` +
+          (cmd.usage && cmd.description ? ` - ${cmd.description}` : '') +
+          (cmd.destructive ? ' [needs confirmation]' : ''));
+
+      return {
+        name: meta.name,
+        description: `${meta.description || meta.name}\nCommands:\n${commands.join('\n')}`,
+        input_schema: {
+          type: 'object',
+          properties: {
+            command: { type: 'string', description: `A ${meta.name} command, e.g. "${meta.commands[0].usage || ''}"` }
+          },
+          required: ['command']
+        }
+      };
+    });
+}
+
+/**
+ * Whether a tool call needs the user's confirmation
+ */
+function isDestructiveCall(registry, call) {
+  const skill = registry.getSkill(call.name);
+  if (!skill) return false;
+  if (typeof skill.isDestructive === 'function') {
+    return skill.isDestructive(call.input?.command || '');
+  }
+  return skill.destructive === true;
+}
+
+/**
+ * Execute one tool call and turn it into a tool_result block
+ */
+async function runTool(state, call, options) {
+  const registry = getRegistry(options);
+  const command = String(call.input?.command || '').trim();
+
+  let result;
+  try {
+    result = await registry.executeSkill(call.name, command, { ...state.context, agentRunId: state.id });
+  } catch (error) {
+    result = { success: false, message: error.message };
+  }
+
+  const text = String(result.message || (result.success ? 'Done' : 'Failed'));
+  const content = text.length > MAX_RESULT_CHARS
+    ? `${text.slice(0, MAX_RESULT_CHARS)}\n...[truncated ${text.length - MAX_RESULT_CHARS} chars]`
+    : text;
+
+  state.transcript.push({ skill: call.name, command, success: result.success !== false });
+
+  const block = { type: 'tool_result', tool_use_id: call.id, content };
+  if (result.success === false) {
+    block.is_error = true;
+  }
+  return block;
+}
+
+/**
+ * Work through a turn's tool calls, pausing at the first destructive one
+ * @returns {Promise<Object|null>} Paused result, or null when all calls ran
+ */
+async function runToolCalls(state, options) {
+  const registry = getRegistry(options);
+
+  while (state.queue.length > 0) {
+    const call = state.queue[0];
+
+    if (!state.approved && isDestructiveCall(registry, call)) {
+      return pause(state);
+    }
+
+    state.approved = false;
+    state.queue.shift();
+    state.results.push(await runTool(state, call, options));
+  }
+
+  state.messages.push({ role: 'user', content: state.results });
+  state.results = [];
+  return null;
+}
+
+/**
+ * Park a run until the user confirms its next tool call
+ */
+function pause(state) {
+  const call = state.queue[0];
+  state.pausedAt = Date.now();
+  pendingRuns.set(state.id, state);
+  cleanupExpired();
+
+  const command = String(call.input?.command || '').trim();
+  return {
+    success: true,
+    message: formatProgress(state),
+    needsApproval: true,
+    approvalData: { action: 'agent_step', runId: state.id, skill: call.name, command },
+    steps: state.steps,
+    tools: state.transcript
+  };
+}
+
+/**
+ * The model/tool loop shared by run() and resume()
+ */
+async function loop(state, options) {
+  const registry = getRegistry(options);
+  const budget = getBudget(options);
+  const callModel = options.callModel || defaultCallModel;
+  const maxSteps = options.maxSteps || getMaxSteps();
+
+  if (state.queue.length > 0) {
+    const paused = await runToolCalls(state, options);
+    if (paused) return paused;
+  }
+
+  const tools = buildTools(registry, state.context);
+
+  while (state.steps < maxSteps) {
+    const identity = budgetIdentity(state.context);
+    if (budget) {
+      const verdict = budget.check({ ...identity, provider: 'claude' });
+      if (verdict.costStatus === 'hard' || verdict.tokenStatus === 'hard') {
+        throw budget.budgetExceededError(verdict);
+      }
+    }
+
+    const reply = await callModel({ system: SYSTEM_PROMPT, messages: state.messages, tools });
+    state.steps++;
+
+    if (budget) {
+      budget.recordUsage({
+        ...identity,
+        provider: reply.provider || 'claude',
+        model: reply.model,
+        tokens: reply.tokens || 0,
+        cost: reply.cost || 0
+      });
+    }
+
+    const content = reply.content || [];
+    state.messages.push({ role: 'assistant', content });
+
+    const calls = content.filter(block => block.type === 'tool_use');
+    if (calls.length === 0) {
+      const text = content.filter(block => block.type === 'text').map(block => block.text).join('\n').trim();
+      return complete(state, text || reply.response || 'Done.');
+    }
+
+    state.queue = calls;
+    const paused = await runToolCalls(state, options);
+    if (paused) return paused;
+  }
+
+  return complete(state, `Stopped after ${maxSteps} steps without a final answer.`, true);
+}
+
+function complete(state, message, stopped = false) {
+  pendingRuns.delete(state.id);
+  return {
+    success: !stopped,
+    message,
+    steps: state.steps,
+    tools: state.transcript,
+    stopped
+  };
+}
+
+/**
+ * Summary of the tool calls so far, shown with a confirmation request
+ */
+function formatProgress(state) {
+  if (state.transcript.length === 0) return '';
+  return state.transcript
+    .map(entry => `${entry.success ? '✓' : '✗'} ${entry.skill}: ${entry.command}`)
+    .join('\n');
+}
+
+function budgetIdentity(context = {}) {
+  const userId = context.userId && context.userId !== 'default' ? String(context.userId) : null;
+  const chatId = context.chatId != null ? String(context.chatId) : userId;
+  return { userId, chatId };
+}
+
+function cleanupExpired() {
+  const now = Date.now();
+  for (const [id, state] of pendingRuns) {
+    if (now - state.pausedAt > PENDING_TTL_MS) {
+      pendingRuns.delete(id);
+    }
+  }
+}
+
+/**
+ * Answer a question by letting the model call skills
+ * @param {string} question - The user's request
+ * @param {Object} [context={}] - Execution context passed to skills (userId, chatId, platform, ...)
+ * @param {Object} [options={}]
+ * @param {Function} [options.callModel] - async ({system, messages, tools}) => {content, model, tokens, cost}
+ * @param {Object} [options.registry] - Skill registry (default: skills/skill-registry)
+ * @param {Object|null} [options.budget] - Budget module (default: lib/ai-budget, null disables)
+ * @param {number} [options.maxSteps] - Model turns allowed (default: AGENT_MAX_STEPS)
+ * @returns {Promise<{success: boolean, message: string, steps: number, tools: Array, needsApproval?: boolean, approvalData?: Object}>}
+ */
+async function run(question, context = {}, options = {}) {
+  const { invocation, ...runContext } = context;
+  const state = {
+    id: crypto.randomBytes(6).toString('hex'),
+    context: runContext,
+    messages: [{ role: 'user', content: question }],
+    queue: [],
+    results: [],
+    transcript: [],
+    steps: 0,
+    approved: false
+  };
+
+  return loop(state, options);
+}
+
+/**
+ * Continue a paused run after the user confirmed its pending tool call
+ * @param {string} runId - From approvalData.runId
+ * @param {Object} [options={}] - Same as run()
+ * @returns {Promise<Object>} Same shape as run()
+ */
+async function resume(runId, options = {}) {
+  cleanupExpired();
+  const state = pendingRuns.get(runId);
+  if (!state) {
+    return { success: false, message: 'That agent run has expired. Ask again to start over.', steps: 0, tools: [] };
+  }
+
+  pendingRuns.delete(runId);
+  state.approved = true;
+  return loop(state, options);
+}
+
+/**
+ * Drop a paused run (user said "no")
+ * @param {string} runId
+ * @returns {boolean} Whether a run was pending
+ */
+function cancel(runId) {
+  return pendingRuns.delete(runId);
+}
+
+/**
+ * Whether a paused run is waiting for confirmation
+ * @param {string} runId
+ * @returns {boolean}
+ */
+function hasPendingRun(runId) {
+  cleanupExpired();
+  return pendingRuns.has(runId);
+}
+
+module.exports = {
+  run,
+  resume,
+  cancel,
+  hasPendingRun,
+  buildTools,
+  getMaxSteps,
+  SYSTEM_PROMPT,
+  DEFAULT_MAX_STEPS,
+};
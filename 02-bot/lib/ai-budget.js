@@ -0,0 +1,519 @@
+/**
+ * AI Budget - Token and cost caps per user, chat and provider
+ *
+ * Every completion the AI router makes is recorded here (provider, model,
+ * tokens, cost). Before each call the router asks for a verdict:
+ * - ok   - under every limit
+ * - soft - a soft limit is hit: route to a cheaper/free provider (Groq)
+ * - hard - a hard limit is hit: paid providers are refused
+ *
+ * Limits are daily or monthly, measured in USD ("cost") or tokens, and can
+ * target one user/chat/provider or every one of them (scope id "*").
+ * Defaults for "*" can also come from env:
+ *   AI_BUDGET_USER_DAILY, AI_BUDGET_USER_MONTHLY         (USD per user)
+ *   AI_BUDGET_CHAT_DAILY, AI_BUDGET_CHAT_MONTHLY         (USD per chat)
+ *   AI_BUDGET_PROVIDER_DAILY, AI_BUDGET_PROVIDER_MONTHLY (USD per paid provider)
+ *   AI_BUDGET_SOFT_RATIO                                 (soft = ratio × hard, default 0.8)
+ *
+ * Uses SQLite (via database.js) for persistence.
+ *
+ * @module lib/ai-budget
+ */
+
+'use strict';
+
+const SCOPES = ['user', 'chat', 'provider'];
+const PERIODS = ['daily', 'monthly'];
+const METRICS = ['cost', 'tokens'];
+
+// Providers that never cost money - cost limits don't block them
+const FREE_PROVIDERS = ['groq', 'local'];
+
+const DEFAULT_SOFT_RATIO = 0.8;
+
+let _db = null;
+let _initialized = false;
+
+function getDb() {
+  if (!_db) {
+    try {
+      _db = require('./database');
+    } catch (e) {
+      _db = false;
+    }
+  }
+  return _db && _db.getDb ? _db.getDb() : null;
+}
+
+/**
+ * Initialize the usage and limit tables
+ */
+function init() {
+  if (_initialized) return;
+
+  const db = getDb();
+  if (!db) {
+    _initialized = true;
+    return;
+  }
+
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        chat_id TEXT,
+        provider TEXT NOT NULL,
+        model TEXT,
+        tokens INTEGER DEFAULT 0,
+        cost REAL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_user ON ai_usage(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_chat ON ai_usage(chat_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_provider ON ai_usage(provider, created_at DESC);
+
+      CREATE TABLE IF NOT EXISTS ai_budget_limits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL,
+        scope_id TEXT NOT NULL DEFAULT '*',
+        period TEXT NOT NULL,
+        metric TEXT NOT NULL DEFAULT 'cost',
+        hard_limit REAL NOT NULL,
+        soft_limit REAL,
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(scope, scope_id, period, metric)
+      );
+    `);
+    _initialized = true;
+    console.log('[AIBudget] Initialized');
+  } catch (e) {
+    console.warn('[AIBudget] Init failed:', e.message);
+    _initialized = true;
+  }
+}
+
+/**
+ * Whether a provider is free (cost limits never block it)
+ * @param {string} provider
+ * @returns {boolean}
+ */
+function isFreeProvider(provider) {
+  return FREE_PROVIDERS.includes(provider);
+}
+
+/**
+ * SQL lower bound for a period, relative to now (UTC like CURRENT_TIMESTAMP)
+ */
+function periodStartSql(period) {
+  return period === 'monthly' ? "datetime('now', 'start of month')" : "datetime('now', 'start of day')";
+}
+
+function scopeColumn(scope) {
+  return { user: 'user_id', chat: 'chat_id', provider: 'provider' }[scope];
+}
+
+function softRatio() {
+  const ratio = parseFloat(process.env.AI_BUDGET_SOFT_RATIO);
+  return ratio > 0 && ratio <= 1 ? ratio : DEFAULT_SOFT_RATIO;
+}
+
+/**
+ * Record one completion's usage.
+ *
+ * @param {Object} params
+ * @param {string} [params.userId]
+ * @param {string} [params.chatId]
+ * @param {string} params.provider - groq, claude, grok, perplexity, local
+ * @param {string} [params.model]
+ * @param {number} [params.tokens=0]
+ * @param {number} [params.cost=0] - USD
+ * @returns {number|null} usage row id
+ */
+function recordUsage({ userId = null, chatId = null, provider, model = null, tokens = 0, cost = 0 }) {
+  init();
+  const db = getDb();
+  if (!db || !provider) return null;
+
+  try {
+    const info = db.prepare(
+      'INSERT INTO ai_usage (user_id, chat_id, provider, model, tokens, cost) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(
+      userId != null ? String(userId) : null,
+      chatId != null ? String(chatId) : null,
+      provider, model, Math.round(tokens || 0), cost || 0
+    );
+    return Number(info.lastInsertRowid);
+  } catch (e) {
+    console.error('[AIBudget] recordUsage error:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Usage totals for one scope in the current period.
+ *
+ * @param {string} scope - user, chat or provider
+ * @param {string} scopeId
+ * @param {string} period - daily or monthly
+ * @returns {{cost: number, tokens: number, calls: number}}
+ */
+function getUsage(scope, scopeId, period) {
+  init();
+  const db = getDb();
+  const column = scopeColumn(scope);
+  if (!db || !column || scopeId == null) return { cost: 0, tokens: 0, calls: 0 };
+
+  try {
+    const row = db.prepare(
+      `SELECT COALESCE(SUM(cost), 0) AS cost, COALESCE(SUM(tokens), 0) AS tokens, COUNT(*) AS calls
+       FROM ai_usage WHERE ${column} = ? AND created_at >= ${periodStartSql(period)}`
+    ).get(String(scopeId));
+    return { cost: row.cost, tokens: row.tokens, calls: row.calls };
+  } catch (e) {
+    console.error('[AIBudget] getUsage error:', e.message);
+    return { cost: 0, tokens: 0, calls: 0 };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Limits
+// ---------------------------------------------------------------------------
+
+/**
+ * Set (or replace) a limit.
+ *
+ * @param {Object} params
+ * @param {string} params.scope - user, chat or provider
+ * @param {string} [params.scopeId='*'] - specific id, or '*' for every user/chat/provider
+ * @param {string} params.period - daily or monthly
+ * @param {string} [params.metric='cost'] - cost (USD) or tokens
+ * @param {number} params.hard - hard limit
+ * @param {number} [params.soft] - soft limit (default: AI_BUDGET_SOFT_RATIO × hard)
+ * @param {string} [params.updatedBy]
+ * @returns {Object} the stored limit
+ */
+function setLimit({ scope, scopeId = '*', period, metric = 'cost', hard, soft = null, updatedBy = null }) {
+  if (!SCOPES.includes(scope)) throw new Error(`Invalid scope "${scope}". Use: ${SCOPES.join(', ')}`);
+  if (!PERIODS.includes(period)) throw new Error(`Invalid period "${period}". Use: ${PERIODS.join(', ')}`);
+  if (!METRICS.includes(metric)) throw new Error(`Invalid metric "${metric}". Use: ${METRICS.join(', ')}`);
+  if (!(hard > 0)) throw new Error('Hard limit must be greater than 0');
+  if (soft != null && !(soft > 0 && soft <= hard)) throw new Error('Soft limit must be between 0 and the hard limit');
+
+  init();
+  const db = getDb();
+  if (!db) throw new Error('Database not available');
+
+  const softLimit = soft != null ? soft : hard * softRatio();
+  db.prepare(
+    `INSERT INTO ai_budget_limits (scope, scope_id, period, metric, hard_limit, soft_limit, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(scope, scope_id, period, metric) DO UPDATE SET
+       hard_limit = excluded.hard_limit, soft_limit = excluded.soft_limit,
+       updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP`
+  ).run(scope, String(scopeId), period, metric, hard, softLimit, updatedBy);
+
+  return { scope, scopeId: String(scopeId), period, metric, hard, soft: softLimit, source: 'db' };
+}
+
+/**
+ * Remove a stored limit (env defaults still apply).
+ * @returns {boolean} true if a limit was removed
+ */
+function clearLimit({ scope, scopeId = '*', period, metric = 'cost' }) {
+  init();
+  const db = getDb();
+  if (!db) return false;
+
+  try {
+    return db.prepare(
+      'DELETE FROM ai_budget_limits WHERE scope = ? AND scope_id = ? AND period = ? AND metric = ?'
+    ).run(scope, String(scopeId), period, metric).changes > 0;
+  } catch (e) {
+    console.error('[AIBudget] clearLimit error:', e.message);
+    return false;
+  }
+}
+
+/**
+ * Limits defined by env vars (USD, scope id "*")
+ */
+function getEnvLimits() {
+  const limits = [];
+  for (const scope of SCOPES) {
+    for (const period of PERIODS) {
+      const hard = parseFloat(process.env[`AI_BUDGET_${scope.toUpperCase()}_${period.toUpperCase()}`]);
+      if (hard > 0) {
+        limits.push({ scope, scopeId: '*', period, metric: 'cost', hard, soft: hard * softRatio(), source: 'env' });
+      }
+    }
+  }
+  return limits;
+}
+
+/**
+ * All configured limits - stored limits first, then env defaults they don't override
+ * @returns {Array<{scope, scopeId, period, metric, hard, soft, source}>}
+ */
+function getLimits() {
+  init();
+  const db = getDb();
+  let stored = [];
+
+  if (db) {
+    try {
+      stored = db.prepare('SELECT * FROM ai_budget_limits ORDER BY scope, scope_id, period').all().map(row => ({
+        scope: row.scope,
+        scopeId: row.scope_id,
+        period: row.period,
+        metric: row.metric,
+        hard: row.hard_limit,
+        soft: row.soft_limit != null ? row.soft_limit : row.hard_limit * softRatio(),
+        source: 'db'
+      }));
+    } catch (e) {
+      console.error('[AIBudget] getLimits error:', e.message);
+    }
+  }
+
+  const key = l => `${l.scope}|${l.scopeId}|${l.period}|${l.metric}`;
+  const storedKeys = new Set(stored.map(key));
+  return [...stored, ...getEnvLimits().filter(l => !storedKeys.has(key(l)))];
+}
+
+/**
+ * Limits that apply to one scope id: a specific limit wins over the "*" default
+ * @param {Array} limits - from getLimits()
+ * @param {string} scope
+ * @param {string} scopeId
+ * @returns {Array}
+ */
+function resolveLimits(limits, scope, scopeId) {
+  const resolved = new Map();
+  for (const limit of limits) {
+    if (limit.scope !== scope) continue;
+    const slot = `${limit.period}|${limit.metric}`;
+    if (limit.scopeId === String(scopeId)) {
+      resolved.set(slot, limit);
+    } else if (limit.scopeId === '*' && !resolved.has(slot)) {
+      // "*" provider limits only make sense for paid providers
+      if (scope === 'provider' && limit.metric === 'cost' && isFreeProvider(scopeId)) continue;
+      resolved.set(slot, limit);
+    }
+  }
+  return [...resolved.values()];
+}
+
+// ---------------------------------------------------------------------------
+// Verdicts
+// ---------------------------------------------------------------------------
+
+/**
+ * Check the limits that apply to a call.
+ *
+ * `status` is the worst level across all limits; `tokenStatus` only looks at
+ * token limits (which also apply to free providers).
+ *
+ * @param {Object} params
+ * @param {string} [params.userId]
+ * @param {string} [params.chatId]
+ * @param {string} [params.provider]
+ * @returns {{status: string, costStatus: string, tokenStatus: string, breaches: Array}}
+ */
+function check({ userId = null, chatId = null, provider = null } = {}) {
+  const limits = getLimits();
+  const verdict = { status: 'ok', costStatus: 'ok', tokenStatus: 'ok', breaches: [] };
+  if (limits.length === 0) return verdict;
+
+  const rank = { ok: 0, soft: 1, hard: 2 };
+  const worse = (a, b) => (rank[b] > rank[a] ? b : a);
+
+  const targets = [['user', userId], ['chat', chatId], ['provider', provider]];
+  for (const [scope, scopeId] of targets) {
+    if (scopeId == null) continue;
+
+    for (const limit of resolveLimits(limits, scope, scopeId)) {
+      const used = getUsage(scope, scopeId, limit.period)[limit.metric];
+      const level = used >= limit.hard ? 'hard' : (used >= limit.soft ? 'soft' : 'ok');
+      if (level === 'ok') continue;
+
+      verdict.breaches.push({ ...limit, scopeId: String(scopeId), used, level });
+      verdict.status = worse(verdict.status, level);
+      if (limit.metric === 'tokens') {
+        verdict.tokenStatus = worse(verdict.tokenStatus, level);
+      } else {
+        verdict.costStatus = worse(verdict.costStatus, level);
+      }
+    }
+  }
+
+  return verdict;
+}
+
+/**
+ * Error thrown when a call is refused at a hard limit
+ * @param {Object} verdict - from check()
+ * @returns {Error} with code AI_BUDGET_EXCEEDED and the verdict attached
+ */
+function budgetExceededError(verdict) {
+  const breach = verdict.breaches.find(b => b.level === 'hard') || verdict.breaches[0] || {};
+  const err = new Error(`AI budget exceeded: ${describeBreach(breach)}`);
+  err.code = 'AI_BUDGET_EXCEEDED';
+  err.budget = verdict;
+  return err;
+}
+
+/**
+ * Human-readable description of a breach
+ */
+function describeBreach(breach) {
+  if (!breach.scope) return 'hard limit reached';
+  const who = breach.scope === 'provider' ? breach.scopeId : `${breach.scope} ${breach.scopeId}`;
+  return `${who} ${breach.period} ${breach.metric === 'tokens' ? 'token' : 'spend'} limit ` +
+    `(${formatAmount(breach.used, breach.metric)} of ${formatAmount(breach.hard, breach.metric)})`;
+}
+
+function formatAmount(value, metric = 'cost') {
+  return metric === 'tokens' ? `${Math.round(value).toLocaleString()} tokens` : `$${value.toFixed(2)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Reporting
+// ---------------------------------------------------------------------------
+
+/**
+ * Burn rate for a scope (or everything when scope is null).
+ *
+ * @param {string|null} [scope]
+ * @param {string} [scopeId]
+ * @returns {{lastHour: number, last24h: number, perHour: number, monthToDate: number, projectedMonth: number, tokensLast24h: number}}
+ */
+function getBurnRate(scope = null, scopeId = null) {
+  init();
+  const db = getDb();
+  const empty = { lastHour: 0, last24h: 0, perHour: 0, monthToDate: 0, projectedMonth: 0, tokensLast24h: 0 };
+  if (!db) return empty;
+
+  const column = scope ? scopeColumn(scope) : null;
+  const where = column ? `AND ${column} = ?` : '';
+  const params = column ? [String(scopeId)] : [];
+
+  try {
+    const row = db.prepare(
+      `SELECT
+         COALESCE(SUM(CASE WHEN created_at >= datetime('now', '-1 hour') THEN cost END), 0) AS last_hour,
+         COALESCE(SUM(CASE WHEN created_at >= datetime('now', '-1 day') THEN cost END), 0) AS last_day,
+         COALESCE(SUM(CASE WHEN created_at >= datetime('now', '-1 day') THEN tokens END), 0) AS tokens_day,
+         COALESCE(SUM(CASE WHEN created_at >= datetime('now', 'start of month') THEN cost END), 0) AS month
+       FROM ai_usage WHERE created_at >= datetime('now', '-31 days') ${where}`
+    ).get(...params);
+
+    const now = new Date();
+    const daysInMonth = new Date(now.getUTCFullYear(), now.getUTCMonth() + 1, 0).getDate();
+    const dayOfMonth = now.getUTCDate() - 1 + (now.getUTCHours() * 60 + now.getUTCMinutes()) / 1440;
+
+    return {
+      lastHour: row.last_hour,
+      last24h: row.last_day,
+      perHour: row.last_day / 24,
+      monthToDate: row.month,
+      projectedMonth: dayOfMonth > 0 ? (row.month / dayOfMonth) * daysInMonth : row.month,
+      tokensLast24h: row.tokens_day
+    };
+  } catch (e) {
+    console.error('[AIBudget] getBurnRate error:', e.message);
+    return empty;
+  }
+}
+
+/**
+ * Usage per provider for a period
+ * @param {string} [period='daily']
+ * @returns {Object<string, {cost: number, tokens: number, calls: number}>}
+ */
+function getProviderBreakdown(period = 'daily') {
+  init();
+  const db = getDb();
+  if (!db) return {};
+
+  try {
+    const rows = db.prepare(
+      `SELECT provider, COALESCE(SUM(cost), 0) AS cost, COALESCE(SUM(tokens), 0) AS tokens, COUNT(*) AS calls
+       FROM ai_usage WHERE created_at >= ${periodStartSql(period)} GROUP BY provider`
+    ).all();
+    return Object.fromEntries(rows.map(r => [r.provider, { cost: r.cost, tokens: r.tokens, calls: r.calls }]));
+  } catch (e) {
+    console.error('[AIBudget] getProviderBreakdown error:', e.message);
+    return {};
+  }
+}
+
+/**
+ * Budget summary for a user/chat: every applicable limit with current usage,
+ * burn rate and overall status. Used by "ai budget" and the dashboard.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.userId]
+ * @param {string} [params.chatId]
+ * @returns {{status: string, limits: Array, burnRate: Object, providers: Object}}
+ */
+function getSummary({ userId = null, chatId = null } = {}) {
+  const limits = getLimits();
+  const rows = [];
+
+  const targets = [['user', userId], ['chat', chatId]];
+  const providers = new Set(limits.filter(l => l.scope === 'provider' && l.scopeId !== '*').map(l => l.scopeId));
+  if (limits.some(l => l.scope === 'provider' && l.scopeId === '*')) {
+    ['claude', 'grok', 'perplexity'].forEach(p => providers.add(p));
+  }
+  providers.forEach(p => targets.push(['provider', p]));
+
+  for (const [scope, scopeId] of targets) {
+    if (scopeId == null) continue;
+    for (const limit of resolveLimits(limits, scope, scopeId)) {
+      const used = getUsage(scope, scopeId, limit.period)[limit.metric];
+      rows.push({
+        ...limit,
+        scopeId: String(scopeId),
+        inherited: limit.scopeId === '*',
+        used,
+        percent: limit.hard > 0 ? Math.round((used / limit.hard) * 100) : 0,
+        level: used >= limit.hard ? 'hard' : (used >= limit.soft ? 'soft' : 'ok')
+      });
+    }
+  }
+
+  const rank = { ok: 0, soft: 1, hard: 2 };
+  const status = rows.reduce((worst, r) => (rank[r.level] > rank[worst] ? r.level : worst), 'ok');
+
+  return {
+    status,
+    limits: rows,
+    burnRate: userId != null ? getBurnRate('user', userId) : getBurnRate(),
+    providers: {
+      today: getProviderBreakdown('daily'),
+      month: getProviderBreakdown('monthly')
+    }
+  };
+}
+
+module.exports = {
+  init,
+  recordUsage,
+  getUsage,
+  setLimit,
+  clearLimit,
+  getLimits,
+  check,
+  isFreeProvider,
+  budgetExceededError,
+  describeBreach,
+  formatAmount,
+  getBurnRate,
+  getProviderBreakdown,
+  getSummary,
+  SCOPES,
+  PERIODS,
+  METRICS,
+};
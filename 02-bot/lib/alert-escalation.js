@@ -1,7 +1,7 @@
 /**
  * Alert Escalation Manager
  *
- * Handles multi-tier alert escalation: Telegram -> WhatsApp -> Voice Call
+ * Handles multi-tier alert escalation: Telegram -> WhatsApp -> Email -> Voice Call
  *
  * Features:
  * - Automatic escalation based on unacknowledged alerts
@@ -13,7 +13,8 @@
  * Escalation Flow:
  * 1. Alert created -> Send to Telegram
  * 2. No acknowledgement after 15 min -> Escalate to WhatsApp
- * 3. No acknowledgement after 30 min -> Escalate to Voice Call
+ * 3. No acknowledgement after 10 more min -> Escalate to Email (if an email sender is set)
+ * 4. No acknowledgement 30 min after WhatsApp -> Escalate to Voice Call
  *
  * @module lib/alert-escalation
  */
@@ -43,6 +44,17 @@ const LEVELS = {
     EMERGENCY: 'emergency'  // Immediate voice call
 };
 
+/**
+ * Escalation steps, in order
+ * @constant {Object}
+ */
+const STEPS = {
+    TELEGRAM: 0,
+    WHATSAPP: 1,
+    EMAIL: 2,    // Skipped when no email sender is configured
+    VOICE: 3
+};
+
 /**
  * Predefined trigger types with their default levels and messages
  * @constant {Object}
@@ -172,13 +184,15 @@ class AlertEscalation {
         /** @type {Object} Send functions injected from index.js */
         this.senders = {
             telegram: null,
-            whatsapp: null
+            whatsapp: null,
+            email: null
         };
 
         // Configurable thresholds (can be overridden via env)
         this.config = {
             telegramToWhatsappDelay: parseInt(process.env.ESCALATE_TELEGRAM_TO_WHATSAPP_MS) || 15 * 60 * 1000,  // 15 min
             whatsappToVoiceDelay: parseInt(process.env.ESCALATE_WHATSAPP_TO_VOICE_MS) || 30 * 60 * 1000,       // 30 min
+            whatsappToEmailDelay: parseInt(process.env.ESCALATE_WHATSAPP_TO_EMAIL_MS) || 10 * 60 * 1000,       // 10 min
             doNotDisturbStart: parseInt(process.env.DND_START_HOUR) || 23,  // 11 PM
             doNotDisturbEnd: parseInt(process.env.DND_END_HOUR) || 7,       // 7 AM
             bypassDNDForCritical: process.env.BYPASS_DND_FOR_CRITICAL !== 'false',
@@ -194,6 +208,7 @@ class AlertEscalation {
         console.log('[AlertEscalation] Initialized with config:', {
             telegramToWhatsappDelay: `${this.config.telegramToWhatsappDelay / 60000} min`,
             whatsappToVoiceDelay: `${this.config.whatsappToVoiceDelay / 60000} min`,
+            whatsappToEmailDelay: `${this.config.whatsappToEmailDelay / 60000} min`,
             dndHours: `${this.config.doNotDisturbStart}:00 - ${this.config.doNotDisturbEnd}:00`,
             enabled: this.config.enabled
         });
@@ -201,13 +216,15 @@ class AlertEscalation {
 
     /**
      * Initialize with message senders from index.js
-     * @param {Object} senders - Object with telegram and whatsapp send functions
+     * @param {Object} senders - Object with telegram and whatsapp send functions,
+     *                           and optionally email (message, subject)
      */
     initialize(senders) {
         this.senders = { ...this.senders, ...senders };
         console.log('[AlertEscalation] Senders initialized:', {
             telegram: !!this.senders.telegram,
-            whatsapp: !!this.senders.whatsapp
+            whatsapp: !!this.senders.whatsapp,
+            email: !!this.senders.email
         });
     }
 
@@ -262,7 +279,7 @@ class AlertEscalation {
             metadata: options.metadata || {},
             timestamp: Date.now(),
             acknowledged: false,
-            escalationStep: 0,  // 0=telegram, 1=whatsapp, 2=voice
+            escalationStep: STEPS.TELEGRAM,
             escalationHistory: []
         };
 
@@ -280,7 +297,7 @@ class AlertEscalation {
 
         // Schedule escalation (unless emergency - that goes straight to voice)
         if (alert.level === LEVELS.EMERGENCY) {
-            alert.escalationStep = 2;
+            alert.escalationStep = STEPS.VOICE;
             await this.sendAlert(alert);
         } else if (alert.level !== LEVELS.INFO) {
             this.scheduleEscalation(alert);
@@ -336,7 +353,7 @@ class AlertEscalation {
         const formattedMessage = this.formatAlertMessage(alert);
 
         switch (alert.escalationStep) {
-            case 0: // Telegram
+            case STEPS.TELEGRAM:
                 console.log(`[AlertEscalation] Sending to Telegram: ${alert.shortId}`);
                 alert.escalationHistory.push({
                     step: 'telegram',
@@ -354,7 +371,7 @@ class AlertEscalation {
                 }
                 break;
 
-            case 1: // WhatsApp
+            case STEPS.WHATSAPP:
                 console.log(`[AlertEscalation] Escalating to WhatsApp: ${alert.shortId}`);
                 const escalatedMessage = this.formatAlertMessage(alert, 'ESCALATED');
                 alert.escalationHistory.push({
@@ -373,7 +390,26 @@ class AlertEscalation {
                 }
                 break;
 
-            case 2: // Voice call
+            case STEPS.EMAIL:
+                console.log(`[AlertEscalation] Escalating to Email: ${alert.shortId}`);
+                alert.escalationHistory.push({
+                    step: 'email',
+                    timestamp: Date.now()
+                });
+
+                if (this.senders.email) {
+                    try {
+                        const subject = `[${alert.level.toUpperCase()}] ${alert.message}`;
+                        await this.senders.email(this.formatAlertMessage(alert, 'ESCALATED'), subject);
+                    } catch (err) {
+                        console.error('[AlertEscalation] Email send failed:', err.message);
+                    }
+                } else {
+                    console.log('[AlertEscalation] Email sender not available');
+                }
+                break;
+
+            case STEPS.VOICE:
                 console.log(`[AlertEscalation] Escalating to Voice Call: ${alert.shortId}`);
                 alert.escalationHistory.push({
                     step: 'voice',
@@ -410,10 +446,8 @@ class AlertEscalation {
         // Emergency already sent to voice
         if (alert.level === LEVELS.EMERGENCY) return;
 
-        // Calculate delay based on current step
-        const delay = alert.escalationStep === 0
-            ? this.config.telegramToWhatsappDelay
-            : this.config.whatsappToVoiceDelay;
+        const nextStep = this.getNextStep(alert.escalationStep);
+        const delay = this.getEscalationDelay(alert.escalationStep);
 
         const timer = setTimeout(async () => {
             // Check if still pending (not acknowledged)
@@ -423,12 +457,12 @@ class AlertEscalation {
             }
 
             // Move to next step
-            if (currentAlert.escalationStep < 2) {
-                currentAlert.escalationStep++;
+            if (currentAlert.escalationStep < STEPS.VOICE) {
+                currentAlert.escalationStep = nextStep;
                 await this.sendAlert(currentAlert);
 
                 // Continue escalation if not at voice yet
-                if (currentAlert.escalationStep < 2) {
+                if (currentAlert.escalationStep < STEPS.VOICE) {
                     this.scheduleEscalation(currentAlert);
                 }
             }
@@ -437,8 +471,42 @@ class AlertEscalation {
         // Store timer for cleanup
         this.escalationTimers.set(alert.id, timer);
 
-        const nextStep = alert.escalationStep === 0 ? 'WhatsApp' : 'Voice';
-        console.log(`[AlertEscalation] Scheduled escalation to ${nextStep} in ${delay / 60000} min for ${alert.shortId}`);
+        const stepNames = { [STEPS.WHATSAPP]: 'WhatsApp', [STEPS.EMAIL]: 'Email', [STEPS.VOICE]: 'Voice' };
+        console.log(`[AlertEscalation] Scheduled escalation to ${stepNames[nextStep]} in ${delay / 60000} min for ${alert.shortId}`);
+    }
+
+    /**
+     * Get the step after the current one (the email tier only with an email sender)
+     * @param {number} step - Current escalation step
+     * @returns {number} Next step
+     * @private
+     */
+    getNextStep(step) {
+        if (step === STEPS.WHATSAPP && !this.senders.email) {
+            return STEPS.VOICE;
+        }
+        return Math.min(step + 1, STEPS.VOICE);
+    }
+
+    /**
+     * Get the wait before escalating past the current step
+     * The email tier sits inside the WhatsApp -> Voice window, so voice calls
+     * come at the same time whether or not email is configured.
+     * @param {number} step - Current escalation step
+     * @returns {number} Delay in ms
+     * @private
+     */
+    getEscalationDelay(step) {
+        const emailDelay = Math.min(this.config.whatsappToEmailDelay, this.config.whatsappToVoiceDelay);
+
+        switch (step) {
+            case STEPS.TELEGRAM:
+                return this.config.telegramToWhatsappDelay;
+            case STEPS.WHATSAPP:
+                return this.senders.email ? emailDelay : this.config.whatsappToVoiceDelay;
+            default:
+                return this.config.whatsappToVoiceDelay - emailDelay;
+        }
     }
 
     /**
@@ -624,6 +692,14 @@ class AlertEscalation {
     static getLevels() {
         return { ...LEVELS };
     }
+
+    /**
+     * Get the escalation steps
+     * @returns {Object} Escalation steps
+     */
+    static getSteps() {
+        return { ...STEPS };
+    }
 }
 
 // Create singleton instance
@@ -633,5 +709,6 @@ module.exports = {
     AlertEscalation,
     alertEscalation,
     LEVELS,
+    STEPS,
     TRIGGERS
 };
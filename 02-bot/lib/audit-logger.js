@@ -259,6 +259,20 @@ class AuditLogger {
         });
     }
 
+    /**
+     * Log a command refused by access control
+     */
+    logAccessDenied(userId, chatId, skillName, command, details = {}) {
+        return this.logSecurityEvent('access_denied', {
+            severity: 'warning',
+            userId: this.sanitizeUserId(userId),
+            chatId: this.sanitizeUserId(chatId),
+            skill: skillName,
+            command: command?.substring(0, 100),
+            ...details
+        });
+    }
+
     /**
      * Log a webhook event
      */
@@ -1,6 +1,6 @@
 /**
  * Chat Registry
- * Maps Telegram/WhatsApp chat IDs to repos, companies, or HQ for alert routing.
+ * Maps Telegram/WhatsApp/Slack/Discord chat IDs to repos, companies, or HQ for alert routing.
  * Persists to disk and supports notification levels.
  *
  * @module lib/chat-registry
@@ -9,8 +9,9 @@
 const fs = require('fs');
 const path = require('path');
 
-// Storage file path (in config folder as per spec)
-const REGISTRY_FILE = path.join(__dirname, '..', '..', 'config', 'chat-registry.json');
+// Storage file path (in config folder as per spec, overridable for tests)
+const REGISTRY_FILE = process.env.CHAT_REGISTRY_FILE ||
+  path.join(__dirname, '..', '..', 'config', 'chat-registry.json');
 
 /**
  * Context types for chat registration
@@ -32,6 +33,19 @@ const NOTIFICATION_LEVELS = {
   DIGEST: 'digest'      // Daily summary only
 };
 
+/**
+ * Access roles, from most to least privileged (permissions per role live in
+ * lib/access-control)
+ * @constant {Object}
+ */
+const ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  DEVELOPER: 'developer',
+  ACCOUNTANT: 'accountant',
+  VIEWER: 'viewer'
+};
+
 /**
  * Giquina Group company codes (from CLAUDE.md)
  * @constant {Object}
@@ -48,7 +62,7 @@ const COMPANY_CODES = {
  * Chat registration structure
  * @typedef {Object} ChatRegistration
  * @property {string} chatId - The chat identifier
- * @property {string} platform - Platform (whatsapp/telegram)
+ * @property {string} platform - Platform (whatsapp/telegram/slack/discord/email)
  * @property {string} type - Context type (repo/company/hq)
  * @property {string|null} value - Repo name, company code, or null for HQ
  * @property {string} notificationLevel - Notification level (all/critical/digest)
@@ -64,6 +78,21 @@ const COMPANY_CODES = {
  */
 let registrations = new Map();
 
+/**
+ * Per-chat skill overrides (chatId -> { skillName: enabled })
+ * Kept separate from registrations so unregistered chats can hide skills too.
+ * @type {Map<string, Object<string, boolean>>}
+ */
+let skillOverrides = new Map();
+
+/**
+ * Role assignments (scope -> { userId: role })
+ * Scope is a chat ID, or '*' for roles that apply in every chat. User '*'
+ * inside a chat scope is the default role for everyone in that chat.
+ * @type {Map<string, Object<string, string>>}
+ */
+let roles = new Map();
+
 /**
  * Indexes for fast lookups
  */
@@ -76,12 +105,22 @@ let indexes = {
 /**
  * Detect platform from chat ID format
  * @param {string} chatId - The chat ID
- * @returns {string} 'telegram' | 'whatsapp' | 'unknown'
+ * @returns {string} 'telegram' | 'whatsapp' | 'slack' | 'discord' | 'email' | 'unknown'
  */
 function detectPlatform(chatId) {
   if (!chatId) return 'unknown';
   const chatStr = String(chatId);
 
+  // Email addresses (the sender is the chat)
+  if (chatStr.startsWith('email:') || /^[^\s@:]+@[^\s@]+\.[^\s@]+$/.test(chatStr)) {
+    return 'email';
+  }
+
+  // Discord channel IDs are 17-20 digit snowflakes - longer than any Telegram ID
+  if (chatStr.startsWith('discord:') || /^\d{17,20}$/.test(chatStr)) {
+    return 'discord';
+  }
+
   // Telegram chat IDs are numeric (can be negative for groups)
   if (/^-?\d+$/.test(chatStr)) {
     return 'telegram';
@@ -92,6 +131,11 @@ function detectPlatform(chatId) {
     return 'whatsapp';
   }
 
+  // Slack channel IDs: C... (public), G... (private), D... (DM)
+  if (chatStr.startsWith('slack:') || /^[CDG][A-Z0-9]{8,}$/.test(chatStr)) {
+    return 'slack';
+  }
+
   return 'unknown';
 }
 
@@ -217,6 +261,8 @@ function load() {
     if (fs.existsSync(REGISTRY_FILE)) {
       const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
       registrations = new Map(Object.entries(data.registrations || {}));
+      skillOverrides = new Map(Object.entries(data.skillOverrides || {}));
+      roles = new Map(Object.entries(data.roles || {}));
       rebuildIndexes();
       console.log(`[ChatRegistry] Loaded ${registrations.size} registrations from disk`);
     } else {
@@ -246,7 +292,9 @@ function save() {
       version: '1.0',
       description: 'Chat Registry - Maps chat IDs to repos, companies, or HQ',
       lastUpdated: new Date().toISOString(),
-      registrations: Object.fromEntries(registrations)
+      registrations: Object.fromEntries(registrations),
+      skillOverrides: Object.fromEntries(skillOverrides),
+      roles: Object.fromEntries(roles)
     };
 
     fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2));
@@ -260,13 +308,13 @@ function save() {
 
 /**
  * Register a chat with a context
- * @param {string} chatId - The chat ID (Telegram or WhatsApp)
+ * @param {string} chatId - The chat ID (Telegram, WhatsApp, Slack or Discord channel)
  * @param {string} contextType - 'repo' | 'company' | 'hq'
  * @param {string|null} contextValue - Repo name, company code, or null for HQ
  * @param {Object} options - Additional options
  * @param {string} [options.notificationLevel='all'] - 'all' | 'critical' | 'digest'
  * @param {string} [options.name] - Display name for the chat
- * @param {string} [options.platform] - 'telegram' | 'whatsapp'
+ * @param {string} [options.platform] - 'telegram' | 'whatsapp' | 'slack' | 'discord' | 'email'
  * @returns {Object} The registered chat entry
  */
 function registerChat(chatId, contextType, contextValue, options = {}) {
@@ -535,6 +583,140 @@ function setNotificationLevel(chatId, level) {
   return true;
 }
 
+/**
+ * Enable or disable a skill for a single chat
+ * Overrides the global skills.json setting for this chat only.
+ * @param {string} chatId - Chat identifier
+ * @param {string} skillName - Skill name
+ * @param {boolean} enabled - Whether the skill is available in this chat
+ * @returns {Object} The chat's overrides after the change
+ */
+function setSkillOverride(chatId, skillName, enabled) {
+  if (!chatId || !skillName) {
+    throw new Error('chatId and skillName are required');
+  }
+
+  const key = String(chatId);
+  const overrides = { ...(skillOverrides.get(key) || {}), [skillName]: !!enabled };
+  skillOverrides.set(key, overrides);
+  save();
+
+  console.log(`[ChatRegistry] Skill "${skillName}" ${enabled ? 'enabled' : 'disabled'} for ${key}`);
+  return { ...overrides };
+}
+
+/**
+ * Remove a chat's override for a skill (falls back to the global setting)
+ * @param {string} chatId - Chat identifier
+ * @param {string} skillName - Skill name
+ * @returns {boolean} True if an override was removed
+ */
+function clearSkillOverride(chatId, skillName) {
+  const key = String(chatId);
+  const overrides = skillOverrides.get(key);
+  if (!overrides || !(skillName in overrides)) return false;
+
+  delete overrides[skillName];
+  if (Object.keys(overrides).length === 0) {
+    skillOverrides.delete(key);
+  }
+  save();
+
+  console.log(`[ChatRegistry] Cleared skill override "${skillName}" for ${key}`);
+  return true;
+}
+
+/**
+ * Get all skill overrides for a chat
+ * @param {string} chatId - Chat identifier
+ * @returns {Object<string, boolean>} skillName -> enabled
+ */
+function getSkillOverrides(chatId) {
+  if (!chatId) return {};
+  return { ...(skillOverrides.get(String(chatId)) || {}) };
+}
+
+/**
+ * Check whether a skill is available in a chat
+ * Skills are available unless the chat has explicitly disabled them.
+ * @param {string} chatId - Chat identifier
+ * @param {string} skillName - Skill name
+ * @returns {boolean}
+ */
+function isSkillEnabledForChat(chatId, skillName) {
+  if (!chatId) return true;
+  const overrides = skillOverrides.get(String(chatId));
+  return !overrides || overrides[skillName] !== false;
+}
+
+/**
+ * Assign a role to a user, in one chat or in every chat
+ * @param {string} userId - Platform user ID, or '*' for everyone in the chat
+ * @param {string} role - One of ROLES
+ * @param {string|null} [chatId] - Chat the role applies in (null = every chat)
+ * @returns {Object} The assignment ({ userId, role, chatId })
+ */
+function setRole(userId, role, chatId = null) {
+  if (!userId) {
+    throw new Error('userId is required');
+  }
+  if (!Object.values(ROLES).includes(role)) {
+    throw new Error(`Invalid role: ${role}. Must be one of: ${Object.values(ROLES).join(', ')}`);
+  }
+  if (userId === '*' && !chatId) {
+    throw new Error('A default role for everyone needs a chat');
+  }
+
+  const scope = chatId ? String(chatId) : '*';
+  roles.set(scope, { ...(roles.get(scope) || {}), [String(userId)]: role });
+  save();
+
+  console.log(`[ChatRegistry] Role "${role}" for ${userId} in ${scope === '*' ? 'all chats' : scope}`);
+  return { userId: String(userId), role, chatId: chatId ? scope : null };
+}
+
+/**
+ * Remove a user's role in one chat or in every chat
+ * @param {string} userId - Platform user ID, or '*'
+ * @param {string|null} [chatId] - Chat scope (null = the every-chat role)
+ * @returns {boolean} True if a role was removed
+ */
+function clearRole(userId, chatId = null) {
+  const scope = chatId ? String(chatId) : '*';
+  const assigned = roles.get(scope);
+  if (!assigned || !(String(userId) in assigned)) return false;
+
+  delete assigned[String(userId)];
+  if (Object.keys(assigned).length === 0) {
+    roles.delete(scope);
+  }
+  save();
+
+  console.log(`[ChatRegistry] Cleared role for ${userId} in ${scope === '*' ? 'all chats' : scope}`);
+  return true;
+}
+
+/**
+ * Get the role assigned to a user in exactly one scope (no fallbacks)
+ * @param {string} userId - Platform user ID, or '*'
+ * @param {string|null} [chatId] - Chat scope (null = the every-chat role)
+ * @returns {string|null} Role, or null if none is assigned there
+ */
+function getRole(userId, chatId = null) {
+  if (!userId) return null;
+  const assigned = roles.get(chatId ? String(chatId) : '*');
+  return (assigned && assigned[String(userId)]) || null;
+}
+
+/**
+ * Get every role assigned in one scope
+ * @param {string|null} [chatId] - Chat scope (null = the every-chat roles)
+ * @returns {Object<string, string>} userId -> role
+ */
+function getRoles(chatId = null) {
+  return { ...(roles.get(chatId ? String(chatId) : '*') || {}) };
+}
+
 /**
  * Get company info by code
  * @param {string} code - Company code
@@ -556,7 +738,7 @@ function getStats() {
   const repos = new Set();
   const companies = new Set();
   const byLevel = { all: 0, critical: 0, digest: 0 };
-  const byPlatform = { telegram: 0, whatsapp: 0, unknown: 0 };
+  const byPlatform = { telegram: 0, whatsapp: 0, slack: 0, discord: 0, email: 0, unknown: 0 };
 
   for (const reg of registrations.values()) {
     switch (reg.type) {
@@ -771,6 +953,19 @@ module.exports = {
   getNotificationTargets,
   setNotificationLevel,
   getCompanyInfo,
+
+  // Per-chat skill overrides
+  setSkillOverride,
+  clearSkillOverride,
+  getSkillOverrides,
+  isSkillEnabledForChat,
+
+  // Access roles (per user, per chat)
+  setRole,
+  clearRole,
+  getRole,
+  getRoles,
+
   getStats,
   formatForDisplay,
   detectPlatform,
@@ -783,5 +978,6 @@ module.exports = {
   CONTEXT_TYPES,
   NOTIFICATION_LEVELS,
   COMPANY_CODES,
+  ROLES,
   REGISTRY_FILE
 };
@@ -71,10 +71,14 @@ const ACTIONS_REQUIRING_CONFIRMATION = new Set([
   // Config changes
   'change-settings',
   'update-config',
+  'memory_import',
 
   // AI Generation actions (cost money)
   'generate-image',
-  'generate-logo'
+  'generate-logo',
+
+  // Agent loop steps flagged destructive by their skill
+  'agent_step'
 ]);
 
 /**
@@ -337,20 +341,15 @@ function requiresConfirmation(action) {
 }
 
 /**
- * Format a confirmation request message
+ * Describe an action awaiting confirmation (the body of the request)
+ * @private
  * @param {string} action - The action type
  * @param {Object} params - Action parameters
- * @returns {string} Formatted confirmation message
+ * @returns {string} Action-specific description
  */
-function formatConfirmationRequest(action, params = {}) {
+function describeAction(action, params = {}) {
   const normalizedAction = (action || '').toLowerCase();
-  const target = params.target || params.repo || params.project || params.name || '';
-
-  // Header - visual alert
-  const header = '⚠️ **APPROVAL NEEDED**\n\n';
-
-  // Footer - clear instructions with timeout warning
-  const footer = '\n\n**Reply "yes" to proceed or "no" to cancel**\n⏱️ Expires in 5 minutes';
+  const target = getTarget(params);
 
   // Action-specific messages
   const messageTemplates = {
@@ -371,21 +370,75 @@ function formatConfirmationRequest(action, params = {}) {
     'publish': `**Publish ${target || 'this content'}?**\nIt will become publicly visible.`,
     'npm install': `**Run npm install for ${target || 'this project'}?**\nThis will modify node_modules.`,
     'generate-image': `**Generate image?**\nPrompt: "${params.prompt || target}"\nEstimated cost: $${params.estimatedCost || '0.02'}`,
-    'generate-logo': `**Generate logo?**\nDescription: "${params.prompt || target}"\nEstimated cost: $${params.estimatedCost || '0.02'}`
+    'generate-logo': `**Generate logo?**\nDescription: "${params.prompt || target}"\nEstimated cost: $${params.estimatedCost || '0.02'}`,
+    'memory_import': `**Apply ${params.changes || 'these'} change(s) from MEMORY.md?**\nFacts and tasks in the database will be updated.`,
+    'agent_step': `**Let the agent run "${params.command}" (${params.skill})?**\nThis step changes something outside the chat.`
   };
 
-  // Build complete message with header and footer
-  let message;
   if (messageTemplates[normalizedAction]) {
-    message = messageTemplates[normalizedAction];
-  } else if (target) {
+    return messageTemplates[normalizedAction];
+  }
+  if (target) {
     // Generic confirmation message
-    message = `**Confirm ${action} for ${target}?**`;
-  } else {
-    message = `**Confirm ${action}?**`;
+    return `**Confirm ${action} for ${target}?**`;
+  }
+  return `**Confirm ${action}?**`;
+}
+
+/**
+ * Pick the thing an action applies to from its parameters
+ * @private
+ * @param {Object} params - Action parameters
+ * @returns {string}
+ */
+function getTarget(params = {}) {
+  return params.target || params.repo || params.project || params.name || '';
+}
+
+/**
+ * Format a confirmation request message
+ * @param {string} action - The action type
+ * @param {Object} params - Action parameters
+ * @returns {string} Formatted confirmation message
+ */
+function formatConfirmationRequest(action, params = {}) {
+  // Header - visual alert
+  const header = '⚠️ **APPROVAL NEEDED**\n\n';
+
+  // Footer - clear instructions with timeout warning
+  const footer = '\n\n**Reply "yes" to proceed or "no" to cancel**\n⏱️ Expires in 5 minutes';
+
+  return header + describeAction(action, params) + footer;
+}
+
+/**
+ * Format a confirmation request as a card for platforms with rich messages
+ * (Discord embeds). Sent with ActionButtons.confirm() buttons; replying
+ * "yes"/"no" keeps working as well.
+ * @param {string} action - The action type
+ * @param {Object} params - Action parameters
+ * @param {string} [description] - Body text (defaults to the action description)
+ * @returns {{title: string, description: string, fields: Array<{name: string, value: string, inline: boolean}>, footer: string}}
+ */
+function formatConfirmationCard(action, params = {}, description = null) {
+  const fields = [{ name: 'Action', value: String(action), inline: true }];
+  const target = getTarget(params);
+
+  if (target) {
+    fields.push({ name: 'Target', value: String(target), inline: true });
+  }
+  if (params.estimatedCost !== undefined) {
+    fields.push({ name: 'Estimated cost', value: `$${params.estimatedCost}`, inline: true });
   }
 
-  return header + message + footer;
+  const ttl = action === 'voice_plan' || action === 'text_plan' ? PLAN_CONFIRMATION_TTL : CONFIRMATION_TTL;
+
+  return {
+    title: '⚠️ Approval needed',
+    description: description || describeAction(action, params),
+    fields,
+    footer: `Expires in ${Math.round(ttl / 60000)} minutes · or reply "yes" / "no"`
+  };
 }
 
 /**
@@ -506,6 +559,7 @@ module.exports = {
   isConfirmation,
   requiresConfirmation,
   formatConfirmationRequest,
+  formatConfirmationCard,
 
   // Utility methods
   getTimeRemaining,
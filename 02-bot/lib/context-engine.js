@@ -63,6 +63,18 @@ function getProjectManager() {
   return _projectManager || null;
 }
 
+let _semanticIndex = null;
+function getSemanticIndex() {
+  if (!_semanticIndex) {
+    try { _semanticIndex = require('./semantic-index'); } catch (e) { _semanticIndex = false; }
+  }
+  return _semanticIndex || null;
+}
+
+// Older messages, facts, meetings and documents pulled in by meaning
+const RELEVANT_MEMORY_LIMIT = 5;
+const RELEVANT_MEMORY_MIN_SCORE = 0.35;
+
 let _conversationSession = null;
 function getConversationSession() {
   if (!_conversationSession) {
@@ -107,6 +119,7 @@ async function build({ chatId, userId, platform = 'telegram', message = '', auto
     // Conversation memory
     conversationHistory: [], // recent messages for Claude API format
     conversationSummary: '', // brief summary of what was discussed recently
+    relevantMemories: [],    // older items semantically related to this message
 
     // Project awareness
     activeRepo: null,     // currently active repo
@@ -134,7 +147,7 @@ async function build({ chatId, userId, platform = 'telegram', message = '', auto
   tasks.push(buildUserFacts(context, userId));
 
   // 3. Conversation history
-  tasks.push(buildConversationHistory(context, chatId, userId));
+  tasks.push(buildConversationHistory(context, chatId, userId, message));
 
   // 4. Active project & repo context
   tasks.push(buildProjectContext(context, userId, autoRepo, message));
@@ -210,7 +223,7 @@ async function buildUserFacts(context, userId) {
 /**
  * Build conversation history from memory
  */
-async function buildConversationHistory(context, chatId, userId) {
+async function buildConversationHistory(context, chatId, userId, message) {
   const memory = getMemory();
   if (!memory) return;
 
@@ -238,11 +251,34 @@ async function buildConversationHistory(context, chatId, userId) {
         context.conversationSummary = `Recent topics: ${topics}`;
       }
     }
+
+    context.relevantMemories = findRelevantMemories(message, chatId, userId, history || []);
   } catch (e) {
     // Ignore
   }
 }
 
+/**
+ * Semantic hits for the incoming message that aren't already in the recent history.
+ * Lets the bot answer "what did we decide about X?" from weeks-old messages.
+ */
+function findRelevantMemories(message, chatId, userId, history) {
+  const index = getSemanticIndex();
+  if (!index || !message) return [];
+
+  const normalize = text => String(text || '').replace(/\s+/g, ' ').trim();
+  const recent = new Set([...history.map(m => normalize(m.content)), normalize(message)]);
+
+  return index.search(message, {
+    userId,
+    chatId,
+    k: RELEVANT_MEMORY_LIMIT + recent.size,
+    minScore: RELEVANT_MEMORY_MIN_SCORE
+  })
+    .filter(hit => !(hit.source === 'message' && recent.has(normalize(hit.text))))
+    .slice(0, RELEVANT_MEMORY_LIMIT);
+}
+
 /**
  * Build project context - active repo, TODO status, recent commits, open PRs
  */
@@ -401,6 +437,14 @@ function formatForSystemPrompt(ctx) {
     sections.push(`\n💬 ${ctx.conversationSummary}`);
   }
 
+  // Older context related to this message
+  if (ctx.relevantMemories && ctx.relevantMemories.length > 0) {
+    const memoryList = ctx.relevantMemories
+      .map(m => `  • [${m.source}${m.createdAt ? ` ${String(m.createdAt).slice(0, 10)}` : ''}] ${m.text.substring(0, 200)}`)
+      .join('\n');
+    sections.push(`\n🔎 Related from earlier:\n${memoryList}`);
+  }
+
   // Recent activity (last 5 actions)
   if (ctx.recentActivity && ctx.recentActivity.length > 0) {
     const activityList = ctx.recentActivity
@@ -4,6 +4,12 @@
  * Replaces in-memory storage with persistent SQLite via better-sqlite3.
  * Provides conversation history, user facts, plan tracking, and deployment history.
  *
+ * Telegram, WhatsApp, Slack, Discord and email each give a person a different
+ * user ID. Accounts linked with a one-time code (createLinkCode /
+ * redeemLinkCode) share one canonical ID, and every user-keyed function below
+ * resolves the ID it is given, so facts, goals, pomodoro stats, budgets and
+ * the rest follow the person across platforms.
+ *
  * DB location: /opt/clawd-bot/data/clawdbot.db (EC2) or ./data/clawdbot.db (local)
  * Uses WAL mode for concurrent read performance.
  * Exports a singleton — all methods are synchronous.
@@ -11,14 +17,20 @@
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 let db = null;
 let initialized = false;
 
 // ---------------------------------------------------------------------------
-// Determine DB path: EC2 production path first, then local fallback
+// Determine DB path: CLAWDBOT_DATA_DIR override, EC2 production path, then local fallback
 // ---------------------------------------------------------------------------
 function resolveDbPath() {
+  if (process.env.CLAWDBOT_DATA_DIR) {
+    fs.mkdirSync(process.env.CLAWDBOT_DATA_DIR, { recursive: true });
+    return path.join(process.env.CLAWDBOT_DATA_DIR, 'clawdbot.db');
+  }
+
   const ec2Path = '/opt/clawd-bot/data';
   const localPath = path.join(__dirname, '..', 'data');
 
@@ -179,6 +191,11 @@ const SCHEMA = `
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     invoice_number TEXT UNIQUE NOT NULL,
     client_name TEXT NOT NULL,
+    client_email TEXT,
+    company TEXT,
+    net_amount REAL,
+    vat_rate REAL,
+    vat_amount REAL,
     amount REAL NOT NULL,
     currency TEXT DEFAULT 'GBP',
     status TEXT DEFAULT 'draft',
@@ -223,6 +240,48 @@ const SCHEMA = `
   CREATE INDEX IF NOT EXISTS idx_recurring_user ON recurring_expenses(user_id, active);
   CREATE INDEX IF NOT EXISTS idx_recurring_next_date ON recurring_expenses(next_date);
 
+  -- Expense ledger (receipts and other spending). Shared by everyone with
+  -- finance access; user_id is who recorded it.
+  CREATE TABLE IF NOT EXISTS expenses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    merchant TEXT NOT NULL,
+    expense_date DATE,
+    net_amount REAL,
+    vat_amount REAL,
+    vat_rate REAL,
+    gross_amount REAL,
+    currency TEXT DEFAULT 'GBP',
+    supplier_vat_number TEXT,
+    category TEXT DEFAULT 'Other',
+    company TEXT,
+    payment_method TEXT,
+    card_last4 TEXT,
+    attachment_path TEXT,
+    image_url TEXT,
+    confidence REAL,
+    notes TEXT,
+    source TEXT DEFAULT 'receipt',
+    user_id TEXT,
+    base_currency TEXT,
+    fx_rate REAL,
+    fx_rate_date DATE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date);
+  CREATE INDEX IF NOT EXISTS idx_expenses_company ON expenses(company, expense_date);
+  CREATE INDEX IF NOT EXISTS idx_expenses_category ON expenses(category);
+
+  -- Exchange rates by day: 1 base = rate currency
+  CREATE TABLE IF NOT EXISTS fx_rates (
+    rate_date DATE NOT NULL,
+    base TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    source TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (rate_date, base, currency)
+  );
+
   -- Meetings
   CREATE TABLE IF NOT EXISTS meetings (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -271,8 +330,167 @@ const SCHEMA = `
   CREATE INDEX IF NOT EXISTS idx_goals_user ON goals(user_id, created_at DESC);
   CREATE INDEX IF NOT EXISTS idx_goals_status ON goals(status);
   CREATE INDEX IF NOT EXISTS idx_goals_deadline ON goals(deadline);
+
+  -- Linked platform accounts: each platform user ID maps to one canonical ID
+  CREATE TABLE IF NOT EXISTS identities (
+    platform_user_id TEXT PRIMARY KEY,
+    canonical_id TEXT NOT NULL,
+    platform TEXT,
+    linked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_identities_canonical ON identities(canonical_id);
+
+  -- One-time codes for linking an account from another chat
+  CREATE TABLE IF NOT EXISTS identity_link_codes (
+    code TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    platform TEXT,
+    expires_at DATETIME NOT NULL,
+    failed_attempts INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Wrong link codes sent, per account (redeemLinkCode rate limit)
+  CREATE TABLE IF NOT EXISTS identity_link_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_identity_link_attempts_user ON identity_link_attempts(user_id, attempted_at);
 `;
 
+// Columns added after a table was first created. CREATE TABLE IF NOT EXISTS
+// leaves existing tables alone, so these are added on start when missing.
+const ADDED_COLUMNS = [
+  { table: 'invoices', column: 'client_email', type: 'TEXT' },
+  { table: 'expenses', column: 'base_currency', type: 'TEXT' },
+  { table: 'expenses', column: 'fx_rate', type: 'REAL' },
+  { table: 'expenses', column: 'fx_rate_date', type: 'DATE' },
+  { table: 'expenses', column: 'vat_rate', type: 'REAL' },
+  { table: 'expenses', column: 'supplier_vat_number', type: 'TEXT' },
+  { table: 'invoices', column: 'company', type: 'TEXT' },
+  { table: 'invoices', column: 'net_amount', type: 'REAL' },
+  { table: 'invoices', column: 'vat_rate', type: 'REAL' },
+  { table: 'invoices', column: 'vat_amount', type: 'REAL' },
+  { table: 'identity_link_codes', column: 'failed_attempts', type: 'INTEGER DEFAULT 0' }
+];
+
+function addMissingColumns() {
+  for (const { table, column, type } of ADDED_COLUMNS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!columns.includes(column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      console.log(`[Database] Added column ${table}.${column}`);
+    }
+  }
+}
+
+// Receipts and expenses were kept in JSON files before the expenses table.
+// They are imported once on start, then renamed to <file>.migrated.
+function legacyExpenseFiles() {
+  const dir = process.env.CLAWDBOT_DATA_DIR || path.join(__dirname, '..', 'data');
+  return {
+    receipts: path.join(dir, 'receipts.json'),   // skills/receipts
+    expenses: path.join(dir, 'expenses.json')    // lib/actions/receipt-processor
+  };
+}
+
+/**
+ * @param {*} value
+ * @returns {number|null} The value if it is a number
+ */
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * @param {*} value
+ * @returns {string|null} The value unless it is empty or "Not stated"
+ */
+function statedOrNull(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text && text.toLowerCase() !== 'not stated' ? text : null;
+}
+
+function importLegacyExpenses() {
+  const files = legacyExpenseFiles();
+  const rows = [];
+
+  const read = (file, key) => {
+    if (!fs.existsSync(file)) return null;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data) ? data : (data[key] || []);
+    } catch (err) {
+      console.error(`[Database] Could not read ${file}: ${err.message}`);
+      return null;
+    }
+  };
+
+  const receipts = read(files.receipts, 'receipts');
+  for (const r of receipts || []) {
+    rows.push({
+      legacyId: r.id,
+      merchant: r.vendor,
+      date: r.date,
+      grossAmount: r.amount,
+      vatAmount: r.vat,
+      currency: r.currency,
+      category: r.category,
+      paymentMethod: r.paymentMethod,
+      cardLast4: r.last4,
+      imageUrl: r.imageUrl,
+      confidence: r.confidence,
+      createdAt: r.savedAt,
+      source: 'receipts.json'
+    });
+  }
+
+  // receipt-processor numbered its own expenses, so its IDs aren't kept
+  const expenses = read(files.expenses, 'expenses');
+  for (const e of expenses || []) {
+    rows.push({
+      merchant: e.vendor,
+      date: e.date,
+      grossAmount: e.amount,
+      vatAmount: e.vat,
+      vatRate: e.vatRate,
+      currency: e.currency,
+      category: e.category,
+      company: e.company,
+      paymentMethod: e.paymentMethod,
+      cardLast4: e.last4,
+      imageUrl: e.imageUrl,
+      confidence: e.confidence,
+      notes: e.notes || e.userDescription,
+      userId: e.userId,
+      createdAt: e.savedAt || e.createdAt,
+      source: 'expenses.json'
+    });
+  }
+
+  if (receipts === null && expenses === null) return;
+
+  try {
+    const insert = db.transaction(() => {
+      for (const row of rows) {
+        const id = Number.isInteger(row.legacyId) &&
+          !db.prepare('SELECT 1 FROM expenses WHERE id = ?').get(row.legacyId) ? row.legacyId : null;
+        insertExpense(row.userId || null, { ...row, id });
+      }
+    });
+    insert();
+
+    for (const file of [files.receipts, files.expenses]) {
+      if (fs.existsSync(file)) fs.renameSync(file, `${file}.migrated`);
+    }
+    console.log(`[Database] Imported ${rows.length} expense(s) from JSON files`);
+  } catch (err) {
+    console.error('[Database] Expense import error:', err.message);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Initialise
 // ---------------------------------------------------------------------------
@@ -292,6 +510,8 @@ function init() {
 
     // Run schema inside a transaction
     db.exec(SCHEMA);
+    addMissingColumns();
+    importLegacyExpenses();
 
     // Count tables for the init log
     const tableCount = db
@@ -308,6 +528,18 @@ function init() {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Semantic index hook (facts, meetings and document analyses are searchable
+// by meaning via lib/semantic-index)
+// ---------------------------------------------------------------------------
+function semanticIndex(fn) {
+  try {
+    fn(require('./semantic-index'));
+  } catch (err) {
+    console.error('[Database] semantic index error:', err.message);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Conversations
 // ---------------------------------------------------------------------------
@@ -385,12 +617,15 @@ function clearHistory(chatId) {
  */
 function saveFact(userId, fact, category = 'general') {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'INSERT INTO facts (user_id, fact, category) VALUES (?, ?, ?)'
     );
     const info = stmt.run(String(userId), fact, category);
-    return { id: Number(info.lastInsertRowid) };
+    const id = Number(info.lastInsertRowid);
+    semanticIndex(index => index.index({ source: 'fact', refId: `db-${id}`, ownerId: userId, text: fact, label: category }));
+    return { id };
   } catch (err) {
     console.error('[Database] saveFact error:', err.message);
     return null;
@@ -405,6 +640,7 @@ function saveFact(userId, fact, category = 'general') {
  */
 function getFacts(userId, category = null) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     if (category) {
       const stmt = db.prepare(
@@ -431,7 +667,9 @@ function deleteFact(factId) {
   if (!db) return 0;
   try {
     const stmt = db.prepare('DELETE FROM facts WHERE id = ?');
-    return stmt.run(factId).changes;
+    const changes = stmt.run(factId).changes;
+    if (changes > 0) semanticIndex(index => index.remove('fact', `db-${factId}`));
+    return changes;
   } catch (err) {
     console.error('[Database] deleteFact error:', err.message);
     return 0;
@@ -446,6 +684,7 @@ function deleteFact(factId) {
  */
 function searchFacts(userId, query) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'SELECT * FROM facts WHERE user_id = ? AND fact LIKE ? ORDER BY created_at DESC'
@@ -759,6 +998,7 @@ function getClaudeCodeSessionHistory(chatId, limit = 5) {
  */
 function savePomodoroSession(userId, { sessionId, duration }) {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'INSERT INTO pomodoro_sessions (session_id, user_id, duration_minutes) VALUES (?, ?, ?)'
@@ -798,6 +1038,7 @@ function updatePomodoroSessionStatus(sessionId, status) {
  */
 function getPomodoroSessionCountToday(userId, status = 'completed') {
   if (!db) return 0;
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       `SELECT COUNT(*) as count FROM pomodoro_sessions
@@ -820,6 +1061,7 @@ function getPomodoroStatisticsToday(userId) {
   if (!db) {
     return { completed: 0, stopped: 0, totalMinutes: 0, avgDuration: 0, longestSession: 0 };
   }
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       `SELECT
@@ -856,6 +1098,7 @@ function getPomodoroStatisticsToday(userId) {
  */
 function getRecentPomodoroSessions(userId, limit = 10) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'SELECT * FROM pomodoro_sessions WHERE user_id = ? ORDER BY started_at DESC LIMIT ?'
@@ -1138,13 +1381,17 @@ function generateInvoiceNumber(userId) {
 }
 
 /**
- * Save a new invoice.
+ * Save a new invoice. `amount` is the total due; an invoice with VAT also
+ * records its net amount, VAT rate and VAT.
  * @param {string} userId
- * @param {{ clientName: string, amount: number, currency?: string, dueDate?: string }} data
+ * @param {{ clientName: string, amount: number, currency?: string, dueDate?: string, company?: string,
+ *   netAmount?: number, vatRate?: number, vatAmount?: number }} data - company is the issuing company's code
  * @returns {{ id: number, invoiceNumber: string } | null}
  */
-function saveInvoice(userId, { clientName, amount, currency = 'GBP', dueDate = null }) {
+function saveInvoice(userId, { clientName, amount, currency = 'GBP', dueDate = null, company = null,
+  netAmount = null, vatRate = null, vatAmount = null }) {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     const invoiceNumber = generateInvoiceNumber(userId);
 
@@ -1152,9 +1399,11 @@ function saveInvoice(userId, { clientName, amount, currency = 'GBP', dueDate = n
     const calculatedDueDate = dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
     const stmt = db.prepare(
-      'INSERT INTO invoices (invoice_number, client_name, amount, currency, due_date, user_id) VALUES (?, ?, ?, ?, ?, ?)'
+      `INSERT INTO invoices (invoice_number, client_name, company, net_amount, vat_rate, vat_amount, amount, currency,
+         due_date, user_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     );
-    const info = stmt.run(invoiceNumber, clientName, amount, currency, calculatedDueDate, String(userId));
+    const info = stmt.run(invoiceNumber, clientName, company ? String(company).toUpperCase() : null,
+      netAmount, vatRate, vatAmount, amount, currency, calculatedDueDate, String(userId));
     return { id: Number(info.lastInsertRowid), invoiceNumber };
   } catch (err) {
     console.error('[Database] saveInvoice error:', err.message);
@@ -1190,6 +1439,7 @@ function getInvoice(idOrNumber) {
  */
 function listInvoices(userId, status = null, limit = 50) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     if (status) {
       return db.prepare(
@@ -1205,6 +1455,28 @@ function listInvoices(userId, status = null, limit = 50) {
   }
 }
 
+/**
+ * Invoices a company has issued (sent or paid) in a period, oldest first.
+ * The invoice date is the day it was created.
+ * @param {string} company - Company code
+ * @param {{ from?: string, to?: string }} [range] - Inclusive YYYY-MM-DD
+ * @returns {Array<object>}
+ */
+function listIssuedInvoices(company, { from = null, to = null } = {}) {
+  if (!db) return [];
+  try {
+    return db.prepare(
+      `SELECT * FROM invoices
+       WHERE company = ? AND status IN ('sent', 'paid')
+         AND (? IS NULL OR date(created_at) >= ?) AND (? IS NULL OR date(created_at) <= ?)
+       ORDER BY created_at ASC, id ASC`
+    ).all(String(company).toUpperCase(), from, from, to, to);
+  } catch (err) {
+    console.error('[Database] listIssuedInvoices error:', err.message);
+    return [];
+  }
+}
+
 /**
  * Update an invoice status.
  * @param {number|string} idOrNumber - Invoice ID or invoice number
@@ -1248,6 +1520,25 @@ function updateInvoiceStatus(idOrNumber, status, options = {}) {
   }
 }
 
+/**
+ * Set the email address an invoice is delivered to.
+ * @param {number|string} idOrNumber - Invoice ID or invoice number
+ * @param {string} email
+ * @returns {number} rows changed (0 or 1)
+ */
+function setInvoiceClientEmail(idOrNumber, email) {
+  if (!db) return 0;
+  try {
+    const column = typeof idOrNumber === 'number' ? 'id' : 'invoice_number';
+    return db.prepare(
+      `UPDATE invoices SET client_email = ?, updated_at = CURRENT_TIMESTAMP WHERE ${column} = ?`
+    ).run(email, idOrNumber).changes;
+  } catch (err) {
+    console.error('[Database] setInvoiceClientEmail error:', err.message);
+    return 0;
+  }
+}
+
 /**
  * Delete an invoice.
  * @param {number|string} idOrNumber - Invoice ID or invoice number
@@ -1282,6 +1573,7 @@ function deleteInvoice(idOrNumber) {
  */
 function saveBudget(userId, category, amount, currency = 'GBP', period = 'monthly') {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     // Check if budget already exists for this user/category/period
     const existing = db.prepare(
@@ -1316,6 +1608,7 @@ function saveBudget(userId, category, amount, currency = 'GBP', period = 'monthl
  */
 function getBudgets(userId, period = null) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     if (period) {
       return db.prepare(
@@ -1340,6 +1633,7 @@ function getBudgets(userId, period = null) {
  */
 function getBudget(userId, category, period = 'monthly') {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     return db.prepare(
       'SELECT * FROM budgets WHERE user_id = ? AND category = ? AND period = ?'
@@ -1377,6 +1671,7 @@ function deleteBudget(budgetId) {
  */
 function saveRecurringExpense(userId, { description, amount, currency = 'GBP', frequency, nextDate, category = null }) {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'INSERT INTO recurring_expenses (user_id, description, amount, currency, frequency, next_date, category) VALUES (?, ?, ?, ?, ?, ?, ?)'
@@ -1396,6 +1691,7 @@ function saveRecurringExpense(userId, { description, amount, currency = 'GBP', f
  */
 function getRecurringExpenses(userId) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     return db.prepare(
       'SELECT * FROM recurring_expenses WHERE user_id = ? AND active = 1 ORDER BY next_date ASC'
@@ -1414,6 +1710,7 @@ function getRecurringExpenses(userId) {
  */
 function getDueRecurringExpenses(userId, beforeDate) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     return db.prepare(
       'SELECT * FROM recurring_expenses WHERE user_id = ? AND active = 1 AND next_date <= ? ORDER BY next_date ASC'
@@ -1474,6 +1771,374 @@ function deleteRecurringExpense(expenseId) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Expenses
+// ---------------------------------------------------------------------------
+
+// Columns updateExpense() may change, by field name
+const EXPENSE_FIELDS = {
+  merchant: 'merchant',
+  date: 'expense_date',
+  netAmount: 'net_amount',
+  vatAmount: 'vat_amount',
+  vatRate: 'vat_rate',
+  grossAmount: 'gross_amount',
+  currency: 'currency',
+  supplierVatNumber: 'supplier_vat_number',
+  category: 'category',
+  company: 'company',
+  paymentMethod: 'payment_method',
+  cardLast4: 'card_last4',
+  attachmentPath: 'attachment_path',
+  notes: 'notes',
+  baseCurrency: 'base_currency',
+  fxRate: 'fx_rate',
+  fxRateDate: 'fx_rate_date'
+};
+
+// Groupings getExpenseTotals() accepts
+const EXPENSE_GROUPS = {
+  category: "COALESCE(category, 'Other')",
+  company: "COALESCE(company, 'Unassigned')",
+  currency: "COALESCE(currency, 'GBP')",
+  month: "substr(expense_date, 1, 7)"
+};
+
+/**
+ * @private
+ */
+function insertExpense(userId, data) {
+  const gross = numberOrNull(data.grossAmount);
+  const vat = numberOrNull(data.vatAmount);
+  let net = numberOrNull(data.netAmount);
+  if (net === null && gross !== null) net = Math.round((gross - (vat || 0)) * 100) / 100;
+
+  const date = statedOrNull(data.date);
+  const currency = (statedOrNull(data.currency) || 'GBP').toUpperCase();
+  // GBP needs no rate; anything else is converted by lib/fx-rates
+  let fxRate = numberOrNull(data.fxRate);
+  let fxRateDate = fxRate !== null ? data.fxRateDate || null : null;
+  let baseCurrency = fxRate !== null ? String(data.baseCurrency || 'GBP').toUpperCase() : null;
+  if (fxRate === null && currency === 'GBP') {
+    fxRate = 1;
+    baseCurrency = 'GBP';
+  }
+
+  const info = db.prepare(
+    `INSERT INTO expenses (id, merchant, expense_date, net_amount, vat_amount, vat_rate, gross_amount, currency,
+       supplier_vat_number, category, company, payment_method, card_last4, attachment_path, image_url, confidence,
+       notes, source, user_id, base_currency, fx_rate, fx_rate_date, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`
+  ).run(
+    data.id || null,
+    statedOrNull(data.merchant) || 'Unknown',
+    date && /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null,
+    net,
+    vat,
+    numberOrNull(data.vatRate),
+    gross,
+    currency,
+    statedOrNull(data.supplierVatNumber),
+    statedOrNull(data.category) || 'Other',
+    statedOrNull(data.company) ? String(data.company).toUpperCase() : null,
+    statedOrNull(data.paymentMethod),
+    statedOrNull(data.cardLast4),
+    data.attachmentPath || null,
+    data.imageUrl || null,
+    numberOrNull(data.confidence),
+    statedOrNull(data.notes),
+    data.source || 'receipt',
+    userId ? String(userId) : null,
+    baseCurrency,
+    fxRate,
+    fxRateDate,
+    data.createdAt ? String(data.createdAt).replace('T', ' ').replace(/\.\d+Z?$|Z$/, '') : null
+  );
+  return Number(info.lastInsertRowid);
+}
+
+/**
+ * Build the WHERE clause for expense filters.
+ * @private
+ */
+function expenseWhere({ company, category, from, to, month, userId } = {}) {
+  const clauses = [];
+  const params = [];
+  if (company) {
+    clauses.push('company = ?');
+    params.push(String(company).toUpperCase());
+  }
+  if (category) {
+    clauses.push('lower(category) = lower(?)');
+    params.push(category);
+  }
+  if (month) {
+    clauses.push('expense_date LIKE ?');
+    params.push(`${month}-%`);
+  }
+  if (from) {
+    clauses.push('expense_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    clauses.push('expense_date <= ?');
+    params.push(to);
+  }
+  if (userId) {
+    clauses.push('user_id = ?');
+    params.push(resolveUserId(userId));
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * Record an expense. Net is worked out from gross and VAT when not given;
+ * "Not stated" values from receipt extraction are stored as empty.
+ * @param {string|null} userId - Who recorded it
+ * @param {{ merchant: string, date?: string, netAmount?: number, vatAmount?: number, vatRate?: number,
+ *   grossAmount?: number, currency?: string, supplierVatNumber?: string, category?: string, company?: string,
+ *   paymentMethod?: string, cardLast4?: string,
+ *   attachmentPath?: string, imageUrl?: string, confidence?: number, notes?: string, source?: string,
+ *   baseCurrency?: string, fxRate?: number, fxRateDate?: string }} data - fxRate converts one unit of
+ *   currency to baseCurrency, at the rate of fxRateDate (lib/fx-rates)
+ * @returns {{ id: number } | null}
+ */
+function saveExpense(userId, data) {
+  if (!db) return null;
+  try {
+    return { id: insertExpense(userId ? resolveUserId(userId) : null, data || {}) };
+  } catch (err) {
+    console.error('[Database] saveExpense error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Get an expense by ID.
+ * @param {number} expenseId
+ * @returns {object|null}
+ */
+function getExpense(expenseId) {
+  if (!db) return null;
+  try {
+    return db.prepare('SELECT * FROM expenses WHERE id = ?').get(expenseId) || null;
+  } catch (err) {
+    console.error('[Database] getExpense error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * List expenses, newest first. Date filters leave out undated expenses.
+ * @param {{ company?: string, category?: string, from?: string, to?: string, month?: string,
+ *   userId?: string, limit?: number }} [filters] - from/to are inclusive YYYY-MM-DD, month is YYYY-MM
+ * @returns {Array<object>}
+ */
+function listExpenses(filters = {}) {
+  if (!db) return [];
+  try {
+    const { where, params } = expenseWhere(filters);
+    const limit = filters.limit > 0 ? ` LIMIT ${Math.floor(filters.limit)}` : '';
+    return db.prepare(
+      `SELECT * FROM expenses ${where} ORDER BY COALESCE(expense_date, date(created_at)) DESC, id DESC${limit}`
+    ).all(...params);
+  } catch (err) {
+    console.error('[Database] listExpenses error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Total expenses, grouped by any of category, company, currency and month.
+ * net/vat/gross are summed as recorded, so group by currency to use them.
+ * base_net/base_vat/base_gross are converted at each expense's stored rate;
+ * expenses without one are counted in `unconverted` and left out.
+ * @param {object} [filters] - As listExpenses()
+ * @param {string[]} [groupBy=[]]
+ * @returns {Array<{ count: number, net: number, vat: number, gross: number, base_net: number,
+ *   base_vat: number, base_gross: number, unconverted: number }>} Plus one field per grouping
+ */
+function getExpenseTotals(filters = {}, groupBy = []) {
+  if (!db) return [];
+  try {
+    const groups = groupBy.filter(g => EXPENSE_GROUPS[g]);
+    const { where, params } = expenseWhere(filters);
+    const columns = groups.map(g => `${EXPENSE_GROUPS[g]} AS ${g}`);
+    const groupSql = groups.length ? `GROUP BY ${groups.join(', ')} ORDER BY base_gross DESC, gross DESC` : '';
+    return db.prepare(
+      `SELECT ${[...columns, 'COUNT(*) AS count', 'COALESCE(SUM(net_amount), 0) AS net',
+        'COALESCE(SUM(vat_amount), 0) AS vat', 'COALESCE(SUM(gross_amount), 0) AS gross',
+        'COALESCE(SUM(net_amount * fx_rate), 0) AS base_net', 'COALESCE(SUM(vat_amount * fx_rate), 0) AS base_vat',
+        'COALESCE(SUM(gross_amount * fx_rate), 0) AS base_gross',
+        'COUNT(*) - COUNT(fx_rate) AS unconverted'].join(', ')}
+       FROM expenses ${where} ${groupSql}`
+    ).all(...params);
+  } catch (err) {
+    console.error('[Database] getExpenseTotals error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * A user's budgets for a period with what they spent against each, in the
+ * base currency at each expense's stored rate. Only the user's own expenses
+ * count; ones without a rate are counted in `unconverted`.
+ * @param {string} userId
+ * @param {{ from: string, to: string, period?: string }} range - Inclusive YYYY-MM-DD days
+ * @returns {Array<{ budget_id: number, category: string, budget: number, spent: number, count: number, unconverted: number }>}
+ */
+function getBudgetSpending(userId, { from, to, period = 'monthly' }) {
+  if (!db) return [];
+  userId = resolveUserId(userId);
+  try {
+    return db.prepare(
+      `SELECT b.id AS budget_id, b.category, b.amount AS budget,
+              COALESCE(SUM(e.gross_amount * e.fx_rate), 0) AS spent, COUNT(e.id) AS count,
+              COUNT(e.id) - COUNT(e.fx_rate) AS unconverted
+       FROM budgets b
+       LEFT JOIN expenses e ON lower(e.category) = lower(b.category)
+         AND e.user_id = b.user_id
+         AND e.expense_date >= ? AND e.expense_date <= ?
+       WHERE b.user_id = ? AND b.period = ?
+       GROUP BY b.id
+       ORDER BY b.category ASC`
+    ).all(from, to, String(userId), period);
+  } catch (err) {
+    console.error('[Database] getBudgetSpending error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Change fields of an expense (company, category, attachment, ...).
+ * @param {number} expenseId
+ * @param {object} fields - Keys as saveExpense()
+ * @returns {number} rows changed (0 or 1)
+ */
+function updateExpense(expenseId, fields = {}) {
+  if (!db) return 0;
+  const sets = [];
+  const params = [];
+  for (const [field, value] of Object.entries(fields)) {
+    if (!EXPENSE_FIELDS[field]) continue;
+    sets.push(`${EXPENSE_FIELDS[field]} = ?`);
+    params.push(field === 'company' && value ? String(value).toUpperCase() : value);
+  }
+  // A new currency or date needs a new rate (lib/fx-rates fills it in again)
+  if (sets.length && ('currency' in fields || 'date' in fields) && !('fxRate' in fields)) {
+    sets.push('base_currency = NULL', 'fx_rate = NULL', 'fx_rate_date = NULL');
+  }
+  if (sets.length === 0) return 0;
+  try {
+    return db.prepare(`UPDATE expenses SET ${sets.join(', ')} WHERE id = ?`).run(...params, expenseId).changes;
+  } catch (err) {
+    console.error('[Database] updateExpense error:', err.message);
+    return 0;
+  }
+}
+
+/**
+ * Delete an expense.
+ * @param {number} expenseId
+ * @returns {object|null} The deleted expense
+ */
+function deleteExpense(expenseId) {
+  if (!db) return null;
+  try {
+    const expense = getExpense(expenseId);
+    if (!expense) return null;
+    db.prepare('DELETE FROM expenses WHERE id = ?').run(expenseId);
+    return expense;
+  } catch (err) {
+    console.error('[Database] deleteExpense error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Expenses with no rate to a base currency yet, oldest first.
+ * @param {string} base - Base currency code
+ * @param {number} [limit=500]
+ * @returns {Array<object>}
+ */
+function listUnconvertedExpenses(base, limit = 500) {
+  if (!db) return [];
+  try {
+    return db.prepare(
+      `SELECT * FROM expenses WHERE fx_rate IS NULL OR base_currency IS NOT ?
+       ORDER BY COALESCE(expense_date, date(created_at)) ASC, id ASC LIMIT ?`
+    ).all(String(base).toUpperCase(), limit);
+  } catch (err) {
+    console.error('[Database] listUnconvertedExpenses error:', err.message);
+    return [];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Exchange Rates
+// ---------------------------------------------------------------------------
+
+/**
+ * Store a day's exchange rates from one base currency.
+ * @param {string} base - e.g. 'USD'
+ * @param {Object<string, number>} rates - 1 base = rate currency
+ * @param {{ date: string, source?: string, replace?: boolean }} options - replace=false keeps rates
+ *   already stored for that day (used for the fallback file)
+ * @returns {number} rates stored
+ */
+function saveFxRates(base, rates, { date, source = null, replace = true }) {
+  if (!db) return 0;
+  try {
+    const insert = db.prepare(
+      `INSERT OR ${replace ? 'REPLACE' : 'IGNORE'} INTO fx_rates (rate_date, base, currency, rate, source)
+       VALUES (?, ?, ?, ?, ?)`
+    );
+    const code = String(base).toUpperCase();
+    let count = 0;
+    db.transaction(() => {
+      for (const [currency, rate] of Object.entries(rates || {})) {
+        if (typeof rate !== 'number' || !(rate > 0) || currency.toUpperCase() === code) continue;
+        count += insert.run(date, code, currency.toUpperCase(), rate, source).changes;
+      }
+    })();
+    return count;
+  } catch (err) {
+    console.error('[Database] saveFxRates error:', err.message);
+    return 0;
+  }
+}
+
+/**
+ * The stored rate from one currency to another nearest a day: the latest on
+ * or before it, else the earliest after. Works from rates stored in either
+ * direction, or through a third base with rates for both on the same day.
+ * @param {string} from - Currency converted from
+ * @param {string} to - Currency converted to
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ rate: number, rate_date: string, source: string|null } | null} 1 from = rate to
+ */
+function findFxRate(from, to, date) {
+  if (!db) return null;
+  try {
+    return db.prepare(
+      `SELECT rate, rate_date, source FROM (
+         SELECT rate_date, 1.0 / rate AS rate, source, 0 AS hops FROM fx_rates WHERE base = @to AND currency = @from
+         UNION ALL
+         SELECT rate_date, rate, source, 0 AS hops FROM fx_rates WHERE base = @from AND currency = @to
+         UNION ALL
+         SELECT a.rate_date, b.rate / a.rate, a.source, 1 AS hops FROM fx_rates a
+           JOIN fx_rates b ON b.rate_date = a.rate_date AND b.base = a.base
+           WHERE a.currency = @from AND b.currency = @to
+       )
+       ORDER BY rate_date > @date, ABS(julianday(rate_date) - julianday(@date)), hops
+       LIMIT 1`
+    ).get({ from: String(from).toUpperCase(), to: String(to).toUpperCase(), date }) || null;
+  } catch (err) {
+    console.error('[Database] findFxRate error:', err.message);
+    return null;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Meetings
 // ---------------------------------------------------------------------------
@@ -1486,6 +2151,7 @@ function deleteRecurringExpense(expenseId) {
  */
 function saveMeeting(userId, { title = null, audioFilePath = null } = {}) {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'INSERT INTO meetings (user_id, title, audio_file_path) VALUES (?, ?, ?)'
@@ -1522,6 +2188,7 @@ function getMeeting(meetingId) {
  */
 function listMeetings(userId, limit = 20) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'SELECT * FROM meetings WHERE user_id = ? ORDER BY created_at DESC LIMIT ?'
@@ -1563,7 +2230,20 @@ function updateMeeting(meetingId, updates) {
 
     params.push(meetingId);
     const stmt = db.prepare(`UPDATE meetings SET ${sets.join(', ')} WHERE id = ?`);
-    return stmt.run(...params).changes;
+    const changes = stmt.run(...params).changes;
+
+    if (changes > 0 && (transcript !== undefined || summary !== undefined || actionItems !== undefined)) {
+      const meeting = db.prepare('SELECT * FROM meetings WHERE id = ?').get(meetingId);
+      semanticIndex(index => index.index({
+        source: 'meeting',
+        refId: meeting.id,
+        ownerId: meeting.user_id,
+        text: index.meetingText(meeting),
+        label: meeting.title,
+        createdAt: meeting.created_at
+      }));
+    }
+    return changes;
   } catch (err) {
     console.error('[Database] updateMeeting error:', err.message);
     return 0;
@@ -1578,7 +2258,9 @@ function updateMeeting(meetingId, updates) {
 function deleteMeeting(meetingId) {
   if (!db) return 0;
   try {
-    return db.prepare('DELETE FROM meetings WHERE id = ?').run(meetingId).changes;
+    const changes = db.prepare('DELETE FROM meetings WHERE id = ?').run(meetingId).changes;
+    if (changes > 0) semanticIndex(index => index.remove('meeting', meetingId));
+    return changes;
   } catch (err) {
     console.error('[Database] deleteMeeting error:', err.message);
     return 0;
@@ -1592,6 +2274,7 @@ function deleteMeeting(meetingId) {
  */
 function getActiveMeeting(userId) {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     return db.prepare(
       "SELECT * FROM meetings WHERE user_id = ? AND status = 'active' ORDER BY created_at DESC LIMIT 1"
@@ -1615,12 +2298,22 @@ function getActiveMeeting(userId) {
  */
 function saveDocumentAnalysis(userId, chatId, { filename, filePath = null, summary = null, extractedData = null }) {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'INSERT INTO document_analyses (user_id, chat_id, filename, file_path, summary, extracted_data) VALUES (?, ?, ?, ?, ?, ?)'
     );
     const info = stmt.run(String(userId), String(chatId), filename, filePath, summary, extractedData);
-    return { id: Number(info.lastInsertRowid) };
+    const id = Number(info.lastInsertRowid);
+    semanticIndex(index => index.index({
+      source: 'document',
+      refId: id,
+      ownerId: userId,
+      chatId,
+      text: index.documentText({ filename, summary, extracted_data: extractedData }),
+      label: filename
+    }));
+    return { id };
   } catch (err) {
     console.error('[Database] saveDocumentAnalysis error:', err.message);
     return null;
@@ -1651,6 +2344,7 @@ function getDocumentAnalysis(analysisId) {
  */
 function getDocumentAnalyses(userId, limit = 20) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'SELECT id, filename, summary, created_at FROM document_analyses WHERE user_id = ? ORDER BY created_at DESC LIMIT ?'
@@ -1693,6 +2387,7 @@ function getDocumentAnalysesByChat(chatId, limit = 10) {
  */
 function saveGoal(userId, { description, targetValue = null, unit = null, deadline = null }) {
   if (!db) return null;
+  userId = resolveUserId(userId);
   try {
     const stmt = db.prepare(
       'INSERT INTO goals (user_id, description, target_value, unit, deadline) VALUES (?, ?, ?, ?, ?)'
@@ -1730,6 +2425,7 @@ function getGoal(goalId) {
  */
 function listGoals(userId, status = null, limit = 50) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     if (status) {
       return db.prepare(
@@ -1803,6 +2499,7 @@ function deleteGoal(goalId) {
  */
 function getGoalsApproachingDeadline(userId, daysAhead = 7) {
   if (!db) return [];
+  userId = resolveUserId(userId);
   try {
     return db.prepare(
       `SELECT * FROM goals
@@ -1818,6 +2515,217 @@ function getGoalsApproachingDeadline(userId, daysAhead = 7) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Identities
+// ---------------------------------------------------------------------------
+
+// Tables whose rows belong to a person; moved to the canonical ID on linking
+const USER_TABLES = [
+  'facts', 'pomodoro_sessions', 'invoices', 'budgets', 'recurring_expenses',
+  'expenses', 'meetings', 'document_analyses', 'goals'
+];
+
+const LINK_CODE_TTL_MINUTES = 10;
+
+// Brute-force limits for 6-digit link codes: wrong codes an account may send
+// per window, and wrong codes sent by anyone while a code is live before it
+// is thrown away (any live code could be the one being guessed)
+const LINK_ATTEMPT_LIMIT = 5;
+const LINK_ATTEMPT_WINDOW_MINUTES = 15;
+const LINK_CODE_MAX_FAILURES = 5;
+
+/**
+ * Resolve a platform user ID to the canonical ID of its linked identity.
+ * Unlinked IDs resolve to themselves; empty values are returned unchanged.
+ * @param {string|number} userId
+ * @returns {string}
+ */
+function resolveUserId(userId) {
+  if (userId === null || userId === undefined || userId === '') return userId;
+  const id = String(userId);
+  if (!db) return id;
+  try {
+    const row = db.prepare('SELECT canonical_id FROM identities WHERE platform_user_id = ?').get(id);
+    return row ? row.canonical_id : id;
+  } catch (err) {
+    console.error('[Database] resolveUserId error:', err.message);
+    return id;
+  }
+}
+
+/**
+ * Create a one-time code that links another account to this one.
+ * Replaces any earlier code for the same user.
+ * @param {string} userId - Account the code links to
+ * @param {string} [platform=null]
+ * @returns {{ code: string, expiresInMinutes: number } | null}
+ */
+function createLinkCode(userId, platform = null) {
+  if (!db || !userId) return null;
+  try {
+    db.prepare("DELETE FROM identity_link_codes WHERE expires_at <= datetime('now') OR user_id = ?").run(String(userId));
+
+    let code;
+    do {
+      code = String(crypto.randomInt(100000, 1000000));
+    } while (db.prepare('SELECT 1 FROM identity_link_codes WHERE code = ?').get(code));
+
+    db.prepare(
+      `INSERT INTO identity_link_codes (code, user_id, platform, expires_at)
+       VALUES (?, ?, ?, datetime('now', ?))`
+    ).run(code, String(userId), platform, `+${LINK_CODE_TTL_MINUTES} minutes`);
+    return { code, expiresInMinutes: LINK_CODE_TTL_MINUTES };
+  } catch (err) {
+    console.error('[Database] createLinkCode error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Move a user's rows to another ID (facts, goals, budgets, ...).
+ * @param {string} fromId
+ * @param {string} toId
+ * @returns {Object<string, number>} Rows moved per table
+ */
+function migrateUserRows(fromId, toId) {
+  const moved = {};
+  for (const table of USER_TABLES) {
+    const { changes } = db.prepare(`UPDATE ${table} SET user_id = ? WHERE user_id = ?`).run(String(toId), String(fromId));
+    if (changes > 0) moved[table] = changes;
+  }
+
+  // Searchable copies follow their rows (messages stay with their chat)
+  const hasIndex = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'semantic_index'").get();
+  if (hasIndex) {
+    db.prepare("UPDATE semantic_index SET owner_id = ? WHERE owner_id = ? AND source != 'message'").run(String(toId), String(fromId));
+  }
+  return moved;
+}
+
+/**
+ * Record a wrong link code: counts against the account and against every
+ * live code, and drops codes that have seen too many.
+ * @private
+ */
+function recordFailedLinkAttempt(userId) {
+  db.prepare(`DELETE FROM identity_link_attempts WHERE attempted_at <= datetime('now', ?)`)
+    .run(`-${LINK_ATTEMPT_WINDOW_MINUTES} minutes`);
+  db.prepare('INSERT INTO identity_link_attempts (user_id) VALUES (?)').run(String(userId));
+  db.prepare("UPDATE identity_link_codes SET failed_attempts = failed_attempts + 1 WHERE expires_at > datetime('now')").run();
+  db.prepare('DELETE FROM identity_link_codes WHERE failed_attempts >= ?').run(LINK_CODE_MAX_FAILURES);
+}
+
+/**
+ * Link this account to the account that created a code.
+ * The code's account keeps its ID as the canonical one; this account (and
+ * anything already linked to it) joins that identity and its rows are
+ * migrated across. The code can only be used once.
+ * An account that sends LINK_ATTEMPT_LIMIT wrong codes is refused for
+ * LINK_ATTEMPT_WINDOW_MINUTES, and a code is invalidated once
+ * LINK_CODE_MAX_FAILURES wrong codes have been sent while it was live.
+ * @param {string} code
+ * @param {string} userId - Account redeeming the code
+ * @param {string} [platform=null]
+ * @returns {{ canonicalId: string, previousId: string, migrated: Object<string, number> } | { error: string }}
+ */
+function redeemLinkCode(code, userId, platform = null) {
+  if (!db) return { error: 'Database not available' };
+  try {
+    const { failures } = db.prepare(
+      `SELECT COUNT(*) AS failures FROM identity_link_attempts
+       WHERE user_id = ? AND attempted_at > datetime('now', ?)`
+    ).get(String(userId), `-${LINK_ATTEMPT_WINDOW_MINUTES} minutes`);
+    if (failures >= LINK_ATTEMPT_LIMIT) {
+      return { error: `Too many wrong codes - try again in ${LINK_ATTEMPT_WINDOW_MINUTES} minutes` };
+    }
+
+    const row = db.prepare(
+      "SELECT * FROM identity_link_codes WHERE code = ? AND expires_at > datetime('now')"
+    ).get(String(code).trim());
+    if (!row) {
+      recordFailedLinkAttempt(userId);
+      return { error: 'Invalid or expired code' };
+    }
+
+    const canonicalId = resolveUserId(row.user_id);
+    const previousId = resolveUserId(userId);
+    if (previousId === canonicalId) {
+      db.prepare('DELETE FROM identity_link_codes WHERE code = ?').run(row.code);
+      return { error: 'These accounts are already linked' };
+    }
+
+    const link = db.transaction(() => {
+      const upsert = db.prepare(
+        'INSERT OR REPLACE INTO identities (platform_user_id, canonical_id, platform) VALUES (?, ?, ?)'
+      );
+      if (!db.prepare('SELECT 1 FROM identities WHERE platform_user_id = ?').get(canonicalId)) {
+        upsert.run(canonicalId, canonicalId, row.platform);
+      }
+      // Accounts already linked to this one move with it
+      db.prepare('UPDATE identities SET canonical_id = ? WHERE canonical_id = ?').run(canonicalId, previousId);
+      upsert.run(String(userId), canonicalId, platform);
+
+      const migrated = migrateUserRows(previousId, canonicalId);
+      db.prepare('DELETE FROM identity_link_codes WHERE code = ?').run(row.code);
+      db.prepare('DELETE FROM identity_link_attempts WHERE user_id = ?').run(String(userId));
+      return migrated;
+    });
+
+    return { canonicalId, previousId, migrated: link() };
+  } catch (err) {
+    console.error('[Database] redeemLinkCode error:', err.message);
+    return { error: err.message };
+  }
+}
+
+/**
+ * List the accounts linked to a user's identity.
+ * @param {string} userId - Any of the linked accounts
+ * @returns {Array<{ platform_user_id: string, canonical_id: string, platform: string, linked_at: string }>}
+ */
+function getLinkedAccounts(userId) {
+  if (!db || !userId) return [];
+  try {
+    return db.prepare(
+      'SELECT * FROM identities WHERE canonical_id = ? ORDER BY linked_at ASC, rowid ASC'
+    ).all(resolveUserId(userId));
+  } catch (err) {
+    console.error('[Database] getLinkedAccounts error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Unlink an account from its identity. Its data stays with the identity;
+ * the canonical account itself can't be unlinked.
+ * @param {string} userId
+ * @returns {{ canonicalId: string } | { error: string }}
+ */
+function unlinkAccount(userId) {
+  if (!db) return { error: 'Database not available' };
+  try {
+    const canonicalId = resolveUserId(userId);
+    if (canonicalId === String(userId)) {
+      const others = db.prepare(
+        'SELECT COUNT(*) AS n FROM identities WHERE canonical_id = ? AND platform_user_id != ?'
+      ).get(canonicalId, canonicalId).n;
+      return { error: others > 0 ? 'This is the primary account - unlink the others instead' : 'This account is not linked' };
+    }
+
+    db.prepare('DELETE FROM identities WHERE platform_user_id = ?').run(String(userId));
+
+    // The last account left on its own is no longer a link
+    const remaining = db.prepare('SELECT COUNT(*) AS n FROM identities WHERE canonical_id = ?').get(canonicalId).n;
+    if (remaining === 1) {
+      db.prepare('DELETE FROM identities WHERE platform_user_id = ?').run(canonicalId);
+    }
+    return { canonicalId };
+  } catch (err) {
+    console.error('[Database] unlinkAccount error:', err.message);
+    return { error: err.message };
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Utility
 // ---------------------------------------------------------------------------
@@ -1911,7 +2819,9 @@ module.exports = {
   saveInvoice,
   getInvoice,
   listInvoices,
+  listIssuedInvoices,
   updateInvoiceStatus,
+  setInvoiceClientEmail,
   deleteInvoice,
 
   // Budgets
@@ -1928,6 +2838,20 @@ module.exports = {
   deactivateRecurringExpense,
   deleteRecurringExpense,
 
+  // Expenses
+  saveExpense,
+  getExpense,
+  listExpenses,
+  getExpenseTotals,
+  getBudgetSpending,
+  updateExpense,
+  deleteExpense,
+  listUnconvertedExpenses,
+
+  // Exchange Rates
+  saveFxRates,
+  findFxRate,
+
   // Meetings
   saveMeeting,
   getMeeting,
@@ -1951,6 +2875,13 @@ module.exports = {
   deleteGoal,
   getGoalsApproachingDeadline,
 
+  // Identities
+  resolveUserId,
+  createLinkCode,
+  redeemLinkCode,
+  getLinkedAccounts,
+  unlinkAccount,
+
   // Utility
   getDb,
   close,
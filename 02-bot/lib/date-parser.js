@@ -0,0 +1,556 @@
+/**
+ * Date Parser - Natural-language dates and times
+ *
+ * One reading of dates for every skill that asks for one (deadlines,
+ * reminders, goals, invoices, schedules, pomodoro):
+ *
+ *   in 20 minutes / in half an hour / in 3 days / in 2 weeks at 10am
+ *   today / tonight / tomorrow morning / day after tomorrow / yesterday
+ *   friday / next friday at 3pm / last monday / next week / next month
+ *   end of month / end of next month / end of week / end of year / end of march
+ *   2026-12-25 / 25/12 / 25/12/2026 / 25.12.26 / 25 December / Dec 25th 2026 / the 25th
+ *
+ * parseDateRange() reads periods for reports and ledgers:
+ *
+ *   this month / last quarter / next year / march / march 2026 / 2026-03 / 2026
+ *   Q1 / Q1 2026 / since 1 march / until 31/3 / from 1/1 to 31/3 / between march and june
+ *
+ * Numeric dates are day first (UK order). Words are read in the user's
+ * timezone (lib/user-timezone); a day with no time means 09:00.
+ *
+ * Input that could mean two things is not guessed. "at 5" (05:00 or 17:00?)
+ * and "12/25/2026" (no 25th month, but a date month first) come back as
+ * { ambiguous: true } with each reading, so the skill can ask which one was
+ * meant - clarifyCommands() rewrites the user's command for every reading.
+ *
+ * @module lib/date-parser
+ */
+
+'use strict';
+
+const moment = require('moment-timezone');
+const { extractTime, DAYS, MONTHS, DAY_PARTS } = require('./recurrence');
+const { DEFAULT_TIMEZONE } = require('./user-timezone');
+
+const DEFAULT_TIME = { hour: 9, minute: 0 };
+const TONIGHT = { hour: 20, minute: 0 };
+
+// Day parts that turn "at 7" into 19:00
+const PM_PARTS = ['afternoon', 'evening', 'night'];
+
+// "at 1" to "at 7" with no am/pm could be either; "at 8" to "at 11" are morning
+const AMBIGUOUS_HOURS = { from: 1, to: 7 };
+
+const AMOUNT_WORD = 'a couple of|half an?|an?|one|two|three|four|five|six|seven|eight|nine|ten|twelve';
+const AMOUNT = `(\\d+|${AMOUNT_WORD})`;
+const AMOUNT_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, 'a couple of': 2, 'half a': 0.5, 'half an': 0.5
+};
+const UNIT = '(minutes?|mins?|hours?|hrs?|days?|weeks?|fortnights?|months?|years?)';
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '(?:st|nd|rd|th)';
+
+// Words that may be left over once the date is taken out ("on friday", "by the 25th")
+const FILLER = /\b(?:on|at|the|this|by|due|before)\b/g;
+
+/**
+ * Read a date and/or time. Every word has to be understood.
+ * @param {string} text - e.g. "next friday at 3pm", "end of month", "25/12"
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - IANA timezone the words are meant in
+ * @param {Date} [options.now] - What "today" is
+ * @param {{hour: number, minute: number}} [options.defaultTime] - Time for a day given without one
+ * @returns {{date: Date, dateOnly: string, hasTime: boolean, description: string}|
+ *   {ambiguous: true, phrase: string, question: string, options: Array<Object>}|null}
+ */
+function parseDate(text, options = {}) {
+  const { timezone = DEFAULT_TIMEZONE, now = new Date(), defaultTime = DEFAULT_TIME } = options;
+  const phrase = String(text || '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim().replace(/[.!?]+$/, '');
+  if (!phrase) return null;
+
+  let rest = phrase.toLowerCase();
+  const today = moment.tz(now, timezone).startOf('day');
+  const take = (pattern) => {
+    const match = rest.match(pattern);
+    if (match) rest = (rest.slice(0, match.index) + ' ' + rest.slice(match.index + match[0].length)).trim();
+    return match;
+  };
+
+  let day = null;
+  let weekday = null;
+  let offset = null;
+  let yearless = null;
+  let fallbackTime = defaultTime;
+  let evening = false;
+  let match;
+
+  const relative = take(new RegExp(`\\bin ${AMOUNT} ${UNIT}\\b|\\b${AMOUNT} ${UNIT} from (?:now|today)\\b`));
+  if (relative) {
+    offset = toOffset(relative[1] || relative[3], relative[2] || relative[4]);
+    if (!offset) return null;
+  } else if ((match = take(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    day = calendarDay(+match[1], +match[2], +match[3], timezone);
+    if (!day) return null;
+  } else if ((match = take(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/) || take(/\b(\d{1,2})[.-](\d{1,2})[.-](\d{4}|\d{2})\b/))) {
+    const year = match[3] ? expandYear(match[3]) : null;
+    const isDate = (date, month) => Boolean(calendarDay(year || today.year(), month, date, timezone));
+    if (!isDate(+match[1], +match[2])) {
+      // Not a date day first - ask whether it was written month first
+      if (!isDate(+match[2], +match[1])) return null;
+      return ambiguous(phrase, [[[match[0], match[0].replace(/^(\d{1,2})([/.-])(\d{1,2})/, '$3$2$1')]]], options);
+    }
+    const build = (y) => calendarDay(y, +match[2], +match[1], timezone);
+    yearless = year ? null : build;
+    day = build(year || today.year());
+    if (!day && !yearless) return null;
+  } else if ((match = take(new RegExp(`\\b(\\d{1,2})${ORDINAL}? (?:of )?${MONTH_NAME}(?: (\\d{4}))?\\b`)))) {
+    const build = (y) => calendarDay(y, MONTHS[match[2].slice(0, 3)], +match[1], timezone);
+    yearless = match[3] ? null : build;
+    day = build(match[3] ? +match[3] : today.year());
+    if (!day && !yearless) return null;
+  } else if ((match = take(new RegExp(`\\b${MONTH_NAME} (?:the )?(\\d{1,2})${ORDINAL}?(?![\\d:.]|\\s*(?:am|pm)\\b)(?: (\\d{4}))?\\b`)))) {
+    const build = (y) => calendarDay(y, MONTHS[match[1].slice(0, 3)], +match[2], timezone);
+    yearless = match[3] ? null : build;
+    day = build(match[3] ? +match[3] : today.year());
+    if (!day && !yearless) return null;
+  } else if ((match = take(new RegExp(`\\bend of ${MONTH_NAME}\\b`)))) {
+    const month = MONTHS[match[1].slice(0, 3)];
+    yearless = (y) => moment.tz({ year: y, month: month - 1, date: 1 }, timezone).endOf('month').startOf('day');
+    day = yearless(today.year());
+  } else if ((match = take(/\bend of (?:the )?(this |next )?(week|month|year)\b/))) {
+    const base = match[1] === 'next ' ? today.clone().add(1, match[2]) : today.clone();
+    if (match[2] === 'week') {
+      // The working week ends on Friday
+      day = base.startOf('isoWeek').add(4, 'days');
+      if (day.isBefore(today)) day.add(1, 'week');
+    } else {
+      day = base.endOf(match[2]).startOf('day');
+    }
+  } else if ((match = take(/\b(?:(?:the )?(?:start|beginning) of )?next (week|month|year)\b/))) {
+    day = today.clone().add(1, match[1]).startOf(match[1] === 'week' ? 'isoWeek' : match[1]);
+  } else if (take(/\b(?:this )?weekend\b/)) {
+    day = today.day() === 0 ? today.clone() : today.clone().startOf('isoWeek').add(5, 'days');
+  } else if (take(/\b(?:the )?day after tomorrow\b/)) {
+    day = today.clone().add(2, 'days');
+  } else if (take(/\btomorrow\b/)) {
+    day = today.clone().add(1, 'day');
+  } else if (take(/\btonight\b/)) {
+    day = today.clone();
+    fallbackTime = TONIGHT;
+    evening = true;
+  } else if (take(/\btoday\b/)) {
+    day = today.clone();
+  } else if (take(/\byesterday\b/)) {
+    day = today.clone().subtract(1, 'day');
+  } else if ((match = take(new RegExp(`\\b(?:(next|this|last) )?(${Object.keys(DAYS).join('|')})\\b`)))) {
+    weekday = { which: match[1] || 'this', day: DAYS[match[2]] };
+  } else if ((match = take(new RegExp(`\\b(\\d{1,2})${ORDINAL}\\b`)))) {
+    // "the 25th" - this month, or the next month that has one still to come
+    const date = +match[1];
+    for (let ahead = 0; ahead <= 2 && !day; ahead++) {
+      const month = today.clone().startOf('month').add(ahead, 'months');
+      const candidate = calendarDay(month.year(), month.month() + 1, date, timezone);
+      if (candidate && !candidate.isBefore(today)) day = candidate;
+    }
+    if (!day) return null;
+  }
+
+  // "25 December" with no year is the next one to come
+  if (yearless && (!day || day.isBefore(today))) {
+    day = yearless(today.year() + 1);
+    if (!day) return null;
+  }
+
+  // Minutes and hours from now can't be combined with anything else
+  if (offset && offset.exact && rest.replace(FILLER, '').trim()) return null;
+
+  let clock = extractTime(rest);
+  if (clock) rest = clock.rest;
+  let part = null;
+  for (const name of Object.keys(DAY_PARTS)) {
+    if (take(new RegExp(`\\b(?:in the |at |this )?${name}\\b`))) {
+      part = name;
+      break;
+    }
+  }
+  evening = evening || PM_PARTS.includes(part);
+
+  if (rest.replace(FILLER, '').trim()) return null;
+  if (!day && !weekday && !offset && !clock && !part) return null;
+
+  if (clock && clock.style !== 'meridiem' && clock.hour < 12 && evening) {
+    clock = { ...clock, hour: clock.hour + 12 };
+  } else if (clock && clock.style === 'hour' && !part && clock.hour >= AMBIGUOUS_HOURS.from && clock.hour <= AMBIGUOUS_HOURS.to) {
+    const written = findLast(phrase, new RegExp(`\\bat\\s+0?${clock.hour}\\b(?!\\s*(?:am|pm|[:.]\\d))`, 'gi'));
+    if (written) {
+      return ambiguous(phrase, [[[written, `${written}am`]], [[written, `${written}pm`]]], options);
+    }
+  }
+
+  let time = clock ? { hour: clock.hour, minute: clock.minute } : (part ? DAY_PARTS[part] : null);
+  const hasTime = Boolean(time);
+
+  if (offset) {
+    // "in 20 minutes", or "in 3 days" with no time - counted from now
+    if (offset.exact || !time) {
+      const date = nextMinute(moment.tz(now, timezone).add(offset.amount, offset.unit).valueOf());
+      return result(date, true, timezone, now);
+    }
+    day = today.clone().add(offset.amount, offset.unit);
+  }
+
+  time = time || fallbackTime;
+  const at = (base) => base.clone().hour(time.hour).minute(time.minute).second(0).millisecond(0);
+
+  if (weekday) {
+    // "friday" is the next Friday still to come (today if the time hasn't
+    // passed); "next friday" is never today; "last friday" is the one before
+    if (weekday.which === 'last') {
+      day = today.clone().subtract(((today.day() - weekday.day + 7) % 7) || 7, 'days');
+    } else {
+      let ahead = (weekday.day - today.day() + 7) % 7;
+      if (ahead === 0 && (weekday.which === 'next' || at(today).valueOf() <= now.getTime())) ahead = 7;
+      day = today.clone().add(ahead, 'days');
+    }
+  } else if (!day) {
+    day = at(today).valueOf() > now.getTime() ? today.clone() : today.clone().add(1, 'day');
+  }
+
+  return result(at(day).toDate(), hasTime, timezone, now);
+}
+
+/**
+ * Split "<text> <when>" or "<when> <text>" into its parts
+ * Tries the longest date phrase at the end, then at the start.
+ * @param {string} text
+ * @param {Object} [options] - parseDate() options, plus:
+ * @param {'end'|'start'|'either'} [options.position] - Where the date may be (default either)
+ * @returns {Object|null} parseDate()'s result with `phrase` (the date words) and `rest` (the other words)
+ */
+function splitDate(text, options = {}) {
+  const { position = 'either' } = options;
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+
+  if (position !== 'start') {
+    for (let start = 0; start < words.length; start++) {
+      const phrase = words.slice(start).join(' ');
+      const parsed = parseDate(phrase, options);
+      if (parsed) return { ...parsed, phrase, rest: words.slice(0, start).join(' ') };
+    }
+  }
+  if (position !== 'end') {
+    for (let end = words.length - 1; end >= 1; end--) {
+      const phrase = words.slice(0, end).join(' ');
+      const parsed = parseDate(phrase, options);
+      if (parsed) return { ...parsed, phrase, rest: words.slice(end).join(' ') };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a period: "this month", "last quarter", "march 2026", "Q1", "2026",
+ * "since 1 march", "from 1/1/2026 to 31/3/2026", "between march and june".
+ * A single day is a period of one day. Periods look back: a date or month
+ * given without a year is the most recent one.
+ * @param {string} text
+ * @param {Object} [options] - parseDate() options
+ * @returns {{from: string|null, to: string|null, description: string}|
+ *   {ambiguous: true, phrase: string, question: string, options: Array<Object>}|null}
+ *   `from` and `to` are inclusive YYYY-MM-DD days; "since" has no `to` beyond
+ *   today and "until" has no `from`
+ */
+function parseDateRange(text, options = {}) {
+  const { timezone = DEFAULT_TIMEZONE, now = new Date() } = options;
+  const phrase = String(text || '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim().replace(/[.!?]+$/, '').toLowerCase();
+  if (!phrase) return null;
+
+  const today = moment.tz(now, timezone).startOf('day');
+  let match;
+
+  if ((match = phrase.match(/^since (.+)$/))) {
+    const from = period(match[1], options);
+    if (!from || from.ambiguous) return from;
+    return from.from > today.format('YYYY-MM-DD') ? null : span(from.from, today.format('YYYY-MM-DD'), `since ${day(from.from)}`);
+  }
+  if ((match = phrase.match(/^(?:until|till|up to) (.+)$/))) {
+    const to = period(match[1], options);
+    if (!to || to.ambiguous) return to;
+    return span(null, to.to, `until ${day(to.to)}`);
+  }
+
+  match = phrase.match(/^between (.+) and (.+)$/) || phrase.match(/^(?:from )?(.+?) (?:to|until|till|-) (.+)$/);
+  if (match) {
+    const from = period(match[1], options);
+    const to = period(match[2], options);
+    if (from && from.ambiguous) return from;
+    if (to && to.ambiguous) return to;
+    if (from && to && from.from > to.to && !/\d{4}/.test(match[1])) {
+      // "from 1/4 to 31/3" runs over the new year
+      from.from = moment(from.from, 'YYYY-MM-DD').subtract(1, 'year').format('YYYY-MM-DD');
+    }
+    if (from && to && from.from <= to.to) return span(from.from, to.to, `${day(from.from)} to ${day(to.to)}`);
+    if (!/^from /.test(phrase)) return period(phrase, options);
+    return null;
+  }
+
+  return period(phrase, options);
+}
+
+/**
+ * Read a length of time: "25", "25 minutes", "1h30", "an hour and a half",
+ * "1.5 hours", "2 days". A bare number is minutes.
+ * @param {string} text
+ * @returns {number|null} Whole minutes
+ */
+function parseDuration(text) {
+  let rest = String(text || '').toLowerCase().replace(/^for\s+/, '').replace(/\s+/g, ' ').trim();
+  if (/^\d+$/.test(rest)) return parseInt(rest, 10) || null;
+
+  const unitMinutes = { m: 1, h: 60, d: 1440 };
+  const part = new RegExp(`^(\\d+(?:\\.\\d+)?|${AMOUNT_WORD})\\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d)(?![a-z])\\s*(?:and\\s+)?`);
+  let minutes = 0;
+  let lastUnit = null;
+  let match;
+
+  while (rest && (match = rest.match(part))) {
+    lastUnit = unitMinutes[match[2][0]];
+    minutes += toAmount(match[1]) * lastUnit;
+    rest = rest.slice(match[0].length);
+  }
+  if (!lastUnit) return null;
+
+  if (/^a half$/.test(rest)) {
+    // "an hour and a half"
+    minutes += lastUnit / 2;
+    rest = '';
+  } else if (/^\d{1,2}$/.test(rest) && lastUnit === 60) {
+    // "1h30"
+    minutes += parseInt(rest, 10);
+    rest = '';
+  }
+
+  if (rest) return null;
+  return minutes > 0 ? Math.round(minutes) : null;
+}
+
+/**
+ * Describe a date relative to now: "today at 15:00", "tomorrow", "Friday 23 Oct",
+ * "Monday 4 Jan 2027"
+ * @param {Date} date
+ * @param {string} timezone
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {boolean} [options.time] - Include the time of day (default true)
+ * @returns {string}
+ */
+function formatDate(date, timezone, { now = new Date(), time = true } = {}) {
+  const when = moment.tz(date, timezone);
+  const reference = moment.tz(now, timezone);
+  const days = when.clone().startOf('day').diff(reference.clone().startOf('day'), 'days');
+
+  const label = { '-1': 'yesterday', 0: 'today', 1: 'tomorrow' }[days] ||
+    when.format(when.year() === reference.year() ? 'dddd D MMM' : 'dddd D MMM YYYY');
+  return time ? `${label} at ${when.format('HH:mm')}` : label;
+}
+
+/**
+ * The user's command rewritten for each reading of an ambiguous date, ready
+ * to offer back ("remind me at 5pm to ...")
+ * @param {string} command - The command as the user sent it
+ * @param {Object} parsed - An ambiguous parseDate()/splitDate() result
+ * @returns {string[]}
+ */
+function clarifyCommands(command, parsed) {
+  return (parsed.options || []).map(option =>
+    option.rewrites.reduce((text, [from, to]) => replaceLast(text, from, to), String(command))
+  );
+}
+
+// ============ Helpers ============
+
+/**
+ * One named period or day for parseDateRange()
+ * @private
+ */
+function period(phrase, options) {
+  const { timezone = DEFAULT_TIMEZONE, now = new Date() } = options;
+  const today = moment.tz(now, timezone).startOf('day');
+  const whole = (start, unit, description) =>
+    span(start.format('YYYY-MM-DD'), start.clone().endOf(unit).format('YYYY-MM-DD'), description);
+  const month = (year, number) => {
+    const start = moment.tz({ year, month: number - 1, date: 1 }, timezone);
+    return whole(start, 'month', start.format('MMMM YYYY'));
+  };
+  const quarter = (year, number) =>
+    whole(moment.tz({ year, month: (number - 1) * 3, date: 1 }, timezone), 'quarter', `Q${number} ${year}`);
+  let match;
+
+  if ((match = phrase.match(/^(this|last|previous|next) (week|month|quarter|year)$/))) {
+    const shift = { this: 0, last: -1, previous: -1, next: 1 }[match[1]];
+    const start = today.clone().add(shift, `${match[2]}s`).startOf(match[2] === 'week' ? 'isoWeek' : match[2]);
+    if (match[2] === 'week') return whole(start, 'isoWeek', `week of ${day(start.format('YYYY-MM-DD'))}`);
+    if (match[2] === 'month') return month(start.year(), start.month() + 1);
+    if (match[2] === 'quarter') return quarter(start.year(), start.quarter());
+    return whole(start, 'year', String(start.year()));
+  }
+  if ((match = phrase.match(/^q([1-4])(?: (\d{4}))?$/))) {
+    const year = match[2] ? +match[2] : today.year();
+    // A quarter that hasn't started yet is last year's
+    const latest = !match[2] && +match[1] > today.quarter() ? year - 1 : year;
+    return quarter(latest, +match[1]);
+  }
+  if ((match = phrase.match(/^(\d{4})[ -]?q([1-4])$/))) return quarter(+match[1], +match[2]);
+  if ((match = phrase.match(/^(\d{4})-(\d{2})$/)) && +match[2] >= 1 && +match[2] <= 12) return month(+match[1], +match[2]);
+  if ((match = phrase.match(/^(\d{4})$/))) return whole(moment.tz({ year: +match[1], month: 0, date: 1 }, timezone), 'year', match[1]);
+  if ((match = phrase.match(new RegExp(`^(?:in )?${MONTH_NAME}(?: (\\d{4}))?$`)))) {
+    const number = MONTHS[match[1].slice(0, 3)];
+    if (match[2]) return month(+match[2], number);
+    return month(number > today.month() + 1 ? today.year() - 1 : today.year(), number);
+  }
+
+  const parsed = parseDate(phrase, options);
+  if (!parsed || parsed.ambiguous) return parsed;
+  let date = moment.tz(parsed.dateOnly, timezone);
+  // "1 march" is the one just gone, not next year's
+  if (date.isAfter(today) && !/\d{4}|next|tomorrow|\bin \w+ |from now/.test(phrase)) {
+    date = date.subtract(1, 'year');
+  }
+  const dateOnly = date.format('YYYY-MM-DD');
+  return span(dateOnly, dateOnly, day(dateOnly));
+}
+
+/**
+ * @private
+ */
+function span(from, to, description) {
+  return { from, to, description };
+}
+
+/**
+ * "2026-03-01" -> "1 Mar 2026"
+ * @private
+ */
+function day(dateOnly) {
+  return moment(dateOnly, 'YYYY-MM-DD').format('D MMM YYYY');
+}
+
+/**
+ * Build an ambiguous result from the rewrites that make each reading explicit
+ * @private
+ */
+function ambiguous(phrase, choices, options) {
+  const readings = [];
+  for (const rewrites of choices) {
+    const rewritten = rewrites.reduce((text, [from, to]) => replaceLast(text, from, to), phrase);
+    const parsed = parseDate(rewritten, options);
+    if (!parsed) continue;
+    if (parsed.ambiguous) {
+      readings.push(...parsed.options.map(option => ({ ...option, rewrites: [...rewrites, ...option.rewrites] })));
+    } else {
+      readings.push({ ...parsed, phrase: rewritten, rewrites });
+    }
+  }
+  if (readings.length === 0) return null;
+
+  return {
+    ambiguous: true,
+    phrase,
+    question: `Did you mean ${readings.map(reading => reading.description).join(' or ')}?`,
+    options: readings
+  };
+}
+
+/**
+ * @private
+ */
+function result(date, hasTime, timezone, now) {
+  return {
+    date,
+    dateOnly: moment.tz(date, timezone).format('YYYY-MM-DD'),
+    hasTime,
+    description: formatDate(date, timezone, { now, time: hasTime })
+  };
+}
+
+/**
+ * Midnight of a calendar date, or null if there is no such date
+ * @private
+ */
+function calendarDay(year, month, date, timezone) {
+  if (month < 1 || month > 12 || date < 1) return null;
+  const day = moment.tz({ year, month: month - 1, date }, timezone);
+  return day.isValid() && day.date() === date ? day : null;
+}
+
+/**
+ * @private
+ */
+function expandYear(text) {
+  return text.length === 2 ? 2000 + parseInt(text, 10) : parseInt(text, 10);
+}
+
+/**
+ * @private
+ */
+function toAmount(text) {
+  return /^\d/.test(text) ? parseFloat(text) : AMOUNT_WORDS[text];
+}
+
+/**
+ * "3 days" -> { amount: 3, unit: 'days' }; minutes and hours are exact
+ * @private
+ */
+function toOffset(amountText, unitText) {
+  const amount = toAmount(amountText);
+  let unit = unitText.replace(/s$/, '');
+  unit = { min: 'minute', hr: 'hour' }[unit] || unit;
+
+  if (unit === 'fortnight') return { amount: amount * 2, unit: 'weeks' };
+  if (unit === 'minute' || unit === 'hour') {
+    const minutes = amount * (unit === 'hour' ? 60 : 1);
+    return minutes >= 1 && Number.isInteger(minutes) ? { amount: minutes, unit: 'minutes', exact: true } : null;
+  }
+  return Number.isInteger(amount) && amount > 0 ? { amount, unit: `${unit}s` } : null;
+}
+
+/**
+ * Round up to the next whole minute (cron fires on the minute)
+ * @private
+ */
+function nextMinute(ms) {
+  return new Date(Math.ceil(ms / 60000) * 60000);
+}
+
+/**
+ * @private
+ */
+function findLast(text, pattern) {
+  let last = null;
+  for (const match of text.matchAll(pattern)) last = match[0];
+  return last;
+}
+
+/**
+ * Replace the last stand-alone occurrence of `from` (any case)
+ * @private
+ */
+function replaceLast(text, from, to) {
+  const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const pattern = new RegExp(`(?<![\\w/.-])${escaped}(?![\\w/:]|[.-]\\d)`, 'gi');
+  let last = null;
+  for (const match of text.matchAll(pattern)) last = match;
+  if (!last) return text;
+  return text.slice(0, last.index) + to + text.slice(last.index + last[0].length);
+}
+
+module.exports = {
+  parseDate,
+  splitDate,
+  parseDateRange,
+  parseDuration,
+  formatDate,
+  clarifyCommands,
+  DEFAULT_TIME
+};
@@ -0,0 +1,299 @@
+/**
+ * Discord Commands - Slash commands generated from the skill registry
+ *
+ * Every skill with commands becomes one slash command named after it:
+ * - Schema commands (skills/command-schema.js) become subcommands whose
+ *   options mirror the typed arguments: /currency convert amount:100 from:USD to:EUR
+ * - Regex commands can't be described as options, so they share a "run"
+ *   subcommand (or a top-level "command" option when a skill has no schema
+ *   commands) that takes the command text as typed in chat: /github command:prs my-repo
+ *
+ * An interaction is turned back into the chat command it stands for
+ * (interactionToText), and index.js routes that text through the same
+ * pipeline as /telegram - so permissions, usage errors and confirmations
+ * behave exactly as if the command had been typed.
+ *
+ * @module lib/discord-commands
+ */
+
+'use strict';
+
+const { isSchemaCommand, normalizeArg, ARG_TYPES } = require('../skills/command-schema');
+
+// Discord limits
+const MAX_COMMANDS = 100;
+const MAX_SUBCOMMANDS = 25;
+const MAX_OPTIONS = 25;
+const MAX_CHOICES = 25;
+const MAX_NAME = 32;
+const MAX_DESCRIPTION = 100;
+
+// Application command option types
+const OPTION_TYPES = {
+  SUB_COMMAND: 1,
+  STRING: 3,
+  INTEGER: 4,
+  BOOLEAN: 5,
+  NUMBER: 10
+};
+
+// Schema argument type -> option type (everything else is a string)
+const ARG_OPTION_TYPES = {
+  number: OPTION_TYPES.NUMBER,
+  integer: OPTION_TYPES.INTEGER,
+  boolean: OPTION_TYPES.BOOLEAN
+};
+
+// Free-text entry points for regex commands
+const RAW_SUBCOMMAND = 'run';
+const RAW_OPTION = 'command';
+
+/**
+ * Turn any label into a valid command/option name (lowercase, [a-z0-9_-], 1-32 chars)
+ * @param {string} text
+ * @returns {string}
+ */
+function toCommandName(text) {
+  const name = String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_NAME);
+  return name || 'cmd';
+}
+
+/**
+ * Clamp a description to Discord's 1-100 characters
+ * @param {string} text
+ * @param {string} fallback
+ * @returns {string}
+ */
+function toDescription(text, fallback) {
+  const value = String(text || fallback || '').replace(/\s+/g, ' ').trim() || fallback || '-';
+  return value.length > MAX_DESCRIPTION ? value.substring(0, MAX_DESCRIPTION - 1) + '…' : value;
+}
+
+/**
+ * Subcommand names for a skill's schema commands
+ * The skill's own name is dropped from the front of the keyword, so the
+ * memory skill's "memory review" becomes /memory review. Clashes get a suffix.
+ * @param {Object} skill - Skill instance
+ * @returns {Array<{name: string, cmd: Object}>}
+ */
+function schemaSubcommands(skill) {
+  const skillWords = String(skill.name).toLowerCase().split(/[-_\s]+/);
+  const used = new Set([RAW_SUBCOMMAND]);
+  const subcommands = [];
+
+  for (const cmd of (skill.commands || []).filter(isSchemaCommand)) {
+    let words = cmd.command.trim().toLowerCase().split(/\s+/);
+    while (words.length > 1 && skillWords.includes(words[0])) {
+      words = words.slice(1);
+    }
+
+    const base = toCommandName(words.join('-'));
+    let name = base;
+    for (let i = 2; used.has(name); i++) {
+      name = toCommandName(`${base.substring(0, MAX_NAME - 3)}-${i}`);
+    }
+    used.add(name);
+    subcommands.push({ name, cmd });
+  }
+
+  return subcommands;
+}
+
+/**
+ * Build the options for a schema command's arguments
+ * Discord needs required options before optional ones; the command text is
+ * rebuilt in schema order, so reordering here is safe.
+ * @param {Object} cmd - Schema command definition
+ * @returns {Array} Application command options
+ */
+function buildArgOptions(cmd) {
+  const options = (cmd.args || [])
+    .map(normalizeArg)
+    .filter(arg => !arg.literal)
+    .map(arg => {
+      const label = arg.choices ? arg.choices.join(', ') : (ARG_TYPES[arg.type]?.label || arg.type);
+      const option = {
+        type: arg.choices ? OPTION_TYPES.STRING : (ARG_OPTION_TYPES[arg.type] || OPTION_TYPES.STRING),
+        name: toCommandName(arg.name),
+        description: toDescription(arg.description, `${arg.name} (${label})`),
+        required: !arg.optional
+      };
+      if (arg.choices) {
+        option.choices = arg.choices.slice(0, MAX_CHOICES).map(choice => ({ name: choice, value: choice }));
+      }
+      return option;
+    });
+
+  return [...options.filter(o => o.required), ...options.filter(o => !o.required)].slice(0, MAX_OPTIONS);
+}
+
+/**
+ * Describe the free-text option with a couple of example commands
+ * @param {Object} skill - Skill instance
+ * @returns {string}
+ */
+function rawOptionDescription(skill) {
+  const examples = skill.getMetadata().commands
+    .filter(cmd => !cmd.args && cmd.usage)
+    .slice(0, 2)
+    .map(cmd => cmd.usage);
+  return toDescription(examples.length > 0 ? `e.g. ${examples.join(' / ')}` : `A ${skill.name} command, as typed in chat`);
+}
+
+/**
+ * Build the slash command for one skill
+ * @param {Object} skill - Skill instance
+ * @returns {Object} Application command definition
+ */
+function buildSkillCommand(skill) {
+  const subcommands = schemaSubcommands(skill);
+  const hasRegexCommands = (skill.commands || []).some(cmd => !isSchemaCommand(cmd));
+  const rawOption = {
+    type: OPTION_TYPES.STRING,
+    name: RAW_OPTION,
+    description: rawOptionDescription(skill)
+  };
+
+  const command = {
+    type: 1,
+    name: toCommandName(skill.name),
+    description: toDescription(skill.description, `${skill.name} skill`)
+  };
+
+  if (subcommands.length === 0) {
+    command.options = [{ ...rawOption, required: false }];
+    return command;
+  }
+
+  const limit = hasRegexCommands ? MAX_SUBCOMMANDS - 1 : MAX_SUBCOMMANDS;
+  command.options = subcommands.slice(0, limit).map(({ name, cmd }) => ({
+    type: OPTION_TYPES.SUB_COMMAND,
+    name,
+    description: toDescription(cmd.description, cmd.command),
+    options: buildArgOptions(cmd)
+  }));
+
+  if (hasRegexCommands) {
+    command.options.push({
+      type: OPTION_TYPES.SUB_COMMAND,
+      name: RAW_SUBCOMMAND,
+      description: toDescription(`Any other ${skill.name} command`),
+      options: [{ ...rawOption, required: true }]
+    });
+  }
+
+  return command;
+}
+
+/**
+ * Build slash commands for every registered skill that has commands
+ * @param {Object} registry - Skill registry
+ * @returns {Array} Application command definitions (at most 100, highest priority first)
+ */
+function buildCommands(registry) {
+  const seen = new Set();
+  const commands = [];
+
+  for (const meta of registry.listSkills()) {
+    const skill = registry.getSkill(meta.name);
+    if (!skill || !Array.isArray(skill.commands) || skill.commands.length === 0) continue;
+
+    const command = buildSkillCommand(skill);
+    if (seen.has(command.name)) continue;
+    seen.add(command.name);
+    commands.push(command);
+
+    if (commands.length >= MAX_COMMANDS) break;
+  }
+
+  return commands;
+}
+
+/**
+ * Find the skill a slash command was generated from
+ * @param {Object} registry - Skill registry
+ * @param {string} commandName - Slash command name
+ * @returns {Object|null} Skill instance
+ */
+function findSkill(registry, commandName) {
+  const name = registry.getSkillNames().find(n => toCommandName(n) === commandName);
+  return name ? registry.getSkill(name) : null;
+}
+
+/**
+ * Rebuild the chat command for a schema command from option values
+ * Literals are kept when an argument after them was given; values with
+ * spaces are quoted unless the argument takes the rest of the text.
+ * @param {Object} cmd - Schema command definition
+ * @param {Object} values - Option values by option name
+ * @returns {string}
+ */
+function buildCommandText(cmd, values) {
+  const defs = (cmd.args || []).map(normalizeArg);
+  const hasValue = def => !def.literal && values[toCommandName(def.name)] !== undefined;
+  const parts = [cmd.command];
+
+  defs.forEach((def, i) => {
+    if (def.literal) {
+      if (defs.slice(i + 1).some(hasValue)) parts.push(def.literal);
+      return;
+    }
+    if (!hasValue(def)) return;
+
+    let token = String(values[toCommandName(def.name)]);
+    if (def.type !== 'text' && /\s/.test(token)) {
+      token = `"${token.replace(/"/g, "'")}"`;
+    }
+    parts.push(token);
+  });
+
+  return parts.join(' ');
+}
+
+/**
+ * Turn a slash command interaction back into the chat command it stands for
+ * @param {Object} registry - Skill registry
+ * @param {Object} data - Interaction data ({ name, options })
+ * @returns {string|null} Command text, or null for an unknown command
+ */
+function interactionToText(registry, data = {}) {
+  const skill = findSkill(registry, data.name);
+  if (!skill) return null;
+
+  const options = data.options || [];
+  const subcommand = options.find(o => o.type === OPTION_TYPES.SUB_COMMAND);
+  const rawValue = list => {
+    const value = (list || []).find(o => o.name === RAW_OPTION)?.value;
+    return value !== undefined && String(value).trim() ? String(value).trim() : null;
+  };
+
+  if (!subcommand) {
+    return rawValue(options) || `help ${skill.name}`;
+  }
+  if (subcommand.name === RAW_SUBCOMMAND) {
+    return rawValue(subcommand.options) || `help ${skill.name}`;
+  }
+
+  const match = schemaSubcommands(skill).find(s => s.name === subcommand.name);
+  if (!match) return null;
+
+  const values = {};
+  for (const option of subcommand.options || []) {
+    values[option.name] = option.value;
+  }
+  return buildCommandText(match.cmd, values);
+}
+
+module.exports = {
+  OPTION_TYPES,
+  toCommandName,
+  buildSkillCommand,
+  buildCommands,
+  findSkill,
+  buildCommandText,
+  interactionToText
+};
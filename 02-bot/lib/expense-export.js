@@ -0,0 +1,361 @@
+/**
+ * Expense Export
+ *
+ * Builds files for the accountant from the expense ledger (lib/database):
+ *   csv        - every ledger column, one expense per row
+ *   xero       - Xero bank statement import (*Date, *Amount, Payee, Description, Reference)
+ *   quickbooks - QuickBooks Online 3-column bank upload (Date, Description, Amount)
+ *   zip        - the original receipt images, with the CSV so each image can
+ *                be matched to its row
+ *
+ * In the Xero and QuickBooks files spending is negative, as on a bank
+ * statement, and dates are DD/MM/YYYY (the UK import format for both).
+ * Amounts there are in GBP at each expense's stored rate (lib/fx-rates),
+ * with a foreign amount noted in the description. Expenses with no rate yet
+ * are left out of those two files and listed as `unconverted`.
+ *
+ * Files are built in memory as { format, filename, contentType, content }.
+ * The chat senders (MessagingPlatform.sendDocuments) and the
+ * /api/expenses/export route take them as they are.
+ *
+ * @module lib/expense-export
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const database = require('./database');
+const fxRates = require('./fx-rates');
+
+const FORMATS = ['csv', 'xero', 'quickbooks', 'zip'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  zip: 'application/zip'
+};
+
+const CSV_COLUMNS = [
+  'ID', 'Date', 'Merchant', 'Company', 'Category', 'Net', 'VAT', 'VAT Rate', 'Supplier VAT Number', 'Gross',
+  'Currency', 'FX Rate', 'Rate Date', 'Gross (GBP)', 'Payment Method', 'Card', 'Notes', 'Receipt'
+];
+
+// ----------------------------------------------------------------------------
+// Fields
+// ----------------------------------------------------------------------------
+
+/**
+ * The expense date, or the day it was recorded for undated receipts
+ * @returns {string} YYYY-MM-DD
+ */
+function expenseDate(expense) {
+  return expense.expense_date || String(expense.created_at || '').slice(0, 10);
+}
+
+function ukDate(isoDate) {
+  const [year, month, day] = String(isoDate || '').split('-');
+  return day ? `${day}/${month}/${year}` : '';
+}
+
+function amount(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+/**
+ * Gross in GBP at the stored rate
+ */
+function bankAmount(expense) {
+  return (expense.gross_amount || 0) * expense.fx_rate;
+}
+
+/**
+ * Whether an expense has a rate to GBP (GBP ones always do)
+ */
+function isConverted(expense) {
+  return Boolean(expense.fx_rate);
+}
+
+/**
+ * Quote a CSV field when it needs it. Text starting with = + - @ tab or
+ * carriage return gets a leading apostrophe so spreadsheets don't run it as
+ * a formula; plain numbers such as "-12.50" are left alone.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Where an expense's receipt image goes in the zip, or null if it has none on disk
+ * @returns {string|null} e.g. "receipts/12-2026-10-03-shell.jpg"
+ */
+function receiptEntryName(expense) {
+  if (!expense.attachment_path || !fs.existsSync(expense.attachment_path)) return null;
+  const merchant = String(expense.merchant || 'receipt').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'receipt';
+  const ext = path.extname(expense.attachment_path).toLowerCase() || '.jpg';
+  return `receipts/${expense.id}-${expenseDate(expense)}-${merchant}${ext}`;
+}
+
+/**
+ * Payee-side description for the bank import formats
+ */
+function bankDescription(expense) {
+  let text = [expense.category, expense.company].filter(Boolean).join(' - ');
+  // Bank imports have one currency per account - keep the original amount visible
+  if (expense.currency && expense.currency !== 'GBP') {
+    text += ` (${expense.currency} ${amount(expense.gross_amount)})`;
+  }
+  return text;
+}
+
+// ----------------------------------------------------------------------------
+// Formats
+// ----------------------------------------------------------------------------
+
+/**
+ * Full ledger CSV
+ * @param {Array<Object>} expenses - database.listExpenses() rows
+ * @returns {string}
+ */
+function buildCsv(expenses) {
+  return toCsv(CSV_COLUMNS, expenses.map(expense => [
+    expense.id,
+    expenseDate(expense),
+    expense.merchant,
+    expense.company || '',
+    expense.category,
+    amount(expense.net_amount),
+    amount(expense.vat_amount),
+    typeof expense.vat_rate === 'number' ? expense.vat_rate : '',
+    expense.supplier_vat_number || '',
+    amount(expense.gross_amount),
+    expense.currency || 'GBP',
+    expense.fx_rate ? Number(expense.fx_rate.toFixed(6)) : '',
+    expense.fx_rate ? expense.fx_rate_date || '' : '',
+    expense.fx_rate ? amount(bankAmount(expense)) : '',
+    expense.payment_method || '',
+    expense.card_last4 || '',
+    expense.notes || '',
+    receiptEntryName(expense) || ''
+  ]));
+}
+
+/**
+ * Xero bank statement import, of the expenses with a rate to GBP
+ * @param {Array<Object>} expenses - database.listExpenses() rows
+ * @returns {string}
+ */
+function buildXero(expenses) {
+  return toCsv(['*Date', '*Amount', 'Payee', 'Description', 'Reference'], expenses.filter(isConverted).map(expense => [
+    ukDate(expenseDate(expense)),
+    amount(-bankAmount(expense)),
+    expense.merchant,
+    bankDescription(expense),
+    `Expense #${expense.id}`
+  ]));
+}
+
+/**
+ * QuickBooks Online bank upload (3-column), of the expenses with a rate to GBP
+ * @param {Array<Object>} expenses - database.listExpenses() rows
+ * @returns {string}
+ */
+function buildQuickBooks(expenses) {
+  return toCsv(['Date', 'Description', 'Amount'], expenses.filter(isConverted).map(expense => [
+    ukDate(expenseDate(expense)),
+    [expense.merchant, bankDescription(expense), `#${expense.id}`].filter(Boolean).join(' - '),
+    amount(-bankAmount(expense))
+  ]));
+}
+
+/**
+ * Zip of the receipt images plus expenses.csv
+ * @param {Array<Object>} expenses - database.listExpenses() rows
+ * @returns {Buffer|null} null when none of the expenses has an image
+ */
+function buildZip(expenses) {
+  const entries = [];
+  for (const expense of expenses) {
+    const name = receiptEntryName(expense);
+    if (name) entries.push({ name, data: fs.readFileSync(expense.attachment_path) });
+  }
+  if (entries.length === 0) return null;
+
+  entries.unshift({ name: 'expenses.csv', data: Buffer.from(buildCsv(expenses)) });
+  return createZip(entries);
+}
+
+// ----------------------------------------------------------------------------
+// Zip writer
+// ----------------------------------------------------------------------------
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Write a zip archive. Entries are deflated unless that doesn't make them
+ * smaller (JPEGs usually), in which case they're stored.
+ * @param {Array<{name: string, data: Buffer}>} entries
+ * @param {Date} [modified=new Date()] - Timestamp for every entry
+ * @returns {Buffer}
+ */
+function createZip(entries, modified = new Date()) {
+  const { time, date } = dosDateTime(modified);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const deflated = zlib.deflateRawSync(entry.data);
+    const stored = deflated.length >= entry.data.length;
+    const body = stored ? entry.data : deflated;
+    const crc = crc32(entry.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);             // version needed
+    local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8); // method
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);           // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+/**
+ * File name for an export, e.g. "expenses-GMH-2026-07-01-to-2026-09-30-xero.csv"
+ * @param {string} format - csv, xero, quickbooks or zip
+ * @param {Object} [filters] - { from, to, company }
+ * @returns {string}
+ */
+function exportFilename(format, { from = null, to = null, company = null } = {}) {
+  let period = 'all';
+  if (from && to) period = `${from}-to-${to}`;
+  else if (from) period = `${from}-to-date`;
+  else if (to) period = `to-${to}`;
+
+  const base = ['expenses', company, period].filter(Boolean).join('-');
+  if (format === 'zip') return `${base}-receipts.zip`;
+  return format === 'csv' ? `${base}.csv` : `${base}-${format}.csv`;
+}
+
+/**
+ * Build export files for a set of expenses
+ * @param {Array<Object>} expenses - database.listExpenses() rows
+ * @param {Object} [filters] - { from, to, company }, for the file names
+ * @param {Array<string>} [formats=FORMATS]
+ * @returns {Array<{format: string, filename: string, contentType: string, content: Buffer}>}
+ *   The zip is left out when there are no receipt images.
+ */
+function buildExports(expenses, filters = {}, formats = FORMATS) {
+  const builders = { csv: buildCsv, xero: buildXero, quickbooks: buildQuickBooks, zip: buildZip };
+  const files = [];
+
+  for (const format of formats) {
+    if (!builders[format]) throw new Error(`Unknown export format: ${format}`);
+    const content = builders[format](expenses);
+    if (content === null) continue;
+    files.push({
+      format,
+      filename: exportFilename(format, filters),
+      contentType: CONTENT_TYPES[format] || CONTENT_TYPES.csv,
+      content: Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8')
+    });
+  }
+  return files;
+}
+
+/**
+ * Export the ledger for a period and/or company. Expenses without an
+ * exchange rate get one first; any still without are left out of the bank
+ * imports and listed in `unconverted`.
+ * @param {Object} filters - { from, to, company } (see database.listExpenses)
+ * @param {Array<string>} [formats=FORMATS]
+ * @returns {Promise<{expenses: Array<Object>, files: Array<Object>, unconverted: Array<number>}>}
+ *   Expenses oldest first, the files, and the IDs of expenses with no rate
+ */
+async function exportExpenses(filters = {}, formats = FORMATS) {
+  const { from = null, to = null, company = null } = filters;
+  await fxRates.normaliseExpenses();
+  const expenses = database.listExpenses({ from, to, company }).reverse();
+  return {
+    expenses,
+    files: expenses.length > 0 ? buildExports(expenses, { from, to, company }, formats) : [],
+    unconverted: expenses.filter(expense => !isConverted(expense)).map(expense => expense.id)
+  };
+}
+
+module.exports = {
+  exportExpenses,
+  buildExports,
+  exportFilename,
+  buildCsv,
+  buildXero,
+  buildQuickBooks,
+  buildZip,
+  createZip,
+  crc32,
+  FORMATS
+};
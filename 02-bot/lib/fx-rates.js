@@ -0,0 +1,183 @@
+/**
+ * Exchange Rates
+ *
+ * Converts expenses to the base currency (GBP, what the group's companies
+ * report in) using the dated rates in the fx_rates table (lib/database):
+ *   - the currency skill stores every set of rates it fetches, and is asked
+ *     for fresh ones when the table has nothing recent (setRateSource)
+ *   - offline, fx-fallback-rates.json (FX_FALLBACK_FILE overrides) is loaded
+ *     into the table, without replacing rates that were fetched
+ *
+ * Each expense keeps the rate it was converted at (expenses.fx_rate and
+ * fx_rate_date), so a report on a past period adds up the same way later.
+ *
+ * @module lib/fx-rates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+
+const BASE_CURRENCY = 'GBP';
+
+// A stored rate older than this (before the expense date) is worth refreshing
+const MAX_RATE_AGE_DAYS = 7;
+
+// Don't ask the rate source again for this long after it was asked (or failed)
+const FETCH_INTERVAL_MS = 10 * 60 * 1000;
+
+let rateSource = null;
+let fallbackLoaded = false;
+const lastFetch = new Map(); // base -> timestamp
+
+function getFallbackFile() {
+  return process.env.FX_FALLBACK_FILE || path.join(__dirname, 'fx-fallback-rates.json');
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b) - Date.parse(a)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Set where fresh rates come from (the currency skill registers itself)
+ * @param {Function|null} fetcher - async (base) => rates, storing them with storeRates()
+ */
+function setRateSource(fetcher) {
+  rateSource = fetcher;
+  lastFetch.clear();
+}
+
+/**
+ * Store a day's rates from a base currency
+ * @param {string} base - e.g. 'USD'
+ * @param {Object<string, number>} rates - 1 base = rate currency
+ * @param {Object} [options]
+ * @param {string} [options.date] - Day the rates are for (default today)
+ * @param {string} [options.source] - Where they came from
+ * @returns {number} Rates stored
+ */
+function storeRates(base, rates, { date = today(), source = null } = {}) {
+  return database.saveFxRates(base, rates, { date, source });
+}
+
+/**
+ * Load the fallback file into the table, once. Rates already stored for the
+ * file's day are kept.
+ * @returns {number} Rates added
+ */
+function loadFallbackRates() {
+  if (fallbackLoaded) return 0;
+  fallbackLoaded = true;
+
+  const file = getFallbackFile();
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const count = database.saveFxRates(data.base || BASE_CURRENCY, data.rates, {
+      date: data.date,
+      source: data.source || 'fallback',
+      replace: false
+    });
+    console.log(`[FxRates] Loaded ${count} fallback rate(s) for ${data.date} from ${file}`);
+    return count;
+  } catch (err) {
+    console.error(`[FxRates] Could not load fallback rates from ${file}:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Ask the rate source for fresh rates, at most every FETCH_INTERVAL_MS
+ * @returns {Promise<boolean>} Whether it was asked
+ */
+async function refreshRates(base) {
+  if (!rateSource) return false;
+  const last = lastFetch.get(base) || 0;
+  if (Date.now() - last < FETCH_INTERVAL_MS) return false;
+
+  lastFetch.set(base, Date.now());
+  try {
+    await rateSource(base);
+    return true;
+  } catch (err) {
+    console.error(`[FxRates] Rate source failed for ${base}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Rate from a currency to the base currency for a day: stored, fetched
+ * through the rate source, or from the fallback file - in that order.
+ * @param {string} currency - e.g. 'EUR'
+ * @param {string} [date] - YYYY-MM-DD (default today)
+ * @returns {Promise<{rate: number, date: string, source: string|null, base: string}|null>}
+ *   1 currency = rate base; null if no rate is known at all
+ */
+async function getRate(currency, date = null) {
+  const base = BASE_CURRENCY;
+  const code = String(currency || base).toUpperCase();
+  const day = date || today();
+  if (code === base) return { rate: 1, date: day, source: null, base };
+
+  const found = () => {
+    const row = database.findFxRate(code, base, day);
+    return row ? { rate: row.rate, date: row.rate_date, source: row.source, base } : null;
+  };
+
+  let rate = found();
+  const fresh = rate && rate.date <= day && daysBetween(rate.date, day) <= MAX_RATE_AGE_DAYS;
+  if (fresh) return rate;
+
+  if (await refreshRates(base)) rate = found() || rate;
+  if (!fallbackLoaded && !(rate && rate.date === day)) {
+    loadFallbackRates();
+    rate = found() || rate;
+  }
+  return rate;
+}
+
+/**
+ * saveExpense()/updateExpense() fields for an expense's rate
+ * @param {string} currency
+ * @param {string} [date] - Expense date (default today)
+ * @returns {Promise<{baseCurrency: string, fxRate: number, fxRateDate: string}|{}>} Empty if no rate is known
+ */
+async function rateFields(currency, date = null) {
+  const rate = await getRate(currency, date);
+  return rate ? { baseCurrency: rate.base, fxRate: rate.rate, fxRateDate: rate.date } : {};
+}
+
+/**
+ * Store a rate on every expense that has none for the base currency yet
+ * @returns {Promise<{converted: number, missing: Array<string>}>} Expenses updated, and currencies with no rate
+ */
+async function normaliseExpenses() {
+  const missing = new Set();
+  let converted = 0;
+
+  for (const expense of database.listUnconvertedExpenses(BASE_CURRENCY)) {
+    if (missing.has(expense.currency)) continue;
+    const fields = await rateFields(expense.currency, expense.expense_date || String(expense.created_at || '').slice(0, 10));
+    if (!fields.fxRate) {
+      missing.add(expense.currency);
+      continue;
+    }
+    converted += database.updateExpense(expense.id, fields);
+  }
+
+  return { converted, missing: [...missing] };
+}
+
+module.exports = {
+  setRateSource,
+  storeRates,
+  loadFallbackRates,
+  getRate,
+  rateFields,
+  normaliseExpenses,
+  BASE_CURRENCY,
+  MAX_RATE_AGE_DAYS
+};
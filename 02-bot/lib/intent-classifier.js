@@ -9,6 +9,10 @@
  * - Alternative interpretations
  *
  * Handles natural language like "file my taxes" → accountancy project
+ *
+ * With AI_PROVIDER_MODE=local the AI step runs against the offline provider
+ * (rules with taskType "intent"), so evaluations run without API keys -
+ * see lib/intent-eval.js and scripts/intent-eval.js.
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
@@ -48,12 +52,13 @@ const fs = require('fs');
  * @property {string} summary - Brief summary of what user wants
  * @property {string} action - Mapped action for executor
  * @property {string} reason - Classification reason
+ * @property {string} source - Which stage decided: 'quick', 'ai' or 'fallback'
  */
 
 /**
  * @typedef {Object} CorrectionRecord
- * @property {Object} original - Original classification
- * @property {Object} corrected - What user actually meant
+ * @property {Object} original - Original classification (intent, project, confidence, message)
+ * @property {Object} corrected - What user actually meant (correctionText, intent when recognised)
  * @property {string} userId - User who made the correction
  * @property {number} timestamp - When correction was made
  */
@@ -70,8 +75,10 @@ class IntentClassifier {
 
     // Corrections storage for learning
     this.corrections = [];
-    // Store in the whatsapp-bot data directory
-    this.correctionsFile = path.join(__dirname, '../data/intent-corrections.json');
+    // Store in the whatsapp-bot data directory (CLAWDBOT_DATA_DIR overrides, like the database)
+    this.correctionsFile = process.env.CLAWDBOT_DATA_DIR
+      ? path.join(process.env.CLAWDBOT_DATA_DIR, 'intent-corrections.json')
+      : path.join(__dirname, '../data/intent-corrections.json');
     this.maxCorrections = 500; // Keep last 500 corrections
 
     // Risk configuration
@@ -86,9 +93,15 @@ class IntentClassifier {
     this.clarificationThreshold = 0.3; // Below this, always ask questions
   }
 
-  initialize() {
-    // Load Claude
-    if (process.env.ANTHROPIC_API_KEY) {
+  /**
+   * @param {Object} [options]
+   * @param {string|Object} [options.rules] - Offline provider rules (local mode only)
+   */
+  initialize(options = {}) {
+    // Load Claude (or the offline stand-in in local mode)
+    if ((process.env.AI_PROVIDER_MODE || '').toLowerCase() === 'local') {
+      this.claude = this.createLocalClient(options.rules);
+    } else if (process.env.ANTHROPIC_API_KEY) {
       this.claude = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
     }
 
@@ -107,6 +120,21 @@ class IntentClassifier {
     console.log('[IntentClassifier] Initialized with confidence scoring v2.0');
   }
 
+  /**
+   * Anthropic-client lookalike backed by the offline provider
+   * messages.create() answers from rules with taskType "intent".
+   * @param {string|Object} [rules] - Rules file path or object (default: AI_LOCAL_RULES)
+   */
+  createLocalClient(rules) {
+    const LocalHandler = require('../ai-providers/local-handler');
+    const local = new LocalHandler({ standIn: 'claude', rules });
+    return {
+      messages: {
+        create: (params) => local.createMessage({ ...params, taskType: 'intent' })
+      }
+    };
+  }
+
   /**
    * Load saved corrections from disk
    */
@@ -175,6 +203,7 @@ class IntentClassifier {
     if (quickMatch.confidence > 0.8) {
       // High confidence - apply risk assessment and return
       const result = this.assessRisk(quickMatch);
+      result.source = 'quick';
       console.log(`[IntentClassifier] Quick match: ${result.intent} → ${result.project} (confidence: ${result.confidence.toFixed(2)})`);
       return result;
     }
@@ -194,6 +223,7 @@ class IntentClassifier {
 
         if (aiResult.confidence > 0.5) {
           const result = this.assessRisk(aiResult);
+          result.source = 'ai';
           console.log(`[IntentClassifier] AI match: ${result.intent} → ${result.project} (confidence: ${result.confidence.toFixed(2)})`);
 
           // Track for user history
@@ -211,6 +241,7 @@ class IntentClassifier {
     // Quick match with ambiguity detection
     this.detectAmbiguity(quickMatch, message, context);
     const result = this.assessRisk(quickMatch.confidence > 0 ? quickMatch : this.defaultResult('unknown'));
+    result.source = 'fallback';
 
     return result;
   }
@@ -995,8 +1026,13 @@ Only respond with JSON.`;
         // Extract the correction and re-classify
         const correctionText = match[1];
 
-        // Record the correction for learning
-        this.recordCorrection(context.lastClassification, { correctionText }, context.userId);
+        // Record the correction for learning (with the intent the correction points at, if recognisable)
+        const correctedIntent = this.quickPatternMatch(correctionText, context).intent;
+        this.recordCorrection(
+          { message: context.lastMessage, ...context.lastClassification },
+          { correctionText, intent: correctedIntent || null },
+          context.userId
+        );
 
         // Return null to trigger re-classification with the corrected text
         console.log(`[IntentClassifier] Correction detected: "${correctionText}"`);
@@ -1009,7 +1045,7 @@ Only respond with JSON.`;
 
   /**
    * Record a correction for future learning
-   * @param {Object} originalIntent - What was originally classified
+   * @param {Object} originalIntent - What was originally classified (plus the message, if known)
    * @param {Object} correctedIntent - What user actually meant
    * @param {string} userId - User identifier
    */
@@ -1018,7 +1054,8 @@ Only respond with JSON.`;
       original: {
         intent: originalIntent.intent,
         project: originalIntent.project,
-        confidence: originalIntent.confidence
+        confidence: originalIntent.confidence,
+        message: originalIntent.message || null
       },
       corrected: correctedIntent,
       userId,
@@ -1148,3 +1185,6 @@ Only respond with JSON.`;
 // Singleton
 const classifier = new IntentClassifier();
 module.exports = classifier;
+
+// Also export the class for evaluations and tests
+module.exports.IntentClassifier = IntentClassifier;
@@ -0,0 +1,472 @@
+/**
+ * Intent Evaluation - Measure the intent classifier against labelled messages
+ *
+ * Runs IntentClassifier.classify() over an evaluation set and reports:
+ * - accuracy overall and per stage (quick pattern match, AI, fallback)
+ * - per-intent precision, recall and F1
+ * - a confusion matrix (expected → predicted)
+ * - confidence calibration (accuracy per confidence bucket, expected calibration error)
+ *
+ * It also turns stored user corrections into proposed quick patterns: phrases
+ * that keep appearing in messages users corrected to the same intent. The
+ * proposal is a unified diff of config/project-registry.json for review,
+ * applied only on request.
+ *
+ * Evaluation set format (JSON):
+ * {
+ *   "name": "Core intents",
+ *   "rules": [ ...offline provider rules for the AI step (taskType "intent") ],
+ *   "cases": [
+ *     { "message": "deploy judo to production", "intent": "deploy", "project": "JUDO" },
+ *     { "message": "what's left", "intent": "check-status", "context": { "activeProject": "JUDO" } }
+ *   ]
+ * }
+ *
+ * @module lib/intent-eval
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EVAL_SET = path.join(__dirname, '../tests/intent-eval/eval-set.json');
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '../../config/project-registry.json');
+
+// Confidence buckets for calibration: [0-0.2), [0.2-0.4), ... [0.8-1.0]
+const CALIBRATION_BUCKETS = 5;
+
+// Words a proposed pattern may not start with
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'to', 'for', 'of', 'on', 'in', 'my', 'me', 'i', 'it', 'is', 'and', 'or',
+  'please', 'can', 'you', 'do', 'this', 'that', 'with', 'at', 'now', 'just', 'pls'
+]);
+
+/**
+ * Load and validate an evaluation set
+ * @param {string} [file] - Path to the JSON eval set (default: tests/intent-eval/eval-set.json)
+ * @returns {{name: string, rules: Array, cases: Array}}
+ */
+function loadEvalSet(file = DEFAULT_EVAL_SET) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read eval set ${file}: ${err.message}`);
+  }
+
+  const cases = Array.isArray(data) ? data : data.cases;
+  if (!Array.isArray(cases) || cases.length === 0) {
+    throw new Error(`Eval set ${file} has no cases`);
+  }
+
+  cases.forEach((testCase, index) => {
+    if (!testCase.message || !testCase.intent) {
+      throw new Error(`Eval case ${index + 1} in ${file} needs "message" and "intent"`);
+    }
+  });
+
+  return {
+    name: data.name || path.basename(file, '.json'),
+    rules: data.rules || [],
+    cases
+  };
+}
+
+/**
+ * Classify every case and build the report
+ * The classifier should be initialized; history tracking is skipped (no userId).
+ * @param {Object} classifier - IntentClassifier instance
+ * @param {Array} cases - Eval cases ({message, intent, project?, context?})
+ * @returns {Promise<Object>} Report - see buildReport()
+ */
+async function evaluate(classifier, cases) {
+  const predictions = [];
+
+  for (const testCase of cases) {
+    const { userId, ...context } = testCase.context || {};
+    const result = await classifier.classify(testCase.message, context);
+
+    predictions.push({
+      message: testCase.message,
+      expected: testCase.intent,
+      predicted: result.intent || 'unknown',
+      expectedProject: testCase.project,
+      predictedProject: result.project || null,
+      confidence: result.confidence || 0,
+      source: result.source || 'fallback'
+    });
+  }
+
+  return buildReport(predictions);
+}
+
+/**
+ * Build metrics from predictions
+ * @param {Array<{expected: string, predicted: string, confidence: number, source: string}>} predictions
+ * @returns {{total: number, correct: number, accuracy: number, projectAccuracy: number|null,
+ *   perIntent: Object, confusion: Object, calibration: Object, bySource: Object, misses: Array}}
+ */
+function buildReport(predictions) {
+  const labels = new Set();
+  const confusion = {};
+  const bySource = {};
+  let correct = 0;
+  let projectTotal = 0;
+  let projectCorrect = 0;
+
+  for (const p of predictions) {
+    labels.add(p.expected);
+    labels.add(p.predicted);
+
+    confusion[p.expected] = confusion[p.expected] || {};
+    confusion[p.expected][p.predicted] = (confusion[p.expected][p.predicted] || 0) + 1;
+
+    const hit = p.expected === p.predicted;
+    if (hit) correct++;
+
+    bySource[p.source] = bySource[p.source] || { total: 0, correct: 0, accuracy: 0 };
+    bySource[p.source].total++;
+    if (hit) bySource[p.source].correct++;
+
+    if (p.expectedProject !== undefined) {
+      projectTotal++;
+      if (p.expectedProject === p.predictedProject) projectCorrect++;
+    }
+  }
+
+  for (const stats of Object.values(bySource)) {
+    stats.accuracy = ratio(stats.correct, stats.total);
+  }
+
+  const perIntent = {};
+  for (const label of [...labels].sort()) {
+    const tp = predictions.filter(p => p.expected === label && p.predicted === label).length;
+    const fp = predictions.filter(p => p.expected !== label && p.predicted === label).length;
+    const fn = predictions.filter(p => p.expected === label && p.predicted !== label).length;
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+
+    perIntent[label] = {
+      support: tp + fn,
+      tp,
+      fp,
+      fn,
+      precision,
+      recall,
+      f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0
+    };
+  }
+
+  return {
+    total: predictions.length,
+    correct,
+    accuracy: ratio(correct, predictions.length),
+    projectAccuracy: projectTotal > 0 ? ratio(projectCorrect, projectTotal) : null,
+    perIntent,
+    confusion,
+    calibration: calibrate(predictions),
+    bySource,
+    misses: predictions.filter(p => p.expected !== p.predicted)
+  };
+}
+
+/**
+ * Accuracy vs mean confidence per bucket, and the expected calibration error
+ * (bucket-size weighted mean of |accuracy - confidence|)
+ */
+function calibrate(predictions) {
+  const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, i) => ({
+    from: i / CALIBRATION_BUCKETS,
+    to: (i + 1) / CALIBRATION_BUCKETS,
+    count: 0,
+    correct: 0,
+    confidenceSum: 0
+  }));
+
+  for (const p of predictions) {
+    const confidence = Math.min(Math.max(p.confidence, 0), 1);
+    const index = Math.min(Math.floor(confidence * CALIBRATION_BUCKETS), CALIBRATION_BUCKETS - 1);
+    buckets[index].count++;
+    buckets[index].confidenceSum += confidence;
+    if (p.expected === p.predicted) buckets[index].correct++;
+  }
+
+  let ece = 0;
+  const rows = buckets.map(bucket => {
+    const accuracy = ratio(bucket.correct, bucket.count);
+    const meanConfidence = ratio(bucket.confidenceSum, bucket.count);
+    if (bucket.count > 0) {
+      ece += (bucket.count / predictions.length) * Math.abs(accuracy - meanConfidence);
+    }
+    return { from: bucket.from, to: bucket.to, count: bucket.count, accuracy, meanConfidence };
+  });
+
+  return { buckets: rows, ece };
+}
+
+function ratio(a, b) {
+  return b > 0 ? a / b : 0;
+}
+
+/**
+ * Propose quick patterns from user corrections
+ * A phrase (1-3 words) is proposed for an intent when it appears in at least
+ * minCount messages that users corrected to that intent, never in messages
+ * corrected to another intent, and is not already a pattern anywhere.
+ * @param {Array} corrections - CorrectionRecords (need original.message and corrected.intent)
+ * @param {Object} registry - Project registry ({intents: {id: {patterns}}})
+ * @param {Object} [options]
+ * @param {number} [options.minCount=3] - Corrections needed before a phrase is proposed
+ * @returns {Array<{intent: string, pattern: string, count: number, examples: string[]}>}
+ */
+function suggestPatterns(corrections, registry, { minCount = 3 } = {}) {
+  const intents = registry.intents || {};
+  const existing = new Set();
+  for (const intent of Object.values(intents)) {
+    for (const pattern of intent.patterns || []) existing.add(pattern.toLowerCase());
+  }
+
+  // phrase -> intent -> messages
+  const phrases = new Map();
+  for (const correction of corrections) {
+    const message = correction.original?.message;
+    const intent = correction.corrected?.intent;
+    if (!message || !intent || !intents[intent] || correction.original.intent === intent) continue;
+
+    for (const phrase of new Set(ngrams(message, 3))) {
+      if (!phrases.has(phrase)) phrases.set(phrase, new Map());
+      const byIntent = phrases.get(phrase);
+      if (!byIntent.has(intent)) byIntent.set(intent, []);
+      byIntent.get(intent).push(message);
+    }
+  }
+
+  const candidates = [];
+  for (const [phrase, byIntent] of phrases) {
+    if (byIntent.size !== 1) continue;
+    const [intent, messages] = [...byIntent][0];
+    if (messages.length < minCount) continue;
+    if ([...existing].some(pattern => phrase.includes(pattern))) continue;
+    candidates.push({ intent, pattern: phrase, count: messages.length, examples: messages.slice(0, 3) });
+  }
+
+  // Longest phrases first; drop a phrase covered by a longer one with the same support
+  candidates.sort((a, b) => b.count - a.count || b.pattern.length - a.pattern.length);
+  const chosen = [];
+  for (const candidate of candidates) {
+    const covered = chosen.some(c =>
+      c.intent === candidate.intent && c.count >= candidate.count && c.pattern.includes(candidate.pattern));
+    if (!covered) chosen.push(candidate);
+  }
+
+  return chosen.sort((a, b) => a.intent.localeCompare(b.intent) || b.count - a.count);
+}
+
+/**
+ * Word n-grams of a message, skipping grams that start with a stopword
+ */
+function ngrams(message, maxWords) {
+  const words = message.toLowerCase().replace(/[^a-z0-9'\s-]/g, ' ').split(/\s+/).filter(Boolean);
+  const grams = [];
+  for (let size = 1; size <= maxWords; size++) {
+    for (let i = 0; i + size <= words.length; i++) {
+      const gram = words.slice(i, i + size);
+      if (STOPWORDS.has(gram[0])) continue;
+      if (gram.join('').length < 3) continue;
+      grams.push(gram.join(' '));
+    }
+  }
+  return grams;
+}
+
+/**
+ * Registry file text with the suggested patterns added
+ * Patterns are appended to each intent's existing "patterns" array in place,
+ * keeping the rest of the file's formatting.
+ * @param {string} text - Current project-registry.json contents
+ * @param {Array} suggestions - From suggestPatterns()
+ * @returns {string}
+ */
+function applySuggestions(text, suggestions) {
+  let updated = text;
+
+  for (const [intent, patterns] of groupByIntent(suggestions)) {
+    const intentsStart = updated.indexOf('"intents"');
+    const keyPattern = new RegExp(`"${intent.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:\\s*\\{`, 'g');
+    keyPattern.lastIndex = Math.max(intentsStart, 0);
+    const keyMatch = intentsStart >= 0 ? keyPattern.exec(updated) : null;
+    const patternsIndex = keyMatch ? updated.indexOf('"patterns"', keyMatch.index) : -1;
+    if (patternsIndex < 0) {
+      throw new Error(`Intent "${intent}" has no patterns array in the registry`);
+    }
+
+    const close = updated.indexOf(']', patternsIndex);
+    const before = updated.slice(0, close).replace(/\s*$/, '');
+    const inserted = patterns.map(p => JSON.stringify(p)).join(', ');
+    const separator = before.endsWith('[') ? '' : ', ';
+    updated = before + separator + inserted + updated.slice(before.length);
+  }
+
+  return updated;
+}
+
+function groupByIntent(suggestions) {
+  const grouped = new Map();
+  for (const suggestion of suggestions) {
+    if (!grouped.has(suggestion.intent)) grouped.set(suggestion.intent, []);
+    grouped.get(suggestion.intent).push(suggestion.pattern);
+  }
+  return grouped;
+}
+
+/**
+ * Minimal unified diff (3 lines of context) between two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} [fileName='config/project-registry.json']
+ * @returns {string} Empty string when the texts are equal
+ */
+function unifiedDiff(oldText, newText, fileName = 'config/project-registry.json') {
+  if (oldText === newText) return '';
+
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // LCS table (registry files are a few hundred lines)
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Edit script: [' ', line, oldNo, newNo] / ['-', ...] / ['+', ...]
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push([' ', a[i], i++, j++]);
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(['-', a[i], i++, j]);
+    } else {
+      ops.push(['+', b[j], i, j++]);
+    }
+  }
+
+  const context = 3;
+  const lines = [`--- a/${fileName}`, `+++ b/${fileName}`];
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index][0] === ' ') {
+      index++;
+      continue;
+    }
+
+    // Extend the hunk while changes are within 2*context lines of each other
+    const start = Math.max(0, index - context);
+    let end = index;
+    let lastChange = index;
+    while (end < ops.length && end - lastChange <= context * 2) {
+      if (ops[end][0] !== ' ') lastChange = end;
+      end++;
+    }
+    end = Math.min(ops.length, lastChange + context + 1);
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op[0] !== '+').length;
+    const newCount = hunk.filter(op => op[0] !== '-').length;
+    lines.push(`@@ -${hunk[0][2] + 1},${oldCount} +${hunk[0][3] + 1},${newCount} @@`);
+    for (const [sign, line] of hunk) lines.push(sign + line);
+
+    index = end;
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Proposed registry change from the classifier's corrections
+ * @param {Object} classifier - IntentClassifier (corrections and registry loaded)
+ * @param {Object} [options]
+ * @param {number} [options.minCount=3]
+ * @param {string} [options.registryFile] - Registry path (default: config/project-registry.json)
+ * @returns {{suggestions: Array, diff: string, updatedText: string}}
+ */
+function proposePatterns(classifier, { minCount = 3, registryFile = DEFAULT_REGISTRY_FILE } = {}) {
+  const text = fs.readFileSync(registryFile, 'utf8');
+  const suggestions = suggestPatterns(classifier.corrections || [], JSON.parse(text), { minCount });
+  const updatedText = suggestions.length > 0 ? applySuggestions(text, suggestions) : text;
+
+  return {
+    suggestions,
+    diff: unifiedDiff(text, updatedText, path.relative(path.join(__dirname, '../..'), registryFile)),
+    updatedText
+  };
+}
+
+/**
+ * Plain-text report for the terminal
+ * @param {Object} report - From evaluate()/buildReport()
+ * @param {string} [name] - Eval set name
+ * @returns {string}
+ */
+function formatReport(report, name = 'Intent evaluation') {
+  const pct = (value) => `${(value * 100).toFixed(1)}%`;
+  const lines = [];
+
+  lines.push(`${name}: ${report.correct}/${report.total} correct (${pct(report.accuracy)})`);
+  if (report.projectAccuracy !== null) {
+    lines.push(`Project accuracy: ${pct(report.projectAccuracy)}`);
+  }
+  lines.push('By stage: ' + Object.entries(report.bySource)
+    .map(([source, s]) => `${source} ${s.correct}/${s.total} (${pct(s.accuracy)})`)
+    .join(', '));
+
+  lines.push('', 'Per intent:');
+  lines.push(`  ${'intent'.padEnd(18)} ${'prec'.padStart(6)} ${'recall'.padStart(6)} ${'f1'.padStart(6)} ${'n'.padStart(4)}`);
+  for (const [intent, m] of Object.entries(report.perIntent)) {
+    lines.push(`  ${intent.padEnd(18)} ${pct(m.precision).padStart(6)} ${pct(m.recall).padStart(6)} ` +
+      `${pct(m.f1).padStart(6)} ${String(m.support).padStart(4)}`);
+  }
+
+  const labels = Object.keys(report.perIntent);
+  const width = Math.max(8, ...labels.map((label, i) => `${i + 1}. ${label}`.length)) + 1;
+  lines.push('', 'Confusion (rows = expected, columns = predicted):');
+  lines.push('  ' + ''.padEnd(width) + labels.map((_, i) => String(i + 1).padStart(4)).join(''));
+  labels.forEach((expected, i) => {
+    const row = labels.map(predicted => String(report.confusion[expected]?.[predicted] || 0).padStart(4)).join('');
+    lines.push(`  ${`${i + 1}. ${expected}`.padEnd(width)}${row}`);
+  });
+
+  lines.push('', `Calibration (ECE ${report.calibration.ece.toFixed(3)}):`);
+  for (const b of report.calibration.buckets) {
+    if (b.count === 0) continue;
+    lines.push(`  ${b.from.toFixed(1)}-${b.to.toFixed(1)}: ${String(b.count).padStart(3)} cases, ` +
+      `confidence ${pct(b.meanConfidence)}, accuracy ${pct(b.accuracy)}`);
+  }
+
+  if (report.misses.length > 0) {
+    lines.push('', 'Misclassified:');
+    for (const miss of report.misses) {
+      lines.push(`  "${miss.message}" - expected ${miss.expected}, got ${miss.predicted} ` +
+        `(${miss.source}, ${miss.confidence.toFixed(2)})`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadEvalSet,
+  evaluate,
+  buildReport,
+  suggestPatterns,
+  applySuggestions,
+  unifiedDiff,
+  proposePatterns,
+  formatReport,
+  DEFAULT_EVAL_SET,
+  DEFAULT_REGISTRY_FILE,
+};
@@ -2,11 +2,53 @@
  * Memory Export Utility
  * Generates MEMORY.md from SQLite database for context caching
  * Used by OpenClaw Executive Assistant spec
+ *
+ * MEMORY.md is also editable: facts, open tasks and preferences carry
+ * `<!-- fact:12 -->` / `<!-- task:5 -->` markers, so edits made to the file
+ * (in an editor or in git) can be read back with planImport() and written
+ * to SQLite with applyImport() once the diff has been confirmed.
+ *
+ * On import:
+ *   - new lines are added, edited lines update the fact/task they point at
+ *   - moving a fact under another ### heading changes its category
+ *   - moving a task under another ### heading changes its priority
+ *   - ticking a task (- [x]) completes it
+ *   - deleting a fact removes it; deleting a task cancels it
+ *   - Active Projects and Recent Context are read-only
  */
 
 const fs = require('fs');
 const path = require('path');
 
+// Shown in the Preferences section until a 'preference' fact overrides them
+const DEFAULT_PREFERENCES = {
+    'Deep work hours': '9am-12pm, 2pm-5pm',
+    'Timezone': 'Europe/London',
+    'Morning brief': '7am',
+    'Evening summary': '6pm',
+    'AI mode': 'balanced'
+};
+
+// ### headings in Pending Tasks, and the priority each one maps back to
+const TASK_HEADINGS = {
+    'urgent': 'urgent',
+    'high priority': 'high',
+    'high': 'high',
+    'medium': 'medium',
+    'low': 'low',
+    'other': null
+};
+
+const OPEN_TASK_STATUSES = ['pending', 'in_progress'];
+
+/**
+ * Default MEMORY.md location (MEMORY_MD_PATH overrides the repo root file)
+ * @returns {string} Path to MEMORY.md
+ */
+function getMemoryMdPath() {
+    return process.env.MEMORY_MD_PATH || path.join(__dirname, '../../MEMORY.md');
+}
+
 /**
  * Generate MEMORY.md content from database
  * @param {Object} db - Memory manager instance
@@ -18,7 +60,9 @@ function generateMemoryMd(db, userId) {
 
     let content = `# MEMORY.md - ClawdBot Context Cache\n\n`;
     content += `> Auto-generated: ${now}\n`;
-    content += `> User: ${userId || 'default'}\n\n`;
+    content += `> User: ${userId || 'default'}\n`;
+    content += `> Edit facts, tasks and preferences here, then run \`memory import\` to sync them back.\n\n`;
+    content += `${generateSyncMarker(db, userId)}\n\n`;
     content += `---\n\n`;
 
     try {
@@ -63,7 +107,8 @@ function generateFactsSection(db, userId) {
     }
 
     try {
-        const facts = db.getFacts(userId) || [];
+        // Preferences have their own section
+        const facts = (db.getFacts(userId) || []).filter(f => f.category !== 'preference');
 
         if (facts.length === 0) {
             return `*No facts stored yet*\n\n`;
@@ -79,12 +124,9 @@ function generateFactsSection(db, userId) {
 
         for (const [category, catFacts] of Object.entries(byCategory)) {
             section += `### ${category.charAt(0).toUpperCase() + category.slice(1)}\n\n`;
-            catFacts.slice(0, 10).forEach(f => {
-                section += `- ${f.fact}\n`;
+            catFacts.forEach(f => {
+                section += `- ${oneLine(f.fact)} <!-- fact:${f.id} -->\n`;
             });
-            if (catFacts.length > 10) {
-                section += `- ... and ${catFacts.length - 10} more\n`;
-            }
             section += `\n`;
         }
 
@@ -144,7 +186,7 @@ function generateTasksSection(db, userId) {
     }
 
     try {
-        const tasks = db.getTasks(userId, 'pending') || [];
+        const tasks = (db.getTasks(userId) || []).filter(t => OPEN_TASK_STATUSES.includes(t.status));
 
         if (tasks.length === 0) {
             return `*No pending tasks*\n\n`;
@@ -155,29 +197,15 @@ function generateTasksSection(db, userId) {
         const high = tasks.filter(t => t.priority === 'high');
         const other = tasks.filter(t => t.priority !== 'urgent' && t.priority !== 'high');
 
-        if (urgent.length > 0) {
-            section += `### Urgent\n`;
-            urgent.slice(0, 5).forEach(t => {
-                section += `- [ ] ${t.title}\n`;
-            });
-            section += `\n`;
-        }
-
-        if (high.length > 0) {
-            section += `### High Priority\n`;
-            high.slice(0, 5).forEach(t => {
-                section += `- [ ] ${t.title}\n`;
-            });
-            section += `\n`;
-        }
-
-        if (other.length > 0) {
-            section += `### Other\n`;
-            other.slice(0, 5).forEach(t => {
-                section += `- [ ] ${t.title}\n`;
+        const groups = [['Urgent', urgent], ['High Priority', high], ['Other', other]];
+        groups.forEach(([heading, group]) => {
+            if (group.length === 0) return;
+            section += `### ${heading}\n`;
+            group.forEach(t => {
+                section += `- [ ] ${oneLine(t.title)} <!-- task:${t.id} -->\n`;
             });
             section += `\n`;
-        }
+        });
 
     } catch (error) {
         section += `*Error loading tasks: ${error.message}*\n\n`;
@@ -224,32 +252,32 @@ function generateRecentContext(db, userId) {
 function generatePreferencesSection(db, userId) {
     let section = '';
 
-    // Default preferences (could be stored in facts with category='preference')
-    const defaults = {
-        'Deep work hours': '9am-12pm, 2pm-5pm',
-        'Timezone': 'Europe/London',
-        'Morning brief': '7am',
-        'Evening summary': '6pm',
-        'AI mode': 'balanced'
-    };
+    // Stored 'preference' facts override the defaults with the same key
+    const entries = Object.entries(DEFAULT_PREFERENCES).map(([key, value]) => ({ key, value, marker: 'default' }));
 
-    // Try to get stored preferences
     if (db && db.getFacts) {
         try {
             const prefs = db.getFacts(userId, 'preference') || [];
             prefs.forEach(p => {
-                const key = p.fact.split(':')[0] || p.fact;
-                const value = p.fact.split(':')[1]?.trim() || 'set';
-                defaults[key] = value;
+                const { key, value } = splitPreference(p.fact);
+                const entry = { key, value, marker: `fact:${p.id}` };
+                const existing = key ? entries.findIndex(e => e.key.toLowerCase() === key.toLowerCase()) : -1;
+                if (existing >= 0 && entries[existing].marker === 'default') {
+                    entries[existing] = entry;
+                } else {
+                    entries.push(entry);
+                }
             });
         } catch (error) {
             // Use defaults
         }
     }
 
-    for (const [key, value] of Object.entries(defaults)) {
-        section += `- **${key}**: ${value}\n`;
-    }
+    entries.forEach(({ key, value, marker }) => {
+        section += key
+            ? `- **${key}**: ${oneLine(value)} <!-- ${marker} -->\n`
+            : `- ${oneLine(value)} <!-- ${marker} -->\n`;
+    });
 
     section += `\n`;
     return section;
@@ -263,7 +291,7 @@ function generatePreferencesSection(db, userId) {
  */
 function writeMemoryMd(db, userId, outputPath = null) {
     const content = generateMemoryMd(db, userId);
-    const filePath = outputPath || path.join(__dirname, '../../MEMORY.md');
+    const filePath = outputPath || getMemoryMdPath();
 
     fs.writeFileSync(filePath, content, 'utf8');
     console.log(`[MemoryExport] Written to ${filePath}`);
@@ -277,8 +305,7 @@ function writeMemoryMd(db, userId, outputPath = null) {
  * @returns {string|null} Content or null if not found
  */
 function loadMemoryMd(filePath = null) {
-    const defaultPath = path.join(__dirname, '../../MEMORY.md');
-    const targetPath = filePath || defaultPath;
+    const targetPath = filePath || getMemoryMdPath();
 
     try {
         if (fs.existsSync(targetPath)) {
@@ -291,13 +318,389 @@ function loadMemoryMd(filePath = null) {
     return null;
 }
 
+/**
+ * Sync marker written under the MEMORY.md header
+ * Records the owner and the newest fact/task ids at export time, so import
+ * can tell a deleted line from an item created after the export.
+ */
+function generateSyncMarker(db, userId) {
+    const maxId = rows => rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+    let lastFact = 0;
+    let lastTask = 0;
+
+    try {
+        if (db && db.getFacts) lastFact = maxId(db.getFacts(userId) || []);
+        if (db && db.getTasks) lastTask = maxId(db.getTasks(userId) || []);
+    } catch (error) {
+        // Marker without ids - import will not detect removals
+    }
+
+    return `<!-- memory-sync user=${encodeURIComponent(userId || 'default')} last-fact=${lastFact} last-task=${lastTask} -->`;
+}
+
+/**
+ * Collapse a multi-line value so it fits on one list item
+ */
+function oneLine(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a preference fact ("Timezone: Europe/Paris") into key and value
+ * @returns {{key: string|null, value: string}}
+ */
+function splitPreference(fact) {
+    const text = oneLine(fact);
+    const colon = text.indexOf(':');
+    if (colon <= 0) return { key: null, value: text };
+    return { key: text.slice(0, colon).trim(), value: text.slice(colon + 1).trim() };
+}
+
+/**
+ * Compare two fact/task texts ignoring whitespace differences
+ */
+function sameText(a, b) {
+    const normalise = text => oneLine(text).replace(/\s*:\s*/, ': ');
+    return normalise(a) === normalise(b);
+}
+
+// =========================================================================
+// IMPORT
+// =========================================================================
+
+/**
+ * Parse an (edited) MEMORY.md back into facts and tasks
+ * Only Known Facts, Pending Tasks and Preferences are read.
+ * @param {string} markdown - MEMORY.md content
+ * @returns {{meta: Object|null, facts: Array, tasks: Array}}
+ */
+function parseMemoryMd(markdown) {
+    const parsed = { meta: null, facts: [], tasks: [] };
+    const sections = {
+        'known facts': 'facts',
+        'facts': 'facts',
+        'pending tasks': 'tasks',
+        'tasks': 'tasks',
+        'preferences': 'preferences'
+    };
+    let section = null;
+    let heading = null;
+
+    String(markdown || '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+
+        const sync = line.match(/^<!--\s*memory-sync\s+(.*?)\s*-->$/);
+        if (sync) {
+            const fields = {};
+            sync[1].split(/\s+/).forEach(pair => {
+                const [key, value] = pair.split('=');
+                if (key && value !== undefined) fields[key] = value;
+            });
+            parsed.meta = {
+                userId: fields.user ? decodeURIComponent(fields.user) : null,
+                lastFactId: parseInt(fields['last-fact'], 10) || 0,
+                lastTaskId: parseInt(fields['last-task'], 10) || 0
+            };
+            return;
+        }
+
+        const sub = line.match(/^###\s+(.+)$/);
+        if (sub) {
+            heading = sub[1].trim();
+            return;
+        }
+
+        const top = line.match(/^#{1,2}\s+(.+)$/);
+        if (top) {
+            section = sections[top[1].trim().toLowerCase()] || null;
+            heading = null;
+            return;
+        }
+
+        const item = line.match(/^[-*]\s+(.+)$/);
+        if (!section || !item) return;
+
+        let body = item[1];
+        let id = null;
+        let isDefault = false;
+        const marker = body.match(/\s*<!--\s*(?:(fact|task):(\d+)|(default))\s*-->\s*$/);
+        if (marker) {
+            body = body.slice(0, marker.index);
+            id = marker[2] ? parseInt(marker[2], 10) : null;
+            isDefault = Boolean(marker[3]);
+        }
+        body = oneLine(body);
+
+        if (section === 'tasks') {
+            const checkbox = body.match(/^\[( |x|X)\]\s*(.*)$/);
+            const title = checkbox ? checkbox[2].trim() : body;
+            if (!title) return;
+            const headingKey = (heading || '').toLowerCase();
+            parsed.tasks.push({
+                id,
+                title,
+                done: Boolean(checkbox && checkbox[1] !== ' '),
+                priority: TASK_HEADINGS[headingKey] !== undefined ? TASK_HEADINGS[headingKey] : null,
+                inOther: headingKey === 'other'
+            });
+            return;
+        }
+
+        if (section === 'preferences') {
+            const pref = body.match(/^\*\*(.+?)\*\*:?\s*(.*)$/);
+            const fact = pref ? `${pref[1].replace(/:$/, '').trim()}: ${pref[2].trim()}` : body;
+            if (fact) parsed.facts.push({ id, fact, category: 'preference', isDefault });
+            return;
+        }
+
+        if (body) {
+            parsed.facts.push({ id, fact: body, category: heading ? heading.toLowerCase() : 'general', isDefault: false });
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Work out what importing an edited MEMORY.md would change
+ * Nothing is written - pass the plan to applyImport() once confirmed.
+ * @param {Object} db - Memory manager instance
+ * @param {string} userId - User ID
+ * @param {string} markdown - Edited MEMORY.md content
+ * @returns {Object} Plan: facts {added, changed, removed}, tasks {added, changed, completed, removed}
+ * @throws {Error} If the file was exported for a different user
+ */
+function planImport(db, userId, markdown) {
+    const parsed = parseMemoryMd(markdown);
+
+    if (parsed.meta && parsed.meta.userId && String(parsed.meta.userId) !== String(userId)) {
+        throw new Error(`This MEMORY.md was exported for ${parsed.meta.userId}, not for you`);
+    }
+
+    const plan = {
+        userId,
+        facts: { added: [], changed: [], removed: [] },
+        tasks: { added: [], changed: [], completed: [], removed: [] },
+        unchanged: 0
+    };
+    // Lines with an id are matched first so a copied line can't steal their fact
+    const byIdFirst = items => [...items].sort((a, b) => (b.id ? 1 : 0) - (a.id ? 1 : 0));
+
+    // Facts
+    const facts = db.getFacts(userId) || [];
+    const factsById = new Map(facts.map(f => [Number(f.id), f]));
+    const seenFacts = new Set();
+
+    byIdFirst(parsed.facts).forEach(item => {
+        if (item.isDefault) {
+            const { key, value } = splitPreference(item.fact);
+            const defaultKey = Object.keys(DEFAULT_PREFERENCES).find(k => k.toLowerCase() === (key || '').toLowerCase());
+            if (defaultKey && DEFAULT_PREFERENCES[defaultKey] === value) return;
+        }
+
+        let existing = item.id && !seenFacts.has(item.id) ? factsById.get(item.id) : null;
+        if (!existing) {
+            existing = facts.find(f => !seenFacts.has(Number(f.id)) && sameText(f.fact, item.fact));
+        }
+
+        if (!existing) {
+            const duplicate = plan.facts.added.some(f => f.category === item.category && sameText(f.fact, item.fact));
+            if (!duplicate) plan.facts.added.push({ fact: item.fact, category: item.category });
+            return;
+        }
+
+        seenFacts.add(Number(existing.id));
+        const category = existing.category || 'general';
+        const textChanged = !sameText(existing.fact, item.fact);
+        const categoryChanged = category.toLowerCase() !== item.category.toLowerCase();
+
+        if (textChanged || categoryChanged) {
+            plan.facts.changed.push({
+                id: Number(existing.id),
+                fact: textChanged ? item.fact : existing.fact,
+                category: categoryChanged ? item.category : category,
+                before: { fact: existing.fact, category }
+            });
+        } else {
+            plan.unchanged++;
+        }
+    });
+
+    // Tasks
+    const tasks = db.getTasks ? (db.getTasks(userId) || []) : [];
+    const tasksById = new Map(tasks.map(t => [Number(t.id), t]));
+    const seenTasks = new Set();
+
+    byIdFirst(parsed.tasks).forEach(item => {
+        let existing = item.id && !seenTasks.has(item.id) ? tasksById.get(item.id) : null;
+        if (!existing) {
+            existing = tasks.find(t => !seenTasks.has(Number(t.id)) &&
+                OPEN_TASK_STATUSES.includes(t.status) && sameText(t.title, item.title));
+        }
+
+        if (!existing) {
+            const duplicate = plan.tasks.added.some(t => sameText(t.title, item.title));
+            if (!item.done && !duplicate) {
+                plan.tasks.added.push({ title: item.title, priority: item.priority || 'medium' });
+            }
+            return;
+        }
+
+        seenTasks.add(Number(existing.id));
+
+        // Completed or cancelled since the export - leave it alone
+        if (!OPEN_TASK_STATUSES.includes(existing.status)) return;
+
+        if (item.done) {
+            plan.tasks.completed.push({ id: Number(existing.id), title: existing.title });
+            return;
+        }
+
+        // Moving an urgent/high task under "Other" drops it to medium
+        const priority = item.priority ||
+            (item.inOther && ['urgent', 'high'].includes(existing.priority) ? 'medium' : null);
+        const titleChanged = !sameText(existing.title, item.title);
+        const priorityChanged = Boolean(priority) && priority !== existing.priority;
+
+        if (titleChanged || priorityChanged) {
+            plan.tasks.changed.push({
+                id: Number(existing.id),
+                title: titleChanged ? item.title : existing.title,
+                priority: priorityChanged ? priority : existing.priority,
+                before: { title: existing.title, priority: existing.priority }
+            });
+        } else {
+            plan.unchanged++;
+        }
+    });
+
+    // Removals - only for items that existed when the file was exported
+    if (parsed.meta) {
+        facts
+            .filter(f => !seenFacts.has(Number(f.id)) && Number(f.id) <= parsed.meta.lastFactId)
+            .forEach(f => plan.facts.removed.push({ id: Number(f.id), fact: f.fact, category: f.category }));
+
+        tasks
+            .filter(t => !seenTasks.has(Number(t.id)) && OPEN_TASK_STATUSES.includes(t.status) &&
+                Number(t.id) <= parsed.meta.lastTaskId)
+            .forEach(t => plan.tasks.removed.push({ id: Number(t.id), title: t.title }));
+    }
+
+    return plan;
+}
+
+/**
+ * Number of changes in an import plan
+ */
+function countChanges(plan) {
+    return [...Object.values(plan.facts), ...Object.values(plan.tasks)]
+        .reduce((sum, list) => sum + list.length, 0);
+}
+
+/**
+ * Format an import plan as a diff preview
+ * @param {Object} plan - Result of planImport()
+ * @param {number} [limit=15] - Lines shown per kind of change
+ * @returns {string} Preview text
+ */
+function formatImportPlan(plan, limit = 15) {
+    const total = countChanges(plan);
+    if (total === 0) {
+        return `✅ *MEMORY.md is in sync* - nothing to import.`;
+    }
+
+    const lines = (items, format) => {
+        const shown = items.slice(0, limit).map(format);
+        if (items.length > limit) shown.push(`  _...and ${items.length - limit} more_`);
+        return shown;
+    };
+    const arrow = (before, after) => (sameText(before, after) ? after : `${before} → ${after}`);
+
+    let text = `📥 *MEMORY.md changes* (${total})\n`;
+
+    const facts = [
+        ...lines(plan.facts.added, f => `+ ${f.fact} _(${f.category})_`),
+        ...lines(plan.facts.changed, f => {
+            const category = f.before.category === f.category ? '' : ` _(${f.before.category} → ${f.category})_`;
+            return `~ #${f.id} ${arrow(f.before.fact, f.fact)}${category}`;
+        }),
+        ...lines(plan.facts.removed, f => `- #${f.id} ${f.fact}`)
+    ];
+    if (facts.length > 0) {
+        text += `\n*Facts*\n${facts.join('\n')}\n`;
+    }
+
+    const tasks = [
+        ...lines(plan.tasks.added, t => `+ ${t.title} _(${t.priority})_`),
+        ...lines(plan.tasks.changed, t => {
+            const priority = t.before.priority === t.priority ? '' : ` _(${t.before.priority} → ${t.priority})_`;
+            return `~ #${t.id} ${arrow(t.before.title, t.title)}${priority}`;
+        }),
+        ...lines(plan.tasks.completed, t => `✓ #${t.id} ${t.title}`),
+        ...lines(plan.tasks.removed, t => `- #${t.id} ${t.title} _(cancel)_`)
+    ];
+    if (tasks.length > 0) {
+        text += `\n*Tasks*\n${tasks.join('\n')}\n`;
+    }
+
+    return text.trim();
+}
+
+/**
+ * Apply a confirmed import plan to the database
+ * Removed tasks are cancelled rather than deleted.
+ * @param {Object} db - Memory manager instance
+ * @param {string} userId - User ID
+ * @param {Object} plan - Result of planImport()
+ * @returns {{added: number, changed: number, removed: number, completed: number}} Changes applied
+ */
+function applyImport(db, userId, plan) {
+    const applied = { added: 0, changed: 0, removed: 0, completed: 0 };
+    const ownTasks = new Set((db.getTasks(userId) || []).map(t => Number(t.id)));
+
+    plan.facts.added.forEach(f => {
+        db.saveFact(userId, f.fact, f.category, 'memory_md');
+        applied.added++;
+    });
+    plan.facts.changed.forEach(f => {
+        if (db.updateFact(userId, f.id, f.fact, f.category)) applied.changed++;
+    });
+    plan.facts.removed.forEach(f => {
+        if (db.deleteFact(userId, f.id)) applied.removed++;
+    });
+
+    plan.tasks.added.forEach(t => {
+        db.createTask(userId, t.title, '', t.priority);
+        applied.added++;
+    });
+    plan.tasks.changed.forEach(t => {
+        if (db.updateTask(userId, t.id, { title: t.title, priority: t.priority })) applied.changed++;
+    });
+    plan.tasks.completed.forEach(t => {
+        if (ownTasks.has(t.id) && db.updateTaskStatus(t.id, 'completed')) applied.completed++;
+    });
+    plan.tasks.removed.forEach(t => {
+        if (ownTasks.has(t.id) && db.updateTaskStatus(t.id, 'cancelled')) applied.removed++;
+    });
+
+    console.log(`[MemoryExport] Imported MEMORY.md for ${userId}:`, applied);
+    return applied;
+}
+
 module.exports = {
     generateMemoryMd,
     writeMemoryMd,
     loadMemoryMd,
+    getMemoryMdPath,
+    parseMemoryMd,
+    planImport,
+    countChanges,
+    formatImportPlan,
+    applyImport,
     generateFactsSection,
     generateProjectsSection,
     generateTasksSection,
     generateRecentContext,
-    generatePreferencesSection
+    generatePreferencesSection,
+    DEFAULT_PREFERENCES
 };
@@ -0,0 +1,498 @@
+/**
+ * Memory Extractor - Proposes long-term facts from conversations
+ *
+ * The memory skill only stores what the user explicitly asks it to
+ * ("remember ..."). After each exchange this module scans the user's message
+ * for things worth keeping - preferences, decisions, people, project
+ * constraints - and queues them as candidates instead of saving straight away.
+ * Nothing reaches the facts table until the user approves it with
+ * "memory review" (Telegram shows approve/edit/reject buttons).
+ *
+ * Each candidate carries a confidence (0-1) and the message it came from.
+ * Candidates that repeat an existing fact (getFacts) or an earlier candidate
+ * - pending, approved or rejected - are dropped, so a rejected fact is never
+ * proposed twice. Near-duplicates are caught with the semantic index
+ * embeddings, not just exact text.
+ *
+ * Env:
+ *   MEMORY_EXTRACTION=false       - turn the extractor off
+ *   MEMORY_EXTRACTION_MIN_CONFIDENCE - drop candidates below this (default 0.5)
+ *
+ * Uses SQLite (via database.js) for the review queue.
+ *
+ * @module lib/memory-extractor
+ */
+
+'use strict';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+const DUPLICATE_SIMILARITY = 0.85;
+const MAX_CAPTURE_LENGTH = 100;
+
+const RELATIONS = 'co-?founder|partner|accountant|lawyer|solicitor|designer|developer|manager|boss|assistant|' +
+  'colleague|client|wife|husband|girlfriend|boyfriend|brother|sister|son|daughter|mum|mom|dad|friend|mentor|investor';
+
+/**
+ * Extraction rules, tried against every sentence of a user message.
+ * `fact` builds the fact text from the match; returning null skips it.
+ */
+const RULES = [
+  // Preferences
+  {
+    category: 'preference',
+    confidence: 0.75,
+    regex: /\bi (?:really |much |strongly )?prefer (.+)/i,
+    fact: m => `Prefers ${m[1]}`
+  },
+  {
+    category: 'preference',
+    confidence: 0.6,
+    regex: /\bi (?:really )?(?:like|love|enjoy) (?:using |to use )?(.+)/i,
+    fact: m => `Likes ${m[1]}`
+  },
+  {
+    category: 'preference',
+    confidence: 0.6,
+    regex: /\bi (?:really )?(?:hate|dislike|don'?t like|can'?t stand) (.+)/i,
+    fact: m => `Dislikes ${m[1]}`
+  },
+  {
+    category: 'preference',
+    confidence: 0.8,
+    regex: /\bmy favou?rite ([\w\s]{2,30}?) is (.+)/i,
+    fact: m => `Favourite ${m[1]}: ${m[2]}`
+  },
+  {
+    category: 'preference',
+    confidence: 0.7,
+    regex: /\b(?:i )?(always|never) (use|deploy|push|merge|run|work|write|reply|schedule|book) (.+)/i,
+    fact: m => `${capitalize(m[1])} ${m[2]} ${m[3]}`
+  },
+  {
+    category: 'preference',
+    confidence: 0.8,
+    regex: /\bmy timezone is (.+)/i,
+    fact: m => `Timezone: ${m[1]}`
+  },
+
+  // Decisions
+  {
+    category: 'decision',
+    confidence: 0.8,
+    regex: /\b(?:we|i)(?:'ve| have)? (?:decided|agreed) (?:that )?((?:to |on )?.+)/i,
+    fact: m => `Decided ${m[1]}`
+  },
+  {
+    category: 'decision',
+    confidence: 0.65,
+    regex: /\blet'?s (?:go with|use|stick with) (.+)/i,
+    fact: m => `Decided to use ${m[1]}`
+  },
+  {
+    category: 'decision',
+    confidence: 0.6,
+    regex: /\bwe(?:'re| are)? (?:going to|gonna|will) (?:use|switch to|move to|migrate to) (.+)/i,
+    fact: m => `Plans to use ${m[1]}`
+  },
+
+  // People
+  {
+    category: 'person',
+    confidence: 0.8,
+    regex: new RegExp(`\\b([A-Z][a-z]+(?: [A-Z][a-z]+)?) is (?:my|our) (${RELATIONS})\\b`),
+    fact: m => `${m[1]} is their ${m[2].toLowerCase()}`
+  },
+  {
+    category: 'person',
+    confidence: 0.8,
+    regex: new RegExp(`\\b(?:my|our) (${RELATIONS})(?:'s name)? is ([A-Z][a-z]+(?: [A-Z][a-z]+)?)\\b`, 'i'),
+    fact: m => /^[A-Z]/.test(m[2]) ? `${m[2]} is their ${m[1].toLowerCase()}` : null
+  },
+
+  // Project constraints
+  {
+    category: 'constraint',
+    confidence: 0.75,
+    regex: /\b(?:the )?(deadline|budget|launch date|go-live) (?:for ([\w\s-]{2,40}?) )?is (.+)/i,
+    fact: m => `${capitalize(m[1])}${m[2] ? ` for ${m[2]}` : ''}: ${m[3]}`
+  },
+  {
+    category: 'constraint',
+    confidence: 0.55,
+    regex: /\b(?!(?:We|It|This|That|They|You|He|She|There|Everyone)\b)([A-Z][\w-]+) (must not|mustn'?t|must|has to|needs to|can'?t|cannot|should never) (.+)/,
+    fact: m => `${m[1]} ${m[2]} ${m[3]}`
+  },
+
+  // Personal and work
+  {
+    category: 'personal',
+    confidence: 0.85,
+    regex: /\bmy name is ([A-Z]?\w+(?: [A-Z]\w+)?)/i,
+    fact: m => `Name is ${m[1]}`
+  },
+  {
+    category: 'work',
+    confidence: 0.8,
+    regex: /\bi work (?:at|for) (.+)/i,
+    fact: m => `Works at ${m[1]}`
+  },
+  {
+    category: 'personal',
+    confidence: 0.75,
+    regex: /\bi live in (.+)/i,
+    fact: m => `Lives in ${m[1]}`
+  },
+  {
+    category: 'work',
+    confidence: 0.55,
+    regex: /\bi use (.+?) for (.+)/i,
+    fact: m => `Uses ${m[1]} for ${m[2]}`
+  }
+];
+
+let _db = null;
+let _initialized = false;
+
+function getDb() {
+  if (!_db) {
+    try {
+      _db = require('./database');
+    } catch (e) {
+      _db = false;
+    }
+  }
+  return _db && _db.getDb ? _db.getDb() : null;
+}
+
+function getMemory(options = {}) {
+  if (options.memory !== undefined) return options.memory;
+  try {
+    return require('../memory/memory-manager');
+  } catch (e) {
+    return null;
+  }
+}
+
+function getSemanticIndex() {
+  try {
+    return require('./semantic-index');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Initialize the review queue table
+ */
+function init() {
+  if (_initialized) return;
+
+  const db = getDb();
+  if (!db) {
+    _initialized = true;
+    return;
+  }
+
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS memory_candidates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        fact TEXT NOT NULL,
+        category TEXT NOT NULL,
+        confidence REAL NOT NULL,
+        source_message TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        fact_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at DATETIME
+      );
+      CREATE INDEX IF NOT EXISTS idx_memory_candidates_user ON memory_candidates(user_id, status, created_at DESC);
+    `);
+  } catch (e) {
+    console.error('[MemoryExtractor] init error:', e.message);
+  }
+
+  _initialized = true;
+}
+
+function isEnabled() {
+  return process.env.MEMORY_EXTRACTION !== 'false';
+}
+
+function minConfidence() {
+  const value = parseFloat(process.env.MEMORY_EXTRACTION_MIN_CONFIDENCE);
+  return Number.isFinite(value) ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Trim a captured phrase to something fact-sized
+ */
+function cleanCapture(text) {
+  let cleaned = String(text || '')
+    .replace(/\s+(?:because|since|but|so that|as|and then|which)\b.*$/i, '')
+    .replace(/[\s,;:.!?)"']+$/, '')
+    .trim();
+
+  if (cleaned.length > MAX_CAPTURE_LENGTH) {
+    cleaned = cleaned.slice(0, MAX_CAPTURE_LENGTH).replace(/\s+\S*$/, '');
+  }
+  return cleaned;
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Split a message into sentences and "... and I ..." clauses (questions are never facts)
+ */
+function sentences(message) {
+  return String(message || '')
+    .split(/(?<=[.!?])\s+|\n+|,?\s+and (?=I\b)/)
+    .map(s => s.trim())
+    .filter(s => s.length > 0 && !s.endsWith('?'));
+}
+
+/**
+ * Propose candidate facts from one user message (pure, no storage)
+ * @param {string} message - What the user said
+ * @returns {Array<{fact: string, category: string, confidence: number, sourceMessage: string}>}
+ */
+function extractCandidates(message) {
+  const candidates = [];
+  const seen = new Set();
+
+  for (const sentence of sentences(message)) {
+    // "remember ..." is stored directly by the memory skill
+    if (/^remember\b/i.test(sentence)) continue;
+
+    for (const rule of RULES) {
+      const match = sentence.match(rule.regex);
+      if (!match) continue;
+
+      const cleaned = [...match].map((group, i) => (i === 0 ? group : group && cleanCapture(group)));
+      if (cleaned.slice(1).some(group => group !== undefined && !group)) continue;
+
+      const fact = rule.fact(cleaned);
+      if (!fact || seen.has(normalize(fact))) continue;
+      seen.add(normalize(fact));
+
+      // Short captures are more likely to be a complete, standalone fact
+      const lengthPenalty = fact.length > 80 ? 0.1 : 0;
+      candidates.push({
+        fact,
+        category: rule.category,
+        confidence: Math.round((rule.confidence - lengthPenalty) * 100) / 100,
+        sourceMessage: sentence
+      });
+      break;
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Whether a fact says the same as any of the known texts
+ */
+function isDuplicate(fact, known) {
+  const target = normalize(fact);
+  if (known.some(text => normalize(text) === target)) return true;
+
+  const index = getSemanticIndex();
+  if (!index || known.length === 0) return false;
+
+  const vector = index.embed(fact);
+  return known.some(text => index.similarity(vector, index.embed(text)) >= DUPLICATE_SIMILARITY);
+}
+
+/**
+ * Extract candidates from a user message and queue the new ones for review
+ * @param {string} userId
+ * @param {string} message - The user's message
+ * @param {Object} [options]
+ * @param {Object|null} [options.memory] - MemoryManager (default: memory/memory-manager) for existing facts
+ * @returns {Array<Object>} Candidates queued (with ids)
+ */
+function processMessage(userId, message, options = {}) {
+  if (!isEnabled() || !userId || !message) return [];
+
+  init();
+  const db = getDb();
+  if (!db) return [];
+
+  const threshold = minConfidence();
+  const candidates = extractCandidates(message).filter(c => c.confidence >= threshold);
+  if (candidates.length === 0) return [];
+
+  const memory = getMemory(options);
+  let known = [];
+  try {
+    known = memory ? memory.getFacts(String(userId)).map(f => f.fact) : [];
+  } catch (e) {
+    known = [];
+  }
+  known = known.concat(
+    db.prepare('SELECT fact FROM memory_candidates WHERE user_id = ?').all(String(userId)).map(r => r.fact)
+  );
+
+  const queued = [];
+  const insert = db.prepare(
+    'INSERT INTO memory_candidates (user_id, fact, category, confidence, source_message) VALUES (?, ?, ?, ?, ?)'
+  );
+
+  for (const candidate of candidates) {
+    if (isDuplicate(candidate.fact, known)) continue;
+
+    try {
+      const info = insert.run(String(userId), candidate.fact, candidate.category, candidate.confidence, candidate.sourceMessage);
+      queued.push({ id: Number(info.lastInsertRowid), ...candidate, status: 'pending' });
+      known.push(candidate.fact);
+    } catch (e) {
+      console.error('[MemoryExtractor] queue error:', e.message);
+    }
+  }
+
+  if (queued.length > 0) {
+    console.log(`[MemoryExtractor] Queued ${queued.length} candidate fact(s) for ${userId}`);
+  }
+  return queued;
+}
+
+function toCandidate(row) {
+  return row ? {
+    id: row.id,
+    userId: row.user_id,
+    fact: row.fact,
+    category: row.category,
+    confidence: row.confidence,
+    sourceMessage: row.source_message,
+    status: row.status,
+    factId: row.fact_id,
+    createdAt: row.created_at
+  } : null;
+}
+
+/**
+ * Candidates waiting for review, most confident first
+ * @param {string} userId
+ * @param {number} [limit=20]
+ * @returns {Array<Object>}
+ */
+function listPending(userId, limit = 20) {
+  init();
+  const db = getDb();
+  if (!db) return [];
+
+  try {
+    return db.prepare(
+      `SELECT * FROM memory_candidates WHERE user_id = ? AND status = 'pending'
+       ORDER BY confidence DESC, id ASC LIMIT ?`
+    ).all(String(userId), limit).map(toCandidate);
+  } catch (e) {
+    console.error('[MemoryExtractor] listPending error:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Number of candidates waiting for review
+ * @param {string} userId
+ * @returns {number}
+ */
+function countPending(userId) {
+  init();
+  const db = getDb();
+  if (!db) return 0;
+
+  try {
+    return db.prepare("SELECT COUNT(*) AS n FROM memory_candidates WHERE user_id = ? AND status = 'pending'")
+      .get(String(userId)).n;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Get one candidate belonging to a user
+ * @param {string} userId
+ * @param {number} candidateId
+ * @returns {Object|null}
+ */
+function getCandidate(userId, candidateId) {
+  init();
+  const db = getDb();
+  if (!db) return null;
+
+  return toCandidate(
+    db.prepare('SELECT * FROM memory_candidates WHERE id = ? AND user_id = ?').get(Number(candidateId), String(userId))
+  );
+}
+
+function pendingOrThrow(userId, candidateId) {
+  const candidate = getCandidate(userId, candidateId);
+  if (!candidate) throw new Error(`No memory suggestion #${candidateId}`);
+  if (candidate.status !== 'pending') throw new Error(`Suggestion #${candidateId} was already ${candidate.status}`);
+  return candidate;
+}
+
+/**
+ * Approve a candidate: save it as a fact (optionally with edited text)
+ * @param {string} userId
+ * @param {number} candidateId
+ * @param {Object} [options]
+ * @param {string} [options.fact] - Edited fact text
+ * @param {Object} [options.memory] - MemoryManager to save into
+ * @returns {Object} The approved candidate, with factId
+ */
+function approve(userId, candidateId, options = {}) {
+  const candidate = pendingOrThrow(userId, candidateId);
+  const memory = getMemory(options);
+  if (!memory) throw new Error('Memory system not available');
+
+  const fact = options.fact ? String(options.fact).trim() : candidate.fact;
+  if (!fact) throw new Error('Fact text is empty');
+
+  const factId = Number(memory.saveFact(String(userId), fact, candidate.category, 'auto_extracted'));
+  getDb().prepare(
+    "UPDATE memory_candidates SET status = 'approved', fact = ?, fact_id = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?"
+  ).run(fact, factId, candidate.id);
+
+  return { ...candidate, fact, factId, status: 'approved' };
+}
+
+/**
+ * Reject a candidate (it won't be proposed again)
+ * @param {string} userId
+ * @param {number} candidateId
+ * @returns {Object} The rejected candidate
+ */
+function reject(userId, candidateId) {
+  const candidate = pendingOrThrow(userId, candidateId);
+  getDb().prepare(
+    "UPDATE memory_candidates SET status = 'rejected', reviewed_at = CURRENT_TIMESTAMP WHERE id = ?"
+  ).run(candidate.id);
+
+  return { ...candidate, status: 'rejected' };
+}
+
+module.exports = {
+  init,
+  isEnabled,
+  extractCandidates,
+  processMessage,
+  listPending,
+  countPending,
+  getCandidate,
+  approve,
+  reject,
+  STATUSES,
+  DEFAULT_MIN_CONFIDENCE,
+};
@@ -1,8 +1,14 @@
 /**
  * Messaging Platform Abstraction Layer
  *
- * Provides a unified interface for multiple messaging platforms (WhatsApp, Telegram).
+ * Provides a unified interface for multiple messaging platforms (WhatsApp, Telegram, Slack, Discord).
  * Handles message normalization, platform-specific formatting, and user-platform mapping.
+ * Streams long replies progressively: Telegram edits one message in place (throttled
+ * to its edit limits), WhatsApp - which can't edit - gets the reply in chunks.
+ * Slack recipients are "channel" or "channel:threadTs" (see slack-handler.js), so
+ * replies and stream chunks stay in the thread they belong to. Discord recipients
+ * are "channel" or "channel:interactionId" (see discord-handler.js), so replies to
+ * a slash command land under it.
  *
  * @module lib/messaging-platform
  */
@@ -13,7 +19,10 @@
  */
 const PLATFORMS = {
   WHATSAPP: 'whatsapp',
-  TELEGRAM: 'telegram'
+  TELEGRAM: 'telegram',
+  SLACK: 'slack',
+  DISCORD: 'discord',
+  EMAIL: 'email'
 };
 
 /**
@@ -53,10 +62,14 @@ const PLATFORM_CONFIG = {
     supportsMarkdown: false,
     supportsButtons: false,
     supportsInlineKeyboard: false,
+    supportsEdits: false,
     maxMediaSize: 16 * 1024 * 1024, // 16MB
     rateLimit: {
       messagesPerSecond: 80,
       messagesPerDay: 1000
+    },
+    streaming: {
+      chunkChars: 500 // Send a chunk once this much text ends in a paragraph break
     }
   },
   [PLATFORMS.TELEGRAM]: {
@@ -68,10 +81,71 @@ const PLATFORM_CONFIG = {
     supportsMarkdown: true,
     supportsButtons: true,
     supportsInlineKeyboard: true,
+    supportsEdits: true,
     maxMediaSize: 50 * 1024 * 1024, // 50MB
     rateLimit: {
       messagesPerSecond: 30,
       messagesPerMinute: 20 // per chat
+    },
+    streaming: {
+      partLength: 4000,          // Start a new message before the 4096 limit
+      minInitialChars: 20,       // Don't open the message for a few characters
+      editIntervalMs: 1000,      // ~1 edit/second per private chat
+      groupEditIntervalMs: 3000  // Groups: 20 messages/minute
+    }
+  },
+  [PLATFORMS.SLACK]: {
+    name: 'Slack',
+    maxLength: 4000,
+    mediaTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'audio/ogg', 'audio/mp3', 'video/mp4', 'application/pdf'],
+    userIdFormat: '{channelId}',
+    userIdPattern: /^[CDG][A-Z0-9]{8,}$/,
+    supportsMarkdown: true,
+    supportsButtons: true,      // Block Kit, rendered from the inline keyboard layouts
+    supportsInlineKeyboard: false,
+    supportsEdits: false,       // chat.update exists, but 1 msg/sec per channel - stream in chunks
+    maxMediaSize: 1024 * 1024 * 1024, // 1GB
+    rateLimit: {
+      messagesPerSecond: 1 // per channel
+    },
+    streaming: {
+      chunkChars: 1500
+    }
+  },
+  [PLATFORMS.DISCORD]: {
+    name: 'Discord',
+    maxLength: 2000,
+    mediaTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'audio/ogg', 'audio/mp3', 'video/mp4', 'application/pdf'],
+    userIdFormat: '{channelId}',
+    userIdPattern: /^\d{17,20}$/,
+    supportsMarkdown: true,
+    supportsButtons: true,      // Message components, rendered from the inline keyboard layouts
+    supportsInlineKeyboard: false,
+    supportsEdits: false,       // Replies go through the interaction webhook - stream in chunks
+    maxMediaSize: 25 * 1024 * 1024, // 25MB
+    rateLimit: {
+      messagesPerSecond: 5 // per channel
+    },
+    streaming: {
+      chunkChars: 1500
+    }
+  },
+  [PLATFORMS.EMAIL]: {
+    name: 'Email',
+    maxLength: 100000,
+    mediaTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'],
+    userIdFormat: '{address}',
+    userIdPattern: /^[^\s@:]+@[^\s@]+\.[^\s@]+$/,
+    supportsMarkdown: false,
+    supportsButtons: false,
+    supportsInlineKeyboard: false,
+    supportsEdits: false,
+    maxMediaSize: 25 * 1024 * 1024, // 25MB
+    rateLimit: {
+      messagesPerMinute: 10
+    },
+    streaming: {
+      chunkChars: 100000 // One email per reply - nothing is sent until the stream finishes
     }
   }
 };
@@ -90,7 +164,7 @@ const userPlatformMap = new Map();
  * @property {string} text - Message text content
  * @property {string|null} mediaUrl - URL of attached media (if any)
  * @property {string|null} mediaType - MIME type of attached media
- * @property {string} platform - Platform identifier (whatsapp/telegram)
+ * @property {string} platform - Platform identifier (whatsapp/telegram/slack/discord/email)
  * @property {Object} raw - Original raw message object
  */
 
@@ -113,6 +187,9 @@ class MessagingPlatform {
   constructor() {
     this.twilioClient = null;
     this.telegramHandler = null;
+    this.slackHandler = null;
+    this.discordHandler = null;
+    this.emailHandler = null;
   }
 
   /**
@@ -120,6 +197,9 @@ class MessagingPlatform {
    * @param {Object} options - Initialization options
    * @param {Object} [options.twilioClient] - Twilio client instance
    * @param {Object} [options.telegramHandler] - Telegram handler instance
+   * @param {Object} [options.slackHandler] - Slack handler instance
+   * @param {Object} [options.discordHandler] - Discord handler instance
+   * @param {Object} [options.emailHandler] - Email handler instance
    */
   initialize(options = {}) {
     if (options.twilioClient) {
@@ -128,6 +208,15 @@ class MessagingPlatform {
     if (options.telegramHandler) {
       this.telegramHandler = options.telegramHandler;
     }
+    if (options.slackHandler) {
+      this.slackHandler = options.slackHandler;
+    }
+    if (options.discordHandler) {
+      this.discordHandler = options.discordHandler;
+    }
+    if (options.emailHandler) {
+      this.emailHandler = options.emailHandler;
+    }
   }
 
   /**
@@ -138,6 +227,30 @@ class MessagingPlatform {
     this.telegramHandler = handler;
   }
 
+  /**
+   * Set the Slack handler (can be set after initialization)
+   * @param {Object} handler - Slack handler instance
+   */
+  setSlackHandler(handler) {
+    this.slackHandler = handler;
+  }
+
+  /**
+   * Set the Discord handler (can be set after initialization)
+   * @param {Object} handler - Discord handler instance
+   */
+  setDiscordHandler(handler) {
+    this.discordHandler = handler;
+  }
+
+  /**
+   * Set the email handler (can be set after initialization)
+   * @param {Object} handler - Email handler instance
+   */
+  setEmailHandler(handler) {
+    this.emailHandler = handler;
+  }
+
   /**
    * Set the Twilio client (can be set after initialization)
    * @param {Object} client - Twilio client instance
@@ -153,7 +266,7 @@ class MessagingPlatform {
   /**
    * Normalize incoming message from any platform
    * @static
-   * @param {string} platform - Platform identifier (whatsapp/telegram)
+   * @param {string} platform - Platform identifier (whatsapp/telegram/slack/discord/email)
    * @param {Object} rawMessage - Raw message from platform webhook
    * @returns {NormalizedMessage} Normalized message object
    */
@@ -163,6 +276,12 @@ class MessagingPlatform {
         return MessagingPlatform._normalizeWhatsApp(rawMessage);
       case PLATFORMS.TELEGRAM:
         return MessagingPlatform._normalizeTelegram(rawMessage);
+      case PLATFORMS.SLACK:
+        return MessagingPlatform._normalizeSlack(rawMessage);
+      case PLATFORMS.DISCORD:
+        return MessagingPlatform._normalizeDiscord(rawMessage);
+      case PLATFORMS.EMAIL:
+        return MessagingPlatform._normalizeEmail(rawMessage);
       default:
         throw new Error(`Unknown platform: ${platform}`);
     }
@@ -280,6 +399,154 @@ class MessagingPlatform {
     };
   }
 
+  /**
+   * Normalize Slack message from the Events API
+   * Accepts the event_callback envelope or the bare event. The user ID is the
+   * channel (like Telegram's chat ID); replies go to the message's thread -
+   * or start one under it - except for top-level DMs.
+   * @private
+   * @static
+   * @param {Object} rawMessage - Events API payload (or its "event")
+   * @returns {NormalizedMessage}
+   */
+  static _normalizeSlack(rawMessage) {
+    const event = rawMessage.event || rawMessage;
+    const channel = event.channel || null;
+
+    if (!channel) {
+      return {
+        userId: null,
+        text: '',
+        mediaUrl: null,
+        mediaType: null,
+        platform: PLATFORMS.SLACK,
+        raw: rawMessage
+      };
+    }
+
+    const { SlackHandler } = require('../slack-handler');
+    const isDirect = event.channel_type === 'im';
+    const threadTs = event.thread_ts || (isDirect ? null : event.ts) || null;
+    const file = Array.isArray(event.files) && event.files.length > 0 ? event.files[0] : null;
+
+    MessagingPlatform.setUserPlatform(channel, PLATFORMS.SLACK);
+
+    return {
+      userId: channel,
+      text: SlackHandler.fromMrkdwn(event.text),
+      mediaUrl: file ? file.url_private : null,
+      mediaType: file ? file.mimetype : null,
+      platform: PLATFORMS.SLACK,
+      raw: rawMessage,
+      // Compatibility fields
+      fromNumber: SlackHandler.formatRecipient(channel, threadTs),
+      numMedia: file ? 1 : 0,
+      // Slack-specific extras
+      slackUserId: event.user || null,
+      channelType: event.channel_type || null,
+      threadTs,
+      messageTs: event.ts || null,
+      eventId: rawMessage.event_id || null,
+      isBot: !!(event.bot_id || event.subtype === 'bot_message')
+    };
+  }
+
+  /**
+   * Normalize a Discord interaction (slash command)
+   * The user ID is the channel, like Slack. Slash commands carry options
+   * rather than text: the /discord route rebuilds the chat command
+   * (lib/discord-commands) and passes it as `commandText`.
+   * @private
+   * @static
+   * @param {Object} rawMessage - Interaction payload, plus commandText
+   * @returns {NormalizedMessage}
+   */
+  static _normalizeDiscord(rawMessage) {
+    const channelId = rawMessage.channel_id || rawMessage.channel?.id || null;
+
+    if (!channelId) {
+      return {
+        userId: null,
+        text: '',
+        mediaUrl: null,
+        mediaType: null,
+        platform: PLATFORMS.DISCORD,
+        raw: rawMessage
+      };
+    }
+
+    const { DiscordHandler } = require('../discord-handler');
+    const user = rawMessage.member?.user || rawMessage.user || {};
+
+    MessagingPlatform.setUserPlatform(String(channelId), PLATFORMS.DISCORD);
+
+    return {
+      userId: String(channelId),
+      text: String(rawMessage.commandText || '').trim(),
+      mediaUrl: null,
+      mediaType: null,
+      platform: PLATFORMS.DISCORD,
+      raw: rawMessage,
+      // Compatibility fields
+      fromNumber: DiscordHandler.formatRecipient(channelId, rawMessage.id || null),
+      numMedia: 0,
+      // Discord-specific extras
+      discordUserId: user.id || null,
+      username: user.username || null,
+      guildId: rawMessage.guild_id || null,
+      interactionId: rawMessage.id || null,
+      commandName: rawMessage.data?.name || null
+    };
+  }
+
+  /**
+   * Normalize an email (email-handler parseMessage result)
+   * The sender's address is the user ID and the recipient. The text is what
+   * the sender wrote above any quoted history, or the subject for an empty
+   * body. Every saved attachment is listed; the first is also the media.
+   * @private
+   * @static
+   * @param {Object} rawMessage - Parsed email ({ from, subject, text, attachments })
+   * @returns {NormalizedMessage}
+   */
+  static _normalizeEmail(rawMessage) {
+    const { EmailHandler } = require('../email-handler');
+    const address = EmailHandler.normalizeAddress(rawMessage.from?.address || rawMessage.from);
+
+    if (!address) {
+      return {
+        userId: null,
+        text: '',
+        mediaUrl: null,
+        mediaType: null,
+        platform: PLATFORMS.EMAIL,
+        raw: rawMessage
+      };
+    }
+
+    const attachments = rawMessage.attachments || [];
+
+    MessagingPlatform.setUserPlatform(address, PLATFORMS.EMAIL);
+
+    return {
+      userId: address,
+      text: EmailHandler.toMessageText(rawMessage.subject, rawMessage.text),
+      mediaUrl: attachments[0]?.url || null,
+      mediaType: attachments[0]?.contentType || null,
+      platform: PLATFORMS.EMAIL,
+      raw: rawMessage,
+      // Compatibility fields
+      fromNumber: address,
+      numMedia: attachments.length,
+      // Email-specific extras
+      senderName: rawMessage.from?.name || null,
+      subject: rawMessage.subject || '',
+      messageId: rawMessage.messageId || null,
+      attachments,
+      isAutomated: !!rawMessage.automated
+    };
+  }
+
   /**
    * Send message via appropriate platform
    * Routes to the correct handler based on platform
@@ -288,7 +555,7 @@ class MessagingPlatform {
    * @param {string} userId - User ID (without platform prefix)
    * @param {string} text - Message text
    * @param {Object} options - Platform-specific options
-   * @param {Object} options.handlers - Object containing sendWhatsApp and sendTelegram functions
+   * @param {Object} options.handlers - Object containing sendWhatsApp, sendTelegram (and sendSlack/sendDiscord/sendEmail) functions
    * @param {Object} [options.replyMarkup] - Telegram reply markup (keyboards, buttons)
    * @param {string} [options.parseMode] - Telegram parse mode (Markdown, HTML)
    * @returns {Promise<Object>} Send result
@@ -318,6 +585,24 @@ class MessagingPlatform {
         }
         return handlers.sendTelegram(userId, truncatedText, platformOptions);
 
+      case PLATFORMS.SLACK:
+        if (!handlers.sendSlack) {
+          throw new Error('sendSlack handler not provided');
+        }
+        return handlers.sendSlack(userId, truncatedText, platformOptions);
+
+      case PLATFORMS.DISCORD:
+        if (!handlers.sendDiscord) {
+          throw new Error('sendDiscord handler not provided');
+        }
+        return handlers.sendDiscord(userId, truncatedText, platformOptions);
+
+      case PLATFORMS.EMAIL:
+        if (!handlers.sendEmail) {
+          throw new Error('sendEmail handler not provided');
+        }
+        return handlers.sendEmail(userId, truncatedText, platformOptions);
+
       default:
         throw new Error(`Unknown platform: ${platform}`);
     }
@@ -367,6 +652,18 @@ class MessagingPlatform {
         // Telegram uses numeric chat IDs directly
         return platformUserId.toString();
 
+      case PLATFORMS.SLACK:
+        // Handle "slack:C0123ABCD" and "C0123ABCD:threadTs" formats
+        return platformUserId.toString().replace(/^slack:/, '').split(':')[0];
+
+      case PLATFORMS.DISCORD:
+        // Handle "discord:123..." and "123...:interactionId" formats
+        return platformUserId.toString().replace(/^discord:/, '').split(':')[0];
+
+      case PLATFORMS.EMAIL:
+        // Handle "email:a@b.com" and "Name <a@b.com>" formats
+        return platformUserId.toString().replace(/^email:/, '').replace(/^.*<([^>]+)>.*$/, '$1').trim().toLowerCase();
+
       default:
         return platformUserId;
     }
@@ -392,6 +689,18 @@ class MessagingPlatform {
         // Telegram uses numeric IDs directly
         return userId.toString();
 
+      case PLATFORMS.SLACK:
+        // Slack channel IDs are used as-is
+        return userId.toString().replace(/^slack:/, '');
+
+      case PLATFORMS.DISCORD:
+        // Discord channel IDs (snowflakes) are used as-is
+        return userId.toString().replace(/^discord:/, '');
+
+      case PLATFORMS.EMAIL:
+        // Addresses are used as-is (lowercase)
+        return userId.toString().replace(/^email:/, '').toLowerCase();
+
       default:
         return userId;
     }
@@ -410,6 +719,21 @@ class MessagingPlatform {
       return PLATFORMS.WHATSAPP;
     }
 
+    // Email addresses
+    if (platformUserId.startsWith('email:') || PLATFORM_CONFIG[PLATFORMS.EMAIL].userIdPattern.test(platformUserId)) {
+      return PLATFORMS.EMAIL;
+    }
+
+    // Slack channel IDs (C/G channels, D DMs), optionally with a thread
+    if (platformUserId.startsWith('slack:') || /^[CDG][A-Z0-9]{8,}(:\d+\.\d+)?$/.test(platformUserId)) {
+      return PLATFORMS.SLACK;
+    }
+
+    // Discord snowflakes answering an interaction ("channelId:interactionId")
+    if (platformUserId.startsWith('discord:') || /^\d{17,20}:\d{17,20}$/.test(platformUserId)) {
+      return PLATFORMS.DISCORD;
+    }
+
     // Check if it looks like a Telegram chat ID (numeric, possibly negative for groups)
     if (/^-?\d+$/.test(platformUserId)) {
       // Could be Telegram, but need to check mapping
@@ -476,7 +800,10 @@ class MessagingPlatform {
   static getUserCountByPlatform() {
     const counts = {
       [PLATFORMS.WHATSAPP]: 0,
-      [PLATFORMS.TELEGRAM]: 0
+      [PLATFORMS.TELEGRAM]: 0,
+      [PLATFORMS.SLACK]: 0,
+      [PLATFORMS.DISCORD]: 0,
+      [PLATFORMS.EMAIL]: 0
     };
     for (const platform of userPlatformMap.values()) {
       if (counts[platform] !== undefined) {
@@ -529,21 +856,7 @@ class MessagingPlatform {
         break;
       }
 
-      // Try to split at a natural break point (newline, space)
-      let splitIndex = maxLength;
-
-      // Look for newline within last 20% of max length
-      const newlineIndex = remaining.lastIndexOf('\n', maxLength);
-      if (newlineIndex > maxLength * 0.8) {
-        splitIndex = newlineIndex + 1;
-      } else {
-        // Look for space
-        const spaceIndex = remaining.lastIndexOf(' ', maxLength);
-        if (spaceIndex > maxLength * 0.8) {
-          splitIndex = spaceIndex + 1;
-        }
-      }
-
+      const splitIndex = MessagingPlatform.findSplitIndex(remaining, maxLength);
       parts.push(remaining.substring(0, splitIndex).trim());
       remaining = remaining.substring(splitIndex);
     }
@@ -551,6 +864,30 @@ class MessagingPlatform {
     return parts;
   }
 
+  /**
+   * Find where to split text that exceeds maxLength
+   * Prefers a newline, then a space, within the last 20% of maxLength
+   * @static
+   * @param {string} text - Message text
+   * @param {number} maxLength - Maximum length of the first part
+   * @returns {number} Index to split at
+   */
+  static findSplitIndex(text, maxLength) {
+    // Look for newline within last 20% of max length
+    const newlineIndex = text.lastIndexOf('\n', maxLength);
+    if (newlineIndex > maxLength * 0.8) {
+      return newlineIndex + 1;
+    }
+
+    // Look for space
+    const spaceIndex = text.lastIndexOf(' ', maxLength);
+    if (spaceIndex > maxLength * 0.8) {
+      return spaceIndex + 1;
+    }
+
+    return maxLength;
+  }
+
   /**
    * Check if media type is supported on platform
    * @static
@@ -574,6 +911,21 @@ class MessagingPlatform {
   static formatTextForPlatform(platform, text) {
     const config = PLATFORM_CONFIG[platform];
 
+    if (platform === PLATFORMS.SLACK) {
+      const { SlackHandler } = require('../slack-handler');
+      return SlackHandler.toMrkdwn(text);
+    }
+
+    if (platform === PLATFORMS.DISCORD) {
+      const { DiscordHandler } = require('../discord-handler');
+      return DiscordHandler.toDiscordMarkdown(text);
+    }
+
+    if (platform === PLATFORMS.EMAIL) {
+      const { EmailHandler } = require('../email-handler');
+      return EmailHandler.toPlainText(text);
+    }
+
     if (!config || !config.supportsMarkdown) {
       // Strip markdown for platforms that don't support it (WhatsApp)
       return text
@@ -704,7 +1056,7 @@ class MessagingPlatform {
   /**
    * Send a message to the appropriate platform (instance method)
    * @param {string} message - The message to send
-   * @param {string} platform - 'whatsapp' or 'telegram'
+   * @param {string} platform - 'whatsapp', 'telegram', 'slack', 'discord' or 'email'
    * @param {string} recipient - Platform-specific recipient ID
    * @returns {Promise<boolean>} - Success status
    */
@@ -714,11 +1066,110 @@ class MessagingPlatform {
 
     if (platform === PLATFORMS.TELEGRAM) {
       return this.sendTelegramMessage(truncatedMessage, recipient);
+    } else if (platform === PLATFORMS.SLACK) {
+      return this.sendSlackMessage(truncatedMessage, recipient);
+    } else if (platform === PLATFORMS.DISCORD) {
+      return this.sendDiscordMessage(truncatedMessage, recipient);
+    } else if (platform === PLATFORMS.EMAIL) {
+      return this.sendEmailMessage(truncatedMessage, recipient);
     } else {
       return this.sendWhatsAppMessage(truncatedMessage, recipient);
     }
   }
 
+  /**
+   * Send a message with inline buttons (Telegram), Block Kit buttons (Slack)
+   * or message components (Discord). Other platforms get the text only, so it
+   * should say how to do the same by typing a command.
+   * @param {string} message - Message text
+   * @param {string} platform - 'whatsapp', 'telegram', 'slack' or 'discord'
+   * @param {string} recipient - Platform-specific recipient ID
+   * @param {Array} buttons - Inline keyboard rows (see lib/action-buttons)
+   * @param {Object} [options]
+   * @param {Object} [options.embed] - Confirmation card (confirmation-manager) - Discord shows it as an embed
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendWithButtons(message, platform, recipient, buttons, options = {}) {
+    const hasButtons = Array.isArray(buttons) && buttons.length > 0;
+
+    if (platform === PLATFORMS.DISCORD && this.discordHandler && (hasButtons || options.embed)) {
+      try {
+        const text = options.embed ? message : this.truncateForPlatform(message, platform);
+        const result = await this.discordHandler.sendMessageWithButtons(recipient, text, buttons || [], { embed: options.embed });
+        return !!result;
+      } catch (error) {
+        console.error('[Discord] Send with buttons error:', error.message);
+        return false;
+      }
+    }
+
+    if (platform === PLATFORMS.SLACK && this.slackHandler && hasButtons) {
+      try {
+        const result = await this.slackHandler.sendMessageWithButtons(recipient, this.truncateForPlatform(message, platform), buttons);
+        return !!result;
+      } catch (error) {
+        console.error('[Slack] Send with buttons error:', error.message);
+        return false;
+      }
+    }
+
+    if (platform !== PLATFORMS.TELEGRAM || !this.telegramHandler || !hasButtons) {
+      return this.sendToRecipient(message, platform, recipient);
+    }
+
+    try {
+      const result = await this.telegramHandler.sendMessageWithButtons(recipient, this.truncateForPlatform(message, platform), buttons);
+      return !!result;
+    } catch (error) {
+      console.error('[Telegram] Send with buttons error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send a message with files attached. Telegram sends each file as a
+   * document after the text, email attaches them. Other platforms can't take
+   * files from the bot, so they get the text with the file names listed.
+   * @param {string} message - Message text
+   * @param {string} platform - 'whatsapp', 'telegram', 'slack', 'discord' or 'email'
+   * @param {string} recipient - Platform-specific recipient ID
+   * @param {Array<{filename: string, content: Buffer}>} documents - Files (see lib/expense-export)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendDocuments(message, platform, recipient, documents) {
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return this.sendToRecipient(message, platform, recipient);
+    }
+
+    if (platform === PLATFORMS.TELEGRAM && this.telegramHandler) {
+      const sent = await this.sendTelegramMessage(this.truncateForPlatform(message, platform), recipient);
+      let allSent = sent;
+      for (const doc of documents) {
+        const result = await this.telegramHandler.sendMediaMessage(recipient, { source: doc.content, filename: doc.filename }, 'document');
+        allSent = allSent && !!result;
+      }
+      return allSent;
+    }
+
+    if (platform === PLATFORMS.EMAIL && this.emailHandler) {
+      try {
+        const attachments = documents.map(doc => ({ filename: doc.filename, content: doc.content }));
+        const result = await this.emailHandler.sendMessage(recipient, message, { attachments });
+        return !!result;
+      } catch (error) {
+        console.error('[Email] Send with attachments error:', error.message);
+        return false;
+      }
+    }
+
+    const names = documents.map(doc => `• ${doc.filename}`).join('\n');
+    return this.sendToRecipient(
+      `${message}\n\n_Files can't be sent on ${MessagingPlatform.getPlatformName(platform)}. Ask on Telegram or email for:_\n${names}`,
+      platform,
+      recipient
+    );
+  }
+
   /**
    * Send a WhatsApp message via Twilio (instance method)
    * @param {string} message - Message text
@@ -777,10 +1228,92 @@ class MessagingPlatform {
     }
   }
 
+  /**
+   * Send a Slack message (instance method)
+   * @param {string} message - Message text
+   * @param {string} recipient - Channel ID, or "channel:threadTs" to reply in a thread
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendSlackMessage(message, recipient) {
+    if (!this.slackHandler) {
+      console.log('[Mock] Would send Slack:', message.substring(0, 50) + '...');
+      return false;
+    }
+
+    try {
+      const result = await this.slackHandler.sendMessage(recipient, message);
+      return !!result;
+    } catch (error) {
+      console.error('[Slack] Send error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send a Discord message (instance method)
+   * @param {string} message - Message text
+   * @param {string} recipient - Channel ID, or "channel:interactionId" to answer a slash command
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendDiscordMessage(message, recipient) {
+    if (!this.discordHandler) {
+      console.log('[Mock] Would send Discord:', message.substring(0, 50) + '...');
+      return false;
+    }
+
+    try {
+      const result = await this.discordHandler.sendMessage(recipient, message);
+      return !!result;
+    } catch (error) {
+      console.error('[Discord] Send error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send an email (instance method)
+   * @param {string} message - Message text
+   * @param {string} recipient - Email address (replies thread onto its last email)
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendEmailMessage(message, recipient) {
+    if (!this.emailHandler) {
+      console.log('[Mock] Would send Email:', message.substring(0, 50) + '...');
+      return false;
+    }
+
+    try {
+      const result = await this.emailHandler.sendMessage(recipient, message);
+      return !!result;
+    } catch (error) {
+      console.error('[Email] Send error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check if AI replies should be streamed (disable with AI_STREAMING=false)
+   * @returns {boolean}
+   */
+  isStreamingEnabled() {
+    return process.env.AI_STREAMING !== 'false';
+  }
+
+  /**
+   * Create a progressive reply for streamed text (instance method)
+   * @param {string} platform - 'whatsapp', 'telegram', 'slack', 'discord' or 'email'
+   * @param {string} recipient - Platform-specific recipient ID
+   * @param {Object} [options] - Overrides for the platform's streaming config
+   * @returns {StreamingReply}
+   */
+  createStreamingReply(platform, recipient, options = {}) {
+    return new StreamingReply(this, platform, recipient, options);
+  }
+
   /**
    * Normalize incoming message format across platforms (instance method)
    * @param {Object} rawMessage - Platform-specific message object
-   * @param {string} platform - 'whatsapp' or 'telegram'
+   * @param {string} platform - 'whatsapp', 'telegram', 'slack', 'discord' or 'email'
    * @returns {NormalizedMessage} - Normalized message object
    */
   normalizeMessage(rawMessage, platform) {
@@ -788,12 +1321,242 @@ class MessagingPlatform {
   }
 }
 
+/**
+ * Progressive reply for streamed AI text
+ *
+ * Feed it text with push() as it arrives and end with finish(). On Telegram
+ * one message is sent and then edited in place, at most once per edit
+ * interval; past the length limit the message is closed and a new one
+ * started. Platforms without edits (WhatsApp, Slack, Discord) get the text in chunks at
+ * paragraph breaks; email gets it in one piece when the stream finishes. Intermediate Telegram edits are plain text because
+ * half-written Markdown may not parse; the final edit uses Markdown.
+ */
+class StreamingReply {
+  /**
+   * @param {MessagingPlatform} messenger - Instance with the platform clients
+   * @param {string} platform - Platform identifier
+   * @param {string} recipient - Platform-specific recipient ID
+   * @param {Object} [options] - Overrides for PLATFORM_CONFIG[platform].streaming
+   */
+  constructor(messenger, platform, recipient, options = {}) {
+    const config = PLATFORM_CONFIG[platform] || PLATFORM_CONFIG[PLATFORMS.WHATSAPP];
+    const streaming = { ...config.streaming, ...options };
+    const isGroup = String(recipient).startsWith('-');
+
+    this.messenger = messenger;
+    this.platform = platform;
+    this.recipient = recipient;
+    this.editable = config.supportsEdits && !!messenger.telegramHandler;
+    this.partLength = streaming.partLength || config.maxLength;
+    this.chunkChars = streaming.chunkChars || this.partLength;
+    this.minInitialChars = streaming.minInitialChars || 0;
+    this.editIntervalMs = (isGroup ? streaming.groupEditIntervalMs : streaming.editIntervalMs) || 0;
+
+    this.text = '';        // Everything streamed so far
+    this.committed = 0;    // Length of text already in closed messages/sent chunks
+    this.messageId = null; // Telegram message being edited
+    this.shown = '';       // What that message currently shows
+    this.shownMarkdown = false;
+    this.lastEditAt = 0;
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.finished = false;
+  }
+
+  /**
+   * Whether anything has been sent yet
+   * @returns {boolean}
+   */
+  get started() {
+    return this.messageId !== null || this.committed > 0;
+  }
+
+  /**
+   * Append streamed text
+   * @param {string} chunk - Text delta
+   */
+  push(chunk) {
+    if (this.finished || !chunk) return;
+    this.text += chunk;
+
+    if (this.editable) {
+      this._scheduleEdit();
+    } else {
+      this._enqueue(() => this._flushChunks(false));
+    }
+  }
+
+  /**
+   * Drop text that hasn't been sent in a closed message/chunk
+   * (the router is retrying with another provider)
+   */
+  reset() {
+    this.text = this.text.slice(0, this.committed);
+  }
+
+  /**
+   * Send whatever is left and finalize the reply
+   * @param {string} [finalText] - Authoritative full reply (e.g. trimmed, or a
+   *   refusal/error that replaced the stream); defaults to the streamed text
+   * @returns {Promise<void>}
+   */
+  async finish(finalText = null) {
+    if (this.finished) return;
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.queue;
+
+    if (finalText !== null && finalText !== undefined && finalText !== this.text) {
+      // Keep what's already in closed messages, replace the rest
+      const done = this.text.slice(0, this.committed);
+      const trimmedDone = done.trim();
+      const rest = trimmedDone && finalText.trim().startsWith(trimmedDone)
+        ? finalText.trim().slice(trimmedDone.length)
+        : finalText;
+      this.text = done + rest;
+    }
+
+    await this._enqueue(() => this.editable ? this._renderTelegram(true) : this._flushChunks(true));
+  }
+
+  /**
+   * Run sends/edits one at a time, in order
+   * @private
+   */
+  _enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      console.error(`[StreamingReply] ${this.platform} send error:`, error.message);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Schedule a Telegram edit, respecting the edit interval
+   * @private
+   */
+  _scheduleEdit() {
+    if (this.timer || this.finished) return;
+    if (this.messageId === null && this.text.trim().length < this.minInitialChars) return;
+
+    const wait = this.messageId === null ? 0 : Math.max(0, this.lastEditAt + this.editIntervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._enqueue(() => this._renderTelegram(false));
+    }, wait);
+  }
+
+  /**
+   * Show the streamed text on Telegram, closing messages that hit the limit
+   * @private
+   * @param {boolean} final - Last render (Markdown, no throttling)
+   */
+  async _renderTelegram(final) {
+    if (!final && this.finished) return;
+    if (!final && this.messageId !== null && Date.now() - this.lastEditAt < this.editIntervalMs) {
+      this._scheduleEdit();
+      return;
+    }
+
+    let pending = this.text.slice(this.committed);
+    while (pending.length > this.partLength) {
+      const cut = MessagingPlatform.findSplitIndex(pending, this.partLength);
+      await this._showTelegram(pending.slice(0, cut).trim(), true);
+      if (!this.editable) {
+        return this._flushChunks(final);
+      }
+      this.committed += cut;
+      this.messageId = null;
+      this.shown = '';
+      pending = this.text.slice(this.committed);
+    }
+
+    await this._showTelegram(pending.trim(), final);
+  }
+
+  /**
+   * Send or edit the current Telegram message
+   * @private
+   */
+  async _showTelegram(text, markdown) {
+    if (!text || (text === this.shown && markdown === this.shownMarkdown)) return;
+    const telegram = this.messenger.telegramHandler;
+
+    if (this.messageId !== null) {
+      await telegram.editMessage(this.recipient, this.messageId, text, undefined, { plain: !markdown });
+    } else {
+      const result = await telegram.sendMessage(this.recipient, text, markdown ? {} : { parse_mode: undefined });
+      if (result && result.message_id) {
+        this.messageId = result.message_id;
+      } else {
+        // Can't edit without a message id - send the rest in chunks
+        this.editable = false;
+        this.committed = this.text.indexOf(text, this.committed) + text.length;
+      }
+    }
+
+    this.shown = text;
+    this.shownMarkdown = markdown;
+    this.lastEditAt = Date.now();
+  }
+
+  /**
+   * Send complete chunks (paragraph breaks, or the length limit)
+   * @private
+   * @param {boolean} final - Send everything that's left
+   */
+  async _flushChunks(final) {
+    let pending = this.text.slice(this.committed);
+
+    while (pending.trim()) {
+      let cut;
+      if (pending.length > this.partLength) {
+        cut = MessagingPlatform.findSplitIndex(pending, this.partLength);
+      } else if (final) {
+        cut = pending.length;
+      } else if (pending.length >= this.chunkChars && pending.lastIndexOf('\n\n') > 0) {
+        cut = pending.lastIndexOf('\n\n') + 2;
+      } else {
+        break;
+      }
+
+      const part = pending.slice(0, cut).trim();
+      this.committed += cut;
+      if (part) {
+        await this._sendPart(part);
+      }
+      pending = this.text.slice(this.committed);
+    }
+  }
+
+  /**
+   * Send one chunk as its own message
+   * @private
+   */
+  async _sendPart(text) {
+    if (this.platform === PLATFORMS.TELEGRAM) {
+      return this.messenger.sendTelegramMessage(text, this.recipient);
+    }
+    if (this.platform === PLATFORMS.SLACK) {
+      return this.messenger.sendSlackMessage(text, this.recipient);
+    }
+    if (this.platform === PLATFORMS.DISCORD) {
+      return this.messenger.sendDiscordMessage(text, this.recipient);
+    }
+    if (this.platform === PLATFORMS.EMAIL) {
+      return this.messenger.sendEmailMessage(text, this.recipient);
+    }
+    return this.messenger.sendWhatsAppMessage(text, this.recipient);
+  }
+}
+
 // Create singleton instance for backward compatibility
 const messagingPlatform = new MessagingPlatform();
 
 // Export both the class and the singleton instance
 module.exports = messagingPlatform;
 module.exports.MessagingPlatform = MessagingPlatform;
+module.exports.StreamingReply = StreamingReply;
 module.exports.PLATFORMS = PLATFORMS;
 module.exports.PLATFORM_CONFIG = PLATFORM_CONFIG;
 module.exports.DEFAULT_PLATFORM = DEFAULT_PLATFORM;
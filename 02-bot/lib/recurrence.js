@@ -0,0 +1,389 @@
+/**
+ * Recurrence - Natural-language schedules to cron expressions
+ *
+ * Understands the ways people say how often something should happen:
+ *
+ *   every day at 9am / daily 18:30 / every morning
+ *   every weekday 9am / weekends at 10
+ *   every monday and thursday at 2pm / fridays 17:00
+ *   every 15 minutes / every 2 hours / hourly
+ *   every month on the 1st at 9am / on the 15th of every month / first of the month
+ *   0 9 * * 1-5            (a cron expression is used as is)
+ *
+ * Times are wall-clock times; the cron expression is run in the user's
+ * timezone by the scheduler (lib/user-timezone), so "9am" stays 9am across
+ * daylight saving changes.
+ *
+ * cronTimes() and nextCronTime() go the other way, listing the times a cron
+ * expression fires in a timezone (the scheduler uses them to find runs missed
+ * while the bot was down).
+ *
+ * @module lib/recurrence
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+
+const DAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Days of the month written as words ("first of the month")
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7,
+  eighth: 8, ninth: 9, tenth: 10, fifteenth: 15, twentieth: 20
+};
+const ORDINAL_PATTERN = new RegExp(`\\b(${Object.keys(ORDINAL_WORDS).join('|')})\\b`, 'g');
+
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Parts of the day and the time they stand for
+const DAY_PARTS = {
+  morning: { hour: 8, minute: 0 },
+  noon: { hour: 12, minute: 0 },
+  midday: { hour: 12, minute: 0 },
+  lunchtime: { hour: 12, minute: 0 },
+  afternoon: { hour: 14, minute: 0 },
+  evening: { hour: 18, minute: 0 },
+  night: { hour: 22, minute: 0 },
+  midnight: { hour: 0, minute: 0 }
+};
+
+const DEFAULT_TIME = { hour: 9, minute: 0 };
+
+// Shortest interval allowed for "every N minutes"
+const MIN_INTERVAL_MINUTES = 5;
+
+const TIME_PATTERN = /\b(?:at\s+)?(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b|\b(?:at\s+)?(\d{1,2})[:.](\d{2})\b|\bat\s+(\d{1,2})\b/i;
+
+/**
+ * Find a clock time in text
+ * @param {string} text
+ * @returns {{hour: number, minute: number, style: string, index: number, rest: string}|null} Time,
+ *   how it was written ("meridiem" 5pm, "clock" 17:30, "hour" at 5), where it was and the
+ *   text without it
+ */
+function extractTime(text) {
+  const match = text.match(TIME_PATTERN);
+  if (!match) return null;
+
+  let hour;
+  let minute;
+  let style;
+  if (match[3]) {
+    style = 'meridiem';
+    hour = parseInt(match[1], 10);
+    minute = match[2] ? parseInt(match[2], 10) : 0;
+    if (hour < 1 || hour > 12) return null;
+    if (match[3].toLowerCase() === 'pm' && hour !== 12) hour += 12;
+    if (match[3].toLowerCase() === 'am' && hour === 12) hour = 0;
+  } else if (match[4] !== undefined) {
+    style = 'clock';
+    hour = parseInt(match[4], 10);
+    minute = parseInt(match[5], 10);
+  } else {
+    style = 'hour';
+    hour = parseInt(match[6], 10);
+    minute = 0;
+  }
+
+  if (hour > 23 || minute > 59) return null;
+
+  return {
+    hour,
+    minute,
+    style,
+    index: match.index,
+    rest: (text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length)).trim()
+  };
+}
+
+/**
+ * Format a time as HH:MM
+ */
+function formatTime({ hour, minute }) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Read a list of day names ("monday and thursday", "mon, wed, fri", "fridays")
+ * @returns {number[]|null} Sorted day numbers, or null if anything else is in the text
+ */
+function parseDayList(text) {
+  const words = text.split(/\s*(?:,|&|\band\b|\s)\s*/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const days = new Set();
+  for (const word of words) {
+    const day = DAYS[word] !== undefined ? DAYS[word] : DAYS[word.replace(/s$/, '')];
+    if (day === undefined) return null;
+    days.add(day);
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Convert a natural-language recurrence into a cron expression
+ * @param {string} text - e.g. "every weekday 9am"
+ * @returns {{cron: string, description: string}|null} null if not understood
+ */
+function parseRecurrence(text) {
+  const original = String(text || '').trim();
+  if (!original) return null;
+
+  // Cron expressions pass straight through
+  if (/^[\d*/,-]+(\s+[\d*/,\-a-z]+){4}$/i.test(original) && cron.validate(original)) {
+    return { cron: original, description: `cron "${original}"` };
+  }
+
+  let rest = original.toLowerCase().replace(/\s+/g, ' ');
+
+  // Intervals: every 15 minutes, every 2 hours, hourly
+  const interval = rest.match(/^(?:every|each)\s+(\d+)\s*(minutes?|mins?|hours?|hrs?)$/);
+  if (interval) {
+    const amount = parseInt(interval[1], 10);
+    if (/^m/.test(interval[2])) {
+      if (amount < MIN_INTERVAL_MINUTES || amount >= 60) return null;
+      return { cron: `*/${amount} * * * *`, description: `every ${amount} minutes` };
+    }
+    if (amount < 1 || amount > 23) return null;
+    return amount === 1
+      ? { cron: '0 * * * *', description: 'every hour' }
+      : { cron: `0 */${amount} * * *`, description: `every ${amount} hours` };
+  }
+  if (/^(?:every|each) hour$|^hourly$/.test(rest)) {
+    return { cron: '0 * * * *', description: 'every hour' };
+  }
+
+  // Time of day. With a clock time, a part of the day only counts before it
+  // ("every weekday morning at 8:30"), so words after the time are left over
+  let time = null;
+  let partFound = false;
+  let partsEnd = rest.length;
+  const clock = extractTime(rest);
+  if (clock) {
+    time = { hour: clock.hour, minute: clock.minute };
+    rest = clock.rest;
+    partsEnd = clock.index;
+  }
+  for (const [part, partTime] of Object.entries(DAY_PARTS)) {
+    const partPattern = new RegExp(`\\b(?:in the |at )?${part}s?\\b`);
+    const match = rest.match(partPattern);
+    if (match && match.index < partsEnd) {
+      if (!time) time = partTime;
+      partFound = true;
+      rest = (rest.slice(0, match.index) + ' ' + rest.slice(match.index + match[0].length)).trim();
+      break;
+    }
+  }
+  time = time || DEFAULT_TIME;
+  const at = formatTime(time);
+
+  rest = rest
+    .replace(/\b(?:every|each|on|at|the)\b/g, ' ')
+    .replace(ORDINAL_PATTERN, word => ORDINAL_WORDS[word])
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Monthly: "month on the 1st", "15th of month", "monthly"
+  const monthly = rest.match(/^(?:month|monthly)(?: (\d{1,2})(?:st|nd|rd|th)?)?$/) ||
+    rest.match(/^(\d{1,2})(?:st|nd|rd|th)? (?:of )?(?:month|monthly)$/);
+  if (monthly) {
+    const day = monthly[1] ? parseInt(monthly[1], 10) : 1;
+    if (day < 1 || day > 28) return null; // Every month has days 1-28
+    return {
+      cron: `${time.minute} ${time.hour} ${day} * *`,
+      description: `every month on the ${ordinal(day)} at ${at}`
+    };
+  }
+
+  // Daily ("every" on its own doesn't say when)
+  if ((rest === '' && (clock || partFound)) || /^(?:day|days|daily)$/.test(rest)) {
+    return { cron: `${time.minute} ${time.hour} * * *`, description: `every day at ${at}` };
+  }
+
+  // Weekdays / weekends
+  if (/^(?:weekday|weekdays|work ?days?)$/.test(rest)) {
+    return { cron: `${time.minute} ${time.hour} * * 1-5`, description: `every weekday at ${at}` };
+  }
+  if (/^(?:weekend|weekends)$/.test(rest)) {
+    return { cron: `${time.minute} ${time.hour} * * 0,6`, description: `every weekend at ${at}` };
+  }
+
+  // Named days
+  const days = parseDayList(rest);
+  if (days) {
+    const names = days.map(d => DAY_LABELS[d]);
+    const label = names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+    return { cron: `${time.minute} ${time.hour} * * ${days.join(',')}`, description: `every ${label} at ${at}` };
+  }
+
+  return null;
+}
+
+/**
+ * Split "<recurrence> <rest>" when the recurrence isn't quoted
+ * Takes the longest leading run of words that parses as a recurrence.
+ * @param {string} text - e.g. "every weekday 9am morning brief"
+ * @returns {{cron: string, description: string, recurrence: string, rest: string}|null}
+ */
+function splitRecurrence(text) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+
+  for (let n = words.length - 1; n >= 1; n--) {
+    const recurrence = words.slice(0, n).join(' ');
+    const parsed = parseRecurrence(recurrence);
+    if (parsed) {
+      return { ...parsed, recurrence, rest: words.slice(n).join(' ') };
+    }
+  }
+  return null;
+}
+
+/**
+ * Expand one cron field (a star, "1-5", "mon,wed", "0-30/10" ...) to its values
+ * @private
+ */
+function expandField(field, min, max, names = {}) {
+  const values = new Set();
+
+  for (const part of field.toLowerCase().split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    const toNumber = (value) => (names[value.slice(0, 3)] !== undefined ? names[value.slice(0, 3)] : parseInt(value, 10));
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = toNumber(from);
+      end = to !== undefined ? toNumber(to) : (stepText ? max : start);
+    }
+    if (isNaN(start) || isNaN(end) || !(step > 0)) {
+      throw new Error(`Invalid cron field: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Break a cron expression into the values each field allows
+ * Like node-cron, day of month and day of week must both match, and a
+ * leading seconds field is ignored (jobs fire on the minute).
+ * @private
+ */
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length === 6) fields.shift();
+  if (fields.length !== 5 || !cron.validate(expression)) {
+    throw new Error(`Invalid cron expression: ${expression}`);
+  }
+
+  const weekdays = expandField(fields[4], 0, 7, DAYS);
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes: [...expandField(fields[0], 0, 59)].sort((a, b) => a - b),
+    hours: [...expandField(fields[1], 0, 23)].sort((a, b) => a - b),
+    days: expandField(fields[2], 1, 31),
+    months: expandField(fields[3], 1, 12, MONTHS),
+    weekdays
+  };
+}
+
+/**
+ * Times a cron expression fires between two instants
+ * @param {string} expression - Cron expression
+ * @param {Object} options
+ * @param {string} [options.timezone='Europe/London'] - IANA timezone the cron runs in
+ * @param {Date|number} options.after - Only times after this
+ * @param {Date|number} options.before - Only times before this
+ * @param {number} [options.limit=1000] - Most times to return (the earliest)
+ * @returns {Date[]} Fire times, oldest first
+ */
+function cronTimes(expression, { timezone = 'Europe/London', after, before, limit = 1000 }) {
+  const fields = parseCron(expression);
+  const start = new Date(after).getTime();
+  const end = new Date(before).getTime();
+  const times = [];
+
+  const day = moment.tz(start, timezone).startOf('day');
+  while (day.valueOf() < end && times.length < limit) {
+    if (fields.months.has(day.month() + 1) && fields.days.has(day.date()) && fields.weekdays.has(day.day())) {
+      for (const hour of fields.hours) {
+        for (const minute of fields.minutes) {
+          const time = day.clone().hour(hour).minute(minute);
+          // Skip wall-clock times that don't exist (clocks going forward)
+          if (time.hour() !== hour) continue;
+          const ms = time.valueOf();
+          if (ms > start && ms < end && times.length < limit) {
+            times.push(new Date(ms));
+          }
+        }
+      }
+    }
+    day.add(1, 'day');
+  }
+
+  return times;
+}
+
+/**
+ * Next time a cron expression fires
+ * @param {string} expression - Cron expression
+ * @param {string} [timezone='Europe/London'] - IANA timezone the cron runs in
+ * @param {Date|number} [after=now] - Start looking after this
+ * @returns {Date|null} null if it doesn't fire within a year
+ */
+function nextCronTime(expression, timezone = 'Europe/London', after = Date.now()) {
+  const from = new Date(after).getTime();
+  return cronTimes(expression, { timezone, after: from, before: from + 366 * 24 * 60 * 60 * 1000, limit: 1 })[0] || null;
+}
+
+/**
+ * Cron expression that fires at one wall-clock minute in a timezone
+ * The expression repeats a year later, so jobs using it are scheduled with
+ * the scheduler's "once" option.
+ * @param {Date|number} date - When to fire
+ * @param {string} [timezone='Europe/London'] - IANA timezone the cron runs in
+ * @returns {string} e.g. "30 9 24 10 *"
+ */
+function cronForDate(date, timezone = 'Europe/London') {
+  const time = moment.tz(new Date(date), timezone);
+  return `${time.minute()} ${time.hour()} ${time.date()} ${time.month() + 1} *`;
+}
+
+function ordinal(n) {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+module.exports = {
+  parseRecurrence,
+  splitRecurrence,
+  cronTimes,
+  nextCronTime,
+  cronForDate,
+  extractTime,
+  DAYS,
+  MONTHS,
+  DAY_PARTS,
+  MIN_INTERVAL_MINUTES
+};
@@ -0,0 +1,558 @@
+/**
+ * Semantic Index - Local embedding search over everything the bot remembers
+ *
+ * LIKE queries only find exact substrings, so "what did I say about the
+ * LusoTown payment gateway?" misses "switch LusoTown checkout to Stripe".
+ * This module embeds text into fixed-size vectors and ranks by cosine
+ * similarity instead.
+ *
+ * Embeddings are computed in pure JS - no model download, no network:
+ * - words are lower-cased, stop words dropped, suffixes stemmed
+ *   (payments → pay) and common synonyms folded together (checkout → pay)
+ * - stems, adjacent stem pairs and character trigrams are feature-hashed
+ *   into VECTOR_DIM signed buckets, then L2-normalised
+ *
+ * Indexed sources (each row remembers where it came from):
+ *   message  - memory-manager conversations
+ *   fact     - memory-manager facts (database.js facts use ref "db-<id>")
+ *   meeting  - meeting titles, summaries and transcripts
+ *   document - document analysis summaries
+ *
+ * Long texts are split into chunks of CHUNK_WORDS words. Vectors live in
+ * the semantic_index table of clawdbot.db (via database.js); if the
+ * embedder changes, init() re-embeds stale rows from their stored text.
+ *
+ * @module lib/semantic-index
+ */
+
+'use strict';
+
+const MODEL = 'hash-v1';
+const VECTOR_DIM = 512;
+const CHUNK_WORDS = 120;
+const MAX_CANDIDATES = 5000;
+const DEFAULT_K = 5;
+const DEFAULT_MIN_SCORE = 0.2;
+
+const SOURCES = ['message', 'fact', 'meeting', 'document'];
+
+// Feature weights: whole stems count most, trigrams only nudge near-misses
+const WEIGHT_STEM = 1;
+const WEIGHT_BIGRAM = 0.5;
+const WEIGHT_TRIGRAM = 0.25;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out',
+  'over', 'said', 'say', 'she', 'should', 'so', 'some', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'to', 'too', 'up', 'us', 'very', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would',
+  'you', 'your', 'tell', 'remind', 'remember', 'know', 'thing', 'things', 'yes', 'ok', 'okay',
+]);
+
+// Words that mean the same thing in this bot's world, folded to one stem
+const SYNONYM_GROUPS = [
+  ['pay', 'payment', 'checkout', 'billing', 'bill', 'charge', 'purchase'],
+  ['gateway', 'processor', 'provider', 'psp'],
+  ['cost', 'price', 'spend', 'expense', 'fee', 'budget'],
+  ['bug', 'error', 'issue', 'problem', 'crash', 'broken', 'fail', 'failure', 'exception'],
+  ['deploy', 'release', 'ship', 'launch', 'publish', 'rollout'],
+  ['meet', 'meeting', 'call', 'standup', 'sync'],
+  ['doc', 'document', 'file', 'pdf', 'attachment'],
+  ['repo', 'repository', 'project', 'codebase'],
+  ['server', 'host', 'hosting', 'ec2', 'vps', 'instance'],
+  ['db', 'database', 'sqlite', 'postgres', 'mysql'],
+  ['login', 'signin', 'auth', 'authentication', 'sso'],
+  ['customer', 'client', 'user'],
+  ['invoice', 'receipt'],
+  ['email', 'mail', 'inbox'],
+  ['plan', 'roadmap', 'strategy'],
+  ['fix', 'patch', 'repair', 'resolve'],
+  ['like', 'love', 'prefer', 'enjoy', 'favourite', 'favorite'],
+  ['job', 'work', 'employer', 'career'],
+  ['home', 'live', 'house', 'address'],
+];
+
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const word of group) {
+    SYNONYMS.set(word, group[0]);
+  }
+}
+
+let _db = null;
+let _initialized = false;
+
+function getDb() {
+  if (!_db) {
+    try {
+      _db = require('./database');
+    } catch (e) {
+      _db = false;
+    }
+  }
+  return _db && _db.getDb ? _db.getDb() : null;
+}
+
+/**
+ * Create the index table and refresh vectors from an older embedder
+ */
+function init() {
+  if (_initialized) return;
+
+  const db = getDb();
+  if (!db) {
+    _initialized = true;
+    return;
+  }
+
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS semantic_index (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        ref_id TEXT NOT NULL,
+        chunk INTEGER NOT NULL DEFAULT 0,
+        owner_id TEXT NOT NULL,
+        chat_id TEXT,
+        label TEXT,
+        text TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        model TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source, ref_id, chunk)
+      );
+      CREATE INDEX IF NOT EXISTS idx_semantic_index_owner ON semantic_index(owner_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_semantic_index_chat ON semantic_index(chat_id, created_at DESC);
+    `);
+
+    const stale = db.prepare('SELECT id, text FROM semantic_index WHERE model != ?').all(MODEL);
+    if (stale.length > 0) {
+      const update = db.prepare('UPDATE semantic_index SET vector = ?, model = ? WHERE id = ?');
+      db.transaction(rows => {
+        for (const row of rows) {
+          update.run(toBlob(embed(row.text)), MODEL, row.id);
+        }
+      })(stale);
+      console.log(`[SemanticIndex] Re-embedded ${stale.length} row(s) with ${MODEL}`);
+    }
+  } catch (err) {
+    console.error('[SemanticIndex] init error:', err.message);
+  }
+
+  _initialized = true;
+}
+
+// ── Embedding ────────────────────────────────────────────────────────
+
+/**
+ * Reduce a word to a rough stem (payments → pay, deployed → deploy)
+ * @param {string} word - Lower-case word
+ * @returns {string}
+ */
+function stem(word) {
+  if (SYNONYMS.has(word)) return SYNONYMS.get(word);
+
+  let w = word;
+  if (w.length > 4 && w.endsWith('ies')) w = w.slice(0, -3) + 'y';
+  else if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) w = w.slice(0, -1);
+
+  if (w.length > 5 && w.endsWith('ing')) w = undouble(w.slice(0, -3));
+  else if (w.length > 4 && w.endsWith('ed')) w = undouble(w.slice(0, -2));
+
+  if (w.length > 6 && w.endsWith('ment')) w = w.slice(0, -4);
+
+  return SYNONYMS.get(w) || w;
+}
+
+function undouble(w) {
+  return w.length > 2 && w[w.length - 1] === w[w.length - 2] && !/[lsz]/.test(w[w.length - 1])
+    ? w.slice(0, -1)
+    : w;
+}
+
+/**
+ * Split text into stems, dropping stop words
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// FNV-1a, 32 bit
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function addFeature(vector, feature, weight) {
+  const h = hash(feature);
+  // Top bit picks the sign so collisions tend to cancel out
+  vector[h % VECTOR_DIM] += (h & 0x80000000) ? -weight : weight;
+}
+
+/**
+ * Embed text as an L2-normalised vector
+ * @param {string} text
+ * @returns {Float32Array} VECTOR_DIM floats (all zero when nothing is left after stop words)
+ */
+function embed(text) {
+  const tokens = tokenize(text);
+  const features = new Map();
+  const bump = (feature, weight) => {
+    const entry = features.get(feature) || { weight, count: 0 };
+    entry.count++;
+    features.set(feature, entry);
+  };
+
+  tokens.forEach((token, i) => {
+    bump(`w:${token}`, WEIGHT_STEM);
+    if (i > 0) bump(`b:${tokens[i - 1]}_${token}`, WEIGHT_BIGRAM);
+
+    const padded = `^${token}$`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      bump(`t:${padded.slice(j, j + 3)}`, WEIGHT_TRIGRAM);
+    }
+  });
+
+  const vector = new Float32Array(VECTOR_DIM);
+  for (const [feature, { weight, count }] of features) {
+    // Sub-linear term frequency: repeating a word ten times isn't ten times as relevant
+    addFeature(vector, feature, weight * (1 + Math.log(count)));
+  }
+
+  let norm = 0;
+  for (let i = 0; i < VECTOR_DIM; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < VECTOR_DIM; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two normalised vectors
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number} -1..1
+ */
+function similarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+function toBlob(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+function fromBlob(blob) {
+  const copy = Buffer.from(blob);
+  return new Float32Array(copy.buffer, copy.byteOffset, copy.byteLength / 4);
+}
+
+/**
+ * Split long text into word-count chunks so one topic isn't drowned by the rest
+ * @param {string} text
+ * @returns {string[]}
+ */
+function chunkText(text) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length <= CHUNK_WORDS) return words.length > 0 ? [words.join(' ')] : [];
+
+  const chunks = [];
+  for (let i = 0; i < words.length; i += CHUNK_WORDS) {
+    chunks.push(words.slice(i, i + CHUNK_WORDS).join(' '));
+  }
+  return chunks;
+}
+
+// ── Index maintenance ────────────────────────────────────────────────
+
+/**
+ * Index (or re-index) one item. Replaces any rows already stored for it.
+ * @param {Object} item
+ * @param {string} item.source - One of SOURCES
+ * @param {string|number} item.refId - Row id in the source table
+ * @param {string} item.ownerId - User (or chat) the item belongs to
+ * @param {string} item.text - Text to embed
+ * @param {string} [item.chatId] - Chat the item came from
+ * @param {string} [item.label] - Role, category, title or filename
+ * @param {string} [item.createdAt] - Original timestamp (default now)
+ * @returns {number} Chunks stored
+ */
+function index({ source, refId, ownerId, text, chatId = null, label = null, createdAt = null }) {
+  init();
+  const db = getDb();
+  if (!db || !SOURCES.includes(source) || refId == null || !ownerId) return 0;
+
+  const chunks = chunkText(text).filter(chunk => tokenize(chunk).length > 0);
+
+  try {
+    const insert = db.prepare(`
+      INSERT INTO semantic_index (source, ref_id, chunk, owner_id, chat_id, label, text, vector, model, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `);
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM semantic_index WHERE source = ? AND ref_id = ?').run(source, String(refId));
+      chunks.forEach((chunk, i) => {
+        insert.run(source, String(refId), i, String(ownerId), chatId != null ? String(chatId) : null,
+          label, chunk, toBlob(embed(chunk)), MODEL, createdAt);
+      });
+    })();
+    return chunks.length;
+  } catch (err) {
+    console.error('[SemanticIndex] index error:', err.message);
+    return 0;
+  }
+}
+
+/**
+ * Remove an item from the index
+ * @param {string} source
+ * @param {string|number} refId
+ * @returns {number} Rows deleted
+ */
+function remove(source, refId) {
+  init();
+  const db = getDb();
+  if (!db) return 0;
+  try {
+    return db.prepare('DELETE FROM semantic_index WHERE source = ? AND ref_id = ?').run(source, String(refId)).changes;
+  } catch (err) {
+    console.error('[SemanticIndex] remove error:', err.message);
+    return 0;
+  }
+}
+
+/**
+ * Remove everything of one source owned by a user (e.g. after "clear memory")
+ * @param {string} source
+ * @param {string} ownerId
+ * @returns {number} Rows deleted
+ */
+function removeOwner(source, ownerId) {
+  init();
+  const db = getDb();
+  if (!db) return 0;
+  try {
+    return db.prepare('DELETE FROM semantic_index WHERE source = ? AND owner_id = ?').run(source, String(ownerId)).changes;
+  } catch (err) {
+    console.error('[SemanticIndex] removeOwner error:', err.message);
+    return 0;
+  }
+}
+
+/**
+ * Rebuild the index from the source tables
+ * @param {Object} [options]
+ * @param {Object} [options.memory] - MemoryManager instance (default: memory/memory-manager)
+ * @param {Object} [options.database] - database module (default: lib/database)
+ * @returns {{message: number, fact: number, meeting: number, document: number}} Items indexed per source
+ */
+function reindex(options = {}) {
+  init();
+  const db = getDb();
+  const counts = { message: 0, fact: 0, meeting: 0, document: 0 };
+  if (!db) return counts;
+
+  const memory = options.memory || require('../memory/memory-manager');
+  const database = options.database || require('./database');
+  const mainDb = database.getDb ? database.getDb() : null;
+
+  db.prepare('DELETE FROM semantic_index').run();
+
+  const add = (source, item) => {
+    if (index({ source, ...item }) > 0) counts[source]++;
+  };
+
+  db.transaction(() => {
+    if (memory && memory.db) {
+      for (const row of memory.db.prepare('SELECT id, user_id, role, content, created_at FROM conversations WHERE role != ?').all('system')) {
+        add('message', { refId: row.id, ownerId: row.user_id, text: row.content, label: row.role, createdAt: row.created_at });
+      }
+      for (const row of memory.db.prepare('SELECT id, user_id, category, fact, created_at FROM facts').all()) {
+        add('fact', { refId: row.id, ownerId: row.user_id, text: row.fact, label: row.category, createdAt: row.created_at });
+      }
+    }
+
+    if (mainDb) {
+      for (const row of mainDb.prepare('SELECT id, user_id, category, fact, created_at FROM facts').all()) {
+        add('fact', { refId: `db-${row.id}`, ownerId: row.user_id, text: row.fact, label: row.category, createdAt: row.created_at });
+      }
+      for (const row of mainDb.prepare('SELECT * FROM meetings').all()) {
+        add('meeting', { refId: row.id, ownerId: row.user_id, text: meetingText(row), label: row.title, createdAt: row.created_at });
+      }
+      for (const row of mainDb.prepare('SELECT * FROM document_analyses').all()) {
+        add('document', {
+          refId: row.id,
+          ownerId: row.user_id,
+          chatId: row.chat_id,
+          text: documentText(row),
+          label: row.filename,
+          createdAt: row.created_at
+        });
+      }
+    }
+  })();
+
+  return counts;
+}
+
+/**
+ * Text worth searching for a meeting row
+ * @param {Object} meeting - meetings row
+ * @returns {string}
+ */
+function meetingText(meeting) {
+  return [meeting.title, meeting.summary, meeting.action_items, meeting.transcript]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Text worth searching for a document_analyses row
+ * @param {Object} analysis - document_analyses row
+ * @returns {string}
+ */
+function documentText(analysis) {
+  return [analysis.filename, analysis.summary, analysis.extracted_data]
+    .filter(Boolean)
+    .join('\n');
+}
+
+// ── Search ───────────────────────────────────────────────────────────
+
+/**
+ * Find the items most similar to a question
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Whose facts, meetings and documents to search
+ * @param {string} [options.chatId] - Whose messages to search (default userId); documents posted here also match
+ * @param {number} [options.k=5] - Results to return
+ * @param {string[]} [options.sources] - Limit to these sources
+ * @param {number} [options.minScore=0.2] - Drop hits below this similarity
+ * @returns {Array<{source: string, refId: string, label: string|null, text: string, score: number, createdAt: string}>}
+ */
+function search(query, options = {}) {
+  init();
+  const db = getDb();
+  if (!db || !query) return [];
+
+  const {
+    userId = null,
+    chatId = null,
+    k = DEFAULT_K,
+    sources = SOURCES,
+    minScore = DEFAULT_MIN_SCORE
+  } = options;
+
+  // Messages are keyed by chat (as in memory-manager), so a group chat never
+  // surfaces what the user said in private; everything else is per user -
+  // the canonical ID when the user has linked accounts on other platforms.
+  const chatKey = chatId != null ? String(chatId) : userId != null ? String(userId) : null;
+  if (!chatKey) return [];
+  const ownerKey = userId != null ? String(userId) : chatKey;
+  const userKey = _db && _db.resolveUserId ? _db.resolveUserId(ownerKey) : ownerKey;
+
+  const queryVector = embed(query);
+  if (!queryVector.some(v => v !== 0)) return [];
+
+  const wanted = sources.filter(s => SOURCES.includes(s));
+  if (wanted.length === 0) return [];
+
+  let rows;
+  try {
+    const sourceMarks = wanted.map(() => '?').join(', ');
+    rows = db.prepare(`
+      SELECT source, ref_id, label, text, vector, created_at
+      FROM semantic_index
+      WHERE ((source = 'message' AND owner_id = ?)
+          OR (source != 'message' AND (owner_id = ? OR chat_id = ?)))
+        AND source IN (${sourceMarks})
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(chatKey, userKey, chatKey, ...wanted, MAX_CANDIDATES);
+  } catch (err) {
+    console.error('[SemanticIndex] search error:', err.message);
+    return [];
+  }
+
+  const best = new Map();
+
+  for (const row of rows) {
+    const score = similarity(queryVector, fromBlob(row.vector));
+    if (score < minScore) continue;
+
+    // One hit per item - keep its best-matching chunk
+    const key = `${row.source}:${row.ref_id}`;
+    if (!best.has(key) || best.get(key).score < score) {
+      best.set(key, {
+        source: row.source,
+        refId: row.ref_id,
+        label: row.label,
+        text: row.text,
+        score,
+        createdAt: row.created_at
+      });
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+/**
+ * Number of indexed items per source
+ * @param {string} [ownerId] - Limit to one owner
+ * @returns {Object<string, number>}
+ */
+function stats(ownerId = null) {
+  init();
+  const db = getDb();
+  const counts = { message: 0, fact: 0, meeting: 0, document: 0 };
+  if (!db) return counts;
+
+  try {
+    const rows = ownerId
+      ? db.prepare('SELECT source, COUNT(DISTINCT ref_id) AS n FROM semantic_index WHERE owner_id = ? GROUP BY source').all(String(ownerId))
+      : db.prepare('SELECT source, COUNT(DISTINCT ref_id) AS n FROM semantic_index GROUP BY source').all();
+    for (const row of rows) counts[row.source] = row.n;
+  } catch (err) {
+    console.error('[SemanticIndex] stats error:', err.message);
+  }
+  return counts;
+}
+
+module.exports = {
+  init,
+  embed,
+  tokenize,
+  similarity,
+  index,
+  remove,
+  removeOwner,
+  reindex,
+  search,
+  stats,
+  meetingText,
+  documentText,
+  SOURCES,
+  VECTOR_DIM,
+  MODEL,
+};
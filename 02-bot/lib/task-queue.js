@@ -1,92 +1,389 @@
 /**
  * Task Queue for long-running operations
- * Manages Claude Code sessions and other async tasks
+ *
+ * A persistent job queue: jobs live in SQLite (via database.js), so queued
+ * and interrupted work survives a PM2 restart. Each job type has a handler
+ * registered by the module that owns the work:
+ *
+ *   claude_code_session - Claude Code sessions (built in)
+ *   deploy              - EC2 deploys (remote-exec skill)
+ *   nightly_task        - Overnight tasks (overnight skill)
+ *   report              - Scheduler reports such as the morning brief (scheduler)
+ *
+ * Jobs run highest priority first, then oldest first, within these limits:
+ *   TASK_QUEUE_CONCURRENCY       - jobs running at once (default 2)
+ *   TASK_QUEUE_REPO_CONCURRENCY  - jobs running at once per repo (default 1)
+ *   handler `concurrency` option - jobs of one type at once (Claude Code: 1)
+ *
+ * A handler that throws is retried with exponential backoff until it has
+ * used its attempts (an error with `retryable = false` skips the retries);
+ * the job then moves to the dead letter list, where
+ * `queue retry <id>` can put it back. Whatever a handler returns (a string,
+ * or an object with `message`) is sent to the chat that queued the job.
+ *
+ * Statuses: queued -> running -> completed | dead, or cancelled.
+ *
+ * @module lib/task-queue
  */
 
 const { spawn } = require('child_process');
 const fs = require('fs').promises;
-const path = require('path');
+
+const STATUSES = ['queued', 'running', 'completed', 'dead', 'cancelled'];
+
+// Named priorities (numbers work too - higher runs first)
+const PRIORITIES = {
+  high: 10,
+  normal: 0,
+  low: -10
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DEFAULT_POLL_MS = 5000;
+
+let _db = null;
+
+function getDb() {
+  if (!_db) {
+    try {
+      _db = require('./database');
+    } catch (e) {
+      _db = false;
+    }
+  }
+  return _db && _db.getDb ? _db.getDb() : null;
+}
 
 class TaskQueue {
   constructor() {
-    this.queue = [];  // Tasks waiting to start
-    this.running = new Map();  // sessionId → { task, process, startTime }
-    this.maxConcurrent = 1;  // Only 1 Claude Code session at a time
+    this.running = new Map();  // jobId → { task, startTime, process, pid }
+    this.handlers = new Map(); // type → { handler, maxAttempts, backoffMs, concurrency }
+    this.callbacks = new Map(); // jobId → in-process callbacks (sendProgress) - not persisted
+    this.notifier = null;
+    this.maxConcurrent = parseInt(process.env.TASK_QUEUE_CONCURRENCY, 10) || 2;
+    this.maxPerRepo = parseInt(process.env.TASK_QUEUE_REPO_CONCURRENCY, 10) || 1;
+    this.pollMs = parseInt(process.env.TASK_QUEUE_POLL_MS, 10) || DEFAULT_POLL_MS;
+    this.pollTimer = null;
+    this._initialized = false;
+    this._active = new Set(); // Promises of jobs in flight
+
+    this.registerHandler('claude_code_session', this.executeClaudeCode.bind(this), {
+      concurrency: 1, // Only 1 Claude Code session at a time
+      maxAttempts: 1
+    });
   }
 
   /**
-   * Add task to queue
-   * @returns {string} taskId
+   * Create the jobs table
    */
-  async addTask(type, params, context) {
-    const taskId = this.generateId();
-    const task = {
-      id: taskId,
-      type,
-      params,
-      context,
-      status: 'queued',
-      createdAt: Date.now()
-    };
+  init() {
+    if (this._initialized) return;
+
+    const db = getDb();
+    if (!db) {
+      console.warn('[TaskQueue] No database - jobs will not be queued');
+      return;
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS queue_jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        params TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        priority INTEGER NOT NULL DEFAULT 0,
+        repo TEXT,
+        chat_id TEXT,
+        user_id TEXT,
+        platform TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT ${DEFAULT_MAX_ATTEMPTS},
+        run_after INTEGER NOT NULL,
+        last_error TEXT,
+        result TEXT,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_queue_jobs_due ON queue_jobs(status, run_after);
+    `);
+    this._initialized = true;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, { sendProgress, setProcess }) => string|{message}|void
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=3] - Attempts before the job is dead-lettered
+   * @param {number} [options.backoffMs=30000] - First retry delay (doubles each attempt)
+   * @param {number} [options.concurrency] - Max jobs of this type running at once
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS,
+      concurrency: options.concurrency || null
+    });
+
+    // Jobs of this type may have been waiting for their handler since boot
+    if (this.pollTimer) this.processNext();
+  }
+
+  /**
+   * Set the function that delivers job results and failures
+   * @param {Function} notifier - async (job, message) => void
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * Start processing: re-queue jobs a restart interrupted and poll for due jobs
+   * @returns {number} Jobs recovered
+   */
+  start() {
+    this.init();
+    const db = getDb();
+    if (!db || this.pollTimer) return 0;
+
+    let recovered = 0;
+    const interrupted = db.prepare("SELECT * FROM queue_jobs WHERE status = 'running'").all();
+    for (const row of interrupted) {
+      if (this.running.has(row.id)) continue;
+      if (row.attempts >= row.max_attempts) {
+        this._update(row.id, { status: 'dead', last_error: 'Interrupted by restart', finished_at: Date.now() });
+      } else {
+        this._update(row.id, { status: 'queued', last_error: 'Interrupted by restart', run_after: Date.now() });
+        recovered++;
+      }
+    }
+    if (interrupted.length > 0) {
+      console.log(`[TaskQueue] Recovered ${recovered} interrupted job(s), ${interrupted.length - recovered} dead-lettered`);
+    }
+
+    this.pollTimer = setInterval(() => this.processNext(), this.pollMs);
+    if (this.pollTimer.unref) this.pollTimer.unref();
 
-    this.queue.push(task);
-    console.log(`[TaskQueue] Added ${type} task ${taskId} to queue`);
+    this.processNext();
+    return recovered;
+  }
 
-    // Start processing immediately
+  /**
+   * Stop polling (running jobs finish on their own)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (needs a registered handler to run)
+   * @param {Object} params - Handler parameters (stored as JSON)
+   * @param {Object} [options]
+   * @param {string} [options.id] - Job ID (default: generated)
+   * @param {string|number} [options.priority='normal'] - high | normal | low, or a number
+   * @param {string} [options.repo] - Repo the job works on (per-repo concurrency)
+   * @param {number|Date} [options.runAt] - Don't start before this time
+   * @param {number} [options.maxAttempts] - Override the handler's attempts
+   * @param {string} [options.chatId] - Chat to send the result to
+   * @param {string} [options.userId] - Who queued it
+   * @param {string} [options.platform] - Platform of chatId
+   * @returns {Object|null} The queued job, or null without a database
+   */
+  enqueue(type, params = {}, options = {}) {
+    this.init();
+    const db = getDb();
+    if (!db) return null;
+
+    const handler = this.handlers.get(type);
+    const now = Date.now();
+    const id = options.id || this.generateId();
+    const runAt = options.runAt instanceof Date ? options.runAt.getTime() : (options.runAt || now);
+
+    db.prepare(`
+      INSERT INTO queue_jobs (id, type, params, status, priority, repo, chat_id, user_id, platform,
+        max_attempts, run_after, created_at)
+      VALUES (?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      type,
+      JSON.stringify(params || {}),
+      this.resolvePriority(options.priority),
+      options.repo || params.repo || null,
+      options.chatId ? String(options.chatId) : null,
+      options.userId ? String(options.userId) : null,
+      options.platform || null,
+      options.maxAttempts || (handler ? handler.maxAttempts : DEFAULT_MAX_ATTEMPTS),
+      runAt,
+      now
+    );
+
+    console.log(`[TaskQueue] Queued ${type} job ${id}`);
     this.processNext();
+    return this.getJob(id);
+  }
 
-    return taskId;
+  /**
+   * Add task to queue (in-process callbacks such as sendProgress are kept
+   * for this run only)
+   * @returns {string} taskId
+   */
+  async addTask(type, params, context = {}) {
+    const { sendProgress, chatId, userId, platform, priority } = context;
+    const id = params.sessionId || this.generateId();
+
+    if (sendProgress) this.callbacks.set(id, { sendProgress });
+    const job = this.enqueue(type, params, { id, chatId, userId, platform, priority, repo: params.repo });
+    return job ? job.id : null;
   }
 
   /**
-   * Process next queued task if capacity available
+   * Start as many due jobs as the limits allow
    */
-  async processNext() {
-    if (this.running.size >= this.maxConcurrent) {
-      console.log('[TaskQueue] At max capacity, waiting...');
-      return;
+  processNext() {
+    if (!getDb() || !this._initialized) return;
+
+    let job;
+    while (this.running.size < this.maxConcurrent && (job = this._nextRunnable())) {
+      this._run(job);
     }
+  }
 
-    if (this.queue.length === 0) {
-      return;
+  /**
+   * Wait until no job is running or due (used by tests and shutdown)
+   * @param {number} [timeoutMs=10000]
+   */
+  async idle(timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      this.processNext();
+      if (this._active.size === 0) return true;
+      await Promise.race([...this._active, this.sleep(50)]);
     }
+    return false;
+  }
 
-    const task = this.queue.shift();
-    console.log(`[TaskQueue] Starting task ${task.id} (${task.type})`);
+  /**
+   * Pick the next due job whose handler, type and repo limits allow it
+   * @private
+   */
+  _nextRunnable() {
+    const due = getDb().prepare(`
+      SELECT * FROM queue_jobs
+      WHERE status = 'queued' AND run_after <= ?
+      ORDER BY priority DESC, created_at ASC, rowid ASC
+    `).all(Date.now());
+
+    const runningJobs = [...this.running.values()].map(r => r.task);
+    for (const row of due) {
+      const handler = this.handlers.get(row.type);
+      if (!handler) continue;
+
+      if (handler.concurrency &&
+        runningJobs.filter(t => t.type === row.type).length >= handler.concurrency) continue;
+      if (row.repo &&
+        runningJobs.filter(t => t.repo === row.repo).length >= this.maxPerRepo) continue;
+
+      return this._toJob(row);
+    }
+    return null;
+  }
 
-    this.running.set(task.id, { task, startTime: Date.now() });
+  /**
+   * Run one job and record the outcome
+   * @private
+   */
+  _run(job) {
+    const startTime = Date.now();
+    job.attempts += 1;
+    job.status = 'running';
+    this._update(job.id, { status: 'running', attempts: job.attempts, started_at: startTime });
+    this.running.set(job.id, { task: job, startTime });
+    console.log(`[TaskQueue] Starting ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const { handler, backoffMs } = this.handlers.get(job.type);
+    const callbacks = this.callbacks.get(job.id) || {};
+    const helpers = {
+      sendProgress: callbacks.sendProgress || (message => this._notify(job, message)),
+      setProcess: (child) => {
+        const running = this.running.get(job.id);
+        if (running && child) {
+          running.process = child;
+          running.pid = child.pid;
+        }
+      }
+    };
 
-    try {
-      await this.executeTask(task);
-    } catch (err) {
-      console.error(`[TaskQueue] Task ${task.id} failed:`, err.message);
-      task.status = 'failed';
-      task.error = err.message;
-    } finally {
-      this.running.delete(task.id);
-      console.log(`[TaskQueue] Task ${task.id} completed, checking queue...`);
+    const run = (async () => {
+      try {
+        const result = await handler(job, helpers);
+        if (this._statusOf(job.id) !== 'running') return; // Cancelled meanwhile
+
+        const message = typeof result === 'string' ? result : (result && result.message) || null;
+        this._update(job.id, {
+          status: 'completed',
+          result: result === undefined ? null : JSON.stringify(result),
+          last_error: null,
+          finished_at: Date.now()
+        });
+        console.log(`[TaskQueue] Job ${job.id} completed`);
+        if (message) await this._notify(job, message);
+      } catch (err) {
+        if (this._statusOf(job.id) !== 'running') return;
+
+        if (job.attempts < job.maxAttempts && err.retryable !== false) {
+          const delay = Math.min(backoffMs * Math.pow(2, job.attempts - 1), MAX_BACKOFF_MS);
+          this._update(job.id, { status: 'queued', last_error: err.message, run_after: Date.now() + delay });
+          console.warn(`[TaskQueue] Job ${job.id} failed (${err.message}), retrying in ${Math.round(delay / 1000)}s`);
+        } else {
+          this._update(job.id, { status: 'dead', last_error: err.message, finished_at: Date.now() });
+          console.error(`[TaskQueue] Job ${job.id} dead-lettered after ${job.attempts} attempt(s):`, err.message);
+          await this._notify(job,
+            `❌ ${job.type} job ${job.id} failed after ${job.attempts} attempt(s): ${err.message}\n` +
+            `Reply "queue retry ${job.id}" to run it again.`);
+        }
+      } finally {
+        this.running.delete(job.id);
+        if (this._statusOf(job.id) !== 'queued') this.callbacks.delete(job.id);
+      }
+    })();
+
+    this._active.add(run);
+    run.finally(() => {
+      this._active.delete(run);
       this.processNext();  // Process next task
-    }
+    });
+    return run;
   }
 
   /**
-   * Execute a task based on type
+   * Send a job's result or failure to its chat
+   * @private
    */
-  async executeTask(task) {
-    switch (task.type) {
-      case 'claude_code_session':
-        return await this.executeClaudeCode(task);
-      default:
-        throw new Error(`Unknown task type: ${task.type}`);
+  async _notify(job, message) {
+    if (!this.notifier) {
+      console.log(`[TaskQueue] ${job.id}: ${String(message).substring(0, 100)}`);
+      return;
+    }
+    try {
+      await this.notifier(job, message);
+    } catch (err) {
+      console.error(`[TaskQueue] Failed to deliver result of ${job.id}:`, err.message);
     }
   }
 
   /**
    * Execute Claude Code session
    */
-  async executeClaudeCode(task) {
-    const { sessionId, repo, task: taskDesc, repoPath, logPath } = task.params;
-    const { sendProgress } = task.context;
+  async executeClaudeCode(task, helpers = {}) {
+    const { sessionId, task: taskDesc, repoPath, logPath } = task.params;
 
     // Spawn Claude Code process
     const logFile = await fs.open(logPath, 'w');
@@ -103,16 +400,16 @@ class TaskQueue {
     console.log(`[TaskQueue] Claude Code session ${sessionId} started (PID: ${process.pid})`);
 
     // Update running map with process handle
-    const running = this.running.get(task.id);
-    if (running) {
-      running.process = process;
-      running.pid = process.pid;
-    }
+    if (helpers.setProcess) helpers.setProcess(process);
 
     // Monitor process
-    await this.monitorProcess(process, sessionId, logPath, sendProgress);
+    const code = await this.monitorProcess(process, sessionId, logPath, helpers.sendProgress);
 
     await logFile.close();
+
+    if (code !== 0) {
+      throw new Error(`Claude Code exited with code ${code}`);
+    }
   }
 
   /**
@@ -133,20 +430,22 @@ class TaskQueue {
   }
 
   /**
-   * Cancel a running task
+   * Cancel a queued or running task
+   * @returns {Promise<boolean>} True if a job was cancelled
    */
   async cancelTask(taskId) {
-    const running = this.running.get(taskId);
+    const status = this._statusOf(taskId);
+    if (status !== 'queued' && status !== 'running') {
+      return false;
+    }
 
+    this._update(taskId, { status: 'cancelled', finished_at: Date.now() });
+    this.callbacks.delete(taskId);
+
+    const running = this.running.get(taskId);
     if (!running) {
-      // Check if it's queued
-      const queueIndex = this.queue.findIndex(t => t.id === taskId);
-      if (queueIndex >= 0) {
-        this.queue.splice(queueIndex, 1);
-        console.log(`[TaskQueue] Cancelled queued task ${taskId}`);
-        return true;
-      }
-      return false;
+      console.log(`[TaskQueue] Cancelled queued task ${taskId}`);
+      return true;
     }
 
     // Send SIGTERM first (graceful)
@@ -170,6 +469,103 @@ class TaskQueue {
     return true;
   }
 
+  /**
+   * Put a dead or cancelled job back in the queue with fresh attempts
+   * Completed jobs stay done - running one again would repeat its work.
+   * @param {string} jobId
+   * @returns {Object|null} The re-queued job, or null if it can't be retried
+   */
+  retry(jobId) {
+    const status = this._statusOf(jobId);
+    if (status !== 'dead' && status !== 'cancelled') {
+      return null;
+    }
+
+    this._update(jobId, { status: 'queued', attempts: 0, run_after: Date.now(), finished_at: null });
+    console.log(`[TaskQueue] Retrying job ${jobId}`);
+    this.processNext();
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Get one job
+   * @param {string} jobId
+   * @returns {Object|null}
+   */
+  getJob(jobId) {
+    const db = getDb();
+    if (!db || !this._initialized) return null;
+    const row = db.prepare('SELECT * FROM queue_jobs WHERE id = ?').get(String(jobId));
+    return row ? this._toJob(row) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filter]
+   * @param {string|string[]} [filter.status]
+   * @param {string} [filter.type]
+   * @param {string} [filter.userId]
+   * @param {number} [filter.limit=20]
+   * @returns {Object[]}
+   */
+  listJobs(filter = {}) {
+    const db = getDb();
+    if (!db || !this._initialized) return [];
+
+    const where = [];
+    const args = [];
+    if (filter.status) {
+      const statuses = [].concat(filter.status);
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      args.push(...statuses);
+    }
+    if (filter.type) {
+      where.push('type = ?');
+      args.push(filter.type);
+    }
+    if (filter.userId) {
+      where.push('user_id = ?');
+      args.push(String(filter.userId));
+    }
+
+    const rows = db.prepare(`
+      SELECT * FROM queue_jobs
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ?
+    `).all(...args, filter.limit || 20);
+    return rows.map(row => this._toJob(row));
+  }
+
+  /**
+   * Get queue status
+   * @param {string} [type] - Only count jobs of this type
+   */
+  getStatus(type = null) {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    const db = getDb();
+    if (db && this._initialized) {
+      const rows = type
+        ? db.prepare('SELECT status, COUNT(*) AS n FROM queue_jobs WHERE type = ? GROUP BY status').all(type)
+        : db.prepare('SELECT status, COUNT(*) AS n FROM queue_jobs GROUP BY status').all();
+      for (const row of rows) {
+        counts[row.status] = row.n;
+      }
+    }
+
+    return {
+      queued: counts.queued,
+      running: type
+        ? [...this.running.values()].filter(r => r.task.type === type).length
+        : this.running.size,
+      capacity: this.maxConcurrent,
+      perRepo: this.maxPerRepo,
+      completed: counts.completed,
+      dead: counts.dead,
+      cancelled: counts.cancelled
+    };
+  }
+
   /**
    * Check if process is still alive
    */
@@ -182,15 +578,9 @@ class TaskQueue {
     }
   }
 
-  /**
-   * Get queue status
-   */
-  getStatus() {
-    return {
-      queued: this.queue.length,
-      running: this.running.size,
-      capacity: this.maxConcurrent
-    };
+  resolvePriority(priority) {
+    if (typeof priority === 'number') return priority;
+    return PRIORITIES[priority] !== undefined ? PRIORITIES[priority] : PRIORITIES.normal;
   }
 
   generateId() {
@@ -200,6 +590,62 @@ class TaskQueue {
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
+
+  /**
+   * @private
+   */
+  _statusOf(jobId) {
+    const db = getDb();
+    if (!db || !this._initialized) return null;
+    const row = db.prepare('SELECT status FROM queue_jobs WHERE id = ?').get(String(jobId));
+    return row ? row.status : null;
+  }
+
+  /**
+   * @private
+   */
+  _update(jobId, fields) {
+    const keys = Object.keys(fields);
+    getDb().prepare(`UPDATE queue_jobs SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`)
+      .run(...keys.map(k => fields[k]), jobId);
+  }
+
+  /**
+   * @private
+   */
+  _toJob(row) {
+    let params = {};
+    let result = null;
+    try {
+      params = JSON.parse(row.params || '{}');
+      result = row.result ? JSON.parse(row.result) : null;
+    } catch (e) {
+      // Keep the defaults for unreadable rows
+    }
+
+    return {
+      id: row.id,
+      type: row.type,
+      params,
+      status: row.status,
+      priority: row.priority,
+      repo: row.repo,
+      chatId: row.chat_id,
+      userId: row.user_id,
+      platform: row.platform,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAfter: row.run_after,
+      lastError: row.last_error,
+      result,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
 }
 
 module.exports = new TaskQueue();  // Singleton
+module.exports.TaskQueue = TaskQueue;
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,104 @@
+/**
+ * User Timezone - Which timezone to read a user's times in
+ *
+ * A user's timezone is their "Timezone: ..." preference fact (saved by
+ * "remember my timezone is Europe/Paris" or picked up by the memory
+ * extractor), falling back to TIMEZONE from the environment and then
+ * Europe/London. Values can be IANA names or city names ("Paris", "new york").
+ *
+ * @module lib/user-timezone
+ */
+
+'use strict';
+
+const moment = require('moment-timezone');
+
+const DEFAULT_TIMEZONE = 'Europe/London';
+
+// Common names that aren't IANA zones or city names
+const ALIASES = {
+  uk: 'Europe/London',
+  gmt: 'Europe/London',
+  bst: 'Europe/London',
+  utc: 'UTC',
+  cet: 'Europe/Paris',
+  est: 'America/New_York',
+  pst: 'America/Los_Angeles'
+};
+
+let _memory = null;
+
+function getMemory() {
+  if (!_memory) {
+    try {
+      _memory = require('../memory/memory-manager');
+    } catch (e) {
+      _memory = false;
+    }
+  }
+  return _memory || null;
+}
+
+/**
+ * Turn a timezone or city name into an IANA timezone
+ * @param {string} name - "Europe/Paris", "paris", "New York", "UK"
+ * @returns {string|null} IANA name, or null if unknown
+ */
+function resolveTimezone(name) {
+  const text = String(name || '').trim().replace(/[.!]+$/, '');
+  if (!text) return null;
+
+  if (moment.tz.zone(text)) return moment.tz.zone(text).name;
+
+  const lower = text.toLowerCase();
+  if (ALIASES[lower]) return ALIASES[lower];
+
+  // City names match the last part of a zone: "new york" -> America/New_York
+  const city = lower.replace(/\s+/g, '_');
+  return moment.tz.names().find(zone => zone.toLowerCase().split('/').pop() === city) || null;
+}
+
+/**
+ * Timezone saved in a user's preference facts
+ * @param {string} userId - User ID (linked accounts resolve to one user)
+ * @param {Object} [memory] - Memory manager (default: the shared instance)
+ * @returns {string|null} IANA name, or null if none is saved
+ */
+function getSavedTimezone(userId, memory = getMemory()) {
+  if (!userId || !memory || typeof memory.getFacts !== 'function') return null;
+
+  let facts = [];
+  try {
+    facts = memory.getFacts(String(userId)) || [];
+  } catch (error) {
+    return null;
+  }
+
+  // Newest fact wins
+  const sorted = [...facts].sort((a, b) => (b.id || 0) - (a.id || 0));
+  for (const fact of sorted) {
+    const match = String(fact.fact || '').match(/\btime\s*zone\s*(?::|is|=)\s*(.+)$/i);
+    const zone = match && resolveTimezone(match[1]);
+    if (zone) return zone;
+  }
+  return null;
+}
+
+/**
+ * Timezone to use for a user
+ * @param {string} userId - User ID
+ * @param {Object} [memory] - Memory manager (default: the shared instance)
+ * @returns {string} IANA name
+ */
+function getUserTimezone(userId, memory) {
+  return getSavedTimezone(userId, memory)
+    || resolveTimezone(process.env.TIMEZONE)
+    || DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  getUserTimezone,
+  getSavedTimezone,
+  resolveTimezone,
+  DEFAULT_TIMEZONE
+};
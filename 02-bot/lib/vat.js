@@ -0,0 +1,173 @@
+/**
+ * VAT
+ *
+ * VAT for the group's companies:
+ *   - supplier VAT numbers and rates read from receipts
+ *   - VAT lines on invoices issued by a VAT-registered company (the
+ *     deadlines skill's vatRegistered flag)
+ *   - the nine boxes of a VAT return for a company and period, from its
+ *     issued invoices (sales) and the expense ledger (purchases)
+ *
+ * Return figures are GBP: expenses at their stored rate (lib/fx-rates),
+ * invoices at the rate for the invoice date. Boxes 2, 8 and 9 are for
+ * Northern Ireland trade in goods with the EU, which the group doesn't do,
+ * so they are always 0.
+ *
+ * @module lib/vat
+ */
+
+const database = require('./database');
+const fxRates = require('./fx-rates');
+const registry = require('../skills/skill-registry');
+
+// UK standard rate, percent
+const STANDARD_RATE = 20;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Tidy a VAT number as printed on a receipt: "VAT No: GB 123 4567 89" ->
+ * "GB123456789". Nine or twelve digits on their own are taken as UK.
+ * @param {string} text
+ * @returns {string|null} null if it doesn't look like a VAT number
+ */
+function normaliseVatNumber(text) {
+  if (typeof text !== 'string') return null;
+  let value = text.toUpperCase()
+    .replace(/^VAT\s*(REG(ISTRATION)?\.?)?\s*(NO\.?|NUMBER)?\s*:?/, '')
+    .replace(/[\s.-]/g, '');
+  if (/^\d{9}(\d{3})?$/.test(value)) value = `GB${value}`;
+  if (value.startsWith('GB')) return /^GB(\d{9}|\d{12}|(GD|HA)\d{3})$/.test(value) ? value : null;
+  return /^[A-Z]{2}[0-9A-Z]{2,13}$/.test(value) && /\d/.test(value) ? value : null;
+}
+
+/**
+ * VAT included in a gross amount
+ * @param {number} gross
+ * @param {number} rate - Percent
+ * @returns {number}
+ */
+function vatFromGross(gross, rate) {
+  return round2(gross * rate / (100 + rate));
+}
+
+/**
+ * An invoice's figures from its net amount
+ * @param {number} net
+ * @param {number|null} rate - Percent, or null when the company doesn't charge VAT
+ * @returns {{ netAmount: number, vatRate: number|null, vatAmount: number|null, amount: number }} amount is the total due
+ */
+function invoiceVat(net, rate) {
+  if (rate === null || rate === undefined) {
+    return { netAmount: net, vatRate: null, vatAmount: null, amount: net };
+  }
+  const vatAmount = round2(net * rate / 100);
+  return { netAmount: net, vatRate: rate, vatAmount, amount: round2(net + vatAmount) };
+}
+
+/**
+ * A group company's VAT registration, from the deadlines skill
+ * @param {string} code - Company code
+ * @returns {{ code: string, name: string, number: string, registered: boolean, vatNumber: string|null }|null}
+ *   null for an unknown code, or when the deadlines skill isn't loaded
+ */
+function getCompanyVat(code) {
+  const key = String(code || '').toUpperCase();
+  const company = registry.getSkill('deadlines')?.companies?.[key];
+  if (!company) return null;
+  return {
+    code: key,
+    name: company.name,
+    number: company.number,
+    registered: !!company.vatRegistered,
+    vatNumber: company.vatNumber || null
+  };
+}
+
+/**
+ * The nine boxes of a VAT return
+ * @param {string} company - Company code
+ * @param {{ from?: string, to?: string }} [range] - Inclusive YYYY-MM-DD
+ * @returns {Promise<Object>} { company, from, to, boxes: {1..9}, payable, invoices, expenses,
+ *   unconverted: { invoices: string[], expenses: number }, withoutVatNumber: { count, vat } }.
+ *   Boxes 1-5 are in pounds and pence, 6-9 in whole pounds (rounded down, as HMRC asks).
+ */
+async function buildVatReturn(company, { from = null, to = null } = {}) {
+  const code = String(company).toUpperCase();
+  await fxRates.normaliseExpenses();
+
+  // Sales - invoices issued in the period
+  const invoices = database.listIssuedInvoices(code, { from, to });
+  const unconvertedInvoices = [];
+  let outputVat = 0;
+  let sales = 0;
+  for (const invoice of invoices) {
+    const rate = await fxRates.getRate(invoice.currency, String(invoice.created_at).slice(0, 10));
+    if (!rate) {
+      unconvertedInvoices.push(invoice.invoice_number);
+      continue;
+    }
+    const vat = invoice.vat_amount || 0;
+    const net = invoice.net_amount !== null ? invoice.net_amount : invoice.amount - vat;
+    outputVat += vat * rate.rate;
+    sales += net * rate.rate;
+  }
+
+  // Purchases - the expense ledger
+  const expenses = database.listExpenses({ company: code, from, to });
+  let unconvertedExpenses = 0;
+  let inputVat = 0;
+  let purchases = 0;
+  const withoutVatNumber = { count: 0, vat: 0 };
+  for (const expense of expenses) {
+    if (!expense.fx_rate) {
+      unconvertedExpenses++;
+      continue;
+    }
+    const vat = (expense.vat_amount || 0) * expense.fx_rate;
+    inputVat += vat;
+    purchases += (expense.net_amount || 0) * expense.fx_rate;
+    if (vat > 0 && !expense.supplier_vat_number) {
+      withoutVatNumber.count++;
+      withoutVatNumber.vat += vat;
+    }
+  }
+
+  const box1 = round2(outputVat);
+  const box2 = 0;
+  const box3 = round2(box1 + box2);
+  const box4 = round2(inputVat);
+
+  return {
+    company: code,
+    from,
+    to,
+    boxes: {
+      1: box1,
+      2: box2,
+      3: box3,
+      4: box4,
+      5: round2(Math.abs(box3 - box4)),
+      6: Math.floor(sales),
+      7: Math.floor(purchases),
+      8: 0,
+      9: 0
+    },
+    payable: box3 >= box4,
+    invoices: invoices.length,
+    expenses: expenses.length,
+    unconverted: { invoices: unconvertedInvoices, expenses: unconvertedExpenses },
+    withoutVatNumber: { count: withoutVatNumber.count, vat: round2(withoutVatNumber.vat) }
+  };
+}
+
+module.exports = {
+  normaliseVatNumber,
+  vatFromGross,
+  invoiceVat,
+  getCompanyVat,
+  buildVatReturn,
+  STANDARD_RATE
+};
@@ -60,11 +60,32 @@ const fs = require('fs');
  * @property {string} handler - Handler function name
  * @property {Object|null} params - Job parameters
  * @property {boolean} enabled - Whether job is active
+ * @property {string|null} timezone - IANA timezone the cron runs in
  * @property {string|null} last_run - Last execution timestamp
  * @property {string|null} next_run - Next scheduled execution
+ * @property {number} run_count - Completed runs
+ * @property {string|null} last_error - Error from the last failed run
+ * @property {string|null} catch_up - Missed-run policy: once, skip or all (null: handler default)
+ * @property {boolean} run_once - Disable the job after its next run
  * @property {string} created_at - ISO timestamp
  */
 
+/**
+ * @typedef {Object} JobRun
+ * @property {number} id - Run ID
+ * @property {number|null} job_id - Scheduled job ID
+ * @property {string} job_name - Job name when it ran
+ * @property {string} handler - Handler name
+ * @property {string} trigger_type - What started it ('cron', 'manual', 'catch-up')
+ * @property {string|null} scheduled_for - Cron time the run is for
+ * @property {string} started_at - ISO timestamp
+ * @property {string|null} finished_at - ISO timestamp
+ * @property {number|null} duration_ms - Run time
+ * @property {string} status - 'running', 'success', 'failed', 'skipped' or 'interrupted'
+ * @property {string|null} output - Summary of the job's message
+ * @property {string|null} error - Error message
+ */
+
 /**
  * @typedef {Object} UserStats
  * @property {number} totalMessages - Total messages for user
@@ -84,7 +105,9 @@ class MemoryManager {
      */
     constructor(dbPath = null) {
         // Determine database path
-        this.dbPath = dbPath || path.join(__dirname, 'clawd.db');
+        this.dbPath = dbPath || (process.env.CLAWDBOT_DATA_DIR
+            ? path.join(process.env.CLAWDBOT_DATA_DIR, 'clawd.db')
+            : path.join(__dirname, 'clawd.db'));
 
         // Ensure directory exists
         const dbDir = path.dirname(this.dbPath);
@@ -103,6 +126,7 @@ class MemoryManager {
 
         // Initialize schema
         this._initializeSchema();
+        this._addMissingColumns();
 
         // Prepare commonly used statements for performance
         this._prepareStatements();
@@ -126,6 +150,29 @@ class MemoryManager {
         }
     }
 
+    /**
+     * Adds columns introduced after a table was first created
+     * (CREATE TABLE IF NOT EXISTS leaves existing tables alone)
+     * @private
+     */
+    _addMissingColumns() {
+        const added = [
+            { table: 'scheduled_jobs', column: 'timezone', type: 'TEXT' },
+            { table: 'scheduled_jobs', column: 'run_count', type: 'INTEGER NOT NULL DEFAULT 0' },
+            { table: 'scheduled_jobs', column: 'last_error', type: 'TEXT' },
+            { table: 'scheduled_jobs', column: 'catch_up', type: 'TEXT' },
+            { table: 'scheduled_jobs', column: 'run_once', type: 'INTEGER NOT NULL DEFAULT 0' }
+        ];
+
+        for (const { table, column, type } of added) {
+            const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+            if (columns.length > 0 && !columns.includes(column)) {
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+                console.log(`[MemoryManager] Added column ${table}.${column}`);
+            }
+        }
+    }
+
     /**
      * Creates tables inline as fallback
      * @private
@@ -174,6 +221,21 @@ class MemoryManager {
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             );
 
+            CREATE TABLE IF NOT EXISTS scheduler_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER,
+                job_name TEXT NOT NULL,
+                handler TEXT NOT NULL,
+                trigger_type TEXT NOT NULL DEFAULT 'cron',
+                scheduled_for DATETIME,
+                started_at DATETIME NOT NULL,
+                finished_at DATETIME,
+                duration_ms INTEGER,
+                status TEXT NOT NULL DEFAULT 'running',
+                output TEXT,
+                error TEXT
+            );
+
             CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
             CREATE INDEX IF NOT EXISTS idx_facts_user_id ON facts(user_id);
             CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
@@ -195,7 +257,7 @@ class MemoryManager {
                 SELECT id, user_id, role, content, created_at
                 FROM conversations
                 WHERE user_id = ?
-                ORDER BY created_at DESC
+                ORDER BY created_at DESC, id DESC
                 LIMIT ?
             `),
             clearHistory: this.db.prepare(`
@@ -230,7 +292,7 @@ class MemoryManager {
                 DELETE FROM facts WHERE user_id = ? AND id = ?
             `),
             updateFact: this.db.prepare(`
-                UPDATE facts SET fact = ?, updated_at = CURRENT_TIMESTAMP
+                UPDATE facts SET fact = ?, category = COALESCE(?, category), updated_at = CURRENT_TIMESTAMP
                 WHERE id = ? AND user_id = ?
             `),
 
@@ -268,6 +330,10 @@ class MemoryManager {
             updateTaskStatus: this.db.prepare(`
                 UPDATE tasks SET status = ? WHERE id = ?
             `),
+            updateTask: this.db.prepare(`
+                UPDATE tasks SET title = COALESCE(?, title), priority = COALESCE(?, priority)
+                WHERE id = ? AND user_id = ?
+            `),
             deleteTask: this.db.prepare(`
                 DELETE FROM tasks WHERE id = ? AND user_id = ?
             `),
@@ -289,11 +355,12 @@ class MemoryManager {
 
             // Scheduled jobs statements
             insertJob: this.db.prepare(`
-                INSERT INTO scheduled_jobs (name, cron_expression, handler, params, enabled)
-                VALUES (?, ?, ?, ?, ?)
+                INSERT INTO scheduled_jobs (name, cron_expression, handler, params, enabled, timezone, catch_up, run_once, next_run)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
             `),
             getEnabledJobs: this.db.prepare(`
-                SELECT id, name, cron_expression, handler, params, enabled, last_run, next_run, created_at
+                SELECT id, name, cron_expression, handler, params, enabled, timezone, last_run, next_run,
+                    run_count, last_error, catch_up, run_once, created_at
                 FROM scheduled_jobs
                 WHERE enabled = 1
                 ORDER BY next_run
@@ -303,6 +370,26 @@ class MemoryManager {
             `),
             toggleJob: this.db.prepare(`
                 UPDATE scheduled_jobs SET enabled = ? WHERE id = ?
+            `),
+
+            // Scheduler run history statements
+            insertJobRun: this.db.prepare(`
+                INSERT INTO scheduler_runs (job_id, job_name, handler, trigger_type, scheduled_for, started_at,
+                    finished_at, duration_ms, status, output, error)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `),
+            finishJobRun: this.db.prepare(`
+                UPDATE scheduler_runs
+                SET finished_at = ?, duration_ms = ?, status = ?, output = ?, error = ?
+                WHERE id = ?
+            `),
+            getJobRun: this.db.prepare(`
+                SELECT * FROM scheduler_runs WHERE id = ?
+            `),
+            interruptJobRuns: this.db.prepare(`
+                UPDATE scheduler_runs
+                SET status = 'interrupted', finished_at = ?, error = 'Bot stopped during the run'
+                WHERE status = 'running'
             `)
         };
     }
@@ -335,6 +422,9 @@ class MemoryManager {
 
         try {
             const result = this.statements.insertMessage.run(userId, role, content);
+            if (role !== 'system') {
+                this._indexSemantic({ source: 'message', refId: result.lastInsertRowid, ownerId: userId, text: content, label: role });
+            }
             return result.lastInsertRowid;
         } catch (error) {
             console.error('[MemoryManager] Error saving message:', error.message);
@@ -385,6 +475,8 @@ class MemoryManager {
 
         try {
             const result = this.statements.clearHistory.run(userId);
+            const index = this._getSemanticIndex();
+            if (index) index.removeOwner('message', userId);
             return result.changes;
         } catch (error) {
             console.error('[MemoryManager] Error clearing history:', error.message);
@@ -440,7 +532,9 @@ class MemoryManager {
         }
 
         try {
+            userId = this._resolveUserId(userId);
             const result = this.statements.insertFact.run(userId, category, fact, source);
+            this._indexSemantic({ source: 'fact', refId: result.lastInsertRowid, ownerId: userId, text: fact, label: category });
             return result.lastInsertRowid;
         } catch (error) {
             console.error('[MemoryManager] Error saving fact:', error.message);
@@ -465,6 +559,7 @@ class MemoryManager {
         }
 
         try {
+            userId = this._resolveUserId(userId);
             if (category) {
                 return this.statements.getFactsByCategory.all(userId, category);
             }
@@ -491,7 +586,12 @@ class MemoryManager {
         }
 
         try {
+            userId = this._resolveUserId(userId);
             const result = this.statements.deleteFact.run(userId, factId);
+            if (result.changes > 0) {
+                const index = this._getSemanticIndex();
+                if (index) index.remove('fact', factId);
+            }
             return result.changes > 0;
         } catch (error) {
             console.error('[MemoryManager] Error deleting fact:', error.message);
@@ -505,15 +605,21 @@ class MemoryManager {
      * @param {string} userId - User identifier
      * @param {number} factId - The fact ID to update
      * @param {string} newFact - The new fact content
+     * @param {string} [category] - New category (keeps the current one if omitted)
      * @returns {boolean} True if fact was updated
      */
-    updateFact(userId, factId, newFact) {
+    updateFact(userId, factId, newFact, category = null) {
         if (!userId || !factId || !newFact) {
             throw new Error('userId, factId, and newFact are required');
         }
 
         try {
-            const result = this.statements.updateFact.run(newFact, factId, userId);
+            userId = this._resolveUserId(userId);
+            const result = this.statements.updateFact.run(newFact, category, factId, userId);
+            if (result.changes > 0) {
+                const row = this.db.prepare('SELECT category FROM facts WHERE id = ?').get(factId);
+                this._indexSemantic({ source: 'fact', refId: factId, ownerId: userId, text: newFact, label: row?.category });
+            }
             return result.changes > 0;
         } catch (error) {
             console.error('[MemoryManager] Error updating fact:', error.message);
@@ -521,6 +627,92 @@ class MemoryManager {
         }
     }
 
+    // =========================================================================
+    // LINKED IDENTITIES
+    // =========================================================================
+
+    /**
+     * Resolves a platform user ID to its linked identity (lib/database), so
+     * facts and tasks saved from Telegram show up on WhatsApp and vice versa.
+     *
+     * @param {string} userId - Platform user identifier
+     * @returns {string} The canonical user ID (the ID itself when not linked)
+     * @private
+     */
+    _resolveUserId(userId) {
+        if (this.identities === undefined) {
+            try {
+                this.identities = require('../lib/database');
+            } catch (error) {
+                this.identities = null;
+            }
+        }
+        return this.identities ? this.identities.resolveUserId(userId) : userId;
+    }
+
+    /**
+     * Moves a user's facts and tasks to another ID.
+     * Called when an account is linked to an identity.
+     *
+     * @param {string} fromId - Previous user identifier
+     * @param {string} toId - Canonical user identifier
+     * @returns {{facts: number, tasks: number}} Rows moved
+     *
+     * @example
+     * memory.migrateUser('+447123456789', '123456789');
+     */
+    migrateUser(fromId, toId) {
+        if (!fromId || !toId) {
+            throw new Error('fromId and toId are required');
+        }
+
+        const move = this.db.transaction(() => ({
+            facts: this.db.prepare('UPDATE facts SET user_id = ? WHERE user_id = ?').run(String(toId), String(fromId)).changes,
+            tasks: this.db.prepare('UPDATE tasks SET user_id = ? WHERE user_id = ?').run(String(toId), String(fromId)).changes
+        }));
+        return move();
+    }
+
+    // =========================================================================
+    // SEMANTIC INDEX
+    // =========================================================================
+
+    /**
+     * Lazily loads the semantic index (lib/semantic-index).
+     * Set `memory.semanticIndex = null` to turn indexing off for an instance.
+     *
+     * @returns {Object|null} The semantic-index module, or null if unavailable
+     * @private
+     */
+    _getSemanticIndex() {
+        if (this.semanticIndex === undefined) {
+            try {
+                this.semanticIndex = require('../lib/semantic-index');
+            } catch (error) {
+                this.semanticIndex = null;
+            }
+        }
+        return this.semanticIndex;
+    }
+
+    /**
+     * Adds an item to the semantic index. Failures are logged, never thrown -
+     * a missing vector must not lose the message itself.
+     *
+     * @param {Object} item - See semantic-index.index()
+     * @private
+     */
+    _indexSemantic(item) {
+        const index = this._getSemanticIndex();
+        if (!index) return;
+
+        try {
+            index.index(item);
+        } catch (error) {
+            console.error('[MemoryManager] Error indexing for semantic search:', error.message);
+        }
+    }
+
     // =========================================================================
     // TASK METHODS
     // =========================================================================
@@ -548,6 +740,7 @@ class MemoryManager {
         }
 
         try {
+            userId = this._resolveUserId(userId);
             const result = this.statements.insertTask.run(userId, title, description, priority);
             return result.lastInsertRowid;
         } catch (error) {
@@ -574,6 +767,7 @@ class MemoryManager {
         }
 
         try {
+            userId = this._resolveUserId(userId);
             if (status) {
                 const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
                 if (!validStatuses.includes(status)) {
@@ -617,6 +811,36 @@ class MemoryManager {
         }
     }
 
+    /**
+     * Updates a task's title and/or priority.
+     *
+     * @param {string} userId - User identifier
+     * @param {number} taskId - The task ID to update
+     * @param {Object} changes - Fields to change
+     * @param {string} [changes.title] - New title
+     * @param {string} [changes.priority] - New priority (low, medium, high, urgent)
+     * @returns {boolean} True if task was updated
+     */
+    updateTask(userId, taskId, { title = null, priority = null } = {}) {
+        if (!userId || !taskId) {
+            throw new Error('userId and taskId are required');
+        }
+
+        const validPriorities = ['low', 'medium', 'high', 'urgent'];
+        if (priority && !validPriorities.includes(priority)) {
+            throw new Error(`Invalid priority. Must be one of: ${validPriorities.join(', ')}`);
+        }
+
+        try {
+            userId = this._resolveUserId(userId);
+            const result = this.statements.updateTask.run(title, priority, taskId, userId);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('[MemoryManager] Error updating task:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Deletes a task.
      *
@@ -630,6 +854,7 @@ class MemoryManager {
         }
 
         try {
+            userId = this._resolveUserId(userId);
             const result = this.statements.deleteTask.run(taskId, userId);
             return result.changes > 0;
         } catch (error) {
@@ -711,9 +936,15 @@ class MemoryManager {
      * @param {string} handler - Handler function name
      * @param {Object} [params={}] - Job parameters
      * @param {boolean} [enabled=true] - Whether job is enabled
+     * @param {string|null} [timezone=null] - IANA timezone the cron runs in (null: scheduler default)
+     * @param {Object} [options]
+     * @param {string|null} [options.catchUp=null] - Missed-run policy: once, skip or all (null: handler default)
+     * @param {string|null} [options.nextRun=null] - First scheduled run ISO timestamp
+     * @param {boolean} [options.once=false] - Disable the job after its next run
      * @returns {number} The created job ID
      */
-    createScheduledJob(name, cronExpression, handler, params = {}, enabled = true) {
+    createScheduledJob(name, cronExpression, handler, params = {}, enabled = true, timezone = null,
+        { catchUp = null, nextRun = null, once = false } = {}) {
         if (!name || !cronExpression || !handler) {
             throw new Error('name, cronExpression, and handler are required');
         }
@@ -721,7 +952,7 @@ class MemoryManager {
         try {
             const paramsJson = JSON.stringify(params);
             const result = this.statements.insertJob.run(
-                name, cronExpression, handler, paramsJson, enabled ? 1 : 0
+                name, cronExpression, handler, paramsJson, enabled ? 1 : 0, timezone, catchUp, once ? 1 : 0, nextRun
             );
             return result.lastInsertRowid;
         } catch (error) {
@@ -741,6 +972,7 @@ class MemoryManager {
             return jobs.map(job => ({
                 ...job,
                 enabled: Boolean(job.enabled),
+                run_once: Boolean(job.run_once),
                 params: job.params ? JSON.parse(job.params) : null
             }));
         } catch (error) {
@@ -791,6 +1023,115 @@ class MemoryManager {
         }
     }
 
+    /**
+     * Records the start of a scheduled job run (or a run that was skipped).
+     *
+     * @param {Object} job - Scheduled job ({ id, name, handler })
+     * @param {Object} [options]
+     * @param {string} [options.trigger='cron'] - What started it ('cron', 'manual', 'catch-up')
+     * @param {string|null} [options.scheduledFor=null] - Cron time the run is for (ISO)
+     * @param {string} [options.status='running'] - 'running', or 'skipped' to record a skipped run
+     * @param {string|null} [options.output=null] - Summary (for skipped runs)
+     * @returns {number} The run ID
+     */
+    startJobRun(job, { trigger = 'cron', scheduledFor = null, status = 'running', output = null } = {}) {
+        if (!job || !job.name || !job.handler) {
+            throw new Error('job with name and handler is required');
+        }
+
+        try {
+            const now = new Date().toISOString();
+            const finished = status === 'running' ? null : now;
+            const result = this.statements.insertJobRun.run(
+                Number.isInteger(job.id) ? job.id : null, job.name, job.handler, trigger, scheduledFor, now,
+                finished, finished ? 0 : null, status, output, null
+            );
+            return result.lastInsertRowid;
+        } catch (error) {
+            console.error('[MemoryManager] Error recording job run:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Records how a scheduled job run ended.
+     *
+     * @param {number} runId - Run ID from startJobRun
+     * @param {Object} result
+     * @param {string} result.status - 'success' or 'failed'
+     * @param {string|null} [result.output=null] - Summary of the job's message
+     * @param {string|null} [result.error=null] - Error message
+     * @returns {boolean} True if updated
+     */
+    finishJobRun(runId, { status, output = null, error = null }) {
+        if (!runId) {
+            throw new Error('runId is required');
+        }
+
+        try {
+            const run = this.statements.getJobRun.get(runId);
+            if (!run) return false;
+
+            const finished = new Date();
+            const duration = finished.getTime() - new Date(run.started_at).getTime();
+            const result = this.statements.finishJobRun.run(
+                finished.toISOString(), duration, status, output, error, runId
+            );
+            return result.changes > 0;
+        } catch (err) {
+            console.error('[MemoryManager] Error finishing job run:', err.message);
+            throw err;
+        }
+    }
+
+    /**
+     * Gets scheduled job runs, newest first.
+     *
+     * @param {Object} [filters]
+     * @param {number} [filters.jobId] - Only this job's runs
+     * @param {string} [filters.status] - Only runs with this status
+     * @param {number} [filters.limit=50] - Max runs
+     * @returns {JobRun[]} Runs
+     */
+    getJobRuns({ jobId = null, status = null, limit = 50 } = {}) {
+        const where = [];
+        const values = [];
+        if (jobId !== null && jobId !== undefined) {
+            where.push('job_id = ?');
+            values.push(jobId);
+        }
+        if (status) {
+            where.push('status = ?');
+            values.push(status);
+        }
+
+        try {
+            return this.db.prepare(`
+                SELECT * FROM scheduler_runs
+                ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+                ORDER BY started_at DESC, id DESC
+                LIMIT ?
+            `).all(...values, limit);
+        } catch (error) {
+            console.error('[MemoryManager] Error getting job runs:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Marks runs still 'running' as interrupted (the process stopped mid-run).
+     *
+     * @returns {number} Runs marked
+     */
+    interruptJobRuns() {
+        try {
+            return this.statements.interruptJobRuns.run(new Date().toISOString()).changes;
+        } catch (error) {
+            console.error('[MemoryManager] Error interrupting job runs:', error.message);
+            return 0;
+        }
+    }
+
     // =========================================================================
     // UTILITY METHODS
     // =========================================================================
@@ -79,8 +79,13 @@ CREATE TABLE IF NOT EXISTS scheduled_jobs (
     handler TEXT NOT NULL,  -- Function/handler name to execute
     params TEXT,  -- JSON string of parameters
     enabled INTEGER NOT NULL DEFAULT 1,
+    timezone TEXT,  -- IANA timezone the cron runs in (NULL: scheduler default)
     last_run DATETIME,
     next_run DATETIME,
+    run_count INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    catch_up TEXT,  -- Missed runs after downtime: once, skip or all (NULL: handler default)
+    run_once INTEGER NOT NULL DEFAULT 0,  -- Disabled after its next run (one-off reminders)
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
 
     CONSTRAINT valid_name CHECK (length(name) > 0),
@@ -92,6 +97,30 @@ CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_enabled ON scheduled_jobs(enabled)
 CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_next_run ON scheduled_jobs(next_run);
 CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_name ON scheduled_jobs(name);
 
+-- ============================================================================
+-- SCHEDULER_RUNS TABLE
+-- One row per scheduled job execution (kept after the job is deleted)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS scheduler_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER,
+    job_name TEXT NOT NULL,
+    handler TEXT NOT NULL,
+    trigger_type TEXT NOT NULL DEFAULT 'cron',  -- cron, manual, catch-up
+    scheduled_for DATETIME,  -- Cron time the run is for (NULL for manual runs)
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME,
+    duration_ms INTEGER,
+    status TEXT NOT NULL DEFAULT 'running',  -- running, success, failed, skipped, interrupted
+    output TEXT,  -- Summary of the message the job produced
+    error TEXT,
+
+    CONSTRAINT valid_status CHECK (status IN ('running', 'success', 'failed', 'skipped', 'interrupted'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduler_runs_job ON scheduler_runs(job_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_scheduler_runs_started ON scheduler_runs(started_at);
+
 -- ============================================================================
 -- TRIGGERS
 -- Automatic timestamp updates
@@ -1,6 +1,7 @@
 // Morning Brief Job Handler
 // Generates a morning summary with tasks, overnight activity, and greeting
-// Also sends repo-specific briefs to registered Telegram groups
+// Also sends repo-specific briefs to registered Telegram groups,
+// and an email copy of the HQ brief to MORNING_BRIEF_EMAIL
 
 const path = require('path');
 
@@ -329,6 +330,33 @@ async function sendGroupBriefs() {
     return sentCount;
 }
 
+/**
+ * Email the HQ brief to MORNING_BRIEF_EMAIL (if set)
+ * @param {string} brief - HQ brief text
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+async function sendEmailBrief(brief) {
+    const to = process.env.MORNING_BRIEF_EMAIL;
+    if (!to || !brief) return false;
+
+    try {
+        const { getEmailHandler } = require('../../email-handler');
+        const email = getEmailHandler();
+
+        if (!email.isAvailable()) {
+            console.log('[MorningBrief] Email not configured, skipping email brief');
+            return false;
+        }
+
+        const date = new Date().toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' });
+        const info = await email.sendEmail({ to, subject: `Morning Brief - ${date}`, text: brief });
+        return !!info;
+    } catch (err) {
+        console.log('[MorningBrief] Email brief failed:', err.message);
+        return false;
+    }
+}
+
 module.exports = {
     generate,
     getGreeting,
@@ -338,5 +366,6 @@ module.exports = {
     getRepoStatus,
     formatRepoBrief,
     sendGroupBriefs,
+    sendEmailBrief,
     resolveRepoFullName
 };
@@ -1,7 +1,30 @@
 // Scheduler Module - Manages scheduled jobs using node-cron
 // Supports persistent jobs, timezone handling, and built-in job types
+// Every run is recorded (scheduler_runs), and runs missed while the bot was
+// down are caught up on startup according to each job's catch-up policy
 
 const cron = require('node-cron');
+const taskQueue = require('../lib/task-queue');
+const { cronTimes, nextCronTime } = require('../lib/recurrence');
+
+// Handlers that can also be run on demand as "report" jobs in the task queue
+const REPORT_HANDLERS = ['morning-brief', 'evening-report', 'proactive-alerts'];
+
+// What to do about runs missed while the bot was down:
+//   once - run once now for the latest missed time
+//   skip - record the missed runs and wait for the next one
+//   all  - run every missed time, oldest first (up to MAX_CATCH_UP_RUNS)
+const CATCH_UP_POLICIES = ['once', 'skip', 'all'];
+
+// Policy for jobs that don't set one (anything not listed: once)
+const DEFAULT_CATCH_UP = {
+    'health-check': 'skip'
+};
+
+const MAX_CATCH_UP_RUNS = 24;
+
+// Longest run output kept in the run history
+const OUTPUT_SUMMARY_LENGTH = 500;
 
 /**
  * Scheduler class for managing cron jobs
@@ -11,13 +34,23 @@ class Scheduler {
     constructor(db, sendMessage) {
         this.db = db;                     // Memory manager for persistence
         this.sendMessage = sendMessage;   // Function to send WhatsApp messages
+        this.sendToChat = null;           // async (message, platform, chatId, buttons) for jobs owned by a chat
         this.jobs = new Map();            // Active cron jobs { jobId: cronTask }
         this.handlers = new Map();        // Job handlers { handlerName: function }
         this.timezone = 'Europe/London';  // Default timezone
         this.isRunning = false;
+        this.catchingUp = null;           // Promise for the startup catch-up
+        this.awaitingHandler = new Map(); // Catch-up waiting for a skill to register its handler { handler: [jobs] }
+        this.catchUpHours = parseInt(process.env.SCHEDULER_CATCH_UP_HOURS, 10) || 168; // How far back to look
 
         // Register built-in handlers
         this._registerBuiltInHandlers();
+
+        // Reports queued with queueReport() run here, one at a time
+        taskQueue.registerHandler('report', this.runReportJob.bind(this), {
+            concurrency: 1,
+            maxAttempts: 2
+        });
     }
 
     /**
@@ -32,15 +65,68 @@ class Scheduler {
         this.registerHandler('nightly-autonomous', this.handleNightlyAutonomous.bind(this));
         this.registerHandler('deadline-check', this.handleDeadlineCheck.bind(this));
         this.registerHandler('custom', this.handleCustomJob.bind(this));
+        this.registerHandler('skill-command', this.handleSkillCommand.bind(this));
     }
 
     /**
      * Register a custom job handler
+     * A handler can return { message, buttons } to send the message with an
+     * inline keyboard (lib/action-buttons layout).
      * @param {string} name - Handler name
-     * @param {Function} handler - Async function(params) => string|void
+     * @param {Function} handler - Async function(params, job) => string|{message, buttons}|void
      */
     registerHandler(name, handler) {
         this.handlers.set(name, handler);
+
+        // Skills register their handlers as they load, which can be after start()
+        const waiting = this.awaitingHandler.get(name);
+        if (waiting) {
+            this.awaitingHandler.delete(name);
+            this.catchUpMissed(waiting).catch(error => {
+                console.error(`[Scheduler] Catch-up for ${name} failed:`, error);
+            });
+        }
+    }
+
+    /**
+     * Set how results of jobs with a chatId param reach that chat
+     * (jobs without one go to sendMessage, the HQ chat)
+     * @param {Function} sendToChat - async (message, platform, chatId, buttons) => void
+     */
+    setChatSender(sendToChat) {
+        this.sendToChat = sendToChat;
+    }
+
+    /**
+     * Queue a report to be generated and sent to a chat
+     * @param {string} report - One of REPORT_HANDLERS
+     * @param {Object} [params] - Handler parameters
+     * @param {Object} [options] - Task queue options (chatId, userId, platform, priority)
+     * @returns {Object|null} Queued job, or null if the report is unknown
+     */
+    queueReport(report, params = {}, options = {}) {
+        if (!REPORT_HANDLERS.includes(report)) {
+            return null;
+        }
+        return taskQueue.enqueue('report', { report, params }, options);
+    }
+
+    /**
+     * Task queue handler for "report" jobs
+     * @param {Object} job - Queue job ({ params: { report, params } })
+     * @returns {Promise<string>} Report text
+     */
+    async runReportJob(job) {
+        const { report, params } = job.params;
+        const handler = this.handlers.get(report);
+        if (!handler || !REPORT_HANDLERS.includes(report)) {
+            const error = new Error(`Unknown report: ${report}`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const result = await handler(params || {});
+        return result || `Nothing to report for ${report}.`;
     }
 
     /**
@@ -57,6 +143,14 @@ class Scheduler {
         this.isRunning = true;
 
         try {
+            // Runs still marked running were cut off when the bot stopped
+            if (this.db && typeof this.db.interruptJobRuns === 'function') {
+                const interrupted = this.db.interruptJobRuns();
+                if (interrupted > 0) {
+                    console.log(`[Scheduler] Marked ${interrupted} interrupted run(s)`);
+                }
+            }
+
             // Load all enabled jobs from database
             const jobs = await this._loadJobsFromDb();
             let startedCount = 0;
@@ -69,6 +163,13 @@ class Scheduler {
             }
 
             console.log(`[Scheduler] Started ${startedCount} jobs`);
+
+            // Catch up on runs missed while the bot was down (in the background)
+            this.catchingUp = this.catchUpMissed(jobs.filter(job => job.enabled)).catch(error => {
+                console.error('[Scheduler] Catch-up failed:', error);
+                return [];
+            });
+
             return startedCount;
         } catch (error) {
             console.error('[Scheduler] Error starting scheduler:', error);
@@ -98,14 +199,22 @@ class Scheduler {
      * @param {string} cronExpression - Cron expression (e.g., '0 8 * * *' for 8am daily)
      * @param {string} handler - Handler name (must be registered)
      * @param {Object} params - Parameters passed to handler
+     * @param {Object} [options]
+     * @param {string} [options.timezone] - IANA timezone for this job (default: scheduler timezone)
+     * @param {string} [options.catchUp] - Missed-run policy: once, skip or all (default: by handler)
+     * @param {boolean} [options.once] - Disable the job after its next run (one-off jobs)
      * @returns {Promise<Object>} Created job record
      */
-    async schedule(name, cronExpression, handler, params = {}) {
+    async schedule(name, cronExpression, handler, params = {}, options = {}) {
         // Validate cron expression
         if (!cron.validate(cronExpression)) {
             throw new Error(`Invalid cron expression: ${cronExpression}`);
         }
 
+        if (options.catchUp && !CATCH_UP_POLICIES.includes(options.catchUp)) {
+            throw new Error(`Unknown catch-up policy: ${options.catchUp}. Use ${CATCH_UP_POLICIES.join(', ')}`);
+        }
+
         // Check handler exists
         if (!this.handlers.has(handler)) {
             throw new Error(`Unknown handler: ${handler}. Available: ${[...this.handlers.keys()].join(', ')}`);
@@ -125,10 +234,12 @@ class Scheduler {
             handler,
             params: JSON.stringify(params),
             enabled: true,
-            timezone: this.timezone,
+            timezone: options.timezone || this.timezone,
+            catch_up: options.catchUp || null,
+            run_once: Boolean(options.once),
             created_at: new Date().toISOString(),
             last_run: null,
-            next_run: this._calculateNextRun(cronExpression),
+            next_run: this._calculateNextRun(cronExpression, options.timezone || this.timezone),
             run_count: 0
         };
 
@@ -187,6 +298,27 @@ class Scheduler {
         return this._loadJobsFromDb();
     }
 
+    /**
+     * List every job, paused ones included, with params parsed
+     * @returns {Promise<Array>} Array of job records
+     */
+    async listAll() {
+        if (!this.db || !this.db.db) {
+            return this._loadJobsFromDb();
+        }
+
+        try {
+            return this.db.db.prepare('SELECT * FROM scheduled_jobs ORDER BY id').all().map(job => ({
+                ...job,
+                enabled: Boolean(job.enabled),
+                params: typeof job.params === 'string' ? JSON.parse(job.params) : job.params
+            }));
+        } catch (error) {
+            console.error('[Scheduler] Error listing jobs:', error);
+            return [];
+        }
+    }
+
     /**
      * Enable a disabled job
      * @param {string} jobId - Job ID to enable
@@ -196,7 +328,9 @@ class Scheduler {
         const job = await this._getJobById(jobId);
         if (!job) return false;
 
+        // Runs due while paused aren't missed runs
         job.enabled = true;
+        job.next_run = this._calculateNextRun(job.cron_expression, job.timezone);
         await this._updateJobInDb(job);
 
         // Start the cron job if scheduler is running
@@ -230,6 +364,61 @@ class Scheduler {
         return true;
     }
 
+    /**
+     * Move a job to a new cron expression and enable it
+     * Used to snooze one-off jobs, which are disabled after they run.
+     * @param {number} jobId - Job ID
+     * @param {string} cronExpression - New cron expression
+     * @returns {Promise<boolean>} True if rescheduled
+     */
+    async reschedule(jobId, cronExpression) {
+        if (!cron.validate(cronExpression)) {
+            throw new Error(`Invalid cron expression: ${cronExpression}`);
+        }
+        const job = await this._getJobById(jobId);
+        if (!job || !this.db || !this.db.db) return false;
+
+        if (this.jobs.has(job.id)) {
+            this.jobs.get(job.id).stop();
+            this.jobs.delete(job.id);
+        }
+
+        job.cron_expression = cronExpression;
+        job.enabled = true;
+        job.next_run = this._calculateNextRun(cronExpression, job.timezone);
+        this.db.db.prepare('UPDATE scheduled_jobs SET cron_expression = ?, enabled = 1, next_run = ? WHERE id = ?')
+            .run(cronExpression, job.next_run, job.id);
+
+        if (this.isRunning) {
+            this._startCronJob(job);
+        }
+
+        console.log(`[Scheduler] Rescheduled job: ${job.name} (${cronExpression})`);
+        return true;
+    }
+
+    /**
+     * Replace the params a job's handler is called with
+     * A running cron task is restarted so its next run sees them.
+     * @param {number} jobId - Job ID
+     * @param {Object} params - New job parameters
+     * @returns {Promise<boolean>} True if updated
+     */
+    async updateParams(jobId, params = {}) {
+        const job = await this._getJobById(jobId);
+        if (!job || !this.db || !this.db.db) return false;
+
+        job.params = JSON.stringify(params);
+        this.db.db.prepare('UPDATE scheduled_jobs SET params = ? WHERE id = ?').run(job.params, job.id);
+
+        if (this.jobs.has(job.id)) {
+            this.jobs.get(job.id).stop();
+            this.jobs.delete(job.id);
+            this._startCronJob(job);
+        }
+        return true;
+    }
+
     /**
      * Set timezone for new jobs
      * @param {string} timezone - IANA timezone (e.g., 'Europe/London')
@@ -238,6 +427,137 @@ class Scheduler {
         this.timezone = timezone;
     }
 
+    /**
+     * Set what happens to a job's runs missed while the bot was down
+     * @param {number} jobId - Job ID
+     * @param {string|null} policy - once, skip or all (null: handler default)
+     * @returns {Promise<boolean>} True if updated
+     */
+    async setCatchUp(jobId, policy) {
+        if (policy && !CATCH_UP_POLICIES.includes(policy)) {
+            throw new Error(`Unknown catch-up policy: ${policy}. Use ${CATCH_UP_POLICIES.join(', ')}`);
+        }
+        if (!this.db || !this.db.db) return false;
+
+        const result = this.db.db.prepare('UPDATE scheduled_jobs SET catch_up = ? WHERE id = ?').run(policy || null, jobId);
+        return result.changes > 0;
+    }
+
+    /**
+     * Catch-up policy in effect for a job
+     * @param {Object} job - Job record
+     * @returns {string} once, skip or all
+     */
+    getCatchUpPolicy(job) {
+        return (job && job.catch_up) || DEFAULT_CATCH_UP[job && job.handler] || 'once';
+    }
+
+    /**
+     * Cron times a job should have run at but didn't
+     * Looks from the job's next_run (or last run) up to now, at most
+     * catchUpHours back.
+     * @param {Object} job - Job record
+     * @param {Date} [now]
+     * @returns {Date[]} Missed times, oldest first
+     */
+    findMissedRuns(job, now = new Date()) {
+        let after = null;
+        if (job.next_run) {
+            after = parseTimestamp(job.next_run) - 1;
+        } else if (job.last_run) {
+            after = parseTimestamp(job.last_run);
+        }
+        if (after === null || isNaN(after)) return [];
+
+        const earliest = now.getTime() - this.catchUpHours * 60 * 60 * 1000;
+        try {
+            return cronTimes(job.cron_expression, {
+                timezone: job.timezone || this.timezone,
+                after: Math.max(after, earliest),
+                before: now.getTime()
+            });
+        } catch (error) {
+            console.error(`[Scheduler] Can't check missed runs for ${job.name}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Find runs missed while the bot was down and apply each job's policy
+     * Called by start(); runs one job at a time.
+     * @param {Array} [jobs] - Jobs to check (default: all enabled jobs)
+     * @param {Date} [now]
+     * @returns {Promise<Array<{job: string, missed: number, policy: string, ran: number}>>}
+     */
+    async catchUpMissed(jobs = null, now = new Date()) {
+        const candidates = jobs || await this._loadJobsFromDb();
+        const summary = [];
+
+        for (const job of candidates) {
+            if (!this.handlers.has(job.handler)) {
+                const waiting = this.awaitingHandler.get(job.handler) || [];
+                this.awaitingHandler.set(job.handler, [...waiting, job]);
+                continue;
+            }
+
+            const missed = this.findMissedRuns(job, now);
+            const policy = this.getCatchUpPolicy(job);
+
+            if (missed.length === 0) {
+                // First start with run tracking: just record when it's next due
+                if (!job.next_run) {
+                    job.next_run = this._calculateNextRun(job.cron_expression, job.timezone);
+                    await this._updateJobInDb(job);
+                }
+                continue;
+            }
+
+            console.log(`[Scheduler] ${job.name} missed ${missed.length} run(s) - catch-up policy: ${policy}`);
+            let toRun = [];
+            if (policy === 'once') {
+                toRun = [missed[missed.length - 1]];
+            } else if (policy === 'all') {
+                toRun = missed.slice(-MAX_CATCH_UP_RUNS);
+            }
+            if (job.run_once) {
+                toRun = toRun.slice(-1); // Disabled after its first run
+            }
+
+            const skipped = missed.length - toRun.length;
+            if (skipped > 0) {
+                this._recordRun(job, {
+                    trigger: 'catch-up',
+                    scheduledFor: missed[missed.length - 1].toISOString(),
+                    status: 'skipped',
+                    output: `Skipped ${skipped} missed run(s) from ${missed[0].toISOString()} (catch-up: ${policy})`
+                });
+            }
+
+            for (const time of toRun) {
+                await this._executeJob(job, { trigger: 'catch-up', scheduledFor: time.toISOString() });
+            }
+
+            if (toRun.length === 0) {
+                job.next_run = this._calculateNextRun(job.cron_expression, job.timezone);
+                await this._updateJobInDb(job);
+            }
+
+            summary.push({ job: job.name, missed: missed.length, policy, ran: toRun.length });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Run history, newest first
+     * @param {Object} [filters] - { jobId, status, limit }
+     * @returns {Array} Run records
+     */
+    getRuns(filters = {}) {
+        if (!this.db || typeof this.db.getJobRuns !== 'function') return [];
+        return this.db.getJobRuns(filters);
+    }
+
     /**
      * Get a job by ID
      * @param {string} jobId - Job ID
@@ -267,7 +587,7 @@ class Scheduler {
             throw new Error(`Job not found: ${jobId}`);
         }
 
-        return this._executeJob(job);
+        return this._executeJob(job, { trigger: 'manual' });
     }
 
     // ==================== Built-in Job Handlers ====================
@@ -275,6 +595,7 @@ class Scheduler {
     /**
      * Morning brief handler - sends daily summary to HQ,
      * then sends repo-specific briefs to registered Telegram groups
+     * and an email copy to MORNING_BRIEF_EMAIL
      * @param {Object} params - Job parameters
      * @returns {Promise<string>} Message to send (HQ brief)
      */
@@ -292,6 +613,12 @@ class Scheduler {
             console.log('[Scheduler] Group briefs error:', err.message);
         });
 
+        morningBrief.sendEmailBrief(hqBrief).then(sent => {
+            if (sent) {
+                console.log(`[Scheduler] Emailed morning brief to ${process.env.MORNING_BRIEF_EMAIL}`);
+            }
+        });
+
         return hqBrief;
     }
 
@@ -356,6 +683,44 @@ class Scheduler {
         return params.message || 'Scheduled reminder (no message set)';
     }
 
+    /**
+     * Skill command handler - runs a chat command as the user who scheduled it
+     * The skill registry applies the same per-chat switches and access checks
+     * as when the command is typed.
+     * @param {Object} params - { command, userId, senderId, chatId, platform, description }
+     * @returns {Promise<string>} Command output, headed with the schedule
+     */
+    async handleSkillCommand(params = {}) {
+        if (!params.command) {
+            throw new Error('No command set for this schedule');
+        }
+
+        const { registry } = require('../skills');
+        const result = await registry.route(params.command, {
+            from: params.userId,
+            userId: params.senderId || params.userId,
+            senderId: params.senderId || params.userId,
+            chatId: params.chatId,
+            platform: params.platform,
+            scheduled: true
+        });
+
+        if (!result.skill) {
+            throw new Error(`No skill handles "${params.command}"`);
+        }
+        // Failed commands fail the run, so the history and the chat show it
+        if (result.success === false) {
+            throw new Error(result.message || `"${params.command}" failed`);
+        }
+        // Nobody is there to say "yes" - nothing was done, so neither was the run
+        if (result.needsApproval) {
+            throw new Error(`"${params.command}" needs confirmation, which a schedule can't give`);
+        }
+
+        const heading = `⏰ *${params.command}*${params.description ? ` (${params.description})` : ''}`;
+        return `${heading}\n\n${result.message || 'Done.'}`;
+    }
+
     // ==================== Private Methods ====================
 
     /**
@@ -367,7 +732,9 @@ class Scheduler {
             const cronTask = cron.schedule(
                 job.cron_expression,
                 async () => {
-                    await this._executeJob(job);
+                    const minute = new Date();
+                    minute.setSeconds(0, 0);
+                    await this._executeJob(job, { scheduledFor: minute.toISOString() });
                 },
                 {
                     scheduled: true,
@@ -388,8 +755,9 @@ class Scheduler {
      * Execute a job and send the result
      * @private
      */
-    async _executeJob(job) {
-        console.log(`[Scheduler] Executing job: ${job.name}`);
+    async _executeJob(job, { trigger = 'cron', scheduledFor = null } = {}) {
+        console.log(`[Scheduler] Executing job: ${job.name}${trigger === 'cron' ? '' : ` (${trigger})`}`);
+        const runId = this._recordRun(job, { trigger, scheduledFor });
 
         try {
             const handler = this.handlers.get(job.handler);
@@ -402,41 +770,110 @@ class Scheduler {
                 : job.params;
 
             // Execute the handler
-            const result = await handler(params);
+            const result = await handler(params, job);
+            const message = result && typeof result === 'object' ? result.message : result;
+            const buttons = result && typeof result === 'object' ? result.buttons : null;
 
             // Update job stats
             job.last_run = new Date().toISOString();
-            job.next_run = this._calculateNextRun(job.cron_expression);
+            job.next_run = this._calculateNextRun(job.cron_expression, job.timezone);
             job.run_count = (job.run_count || 0) + 1;
+            job.last_error = null;
+            this._finishOnce(job);
             await this._updateJobInDb(job);
-
-            // Send the message if there's a result and sendMessage is available
-            if (result && this.sendMessage) {
-                await this.sendMessage(result);
+            this._finishRun(runId, { status: 'success', output: summarizeOutput(message) });
+
+            // Jobs owned by a chat report there; the rest go to the default chat
+            if (message && params && params.chatId && this.sendToChat) {
+                await this.sendToChat(message, params.platform, params.chatId, buttons);
+                console.log(`[Scheduler] Sent message for job: ${job.name} to ${params.chatId}`);
+            } else if (message && this.sendMessage) {
+                await this.sendMessage(message);
                 console.log(`[Scheduler] Sent message for job: ${job.name}`);
             }
 
-            return result;
+            return message;
         } catch (error) {
             console.error(`[Scheduler] Error executing job ${job.name}:`, error);
 
             // Record error
             job.last_error = error.message;
             job.last_run = new Date().toISOString();
+            job.next_run = this._calculateNextRun(job.cron_expression, job.timezone);
+            this._finishOnce(job);
             await this._updateJobInDb(job);
+            this._finishRun(runId, { status: 'failed', error: error.message });
+
+            // Tell the owning chat its schedule failed (HQ jobs only log)
+            let params = null;
+            try {
+                params = typeof job.params === 'string' ? JSON.parse(job.params) : job.params;
+            } catch (e) {
+                // Unreadable params - nowhere to report to
+            }
+            if (params && params.chatId && this.sendToChat) {
+                await this.sendToChat(`⚠️ Scheduled job #${job.id} failed: ${error.message}`, params.platform, params.chatId)
+                    .catch(err => console.error('[Scheduler] Could not report failure:', err.message));
+            }
 
             return null;
         }
     }
 
+    /**
+     * Disable a one-off job once it has run (its cron would fire again next year)
+     * @private
+     */
+    _finishOnce(job) {
+        if (!job.run_once) return;
+
+        job.enabled = false;
+        job.next_run = null;
+        if (this.jobs.has(job.id)) {
+            this.jobs.get(job.id).stop();
+            this.jobs.delete(job.id);
+        }
+    }
+
     /**
      * Calculate next run time for a cron expression
      * @private
+     * @returns {string|null} ISO timestamp, or null if it doesn't run within a year
      */
-    _calculateNextRun(cronExpression) {
-        // Simple estimation - cron-parser could be used for accuracy
-        // For now, return null (will be calculated at runtime)
-        return null;
+    _calculateNextRun(cronExpression, timezone = null) {
+        try {
+            const next = nextCronTime(cronExpression, timezone || this.timezone);
+            return next ? next.toISOString() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Record the start of a run in the history
+     * @private
+     * @returns {number|null} Run ID
+     */
+    _recordRun(job, options) {
+        if (!this.db || typeof this.db.startJobRun !== 'function') return null;
+        try {
+            return this.db.startJobRun(job, options);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Record how a run ended
+     * @private
+     */
+    _finishRun(runId, result) {
+        if (!runId || typeof this.db.finishJobRun !== 'function') return;
+        try {
+            this.db.finishJobRun(runId, result);
+        } catch (error) {
+            // Already logged by the memory manager
+        }
     }
 
     /**
@@ -490,20 +927,22 @@ class Scheduler {
             // Use memory manager's createScheduledJob method if available
             if (typeof this.db.createScheduledJob === 'function') {
                 const params = typeof job.params === 'string' ? JSON.parse(job.params) : job.params;
-                this.db.createScheduledJob(
+                job.id = this.db.createScheduledJob(
                     job.name,
                     job.cron_expression,
                     job.handler,
                     params || {},
-                    job.enabled !== false
+                    job.enabled !== false,
+                    job.timezone,
+                    { catchUp: job.catch_up, nextRun: job.next_run, once: job.run_once }
                 );
                 return;
             }
             // Fallback: insert using prepared statement on the underlying db
             if (this.db.db) {
                 const stmt = this.db.db.prepare(`
-                    INSERT INTO scheduled_jobs (id, name, cron_expression, handler, params, enabled, timezone, created_at, last_run, next_run, run_count)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    INSERT INTO scheduled_jobs (id, name, cron_expression, handler, params, enabled, timezone, catch_up, run_once, created_at, last_run, next_run, run_count)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `);
                 stmt.run(
                     job.id,
@@ -513,6 +952,8 @@ class Scheduler {
                     job.params,
                     job.enabled ? 1 : 0,
                     job.timezone,
+                    job.catch_up,
+                    job.run_once ? 1 : 0,
                     job.created_at,
                     job.last_run,
                     job.next_run,
@@ -621,6 +1062,27 @@ class Scheduler {
     }
 }
 
+/**
+ * Parse an ISO timestamp or a SQLite CURRENT_TIMESTAMP (UTC without a zone)
+ * @param {string} value
+ * @returns {number} Milliseconds (NaN if unreadable)
+ */
+function parseTimestamp(value) {
+    const text = String(value);
+    return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text).getTime();
+}
+
+/**
+ * Shorten a job's message for the run history
+ * @param {string|null} result - Handler result
+ * @returns {string|null}
+ */
+function summarizeOutput(result) {
+    if (!result) return null;
+    const text = String(result).trim();
+    return text.length > OUTPUT_SUMMARY_LENGTH ? `${text.substring(0, OUTPUT_SUMMARY_LENGTH - 3)}...` : text;
+}
+
 // Factory function to create scheduler instance
 function createScheduler(db, sendMessage) {
     return new Scheduler(db, sendMessage);
@@ -644,6 +1106,8 @@ function getScheduler(db, sendMessage) {
 
 module.exports = {
     Scheduler,
+    REPORT_HANDLERS,
+    CATCH_UP_POLICIES,
     createScheduler,
     getScheduler
 };
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Intent Classifier Evaluation
+ *
+ * Runs the intent classifier over a labelled evaluation set and prints
+ * per-intent precision/recall, a confusion matrix and confidence calibration.
+ * Uses the offline AI provider (AI_PROVIDER_MODE=local) with the eval set's
+ * rules unless --live is given.
+ *
+ * With --suggest, frequent user corrections are turned into proposed quick
+ * patterns, printed as a diff of config/project-registry.json. Review the
+ * diff, then re-run with --apply to write it.
+ *
+ * Usage:
+ *   node scripts/intent-eval.js [eval-set.json] [options]
+ *
+ * Options:
+ *   --json               Print the report as JSON
+ *   --min-accuracy <n>   Exit 1 when accuracy is below n (0-1), for CI
+ *   --suggest            Propose patterns from stored corrections
+ *   --min-count <n>      Corrections needed per proposed pattern (default 3)
+ *   --corrections <file> Corrections file (default: data/intent-corrections.json)
+ *   --apply              Write the proposed patterns to the registry
+ *   --live               Use the real Claude API for the AI step
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const options = { file: null, json: false, suggest: false, apply: false, live: false, minCount: 3 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--suggest') options.suggest = true;
+    else if (arg === '--apply') options.apply = options.suggest = true;
+    else if (arg === '--live') options.live = true;
+    else if (arg === '--min-count') options.minCount = parseInt(argv[++i], 10);
+    else if (arg === '--min-accuracy') options.minAccuracy = parseFloat(argv[++i]);
+    else if (arg === '--corrections') options.corrections = argv[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else options.file = arg;
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.live) {
+    process.env.AI_PROVIDER_MODE = 'local';
+  }
+
+  const { IntentClassifier } = require('../lib/intent-classifier');
+  const intentEval = require('../lib/intent-eval');
+
+  const evalSet = intentEval.loadEvalSet(options.file ? path.resolve(options.file) : undefined);
+
+  // Classifier logs every decision - keep the report readable
+  const { log, error } = console;
+  console.log = console.error = () => {};
+
+  const classifier = new IntentClassifier();
+  if (options.corrections) {
+    classifier.correctionsFile = path.resolve(options.corrections);
+  }
+
+  let report;
+  try {
+    classifier.initialize({ rules: evalSet.rules.length > 0 ? { rules: evalSet.rules } : undefined });
+    report = await intentEval.evaluate(classifier, evalSet.cases);
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+
+  const proposal = options.suggest
+    ? intentEval.proposePatterns(classifier, { minCount: options.minCount })
+    : null;
+
+  if (options.json) {
+    console.log(JSON.stringify({ name: evalSet.name, ...report, suggestions: proposal?.suggestions }, null, 2));
+  } else {
+    console.log(intentEval.formatReport(report, evalSet.name));
+
+    if (proposal) {
+      console.log(`\nPattern suggestions from ${classifier.corrections.length} correction(s):`);
+      if (proposal.suggestions.length === 0) {
+        console.log(`  none (need ${options.minCount}+ corrections sharing a phrase)`);
+      } else {
+        for (const s of proposal.suggestions) {
+          console.log(`  ${s.intent}: "${s.pattern}" (${s.count}x, e.g. "${s.examples[0]}")`);
+        }
+        console.log('\n' + proposal.diff);
+      }
+    }
+  }
+
+  if (options.apply && proposal && proposal.suggestions.length > 0) {
+    fs.writeFileSync(intentEval.DEFAULT_REGISTRY_FILE, proposal.updatedText);
+    console.log(`Applied ${proposal.suggestions.length} pattern(s) to ${intentEval.DEFAULT_REGISTRY_FILE}`);
+  }
+
+  if (options.minAccuracy !== undefined && report.accuracy < options.minAccuracy) {
+    console.error(`Accuracy ${(report.accuracy * 100).toFixed(1)}% is below ${(options.minAccuracy * 100).toFixed(1)}%`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
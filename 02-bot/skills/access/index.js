@@ -0,0 +1,250 @@
+/**
+ * Access Skill - Grant, revoke and list roles
+ *
+ * Roles decide which commands a person can run (lib/access-control). They are
+ * stored in the chat registry, either for every chat or for one chat ("here"),
+ * so someone can be an accountant in the company chat and a viewer elsewhere.
+ *
+ * Roles: owner, admin, developer, accountant, viewer. Admins manage
+ * developers, accountants and viewers; only owners hand out admin or owner.
+ * "everyone" sets the default role for the current chat.
+ *
+ * Commands:
+ *   access grant <role> to <user> [here]   - Give a user a role (everywhere, or just this chat)
+ *   access revoke <user> [here]            - Remove a user's role
+ *   access list                            - Roles in this chat and everywhere
+ *   access roles                           - What each role can do
+ *
+ * @example
+ * access grant developer to 123456789
+ * access grant accountant to U0123ABCD here
+ * access grant viewer to everyone here
+ * access revoke 123456789
+ * access list
+ *
+ * @module skills/access
+ */
+
+const BaseSkill = require('../base-skill');
+const chatRegistry = require('../../lib/chat-registry');
+const accessControl = require('../../lib/access-control');
+
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS } = accessControl;
+
+const SCOPE_ARG = {
+  name: 'scope',
+  choices: ['here', 'everywhere'],
+  optional: true,
+  default: 'everywhere',
+  description: '"here" for this chat only'
+};
+
+// What each permission unlocks, for "access roles"
+const PERMISSION_LABELS = {
+  [PERMISSIONS.USE]: 'everyday commands',
+  [PERMISSIONS.FINANCE]: 'invoices, receipts and company finances',
+  [PERMISSIONS.DEV]: 'code, deploys, shell and containers',
+  [PERMISSIONS.ADMIN]: 'secrets, backups, skills, settings and access',
+  [PERMISSIONS.OWNER]: 'granting admin and owner'
+};
+
+class AccessSkill extends BaseSkill {
+  name = 'access';
+  description = 'Grant, revoke and list the roles that decide who can run which commands';
+  priority = 95; // Alongside skill-manager so "access ..." is never swallowed
+
+  commands = [
+    {
+      command: 'access grant',
+      usage: 'access grant <role> to <user> [here]',
+      description: 'Give a user a role everywhere or in this chat',
+      permission: PERMISSIONS.ADMIN,
+      destructive: true,
+      args: [
+        { name: 'role', choices: Object.values(ROLES), description: 'Role to give' },
+        'to',
+        { name: 'user', description: 'User ID, or "everyone" for this chat' },
+        SCOPE_ARG
+      ]
+    },
+    {
+      command: 'access revoke',
+      usage: 'access revoke <user> [here]',
+      description: "Remove a user's role everywhere or in this chat",
+      permission: PERMISSIONS.ADMIN,
+      destructive: true,
+      args: [
+        { name: 'user', description: 'User ID, or "everyone" for this chat' },
+        SCOPE_ARG
+      ]
+    },
+    {
+      command: 'access list',
+      description: 'Show roles in this chat and everywhere',
+      args: []
+    },
+    {
+      command: 'access roles',
+      description: 'Show what each role can do',
+      args: []
+    }
+  ];
+
+  async execute(command, context = {}) {
+    const invocation = context.invocation || this.parseArgs(command);
+    if (invocation.error) {
+      return this.usageError(invocation.definition, invocation.error);
+    }
+
+    const { userId: senderId, chatId } = accessControl.getSender(context);
+    const sender = accessControl.resolveRole(senderId, chatId);
+    const { role, user, scope } = invocation.args;
+
+    try {
+      switch (invocation.command) {
+        case 'access grant':
+          return this.handleGrant(sender.role, normalizeUser(user), role, scope === 'here' ? chatId : null);
+        case 'access revoke':
+          return this.handleRevoke(sender.role, normalizeUser(user), scope === 'here' ? chatId : null);
+        case 'access list':
+          return this.handleList(senderId, chatId, sender);
+        case 'access roles':
+          return this.handleRoles();
+        default:
+          return this.error('Access command not recognized', null, {
+            suggestion: 'Try: access list'
+          });
+      }
+    } catch (err) {
+      this.log('error', 'Access command failed', err);
+      return this.error('Access command failed', err);
+    }
+  }
+
+  // ============ Command Handlers ============
+
+  /**
+   * Give a user a role in one chat or everywhere
+   */
+  handleGrant(granterRole, userId, role, chatId) {
+    if (userId === '*' && !chatId) {
+      return this.error('A default role for everyone is set per chat', null, {
+        suggestion: `Use "access grant ${role} to everyone here"`
+      });
+    }
+    if (!accessControl.canAssign(granterRole, role)) {
+      return this.error(`Only an owner can grant ${role}`, null, {
+        suggestion: `Your role is ${granterRole}`
+      });
+    }
+
+    const current = chatRegistry.getRole(userId, chatId);
+    if (current && !accessControl.canAssign(granterRole, current)) {
+      return this.error(`Only an owner can change the role of a ${current}`);
+    }
+
+    chatRegistry.setRole(userId, role, chatId);
+    this.log('info', `Granted ${role} to ${userId} in ${chatId || 'every chat'}`);
+
+    return this.success(
+      `${describeUser(userId)} is now *${role}* ${chatId ? 'in this chat' : 'in every chat'}.\n` +
+      `Can run: ${ROLE_PERMISSIONS[role].map(p => PERMISSION_LABELS[p]).join(', ')}`
+    );
+  }
+
+  /**
+   * Remove a user's role in one chat or everywhere
+   */
+  handleRevoke(granterRole, userId, chatId) {
+    if (userId !== '*' && accessControl.getOwners().includes(userId)) {
+      return this.error(`${userId} is an owner set in ACCESS_OWNERS`, null, {
+        suggestion: 'Remove them from ACCESS_OWNERS to change this'
+      });
+    }
+
+    const current = chatRegistry.getRole(userId, chatId);
+    if (!current) {
+      return this.error(`${describeUser(userId)} has no role ${chatId ? 'in this chat' : 'set for every chat'}`, null, {
+        suggestion: chatId ? 'Roles for every chat are revoked without "here"' : 'Chat roles are revoked with "here"'
+      });
+    }
+    if (!accessControl.canAssign(granterRole, current)) {
+      return this.error(`Only an owner can revoke ${current}`, null, {
+        suggestion: `Your role is ${granterRole}`
+      });
+    }
+
+    chatRegistry.clearRole(userId, chatId);
+    this.log('info', `Revoked ${current} from ${userId} in ${chatId || 'every chat'}`);
+
+    return this.success(`${describeUser(userId)} is no longer *${current}* ${chatId ? 'in this chat' : 'in every chat'}.`);
+  }
+
+  /**
+   * Show the sender's role and the roles assigned here and everywhere
+   */
+  handleList(senderId, chatId, sender) {
+    const lines = [`*Access*`, '', `Your role here: *${sender.role}*${sourceNote(sender.source)}`];
+
+    const owners = accessControl.getOwners();
+    if (owners.length > 0) {
+      lines.push('', '*Owners (ACCESS_OWNERS)*', ...owners.map(id => `• ${id}`));
+    }
+
+    const here = chatId ? chatRegistry.getRoles(chatId) : {};
+    if (Object.keys(here).length > 0) {
+      lines.push('', '*This chat*', ...formatAssignments(here));
+    }
+
+    const everywhere = chatRegistry.getRoles();
+    if (Object.keys(everywhere).length > 0) {
+      lines.push('', '*Every chat*', ...formatAssignments(everywhere));
+    }
+
+    lines.push('', `Anyone else: ${accessControl.getDefaultRole()}`);
+    return this.success(lines.join('\n'));
+  }
+
+  /**
+   * Show what each role can do
+   */
+  handleRoles() {
+    const lines = ['*Roles*', ''];
+    for (const role of Object.values(ROLES)) {
+      lines.push(`*${role}* - ${ROLE_PERMISSIONS[role].map(p => PERMISSION_LABELS[p]).join(', ')}`);
+    }
+    return this.success(lines.join('\n'));
+  }
+}
+
+/**
+ * Accept "everyone", raw IDs and Slack/Discord mentions (<@U123>, <@!123>)
+ */
+function normalizeUser(user) {
+  const trimmed = String(user || '').trim();
+  if (trimmed.toLowerCase() === 'everyone') return '*';
+  return trimmed.replace(/^<@!?([^>|]+)(\|[^>]*)?>$/, '$1').replace(/^@/, '');
+}
+
+function describeUser(userId) {
+  return userId === '*' ? 'Everyone' : userId;
+}
+
+function formatAssignments(assigned) {
+  return Object.entries(assigned)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([userId, role]) => `• ${userId === '*' ? 'everyone' : userId}: ${role}`);
+}
+
+function sourceNote(source) {
+  switch (source) {
+    case 'owners': return ' (ACCESS_OWNERS)';
+    case 'chat': return ' (this chat)';
+    case 'global': return ' (every chat)';
+    case 'chat-default': return ' (chat default)';
+    case 'private-chat': return ' (private chat, no ACCESS_OWNERS set)';
+    default: return ' (default)';
+  }
+}
+
+module.exports = AccessSkill;
@@ -32,7 +32,9 @@ class ActionsSkill extends BaseSkill {
     {
       pattern: /^run\s+workflow\s+(\S+)\s+(.+)$/i,
       description: 'Trigger a workflow',
-      usage: 'run workflow <repo> <workflow-name>'
+      usage: 'run workflow <repo> <workflow-name>',
+      destructive: true,
+      permission: 'dev'
     },
     {
       pattern: /^run\s+status\s+(\S+)\s+(\d+)$/i,
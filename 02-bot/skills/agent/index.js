@@ -0,0 +1,123 @@
+/**
+ * Agent Skill - Multi-step requests answered by chaining other skills
+ *
+ * Hands the request to the agent loop (lib/agent-loop), where the model
+ * calls skills as tools - read a file on GitHub, check deadlines, list
+ * containers, get the weather - and combines the results into one answer.
+ * Commands flagged destructive pause the run until the user replies "yes".
+ *
+ * Commands:
+ *   agent <request>  - Let the bot work out which skills to run
+ *
+ * Examples:
+ *   agent what's due this week and is it going to rain in London?
+ *   agent check docker ps and restart anything that's unhealthy
+ *
+ * Step budget: AGENT_MAX_STEPS (default 6)
+ */
+const BaseSkill = require('../base-skill');
+const agentLoop = require('../../lib/agent-loop');
+
+class AgentSkill extends BaseSkill {
+  name = 'agent';
+  description = 'Multi-step requests that chain other skills as tools';
+  priority = 30;
+
+  commands = [
+    {
+      command: 'agent',
+      description: 'Let the bot run skills step by step to answer a request',
+      args: [
+        { name: 'request', type: 'text', description: 'What you want done' }
+      ]
+    }
+  ];
+
+  /**
+   * Execute agent commands
+   */
+  async execute(command, context = {}) {
+    const invocation = context.invocation || this.parseArgs(command);
+
+    if (invocation.error) {
+      return this.usageError(invocation.definition, invocation.error);
+    }
+
+    try {
+      const result = await agentLoop.run(invocation.args.request, this.runContext(context));
+      return this.formatResult(result);
+    } catch (error) {
+      this.log('error', 'Agent run failed', error.message);
+      return this.error('Agent run failed', error.message);
+    }
+  }
+
+  /**
+   * Run the confirmed tool call and continue the paused run
+   * Called by the confirmation flow after the user says 'yes'
+   */
+  async executeConfirmed(approvalData, context = {}) {
+    try {
+      const result = await agentLoop.resume(approvalData.runId);
+      return this.formatResult(result);
+    } catch (error) {
+      this.log('error', 'Agent run failed after confirmation', error.message);
+      return this.error('Agent run failed', error.message);
+    }
+  }
+
+  /**
+   * Drop a paused run the user declined
+   */
+  cancelConfirmed(approvalData) {
+    return agentLoop.cancel(approvalData.runId);
+  }
+
+  /**
+   * Context handed to every tool call (no media or schema invocation)
+   */
+  runContext(context) {
+    return {
+      userId: context.userId || context.from,
+      chatId: context.chatId || context.userId || context.from,
+      from: context.from,
+      accountId: context.accountId,
+      senderId: context.senderId,
+      platform: context.platform,
+      autoRepo: context.autoRepo,
+      autoCompany: context.autoCompany,
+      company: context.company
+    };
+  }
+
+  /**
+   * Turn an agent-loop result into a skill response
+   * Paused runs carry the approval request through to the confirmation manager.
+   */
+  formatResult(result) {
+    if (result.needsApproval) {
+      const { formatConfirmationRequest } = require('../../lib/confirmation-manager');
+      const { action, ...params } = result.approvalData;
+      const progress = result.message ? `${result.message}\n\n` : '';
+
+      return {
+        success: true,
+        message: progress + formatConfirmationRequest(action, params),
+        needsApproval: true,
+        approvalData: result.approvalData
+      };
+    }
+
+    const footer = result.tools.length > 0
+      ? `\n\n_${result.tools.length} tool call${result.tools.length === 1 ? '' : 's'}, ${result.steps} step${result.steps === 1 ? '' : 's'}_`
+      : '';
+
+    return {
+      success: result.success,
+      message: result.message + footer,
+      data: { steps: result.steps, tools: result.tools, stopped: !!result.stopped }
+    };
+  }
+}
+
+module.exports = AgentSkill;
@@ -7,23 +7,68 @@
  *   use groq                            - Set default to Groq (FREE)
  *   use claude                          - Set default to Claude
  *   ai help                             - Show AI settings help
+ *   ai budget                           - Show AI spend, limits and burn rate
+ *   ai budget set <scope> <period> <limit> [tokens] [soft <n>] - Set a spend cap
+ *   ai budget clear <scope> <period> [tokens]                  - Remove a spend cap
  */
 
 const BaseSkill = require('../base-skill');
+const aiBudget = require('../../lib/ai-budget');
 
 // Import provider registry (will be initialized later)
 let providerRegistry = null;
 
+// "ai budget" scopes → budget scope + id resolver
+const BUDGET_SCOPES = {
+    me: { scope: 'user', label: 'You', id: ctx => ctx.userId },
+    chat: { scope: 'chat', label: 'This chat', id: ctx => ctx.chatId || ctx.userId },
+    users: { scope: 'user', label: 'Every user', id: () => '*' },
+    chats: { scope: 'chat', label: 'Every chat', id: () => '*' },
+    providers: { scope: 'provider', label: 'Every paid provider', id: () => '*' },
+    claude: { scope: 'provider', label: 'Claude', id: () => 'claude' },
+    grok: { scope: 'provider', label: 'Grok', id: () => 'grok' },
+    perplexity: { scope: 'provider', label: 'Perplexity', id: () => 'perplexity' },
+    groq: { scope: 'provider', label: 'Groq', id: () => 'groq' }
+};
+
+const BUDGET_SCOPE_ARG = {
+    name: 'scope',
+    choices: Object.keys(BUDGET_SCOPES),
+    description: 'me, chat, users, chats, providers or a provider name'
+};
+const BUDGET_PERIOD_ARG = { name: 'period', choices: ['daily', 'monthly'] };
+const BUDGET_UNIT_ARG = { name: 'unit', choices: ['usd', 'tokens'], optional: true, default: 'usd' };
+
 class AISettingsSkill extends BaseSkill {
     name = 'ai-settings';
     description = 'Manage AI provider preferences and view usage stats';
     priority = 95; // High priority to intercept AI commands
 
     commands = [
-        { pattern: /^ai\s+mode\s+(economy|quality|balanced)$/i, description: 'Set AI routing mode', usage: 'ai mode economy' },
+        {
+            command: 'ai budget set',
+            description: 'Set a daily/monthly AI spend cap',
+            permission: 'admin',
+            args: [
+                BUDGET_SCOPE_ARG,
+                BUDGET_PERIOD_ARG,
+                { name: 'limit', type: 'number', description: 'Hard limit in USD (or tokens)' },
+                BUDGET_UNIT_ARG,
+                'soft',
+                { name: 'soft', type: 'number', optional: true, description: 'Soft limit - cheaper AI from here (default 80%)' }
+            ]
+        },
+        {
+            command: 'ai budget clear',
+            description: 'Remove an AI spend cap',
+            permission: 'admin',
+            args: [BUDGET_SCOPE_ARG, BUDGET_PERIOD_ARG, BUDGET_UNIT_ARG]
+        },
+        { command: 'ai budget', description: 'Show AI spend, limits and burn rate' },
+        { pattern: /^ai\s+mode\s+(economy|quality|balanced)$/i, description: 'Set AI routing mode', usage: 'ai mode economy', permission: 'admin' },
         { pattern: /^ai\s+stats?$/i, description: 'Show AI usage statistics', usage: 'ai stats' },
         { pattern: /^ai\s+status$/i, description: 'Show AI provider status', usage: 'ai status' },
-        { pattern: /^use\s+(groq|claude)$/i, description: 'Set default AI provider', usage: 'use groq' },
+        { pattern: /^use\s+(groq|claude)$/i, description: 'Set default AI provider', usage: 'use groq', permission: 'admin' },
         { pattern: /^ai\s+help$/i, description: 'Show AI settings help', usage: 'ai help' },
         { pattern: /^ai\s+providers?$/i, description: 'List available AI providers', usage: 'ai providers' },
         { pattern: /^ai\s+explain\s+(.+)$/i, description: 'Explain routing for a query', usage: 'ai explain <query>' }
@@ -33,9 +78,23 @@ class AISettingsSkill extends BaseSkill {
         super(context);
     }
 
-    async execute(command, context) {
+    async execute(command, context = {}) {
         const lowerCmd = (command || '').toLowerCase().trim();
 
+        // ai budget [set|clear] (schema commands)
+        const invocation = context.invocation || this.parseArgs(command);
+        if (invocation.error) {
+            return this.usageError(invocation.definition, invocation.error);
+        }
+        switch (invocation.command) {
+            case 'ai budget':
+                return this.showBudget(context);
+            case 'ai budget set':
+                return this.setBudget(invocation.args, context);
+            case 'ai budget clear':
+                return this.clearBudget(invocation.args, context);
+        }
+
         // Lazy load provider registry
         if (!providerRegistry) {
             try {
@@ -249,6 +308,109 @@ class AISettingsSkill extends BaseSkill {
         }
     }
 
+    /**
+     * Show spend vs limits, burn rate and today's provider breakdown
+     */
+    showBudget(context) {
+        try {
+            const summary = aiBudget.getSummary({
+                userId: context.userId || null,
+                chatId: context.chatId || context.userId || null
+            });
+
+            const statusLine = {
+                ok: 'OK',
+                soft: '⚠ Soft limit hit - routing to cheaper AI',
+                hard: '⛔ Hard limit hit - paid AI paused'
+            }[summary.status];
+
+            let response = `*AI Budget* \n\n`;
+            response += `Status: ${statusLine}\n\n`;
+
+            if (summary.limits.length === 0) {
+                response += `_No limits set_\n`;
+                response += `Try: "ai budget set me daily 5"\n\n`;
+            } else {
+                response += `*Limits*\n`;
+                for (const limit of summary.limits) {
+                    const who = limit.scope === 'user' ? 'You' : (limit.scope === 'chat' ? 'This chat' : limit.scopeId);
+                    const flag = limit.level === 'hard' ? ' ⛔' : (limit.level === 'soft' ? ' ⚠' : '');
+                    const inherited = limit.inherited ? ' _(default)_' : '';
+                    response += `  ${who} ${limit.period}: ${aiBudget.formatAmount(limit.used, limit.metric)} / ` +
+                        `${aiBudget.formatAmount(limit.hard, limit.metric)} (${limit.percent}%)${flag}${inherited}\n`;
+                }
+                response += `\n`;
+            }
+
+            const burn = summary.burnRate;
+            response += `*Burn Rate*\n`;
+            response += `  Last hour: $${burn.lastHour.toFixed(4)}\n`;
+            response += `  Last 24h: $${burn.last24h.toFixed(4)} ($${burn.perHour.toFixed(4)}/h)\n`;
+            response += `  Month so far: $${burn.monthToDate.toFixed(2)} → projected $${burn.projectedMonth.toFixed(2)}\n`;
+
+            const today = Object.entries(summary.providers.today);
+            if (today.length > 0) {
+                response += `\n*Today by Provider*\n`;
+                for (const [provider, usage] of today) {
+                    response += `  ${provider}: ${usage.calls} calls, ${usage.tokens.toLocaleString()} tokens, $${usage.cost.toFixed(4)}\n`;
+                }
+            }
+
+            return this.success(response.trim());
+        } catch (error) {
+            return this.error(`Failed to get budget: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set a spend cap
+     */
+    setBudget(args, context) {
+        const target = BUDGET_SCOPES[args.scope];
+        const scopeId = target.id(context);
+        if (!scopeId) {
+            return this.error('Unable to determine who this budget is for');
+        }
+
+        try {
+            const limit = aiBudget.setLimit({
+                scope: target.scope,
+                scopeId,
+                period: args.period,
+                metric: args.unit === 'tokens' ? 'tokens' : 'cost',
+                hard: args.limit,
+                soft: args.soft != null ? args.soft : null,
+                updatedBy: context.userId ? String(context.userId) : null
+            });
+
+            return this.success(
+                `*AI Budget Set* \n\n` +
+                `${target.label} - ${limit.period}\n` +
+                `Soft: ${aiBudget.formatAmount(limit.soft, limit.metric)} (cheaper AI from here)\n` +
+                `Hard: ${aiBudget.formatAmount(limit.hard, limit.metric)} (paid AI stops)`
+            );
+        } catch (error) {
+            return this.error('Failed to set budget', error.message);
+        }
+    }
+
+    /**
+     * Remove a spend cap
+     */
+    clearBudget(args, context) {
+        const target = BUDGET_SCOPES[args.scope];
+        const removed = aiBudget.clearLimit({
+            scope: target.scope,
+            scopeId: target.id(context),
+            period: args.period,
+            metric: args.unit === 'tokens' ? 'tokens' : 'cost'
+        });
+
+        return removed
+            ? this.success(`${target.label} ${args.period} budget removed`)
+            : this.error(`No ${args.period} budget set for ${target.label.toLowerCase()}`);
+    }
+
     /**
      * Show help for AI settings
      */
@@ -267,6 +429,11 @@ class AISettingsSkill extends BaseSkill {
             `• "ai status" - Provider health check\n` +
             `• "ai providers" - List all providers\n` +
             `• "ai explain <query>" - See routing decision\n\n` +
+            `*Budget:*\n` +
+            `• "ai budget" - Spend, limits & burn rate\n` +
+            `• "ai budget set me daily 5" - $5/day cap for you\n` +
+            `• "ai budget set claude monthly 50 soft 40" - Provider cap\n` +
+            `• "ai budget clear me daily" - Remove a cap\n\n` +
             `_Default: Balanced mode (saves ~70% costs)_`
         );
     }
@@ -14,7 +14,7 @@
  *   analytics usage          - Bot usage stats (messages, skills)
  *   analytics deployments    - Deployment history and success rate
  *   analytics productivity   - Pomodoro and task completion
- *   analytics expenses       - Expense and budget overview
+ *   analytics expenses [period] - Expense and budget overview (this month by default)
  *   analytics github         - GitHub activity stats
  *   analytics <project>      - Project-specific metrics
  *
@@ -33,8 +33,14 @@
  *
  * analytics productivity
  * -> Pomodoro sessions, completion rate, focus time
+ *
+ * analytics expenses last quarter
+ * -> Spending by category and company from the expense ledger, in GBP
  */
 const BaseSkill = require('../base-skill');
+const { parseDateRange, clarifyCommands } = require('../../lib/date-parser');
+const { getUserTimezone } = require('../../lib/user-timezone');
+const fxRates = require('../../lib/fx-rates');
 
 class AnalyticsSkill extends BaseSkill {
   name = 'analytics';
@@ -67,9 +73,9 @@ class AnalyticsSkill extends BaseSkill {
       usage: 'analytics productivity'
     },
     {
-      pattern: /^analytics (expenses|spending|budget)$/i,
+      pattern: /^analytics (expenses|spending|budget)(?: (.+))?$/i,
       description: 'Expense tracking and budget status',
-      usage: 'analytics expenses'
+      usage: 'analytics expenses [period]'
     },
     {
       pattern: /^analytics (github|git|prs)$/i,
@@ -127,7 +133,17 @@ class AnalyticsSkill extends BaseSkill {
     }
 
     if (/expenses|spending|budget/i.test(args[0])) {
-      return this.showExpenseStats(context);
+      const period = args.slice(1).join(' ');
+      if (!period) return this.showExpenseStats(context);
+
+      const range = parseDateRange(period, { timezone: getUserTimezone(context.userId, this.memory) });
+      if (range && range.ambiguous) return this.clarify(range.question, clarifyCommands(raw, range));
+      if (!range) {
+        return this.error(`Couldn't read the period "${period}"`, null, {
+          suggestion: 'Try: analytics expenses last month, analytics expenses Q1 2026'
+        });
+      }
+      return this.showExpenseStats(context, range);
     }
 
     if (/github|git|prs/i.test(args[0])) {
@@ -464,109 +480,96 @@ class AnalyticsSkill extends BaseSkill {
   }
 
   /**
-   * Expense and budget statistics
+   * Expense and budget statistics from the expense ledger. This month
+   * against last month, or one period when a range is given. Amounts are
+   * GBP at each expense's stored rate (lib/fx-rates).
+   * @param {Object} context
+   * @param {Object} [range] - parseDateRange() result
    */
-  async showExpenseStats(context) {
-    const cacheKey = 'expenses';
+  async showExpenseStats(context, range = null) {
+    const cacheKey = range ? `expenses:${range.from}:${range.to}` : 'expenses';
     const cached = this.getCache(cacheKey);
     if (cached) return cached;
 
     try {
-      const fs = require('fs');
-      const path = require('path');
-      const receiptsPath = path.join(__dirname, '..', '..', 'data', 'receipts.json');
-
-      // Check if receipts file exists
-      if (!fs.existsSync(receiptsPath)) {
-        return this.success('No expense data available yet.\nUse the receipts skill to track expenses.');
-      }
-
-      let receipts = JSON.parse(fs.readFileSync(receiptsPath, 'utf8'));
-
-      // Handle empty or invalid receipts file
-      if (!Array.isArray(receipts)) {
-        receipts = [];
-      }
-
-      if (receipts.length === 0) {
+      if ((this.db.getExpenseTotals()[0]?.count || 0) === 0) {
         return this.success('No expense data available yet.\nUse the receipts skill to track expenses.');
       }
+      await fxRates.normaliseExpenses();
 
       const now = new Date();
-      const currentMonth = now.getMonth();
-      const currentYear = now.getFullYear();
-
-      // Filter receipts for current month
-      const thisMonth = receipts.filter(r => {
-        const date = new Date(r.date);
-        return date.getMonth() === currentMonth && date.getFullYear() === currentYear;
-      });
+      const thisMonthKey = this.formatDate(now).substring(0, 7);
+      const lastMonthKey = this.formatDate(new Date(now.getFullYear(), now.getMonth() - 1, 15)).substring(0, 7);
+      const filters = range ? { from: range.from, to: range.to } : { month: thisMonthKey };
+      const label = range ? range.description : 'This Month';
 
-      // Filter receipts for last month
-      const lastMonth = receipts.filter(r => {
-        const date = new Date(r.date);
-        const month = currentMonth === 0 ? 11 : currentMonth - 1;
-        const year = currentMonth === 0 ? currentYear - 1 : currentYear;
-        return date.getMonth() === month && date.getFullYear() === year;
-      });
-
-      // Calculate totals
-      const thisMonthTotal = thisMonth.reduce((sum, r) => sum + parseFloat(r.amount || 0), 0);
-      const thisMonthVAT = thisMonth.reduce((sum, r) => sum + parseFloat(r.vat || 0), 0);
-      const lastMonthTotal = lastMonth.reduce((sum, r) => sum + parseFloat(r.amount || 0), 0);
-
-      // By category
-      const byCategory = {};
-      thisMonth.forEach(r => {
-        const cat = r.category || 'Uncategorized';
-        byCategory[cat] = (byCategory[cat] || 0) + parseFloat(r.amount || 0);
-      });
+      const totals = this.db.getExpenseTotals(filters)[0];
+      const byCategory = this.db.getExpenseTotals(filters, ['category']);
+      const byCompany = this.db.getExpenseTotals(filters, ['company']);
 
       let output = `💰 *Expense Analytics*\n\n`;
-      output += `*This Month*\n`;
-      output += `Total spent: £${thisMonthTotal.toFixed(2)}\n`;
-      output += `VAT: £${thisMonthVAT.toFixed(2)}\n`;
-      output += `Receipts: ${thisMonth.length}\n\n`;
-
-      output += `*Last Month*\n`;
-      output += `Total spent: £${lastMonthTotal.toFixed(2)}\n`;
-      output += `Receipts: ${lastMonth.length}\n`;
-
-      // Month-over-month comparison
-      if (lastMonthTotal > 0) {
-        const change = ((thisMonthTotal - lastMonthTotal) / lastMonthTotal) * 100;
-        const trend = change > 0 ? '📈' : change < 0 ? '📉' : '➡️';
-        output += `Change: ${trend} ${change > 0 ? '+' : ''}${change.toFixed(1)}%\n`;
+      output += `*${label}*\n`;
+      output += `Total spent: £${totals.base_gross.toFixed(2)}\n`;
+      output += `Net: £${totals.base_net.toFixed(2)}\n`;
+      output += `VAT: £${totals.base_vat.toFixed(2)}\n`;
+      output += `Receipts: ${totals.count}\n`;
+      if (totals.unconverted) {
+        output += `_${totals.unconverted} receipt(s) left out: no exchange rate for their currency_\n`;
+      }
+
+      if (!range) {
+        const lastMonth = this.db.getExpenseTotals({ month: lastMonthKey })[0];
+        output += `\n*Last Month*\n`;
+        output += `Total spent: £${lastMonth.base_gross.toFixed(2)}\n`;
+        output += `Receipts: ${lastMonth.count}\n`;
+
+        // Month-over-month comparison
+        if (lastMonth.base_gross > 0) {
+          const change = ((totals.base_gross - lastMonth.base_gross) / lastMonth.base_gross) * 100;
+          const trend = change > 0 ? '📈' : change < 0 ? '📉' : '➡️';
+          output += `Change: ${trend} ${change > 0 ? '+' : ''}${change.toFixed(1)}%\n`;
+        }
       }
 
       // By category
-      if (Object.keys(byCategory).length > 0) {
-        output += `\n*By Category (This Month)*\n`;
-        const sorted = Object.entries(byCategory).sort((a, b) => b[1] - a[1]);
-        const max = Math.max(...sorted.map(([_, amt]) => amt));
-
-        sorted.forEach(([cat, amt]) => {
-          const bar = this.renderBarCustom(amt, max);
-          output += `${cat}: ${bar} £${amt.toFixed(2)}\n`;
+      if (byCategory.length > 0) {
+        output += `\n*By Category (${label})*\n`;
+        const max = Math.max(...byCategory.map(row => row.base_gross));
+        byCategory.forEach(row => {
+          const bar = this.renderBarCustom(row.base_gross, max);
+          output += `${row.category}: ${bar} £${row.base_gross.toFixed(2)}\n`;
         });
       }
 
-      // Check budgets
-      const dbInstance = this.db.getDb();
-      const budgets = dbInstance.prepare(
-        `SELECT category, amount FROM budgets WHERE period = 'monthly'`
-      ).all();
-
-      if (budgets.length > 0) {
-        output += `\n*Budget Status*\n`;
-        budgets.forEach(budget => {
-          const spent = byCategory[budget.category] || 0;
-          const percentage = (spent / budget.amount) * 100;
-          const status = percentage > 100 ? '🔴' : percentage > 80 ? '🟡' : '🟢';
-          output += `${status} ${budget.category}: £${spent.toFixed(2)} / £${budget.amount.toFixed(2)} (${percentage.toFixed(0)}%)\n`;
+      // By company
+      if (byCompany.length > 0) {
+        output += `\n*By Company (${label})*\n`;
+        byCompany.forEach(row => {
+          output += `${row.company}: £${row.base_gross.toFixed(2)} (VAT £${row.base_vat.toFixed(2)}, ${row.count} receipts)\n`;
         });
       }
 
+      // Budgets are monthly
+      if (!range) {
+        const spentByCategory = {};
+        byCategory.forEach(row => { spentByCategory[row.category.toLowerCase()] = row.base_gross; });
+
+        const dbInstance = this.db.getDb();
+        const budgets = dbInstance.prepare(
+          `SELECT category, amount FROM budgets WHERE period = 'monthly'`
+        ).all();
+
+        if (budgets.length > 0) {
+          output += `\n*Budget Status*\n`;
+          budgets.forEach(budget => {
+            const spent = spentByCategory[budget.category.toLowerCase()] || 0;
+            const percentage = (spent / budget.amount) * 100;
+            const status = percentage > 100 ? '🔴' : percentage > 80 ? '🟡' : '🟢';
+            output += `${status} ${budget.category}: £${spent.toFixed(2)} / £${budget.amount.toFixed(2)} (${percentage.toFixed(0)}%)\n`;
+          });
+        }
+      }
+
       const response = this.success(output);
       this.setCache(cacheKey, response);
       return response;
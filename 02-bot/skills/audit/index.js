@@ -18,6 +18,7 @@ class AuditSkill extends BaseSkill {
     name = 'audit';
     description = 'Query audit logs for accountability and debugging';
     priority = 15;
+    permission = 'admin';
 
     commands = [
         {
@@ -18,6 +18,7 @@ class AutonomousConfigSkill extends BaseSkill {
   name = 'autonomous-config';
   description = 'Manage autonomous operation settings';
   priority = 25;  // Higher priority to catch config commands
+  permission = 'admin';
 
   commands = [
     {
@@ -43,7 +44,8 @@ class AutonomousConfigSkill extends BaseSkill {
     {
       pattern: /^config\s+reset$/i,
       description: 'Reset configuration to defaults',
-      usage: 'config reset'
+      usage: 'config reset',
+      destructive: true
     },
     {
       pattern: /^nightly\s+(on|off)$/i,
@@ -23,6 +23,7 @@ class BackupSkill extends BaseSkill {
   name = 'backup';
   description = 'Backup and restore SQLite database with retention policy';
   priority = 23;
+  permission = 'admin';
 
   commands = [
     {
@@ -38,7 +39,8 @@ class BackupSkill extends BaseSkill {
     {
       pattern: /^backup\s+restore\s+(\d+)$/i,
       description: 'Restore database from a backup',
-      usage: 'backup restore <id>'
+      usage: 'backup restore <id>',
+      destructive: true
     }
   ];
 
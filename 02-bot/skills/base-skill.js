@@ -16,7 +16,25 @@
  *     return { success: true, message: 'Done!' }
  *   }
  * }
+ *
+ * Commands can also be declared with a typed argument schema instead of a
+ * RegExp. The registry validates the arguments before dispatch and passes
+ * them to execute() as `context.invocation.args`:
+ *
+ * @example
+ * commands = [
+ *   {
+ *     command: 'remind',
+ *     description: 'Set a reminder',
+ *     args: [
+ *       { name: 'date', type: 'date' },
+ *       { name: 'message', type: 'text' }
+ *     ]
+ *   }
+ * ]
  */
+const { getPattern, isSchemaCommand, formatUsage, describeArgs, parseArgs } = require('./command-schema');
+
 class BaseSkill {
   /**
    * Unique name identifier for this skill
@@ -32,8 +50,11 @@ class BaseSkill {
 
   /**
    * Array of command patterns this skill can handle
-   * Each command should have: { pattern: RegExp, description: string, usage?: string }
-   * @type {Array<{pattern: RegExp, description: string, usage?: string}>}
+   * Each command should have either:
+   *   { pattern: RegExp, description: string, usage?: string, destructive?: boolean, permission?: string }
+   * or a declarative schema (see command-schema.js):
+   *   { command: string, args: Array<Object|string>, description: string }
+   * @type {Array<{pattern?: RegExp, command?: string, args?: Array, description: string, usage?: string, destructive?: boolean, permission?: string}>}
    */
   commands = [];
 
@@ -50,6 +71,22 @@ class BaseSkill {
    */
   requiresAuth = false;
 
+  /**
+   * Whether this skill changes something outside the bot (deploys, deletes,
+   * sends, writes). Destructive commands need user confirmation when the
+   * agent loop calls them. Individual commands can set `destructive` too.
+   * @type {boolean}
+   */
+  destructive = false;
+
+  /**
+   * Permission needed to run this skill's commands: 'use', 'finance', 'dev',
+   * 'admin' or 'owner' (see lib/access-control). The registry refuses senders
+   * whose role lacks it. Individual commands can set `permission` too.
+   * @type {string}
+   */
+  permission = 'use';
+
   /**
    * Create a new skill instance
    * @param {Object} context - Shared context object
@@ -78,16 +115,78 @@ class BaseSkill {
       return false;
     }
 
+    return this.matchCommand(command) !== null;
+  }
+
+  /**
+   * Find the command definition that matches a command string
+   * @param {string} command - The command string to check
+   * @returns {Object|null} - The matching entry from `commands`, or null
+   */
+  matchCommand(command) {
+    if (!command || typeof command !== 'string') {
+      return null;
+    }
+
     const normalizedCommand = command.trim().toLowerCase();
 
-    return this.commands.some(cmd => {
-      if (cmd.pattern instanceof RegExp) {
-        return cmd.pattern.test(normalizedCommand);
+    return this.commands.find(cmd => {
+      const pattern = getPattern(cmd);
+      if (pattern instanceof RegExp) {
+        return pattern.test(normalizedCommand);
       }
-      if (typeof cmd.pattern === 'string') {
-        return normalizedCommand.startsWith(cmd.pattern.toLowerCase());
+      if (typeof pattern === 'string') {
+        return normalizedCommand.startsWith(pattern.toLowerCase());
       }
       return false;
+    }) || null;
+  }
+
+  /**
+   * Check whether running a command would be destructive
+   * A `destructive` flag on the matched command wins over the skill-level flag.
+   * @param {string} command - The command string
+   * @returns {boolean}
+   */
+  isDestructive(command) {
+    const definition = this.matchCommand(command);
+    if (definition && typeof definition.destructive === 'boolean') {
+      return definition.destructive;
+    }
+    return this.destructive === true;
+  }
+
+  /**
+   * Parse the arguments of a schema command
+   * Regex commands return an empty args object.
+   * @param {string} command - The command string
+   * @returns {{command: string|null, args: Object, error: string|null, definition: Object|null}}
+   */
+  parseArgs(command) {
+    const definition = this.matchCommand(command);
+
+    if (!definition || !isSchemaCommand(definition)) {
+      return { command: null, args: {}, error: null, definition };
+    }
+
+    const result = parseArgs(definition, command);
+    return {
+      command: definition.command,
+      args: result.args,
+      error: result.error,
+      definition
+    };
+  }
+
+  /**
+   * Create a uniform usage error for a schema command
+   * @param {Object} definition - The command definition
+   * @param {string} reason - What was wrong with the input
+   * @returns {{success: false, message: string, error: string}}
+   */
+  usageError(definition, reason) {
+    return this.error('Invalid usage', reason, {
+      suggestion: `Usage: ${definition.usage || formatUsage(definition)}`
     });
   }
 
@@ -151,8 +250,9 @@ class BaseSkill {
     // Find which pattern matched
     let match = null;
     for (const cmd of this.commands) {
-      if (cmd.pattern instanceof RegExp) {
-        match = trimmed.match(cmd.pattern);
+      const pattern = getPattern(cmd);
+      if (pattern instanceof RegExp) {
+        match = trimmed.match(pattern);
         if (match) break;
       }
     }
@@ -293,6 +393,35 @@ class BaseSkill {
     };
   }
 
+  /**
+   * Create a clarifying question response with ? template
+   * For input that could mean more than one thing: nothing is done, and the
+   * user resends whichever command they meant.
+   * Format: ? {question}
+   *         Send one of:
+   *         {command}
+   * @param {string} question - What needs answering
+   * @param {Array<string>} commands - The command rewritten for each reading
+   * @returns {{success: false, message: string, needsClarification: true, options: Array<string>}}
+   */
+  clarify(question, commands = []) {
+    let formatted = `? ${question}`;
+
+    if (commands.length > 0) {
+      formatted += `\n  Send one of:`;
+      commands.forEach(command => {
+        formatted += `\n  ${command}`;
+      });
+    }
+
+    return {
+      success: false,
+      message: formatted,
+      needsClarification: true,
+      options: commands
+    };
+  }
+
   /**
    * Log a message with skill context
    * @param {'info'|'warn'|'error'|'debug'} level - Log level
@@ -318,13 +447,21 @@ class BaseSkill {
     return {
       name: this.name,
       description: this.description,
-      commands: this.commands.map(cmd => ({
-        pattern: cmd.pattern.toString(),
-        description: cmd.description,
-        usage: cmd.usage || null
-      })),
+      commands: this.commands.map(cmd => {
+        const schema = isSchemaCommand(cmd);
+        return {
+          pattern: String(getPattern(cmd)),
+          description: cmd.description,
+          usage: cmd.usage || (schema ? formatUsage(cmd) : null),
+          args: schema ? describeArgs(cmd) : null,
+          destructive: typeof cmd.destructive === 'boolean' ? cmd.destructive : this.destructive,
+          permission: cmd.permission || this.permission
+        };
+      }),
       priority: this.priority,
-      requiresAuth: this.requiresAuth
+      requiresAuth: this.requiresAuth,
+      destructive: this.destructive,
+      permission: this.permission
     };
   }
 }
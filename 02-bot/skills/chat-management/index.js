@@ -28,22 +28,27 @@ class ChatManagementSkill extends BaseSkill {
     {
       pattern: /^register( this)? chat (as |for )?(repo |project )?(.+)$/i,
       description: 'Register this chat for a repository',
-      usage: 'register chat for aws-clawd-bot'
+      usage: 'register chat for aws-clawd-bot',
+      permission: 'admin'
     },
     {
       pattern: /^register( this)? chat (as |for )?company (.+)$/i,
       description: 'Register this chat for a company',
-      usage: 'register chat for company GMH'
+      usage: 'register chat for company GMH',
+      permission: 'admin'
     },
     {
       pattern: /^register( this)? chat as hq$/i,
       description: 'Register this chat as HQ (cross-repo access)',
-      usage: 'register chat as hq'
+      usage: 'register chat as hq',
+      permission: 'admin'
     },
     {
       pattern: /^unregister( this)? chat$/i,
       description: 'Remove chat registration',
-      usage: 'unregister chat'
+      usage: 'unregister chat',
+      permission: 'admin',
+      destructive: true
     },
     {
       pattern: /^(chat |what('?s)? (this )?)?context$/i,
@@ -58,7 +63,8 @@ class ChatManagementSkill extends BaseSkill {
     {
       pattern: /^set notifications? (all|critical|digest)$/i,
       description: 'Set notification level for this chat',
-      usage: 'set notifications critical'
+      usage: 'set notifications critical',
+      permission: 'admin'
     },
     {
       pattern: /^chat stats$/i,
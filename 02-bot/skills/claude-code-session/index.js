@@ -9,6 +9,7 @@ class ClaudeCodeSessionSkill extends BaseSkill {
   name = 'claude-code-session';
   description = 'Run autonomous Claude Code sessions for coding tasks';
   priority = 25;
+  permission = 'dev';
 
   commands = [
     {
@@ -122,7 +123,10 @@ class ClaudeCodeSessionSkill extends BaseSkill {
       repoPath,
       logPath
     }, {
-      sendProgress: sendProgress || (() => {})
+      sendProgress: sendProgress || (() => {}),
+      chatId,
+      userId,
+      platform: context.platform
     });
 
     // Get PID after process starts (wait a moment)
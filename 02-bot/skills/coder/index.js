@@ -19,6 +19,8 @@ class CoderSkill extends BaseSkill {
   name = 'coder';
   description = 'AI code writing - fix issues, edit files, create PRs';
   priority = 20;
+  destructive = true;
+  permission = 'dev';
 
   commands = [
     {
@@ -0,0 +1,328 @@
+/**
+ * Command Schema - Declarative argument schemas for skill commands
+ *
+ * Lets a skill declare a command as a keyword plus typed arguments instead of
+ * a raw RegExp. The registry parses and validates the arguments before
+ * dispatch, so every skill produces the same usage errors, and `help <skill>`
+ * can render usage lines straight from the schema.
+ *
+ * Regex commands keep working unchanged - a command is schema-based only when
+ * it has a `command` keyword and no `pattern`.
+ *
+ * @example
+ * commands = [
+ *   {
+ *     command: 'convert',
+ *     description: 'Convert currency amount',
+ *     args: [
+ *       { name: 'amount', type: 'number' },
+ *       { name: 'from', type: 'currency' },
+ *       'to',                                   // literal keyword
+ *       { name: 'to', type: 'currency', optional: true, default: 'GBP' }
+ *     ]
+ *   }
+ * ]
+ *
+ * // "convert 100 usd to eur" -> { amount: 100, from: 'USD', to: 'EUR' }
+ */
+
+const { parseDate } = require('../lib/date-parser');
+
+/**
+ * Built-in argument types
+ * Each type has a `parse(token)` that returns the coerced value or undefined
+ * when the token is not valid for the type.
+ */
+const ARG_TYPES = {
+  string: {
+    label: 'word',
+    parse: (token) => token
+  },
+  text: {
+    label: 'text',
+    parse: (token) => token
+  },
+  number: {
+    label: 'number',
+    parse: (token) => {
+      const cleaned = token.replace(/^[£$€]/, '').replace(/,/g, '');
+      if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return undefined;
+      return parseFloat(cleaned);
+    }
+  },
+  integer: {
+    label: 'whole number',
+    parse: (token) => (/^-?\d+$/.test(token) ? parseInt(token, 10) : undefined)
+  },
+  boolean: {
+    label: 'yes/no',
+    parse: (token) => {
+      const lower = token.toLowerCase();
+      if (['yes', 'y', 'true', 'on', '1'].includes(lower)) return true;
+      if (['no', 'n', 'false', 'off', '0'].includes(lower)) return false;
+      return undefined;
+    }
+  },
+  repo: {
+    label: 'repo',
+    parse: (token) => (/^[\w.-]+(\/[\w.-]+)?$/.test(token) ? token : undefined)
+  },
+  currency: {
+    label: 'currency code',
+    parse: (token) => (/^[a-z]{3}$/i.test(token) ? token.toUpperCase() : undefined)
+  },
+  date: {
+    label: 'date',
+    parse: (token) => parseDateToken(token)
+  }
+};
+
+/**
+ * Parse a date token into a YYYY-MM-DD string
+ * Read by lib/date-parser: ISO dates, UK-style DD/MM/YYYY, today/tomorrow,
+ * weekdays, "25 Dec" (quoted when it is more than one word). A date that
+ * could be read two ways is rejected rather than guessed.
+ * @param {string} token
+ * @returns {string|undefined}
+ */
+function parseDateToken(token) {
+  const parsed = parseDate(token);
+  if (!parsed || parsed.ambiguous) return undefined;
+  return parsed.dateOnly;
+}
+
+/**
+ * Whether a command definition uses the declarative schema form
+ * @param {Object} cmd - Command definition from a skill's `commands` array
+ * @returns {boolean}
+ */
+function isSchemaCommand(cmd) {
+  return !!cmd && typeof cmd.command === 'string' && !cmd.pattern;
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the RegExp a schema command is matched against
+ * Only the keyword is matched - arguments are validated separately so a bad
+ * argument yields a usage error instead of falling through to the AI.
+ * @param {Object} cmd - Schema command definition
+ * @returns {RegExp}
+ */
+function buildPattern(cmd) {
+  const keyword = cmd.command.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  return new RegExp(`^${keyword}(?:\\s+.*)?$`, 'i');
+}
+
+/**
+ * Get the matching RegExp for any command definition
+ * @param {Object} cmd - Command definition (regex or schema form)
+ * @returns {RegExp|string|null}
+ */
+function getPattern(cmd) {
+  if (!cmd) return null;
+  if (isSchemaCommand(cmd)) {
+    if (!cmd._compiledPattern) {
+      Object.defineProperty(cmd, '_compiledPattern', { value: buildPattern(cmd), enumerable: false });
+    }
+    return cmd._compiledPattern;
+  }
+  return cmd.pattern || null;
+}
+
+/**
+ * Normalise an entry of the `args` array
+ * Plain strings are literal keywords that must appear verbatim.
+ * @param {Object|string} arg
+ * @returns {Object}
+ */
+function normalizeArg(arg) {
+  if (typeof arg === 'string') {
+    return { literal: arg };
+  }
+  return { type: 'string', optional: false, ...arg };
+}
+
+/**
+ * Split input into tokens, keeping "quoted strings" together
+ * @param {string} input
+ * @returns {string[]}
+ */
+function tokenize(input) {
+  const tokens = [];
+  const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = regex.exec(input)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+
+  return tokens;
+}
+
+/**
+ * Render a usage line from a schema command
+ * @param {Object} cmd - Schema command definition
+ * @returns {string} - e.g. "convert <amount> <from> [to <to=GBP>]"
+ */
+function formatUsage(cmd) {
+  const defs = (cmd.args || []).map(normalizeArg);
+  const parts = [cmd.command];
+
+  for (let i = 0; i < defs.length; i++) {
+    const arg = defs[i];
+
+    if (arg.literal) {
+      const rest = defs.slice(i + 1);
+      // A literal followed only by optional args is itself optional: "[for <base>]"
+      if (rest.length > 0 && rest.every(d => d.literal || d.optional)) {
+        const inner = rest.map(d => (d.literal ? d.literal : formatArg(d, false)));
+        parts.push(`[${arg.literal} ${inner.join(' ')}]`);
+        break;
+      }
+      parts.push(arg.literal);
+    } else {
+      parts.push(formatArg(arg, arg.optional));
+    }
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Render a single argument for a usage line
+ * @param {Object} arg - Normalised argument definition
+ * @param {boolean} bracket - Wrap in [] (optional) instead of <>
+ * @returns {string}
+ */
+function formatArg(arg, bracket) {
+  const label = arg.default !== undefined ? `${arg.name}=${arg.default}` : arg.name;
+  return bracket ? `[${label}]` : `<${label}>`;
+}
+
+/**
+ * Describe each argument for help output
+ * @param {Object} cmd - Schema command definition
+ * @returns {Array<{name: string, type: string, optional: boolean, default: any, description: string|null}>}
+ */
+function describeArgs(cmd) {
+  return (cmd.args || [])
+    .map(normalizeArg)
+    .filter(arg => !arg.literal)
+    .map(arg => ({
+      name: arg.name,
+      type: arg.choices ? arg.choices.join('|') : arg.type,
+      optional: !!arg.optional,
+      default: arg.default !== undefined ? arg.default : null,
+      description: arg.description || null
+    }));
+}
+
+/**
+ * Coerce a single token for an argument definition
+ * @param {Object} arg - Normalised argument definition
+ * @param {string} token
+ * @returns {any} - Coerced value, or undefined if invalid
+ */
+function coerce(arg, token) {
+  if (arg.choices) {
+    const choice = arg.choices.find(c => c.toLowerCase() === token.toLowerCase());
+    return choice;
+  }
+
+  const type = ARG_TYPES[arg.type];
+  if (!type) {
+    throw new Error(`Unknown argument type "${arg.type}" for "${arg.name}"`);
+  }
+
+  return type.parse(token);
+}
+
+/**
+ * Parse and validate the arguments of a schema command
+ * @param {Object} cmd - Schema command definition
+ * @param {string} input - Full command text (including the keyword)
+ * @returns {{ok: boolean, args: Object, error: string|null}}
+ */
+function parseArgs(cmd, input) {
+  const keywordCount = cmd.command.trim().split(/\s+/).length;
+  const tokens = tokenize(String(input || '').trim()).slice(keywordCount);
+  const defs = (cmd.args || []).map(normalizeArg);
+  const args = {};
+
+  const fail = (error) => ({ ok: false, args, error });
+  const remainingRequired = (from) => defs.slice(from).some(d => !d.literal && !d.optional);
+
+  let t = 0;
+  for (let i = 0; i < defs.length; i++) {
+    const def = defs[i];
+    const token = tokens[t];
+
+    if (def.literal) {
+      if (token !== undefined && token.toLowerCase() === def.literal.toLowerCase()) {
+        t++;
+      } else if (remainingRequired(i + 1) || token !== undefined) {
+        return fail(`Expected "${def.literal}"${token !== undefined ? ` but got "${token}"` : ''}`);
+      }
+      continue;
+    }
+
+    if (token === undefined) {
+      if (!def.optional) {
+        return fail(`Missing ${def.name}`);
+      }
+      if (def.default !== undefined) {
+        args[def.name] = def.default;
+      }
+      continue;
+    }
+
+    if (def.type === 'text') {
+      args[def.name] = tokens.slice(t).join(' ');
+      t = tokens.length;
+      continue;
+    }
+
+    const value = coerce(def, token);
+    if (value === undefined) {
+      // Skip an optional arg only if a later arg could take this token
+      const laterArgs = defs.slice(i + 1).some(d => !d.literal);
+      if (def.optional && laterArgs) {
+        if (def.default !== undefined) {
+          args[def.name] = def.default;
+        }
+        continue;
+      }
+      const expected = def.choices ? `one of ${def.choices.join(', ')}` : `a ${ARG_TYPES[def.type].label}`;
+      return fail(`Invalid ${def.name}: "${token}" is not ${expected}`);
+    }
+
+    args[def.name] = value;
+    t++;
+  }
+
+  if (t < tokens.length) {
+    return fail(`Unexpected input: "${tokens.slice(t).join(' ')}"`);
+  }
+
+  return { ok: true, args, error: null };
+}
+
+module.exports = {
+  ARG_TYPES,
+  isSchemaCommand,
+  buildPattern,
+  getPattern,
+  formatUsage,
+  describeArgs,
+  normalizeArg,
+  parseArgs,
+  tokenize
+};
@@ -7,7 +7,7 @@
  *
  * Commands:
  *   convert <amount> <from> to <to>  - Convert currency amount
- *   rates                             - Show current USD to major currencies
+ *   rates [for <code>]                - Show rates from USD (or another base)
  *   currencies                        - List all supported currencies
  *
  * Examples:
@@ -16,8 +16,13 @@
  *   convert 1 BTC to USD
  *
  * API: exchangerate-api.com (FREE tier: 1500 requests/month)
+ *
+ * Every set of rates fetched is stored by day in the fx_rates table
+ * (lib/fx-rates), which the receipts and analytics skills convert expenses
+ * with. The skill is also their source of fresh rates.
  */
 const BaseSkill = require('../base-skill');
+const fxRates = require('../../lib/fx-rates');
 
 class CurrencyConverterSkill extends BaseSkill {
   name = 'currency';
@@ -26,14 +31,22 @@ class CurrencyConverterSkill extends BaseSkill {
 
   commands = [
     {
-      pattern: /^convert\s+(\d+(?:\.\d{1,2})?)\s+(\w{3})\s+to\s+(\w{3})$/i,
+      command: 'convert',
       description: 'Convert currency amount',
-      usage: 'convert <amount> <from> to <to>'
+      args: [
+        { name: 'amount', type: 'number', description: 'Amount to convert' },
+        { name: 'from', type: 'currency', description: 'Source currency code' },
+        'to',
+        { name: 'to', type: 'currency', description: 'Target currency code' }
+      ]
     },
     {
-      pattern: /^rates(?:\s+for\s+(\w{3}))?$/i,
+      command: 'rates',
       description: 'Show current exchange rates from USD',
-      usage: 'rates'
+      args: [
+        'for',
+        { name: 'base', type: 'currency', optional: true, default: 'USD' }
+      ]
     },
     {
       pattern: /^currencies$/i,
@@ -66,31 +79,31 @@ class CurrencyConverterSkill extends BaseSkill {
    */
   async initialize() {
     await super.initialize();
+    fxRates.setRateSource(base => this.fetchRates(base));
     this.log('info', 'Currency Converter skill initialized (1-hour cache, 150+ currencies)');
   }
 
   /**
    * Execute currency converter commands
    */
-  async execute(command, context) {
+  async execute(command, context = {}) {
     const parsed = this.parseCommand(command);
+    const invocation = context.invocation || this.parseArgs(command);
 
     try {
-      // Match convert command
-      const convertMatch = command.match(/^convert\s+(\d+(?:\.\d{1,2})?)\s+(\w{3})\s+to\s+(\w{3})$/i);
-      if (convertMatch) {
-        const amount = parseFloat(convertMatch[1]);
-        const fromCurrency = convertMatch[2].toUpperCase();
-        const toCurrency = convertMatch[3].toUpperCase();
-
-        return await this.convertCurrency(amount, fromCurrency, toCurrency);
+      if (invocation.error) {
+        return this.usageError(invocation.definition, invocation.error);
+      }
+
+      // convert <amount> <from> to <to>
+      if (invocation.command === 'convert') {
+        const { amount, from, to } = invocation.args;
+        return await this.convertCurrency(amount, from, to);
       }
 
-      // Match rates command
-      const ratesMatch = command.match(/^rates(?:\s+for\s+(\w{3}))?$/i);
-      if (ratesMatch) {
-        const baseCurrency = ratesMatch[1]?.toUpperCase() || 'USD';
-        return await this.showRates(baseCurrency);
+      // rates [for <base>]
+      if (invocation.command === 'rates') {
+        return await this.showRates(invocation.args.base);
       }
 
       // Match currencies command
@@ -275,11 +288,15 @@ class CurrencyConverterSkill extends BaseSkill {
         throw new Error('Invalid API response: missing rates');
       }
 
-      // Cache the rates
+      // Cache the rates, and keep them for converting expenses
       this.rateCache.set(baseCurrency, {
         rates: data.rates,
         timestamp: Date.now()
       });
+      fxRates.storeRates(baseCurrency, data.rates, {
+        date: data.date || undefined,
+        source: 'exchangerate-api.com'
+      });
 
       this.log('info', `Fetched rates for ${baseCurrency} (cache TTL: 1 hour)`);
       return data.rates;
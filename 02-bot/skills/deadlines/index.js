@@ -17,22 +17,33 @@
  *   overdue                        - Show any overdue items
  *   add deadline <company> <type> <date> - Add custom deadline
  *   remove deadline <id>           - Remove a custom deadline
+ *
+ * The date of a custom deadline is read by lib/date-parser in the sender's
+ * timezone: "2026-03-31", "31/03/2026", "end of month", "next friday".
+ *
+ * @example
+ * add deadline GMH Board minutes end of month
+ * add deadline GACC Renew insurance 31/03/2027
  */
 
 const BaseSkill = require('../base-skill');
+const { splitDate, clarifyCommands } = require('../../lib/date-parser');
+const { getUserTimezone } = require('../../lib/user-timezone');
 
 class DeadlinesSkill extends BaseSkill {
   name = 'deadlines';
   description = 'Track UK company statutory deadlines and filing dates';
   priority = 28;
 
-  // Hardcoded company data with incorporation dates
+  // Hardcoded company data with incorporation dates. vatRegistered and
+  // vatNumber also decide whether invoices carry VAT (lib/vat).
   companies = {
     'GMH': {
       name: 'Giquina Management Holdings Ltd',
       number: '15425137',
       incorporated: '2024-08-14',
       vatRegistered: false,
+      vatNumber: null,
       hasEmployees: false,
       shortName: 'GMH'
     },
@@ -41,6 +52,7 @@ class DeadlinesSkill extends BaseSkill {
       number: '16396650',
       incorporated: '2025-04-23',
       vatRegistered: false,
+      vatNumber: null,
       hasEmployees: false,
       shortName: 'GACC'
     },
@@ -49,6 +61,7 @@ class DeadlinesSkill extends BaseSkill {
       number: '16360342',
       incorporated: '2025-04-08',
       vatRegistered: false,
+      vatNumber: null,
       hasEmployees: false,
       shortName: 'GCAP'
     },
@@ -57,6 +70,7 @@ class DeadlinesSkill extends BaseSkill {
       number: '15389347',
       incorporated: '2024-08-02',
       vatRegistered: false,
+      vatNumber: null,
       hasEmployees: false,
       shortName: 'GQCARS'
     },
@@ -65,6 +79,7 @@ class DeadlinesSkill extends BaseSkill {
       number: '16369465',
       incorporated: '2025-04-11',
       vatRegistered: false,
+      vatNumber: null,
       hasEmployees: false,
       shortName: 'GSPV'
     }
@@ -168,14 +183,16 @@ class DeadlinesSkill extends BaseSkill {
       usage: 'overdue'
     },
     {
-      pattern: /^add\s+deadline\s+(\w+)\s+(.+?)\s+(\d{4}-\d{2}-\d{2})$/i,
+      pattern: /^add\s+deadline\s+(\w+)\s+(.+)$/i,
       description: 'Add a custom deadline',
-      usage: 'add deadline <company> <description> <YYYY-MM-DD>'
+      usage: 'add deadline <company> <description> <date>',
+      destructive: true
     },
     {
       pattern: /^remove\s+deadline\s+(\d+)$/i,
       description: 'Remove a custom deadline',
-      usage: 'remove deadline <id>'
+      usage: 'remove deadline <id>',
+      destructive: true
     }
   ];
 
@@ -215,9 +232,19 @@ class DeadlinesSkill extends BaseSkill {
       }
 
       // Add custom deadline
-      const addMatch = raw.match(/^add\s+deadline\s+(\w+)\s+(.+?)\s+(\d{4}-\d{2}-\d{2})$/i);
+      const addMatch = raw.match(/^add\s+deadline\s+(\w+)\s+(.+)$/i);
       if (addMatch) {
-        return this.handleAddDeadline(addMatch[1].toUpperCase(), addMatch[2], addMatch[3]);
+        const timezone = getUserTimezone(context.from, this.memory);
+        const due = splitDate(addMatch[2], { timezone, position: 'end' });
+        if (!due || !due.rest) {
+          return this.error('Add a description and a due date', null, {
+            suggestion: `add deadline ${addMatch[1].toUpperCase()} <description> <date>, e.g. "end of month" or 31/03/2027`
+          });
+        }
+        if (due.ambiguous) {
+          return this.clarify(due.question, clarifyCommands(raw, due));
+        }
+        return this.handleAddDeadline(addMatch[1].toUpperCase(), due.rest, due.dateOnly);
       }
 
       // Remove custom deadline
@@ -333,7 +360,7 @@ class DeadlinesSkill extends BaseSkill {
 
     // Show company status flags
     output += '━━━━━━━━━━━━━━━━━━━━━\n';
-    output += `VAT Registered: ${company.vatRegistered ? 'Yes' : 'No'}\n`;
+    output += `VAT Registered: ${company.vatRegistered ? `Yes${company.vatNumber ? ` (${company.vatNumber})` : ''}` : 'No'}\n`;
     output += `Has Employees: ${company.hasEmployees ? 'Yes' : 'No'}`;
 
     return this.success(output);
@@ -465,11 +492,7 @@ class DeadlinesSkill extends BaseSkill {
       );
     }
 
-    // Validate date
     const dueDate = new Date(dateStr);
-    if (isNaN(dueDate.getTime())) {
-      return this.error('Invalid date format. Use YYYY-MM-DD');
-    }
 
     if (!this.memory) {
       return this.error('Memory system not available. Cannot save custom deadlines.');
@@ -53,6 +53,7 @@ class DockerSkill extends BaseSkill {
   name = 'docker';
   description = 'Manage Docker containers on EC2 - list, logs, restart, stats';
   priority = 22; // High priority for explicit docker commands
+  permission = 'dev';
 
   commands = [
     {
@@ -68,7 +69,8 @@ class DockerSkill extends BaseSkill {
     {
       pattern: /^docker\s+restart\s+(.+)$/i,
       description: 'Restart a container (requires confirmation)',
-      usage: 'docker restart <container>'
+      usage: 'docker restart <container>',
+      destructive: true
     },
     {
       pattern: /^docker\s+stats$/i,
@@ -64,7 +64,8 @@ class FilesSkill extends BaseSkill {
     {
       pattern: /^delete file #?(\d+)$/i,
       description: 'Delete a file record',
-      usage: 'delete file #<id>'
+      usage: 'delete file #<id>',
+      destructive: true
     }
   ];
 
@@ -70,27 +70,37 @@ class GitHubSkill extends BaseSkill {
     {
       pattern: /^create\s+pr\s+(\S+)\s+(.+)$/i,
       description: 'Create a pull request',
-      usage: 'create pr <repo> <title>'
+      usage: 'create pr <repo> <title>',
+      destructive: true,
+      permission: 'dev'
     },
     {
       pattern: /^create\s+branch\s+(\S+)\s+(\S+)(?:\s+from\s+(\S+))?$/i,
       description: 'Create a new branch',
-      usage: 'create branch <repo> <name> [from <base>]'
+      usage: 'create branch <repo> <name> [from <base>]',
+      destructive: true,
+      permission: 'dev'
     },
     {
       pattern: /^create\s+issue\s+(\S+)\s+(.+)$/i,
       description: 'Create a new issue',
-      usage: 'create issue <repo> <title>'
+      usage: 'create issue <repo> <title>',
+      destructive: true,
+      permission: 'dev'
     },
     {
       pattern: /^close\s+issue\s+(\S+)\s+#?(\d+)$/i,
       description: 'Close an issue',
-      usage: 'close issue <repo> #<number>'
+      usage: 'close issue <repo> #<number>',
+      destructive: true,
+      permission: 'dev'
     },
     {
       pattern: /^comment\s+(\S+)\s+#?(\d+)\s+(.+)$/i,
       description: 'Add comment to an issue or PR',
-      usage: 'comment <repo> #<number> <message>'
+      usage: 'comment <repo> #<number> <message>',
+      destructive: true,
+      permission: 'dev'
     }
   ];
 
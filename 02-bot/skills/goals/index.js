@@ -13,9 +13,12 @@
  *   goal delete <id>                                             - Delete a goal
  *   goal stats                                                   - View goal statistics
  *
+ * The deadline is read by lib/date-parser in the user's timezone: "by
+ * 2025-12-31", "by 31/12/2025", "by end of year", "by next friday".
+ *
  * @example
- * goal set Read 12 books target 12 books by 2025-12-31
- * goal set Launch new feature by 2025-03-15
+ * goal set Read 12 books target 12 books by end of year
+ * goal set Launch new feature by 15/03/2025
  * goal update 1 8
  * goal complete 2
  * goal list
@@ -24,6 +27,8 @@
 
 const BaseSkill = require('../base-skill');
 const db = require('../../lib/database');
+const { splitDate, clarifyCommands } = require('../../lib/date-parser');
+const { getUserTimezone } = require('../../lib/user-timezone');
 
 class GoalsSkill extends BaseSkill {
   name = 'goals';
@@ -54,7 +59,8 @@ class GoalsSkill extends BaseSkill {
     {
       pattern: /^goal\s+delete\s+\d+$/i,
       description: 'Delete a goal',
-      usage: 'goal delete <id>'
+      usage: 'goal delete <id>',
+      destructive: true
     },
     {
       pattern: /^goal\s+stats$/i,
@@ -144,12 +150,14 @@ class GoalsSkill extends BaseSkill {
         description = content.replace(/target\s+[\d.]+\s+\w+/i, '').trim();
       }
 
-      // Extract deadline if present: "by YYYY-MM-DD"
-      const deadlineMatch = content.match(/by\s+(\d{4}-\d{2}-\d{2})/i);
-      if (deadlineMatch) {
-        deadline = deadlineMatch[1];
-        // Remove deadline from description
-        description = description.replace(/by\s+\d{4}-\d{2}-\d{2}/i, '').trim();
+      // Extract deadline if present: "by <date>" at the end
+      const due = splitDate(description, { timezone: getUserTimezone(userId, this.memory), position: 'end' });
+      if (due && /^by\b/i.test(due.phrase)) {
+        if (due.ambiguous) {
+          return this.clarify(due.question, clarifyCommands(commandText, due));
+        }
+        deadline = due.dateOnly;
+        description = due.rest;
       }
 
       if (!description) {
@@ -181,6 +181,13 @@ class HelpSkill extends BaseSkill {
         if (cmd.description) {
           message += `  ${cmd.description}\n`;
         }
+        for (const arg of cmd.args || []) {
+          message += `    - ${arg.name} (${arg.type}${arg.optional ? ', optional' : ''})`;
+          if (arg.description) {
+            message += `: ${arg.description}`;
+          }
+          message += '\n';
+        }
       }
     } else {
       message += '_This skill has no commands._\n';
@@ -0,0 +1,205 @@
+/**
+ * Identity Skill - Link your Telegram, WhatsApp, Slack, Discord and email accounts
+ *
+ * Each platform gives you a different user ID, so without linking, facts,
+ * goals, pomodoro stats and budgets saved on one platform are missing on the
+ * others. Linking joins the accounts under one canonical ID (lib/database
+ * identities): existing rows are migrated, and every skill resolves the
+ * canonical ID from then on.
+ *
+ * Linking uses a one-time code exchanged between chats:
+ *   1. "link account" in the chat you use most - the bot replies with a code
+ *   2. "link <code>" from the other platform within 10 minutes
+ * Both steps only work in a private chat with the bot: a code shown in a
+ * group could be redeemed by anyone in it.
+ *
+ * Commands:
+ *   link account        - Get a one-time code to link another account
+ *   link <code>         - Link this account using a code from your other chat
+ *   linked accounts     - Show the accounts linked to you
+ *   unlink account      - Unlink this account (your data stays with the others)
+ *
+ * @example
+ * link account
+ * link 482913
+ * linked accounts
+ * unlink account
+ */
+const BaseSkill = require('../base-skill');
+const db = require('../../lib/database');
+const accessControl = require('../../lib/access-control');
+
+// Friendly names for the tables the link migrates
+const TABLE_LABELS = {
+  facts: 'facts',
+  tasks: 'tasks',
+  pomodoro_sessions: 'pomodoro sessions',
+  invoices: 'invoices',
+  budgets: 'budgets',
+  recurring_expenses: 'recurring expenses',
+  meetings: 'meetings',
+  document_analyses: 'document analyses',
+  goals: 'goals'
+};
+
+class IdentitySkill extends BaseSkill {
+  name = 'identity';
+  description = 'Link your accounts on different platforms to share memory and data';
+  priority = 50;
+
+  commands = [
+    {
+      pattern: /^link\s+(my\s+)?accounts?$/i,
+      description: 'Get a one-time code to link another account',
+      usage: 'link account'
+    },
+    {
+      pattern: /^link\s+(\d{6})$/i,
+      description: 'Link this account using a code from your other chat',
+      usage: 'link <code>'
+    },
+    {
+      pattern: /^(linked\s+accounts|my\s+accounts)$/i,
+      description: 'Show the accounts linked to you',
+      usage: 'linked accounts'
+    },
+    {
+      pattern: /^unlink\s+(this\s+)?account$/i,
+      description: 'Unlink this account from the others',
+      usage: 'unlink account',
+      destructive: true
+    }
+  ];
+
+  /**
+   * Execute identity commands
+   * Uses the sender's platform account (context.senderId, else
+   * context.accountId), not the canonical ID the registry puts in
+   * context.from - linking is about the account itself.
+   */
+  async execute(command, context) {
+    const accountId = String(context.senderId || context.accountId || context.userId || context.from || '');
+    const platform = context.platform || null;
+
+    if (!accountId) {
+      return this.error('Could not tell which account this is');
+    }
+
+    const parsed = this.parseCommand(command);
+    const raw = parsed.raw.trim();
+
+    const redeem = raw.match(/^link\s+(\d{6})$/i);
+    const create = /^link\s+(my\s+)?accounts?$/i.test(raw);
+    if ((redeem || create) && accessControl.isGroupChat(context)) {
+      return this.error('Accounts can only be linked in a private chat', null, {
+        suggestion: 'Send it to the bot directly rather than in a group or channel'
+      });
+    }
+
+    if (redeem) {
+      return this.handleRedeem(accountId, redeem[1], platform);
+    }
+    if (create) {
+      return this.handleCreateCode(accountId, platform);
+    }
+    if (/^(linked\s+accounts|my\s+accounts)$/i.test(raw)) {
+      return this.handleList(accountId);
+    }
+    if (/^unlink\s+(this\s+)?account$/i.test(raw)) {
+      return this.handleUnlink(accountId);
+    }
+
+    return this.error('Unknown command. Try: link account, link <code>, linked accounts, unlink account');
+  }
+
+  /**
+   * Handle "link account" - issue a one-time code
+   */
+  handleCreateCode(accountId, platform) {
+    const created = db.createLinkCode(accountId, platform);
+    if (!created) {
+      return this.error('Could not create a link code', 'Database not available');
+    }
+
+    return this.success(
+      `Link code: *${created.code}*\n\n` +
+      `From your other account (Telegram, WhatsApp, Slack, Discord or email), send:\n` +
+      `link ${created.code}\n\n` +
+      `The code works once and expires in ${created.expiresInMinutes} minutes.`
+    );
+  }
+
+  /**
+   * Handle "link <code>" - join this account to the code's identity
+   */
+  handleRedeem(accountId, code, platform) {
+    const result = db.redeemLinkCode(code, accountId, platform);
+    if (result.error) {
+      return this.error('Could not link accounts', result.error, {
+        suggestion: 'Send "link account" in your other chat for a new code'
+      });
+    }
+
+    // Facts and tasks live in the memory manager's own database
+    const migrated = { ...result.migrated };
+    if (this.memory && typeof this.memory.migrateUser === 'function') {
+      try {
+        const moved = this.memory.migrateUser(result.previousId, result.canonicalId);
+        for (const [table, count] of Object.entries(moved)) {
+          if (count > 0) migrated[table] = (migrated[table] || 0) + count;
+        }
+      } catch (err) {
+        this.log('warn', `Memory migration failed: ${err.message}`);
+      }
+    }
+
+    const movedLines = Object.entries(migrated)
+      .map(([table, count]) => `• ${count} ${TABLE_LABELS[table] || table}`);
+
+    this.log('info', `Linked ${accountId} to ${result.canonicalId}`);
+
+    return this.success(
+      'Accounts linked.\n\n' +
+      'Facts, goals, tasks, pomodoro stats, budgets and invoices are now shared across your linked accounts.' +
+      (movedLines.length > 0 ? `\n\nMoved from this account:\n${movedLines.join('\n')}` : '')
+    );
+  }
+
+  /**
+   * Handle "linked accounts"
+   */
+  handleList(accountId) {
+    const accounts = db.getLinkedAccounts(accountId);
+    if (accounts.length === 0) {
+      return this.success('This account is not linked to any other.\n\nSend "link account" to get a link code.');
+    }
+
+    const lines = accounts.map(account => {
+      const label = account.platform ? `${account.platform}: ` : '';
+      const tags = [
+        account.platform_user_id === account.canonical_id ? 'primary' : null,
+        account.platform_user_id === accountId ? 'this account' : null
+      ].filter(Boolean);
+      return `• ${label}${account.platform_user_id}${tags.length > 0 ? ` (${tags.join(', ')})` : ''}`;
+    });
+
+    return this.success(`Linked accounts:\n${lines.join('\n')}`);
+  }
+
+  /**
+   * Handle "unlink account"
+   */
+  handleUnlink(accountId) {
+    const result = db.unlinkAccount(accountId);
+    if (result.error) {
+      return this.error('Could not unlink', result.error);
+    }
+
+    return this.success(
+      'This account is unlinked.\n\n' +
+      'Data saved so far stays with your other accounts; from now on this account keeps its own.'
+    );
+  }
+}
+
+module.exports = IdentitySkill;
@@ -23,10 +23,13 @@
 
 const BaseSkill = require('./base-skill');
 const registry = require('./skill-registry');
+const commandSchema = require('./command-schema');
 const {
   loadSkills,
   loadSkill,
   reloadSkill,
+  enableSkill,
+  disableSkill,
   watchSkills,
   discoverSkillDirs,
   discoverSkills,
@@ -38,11 +41,14 @@ module.exports = {
   // Core exports
   BaseSkill,
   registry,
+  commandSchema,
 
   // Loader functions
   loadSkills,
   loadSkill,
   reloadSkill,
+  enableSkill,
+  disableSkill,
   watchSkills,
   discoverSkillDirs,
   discoverSkills,
@@ -24,6 +24,7 @@ class IntercompanySkill extends BaseSkill {
   name = 'intercompany';
   description = 'Track loans and transactions between Giquina group companies';
   priority = 23;
+  permission = 'finance';
 
   // Valid company codes and their full names
   companies = {
@@ -5,29 +5,46 @@
  * Integrates with the outcome tracker for intelligent context awareness.
  *
  * Commands:
- *   invoice create <client> <amount> [currency] - Create new invoice (draft status)
+ *   invoice create <client> <amount> [currency] [from <company>] [due <date>] - Create new invoice (draft status)
  *   invoice list [status]                        - List invoices (all, draft, sent, paid)
- *   invoice send <id|number>                     - Mark as sent and generate PDF
+ *   invoice send <id|number> [to <email>]        - Generate PDF, email it to the client, mark as sent
  *   invoice status <id|number>                   - Check invoice details
  *   invoice paid <id|number>                     - Mark as paid
  *   invoice delete <id|number>                   - Delete an invoice
  *
  * Invoice number format: INV-YYYYMM-NNN (e.g., INV-202602-001)
- * Default due date: 30 days from creation
+ * Issuing company: "from <code>", or the company of the chat. When it is VAT
+ * registered (the deadlines skill's vatRegistered flag) the amount is net and
+ * VAT at the standard rate is added (lib/vat); otherwise the amount is the total.
+ * Default due date: 30 days from creation, or "due <date>" read by
+ * lib/date-parser in the user's timezone ("due end of month", "due 31/03/2026")
  * PDF storage: /opt/clawd-bot/data/invoices/ (EC2) or data/invoices/ (local)
+ * Delivery: over SMTP (email-handler.js) to the given address, or the one
+ * remembered from an earlier send. Without an address the invoice is only
+ * marked as sent.
  *
  * @example
  * invoice create "Acme Corp" 1500 GBP
  * -> Creates draft invoice INV-202602-001 for £1,500, due in 30 days
  *
- * invoice send INV-202602-001
- * -> Generates PDF, marks as sent, returns file path
+ * invoice create "Acme Corp" 1500 due end of next month
+ * -> Same, due on the last day of next month
+ *
+ * invoice create "Acme Corp" 1500 from GQCARS
+ * -> Issued by GQ Cars Ltd; if it is VAT registered, £1,500 + £300 VAT = £1,800
+ *
+ * invoice send INV-202602-001 to accounts@acme.com
+ * -> Generates PDF, emails it to accounts@acme.com, marks as sent
  *
  * invoice list sent
  * -> Shows all sent invoices with amounts and due dates
  */
 const BaseSkill = require('../base-skill');
 const db = require('../../lib/database');
+const { parseDate, clarifyCommands } = require('../../lib/date-parser');
+const { getUserTimezone } = require('../../lib/user-timezone');
+const { COMPANY_CODES } = require('../../lib/chat-registry');
+const vat = require('../../lib/vat');
 const fs = require('fs');
 const path = require('path');
 
@@ -53,12 +70,14 @@ class InvoicesSkill extends BaseSkill {
   name = 'invoices';
   description = 'Invoice management and PDF generation';
   priority = 19;
+  permission = 'finance';
 
   commands = [
     {
-      pattern: /^invoice create (.+?) (\d+\.?\d*)\s*([A-Z]{3})?$/i,
+      pattern: /^invoice create (.+?) (\d+\.?\d*)\s*(?:(?!due\b|from\b)([A-Z]{3}))?(?:\s+from\s+([A-Z]+))?(?:\s+due\s+(.+))?$/i,
       description: 'Create new invoice',
-      usage: 'invoice create <client> <amount> [currency]'
+      usage: 'invoice create <client> <amount> [currency] [from <company>] [due <date>]',
+      destructive: true
     },
     {
       pattern: /^invoice list\s*(draft|sent|paid)?$/i,
@@ -67,8 +86,9 @@ class InvoicesSkill extends BaseSkill {
     },
     {
       pattern: /^invoice send (.+?)$/i,
-      description: 'Mark invoice as sent and generate PDF',
-      usage: 'invoice send <id|number>'
+      description: 'Generate PDF, email it to the client and mark as sent',
+      usage: 'invoice send <id|number> [to <email>]',
+      destructive: true
     },
     {
       pattern: /^invoice status (.+?)$/i,
@@ -78,12 +98,14 @@ class InvoicesSkill extends BaseSkill {
     {
       pattern: /^invoice paid (.+?)$/i,
       description: 'Mark invoice as paid',
-      usage: 'invoice paid <id|number>'
+      usage: 'invoice paid <id|number>',
+      destructive: true
     },
     {
       pattern: /^invoice delete (.+?)$/i,
       description: 'Delete an invoice',
-      usage: 'invoice delete <id|number>'
+      usage: 'invoice delete <id|number>',
+      destructive: true
     }
   ];
 
@@ -93,7 +115,7 @@ class InvoicesSkill extends BaseSkill {
 
     try {
       // Create invoice
-      const createMatch = trimmedCmd.match(/^invoice create (.+?) (\d+\.?\d*)\s*([A-Z]{3})?$/i);
+      const createMatch = trimmedCmd.match(/^invoice create (.+?) (\d+\.?\d*)\s*(?:(?!due\b|from\b)([A-Z]{3}))?(?:\s+from\s+([A-Z]+))?(?:\s+due\s+(.+))?$/i);
       if (createMatch) {
         return await this.createInvoice(userId, createMatch, context);
       }
@@ -105,9 +127,9 @@ class InvoicesSkill extends BaseSkill {
       }
 
       // Send invoice
-      const sendMatch = trimmedCmd.match(/^invoice send (.+?)$/i);
+      const sendMatch = trimmedCmd.match(/^invoice send (\S+)(?:\s+to\s+(\S+))?$/i);
       if (sendMatch) {
-        return await this.sendInvoice(userId, sendMatch[1].trim(), context);
+        return await this.sendInvoice(userId, sendMatch[1].trim(), context, sendMatch[2] || null);
       }
 
       // Check invoice status
@@ -152,17 +174,42 @@ class InvoicesSkill extends BaseSkill {
       });
     }
 
+    // Issuing company: named, or the chat's
+    const companyText = match[4] || context.autoCompany || null;
+    const company = companyText ? String(companyText).toUpperCase() : null;
+    if (company && !COMPANY_CODES[company]) {
+      return this.error(`Unknown company: ${company}`, null, {
+        suggestion: `Use one of: ${Object.keys(COMPANY_CODES).join(', ')}`
+      });
+    }
+    const companyVat = company ? vat.getCompanyVat(company) : null;
+    const figures = vat.invoiceVat(amount, companyVat && companyVat.registered ? vat.STANDARD_RATE : null);
+
+    let dueDate = null;
+    if (match[5]) {
+      const due = parseDate(match[5], { timezone: getUserTimezone(userId, this.memory) });
+      if (!due) {
+        return this.error(`I couldn't read "${match[5]}" as a due date`, null, {
+          suggestion: 'Try "due 31/03/2026", "due end of month" or "due in 14 days"'
+        });
+      }
+      if (due.ambiguous) {
+        return this.clarify(due.question, clarifyCommands(match[0], due));
+      }
+      dueDate = due.dateOnly;
+    }
+
     try {
       // Start outcome tracking
       const outcomeTracker = require('../../lib/outcome-tracker');
       const actionId = outcomeTracker.startAction(
         'invoice_create',
-        { clientName, amount, currency },
+        { clientName, amount: figures.amount, currency, company },
         context.chatId,
         userId
       );
 
-      const result = db.saveInvoice(userId, { clientName, amount, currency });
+      const result = db.saveInvoice(userId, { clientName, currency, dueDate, company, ...figures });
 
       if (!result) {
         outcomeTracker.completeAction(actionId, 'failed', { error: 'Database error' });
@@ -171,18 +218,18 @@ class InvoicesSkill extends BaseSkill {
 
       outcomeTracker.completeAction(actionId, 'success', {
         invoiceNumber: result.invoiceNumber,
-        amount,
+        amount: figures.amount,
         currency
       });
 
-      // Calculate due date (30 days from now)
-      const dueDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-      const dueDateStr = dueDate.toISOString().split('T')[0];
+      // Due date as saved (30 days from now unless one was given)
+      const dueDateStr = dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
       return this.success(
         `Invoice created: ${result.invoiceNumber}\n` +
+        (company ? `From: ${companyVat ? companyVat.name : company}\n` : '') +
         `Client: ${clientName}\n` +
-        `Amount: ${currency} ${amount.toFixed(2)}\n` +
+        this.formatAmountLines({ ...figures, currency }) +
         `Status: Draft\n` +
         `Due: ${dueDateStr}\n\n` +
         `Use "invoice send ${result.invoiceNumber}" to mark as sent and generate PDF.`,
@@ -238,9 +285,10 @@ class InvoicesSkill extends BaseSkill {
   }
 
   /**
-   * Send invoice (mark as sent and generate PDF)
+   * Send invoice (generate PDF, email it when there is an address, mark as sent)
+   * @param {string} [email] - Client address; remembered for later sends
    */
-  async sendInvoice(userId, idOrNumber, context) {
+  async sendInvoice(userId, idOrNumber, context, email = null) {
     try {
       // Parse ID if numeric
       const invoiceId = /^\d+$/.test(idOrNumber) ? parseInt(idOrNumber) : idOrNumber;
@@ -262,6 +310,16 @@ class InvoicesSkill extends BaseSkill {
         });
       }
 
+      if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return this.error('Invalid email address', null, {
+          suggestion: `Try "invoice send ${invoice.invoice_number} to accounts@client.com"`
+        });
+      }
+      if (email) {
+        db.setInvoiceClientEmail(invoiceId, email.toLowerCase());
+      }
+      const recipient = email ? email.toLowerCase() : invoice.client_email;
+
       // Start outcome tracking
       const outcomeTracker = require('../../lib/outcome-tracker');
       const actionId = outcomeTracker.startAction(
@@ -274,6 +332,17 @@ class InvoicesSkill extends BaseSkill {
       // Generate PDF
       const pdfPath = await this.generatePDF(invoice);
 
+      // Email it to the client - the invoice stays a draft if that fails
+      if (recipient) {
+        const delivered = await this.emailInvoice(invoice, recipient, pdfPath);
+        if (!delivered) {
+          outcomeTracker.completeAction(actionId, 'failed', { error: 'Email delivery failed' });
+          return this.error('Failed to email invoice', 'Email not configured or delivery failed', {
+            suggestion: 'Check the SMTP settings, or send without "to <email>" to only mark it as sent'
+          });
+        }
+      }
+
       // Update status to sent
       const updated = db.updateInvoiceStatus(invoiceId, 'sent', { pdfPath });
 
@@ -284,7 +353,8 @@ class InvoicesSkill extends BaseSkill {
 
       outcomeTracker.completeAction(actionId, 'success', {
         invoiceNumber: invoice.invoice_number,
-        pdfPath
+        pdfPath,
+        emailedTo: recipient || null
       });
 
       return this.success(
@@ -292,9 +362,11 @@ class InvoicesSkill extends BaseSkill {
         `Client: ${invoice.client_name}\n` +
         `Amount: ${invoice.currency} ${parseFloat(invoice.amount).toFixed(2)}\n` +
         `PDF: ${pdfPath}\n` +
+        (recipient ? `Emailed to: ${recipient}\n` : '') +
         `Sent: ${new Date().toLocaleString()}\n\n` +
+        (recipient ? '' : `Not emailed - use "invoice send <id> to <email>" next time to deliver it.\n`) +
         `Use "invoice paid ${invoice.invoice_number}" when payment is received.`,
-        { pdfPath }
+        { pdfPath, emailedTo: recipient || null }
       );
     } catch (error) {
       this.log('error', 'Send invoice error:', error);
@@ -302,6 +374,35 @@ class InvoicesSkill extends BaseSkill {
     }
   }
 
+  /**
+   * Email an invoice with its PDF attached
+   * @param {Object} invoice - Invoice row
+   * @param {string} to - Client address
+   * @param {string} pdfPath - Generated invoice file
+   * @returns {Promise<boolean>} True if the email was accepted for delivery
+   */
+  async emailInvoice(invoice, to, pdfPath) {
+    const { getEmailHandler } = require('../../email-handler');
+    const email = getEmailHandler();
+    if (!email.isAvailable()) {
+      this.log('warn', `Email not configured - cannot deliver ${invoice.invoice_number}`);
+      return false;
+    }
+
+    const dueDate = invoice.due_date ? new Date(invoice.due_date).toLocaleDateString('en-GB') : 'on receipt';
+    const info = await email.sendEmail({
+      to,
+      subject: `Invoice ${invoice.invoice_number}`,
+      text:
+        `Dear ${invoice.client_name},\n\n` +
+        `Please find attached invoice ${invoice.invoice_number} for ` +
+        `${invoice.currency} ${parseFloat(invoice.amount).toFixed(2)}, due ${dueDate}.\n\n` +
+        `Kind regards`,
+      attachments: [{ filename: path.basename(pdfPath), path: pdfPath }]
+    });
+    return !!info;
+  }
+
   /**
    * Get invoice status and details
    */
@@ -326,9 +427,21 @@ class InvoicesSkill extends BaseSkill {
       const paidAt = invoice.paid_at ? new Date(invoice.paid_at).toLocaleString() : 'Not paid';
 
       let response = `*Invoice ${invoice.invoice_number}*\n\n`;
+      if (invoice.company) {
+        response += `From: ${invoice.company}\n`;
+      }
       response += `Client: ${invoice.client_name}\n`;
-      response += `Amount: ${invoice.currency} ${parseFloat(invoice.amount).toFixed(2)}\n`;
+      response += this.formatAmountLines({
+        netAmount: invoice.net_amount,
+        vatRate: invoice.vat_rate,
+        vatAmount: invoice.vat_amount,
+        amount: parseFloat(invoice.amount),
+        currency: invoice.currency
+      });
       response += `Status: ${invoice.status}\n`;
+      if (invoice.client_email) {
+        response += `Email: ${invoice.client_email}\n`;
+      }
       response += `Due: ${dueDate}\n`;
       response += `Created: ${created}\n`;
       response += `Sent: ${sentAt}\n`;
@@ -459,6 +572,21 @@ class InvoicesSkill extends BaseSkill {
     }
   }
 
+  /**
+   * Amount lines for a message: net, VAT and total for an invoice with VAT,
+   * otherwise just the amount
+   * @param {{ netAmount: number|null, vatRate: number|null, vatAmount: number|null, amount: number, currency: string }} figures
+   * @returns {string}
+   */
+  formatAmountLines({ netAmount, vatRate, vatAmount, amount, currency }) {
+    if (typeof vatAmount !== 'number') {
+      return `Amount: ${currency} ${amount.toFixed(2)}\n`;
+    }
+    return `Net: ${currency} ${netAmount.toFixed(2)}\n` +
+      `VAT (${vatRate}%): ${currency} ${vatAmount.toFixed(2)}\n` +
+      `Total: ${currency} ${amount.toFixed(2)}\n`;
+  }
+
   /**
    * Generate a simple text-based PDF invoice
    * @param {Object} invoice - Invoice data
@@ -471,17 +599,33 @@ class InvoicesSkill extends BaseSkill {
 
     const dueDate = invoice.due_date ? new Date(invoice.due_date).toLocaleDateString() : 'N/A';
     const issueDate = new Date(invoice.created_at).toLocaleDateString();
+    const money = (value) => `${invoice.currency} ${parseFloat(value).toFixed(2)}`;
+
+    // Issuer, with the registration details a VAT invoice must show
+    const issuer = invoice.company ? vat.getCompanyVat(invoice.company) : null;
+    let from = '';
+    if (issuer) {
+      from = `----------------------------------------\nFROM:\n${issuer.name}\nCompany No: ${issuer.number}\n`;
+      if (issuer.vatNumber) from += `VAT No:     ${issuer.vatNumber}\n`;
+      from += '\n';
+    }
+
+    const amounts = typeof invoice.vat_amount === 'number'
+      ? `NET:            ${money(invoice.net_amount)}
+VAT @ ${invoice.vat_rate}%:      ${money(invoice.vat_amount)}
+AMOUNT DUE:     ${money(invoice.amount)}`
+      : `AMOUNT DUE:     ${money(invoice.amount)}`;
 
     const content = `
 ========================================
-           INVOICE
+           ${typeof invoice.vat_amount === 'number' ? 'VAT INVOICE' : 'INVOICE'}
 ========================================
 
 Invoice Number: ${invoice.invoice_number}
 Issue Date:     ${issueDate}
 Due Date:       ${dueDate}
 
-----------------------------------------
+${from}----------------------------------------
 BILL TO:
 ${invoice.client_name}
 
@@ -491,7 +635,7 @@ DESCRIPTION:
 Professional Services
 
 ----------------------------------------
-AMOUNT DUE:     ${invoice.currency} ${parseFloat(invoice.amount).toFixed(2)}
+${amounts}
 ----------------------------------------
 
 Payment Terms: Net 30 days
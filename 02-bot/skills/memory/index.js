@@ -8,12 +8,36 @@
  *   remember [fact]          - Save a fact about yourself
  *   my facts | what do you know about me  - List all stored facts
  *   forget [topic]           - Search and delete facts containing a topic
+ *   recall [question]        - Search past messages, facts, meetings and documents by meaning
+ *   memory review            - Review facts the bot picked up from conversations
+ *   memory approve <id|all>  - Save a suggested fact
+ *   memory edit <id> <fact>  - Save a suggested fact with corrected wording
+ *   memory reject <id|all>   - Discard a suggested fact (it won't be suggested again)
+ *   memory export            - Write facts, open tasks and preferences to MEMORY.md
+ *   memory import            - Preview edits made to MEMORY.md and apply them (with confirmation)
  *   clear memory             - Clear conversation history (with confirmation)
  *
+ * Recall uses the local semantic index (lib/semantic-index), so it finds
+ * paraphrases too: "recall LusoTown payment gateway" matches "switch the
+ * LusoTown checkout to Stripe".
+ *
+ * Suggested facts come from lib/memory-extractor, which scans conversations
+ * for preferences, decisions, people and project constraints. On Telegram
+ * "memory review" shows approve/edit/reject buttons for each suggestion.
+ *
+ * MEMORY.md (lib/memory-export, MEMORY_MD_PATH) can be edited by hand or in
+ * git; "memory import" shows the added/changed/removed facts and tasks and
+ * only writes them to the database after a "yes".
+ *
  * @example
  * remember I work as a software engineer at TechCorp
  * my facts
  * forget TechCorp
+ * recall what did I say about the LusoTown payment gateway?
+ * memory review
+ * memory edit 12 Prefers TypeScript for backend work
+ * memory export
+ * memory import
  * clear memory
  */
 const BaseSkill = require('../base-skill');
@@ -37,12 +61,44 @@ class MemorySkill extends BaseSkill {
     {
       pattern: /^forget\s+(.+)$/i,
       description: 'Delete facts containing a topic',
-      usage: 'forget <topic>'
+      usage: 'forget <topic>',
+      destructive: true
+    },
+    {
+      pattern: /^recall\s+(.+)$/i,
+      description: 'Search past conversations, facts, meetings and documents',
+      usage: 'recall <question>'
+    },
+    {
+      pattern: /^memory\s+review$/i,
+      description: 'Review facts picked up from conversations',
+      usage: 'memory review'
+    },
+    {
+      pattern: /^memory\s+(approve|reject)\s+(#?\d+|all)$/i,
+      description: 'Approve or reject a suggested fact',
+      usage: 'memory approve <id|all>'
+    },
+    {
+      pattern: /^memory\s+edit\s+#?\d+\s+.+$/i,
+      description: 'Approve a suggested fact with corrected wording',
+      usage: 'memory edit <id> <fact>'
+    },
+    {
+      pattern: /^memory\s+export$/i,
+      description: 'Export facts, tasks and preferences to MEMORY.md',
+      usage: 'memory export'
+    },
+    {
+      pattern: /^memory\s+import$/i,
+      description: 'Import edits made to MEMORY.md (shows a diff first)',
+      usage: 'memory import'
     },
     {
       pattern: /^clear\s+memory$/i,
       description: 'Clear conversation history',
-      usage: 'clear memory'
+      usage: 'clear memory',
+      destructive: true
     }
   ];
 
@@ -50,7 +106,7 @@ class MemorySkill extends BaseSkill {
    * Execute memory commands
    */
   async execute(command, context) {
-    const { from: userId } = context;
+    const userId = context.from || context.userId;
 
     // Ensure memory manager is available
     if (!this.memory) {
@@ -76,6 +132,35 @@ class MemorySkill extends BaseSkill {
       return this.handleForgetCommand(userId, topic);
     }
 
+    // Handle "recall" command
+    if (lowerCommand.startsWith('recall ')) {
+      return this.handleRecallCommand(userId, context.chatId || userId, parsed.args.join(' '));
+    }
+
+    // Handle "memory review|approve|reject|edit" commands
+    if (lowerCommand === 'memory review') {
+      return this.handleReviewCommand(userId);
+    }
+
+    const decision = parsed.raw.match(/^memory\s+(approve|reject)\s+#?(\d+|all)$/i);
+    if (decision) {
+      return this.handleDecisionCommand(userId, decision[1].toLowerCase(), decision[2].toLowerCase());
+    }
+
+    const edit = parsed.raw.match(/^memory\s+edit\s+#?(\d+)\s+(.+)$/i);
+    if (edit) {
+      return this.handleEditCommand(userId, edit[1], edit[2]);
+    }
+
+    // Handle "memory export|import" commands
+    if (lowerCommand === 'memory export') {
+      return this.handleExportCommand(userId);
+    }
+
+    if (lowerCommand === 'memory import') {
+      return this.handleImportCommand(userId);
+    }
+
     // Handle "clear memory" command
     if (lowerCommand === 'clear memory') {
       return this.handleClearMemoryCommand(userId);
@@ -199,6 +284,194 @@ class MemorySkill extends BaseSkill {
     }
   }
 
+  /**
+   * Handle "recall [question]" - Semantic search over everything remembered
+   */
+  handleRecallCommand(userId, chatId, question) {
+    if (!question || question.trim().length === 0) {
+      return this.error('What would you like me to recall?');
+    }
+
+    try {
+      const hits = this.getSemanticIndex().search(question, { userId, chatId, k: 5 });
+
+      if (hits.length === 0) {
+        return this.success(
+          `🤔 *Nothing found about "${question}"*\n\n` +
+          'I searched our conversations, your facts, meetings and documents.'
+        );
+      }
+
+      const icons = { message: '💬', fact: '📌', meeting: '🎙️', document: '📄' };
+      let message = `🔎 *Recall: ${question}*\n\n`;
+
+      hits.forEach((hit, idx) => {
+        const text = hit.text.length > 200 ? hit.text.substring(0, 200) + '...' : hit.text;
+        const label = hit.source === 'message' ? (hit.label === 'assistant' ? 'I said' : 'You said') : hit.label;
+        message += `${idx + 1}. ${icons[hit.source] || '•'} ${text}\n`;
+        message += `   _${[label, this.formatDate(hit.createdAt), `${Math.round(hit.score * 100)}% match`].filter(Boolean).join(' · ')}_\n\n`;
+      });
+
+      this.log('info', `Recall for user ${userId}: ${hits.length} hit(s)`);
+      return this.success(message.trim());
+    } catch (error) {
+      this.log('error', 'Error searching memory', error);
+      return this.error('Failed to search your memory. Please try again.');
+    }
+  }
+
+  /**
+   * Handle "memory review" - List suggested facts waiting for approval
+   * Telegram gets approve/edit/reject buttons per suggestion.
+   */
+  handleReviewCommand(userId) {
+    try {
+      const extractor = this.getExtractor();
+      const pending = extractor.listPending(userId, 5);
+
+      if (pending.length === 0) {
+        return this.success(
+          '🧠 *No memory suggestions to review*\n\n' +
+          'I\'ll suggest facts here as they come up in conversation.'
+        );
+      }
+
+      const total = extractor.countPending(userId);
+      let message = `🧠 *Memory review* (${total} pending)\n\n`;
+
+      pending.forEach(candidate => {
+        const source = candidate.sourceMessage && candidate.sourceMessage.length > 80
+          ? candidate.sourceMessage.substring(0, 80) + '...'
+          : candidate.sourceMessage;
+        message += `*#${candidate.id}* ${candidate.fact}\n`;
+        message += `   _${candidate.category} · ${Math.round(candidate.confidence * 100)}% · "${source}"_\n\n`;
+      });
+
+      if (total > pending.length) {
+        message += `_...and ${total - pending.length} more_\n\n`;
+      }
+      message += 'Reply: memory approve <id|all> · memory edit <id> <fact> · memory reject <id|all>';
+
+      const ActionButtons = require('../../lib/action-buttons');
+      const response = this.success(message, { pending: pending.map(c => c.id) });
+      response.buttons = pending.flatMap(c => ActionButtons.memoryCandidate(c.id));
+      return response;
+    } catch (error) {
+      this.log('error', 'Error listing memory suggestions', error);
+      return this.error('Failed to load memory suggestions. Please try again.');
+    }
+  }
+
+  /**
+   * Handle "memory approve|reject <id|all>"
+   */
+  handleDecisionCommand(userId, decision, target) {
+    const extractor = this.getExtractor();
+    const ids = target === 'all'
+      ? extractor.listPending(userId, 1000).map(c => c.id)
+      : [parseInt(target, 10)];
+
+    if (ids.length === 0) {
+      return this.success('🧠 *No memory suggestions to review*');
+    }
+
+    try {
+      const done = ids.map(id => (decision === 'approve'
+        ? extractor.approve(userId, id, { memory: this.memory })
+        : extractor.reject(userId, id)));
+
+      const verb = decision === 'approve' ? '✅ *Remembered*' : '🗑️ *Discarded*';
+      let message = `${verb}\n\n`;
+      done.slice(0, 5).forEach(c => { message += `• ${c.fact}\n`; });
+      if (done.length > 5) message += `_...and ${done.length - 5} more_\n`;
+
+      const remaining = extractor.countPending(userId);
+      if (remaining > 0) message += `\n_${remaining} suggestion(s) left - memory review_`;
+
+      this.log('info', `${decision} ${done.length} memory suggestion(s) for user ${userId}`);
+      return this.success(message.trim(), { ids, decision });
+    } catch (error) {
+      return this.error(error.message);
+    }
+  }
+
+  /**
+   * Handle "memory edit <id> <fact>" - Approve with corrected wording
+   */
+  handleEditCommand(userId, id, fact) {
+    try {
+      const approved = this.getExtractor().approve(userId, parseInt(id, 10), { fact, memory: this.memory });
+      return this.success(
+        '✅ *Remembered!*\n\n' +
+        `I'll remember that you: ${approved.fact}\n\n` +
+        `_Fact #${approved.factId} saved_`,
+        { ids: [approved.id], decision: 'edit' }
+      );
+    } catch (error) {
+      return this.error(error.message);
+    }
+  }
+
+  /**
+   * Handle "memory export" - Write MEMORY.md for editing
+   */
+  handleExportCommand(userId) {
+    try {
+      const memoryExport = this.getMemoryExport();
+      const filePath = memoryExport.writeMemoryMd(this.memory, userId);
+      const facts = this.memory.getFacts(userId).length;
+      const tasks = this.memory.getTasks(userId).filter(t => t.status === 'pending' || t.status === 'in_progress').length;
+
+      return this.success(
+        '📤 *Memory exported*\n\n' +
+        `${facts} fact(s) and ${tasks} open task(s) written to MEMORY.md.\n\n` +
+        'Edit the file (or commit it to git), then send: memory import',
+        { path: filePath, facts, tasks }
+      );
+    } catch (error) {
+      this.log('error', 'Error exporting memory', error);
+      return this.error('Failed to export MEMORY.md. Please try again.');
+    }
+  }
+
+  /**
+   * Handle "memory import" - Diff MEMORY.md against the database
+   * Changes are applied by the memory_import action after confirmation.
+   */
+  handleImportCommand(userId) {
+    const memoryExport = this.getMemoryExport();
+    const filePath = memoryExport.getMemoryMdPath();
+    const markdown = memoryExport.loadMemoryMd(filePath);
+
+    if (markdown === null) {
+      return this.error('No MEMORY.md found. Send "memory export" first.');
+    }
+
+    let plan;
+    try {
+      plan = memoryExport.planImport(this.memory, userId, markdown);
+    } catch (error) {
+      return this.error(error.message);
+    }
+
+    const changes = memoryExport.countChanges(plan);
+    const preview = memoryExport.formatImportPlan(plan);
+    if (changes === 0) {
+      return this.success(preview, { changes });
+    }
+
+    const { formatConfirmationRequest } = require('../../lib/confirmation-manager');
+    const approvalData = { action: 'memory_import', userId, path: filePath, changes, plan };
+
+    this.log('info', `MEMORY.md import for ${userId}: ${changes} change(s) awaiting confirmation`);
+    return {
+      success: true,
+      message: `${preview}\n\n${formatConfirmationRequest('memory_import', { changes })}`,
+      needsApproval: true,
+      approvalData
+    };
+  }
+
   /**
    * Handle "clear memory" - Clear conversation history with confirmation
    * Note: In a real implementation, you might want two-step confirmation
@@ -258,11 +531,45 @@ class MemorySkill extends BaseSkill {
     }
   }
 
+  /**
+   * Helper: Semantic index module (lazy so the skill loads without SQLite)
+   */
+  getSemanticIndex() {
+    return require('../../lib/semantic-index');
+  }
+
+  /**
+   * Helper: Memory extractor module (review queue)
+   */
+  getExtractor() {
+    return require('../../lib/memory-extractor');
+  }
+
+  /**
+   * Helper: MEMORY.md export/import module
+   */
+  getMemoryExport() {
+    return require('../../lib/memory-export');
+  }
+
   /**
    * Initialize the skill
+   * Backfills the semantic index on the first start after it was added.
    */
   async initialize() {
     await super.initialize();
+
+    try {
+      const index = this.getSemanticIndex();
+      const indexed = Object.values(index.stats()).reduce((sum, n) => sum + n, 0);
+      if (indexed === 0) {
+        const counts = index.reindex();
+        this.log('info', 'Semantic index built', counts);
+      }
+    } catch (error) {
+      this.log('warn', 'Semantic index backfill failed', error.message);
+    }
+
     this.log('info', 'Memory skill ready for use');
   }
 
@@ -2,7 +2,9 @@
  * Overnight Skill - Queue tasks to run while you sleep
  *
  * Allows users to queue tasks for overnight processing at 2 AM.
- * Tasks are stored in memory and processed via the scheduler.
+ * Tasks are "nightly_task" jobs in the persistent task queue (lib/task-queue),
+ * due at the next 2 AM, so they survive restarts; each result (or failure,
+ * after retries) is sent to the chat that queued it.
  *
  * Commands:
  *   tonight <task>           - Queue a task for tonight
@@ -21,6 +23,9 @@
 const BaseSkill = require('../base-skill');
 const Anthropic = require('@anthropic-ai/sdk');
 const { Octokit } = require('@octokit/rest');
+const taskQueue = require('../../lib/task-queue');
+
+const JOB_TYPE = 'nightly_task';
 
 class OvernightSkill extends BaseSkill {
   name = 'overnight';
@@ -31,12 +36,14 @@ class OvernightSkill extends BaseSkill {
     {
       pattern: /^(tonight|overnight),?\s+(.+)$/i,
       description: 'Queue task for tonight',
-      usage: 'tonight <task>'
+      usage: 'tonight <task>',
+      permission: 'dev'
     },
     {
       pattern: /^queue:?\s+(.+)$/i,
       description: 'Queue a task',
-      usage: 'queue <task>'
+      usage: 'queue <task>',
+      permission: 'dev'
     },
     {
       pattern: /^(my queue|queued tasks|show queue)$/i,
@@ -46,7 +53,9 @@ class OvernightSkill extends BaseSkill {
     {
       pattern: /^clear queue$/i,
       description: 'Clear all queued tasks',
-      usage: 'clear queue'
+      usage: 'clear queue',
+      permission: 'dev',
+      destructive: true
     }
   ];
 
@@ -55,7 +64,6 @@ class OvernightSkill extends BaseSkill {
     this.octokit = null;
     this.claude = null;
     this.username = process.env.GITHUB_USERNAME;
-    this.queue = []; // In-memory queue, could use SQLite for persistence
     this.OVERNIGHT_JOB_NAME = 'overnight-queue-processor';
     this.PROCESS_HOUR = 2; // 2 AM
   }
@@ -75,6 +83,8 @@ class OvernightSkill extends BaseSkill {
         this.claude = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
       }
 
+      taskQueue.registerHandler(JOB_TYPE, this.runJob.bind(this), { maxAttempts: 3 });
+
       // Set up overnight processing schedule if scheduler is available
       if (this.config.scheduler) {
         await this._initializeOvernightSchedule();
@@ -111,7 +121,7 @@ class OvernightSkill extends BaseSkill {
 
     // Clear queue
     if (/^clear queue$/i.test(raw)) {
-      return this.clearQueue(context);
+      return await this.clearQueue(context);
     }
 
     return this.error('Unknown command');
@@ -123,19 +133,10 @@ class OvernightSkill extends BaseSkill {
    * @param {Object} context - Execution context
    */
   async queueTask(taskDescription, context) {
-    const task = {
-      id: `TASK_${Date.now()}`,
-      description: taskDescription,
-      status: 'queued',
-      createdAt: new Date().toISOString(),
-      userId: context.userId || context.from
-    };
+    const userId = context.userId || context.from;
 
     // Parse task to understand what needs to be done
     const parsed = await this.parseTask(taskDescription);
-    task.parsed = parsed;
-
-    this.queue.push(task);
 
     // Calculate when the task will run
     const now = new Date();
@@ -146,6 +147,21 @@ class OvernightSkill extends BaseSkill {
     }
     const hoursUntil = Math.round((processTime - now) / (1000 * 60 * 60));
 
+    const job = taskQueue.enqueue(JOB_TYPE, { description: taskDescription, parsed }, {
+      runAt: processTime,
+      repo: parsed.repo || null,
+      chatId: context.chatId || userId,
+      userId,
+      platform: context.platform
+    });
+    if (!job) {
+      return this.error('Task queue is not available', null, {
+        suggestion: 'The database could not be opened - check the logs'
+      });
+    }
+
+    const queueSize = this._userJobs(userId, 'queued').length;
+
     return this.success(
       `*Task Queued for Tonight*\n\n` +
       `${taskDescription}\n\n` +
@@ -154,7 +170,7 @@ class OvernightSkill extends BaseSkill {
       `  Target: ${parsed.target || 'N/A'}\n` +
       `  Repo: ${parsed.repo || 'N/A'}\n\n` +
       `Will process at ${this.PROCESS_HOUR}:00 AM (~${hoursUntil}h)\n` +
-      `Queue size: ${this.queue.length} task(s)\n\n` +
+      `Queue size: ${queueSize} task(s) | Job: ${job.id}\n\n` +
       `_Reply "my queue" to see all queued tasks_`
     );
   }
@@ -234,7 +250,7 @@ JSON:`
    */
   showQueue(context) {
     const userId = context.userId || context.from;
-    const userQueue = this.queue.filter(t => t.userId === userId);
+    const userQueue = this._userJobs(userId, ['queued', 'running', 'dead']);
 
     if (userQueue.length === 0) {
       return this.success(
@@ -249,23 +265,27 @@ JSON:`
 
     let output = `*Overnight Queue* (${userQueue.length} tasks)\n\n`;
 
-    userQueue.forEach((task, i) => {
-      const createdTime = new Date(task.createdAt).toLocaleTimeString('en-GB', {
+    userQueue.forEach((job, i) => {
+      const createdTime = new Date(job.createdAt).toLocaleTimeString('en-GB', {
         hour: '2-digit',
         minute: '2-digit'
       });
-      const statusIcon = this._getStatusIcon(task.status);
+      const statusIcon = this._getStatusIcon(job.status);
+      const { description, parsed } = job.params;
 
-      output += `${i + 1}. ${task.description}\n`;
-      output += `   ${statusIcon} ${task.status} | Added: ${createdTime}\n`;
+      output += `${i + 1}. ${description}\n`;
+      output += `   ${statusIcon} ${job.status} | Added: ${createdTime} | Job: ${job.id}\n`;
 
-      if (task.parsed && task.parsed.action !== 'other') {
-        output += `   Action: ${task.parsed.action}`;
-        if (task.parsed.repo) {
-          output += ` | Repo: ${task.parsed.repo}`;
+      if (parsed && parsed.action !== 'other') {
+        output += `   Action: ${parsed.action}`;
+        if (parsed.repo) {
+          output += ` | Repo: ${parsed.repo}`;
         }
         output += '\n';
       }
+      if (job.status === 'dead' && job.lastError) {
+        output += `   Error: ${job.lastError}\n`;
+      }
       output += '\n';
     });
 
@@ -281,9 +301,10 @@ JSON:`
   _getStatusIcon(status) {
     const icons = {
       queued: '[PENDING]',
-      processing: '[RUNNING]',
+      running: '[RUNNING]',
       completed: '[DONE]',
-      failed: '[FAILED]'
+      dead: '[FAILED]',
+      cancelled: '[CANCELLED]'
     };
     return icons[status] || '[?]';
   }
@@ -292,11 +313,12 @@ JSON:`
    * Clear all queued tasks for the user
    * @param {Object} context - Execution context
    */
-  clearQueue(context) {
+  async clearQueue(context) {
     const userId = context.userId || context.from;
-    const before = this.queue.length;
-    this.queue = this.queue.filter(t => t.userId !== userId);
-    const removed = before - this.queue.length;
+    let removed = 0;
+    for (const job of this._userJobs(userId, 'queued')) {
+      if (await taskQueue.cancelTask(job.id)) removed++;
+    }
 
     if (removed === 0) {
       return this.success('Your queue was already empty.');
@@ -338,71 +360,41 @@ JSON:`
   }
 
   /**
-   * Process all queued tasks - called by scheduler at 2 AM
-   * @returns {Promise<string>} Summary message
+   * Wake the task queue - called by scheduler at 2 AM
+   * Tonight's jobs are due from 2 AM anyway; this makes sure they start on
+   * the hour rather than at the next queue poll. Each job reports to its own
+   * chat, so there is no summary message.
+   * @returns {Promise<null>}
    */
   async processQueue() {
-    const pendingTasks = this.queue.filter(t => t.status === 'queued');
-    this.log('info', `Processing ${pendingTasks.length} overnight tasks...`);
-
-    if (pendingTasks.length === 0) {
-      return null; // No message to send if queue is empty
-    }
-
-    const results = {
-      completed: 0,
-      failed: 0,
-      details: []
-    };
-
-    for (const task of pendingTasks) {
-      task.status = 'processing';
-      task.startedAt = new Date().toISOString();
-
-      try {
-        const result = await this.executeTask(task);
-        task.status = 'completed';
-        task.completedAt = new Date().toISOString();
-        task.result = result;
-        results.completed++;
-        results.details.push({
-          task: task.description,
-          success: true,
-          message: result.message || 'Completed'
-        });
-      } catch (e) {
-        task.status = 'failed';
-        task.error = e.message;
-        results.failed++;
-        results.details.push({
-          task: task.description,
-          success: false,
-          message: e.message
-        });
-        this.log('error', `Task failed: ${task.description}`, e.message);
-      }
-    }
+    const pending = taskQueue.getStatus(JOB_TYPE).queued;
+    this.log('info', `Processing ${pending} overnight tasks...`);
+    taskQueue.processNext();
+    return null;
+  }
 
-    // Remove completed tasks from queue
-    this.queue = this.queue.filter(t => t.status !== 'completed');
-
-    // Build summary message
-    let summary = `*Overnight Tasks Complete*\n\n`;
-    summary += `Completed: ${results.completed}\n`;
-    summary += `Failed: ${results.failed}\n\n`;
-
-    if (results.details.length > 0) {
-      summary += `*Details:*\n`;
-      results.details.forEach((d, i) => {
-        const icon = d.success ? '[OK]' : '[FAIL]';
-        summary += `${i + 1}. ${icon} ${d.task}\n`;
-        if (!d.success) {
-          summary += `   Error: ${d.message}\n`;
-        }
-      });
-    }
+  /**
+   * Task queue handler for one nightly_task job
+   * Throwing lets the queue retry the job and dead-letter it after its attempts.
+   * @param {Object} job - Queue job ({ params: { description, parsed } })
+   * @returns {Promise<string>} Result message for the chat
+   */
+  async runJob(job) {
+    const { description, parsed } = job.params;
+    const result = await this.executeTask({
+      id: job.id,
+      description,
+      parsed: parsed || { action: 'other', repo: null, target: null, details: description }
+    });
+    return `*Overnight Task Complete*\n\n[OK] ${description}\n${result.message || 'Completed'}`;
+  }
 
-    return summary;
+  /**
+   * A user's nightly jobs
+   * @private
+   */
+  _userJobs(userId, status) {
+    return taskQueue.listJobs({ type: JOB_TYPE, userId, status, limit: 50 });
   }
 
   /**
@@ -588,12 +580,13 @@ JSON:`
    * Get queue statistics
    */
   getStats() {
+    const status = taskQueue.getStatus(JOB_TYPE);
     return {
-      total: this.queue.length,
-      queued: this.queue.filter(t => t.status === 'queued').length,
-      processing: this.queue.filter(t => t.status === 'processing').length,
-      completed: this.queue.filter(t => t.status === 'completed').length,
-      failed: this.queue.filter(t => t.status === 'failed').length
+      total: status.queued + status.running + status.completed + status.dead,
+      queued: status.queued,
+      processing: status.running,
+      completed: status.completed,
+      failed: status.dead
     };
   }
 
@@ -614,9 +607,9 @@ JSON:`
    */
   async shutdown() {
     // Log any pending tasks
-    const pending = this.queue.filter(t => t.status === 'queued');
-    if (pending.length > 0) {
-      this.log('warn', `Shutting down with ${pending.length} pending tasks`);
+    const pending = taskQueue.getStatus(JOB_TYPE).queued;
+    if (pending > 0) {
+      this.log('info', `Shutting down with ${pending} pending tasks (kept in the task queue)`);
     }
     await super.shutdown();
   }
@@ -5,20 +5,24 @@
  * Tracks daily session count and sends alerts when a session completes.
  *
  * Commands:
- *   pomodoro start [minutes]    - Start a new Pomodoro session (default: 25 minutes)
+ *   pomodoro start [length]     - Start a new Pomodoro session (default: 25 minutes)
  *   pomodoro stop               - Stop the current session
  *   pomodoro status             - Show current session status and daily count
  *   pomodoro stats              - Show daily statistics
  *
+ * The length is read by lib/date-parser: "50", "50 minutes", "1h30", "an hour".
+ *
  * @example
  * pomodoro start
  * pomodoro start 50
+ * pomodoro start 1 hour
  * pomodoro stop
  * pomodoro status
  * pomodoro stats
  */
 
 const BaseSkill = require('../base-skill');
+const { parseDuration } = require('../../lib/date-parser');
 
 class PomodoroSkill extends BaseSkill {
   name = 'pomodoro';
@@ -27,9 +31,9 @@ class PomodoroSkill extends BaseSkill {
 
   commands = [
     {
-      pattern: /^pomodoro\s+start\s*(\d+)?$/i,
+      pattern: /^pomodoro\s+start(?:\s+.+)?$/i,
       description: 'Start a new Pomodoro session',
-      usage: 'pomodoro start [minutes]'
+      usage: 'pomodoro start [length]'
     },
     {
       pattern: /^pomodoro\s+stop$/i,
@@ -73,11 +77,14 @@ class PomodoroSkill extends BaseSkill {
     const parsed = this.parseCommand(command);
     const lowerCommand = parsed.raw.toLowerCase();
 
-    // Handle "pomodoro start [minutes]"
+    // Handle "pomodoro start [length]"
     if (lowerCommand.startsWith('pomodoro start')) {
-      const match = parsed.raw.match(/^pomodoro\s+start\s*(\d+)?$/i);
+      const match = parsed.raw.match(/^pomodoro\s+start(?:\s+(.+))?$/i);
       if (match) {
-        const durationMinutes = match[1] ? parseInt(match[1]) : 25;
+        const durationMinutes = match[1] ? parseDuration(match[1]) : 25;
+        if (!durationMinutes) {
+          return this.error(`I couldn't read "${match[1]}" as a length of time. Try "pomodoro start 50" or "pomodoro start 1 hour".`);
+        }
         return await this.handleStartSession(userId, durationMinutes, context);
       }
     }
@@ -101,7 +108,7 @@ class PomodoroSkill extends BaseSkill {
   }
 
   /**
-   * Handle "pomodoro start [minutes]"
+   * Handle "pomodoro start [length]"
    */
   async handleStartSession(userId, durationMinutes, context) {
     try {
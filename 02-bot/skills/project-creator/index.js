@@ -23,6 +23,8 @@ class ProjectCreatorSkill extends BaseSkill {
   name = 'project-creator';
   description = 'Create new GitHub repositories with full project scaffolding';
   priority = 22;
+  destructive = true;
+  permission = 'dev';
 
   commands = [
     {
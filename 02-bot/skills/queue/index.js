@@ -0,0 +1,256 @@
+/**
+ * Queue Skill - Inspect and manage the background job queue
+ *
+ * Long-running work - Claude Code sessions, deploys, overnight tasks and
+ * reports - runs as jobs in the persistent task queue (lib/task-queue). Jobs
+ * that fail after their retries land in the dead letter list; this skill shows
+ * what is queued, running and dead, and puts dead jobs back in the queue.
+ *
+ * Commands:
+ *   queue status            - Counts, running jobs and what's next
+ *   queue dead              - Jobs that failed after all their attempts
+ *   queue retry <id>        - Run a dead or cancelled job again (asks first)
+ *   queue cancel <id>       - Cancel a queued or running job
+ *   queue report <name>     - Generate a report in the background and post it here
+ *
+ * @example
+ * queue status
+ * queue dead
+ * queue retry k3j9x2ab
+ * queue report morning-brief
+ *
+ * @module skills/queue
+ */
+
+const BaseSkill = require('../base-skill');
+const taskQueue = require('../../lib/task-queue');
+const { REPORT_HANDLERS } = require('../../scheduler/scheduler');
+
+const JOB_ID_ARG = { name: 'id', description: 'Job ID (from queue status or queue dead)' };
+
+// Readable names for job types
+const TYPE_LABELS = {
+  claude_code_session: 'Claude Code',
+  deploy: 'Deploy',
+  nightly_task: 'Overnight task',
+  report: 'Report'
+};
+
+class QueueSkill extends BaseSkill {
+  name = 'queue';
+  description = 'Background job queue - status, dead letters, retry and cancel';
+  priority = 40; // Above overnight, whose "queue <task>" would swallow these
+
+  commands = [
+    {
+      command: 'queue status',
+      description: 'Show queued, running and failed jobs',
+      args: []
+    },
+    {
+      command: 'queue dead',
+      description: 'List jobs that failed after all their attempts',
+      args: []
+    },
+    {
+      command: 'queue retry',
+      description: 'Run a dead or cancelled job again',
+      permission: 'dev',
+      destructive: true, // Re-runs the job's side effects - deploys included
+      args: [JOB_ID_ARG]
+    },
+    {
+      command: 'queue cancel',
+      description: 'Cancel a queued or running job',
+      permission: 'dev',
+      destructive: true,
+      args: [JOB_ID_ARG]
+    },
+    {
+      command: 'queue report',
+      description: 'Generate a report in the background and post it here',
+      args: [
+        { name: 'report', choices: REPORT_HANDLERS, description: 'Report to generate' }
+      ]
+    }
+  ];
+
+  async execute(command, context = {}) {
+    const invocation = context.invocation || this.parseArgs(command);
+    if (invocation.error) {
+      return this.usageError(invocation.definition, invocation.error);
+    }
+
+    const { id, report } = invocation.args;
+
+    try {
+      switch (invocation.command) {
+        case 'queue status':
+          return this.handleStatus();
+        case 'queue dead':
+          return this.handleDead();
+        case 'queue retry':
+          return this.handleRetry(id);
+        case 'queue cancel':
+          return await this.handleCancel(id);
+        case 'queue report':
+          return this.handleReport(report, context);
+        default:
+          return this.error('Queue command not recognized', null, {
+            suggestion: 'Try: queue status'
+          });
+      }
+    } catch (err) {
+      this.log('error', 'Queue command failed', err);
+      return this.error('Queue command failed', err);
+    }
+  }
+
+  // ============ Command Handlers ============
+
+  /**
+   * Counts by status, running jobs, the next jobs due and recent failures
+   */
+  handleStatus() {
+    const status = taskQueue.getStatus();
+    const lines = [
+      '*Job Queue*',
+      '',
+      `Running: ${status.running}/${status.capacity} (max ${status.perRepo} per repo)`,
+      `Queued: ${status.queued}`,
+      `Completed: ${status.completed} | Dead: ${status.dead} | Cancelled: ${status.cancelled}`
+    ];
+
+    const running = taskQueue.listJobs({ status: 'running' });
+    if (running.length > 0) {
+      lines.push('', '*Running*', ...running.map(job => formatJob(job)));
+    }
+
+    const queued = taskQueue.listJobs({ status: 'queued', limit: 50 })
+      .sort((a, b) => b.priority - a.priority || a.runAfter - b.runAfter)
+      .slice(0, 10);
+    if (queued.length > 0) {
+      lines.push('', '*Next up*', ...queued.map(job => formatJob(job, { due: true })));
+    }
+
+    if (status.dead > 0) {
+      lines.push('', `${status.dead} dead job(s) - reply "queue dead" to see them`);
+    }
+
+    return this.success(lines.join('\n'));
+  }
+
+  /**
+   * Dead letter list
+   */
+  handleDead() {
+    const dead = taskQueue.listJobs({ status: 'dead' });
+    if (dead.length === 0) {
+      return this.success('No dead jobs. Everything queued has either run or is still waiting.');
+    }
+
+    const lines = [`*Dead Jobs* (${dead.length})`, ''];
+    for (const job of dead) {
+      lines.push(formatJob(job));
+      if (job.lastError) {
+        lines.push(`   Error: ${truncate(job.lastError, 200)}`);
+      }
+    }
+    lines.push('', 'Reply "queue retry <id>" to run one again.');
+
+    return this.success(lines.join('\n'));
+  }
+
+  /**
+   * Put a job back in the queue
+   */
+  handleRetry(id) {
+    const job = taskQueue.getJob(id);
+    if (!job) {
+      return this.error(`No job with ID ${id}`, null, {
+        suggestion: 'Reply "queue dead" to see failed jobs'
+      });
+    }
+    if (job.status === 'queued' || job.status === 'running') {
+      return this.error(`Job ${id} is already ${job.status}`);
+    }
+    if (job.status === 'completed') {
+      return this.error(`Job ${id} already completed`, null, {
+        suggestion: 'Only dead or cancelled jobs can be retried'
+      });
+    }
+
+    taskQueue.retry(id);
+    this.log('info', `Retrying job ${id} (${job.type})`);
+    return this.success(`🔁 ${describeJob(job)} is queued again (job ${id}).`);
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  async handleCancel(id) {
+    const job = taskQueue.getJob(id);
+    if (!job) {
+      return this.error(`No job with ID ${id}`, null, {
+        suggestion: 'Reply "queue status" to see queued jobs'
+      });
+    }
+    if (job.status !== 'queued' && job.status !== 'running') {
+      return this.error(`Job ${id} is ${job.status} - only queued or running jobs can be cancelled`);
+    }
+
+    await taskQueue.cancelTask(id);
+    this.log('info', `Cancelled job ${id} (${job.type})`);
+    return this.success(`Cancelled ${describeJob(job)} (job ${id}).`);
+  }
+
+  /**
+   * Queue a report for this chat
+   */
+  handleReport(report, context) {
+    const { getScheduler } = require('../../scheduler');
+    const userId = context.userId || context.from;
+
+    const job = getScheduler(this.memory).queueReport(report, {}, {
+      chatId: context.chatId || userId,
+      userId,
+      platform: context.platform
+    });
+    if (!job) {
+      return this.error('Task queue is not available', null, {
+        suggestion: 'The database could not be opened - check the logs'
+      });
+    }
+
+    return this.success(`📊 Generating ${report} (job ${job.id}) - I'll post it here when it's ready.`);
+  }
+}
+
+function describeJob(job) {
+  const label = TYPE_LABELS[job.type] || job.type;
+  const subject = job.params.description || job.params.task || job.params.report || job.repo;
+  return subject ? `${label}: ${truncate(subject, 60)}` : label;
+}
+
+function formatJob(job, options = {}) {
+  let line = `• ${job.id} - ${describeJob(job)}`;
+  if (job.repo && !describeJob(job).includes(job.repo)) {
+    line += ` [${job.repo}]`;
+  }
+  if (job.attempts > 0) {
+    line += ` (attempt ${job.attempts}/${job.maxAttempts})`;
+  }
+  if (options.due && job.runAfter > Date.now()) {
+    line += ` - due ${new Date(job.runAfter).toLocaleString('en-GB', {
+      weekday: 'short', hour: '2-digit', minute: '2-digit'
+    })}`;
+  }
+  return line;
+}
+
+function truncate(text, max) {
+  const str = String(text);
+  return str.length > max ? `${str.substring(0, max - 3)}...` : str;
+}
+
+module.exports = QueueSkill;
@@ -2,17 +2,23 @@
  * Receipts Skill - Receipt image processing, expense tracking, budgets, and recurring expenses
  *
  * Uses Claude Vision API to extract data from receipt images sent via WhatsApp/Telegram.
- * Stores receipts in a local JSON file (data/receipts.json) for persistence.
- * Manages budgets and recurring expenses via SQLite database.
+ * Receipts are stored in the expenses table (lib/database) alongside budgets
+ * and recurring expenses, so reports can join them. Receipts from the old
+ * data/receipts.json are imported on first start.
  *
  * Commands:
  *   [image message]          - Detect receipt, extract data, ask for confirmation
  *   expenses | my expenses   - Show recent expenses (last 10)
+ *   expenses <period>        - Expenses in a period (this month, Q1, since 1 march, from 1/4 to 30/6)
+ *   expenses by company [<code>] [<period>] - Totals per company, or one company's expenses
+ *   expenses export <period> [company] - CSV, Xero and QuickBooks files and a zip of the receipt images
+ *   vat summary <company> [period] - VAT return boxes 1-9 for a company (default: last quarter)
  *   summary | expense summary - Monthly expense summary
- *   confirm | yes             - Confirm pending receipt
+ *   confirm [company] | yes   - Confirm pending receipt (company defaults to the chat's)
  *   reject | no | cancel      - Reject pending receipt
  *   list receipts             - List all stored receipts
  *   receipts this month       - Show receipts from current month
+ *   expense #<id> company <code> - Assign an expense to a company
  *   delete expense #<id>      - Delete an expense by ID
  *
  * Budget Commands:
@@ -29,18 +35,30 @@
  * Reporting Commands:
  *   expense report [month]   - Generate monthly expense report with budget comparison
  *
- * Receipt data stored:
- *   - date: Receipt date (YYYY-MM-DD)
- *   - vendor: Merchant/business name
- *   - amount: Total amount paid
- *   - vat: VAT/tax amount
- *   - category: Expense category (auto-detected or from receipt)
+ * Receipt data stored (expenses table):
+ *   - expense_date: Receipt date (YYYY-MM-DD)
+ *   - merchant: Merchant/business name
+ *   - net_amount / vat_amount / gross_amount: Amount before VAT, VAT, total paid
+ *   - vat_rate, supplier_vat_number: VAT rate and the supplier's VAT number, if printed
  *   - currency: Currency (GBP, USD, EUR, etc.) - converts to GBP for budgets
+ *   - category: Expense category (auto-detected or from receipt)
+ *   - company: Group company code (GMH, GACC, ...)
+ *   - payment_method, card_last4, attachment_path
  *
  * @example
  * [User sends receipt image]
  * -> "Found receipt from Shell for 45.50 GBP. Confirm?"
  *
+ * expenses by company GMH last quarter
+ * -> GMH's expenses from the last calendar quarter with net, VAT and gross totals
+ *
+ * expenses export Q3 2026 GMH
+ * -> Sends expenses-GMH-2026-07-01-to-2026-09-30.csv, the Xero and QuickBooks
+ *    versions and a zip of the receipt images (lib/expense-export)
+ *
+ * vat summary GQCARS Q3 2026
+ * -> Boxes 1-9 from GQCARS's invoices and expenses for July-September (lib/vat)
+ *
  * budget set Fuel 200
  * -> Sets monthly fuel budget to £200
  *
@@ -52,13 +70,14 @@
  */
 const BaseSkill = require('../base-skill');
 const Anthropic = require('@anthropic-ai/sdk');
-const fs = require('fs');
-const path = require('path');
 const database = require('../../lib/database');
-
-// Path to receipts data file
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-const RECEIPTS_FILE = path.join(DATA_DIR, 'receipts.json');
+const receiptProcessor = require('../../lib/actions/receipt-processor');
+const expenseExport = require('../../lib/expense-export');
+const fxRates = require('../../lib/fx-rates');
+const vat = require('../../lib/vat');
+const { COMPANY_CODES } = require('../../lib/chat-registry');
+const { parseDateRange, clarifyCommands } = require('../../lib/date-parser');
+const { getUserTimezone } = require('../../lib/user-timezone');
 
 // Category mappings for auto-detection
 const CATEGORY_KEYWORDS = {
@@ -78,6 +97,7 @@ class ReceiptsSkill extends BaseSkill {
   name = 'receipts';
   description = 'Receipt scanning and expense tracking via images';
   priority = 30; // High priority to catch image messages
+  permission = 'finance';
 
   commands = [
     {
@@ -85,25 +105,51 @@ class ReceiptsSkill extends BaseSkill {
       description: 'Show recent expenses',
       usage: 'expenses'
     },
+    {
+      pattern: /^expenses by company(?: (\w+))?(?: (.+))?$/i,
+      description: 'Expenses per company, or for one company',
+      usage: 'expenses by company [<code>] [<period>]'
+    },
+    {
+      pattern: /^expenses export (.+)$/i,
+      description: 'Export expenses for the accountant (CSV, Xero, QuickBooks, receipt images)',
+      usage: 'expenses export <period> [company]'
+    },
+    {
+      pattern: /^expenses (.+)$/i,
+      description: 'Show expenses for a period',
+      usage: 'expenses <period>'
+    },
+    {
+      pattern: /^vat summary (.+)$/i,
+      description: 'VAT return figures (boxes 1-9) for a company',
+      usage: 'vat summary <company> [period]'
+    },
     {
       pattern: /^(summary|expense summary|monthly summary)$/i,
       description: 'Show monthly expense summary',
       usage: 'summary'
     },
     {
-      pattern: /^(confirm|yes)$/i,
+      pattern: /^(confirm|yes)$|^confirm (\w+)$/i,
       description: 'Confirm pending receipt',
-      usage: 'confirm'
+      usage: 'confirm [company]'
     },
     {
       pattern: /^(reject|no|cancel)$/i,
       description: 'Reject pending receipt',
       usage: 'reject'
     },
+    {
+      pattern: /^expense #?(\d+) company (\w+)$/i,
+      description: 'Assign an expense to a company',
+      usage: 'expense #<id> company <code>'
+    },
     {
       pattern: /^delete expense #?(\d+)$/i,
       description: 'Delete an expense by ID',
-      usage: 'delete expense #<id>'
+      usage: 'delete expense #<id>',
+      destructive: true
     },
     {
       pattern: /^list receipts$/i,
@@ -133,7 +179,8 @@ class ReceiptsSkill extends BaseSkill {
     {
       pattern: /^budget delete (.+)$/i,
       description: 'Delete a budget',
-      usage: 'budget delete <category>'
+      usage: 'budget delete <category>',
+      destructive: true
     },
     {
       pattern: /^recurring add "([^"]+)" (\d+(?:\.\d{1,2})?) (daily|weekly|monthly|yearly)(?: (.+))?$/i,
@@ -148,7 +195,8 @@ class ReceiptsSkill extends BaseSkill {
     {
       pattern: /^recurring delete #?(\d+)$/i,
       description: 'Delete a recurring expense',
-      usage: 'recurring delete #<id>'
+      usage: 'recurring delete #<id>',
+      destructive: true
     },
     {
       pattern: /^expense report(?: (\d{4}-\d{2}))?$/i,
@@ -161,146 +209,125 @@ class ReceiptsSkill extends BaseSkill {
     super(context);
     this.claude = null;
     this.pendingReceipts = new Map(); // userId -> pending receipt data
-    this.exchangeRates = null; // Cached exchange rates
-    this.exchangeRatesExpiry = 0; // Timestamp when rates expire
-    this.ensureDataDirectory();
-  }
-
-  /**
-   * Ensure the data directory exists
-   */
-  ensureDataDirectory() {
-    try {
-      if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-        this.log('info', `Created data directory: ${DATA_DIR}`);
-      }
-      // Initialize receipts file if it doesn't exist
-      if (!fs.existsSync(RECEIPTS_FILE)) {
-        fs.writeFileSync(RECEIPTS_FILE, JSON.stringify({ receipts: [], nextId: 1 }, null, 2));
-        this.log('info', `Created receipts file: ${RECEIPTS_FILE}`);
-      }
-    } catch (error) {
-      this.log('error', 'Failed to create data directory', error);
-    }
-  }
-
-  /**
-   * Load receipts from JSON file
-   * @returns {{receipts: Array, nextId: number}}
-   */
-  loadReceipts() {
-    try {
-      this.ensureDataDirectory();
-      const data = fs.readFileSync(RECEIPTS_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      this.log('error', 'Failed to load receipts, returning empty', error);
-      return { receipts: [], nextId: 1 };
-    }
-  }
-
-  /**
-   * Save receipts to JSON file
-   * @param {{receipts: Array, nextId: number}} data
-   */
-  saveReceipts(data) {
-    try {
-      this.ensureDataDirectory();
-      fs.writeFileSync(RECEIPTS_FILE, JSON.stringify(data, null, 2));
-      this.log('info', `Saved ${data.receipts.length} receipts to file`);
-    } catch (error) {
-      this.log('error', 'Failed to save receipts', error);
-      throw error;
-    }
   }
 
   /**
-   * Add a receipt to the JSON store
-   * @param {Object} receipt - Receipt data to store
-   * @returns {number} - The ID of the saved receipt
+   * Add a confirmed receipt to the expense ledger, with the exchange rate to
+   * GBP for its date
+   * @param {Object} receipt - Extracted receipt data
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Who confirmed it
+   * @param {string} [options.company] - Company code
+   * @returns {Promise<number>} - The ID of the saved expense
    */
-  addReceipt(receipt) {
-    const data = this.loadReceipts();
-    const id = data.nextId;
-
-    const receiptRecord = {
-      id,
-      date: receipt.receipt_date || 'Not stated',
-      vendor: receipt.merchant_name || 'Unknown',
-      amount: typeof receipt.total === 'number' ? receipt.total : null,
-      currency: receipt.currency || 'GBP',
-      vat: typeof receipt.tax === 'number' ? receipt.tax : null,
+  async addReceipt(receipt, { userId = null, company = null } = {}) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(receipt.receipt_date || '') ? receipt.receipt_date : null;
+    const currency = /^[A-Z]{3}$/i.test(receipt.currency || '') ? receipt.currency : 'GBP';
+    const saved = database.saveExpense(userId, {
+      ...await fxRates.rateFields(currency, date),
+      merchant: receipt.merchant_name,
+      date: receipt.receipt_date,
+      netAmount: typeof receipt.subtotal === 'number' ? receipt.subtotal : null,
+      vatAmount: typeof receipt.tax === 'number' ? receipt.tax : null,
+      vatRate: typeof receipt.vat_rate === 'number' ? receipt.vat_rate : null,
+      grossAmount: typeof receipt.total === 'number' ? receipt.total : null,
+      currency: receipt.currency,
+      supplierVatNumber: vat.normaliseVatNumber(receipt.supplier_vat_number),
       category: receipt.category || 'Other',
-      originalFilename: receipt.originalFilename || null,
-      paymentMethod: receipt.payment_method || 'Not stated',
-      last4: receipt.last4 || null,
-      confidence: receipt.extraction_confidence || 0,
+      company,
+      paymentMethod: receipt.payment_method,
+      cardLast4: receipt.last4,
       imageUrl: receipt.imageUrl || null,
-      savedAt: new Date().toISOString()
-    };
-
-    data.receipts.push(receiptRecord);
-    data.nextId = id + 1;
-    this.saveReceipts(data);
-
-    return id;
+      confidence: receipt.extraction_confidence || 0,
+      notes: receipt.notes
+    });
+    if (!saved) throw new Error('Could not save expense');
+    return saved.id;
   }
 
   /**
    * Delete a receipt by ID
-   * @param {number} id - Receipt ID to delete
-   * @returns {Object|null} - Deleted receipt or null if not found
+   * @param {number} id - Expense ID to delete
+   * @returns {Object|null} - Deleted expense or null if not found
    */
   deleteReceipt(id) {
-    const data = this.loadReceipts();
-    const index = data.receipts.findIndex(r => r.id === id);
-
-    if (index === -1) {
-      return null;
-    }
-
-    const deleted = data.receipts.splice(index, 1)[0];
-    this.saveReceipts(data);
-    return deleted;
+    return database.deleteExpense(id);
   }
 
   /**
-   * Get receipts filtered by criteria
+   * Get receipts filtered by criteria (see database.listExpenses)
    * @param {Object} filters - Filter criteria
    * @param {string} filters.month - Filter by month (YYYY-MM format)
+   * @param {string} filters.from - From date, inclusive (YYYY-MM-DD)
+   * @param {string} filters.to - To date, inclusive (YYYY-MM-DD)
    * @param {string} filters.category - Filter by category
+   * @param {string} filters.company - Filter by company code
    * @param {number} filters.limit - Limit number of results
    * @returns {Array}
    */
   getReceipts(filters = {}) {
-    const data = this.loadReceipts();
-    let receipts = data.receipts;
+    return database.listExpenses(filters);
+  }
 
-    if (filters.month) {
-      receipts = receipts.filter(r =>
-        r.date && r.date !== 'Not stated' && r.date.startsWith(filters.month)
-      );
-    }
+  /**
+   * Ledger totals, with GBP amounts at each expense's stored rate. Expenses
+   * without a rate get one first (lib/fx-rates).
+   * @param {Object} [filters] - As database.listExpenses()
+   * @param {Array<string>} [groupBy]
+   * @returns {Promise<Array<Object>>} database.getExpenseTotals() rows
+   */
+  async gbpTotals(filters = {}, groupBy = []) {
+    await fxRates.normaliseExpenses();
+    return database.getExpenseTotals(filters, groupBy);
+  }
 
-    if (filters.category) {
-      receipts = receipts.filter(r =>
-        r.category && r.category.toLowerCase() === filters.category.toLowerCase()
-      );
-    }
+  /**
+   * Add up GBP totals
+   * @param {Array<Object>} totals - gbpTotals() rows
+   * @param {string} [field='gross'] - net, vat or gross
+   * @returns {number}
+   */
+  totalInGBP(totals, field = 'gross') {
+    return totals.reduce((sum, row) => sum + row[`base_${field}`], 0);
+  }
 
-    // Sort by date descending (newest first)
-    receipts.sort((a, b) => {
-      const dateA = a.savedAt || a.date || '';
-      const dateB = b.savedAt || b.date || '';
-      return dateB.localeCompare(dateA);
-    });
+  /**
+   * Note for totals that leave out expenses in a currency with no known rate
+   * @returns {string} Empty when everything was converted
+   */
+  unconvertedNote(totals) {
+    const unconverted = totals.reduce((sum, row) => sum + (row.unconverted || 0), 0);
+    return unconverted ? `_${unconverted} expense(s) left out: no exchange rate for their currency_\n` : '';
+  }
 
-    if (filters.limit && filters.limit > 0) {
-      receipts = receipts.slice(0, filters.limit);
+  /**
+   * GBP spending per category for a set of filters
+   * @returns {Promise<Object<string, number>>}
+   */
+  async spendingByCategory(filters) {
+    const spending = {};
+    for (const row of await this.gbpTotals(filters, ['category'])) {
+      spending[row.category] = row.base_gross;
     }
+    return spending;
+  }
+
+  /**
+   * Monthly budgets with GBP spending against each, from the budgets/expenses join
+   * @returns {Promise<Array<{category: string, amount: number, spent: number}>>}
+   */
+  async budgetSpending(userId, month) {
+    await fxRates.normaliseExpenses();
+    return database.getBudgetSpending(userId, { from: `${month}-01`, to: `${month}-31` })
+      .map(row => ({ category: row.category, amount: row.budget, spent: row.spent }));
+  }
 
-    return receipts;
+  /**
+   * A company code from the group, or null
+   */
+  companyCode(text) {
+    const code = String(text || '').toUpperCase();
+    return COMPANY_CODES[code] ? code : null;
   }
 
   /**
@@ -352,12 +379,51 @@ class ReceiptsSkill extends BaseSkill {
       return await this.handleExpensesCommand(userId);
     }
 
+    const byCompanyMatch = parsed.raw.match(/^expenses by company(?: (\w+))?(?: (.+))?$/i);
+    if (byCompanyMatch) {
+      return await this.handleExpensesByCompanyCommand(parsed.raw, byCompanyMatch[1], byCompanyMatch[2], context);
+    }
+
+    const exportMatch = parsed.raw.match(/^expenses export (.+)$/i);
+    if (exportMatch) {
+      return this.handleExportCommand(parsed.raw, exportMatch[1], context);
+    }
+
+    const vatMatch = parsed.raw.match(/^vat summary (.+)$/i);
+    if (vatMatch) {
+      return this.handleVatSummaryCommand(parsed.raw, vatMatch[1], context);
+    }
+
+    const periodMatch = parsed.raw.match(/^expenses (.+)$/i);
+    if (periodMatch) {
+      const range = this.parsePeriod(periodMatch[1], context);
+      if (range && range.ambiguous) return this.clarify(range.question, clarifyCommands(parsed.raw, range));
+      if (!range) {
+        return this.error(`Couldn't read the period "${periodMatch[1]}"`, null, {
+          suggestion: 'Try "expenses this month", "expenses Q1 2026" or "expenses from 1/4 to 30/6"'
+        });
+      }
+      return await this.handleExpensesCommand(userId, { range });
+    }
+
     if (/^(summary|expense summary|monthly summary)$/i.test(lowerCommand)) {
       return await this.handleSummaryCommand(userId);
     }
 
-    if (/^(confirm|yes)$/i.test(lowerCommand)) {
-      return await this.handleConfirmCommand(userId);
+    const confirmMatch = lowerCommand.match(/^(?:confirm|yes)$|^confirm (\w+)$/i);
+    if (confirmMatch) {
+      const company = confirmMatch[1] ? this.companyCode(confirmMatch[1]) : this.companyCode(context.autoCompany);
+      if (confirmMatch[1] && !company) {
+        return this.error(`Unknown company: ${confirmMatch[1].toUpperCase()}`, null, {
+          suggestion: `Use one of: ${Object.keys(COMPANY_CODES).join(', ')}`
+        });
+      }
+      return await this.handleConfirmCommand(userId, company);
+    }
+
+    const assignMatch = lowerCommand.match(/^expense #?(\d+) company (\w+)$/i);
+    if (assignMatch) {
+      return this.handleAssignCompanyCommand(parseInt(assignMatch[1]), assignMatch[2]);
     }
 
     if (/^(reject|no|cancel)$/i.test(lowerCommand)) {
@@ -429,46 +495,6 @@ class ReceiptsSkill extends BaseSkill {
     return this.error('Unknown receipts command. Try "expenses", "budget list", or "recurring list".');
   }
 
-  /**
-   * Convert amount from one currency to GBP
-   * Uses exchangerate-api.com (FREE tier, 1500 requests/month)
-   */
-  async convertToGBP(amount, fromCurrency) {
-    if (fromCurrency === 'GBP') return amount;
-
-    // Use cached rates if available and not expired (1 hour cache)
-    const now = Date.now();
-    if (this.exchangeRates && this.exchangeRatesExpiry > now) {
-      const rate = this.exchangeRates[fromCurrency];
-      if (rate) {
-        return amount / rate;
-      }
-    }
-
-    try {
-      // Fetch fresh rates from API
-      const response = await fetch('https://api.exchangerate-api.com/v4/latest/GBP');
-      const data = await response.json();
-
-      if (data && data.rates) {
-        this.exchangeRates = data.rates;
-        this.exchangeRatesExpiry = now + (60 * 60 * 1000); // 1 hour
-
-        const rate = data.rates[fromCurrency];
-        if (rate) {
-          return amount / rate;
-        }
-      }
-
-      // Fallback if currency not found
-      this.log('warn', `Currency ${fromCurrency} not found in exchange rates`);
-      return amount; // Return as-is
-    } catch (error) {
-      this.log('error', 'Failed to fetch exchange rates', error);
-      return amount; // Return as-is on error
-    }
-  }
-
   /**
    * Calculate next date for recurring expense based on frequency
    */
@@ -556,6 +582,8 @@ Optional fields (use "Not stated" or null if not visible):
 - merchant_address: Full address or "Not stated"
 - subtotal: Pre-tax amount as number or "Not stated"
 - tax: VAT/tax amount as number or "Not stated"
+- vat_rate: VAT rate percentage as number (e.g. 20) or "Not stated"
+- supplier_vat_number: The merchant's VAT registration number as printed (e.g. "GB 123 4567 89") or "Not stated"
 - last4: Last 4 digits of card or "Not stated"
 - category: One of: Travel, Food & Drink, Office Supplies, Utilities, Subscriptions, Professional Services, Transport, Fuel, Accommodation, Entertainment, Other
 - category_confidence: 0-1 confidence in category
@@ -609,6 +637,12 @@ Return ONLY the JSON object:`;
           data.category_confidence = data.category !== 'Other' ? 0.7 : 0.3;
         }
 
+        // Only the rate printed - work the VAT out from the total
+        if (typeof data.tax !== 'number' && typeof data.vat_rate === 'number' && typeof data.total === 'number') {
+          data.tax = vat.vatFromGross(data.total, data.vat_rate);
+        }
+        data.supplier_vat_number = vat.normaliseVatNumber(data.supplier_vat_number);
+
         return data;
       }
       throw new Error('No JSON found in response');
@@ -662,7 +696,12 @@ Return ONLY the JSON object:`;
     msg += `Category: ${receipt.category || 'Other'}\n`;
 
     if (receipt.tax && receipt.tax !== 'Not stated') {
-      msg += `VAT: ${receipt.currency || 'GBP'} ${receipt.tax.toFixed(2)}\n`;
+      msg += `VAT: ${receipt.currency || 'GBP'} ${receipt.tax.toFixed(2)}`;
+      msg += typeof receipt.vat_rate === 'number' ? ` (${receipt.vat_rate}%)\n` : '\n';
+    }
+
+    if (receipt.supplier_vat_number) {
+      msg += `Supplier VAT No: ${receipt.supplier_vat_number}\n`;
     }
 
     if (receipt.payment_method && receipt.payment_method !== 'Not stated') {
@@ -680,9 +719,9 @@ Return ONLY the JSON object:`;
   }
 
   /**
-   * Handle confirm command - save pending receipt to JSON file and check budgets
+   * Handle confirm command - save pending receipt to the expense ledger and check budgets
    */
-  async handleConfirmCommand(userId) {
+  async handleConfirmCommand(userId, company = null) {
     const pending = this.pendingReceipts.get(userId);
 
     if (!pending) {
@@ -690,12 +729,17 @@ Return ONLY the JSON object:`;
     }
 
     try {
-      // Save to JSON file
-      const receiptId = this.addReceipt(pending);
+      const receiptId = await this.addReceipt(pending, { userId, company });
 
       // Clear pending
       this.pendingReceipts.delete(userId);
 
+      // Keep a copy of the image; the chat platform's link doesn't last
+      if (pending.imageUrl) {
+        const attachmentPath = await receiptProcessor.storeAttachment(pending.imageUrl, receiptId);
+        if (attachmentPath) database.updateExpense(receiptId, { attachmentPath });
+      }
+
       const amount = typeof pending.total === 'number'
         ? `${pending.currency || 'GBP'} ${pending.total.toFixed(2)}`
         : 'amount';
@@ -707,24 +751,17 @@ Return ONLY the JSON object:`;
       let msg = `Saved receipt #${receiptId}\n\n` +
         `${pending.merchant_name}: ${amount}${vat}\n` +
         `Date: ${pending.receipt_date || 'Not stated'}\n` +
-        `Category: ${pending.category || 'Other'}\n\n`;
+        `Category: ${pending.category || 'Other'}\n` +
+        (company ? `Company: ${company}\n` : '') + '\n';
 
       // Check budget for this category
       const category = pending.category || 'Other';
-      const budget = database.getBudget(userId, category, 'monthly');
+      const currentMonth = new Date().toISOString().substring(0, 7);
+      const budget = (await this.budgetSpending(userId, currentMonth))
+        .find(b => b.category.toLowerCase() === category.toLowerCase());
 
       if (budget && typeof pending.total === 'number') {
-        const currentMonth = new Date().toISOString().substring(0, 7);
-        const receipts = this.getReceipts({ month: currentMonth, category });
-
-        let totalSpent = 0;
-        for (const receipt of receipts) {
-          const receiptAmount = typeof receipt.amount === 'number' ? receipt.amount : 0;
-          const currency = receipt.currency || 'GBP';
-          const amountGBP = currency === 'GBP' ? receiptAmount : await this.convertToGBP(receiptAmount, currency);
-          totalSpent += amountGBP;
-        }
-
+        const totalSpent = budget.spent;
         const percentage = budget.amount > 0 ? (totalSpent / budget.amount) * 100 : 0;
         const remaining = budget.amount - totalSpent;
 
@@ -739,6 +776,9 @@ Return ONLY the JSON object:`;
         }
       }
 
+      if (!company) {
+        msg += `\n_Use "expense #${receiptId} company <code>" to assign it to a company_`;
+      }
       msg += `\n_Use "budget status" to see all budgets_`;
 
       return this.success(msg);
@@ -763,100 +803,311 @@ Return ONLY the JSON object:`;
   }
 
   /**
-   * Handle expenses command - show recent expenses from JSON file
+   * Read a period ("this month", "Q1 2026", "since 1 march") in the user's timezone
+   * @returns {Object|null} parseDateRange() result
+   */
+  parsePeriod(text, context = {}) {
+    const timezone = getUserTimezone(context.userId, this.memory);
+    return parseDateRange(text, { timezone });
+  }
+
+  /**
+   * Handle expenses command - recent expenses, or all expenses in a period
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {Object} [options.range] - parseDateRange() result
+   * @param {string} [options.company] - Company code
    */
-  async handleExpensesCommand(userId) {
+  async handleExpensesCommand(userId, { range = null, company = null } = {}) {
     try {
-      // Get receipts from JSON file (limited to 10)
-      const receipts = this.getReceipts({ limit: 10 });
+      const filters = { company };
+      if (range) {
+        filters.from = range.from;
+        filters.to = range.to;
+      }
+      const filtered = Boolean(range || company);
+      const totals = await this.gbpTotals(filters, ['currency']);
+      const receipts = this.getReceipts({ ...filters, limit: filtered ? 50 : 10 });
 
+      const heading = [company, range && range.description].filter(Boolean).join(', ');
       if (receipts.length === 0) {
         return this.success(
-          'No expenses recorded yet.\n\n' +
+          (filtered ? `No expenses recorded for ${heading}.` : 'No expenses recorded yet.') + '\n\n' +
           'Send a receipt photo to add one!'
         );
       }
 
-      let msg = '*Recent Expenses*\n';
+      let msg = filtered ? `*Expenses: ${heading}*\n` : '*Recent Expenses*\n';
       msg += '\n';
 
-      let total = 0;
       for (const receipt of receipts) {
-        const amount = typeof receipt.amount === 'number' ? receipt.amount : 0;
-        total += amount;
+        msg += this.formatExpenseLine(receipt);
+      }
+
+      if (filtered) {
+        // Totals cover the whole period, not just the expenses listed
+        const count = totals.reduce((sum, row) => sum + row.count, 0);
+        msg += `*Net: GBP ${this.totalInGBP(totals, 'net').toFixed(2)}*\n`;
+        msg += `*VAT: GBP ${this.totalInGBP(totals, 'vat').toFixed(2)}*\n`;
+        msg += `*Total: GBP ${this.totalInGBP(totals).toFixed(2)}*\n`;
+        msg += this.unconvertedNote(totals) + '\n';
+        msg += count > receipts.length
+          ? `_Showing ${receipts.length} of ${count} expense(s)_`
+          : `_${count} expense(s)_`;
+      } else {
+        const total = receipts.reduce((sum, receipt) => sum + (receipt.gross_amount || 0) * (receipt.fx_rate || 0), 0);
+        msg += `*Total: GBP ${total.toFixed(2)}*\n\n`;
+        msg += `_Showing ${receipts.length} expense(s)_\n`;
+        msg += `_Use "summary" for monthly breakdown_`;
+      }
+
+      return this.success(msg);
+    } catch (error) {
+      this.log('error', 'Failed to retrieve expenses', error);
+      return this.error('Failed to retrieve expenses. Please try again.');
+    }
+  }
 
-        const amountStr = typeof receipt.amount === 'number'
-          ? `${receipt.currency || 'GBP'} ${receipt.amount.toFixed(2)}`
-          : 'N/A';
+  /**
+   * Handle expenses by company - one company's expenses, or totals for each company
+   */
+  async handleExpensesByCompanyCommand(command, codeText, periodText, context) {
+    let code = null;
+    let periodWords = periodText || null;
+
+    if (codeText) {
+      code = this.companyCode(codeText);
+      // "expenses by company last month" - no code, the words are the period
+      if (!code) periodWords = [codeText, periodText].filter(Boolean).join(' ');
+    }
+
+    let range = null;
+    if (periodWords) {
+      range = this.parsePeriod(periodWords, context);
+      if (range && range.ambiguous) return this.clarify(range.question, clarifyCommands(command, range));
+      if (!range) {
+        return this.error(
+          code || !codeText ? `Couldn't read the period "${periodWords}"` : `Unknown company: ${codeText.toUpperCase()}`,
+          null,
+          { suggestion: `Try "expenses by company GMH" or "expenses by company GMH last quarter". Companies: ${Object.keys(COMPANY_CODES).join(', ')}` }
+        );
+      }
+    }
 
-        const dateStr = receipt.date !== 'Not stated'
-          ? this.formatShortDate(receipt.date)
-          : '';
+    if (code) {
+      return await this.handleExpensesCommand(context.userId, { range, company: code });
+    }
 
-        msg += `#${receipt.id} ${receipt.vendor || 'Unknown'}\n`;
-        msg += `   ${amountStr} | ${receipt.category || 'Other'}`;
-        if (dateStr) msg += ` | ${dateStr}`;
-        msg += '\n\n';
+    try {
+      const filters = range ? { from: range.from, to: range.to } : {};
+      const rows = await this.gbpTotals(filters, ['company']);
+      const companies = rows
+        .map(row => [row.company, { net: row.base_net, vat: row.base_vat, gross: row.base_gross, count: row.count }])
+        .sort((a, b) => b[1].gross - a[1].gross);
+      if (companies.length === 0) {
+        return this.success(range ? `No expenses recorded for ${range.description}.` : 'No expenses recorded yet.');
       }
 
-      msg += `*Total: GBP ${total.toFixed(2)}*\n\n`;
-      msg += `_Showing ${receipts.length} expense(s)_\n`;
-      msg += `_Use "summary" for monthly breakdown_`;
+      let msg = `*Expenses by Company${range ? `: ${range.description}` : ''}*\n\n`;
+      for (const [company, totals] of companies) {
+        msg += `*${company}* (${totals.count})\n`;
+        msg += `   Net: GBP ${totals.net.toFixed(2)} | VAT: GBP ${totals.vat.toFixed(2)} | Total: GBP ${totals.gross.toFixed(2)}\n\n`;
+      }
+      msg += this.unconvertedNote(rows);
+      msg += `_Use "expenses by company <code>" to list one company's expenses_`;
 
       return this.success(msg);
     } catch (error) {
-      this.log('error', 'Failed to retrieve expenses', error);
+      this.log('error', 'Failed to total expenses by company', error);
       return this.error('Failed to retrieve expenses. Please try again.');
     }
   }
 
   /**
-   * Handle summary command - monthly expense breakdown from JSON file
+   * Handle expenses export - files for the accountant, sent as documents
+   * @param {string} command - Full command, for clarifying questions
+   * @param {string} argsText - "<period> [company]" ("all" for every expense)
+   */
+  async handleExportCommand(command, argsText, context) {
+    const words = argsText.trim().split(/\s+/);
+    let company = this.companyCode(words[words.length - 1]);
+    if (company) {
+      words.pop();
+    } else if (words.length > 1 && this.companyCode(words[0])) {
+      // "expenses export GMH last quarter"
+      company = this.companyCode(words.shift());
+    }
+
+    const periodText = words.join(' ');
+    let range = null;
+    if (!/^(all|everything)$/i.test(periodText)) {
+      range = periodText ? this.parsePeriod(periodText, context) : null;
+      if (range && range.ambiguous) return this.clarify(range.question, clarifyCommands(command, range));
+      if (!range) {
+        return this.error(`Couldn't read the period "${periodText || argsText}"`, null, {
+          suggestion: `Try "expenses export last month", "expenses export Q1 2026 GMH" or "expenses export all". Companies: ${Object.keys(COMPANY_CODES).join(', ')}`
+        });
+      }
+    }
+
+    try {
+      const filters = { from: range ? range.from : null, to: range ? range.to : null, company };
+      const { expenses, files, unconverted } = await expenseExport.exportExpenses(filters);
+      const heading = [company, range ? range.description : 'all expenses'].filter(Boolean).join(', ');
+
+      if (expenses.length === 0) {
+        return this.success(`No expenses to export for ${heading}.`);
+      }
+
+      const total = this.totalInGBP(database.getExpenseTotals(filters));
+      const images = expenses.filter(e => e.attachment_path).length;
+      const labels = {
+        csv: 'all columns, for spreadsheets',
+        xero: 'Xero bank statement import',
+        quickbooks: 'QuickBooks bank upload',
+        zip: 'receipt images with the CSV'
+      };
+
+      let msg = `*Expense Export: ${heading}*\n\n`;
+      msg += `${expenses.length} expense(s), GBP ${total.toFixed(2)}\n\n`;
+      for (const file of files) {
+        msg += `• ${file.filename} - ${labels[file.format]}\n`;
+      }
+      if (!files.some(file => file.format === 'zip')) {
+        msg += '\n_No receipt images for these expenses, so there is no zip_';
+      } else if (images < expenses.length) {
+        msg += `\n_${expenses.length - images} expense(s) have no receipt image_`;
+      }
+      if (unconverted.length > 0) {
+        msg += `\n_${unconverted.length} expense(s) left out of the Xero and QuickBooks files: no exchange rate for their currency (${unconverted.map(id => `#${id}`).join(', ')})_`;
+      }
+
+      const response = this.success(msg.trim(), { count: expenses.length, files: files.map(file => file.filename) });
+      response.documents = files;
+      return response;
+    } catch (error) {
+      this.log('error', 'Failed to export expenses', error);
+      return this.error('Failed to export expenses. Please try again.');
+    }
+  }
+
+  /**
+   * Handle "vat summary <company> [period]" - the boxes of a VAT return from
+   * the company's issued invoices and its expenses (lib/vat)
+   */
+  async handleVatSummaryCommand(command, argsText, context) {
+    const words = argsText.trim().split(/\s+/);
+    let company = this.companyCode(words[0]);
+    if (company) {
+      words.shift();
+    } else if (this.companyCode(words[words.length - 1])) {
+      // "vat summary Q3 2026 GMH"
+      company = this.companyCode(words.pop());
+    }
+    if (!company) {
+      return this.error('Which company?', null, {
+        suggestion: `Try "vat summary GMH Q3 2026". Companies: ${Object.keys(COMPANY_CODES).join(', ')}`
+      });
+    }
+
+    const periodText = words.join(' ') || 'last quarter';
+    const range = this.parsePeriod(periodText, context);
+    if (range && range.ambiguous) return this.clarify(range.question, clarifyCommands(command, range));
+    if (!range) {
+      return this.error(`Couldn't read the period "${periodText}"`, null, {
+        suggestion: 'Try "vat summary GMH Q3 2026", "vat summary GMH last quarter" or "vat summary GMH from 1/5/2026 to 31/7/2026"'
+      });
+    }
+    if (!range.from || !range.to) {
+      return this.error(`A VAT return covers a whole period - "${periodText}" has no ${range.from ? 'end' : 'start'}`, null, {
+        suggestion: `Try "vat summary ${company} last quarter" or "vat summary ${company} from 1/5/2026 to 31/7/2026"`
+      });
+    }
+
+    try {
+      const vatReturn = await vat.buildVatReturn(company, { from: range.from, to: range.to });
+      const { boxes } = vatReturn;
+      const companyVat = vat.getCompanyVat(company);
+      const pounds = (value) => `£${value.toFixed(2)}`;
+
+      let msg = `*VAT Return: ${company}, ${range.description}*\n`;
+      msg += `${range.from} to ${range.to}\n\n`;
+      msg += `Box 1 - VAT due on sales: ${pounds(boxes[1])}\n`;
+      msg += `Box 2 - VAT due on EU acquisitions: ${pounds(boxes[2])}\n`;
+      msg += `Box 3 - Total VAT due: ${pounds(boxes[3])}\n`;
+      msg += `Box 4 - VAT reclaimed on purchases: ${pounds(boxes[4])}\n`;
+      msg += `Box 5 - Net VAT ${vatReturn.payable ? 'to pay' : 'to reclaim'}: ${pounds(boxes[5])}\n`;
+      msg += `Box 6 - Total sales ex VAT: £${boxes[6]}\n`;
+      msg += `Box 7 - Total purchases ex VAT: £${boxes[7]}\n`;
+      msg += `Box 8 - Supplies to the EU ex VAT: £${boxes[8]}\n`;
+      msg += `Box 9 - Acquisitions from the EU ex VAT: £${boxes[9]}\n\n`;
+      msg += `_From ${vatReturn.invoices} sent or paid invoice(s) and ${vatReturn.expenses} expense(s)_\n`;
+
+      if (vatReturn.withoutVatNumber.count > 0) {
+        msg += `_${vatReturn.withoutVatNumber.count} expense(s) with ${pounds(vatReturn.withoutVatNumber.vat)} VAT have no supplier VAT number - check you hold a VAT receipt before reclaiming_\n`;
+      }
+      const unconverted = vatReturn.unconverted.expenses + vatReturn.unconverted.invoices.length;
+      if (unconverted > 0) {
+        msg += `_${unconverted} item(s) left out: no exchange rate for their currency_\n`;
+      }
+      if (companyVat && !companyVat.registered) {
+        msg += `_${company} is not VAT registered (deadlines), so its invoices carry no VAT_\n`;
+      }
+
+      return this.success(msg.trim(), vatReturn);
+    } catch (error) {
+      this.log('error', 'Failed to build VAT summary', error);
+      return this.error('Failed to build the VAT summary. Please try again.');
+    }
+  }
+
+  /**
+   * Handle expense company command - assign an expense to a company
+   */
+  handleAssignCompanyCommand(expenseId, codeText) {
+    const company = this.companyCode(codeText);
+    if (!company) {
+      return this.error(`Unknown company: ${codeText.toUpperCase()}`, null, {
+        suggestion: `Use one of: ${Object.keys(COMPANY_CODES).join(', ')}`
+      });
+    }
+
+    const expense = database.getExpense(expenseId);
+    if (!expense) {
+      return this.error(`Expense #${expenseId} not found.`);
+    }
+
+    database.updateExpense(expenseId, { company });
+    return this.success(`Expense #${expenseId} (${expense.merchant}) assigned to ${company}`);
+  }
+
+  /**
+   * Handle summary command - monthly expense breakdown from the ledger
    */
   async handleSummaryCommand(userId) {
     try {
-      const receipts = this.getReceipts();
+      const byCategory = await this.spendingByCategory({});
+      const count = database.getExpenseTotals({})[0]?.count || 0;
 
-      if (receipts.length === 0) {
+      if (count === 0) {
         return this.success(
           'No expenses to summarize.\n\n' +
           'Send receipt photos to start tracking!'
         );
       }
 
-      // Group by month and category
-      const byMonth = {};
-      const byCategory = {};
-      let grandTotal = 0;
-
-      for (const receipt of receipts) {
-        const amount = typeof receipt.amount === 'number' ? receipt.amount : 0;
-        grandTotal += amount;
-
-        // By category
-        const cat = receipt.category || 'Other';
-        byCategory[cat] = (byCategory[cat] || 0) + amount;
-
-        // By month
-        if (receipt.date && receipt.date !== 'Not stated') {
-          const month = receipt.date.substring(0, 7); // YYYY-MM
-          if (!byMonth[month]) {
-            byMonth[month] = { total: 0, count: 0 };
-          }
-          byMonth[month].total += amount;
-          byMonth[month].count += 1;
-        }
-      }
+      const grandTotal = Object.values(byCategory).reduce((sum, amount) => sum + amount, 0);
 
       let msg = '*Expense Summary*\n';
       msg += '\n';
 
       // Current month highlight
       const currentMonth = new Date().toISOString().substring(0, 7);
-      if (byMonth[currentMonth]) {
-        const cm = byMonth[currentMonth];
+      const monthTotals = await this.gbpTotals({ month: currentMonth });
+      const monthCount = monthTotals.reduce((sum, row) => sum + row.count, 0);
+      if (monthCount > 0) {
         msg += `*This Month (${this.formatMonth(currentMonth)}):*\n`;
-        msg += `GBP ${cm.total.toFixed(2)} (${cm.count} receipts)\n\n`;
+        msg += `GBP ${this.totalInGBP(monthTotals).toFixed(2)} (${monthCount} receipts)\n\n`;
       }
 
       // By category
@@ -865,13 +1116,13 @@ Return ONLY the JSON object:`;
         .sort((a, b) => b[1] - a[1]);
 
       for (const [cat, amount] of sortedCats) {
-        const pct = ((amount / grandTotal) * 100).toFixed(0);
+        const pct = grandTotal > 0 ? ((amount / grandTotal) * 100).toFixed(0) : '0';
         msg += `${cat}: GBP ${amount.toFixed(2)} (${pct}%)\n`;
       }
 
       msg += '\n';
       msg += `*All Time Total: GBP ${grandTotal.toFixed(2)}*\n`;
-      msg += `_${receipts.length} receipt(s) tracked_`;
+      msg += `_${count} receipt(s) tracked_`;
 
       return this.success(msg);
     } catch (error) {
@@ -881,7 +1132,7 @@ Return ONLY the JSON object:`;
   }
 
   /**
-   * Handle delete expense command - delete from JSON file
+   * Handle delete expense command - delete from the ledger
    */
   async handleDeleteCommand(userId, expenseId) {
     try {
@@ -891,14 +1142,13 @@ Return ONLY the JSON object:`;
         return this.error(`Expense #${expenseId} not found.`);
       }
 
-      const merchant = deleted.vendor || 'Unknown';
-      const amount = typeof deleted.amount === 'number'
-        ? `${deleted.currency || 'GBP'} ${deleted.amount.toFixed(2)}`
+      const amount = typeof deleted.gross_amount === 'number'
+        ? `${deleted.currency || 'GBP'} ${deleted.gross_amount.toFixed(2)}`
         : '';
 
       return this.success(
         `Deleted expense #${expenseId}\n\n` +
-        `${merchant}${amount ? ': ' + amount : ''}`
+        `${deleted.merchant}${amount ? ': ' + amount : ''}`
       );
     } catch (error) {
       this.log('error', 'Failed to delete expense', error);
@@ -911,6 +1161,7 @@ Return ONLY the JSON object:`;
    */
   async handleListReceiptsCommand(userId) {
     try {
+      const totals = await this.gbpTotals();
       const receipts = this.getReceipts();
 
       if (receipts.length === 0) {
@@ -923,32 +1174,12 @@ Return ONLY the JSON object:`;
       let msg = '*All Stored Receipts*\n';
       msg += '\n';
 
-      let total = 0;
-      let totalVat = 0;
-
       for (const receipt of receipts) {
-        const amount = typeof receipt.amount === 'number' ? receipt.amount : 0;
-        const vat = typeof receipt.vat === 'number' ? receipt.vat : 0;
-        total += amount;
-        totalVat += vat;
-
-        const amountStr = typeof receipt.amount === 'number'
-          ? `${receipt.currency || 'GBP'} ${receipt.amount.toFixed(2)}`
-          : 'N/A';
-
-        const vatStr = typeof receipt.vat === 'number'
-          ? ` (VAT: ${receipt.vat.toFixed(2)})`
-          : '';
-
-        const dateStr = receipt.date !== 'Not stated'
-          ? this.formatShortDate(receipt.date)
-          : 'No date';
-
-        msg += `#${receipt.id} ${receipt.vendor || 'Unknown'}\n`;
-        msg += `   ${amountStr}${vatStr} | ${receipt.category || 'Other'} | ${dateStr}\n\n`;
+        msg += this.formatExpenseLine(receipt, { vat: true, undated: 'No date' });
       }
 
-      msg += `*Total: GBP ${total.toFixed(2)}*`;
+      const totalVat = this.totalInGBP(totals, 'vat');
+      msg += `*Total: GBP ${this.totalInGBP(totals).toFixed(2)}*`;
       if (totalVat > 0) {
         msg += ` (VAT: GBP ${totalVat.toFixed(2)})`;
       }
@@ -967,6 +1198,7 @@ Return ONLY the JSON object:`;
   async handleReceiptsThisMonthCommand(userId) {
     try {
       const currentMonth = new Date().toISOString().substring(0, 7); // YYYY-MM
+      const totals = await this.gbpTotals({ month: currentMonth });
       const receipts = this.getReceipts({ month: currentMonth });
 
       if (receipts.length === 0) {
@@ -980,47 +1212,21 @@ Return ONLY the JSON object:`;
       let msg = `*Receipts for ${this.formatMonth(currentMonth)}*\n`;
       msg += '\n';
 
-      let total = 0;
-      let totalVat = 0;
-      const byCategory = {};
-
       for (const receipt of receipts) {
-        const amount = typeof receipt.amount === 'number' ? receipt.amount : 0;
-        const vat = typeof receipt.vat === 'number' ? receipt.vat : 0;
-        total += amount;
-        totalVat += vat;
-
-        // Track by category
-        const cat = receipt.category || 'Other';
-        byCategory[cat] = (byCategory[cat] || 0) + amount;
-
-        const amountStr = typeof receipt.amount === 'number'
-          ? `${receipt.currency || 'GBP'} ${receipt.amount.toFixed(2)}`
-          : 'N/A';
-
-        const vatStr = typeof receipt.vat === 'number'
-          ? ` (VAT: ${receipt.vat.toFixed(2)})`
-          : '';
-
-        const dayStr = receipt.date !== 'Not stated'
-          ? this.formatShortDate(receipt.date)
-          : '';
-
-        msg += `#${receipt.id} ${receipt.vendor || 'Unknown'}\n`;
-        msg += `   ${amountStr}${vatStr}`;
-        if (dayStr) msg += ` | ${dayStr}`;
-        msg += `\n\n`;
+        msg += this.formatExpenseLine(receipt, { vat: true, category: false });
       }
 
       // Category breakdown
       msg += '*By Category:*\n';
+      const byCategory = await this.spendingByCategory({ month: currentMonth });
       const sortedCats = Object.entries(byCategory).sort((a, b) => b[1] - a[1]);
       for (const [cat, amount] of sortedCats) {
         msg += `${cat}: GBP ${amount.toFixed(2)}\n`;
       }
 
+      const totalVat = this.totalInGBP(totals, 'vat');
       msg += '\n';
-      msg += `*Month Total: GBP ${total.toFixed(2)}*`;
+      msg += `*Month Total: GBP ${this.totalInGBP(totals).toFixed(2)}*`;
       if (totalVat > 0) {
         msg += ` (VAT: GBP ${totalVat.toFixed(2)})`;
       }
@@ -1033,6 +1239,33 @@ Return ONLY the JSON object:`;
     }
   }
 
+  /**
+   * One expense as two list lines
+   * @param {Object} expense - expenses table row
+   * @param {Object} [options]
+   * @param {boolean} [options.vat] - Show the VAT
+   * @param {boolean} [options.category] - Show the category (default true)
+   * @param {string} [options.undated] - Shown when the expense has no date
+   */
+  formatExpenseLine(expense, { vat = false, category = true, undated = '' } = {}) {
+    let amountStr = typeof expense.gross_amount === 'number'
+      ? `${expense.currency || 'GBP'} ${expense.gross_amount.toFixed(2)}`
+      : 'N/A';
+    if (typeof expense.gross_amount === 'number' && expense.fx_rate && expense.currency !== fxRates.BASE_CURRENCY) {
+      amountStr += ` (GBP ${(expense.gross_amount * expense.fx_rate).toFixed(2)})`;
+    }
+    const vatStr = vat && typeof expense.vat_amount === 'number'
+      ? ` (VAT: ${expense.vat_amount.toFixed(2)})`
+      : '';
+    const dateStr = expense.expense_date ? this.formatShortDate(expense.expense_date) : undated;
+
+    let line = `#${expense.id} ${expense.merchant}${expense.company ? ` [${expense.company}]` : ''}\n`;
+    line += `   ${amountStr}${vatStr}`;
+    if (category) line += ` | ${expense.category || 'Other'}`;
+    if (dateStr) line += ` | ${dateStr}`;
+    return line + '\n\n';
+  }
+
   // ============ Budget Commands ============
 
   /**
@@ -1105,7 +1338,8 @@ Return ONLY the JSON object:`;
    */
   async handleBudgetStatusCommand(userId) {
     try {
-      const budgets = database.getBudgets(userId, 'monthly'); // Only check monthly for now
+      const currentMonth = new Date().toISOString().substring(0, 7); // YYYY-MM
+      const budgets = await this.budgetSpending(userId, currentMonth); // Only check monthly for now
 
       if (budgets.length === 0) {
         return this.success(
@@ -1114,29 +1348,13 @@ Return ONLY the JSON object:`;
         );
       }
 
-      const currentMonth = new Date().toISOString().substring(0, 7); // YYYY-MM
-      const receipts = this.getReceipts({ month: currentMonth });
-
-      // Calculate spending by category
-      const spendingByCategory = {};
-      for (const receipt of receipts) {
-        const cat = receipt.category || 'Other';
-        const amount = typeof receipt.amount === 'number' ? receipt.amount : 0;
-        const currency = receipt.currency || 'GBP';
-
-        // Convert to GBP if needed
-        const amountGBP = currency === 'GBP' ? amount : await this.convertToGBP(amount, currency);
-
-        spendingByCategory[cat] = (spendingByCategory[cat] || 0) + amountGBP;
-      }
-
       let msg = '*Budget Status* (This Month)\n\n';
       let totalBudget = 0;
       let totalSpent = 0;
       let hasWarnings = false;
 
       for (const budget of budgets) {
-        const spent = spendingByCategory[budget.category] || 0;
+        const spent = budget.spent;
         const remaining = budget.amount - spent;
         const percentage = budget.amount > 0 ? (spent / budget.amount) * 100 : 0;
 
@@ -1314,28 +1532,15 @@ Return ONLY the JSON object:`;
   async handleExpenseReportCommand(userId, month = null) {
     try {
       const targetMonth = month || new Date().toISOString().substring(0, 7);
-      const receipts = this.getReceipts({ month: targetMonth });
-      const budgets = database.getBudgets(userId, 'monthly');
-      const recurringExpenses = database.getRecurringExpenses(userId);
+      const budgets = await this.budgetSpending(userId, targetMonth);
+      const receiptCount = database.getExpenseTotals({ month: targetMonth })[0]?.count || 0;
 
       let msg = `*Expense Report: ${this.formatMonth(targetMonth)}*\n\n`;
 
       // 1. Actual spending
       msg += '*Actual Spending:*\n';
-      const spendingByCategory = {};
-      let totalSpent = 0;
-
-      for (const receipt of receipts) {
-        const cat = receipt.category || 'Other';
-        const amount = typeof receipt.amount === 'number' ? receipt.amount : 0;
-        const currency = receipt.currency || 'GBP';
-
-        // Convert to GBP if needed
-        const amountGBP = currency === 'GBP' ? amount : await this.convertToGBP(amount, currency);
-
-        spendingByCategory[cat] = (spendingByCategory[cat] || 0) + amountGBP;
-        totalSpent += amountGBP;
-      }
+      const spendingByCategory = await this.spendingByCategory({ month: targetMonth });
+      const totalSpent = Object.values(spendingByCategory).reduce((sum, amount) => sum + amount, 0);
 
       const sortedSpending = Object.entries(spendingByCategory).sort((a, b) => b[1] - a[1]);
       for (const [cat, amount] of sortedSpending) {
@@ -1349,7 +1554,7 @@ Return ONLY the JSON object:`;
         let totalBudget = 0;
 
         for (const budget of budgets) {
-          const spent = spendingByCategory[budget.category] || 0;
+          const spent = budget.spent;
           const percentage = budget.amount > 0 ? (spent / budget.amount) * 100 : 0;
           totalBudget += budget.amount;
 
@@ -1377,7 +1582,7 @@ Return ONLY the JSON object:`;
       }
 
       // 4. Receipt count
-      msg += `_${receipts.length} receipt(s) processed_`;
+      msg += `_${receiptCount} receipt(s) processed_`;
 
       return this.success(msg);
     } catch (error) {
@@ -1,573 +1,570 @@
 /**
- * Reminders Skill - Set and manage reminders and alerts
+ * Reminders Skill - One-off and recurring reminders
  *
- * Allows users to set one-time reminders that are delivered via WhatsApp
- * at the specified time. Uses the scheduler for timing and persistence.
+ * Reads when to remind from plain English - dates and times ("tomorrow
+ * morning", "next Friday at 3pm", "in 20 minutes") via lib/date-parser in
+ * the user's timezone (lib/user-timezone), or a recurrence ("every Monday at
+ * 9", "first of the month") via lib/recurrence. The time can come before or
+ * after the text. A time that could mean two things ("at 5") is asked about.
+ *
+ * Reminders are "reminder" jobs in the scheduler's scheduled_jobs table, so
+ * they survive restarts; one missed while the bot was down is sent when it
+ * comes back. One-off reminders are "once" jobs, disabled after they fire.
+ * A delivered reminder has snooze and done buttons (lib/action-buttons).
+ *
+ * Reminders go to the chat they were set in, or to another chat the sender
+ * has a role in ("in the <chat name> chat" at the end) or platform ("on
+ * slack", via linked accounts).
  *
  * Commands:
- *   remind me [message] in [X] minutes/hours  - Set a reminder with delay
- *   remind me [message] at [HH:MM]            - Set reminder for specific time
- *   my reminders | list reminders             - Show pending reminders
- *   cancel reminder [number]                  - Cancel a reminder by number
+ *   remind me <text> <when>          - Set a reminder (the time can come first)
+ *   my reminders | list reminders    - Show your reminders
+ *   cancel reminder <id>             - Delete a reminder
+ *   snooze reminder <id> [for]       - Send it again later (default 10 minutes)
+ *   done reminder <id>               - Mark a delivered reminder as done
  *
  * @example
- * remind me to call John in 30 minutes
- * remind me standup meeting at 10:00
- * my reminders
- * cancel reminder 1
+ * remind me to call John next Friday at 3pm
+ * remind me tomorrow morning to pay the rent
+ * remind me every Monday at 9 to send the timesheet
+ * remind me to file VAT on the first of the month on slack
+ * remind us to review invoices every friday 4pm in the GMH Team chat
+ * snooze reminder 12 1 hour
+ *
+ * @module skills/reminders
  */
+
 const BaseSkill = require('../base-skill');
+const ActionButtons = require('../../lib/action-buttons');
+const { parseRecurrence, cronForDate } = require('../../lib/recurrence');
+const { parseDate, parseDuration, formatDate, clarifyCommands } = require('../../lib/date-parser');
+const { getUserTimezone } = require('../../lib/user-timezone');
+const accessControl = require('../../lib/access-control');
+
+const HANDLER_NAME = 'reminder';
+
+const PLATFORMS = ['telegram', 'whatsapp', 'slack', 'discord', 'email'];
+
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+// A reminder is recurring only when it says so
+const RECURRING_PATTERN = /\b(?:every|each|daily|monthly|hourly|weekdays|weekends|(?:mon|tues|wednes|thurs|fri|satur|sun)days)\b|\bof (?:the|every) month\b/i;
+
+const JOB_ID_ARG = { name: 'id', type: 'integer', description: 'Reminder ID (from my reminders)' };
 
 class RemindersSkill extends BaseSkill {
   name = 'reminders';
-  description = 'Set and manage reminders and alerts';
+  description = 'One-off and recurring reminders, delivered to any chat or platform';
   priority = 60; // Higher priority for time-sensitive commands
 
   commands = [
     {
-      pattern: /^remind\s+me\s+(.+?)\s+in\s+(\d+)\s*(minutes?|mins?|m|hours?|hrs?|h)$/i,
-      description: 'Set a reminder with a time delay',
-      usage: 'remind me <message> in <X> minutes/hours'
+      pattern: /^remind\s+(?:me|us)\b/i,
+      description: 'Set a reminder - "tomorrow at 9", "next friday", "every monday at 9", "first of the month"',
+      usage: 'remind me <text> <when> [in the <chat> chat] [on <platform>]'
     },
     {
-      pattern: /^remind\s+me\s+(.+?)\s+at\s+(\d{1,2}):(\d{2})$/i,
-      description: 'Set a reminder for a specific time (24-hour format)',
-      usage: 'remind me <message> at HH:MM'
+      pattern: /^(my\s+reminders|list\s+reminders|show\s+reminders)$/i,
+      description: 'List your reminders',
+      usage: 'my reminders'
     },
     {
-      pattern: /^(my\s+reminders|list\s+reminders)$/i,
-      description: 'List all your pending reminders',
-      usage: 'my reminders'
+      command: 'cancel reminder',
+      description: 'Delete a reminder',
+      args: [JOB_ID_ARG]
     },
     {
-      pattern: /^cancel\s+reminder\s+(\d+)$/i,
-      description: 'Cancel a reminder by its number',
-      usage: 'cancel reminder <number>'
+      command: 'snooze reminder',
+      description: 'Send a reminder again later',
+      args: [
+        JOB_ID_ARG,
+        { name: 'duration', type: 'text', optional: true, description: 'e.g. 30 minutes, 2 hours, tomorrow (default 10 minutes)' }
+      ]
+    },
+    {
+      command: 'done reminder',
+      description: 'Mark a delivered reminder as done',
+      args: [JOB_ID_ARG]
     }
   ];
 
-  constructor(context = {}) {
-    super(context);
-    this.scheduler = null;
-    this.HANDLER_NAME = 'reminder';
-    this.activeTimeouts = new Map(); // For in-memory one-time reminders
-  }
-
   /**
-   * Initialize the skill and register the reminder handler
+   * Register the reminder handler with the scheduler
+   * Reminders due while the bot was down are caught up when the scheduler
+   * starts, so the handler has to be in place by then.
    */
   async initialize() {
     await super.initialize();
 
-    try {
-      // Get scheduler from context config if available
-      if (this.config.scheduler) {
-        this.scheduler = this.config.scheduler;
-
-        // Register our reminder handler with the scheduler
-        this.scheduler.registerHandler(this.HANDLER_NAME, this.handleReminderTrigger.bind(this));
-        this.log('info', 'Registered reminder handler with scheduler');
-      }
-
-      this.log('info', 'Reminders skill initialized');
-    } catch (error) {
-      this.log('warn', 'Error initializing reminders skill', error.message);
+    const scheduler = this.getScheduler();
+    if (scheduler) {
+      scheduler.registerHandler(HANDLER_NAME, this.handleReminderTrigger.bind(this));
+      this.log('info', 'Registered reminder handler with scheduler');
     }
   }
 
-  /**
-   * Execute reminder commands
-   */
-  async execute(command, context) {
-    const { from: userId } = context;
-
-    const parsed = this.parseCommand(command);
-    const lowerCommand = parsed.raw.toLowerCase();
-
-    // Handle "remind me [message] in [X] minutes/hours"
-    const delayMatch = parsed.raw.match(/^remind\s+me\s+(.+?)\s+in\s+(\d+)\s*(minutes?|mins?|m|hours?|hrs?|h)$/i);
-    if (delayMatch) {
-      const message = delayMatch[1].trim();
-      const amount = parseInt(delayMatch[2]);
-      const unit = delayMatch[3].toLowerCase();
-      return await this.handleSetDelayReminder(userId, message, amount, unit);
-    }
-
-    // Handle "remind me [message] at HH:MM"
-    const timeMatch = parsed.raw.match(/^remind\s+me\s+(.+?)\s+at\s+(\d{1,2}):(\d{2})$/i);
-    if (timeMatch) {
-      const message = timeMatch[1].trim();
-      const hours = parseInt(timeMatch[2]);
-      const minutes = parseInt(timeMatch[3]);
-      return await this.handleSetTimeReminder(userId, message, hours, minutes);
+  async execute(command, context = {}) {
+    const invocation = context.invocation || this.parseArgs(command);
+    if (invocation.error) {
+      return this.usageError(invocation.definition, invocation.error);
     }
 
-    // Handle "my reminders" or "list reminders"
-    if (lowerCommand === 'my reminders' || lowerCommand === 'list reminders') {
-      return await this.handleListReminders(userId);
-    }
-
-    // Handle "cancel reminder [number]"
-    const cancelMatch = parsed.raw.match(/^cancel\s+reminder\s+(\d+)$/i);
-    if (cancelMatch) {
-      const reminderNumber = parseInt(cancelMatch[1]);
-      return await this.handleCancelReminder(userId, reminderNumber);
+    const scheduler = this.getScheduler();
+    if (!scheduler || !scheduler.db) {
+      return this.error('Scheduler is not available', null, {
+        suggestion: 'The scheduler starts with the bot - check the logs'
+      });
     }
 
-    return this.error('Unknown reminder command');
-  }
+    const { id, duration } = invocation.args;
 
-  /**
-   * Handle "remind me [message] in [X] minutes/hours"
-   */
-  async handleSetDelayReminder(userId, message, amount, unit) {
     try {
-      // Validate amount
-      if (amount <= 0) {
-        return this.error('Please specify a positive number for the delay.');
-      }
-
-      if (amount > 1440) { // Max 24 hours in minutes
-        return this.error('Reminders can be set for up to 24 hours in advance.');
-      }
-
-      // Convert to milliseconds
-      let delayMs;
-      const unitLower = unit.toLowerCase();
-
-      if (unitLower.startsWith('h')) {
-        delayMs = amount * 60 * 60 * 1000;
-        if (amount > 24) {
-          return this.error('Maximum delay is 24 hours.');
-        }
-      } else {
-        delayMs = amount * 60 * 1000;
-        if (amount > 1440) {
-          return this.error('Maximum delay is 1440 minutes (24 hours).');
-        }
+      switch (invocation.command) {
+        case 'cancel reminder':
+          return await this.handleCancel(scheduler, id, context);
+        case 'snooze reminder':
+          return await this.handleSnooze(scheduler, id, duration, context);
+        case 'done reminder':
+          return await this.handleDone(scheduler, id, context);
       }
 
-      // Calculate trigger time
-      const triggerTime = new Date(Date.now() + delayMs);
-      const triggerTimeStr = this._formatTime(triggerTime);
-
-      // Create unique reminder ID
-      const reminderId = `reminder_${userId}_${Date.now()}`;
-
-      // Store reminder in database if available
-      if (this.memory) {
-        await this._saveReminder(userId, {
-          id: reminderId,
-          message,
-          triggerAt: triggerTime.toISOString(),
-          createdAt: new Date().toISOString(),
-          status: 'pending'
-        });
+      if (/^remind\s+(?:me|us)\b/i.test(command.trim())) {
+        return await this.handleSet(scheduler, command, context);
       }
-
-      // Set up the timeout for triggering
-      await this._scheduleReminder(userId, reminderId, message, delayMs);
-
-      // Format confirmation message
-      const unitDisplay = unitLower.startsWith('h') ?
-        (amount === 1 ? 'hour' : 'hours') :
-        (amount === 1 ? 'minute' : 'minutes');
-
-      let response = `Reminder set!\n\n`;
-      response += `"${message}"\n\n`;
-      response += `I'll remind you in ${amount} ${unitDisplay} (at ${triggerTimeStr}).`;
-
-      this.log('info', `Set reminder for user ${userId}: "${message}" in ${amount} ${unitDisplay}`);
-      return this.success(response);
-    } catch (error) {
-      this.log('error', 'Error setting delay reminder', error);
-      return this.error('Failed to set reminder. Please try again.');
+      return await this.handleList(scheduler, context);
+    } catch (err) {
+      this.log('error', 'Reminder command failed', err);
+      return this.error('Reminder command failed', err);
     }
   }
 
   /**
-   * Handle "remind me [message] at HH:MM"
+   * The shared scheduler (created by index.js with the memory manager)
    */
-  async handleSetTimeReminder(userId, message, hours, minutes) {
+  getScheduler() {
     try {
-      // Validate time
-      if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-        return this.error(
-          'Invalid time format.\n\n' +
-          'Use 24-hour format (HH:MM)\n' +
-          'Examples: 09:30, 14:00, 22:15'
-        );
-      }
-
-      // Calculate trigger time (today or tomorrow if time has passed)
-      const now = new Date();
-      const triggerTime = new Date();
-      triggerTime.setHours(hours, minutes, 0, 0);
-
-      // If time has already passed today, set for tomorrow
-      if (triggerTime <= now) {
-        triggerTime.setDate(triggerTime.getDate() + 1);
-      }
-
-      const delayMs = triggerTime.getTime() - now.getTime();
-
-      // Check if more than 24 hours away
-      if (delayMs > 24 * 60 * 60 * 1000) {
-        return this.error('Reminders can only be set for up to 24 hours in advance.');
-      }
-
-      const triggerTimeStr = this._formatTime(triggerTime);
-      const timeInputStr = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-
-      // Create unique reminder ID
-      const reminderId = `reminder_${userId}_${Date.now()}`;
-
-      // Store reminder in database if available
-      if (this.memory) {
-        await this._saveReminder(userId, {
-          id: reminderId,
-          message,
-          triggerAt: triggerTime.toISOString(),
-          createdAt: new Date().toISOString(),
-          status: 'pending'
-        });
-      }
-
-      // Set up the timeout for triggering
-      await this._scheduleReminder(userId, reminderId, message, delayMs);
-
-      // Format confirmation message
-      const isToday = triggerTime.getDate() === now.getDate();
-      const dayStr = isToday ? 'today' : 'tomorrow';
-
-      let response = `Reminder set!\n\n`;
-      response += `"${message}"\n\n`;
-      response += `I'll remind you at ${timeInputStr} ${dayStr} (${triggerTimeStr}).`;
-
-      this.log('info', `Set reminder for user ${userId}: "${message}" at ${timeInputStr}`);
-      return this.success(response);
-    } catch (error) {
-      this.log('error', 'Error setting time reminder', error);
-      return this.error('Failed to set reminder. Please try again.');
+      const { getScheduler } = require('../../scheduler');
+      return getScheduler(this.memory);
+    } catch (err) {
+      this.log('warn', 'Scheduler not available', err.message);
+      return null;
     }
   }
 
+  // ============ Command Handlers ============
+
   /**
-   * Handle "my reminders" or "list reminders"
+   * "remind me <text> <when>" - work out when and where, then schedule it
    */
-  async handleListReminders(userId) {
-    try {
-      const reminders = await this._getReminders(userId);
-
-      if (reminders.length === 0) {
-        return this.success(
-          '*No pending reminders*\n\n' +
-          'Set one with:\n' +
-          '- remind me <message> in <X> minutes\n' +
-          '- remind me <message> at HH:MM'
-        );
-      }
+  async handleSet(scheduler, command, context) {
+    const ownerId = getOwnerId(context);
+    const timezone = getUserTimezone(ownerId, this.memory);
 
-      let response = '*Your Pending Reminders*\n';
-      response += '\n';
+    let body = command.trim().replace(/^remind\s+(?:me|us)\s*/i, '');
 
-      reminders.forEach((reminder, index) => {
-        const triggerTime = new Date(reminder.triggerAt);
-        const timeStr = this._formatTime(triggerTime);
-        const timeUntil = this._formatTimeUntil(triggerTime);
+    const target = this.resolveTarget(body, context);
+    if (target.error) return target.error;
+    body = target.rest;
 
-        response += `${index + 1}. "${reminder.message}"\n`;
-        response += `   At: ${timeStr} (${timeUntil})\n\n`;
+    const when = splitWhen(body, timezone);
+    if (!when) {
+      return this.error(`I couldn't work out when to remind you`, null, {
+        suggestion: 'Try "tomorrow at 9am", "next friday 3pm", "in 20 minutes", "every monday at 9" or "first of the month"'
       });
+    }
+    if (when.ambiguous) {
+      return this.clarify(when.question, clarifyCommands(command, when));
+    }
+    if (!when.message) {
+      return this.error('What should I remind you about?', null, {
+        suggestion: `remind me <text> ${when.phrase}`
+      });
+    }
+    if (when.date && when.date.getTime() <= Date.now()) {
+      return this.error(`${capitalize(when.description)} has already passed`, null, {
+        suggestion: 'Give a time in the future'
+      });
+    }
 
-      response += '\n';
-      response += `${reminders.length} reminder(s) pending\n\n`;
-      response += 'To cancel: cancel reminder <number>';
-
-      this.log('info', `Listed ${reminders.length} reminders for user ${userId}`);
-      return this.success(response);
-    } catch (error) {
-      this.log('error', 'Error listing reminders', error);
-      return this.error('Failed to retrieve reminders. Please try again.');
+    const maxReminders = this.config.maxReminders || 50;
+    const active = (await this.listReminders(scheduler, ownerId)).filter(job => job.enabled);
+    if (active.length >= maxReminders) {
+      return this.error(`You have ${active.length} reminders set - the most is ${maxReminders}`, null, {
+        suggestion: 'Cancel some with: cancel reminder <id>'
+      });
     }
+
+    const cron = when.cron || cronForDate(when.date, timezone);
+    const job = await scheduler.schedule(
+      `reminder:${ownerId}:${Date.now().toString(36)}`,
+      cron,
+      HANDLER_NAME,
+      {
+        message: when.message,
+        description: when.description,
+        recurring: Boolean(when.cron),
+        userId: ownerId,
+        chatId: target.chatId,
+        platform: target.platform
+      },
+      { timezone, once: !when.cron }
+    );
+
+    this.log('info', `Reminder #${job.id} for ${ownerId}: "${when.message}" ${when.description} (${cron}, ${timezone})`);
+
+    const where = target.label ? `\nI'll send it ${target.label}.` : '';
+    return this.success(
+      `⏰ Reminder #${job.id} set: *${when.message}*\n` +
+      `${capitalize(when.description)} (${timezone})${where}\n\n` +
+      `"cancel reminder ${job.id}" removes it.`
+    );
   }
 
   /**
-   * Handle "cancel reminder [number]"
+   * List the sender's reminders, soonest first
    */
-  async handleCancelReminder(userId, reminderNumber) {
-    try {
-      const reminders = await this._getReminders(userId);
-
-      if (reminders.length === 0) {
-        return this.error('You don\'t have any pending reminders to cancel.');
-      }
-
-      if (reminderNumber < 1 || reminderNumber > reminders.length) {
-        return this.error(
-          `Invalid reminder number.\n\n` +
-          `You have ${reminders.length} reminder(s). ` +
-          `Use a number between 1 and ${reminders.length}.`
-        );
-      }
-
-      const reminderToCancel = reminders[reminderNumber - 1];
+  async handleList(scheduler, context) {
+    const ownerId = getOwnerId(context);
+    const reminders = await this.listReminders(scheduler, ownerId);
+
+    if (reminders.length === 0) {
+      return this.success(
+        '*No reminders*\n\n' +
+        'Set one with:\n' +
+        '- remind me to call John tomorrow at 10\n' +
+        '- remind me every monday at 9 to send the timesheet'
+      );
+    }
 
-      // Cancel the timeout if it exists
-      if (this.activeTimeouts.has(reminderToCancel.id)) {
-        clearTimeout(this.activeTimeouts.get(reminderToCancel.id));
-        this.activeTimeouts.delete(reminderToCancel.id);
-      }
+    const upcoming = reminders.filter(job => job.enabled)
+      .sort((a, b) => String(a.next_run).localeCompare(String(b.next_run)));
+    const delivered = reminders.filter(job => !job.enabled);
 
-      // Cancel in scheduler if using scheduler-based approach
-      if (this.scheduler) {
-        try {
-          await this.scheduler.cancelByName(reminderToCancel.id);
-        } catch (e) {
-          // May not be in scheduler, that's okay
-        }
+    const lines = ['*Your Reminders*', ''];
+    for (const job of upcoming) {
+      lines.push(`#${job.id} ${job.params.message}`);
+      lines.push(`   ${job.params.recurring ? capitalize(job.params.description) : formatNext(job)}${formatTarget(job.params, context)}`);
+    }
+    if (delivered.length > 0) {
+      lines.push('', '*Delivered, not done*');
+      for (const job of delivered) {
+        lines.push(`#${job.id} ${job.params.message}`);
       }
-
-      // Mark as cancelled in database
-      await this._cancelReminder(userId, reminderToCancel.id);
-
-      let response = `*Reminder cancelled*\n\n`;
-      response += `"${reminderToCancel.message}"\n\n`;
-      response += `This reminder has been cancelled.`;
-
-      this.log('info', `Cancelled reminder ${reminderNumber} for user ${userId}`);
-      return this.success(response);
-    } catch (error) {
-      this.log('error', 'Error cancelling reminder', error);
-      return this.error('Failed to cancel reminder. Please try again.');
     }
+
+    lines.push('', `Times are in ${getUserTimezone(ownerId, this.memory)}. To delete one: cancel reminder <id>`);
+    return this.success(lines.join('\n'));
   }
 
   /**
-   * Handler called when a reminder triggers
-   * This is registered with the scheduler
+   * Delete a reminder
    */
-  async handleReminderTrigger(params = {}) {
-    const { message, userId, reminderId } = params;
+  async handleCancel(scheduler, id, context) {
+    const job = await this.findReminder(scheduler, id, context, { adminOk: true });
+    if (job.error) return job.error;
 
-    this.log('info', `Reminder triggered for user ${userId}: "${message}"`);
+    await scheduler.cancel(job.id);
+    return this.success(`🗑️ Cancelled reminder #${job.id}: ${job.params.message}`);
+  }
 
-    // Mark reminder as completed
-    if (this.memory && reminderId) {
-      await this._completeReminder(userId, reminderId);
+  /**
+   * Send a reminder again later. A one-off reminder moves; a recurring one
+   * keeps its schedule and gets a one-off copy.
+   */
+  async handleSnooze(scheduler, id, duration, context) {
+    const job = await this.findReminder(scheduler, id, context);
+    if (job.error) return job.error;
+
+    const minutes = duration ? parseSnooze(duration) : DEFAULT_SNOOZE_MINUTES;
+    if (!minutes) {
+      return this.error(`I couldn't read "${duration}" as a snooze time`, null, {
+        suggestion: `snooze reminder ${job.id} 30 minutes`
+      });
     }
 
-    // Clean up timeout reference
-    if (reminderId && this.activeTimeouts.has(reminderId)) {
-      this.activeTimeouts.delete(reminderId);
+    const timezone = job.timezone || getUserTimezone(job.params.userId, this.memory);
+    const at = nextMinute(Date.now() + minutes * 60 * 1000);
+    const description = formatDate(at, timezone);
+
+    if (job.params.recurring) {
+      const copy = await scheduler.schedule(
+        `reminder:${job.params.userId}:${Date.now().toString(36)}`,
+        cronForDate(at, timezone),
+        HANDLER_NAME,
+        { ...job.params, recurring: false, description },
+        { timezone, once: true }
+      );
+      return this.success(`⏰ Snoozed until ${description} (#${copy.id}): ${job.params.message}`);
     }
 
-    // Return the reminder message to be sent
-    return `*Reminder*\n\n${message}`;
+    await scheduler.updateParams(job.id, { ...job.params, description });
+    await scheduler.reschedule(job.id, cronForDate(at, timezone));
+    return this.success(`⏰ Snoozed until ${description}: ${job.params.message}`);
   }
 
-  // ==================== Private Helper Methods ====================
-
   /**
-   * Schedule a reminder to trigger after a delay
-   * @private
+   * Mark a delivered reminder as done (one-off reminders are removed)
    */
-  async _scheduleReminder(userId, reminderId, message, delayMs) {
-    // Get sendMessage callback from context if available
-    const sendMessage = this.config.sendMessage;
-
-    if (sendMessage) {
-      // Use setTimeout for one-time reminders (more reliable for short delays)
-      const timeout = setTimeout(async () => {
-        try {
-          const reminderMessage = await this.handleReminderTrigger({
-            message,
-            userId,
-            reminderId
-          });
-
-          await sendMessage(reminderMessage);
-          this.log('info', `Sent reminder to user ${userId}: "${message}"`);
-        } catch (error) {
-          this.log('error', 'Error sending reminder', error);
-        }
-      }, delayMs);
-
-      // Store timeout reference for cancellation
-      this.activeTimeouts.set(reminderId, timeout);
-      this.log('debug', `Scheduled reminder ${reminderId} to trigger in ${delayMs}ms`);
-    } else if (this.scheduler) {
-      // Fallback: Use scheduler for longer delays or if no sendMessage available
-      // Convert delay to a one-time cron expression (approximation)
-      const triggerTime = new Date(Date.now() + delayMs);
-      const minute = triggerTime.getMinutes();
-      const hour = triggerTime.getHours();
-      const day = triggerTime.getDate();
-      const month = triggerTime.getMonth() + 1;
-      const cronExpression = `${minute} ${hour} ${day} ${month} *`;
-
-      await this.scheduler.schedule(
-        reminderId,
-        cronExpression,
-        this.HANDLER_NAME,
-        { message, userId, reminderId }
-      );
+  async handleDone(scheduler, id, context) {
+    const job = await this.findReminder(scheduler, id, context);
+    if (job.error) return job.error;
+
+    if (job.params.recurring) {
+      return this.success(`✅ Done: ${job.params.message}\nNext: ${formatNext(job)}`);
     }
+
+    await scheduler.cancel(job.id);
+    return this.success(`✅ Done: ${job.params.message}`);
   }
 
   /**
-   * Save a reminder to storage
-   * @private
+   * Scheduler handler - the reminder text with snooze and done buttons
+   * @param {Object} params - Job params
+   * @param {Object} job - The job being run
+   * @returns {{message: string, buttons: Array}}
    */
-  async _saveReminder(userId, reminder) {
-    if (!this.memory) return;
+  async handleReminderTrigger(params = {}, job = {}) {
+    this.log('info', `Reminder #${job.id} for ${params.userId}: "${params.message}"`);
 
-    try {
-      // Store as a scheduled job entry
-      await this.memory.insert('scheduled_jobs', {
-        id: reminder.id,
-        name: reminder.id,
-        handler: this.HANDLER_NAME,
-        params: JSON.stringify({
-          message: reminder.message,
-          userId,
-          reminderId: reminder.id
-        }),
-        enabled: true,
-        user_id: userId,
-        trigger_at: reminder.triggerAt,
-        created_at: reminder.createdAt,
-        status: 'pending'
-      });
-    } catch (error) {
-      this.log('warn', 'Could not save reminder to database', error.message);
+    let message = `⏰ *Reminder*\n\n${params.message}`;
+    if (params.recurring) {
+      message += `\n\n_${capitalize(params.description)}_`;
     }
+    return { message, buttons: ActionButtons.reminder(job.id) };
   }
 
+  // ============ Helpers ============
+
   /**
-   * Get all pending reminders for a user
-   * @private
+   * Where to deliver: a trailing "in the <chat name> chat" / "on <platform>"
+   * clause, else here. Another chat needs the sender to have a role there.
+   * @returns {{chatId, platform, label, rest}|{error}}
    */
-  async _getReminders(userId) {
-    if (!this.memory) {
-      // Return from active timeouts if no database
-      return Array.from(this.activeTimeouts.keys())
-        .filter(id => id.includes(userId))
-        .map(id => ({ id, message: 'Unknown', triggerAt: new Date().toISOString() }));
+  resolveTarget(body, context) {
+    let rest = body;
+    let chatId = context.chatId || context.userId || getOwnerId(context);
+    let platform = context.platform || null;
+    let label = null;
+
+    const chatMatch = findChatClause(rest);
+    if (chatMatch && String(chatMatch.chatId) !== String(chatId) && !this.canUseChat(context, chatMatch.chatId)) {
+      return {
+        error: this.error(`You can't send reminders to ${chatMatch.name}`, null, {
+          suggestion: 'Ask an owner or admin there to give you a role with "access grant"'
+        })
+      };
+    }
+    if (chatMatch) {
+      chatId = chatMatch.chatId;
+      platform = chatMatch.platform;
+      label = `to ${chatMatch.name}`;
+      rest = chatMatch.rest;
     }
 
-    try {
-      const jobs = await this.memory.query('scheduled_jobs', {
-        where: {
-          handler: this.HANDLER_NAME,
-          user_id: userId,
-          status: 'pending'
+    const platformMatch = rest.match(new RegExp(`\\s*\\bon (${PLATFORMS.join('|')})\\b`, 'i'));
+    if (platformMatch && !chatMatch) {
+      const wanted = platformMatch[1].toLowerCase();
+      rest = (rest.slice(0, platformMatch.index) + ' ' + rest.slice(platformMatch.index + platformMatch[0].length)).trim();
+
+      if (wanted !== platform) {
+        const account = findLinkedAccount(getOwnerId(context), wanted);
+        if (!account) {
+          return {
+            error: this.error(`You don't have a linked ${capitalize(wanted)} account`, null, {
+              suggestion: `Send "link account" here, then "link <code>" on ${capitalize(wanted)}`
+            })
+          };
         }
-      }) || [];
-
-      return jobs.map(job => {
-        const params = typeof job.params === 'string' ? JSON.parse(job.params) : job.params;
-        return {
-          id: job.id,
-          message: params.message || 'No message',
-          triggerAt: job.trigger_at || job.created_at,
-          createdAt: job.created_at
-        };
-      }).filter(r => new Date(r.triggerAt) > new Date()) // Only future reminders
-        .sort((a, b) => new Date(a.triggerAt) - new Date(b.triggerAt));
-    } catch (error) {
-      this.log('warn', 'Could not query reminders from database', error.message);
-      return [];
+        chatId = account;
+        platform = wanted;
+      }
+      label = `on ${capitalize(wanted)}`;
     }
+
+    return { chatId: String(chatId), platform, label, rest: rest.trim() };
   }
 
   /**
-   * Cancel a reminder
-   * @private
+   * All reminder jobs owned by a user
    */
-  async _cancelReminder(userId, reminderId) {
-    if (!this.memory) return;
-
-    try {
-      await this.memory.update('scheduled_jobs', { id: reminderId }, { status: 'cancelled' });
-    } catch (error) {
-      this.log('warn', 'Could not update reminder status in database', error.message);
-    }
+  async listReminders(scheduler, ownerId) {
+    const jobs = await scheduler.listAll();
+    return jobs.filter(job => job.handler === HANDLER_NAME && job.params && job.params.userId === ownerId);
   }
 
   /**
-   * Mark a reminder as completed
-   * @private
+   * Load a reminder the sender may act on: their own, one delivered to this
+   * chat (the buttons), or - for cancel - any reminder if they're an admin
+   * @returns {Object} The job, or { error } with a response
    */
-  async _completeReminder(userId, reminderId) {
-    if (!this.memory) return;
+  async findReminder(scheduler, id, context, { adminOk = false } = {}) {
+    const job = await scheduler.getJob(id);
+    const params = job && (typeof job.params === 'string' ? JSON.parse(job.params || '{}') : (job.params || {}));
+    if (!job || job.handler !== HANDLER_NAME) {
+      return { error: this.error(`No reminder #${id}`, null, { suggestion: 'See your reminders with: my reminders' }) };
+    }
 
-    try {
-      await this.memory.update('scheduled_jobs', { id: reminderId }, {
-        status: 'completed',
-        completed_at: new Date().toISOString()
-      });
-    } catch (error) {
-      this.log('warn', 'Could not mark reminder as completed', error.message);
+    const own = params.userId === getOwnerId(context);
+    const here = context.chatId && String(params.chatId) === String(context.chatId);
+    if (!own && !here && !(adminOk && this.isAdmin(context))) {
+      return { error: this.error(`Reminder #${id} isn't yours`, null, { suggestion: 'See your reminders with: my reminders' }) };
     }
+
+    return { ...job, enabled: Boolean(job.enabled), params };
   }
 
   /**
-   * Format a date object to HH:MM format
-   * @private
+   * Whether the sender may post reminders to a chat: they're an owner, or
+   * have a role there (granted to them, everywhere, or to everyone in it)
    */
-  _formatTime(date) {
-    const hours = date.getHours().toString().padStart(2, '0');
-    const minutes = date.getMinutes().toString().padStart(2, '0');
-    return `${hours}:${minutes}`;
+  canUseChat(context, chatId) {
+    const { userId } = accessControl.getSender(context);
+    const { role, source } = accessControl.resolveRole(userId, String(chatId));
+    return source !== 'default' && source !== 'private-chat' &&
+      accessControl.roleHasPermission(role, accessControl.PERMISSIONS.USE);
   }
 
   /**
-   * Format time until a future date
-   * @private
+   * Whether the sender's role can manage everyone's reminders
    */
-  _formatTimeUntil(futureDate) {
-    const now = new Date();
-    const diffMs = futureDate - now;
+  isAdmin(context) {
+    const { userId, chatId } = accessControl.getSender(context);
+    const { role } = accessControl.resolveRole(userId, chatId);
+    return accessControl.roleHasPermission(role, accessControl.PERMISSIONS.ADMIN);
+  }
+}
 
-    if (diffMs <= 0) return 'now';
+/**
+ * Canonical ID of the sender (linked accounts share reminders)
+ */
+function getOwnerId(context) {
+  return String(context.from || context.userId || '');
+}
 
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
+/**
+ * Split "<text> <when>" or "<when> <text>" into its parts
+ * Tries the longest time phrase at the end, then at the start. One-off
+ * times are read by lib/date-parser; an ambiguous one ("at 5") comes back
+ * with `ambiguous: true` and the readings to ask about.
+ * @returns {{message: string, phrase: string, description: string, cron?: string, date?: Date}|null}
+ */
+function splitWhen(body, timezone, now = new Date()) {
+  const words = String(body || '').trim().split(/\s+/).filter(Boolean);
 
-    if (diffMins < 1) return 'less than a minute';
-    if (diffMins === 1) return 'in 1 minute';
-    if (diffMins < 60) return `in ${diffMins} minutes`;
-    if (diffHours === 1) return `in 1 hour`;
-    return `in ${diffHours} hours`;
+  const parse = (phrase) => {
+    if (RECURRING_PATTERN.test(phrase)) {
+      const recurrence = parseRecurrence(phrase);
+      return recurrence ? { cron: recurrence.cron, description: recurrence.description } : null;
+    }
+    const parsed = parseDate(phrase, { timezone, now });
+    if (!parsed || parsed.ambiguous) return parsed;
+    return { date: parsed.date, description: formatDate(parsed.date, timezone, { now }) };
+  };
+  const result = (when, phrase, message) => ({ ...when, phrase, message: cleanMessage(message) });
+
+  for (let start = 0; start < words.length; start++) {
+    const phrase = words.slice(start).join(' ');
+    const when = parse(phrase);
+    if (when) return result(when, phrase, words.slice(0, start).join(' '));
   }
+  for (let end = words.length - 1; end >= 1; end--) {
+    const phrase = words.slice(0, end).join(' ');
+    const when = parse(phrase);
+    if (when) return result(when, phrase, words.slice(end).join(' '));
+  }
+  return null;
+}
 
-  /**
-   * Get skill metadata
-   */
-  getMetadata() {
-    const meta = super.getMetadata();
-    return {
-      ...meta,
-      dataType: 'scheduled-reminders',
-      provider: 'Scheduler + MemoryManager',
-      activeReminders: this.activeTimeouts.size
-    };
+/**
+ * "to call John" -> "call John"
+ */
+function cleanMessage(text) {
+  return String(text || '')
+    .replace(/^(?:to|that|about)\s+/i, '')
+    .replace(/[\s,]+$/, '')
+    .trim();
+}
+
+/**
+ * Minutes to snooze for: "30 minutes", "2 hours", "1440 minutes", "tomorrow"
+ * @returns {number|null}
+ */
+function parseSnooze(text) {
+  const lower = String(text).toLowerCase().replace(/^for\s+/, '').trim();
+  if (lower === 'tomorrow') return 1440;
+  const minutes = parseDuration(lower);
+  return minutes && minutes <= 30 * 1440 ? minutes : null;
+}
+
+/**
+ * Find a trailing "in the <name> chat|group|channel" naming a registered chat
+ * or repo. Only that explicit form counts - "in Paris" inside the reminder
+ * text stays part of the text.
+ * @returns {{chatId, platform, name, rest}|null}
+ */
+function findChatClause(text) {
+  let chatRegistry;
+  try {
+    chatRegistry = require('../../lib/chat-registry');
+  } catch (err) {
+    return null;
   }
 
-  /**
-   * Shutdown the skill - clear all active timeouts
-   */
-  async shutdown() {
-    // Clear all active timeouts
-    for (const [id, timeout] of this.activeTimeouts) {
-      clearTimeout(timeout);
-      this.log('debug', `Cleared timeout for reminder ${id}`);
+  const chats = Object.values(chatRegistry.listChats() || {});
+  const named = chats
+    .flatMap(chat => [chat.name, chat.type === 'repo' ? chat.value : null].filter(Boolean).map(name => ({ chat, name })))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  for (const { chat, name } of named) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = text.match(new RegExp(`\\s+in the #?${escaped} (?:chat|group|channel)\\s*$`, 'i'));
+    if (match) {
+      return {
+        chatId: chat.chatId,
+        platform: chat.platform || chatRegistry.detectPlatform(chat.chatId),
+        name,
+        rest: text.slice(0, match.index).trim()
+      };
     }
-    this.activeTimeouts.clear();
+  }
+  return null;
+}
 
-    await super.shutdown();
+/**
+ * The user's account on another platform (lib/database identities)
+ * @returns {string|null} Platform user ID to message
+ */
+function findLinkedAccount(ownerId, platform) {
+  try {
+    const database = require('../../lib/database');
+    const account = database.getLinkedAccounts(ownerId).find(row => row.platform === platform);
+    return account ? account.platform_user_id : null;
+  } catch (err) {
+    return null;
   }
 }
 
+/**
+ * Round up to the next whole minute (cron fires on the minute)
+ */
+function nextMinute(ms) {
+  return new Date(Math.ceil(ms / 60000) * 60000);
+}
+
+function formatNext(job) {
+  if (!job.next_run) return 'not scheduled';
+  const next = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(job.next_run) ? job.next_run : `${job.next_run.replace(' ', 'T')}Z`);
+  return formatDate(next, job.timezone || 'Europe/London');
+}
+
+function formatTarget(params, context) {
+  if (String(params.chatId) === String(context.chatId || '')) return '';
+  return params.platform ? ` (on ${capitalize(params.platform)})` : ` (to ${params.chatId})`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 module.exports = RemindersSkill;
+module.exports.splitWhen = splitWhen;
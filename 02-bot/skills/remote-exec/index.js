@@ -18,6 +18,10 @@
  *   remote status                 - Show all known projects and their status
  *   remote commands               - List all allowed commands
  *
+ * Confirmed deploys run as "deploy" jobs in the task queue (lib/task-queue):
+ * one deploy per repo at a time, and a failed deploy is dead-lettered for
+ * `queue retry <id>` rather than retried automatically.
+ *
  * @module skills/remote-exec
  */
 
@@ -27,6 +31,7 @@ const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 const db = require('../../lib/database');
+const taskQueue = require('../../lib/task-queue');
 
 const execAsync = promisify(exec);
 
@@ -49,6 +54,7 @@ class RemoteExecSkill extends BaseSkill {
   name = 'remote-exec';
   description = 'Execute safe commands on EC2 - tests, deploys, logs, restarts';
   priority = 30; // High priority for explicit exec commands
+  permission = 'dev';
 
   commands = [
     {
@@ -59,7 +65,8 @@ class RemoteExecSkill extends BaseSkill {
     {
       pattern: /^deploy\s+(\S+)(?:\s+to\s+production)?$/i,
       description: 'Run deploy script for a project',
-      usage: 'deploy <repo>'
+      usage: 'deploy <repo>',
+      destructive: true
     },
     {
       pattern: /^(?:check\s+)?logs?\s+(\S+)$/i,
@@ -69,22 +76,26 @@ class RemoteExecSkill extends BaseSkill {
     {
       pattern: /^restart\s+(\S+)$/i,
       description: 'Restart PM2 process',
-      usage: 'restart <repo>'
+      usage: 'restart <repo>',
+      destructive: true
     },
     {
       pattern: /^build\s+(\S+)$/i,
       description: 'Run npm run build',
-      usage: 'build <repo>'
+      usage: 'build <repo>',
+      destructive: true
     },
     {
       pattern: /^install\s+(\S+)$/i,
       description: 'Run npm install',
-      usage: 'install <repo>'
+      usage: 'install <repo>',
+      destructive: true
     },
     {
       pattern: /^exec\s+(\S+)\s+(.+)$/i,
       description: 'Run a whitelisted command in project directory',
-      usage: 'exec <repo> <command>'
+      usage: 'exec <repo> <command>',
+      destructive: true
     },
     {
       pattern: /^remote\s+status$/i,
@@ -99,7 +110,8 @@ class RemoteExecSkill extends BaseSkill {
     {
       pattern: /^vercel\s+deploy(\s+\S+)?$/i,
       description: 'Deploy project to Vercel production',
-      usage: 'vercel deploy <repo>'
+      usage: 'vercel deploy <repo>',
+      destructive: true
     },
     {
       pattern: /^vercel\s+preview(\s+\S+)?$/i,
@@ -128,6 +140,11 @@ class RemoteExecSkill extends BaseSkill {
     this.isEC2 = process.platform === 'linux'; // Only actually execute on EC2
   }
 
+  async initialize() {
+    await super.initialize();
+    taskQueue.registerHandler('deploy', this.runDeployJob.bind(this), { maxAttempts: 1 });
+  }
+
   async execute(command, context) {
     const { raw } = this.parseCommand(command);
 
@@ -312,6 +329,53 @@ class RemoteExecSkill extends BaseSkill {
     return this.success(response);
   }
 
+  /**
+   * Queue a confirmed deploy
+   * Deploys of the same repo wait for each other; the result is sent to this
+   * chat when the job finishes.
+   */
+  async queueDeployment(pending) {
+    const { repo, projectPath, isProduction, context = {} } = pending;
+    const userId = context.userId || context.from;
+
+    const job = taskQueue.enqueue('deploy', { repo, projectPath, isProduction }, {
+      repo,
+      priority: 'high',
+      chatId: context.chatId || userId,
+      userId,
+      platform: context.platform
+    });
+    if (!job) {
+      return await this.executeDeployment(pending);
+    }
+
+    const ahead = taskQueue.listJobs({ type: 'deploy', status: ['queued', 'running'] })
+      .filter(other => other.repo === repo && other.id !== job.id).length;
+
+    return this.success(
+      `🚀 Deploy of ${repo}${isProduction ? ' to production' : ''} queued (job ${job.id}).\n` +
+      (ahead > 0 ? `Waiting for ${ahead} earlier deploy(s) of ${repo}.\n` : '') +
+      `I'll post the result here when it finishes.`
+    );
+  }
+
+  /**
+   * Task queue handler for "deploy" jobs
+   * @param {Object} job - Queue job ({ params: { repo, projectPath, isProduction } })
+   * @returns {Promise<string>} Deploy summary
+   */
+  async runDeployJob(job) {
+    const result = await this.executeDeployment({
+      ...job.params,
+      context: { from: job.userId, userId: job.userId, chatId: job.chatId, platform: job.platform }
+    });
+
+    if (!result.success) {
+      throw new Error(result.message.replace(/^✗ /, ''));
+    }
+    return result.message;
+  }
+
   /**
    * Actually execute the deploy after confirmation
    */
@@ -926,7 +990,7 @@ class RemoteExecSkill extends BaseSkill {
     // Execute based on action type
     switch (pending.action) {
       case 'deploy':
-        return await this.executeDeployment(pending);
+        return await this.queueDeployment(pending);
       case 'vercel-deploy':
         return await this.executeVercelDeploy(pending);
       case 'restart':
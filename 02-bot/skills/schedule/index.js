@@ -0,0 +1,389 @@
+/**
+ * Schedule Skill - Run any command on a schedule
+ *
+ * Turns "every weekday 9am" into a cron expression (lib/recurrence), runs it
+ * in the user's timezone (lib/user-timezone) and, each time it fires, sends
+ * the command through the skill registry as the user who scheduled it. The
+ * result goes back to the chat the schedule was made in. A single time
+ * ("tomorrow 9am", "friday 17:00", read by lib/date-parser) runs the command
+ * once.
+ *
+ * Schedules are "skill-command" jobs in the scheduler's scheduled_jobs table,
+ * so they survive restarts. People manage their own schedules; admins can
+ * also see and pause the built-in ones (morning brief, nightly jobs).
+ * Runs missed while the bot was down follow the job's catch-up policy.
+ *
+ * Commands:
+ *   schedule list                     - Your schedules (admins also see system jobs)
+ *   schedule add <when> <command>     - Run a command on a schedule, or once
+ *   schedule pause <id>               - Stop a schedule without deleting it
+ *   schedule resume <id>              - Start a paused schedule again
+ *   schedule delete <id>              - Remove a schedule
+ *   schedule catch-up <id> <policy>   - Missed runs: run once, skip or run all
+ *
+ * @example
+ * schedule add "every weekday 9am" deadlines
+ * schedule add every monday at 8:30 github prs armora
+ * schedule add "0 18 * * 5" expenses summary
+ * schedule add tomorrow 8am deadlines
+ * schedule pause 12
+ * schedule catch-up 12 skip
+ *
+ * @module skills/schedule
+ */
+
+const BaseSkill = require('../base-skill');
+const { parseRecurrence, splitRecurrence, cronForDate } = require('../../lib/recurrence');
+const { parseDate, splitDate, formatDate, clarifyCommands } = require('../../lib/date-parser');
+const { getUserTimezone } = require('../../lib/user-timezone');
+const accessControl = require('../../lib/access-control');
+const { CATCH_UP_POLICIES } = require('../../scheduler/scheduler');
+
+const JOB_ID_ARG = { name: 'id', type: 'integer', description: 'Schedule ID (from schedule list)' };
+
+class ScheduleSkill extends BaseSkill {
+  name = 'schedule';
+  description = 'Run any command on a recurring schedule - list, add, pause and delete schedules';
+  priority = 45;
+
+  commands = [
+    {
+      command: 'schedule list',
+      description: 'Show your schedules',
+      args: []
+    },
+    {
+      command: 'schedule add',
+      usage: 'schedule add "<when>" <command>',
+      description: 'Run a command on a schedule, e.g. schedule add "every weekday 9am" deadlines, or once: schedule add tomorrow 8am deadlines',
+      args: [
+        { name: 'when', description: 'When to run, e.g. "every weekday 9am" or "tomorrow 8am" (quotes optional)' },
+        { name: 'command', type: 'text', description: 'Command to run' }
+      ]
+    },
+    {
+      command: 'schedule pause',
+      description: 'Stop a schedule without deleting it',
+      args: [JOB_ID_ARG]
+    },
+    {
+      command: 'schedule resume',
+      description: 'Start a paused schedule again',
+      args: [JOB_ID_ARG]
+    },
+    {
+      command: 'schedule delete',
+      description: 'Remove a schedule',
+      destructive: true,
+      args: [JOB_ID_ARG]
+    },
+    {
+      command: 'schedule catch-up',
+      description: 'What to do with runs missed while the bot was down',
+      args: [
+        JOB_ID_ARG,
+        { name: 'policy', choices: CATCH_UP_POLICIES, description: 'once (run once), skip or all (run each)' }
+      ]
+    }
+  ];
+
+  async execute(command, context = {}) {
+    const invocation = context.invocation || this.parseArgs(command);
+    if (invocation.error) {
+      return this.usageError(invocation.definition, invocation.error);
+    }
+
+    const scheduler = this.getScheduler();
+    if (!scheduler || !scheduler.db) {
+      return this.error('Scheduler is not available', null, {
+        suggestion: 'The scheduler starts with the bot - check the logs'
+      });
+    }
+
+    const { id, policy } = invocation.args;
+
+    try {
+      switch (invocation.command) {
+        case 'schedule list':
+          return await this.handleList(scheduler, context);
+        case 'schedule add':
+          return await this.handleAdd(scheduler, command, invocation.args, context);
+        case 'schedule pause':
+          return await this.handleToggle(scheduler, id, false, context);
+        case 'schedule resume':
+          return await this.handleToggle(scheduler, id, true, context);
+        case 'schedule delete':
+          return await this.handleDelete(scheduler, id, context);
+        case 'schedule catch-up':
+          return await this.handleCatchUp(scheduler, id, policy, context);
+        default:
+          return this.error('Schedule command not recognized', null, {
+            suggestion: 'Try: schedule list'
+          });
+      }
+    } catch (err) {
+      this.log('error', 'Schedule command failed', err);
+      return this.error('Schedule command failed', err);
+    }
+  }
+
+  /**
+   * The shared scheduler (created by index.js with the memory manager)
+   */
+  getScheduler() {
+    try {
+      const { getScheduler } = require('../../scheduler');
+      return getScheduler(this.memory);
+    } catch (err) {
+      this.log('warn', 'Scheduler not available', err.message);
+      return null;
+    }
+  }
+
+  // ============ Command Handlers ============
+
+  /**
+   * List the sender's schedules, plus system jobs for admins
+   */
+  async handleList(scheduler, context) {
+    const ownerId = getOwnerId(context);
+    const jobs = await scheduler.listAll();
+    const mine = jobs.filter(job => job.handler === 'skill-command' && job.params && job.params.userId === ownerId);
+
+    const lines = ['*Your Schedules*', ''];
+    if (mine.length === 0) {
+      lines.push('None yet. Try: schedule add "every weekday 9am" deadlines');
+    } else {
+      lines.push(...mine.map(job => formatJob(job)));
+    }
+
+    if (this.isAdmin(context)) {
+      const system = jobs.filter(job => job.handler !== 'skill-command');
+      if (system.length > 0) {
+        lines.push('', '*System Jobs*', ...system.map(job => formatJob(job)));
+      }
+    }
+
+    lines.push('', `Times are in ${getUserTimezone(ownerId, this.memory)}.`);
+    return this.success(lines.join('\n'));
+  }
+
+  /**
+   * Create a schedule that runs a command - repeatedly, or once at a date
+   */
+  async handleAdd(scheduler, command, args, context) {
+    const ownerId = getOwnerId(context);
+    const timezone = getUserTimezone(ownerId, this.memory);
+
+    // "schedule add every weekday 9am deadlines" - find where the time ends
+    let recurrence = null;
+    let once = null;
+    let toRun = args.command;
+    const body = command.trim().replace(/^schedule\s+add\s+/i, '');
+    if (/^["']/.test(body)) {
+      recurrence = parseRecurrence(args.when);
+      if (recurrence) recurrence.recurrence = args.when;
+      else once = parseDate(args.when, { timezone });
+    } else {
+      recurrence = splitRecurrence(body);
+      if (recurrence) {
+        toRun = recurrence.rest;
+      } else {
+        once = splitDate(body, { timezone, position: 'start' });
+        if (once) toRun = once.rest;
+      }
+    }
+
+    if (once && once.ambiguous) {
+      return this.clarify(once.question, clarifyCommands(command, once));
+    }
+    if (once) {
+      if (once.date.getTime() <= Date.now()) {
+        return this.error(`${capitalize(formatDate(once.date, timezone))} has already passed`, null, {
+          suggestion: 'Give a time in the future'
+        });
+      }
+      recurrence = {
+        cron: cronForDate(once.date, timezone),
+        description: `once, ${formatDate(once.date, timezone)}`,
+        recurrence: once.phrase || args.when
+      };
+    }
+
+    if (!recurrence) {
+      return this.error(`I couldn't work out when to run that`, null, {
+        suggestion: 'Try "every weekday 9am", "every monday at 14:00", "every 2 hours", "on the 1st of every month" or "tomorrow 8am"'
+      });
+    }
+
+    toRun = String(toRun || '').trim();
+    if (!toRun) {
+      return this.error('What should I run?', null, {
+        suggestion: `schedule add "${recurrence.recurrence}" <command>`
+      });
+    }
+    if (/^schedule\b/i.test(toRun)) {
+      return this.error(`Schedules can't create other schedules`);
+    }
+
+    // The command must reach a skill the sender is allowed to use
+    const registry = require('../skill-registry');
+    const match = registry.findMatchingSkills(toRun)[0];
+    if (!match) {
+      return this.error(`No command matches "${toRun}"`, null, {
+        suggestion: 'Check it works when you send it now, then schedule it'
+      });
+    }
+    const skill = registry.getSkill(match.name);
+    const access = accessControl.checkAccess(skill, toRun, context);
+    if (!access.allowed) {
+      return this.error(`You can't schedule "${toRun}"`, null, {
+        suggestion: `${match.name} needs the "${access.permission}" permission; your role is ${access.role}`
+      });
+    }
+    // Destructive commands wait for a "yes" that nobody is around to give
+    if (typeof skill.isDestructive === 'function' && skill.isDestructive(toRun)) {
+      return this.error(`"${toRun}" can't be scheduled`, null, {
+        suggestion: 'It deletes or changes things, so it needs your confirmation each time - send it yourself'
+      });
+    }
+
+    const job = await scheduler.schedule(
+      `schedule:${ownerId}:${Date.now().toString(36)}`,
+      recurrence.cron,
+      'skill-command',
+      {
+        command: toRun,
+        description: recurrence.description,
+        userId: ownerId,
+        senderId: access.userId,
+        chatId: context.chatId || context.userId || ownerId,
+        platform: context.platform || null
+      },
+      { timezone, once: Boolean(once) }
+    );
+
+    this.log('info', `Scheduled "${toRun}" ${recurrence.description} (${recurrence.cron}, ${timezone}) for ${ownerId}`);
+
+    return this.success(
+      `⏰ Scheduled #${job.id}: *${toRun}*\n` +
+      `${capitalize(recurrence.description)} (${timezone})\n` +
+      `Cron: \`${recurrence.cron}\`\n\n` +
+      `Results will be posted here. "schedule pause ${job.id}" stops it.`
+    );
+  }
+
+  /**
+   * Pause or resume a schedule
+   */
+  async handleToggle(scheduler, id, enabled, context) {
+    const job = await this.findJob(scheduler, id, context);
+    if (job.error) return job.error;
+
+    if (Boolean(job.enabled) === enabled) {
+      return this.success(`Schedule #${job.id} is already ${enabled ? 'running' : 'paused'}.`);
+    }
+
+    await (enabled ? scheduler.enable(job.id) : scheduler.disable(job.id));
+    return this.success(`${enabled ? '▶️ Resumed' : '⏸️ Paused'} #${job.id}: ${describeJob(job)}`);
+  }
+
+  /**
+   * Delete a schedule
+   */
+  async handleDelete(scheduler, id, context) {
+    const job = await this.findJob(scheduler, id, context);
+    if (job.error) return job.error;
+
+    if (job.handler !== 'skill-command') {
+      return this.error(`#${job.id} is a system job`, null, {
+        suggestion: `Use "schedule pause ${job.id}" instead`
+      });
+    }
+
+    await scheduler.cancel(job.id);
+    return this.success(`🗑️ Deleted #${job.id}: ${describeJob(job)}`);
+  }
+
+  /**
+   * Set a schedule's catch-up policy
+   */
+  async handleCatchUp(scheduler, id, policy, context) {
+    const job = await this.findJob(scheduler, id, context);
+    if (job.error) return job.error;
+
+    await scheduler.setCatchUp(job.id, policy);
+    const meaning = {
+      once: 'runs once when the bot comes back',
+      skip: 'waits for the next scheduled time',
+      all: 'runs once for every missed time'
+    }[policy];
+    return this.success(`#${job.id}: after downtime, a missed run ${meaning}.`);
+  }
+
+  /**
+   * Load a job the sender may manage: their own, or any job for admins
+   * @returns {Object} The job, or { error } with a response
+   */
+  async findJob(scheduler, id, context) {
+    const job = await scheduler.getJob(id);
+    if (!job) {
+      return { error: this.error(`No schedule #${id}`, null, { suggestion: 'See your schedules with: schedule list' }) };
+    }
+
+    const params = typeof job.params === 'string' ? JSON.parse(job.params || '{}') : (job.params || {});
+    const own = job.handler === 'skill-command' && params.userId === getOwnerId(context);
+    if (!own && !this.isAdmin(context)) {
+      return { error: this.error(`Schedule #${id} isn't yours`, null, { suggestion: 'See your schedules with: schedule list' }) };
+    }
+
+    return { ...job, params };
+  }
+
+  /**
+   * Whether the sender's role can manage everyone's schedules
+   */
+  isAdmin(context) {
+    const { userId, chatId } = accessControl.getSender(context);
+    const { role } = accessControl.resolveRole(userId, chatId);
+    return accessControl.roleHasPermission(role, accessControl.PERMISSIONS.ADMIN);
+  }
+}
+
+/**
+ * Canonical ID of the sender (linked accounts share schedules)
+ */
+function getOwnerId(context) {
+  return String(context.from || context.userId || '');
+}
+
+function describeJob(job) {
+  const params = job.params || {};
+  return job.handler === 'skill-command'
+    ? `${params.command} - ${params.description}`
+    : `${job.name} (${job.handler})`;
+}
+
+function formatJob(job) {
+  const status = job.enabled ? '▶️' : '⏸️';
+  let line = `${status} #${job.id} ${describeJob(job)}`;
+  if (job.handler !== 'skill-command') {
+    line += ` - \`${job.cron_expression}\``;
+  }
+  if (job.timezone) {
+    line += ` [${job.timezone}]`;
+  }
+  if (job.catch_up) {
+    line += ` (catch-up: ${job.catch_up})`;
+  }
+  if (job.last_error) {
+    line += `\n   Last run failed: ${job.last_error}`;
+  }
+  return line;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = ScheduleSkill;
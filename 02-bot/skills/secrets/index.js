@@ -29,6 +29,7 @@ class SecretsSkill extends BaseSkill {
   name = 'secrets';
   description = 'Secure storage for API keys, tokens, and sensitive credentials';
   priority = 25;
+  permission = 'admin';
 
   commands = [
     {
@@ -39,7 +40,8 @@ class SecretsSkill extends BaseSkill {
     {
       pattern: /^secret\s+set\s+([A-Za-z0-9_\-\.]+)\s+(.+)$/i,
       description: 'Store or update a secret',
-      usage: 'secret set <name> <value>'
+      usage: 'secret set <name> <value>',
+      destructive: true
     },
     {
       pattern: /^secret\s+list$/i,
@@ -49,12 +51,14 @@ class SecretsSkill extends BaseSkill {
     {
       pattern: /^secret\s+rotate\s+([A-Za-z0-9_\-\.]+)\s+(.+)$/i,
       description: 'Rotate a secret with a new value',
-      usage: 'secret rotate <name> <new-value>'
+      usage: 'secret rotate <name> <new-value>',
+      destructive: true
     },
     {
       pattern: /^secret\s+delete\s+([A-Za-z0-9_\-\.]+)$/i,
       description: 'Delete a secret',
-      usage: 'secret delete <name>'
+      usage: 'secret delete <name>',
+      destructive: true
     },
     {
       pattern: /^secret\s+audit\s+([A-Za-z0-9_\-\.]+)$/i,
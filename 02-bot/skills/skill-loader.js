@@ -36,13 +36,27 @@ const SKILL_PATHS = [
  */
 const DEFAULT_CONFIG = {
   // Files to ignore when scanning
-  ignoreFiles: ['base-skill.js', 'skill-registry.js', 'skill-loader.js', 'skills.json', 'index.js'],
+  ignoreFiles: ['base-skill.js', 'command-schema.js', 'skill-registry.js', 'skill-loader.js', 'skills.json', 'index.js'],
   // Directories to ignore
   ignoreDirs: ['node_modules', '.git', '__tests__', 'test'],
   // Entry point filename to look for in skill directories
   entryPoint: 'index.js'
 };
 
+/**
+ * Where and with what context skills were last loaded
+ * Used to load/unload skills at runtime without the caller re-supplying them.
+ */
+const runtime = {
+  skillsDir: null,
+  context: {}
+};
+
+/**
+ * Skills that cannot be disabled at runtime (needed to turn things back on)
+ */
+const PROTECTED_SKILLS = ['help', 'skill-manager'];
+
 /**
  * Load skills configuration from skills.json
  * @param {string} skillsDir - Directory containing skills.json
@@ -68,6 +82,24 @@ function loadConfig(skillsDir) {
   };
 }
 
+/**
+ * Save skills configuration to skills.json
+ * @param {string} skillsDir - Directory containing skills.json
+ * @param {Object} config - Skills configuration
+ * @returns {boolean} - True if saved
+ */
+function saveConfig(skillsDir, config) {
+  const configPath = path.join(skillsDir, 'skills.json');
+
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+    return true;
+  } catch (error) {
+    console.error('[SkillLoader] Error writing skills.json:', error.message);
+    return false;
+  }
+}
+
 /**
  * Check if a skill is enabled based on configuration
  * @param {string} skillName - Name of the skill
@@ -273,6 +305,7 @@ async function loadSkillsFromMultiplePaths(context = {}, options = {}) {
   const { autoRegister = true } = options;
 
   console.log('[SkillLoader] Loading skills from multiple paths...');
+  runtime.context = context;
 
   // Discover all skills with deduplication
   const discoveredSkills = discoverSkills(options);
@@ -337,6 +370,8 @@ async function loadSkillsFromSinglePath(skillsDir, context = {}, options = {}) {
   }
 
   console.log(`[SkillLoader] Loading skills from: ${absoluteDir}`);
+  runtime.skillsDir = absoluteDir;
+  runtime.context = context;
 
   // Load configuration
   const config = loadConfig(absoluteDir);
@@ -377,17 +412,46 @@ async function loadSkillsFromSinglePath(skillsDir, context = {}, options = {}) {
   return loadedSkills;
 }
 
+/**
+ * Resolve the directory for a skill by name
+ * Uses the directory skills were last loaded from, else searches SKILL_PATHS.
+ * @param {string} skillName - Name of the skill
+ * @returns {string|null} - Skill directory or null if not found
+ */
+function findSkillDir(skillName) {
+  if (!/^[a-z0-9][a-z0-9-]*$/i.test(skillName || '')) {
+    return null;
+  }
+
+  if (runtime.skillsDir) {
+    const skillDir = path.join(runtime.skillsDir, skillName);
+    return fs.existsSync(path.join(skillDir, DEFAULT_CONFIG.entryPoint)) ? skillDir : null;
+  }
+
+  const found = discoverSkills().find(s => s.name === skillName);
+  return found ? found.path : null;
+}
+
+/**
+ * Directory holding the skills.json that governs runtime changes
+ * @returns {string}
+ */
+function configDir() {
+  return runtime.skillsDir || SKILL_PATHS.find(p => p.source === 'local').path;
+}
+
 /**
  * Reload a single skill by name
  * @param {string} skillName - Name of skill to reload
- * @param {string} skillsDir - Directory containing skill folders
- * @param {Object} context - Shared context for the skill
+ * @param {string} [skillsDir] - Directory containing skill folders (default: last loaded)
+ * @param {Object} [context] - Shared context for the skill (default: last used)
  * @returns {Promise<BaseSkill|null>} - Reloaded skill instance or null
  */
-async function reloadSkill(skillName, skillsDir, context = {}) {
-  const absoluteDir = path.isAbsolute(skillsDir)
-    ? skillsDir
-    : path.resolve(process.cwd(), skillsDir);
+async function reloadSkill(skillName, skillsDir = null, context = null) {
+  const baseDir = skillsDir || configDir();
+  const absoluteDir = path.isAbsolute(baseDir)
+    ? baseDir
+    : path.resolve(process.cwd(), baseDir);
 
   const skillDir = path.join(absoluteDir, skillName);
 
@@ -406,7 +470,7 @@ async function reloadSkill(skillName, skillsDir, context = {}) {
   const skillConfig = (config.config && config.config[skillName]) || {};
 
   // Reload the skill
-  const skill = loadSkill(skillDir, context, skillConfig);
+  const skill = loadSkill(skillDir, context || runtime.context, skillConfig);
 
   if (skill) {
     registry.register(skill);
@@ -416,6 +480,88 @@ async function reloadSkill(skillName, skillsDir, context = {}) {
   return skill;
 }
 
+/**
+ * Enable a skill at runtime: load and register it, and record it in skills.json
+ * @param {string} skillName - Name of the skill
+ * @param {Object} options
+ * @param {boolean} options.persist - Write the change to skills.json (default: true)
+ * @returns {Promise<BaseSkill|null>} - The registered skill, or null if it could not be loaded
+ */
+async function enableSkill(skillName, options = {}) {
+  const { persist = true } = options;
+  const skillDir = findSkillDir(skillName);
+
+  if (!skillDir) {
+    console.error(`[SkillLoader] Cannot enable unknown skill: ${skillName}`);
+    return null;
+  }
+
+  const dir = configDir();
+  const config = loadConfig(dir);
+
+  if (persist) {
+    config.disabled = (config.disabled || []).filter(name => name !== skillName);
+    if (config.enabled && config.enabled.length > 0 && !config.enabled.includes(skillName)) {
+      config.enabled.push(skillName);
+    }
+    saveConfig(dir, config);
+  }
+
+  if (registry.hasSkill(skillName)) {
+    return registry.getSkill(skillName);
+  }
+
+  const skillConfig = (config.config && config.config[skillName]) || {};
+  const source = skillDir.includes('.claude') ? 'universal' : 'local';
+  const skill = loadSkill(skillDir, runtime.context, skillConfig, source);
+
+  if (skill) {
+    registry.register(skill);
+    console.log(`[SkillLoader] Enabled skill at runtime: ${skillName}`);
+  }
+
+  return skill;
+}
+
+/**
+ * Disable a skill at runtime: unregister it, and record it in skills.json
+ * @param {string} skillName - Name of the skill
+ * @param {Object} options
+ * @param {boolean} options.persist - Write the change to skills.json (default: true)
+ * @returns {Promise<boolean>} - True if the skill was disabled
+ */
+async function disableSkill(skillName, options = {}) {
+  const { persist = true } = options;
+
+  if (PROTECTED_SKILLS.includes(skillName)) {
+    console.warn(`[SkillLoader] Refusing to disable protected skill: ${skillName}`);
+    return false;
+  }
+
+  if (!registry.hasSkill(skillName) && !findSkillDir(skillName)) {
+    console.error(`[SkillLoader] Cannot disable unknown skill: ${skillName}`);
+    return false;
+  }
+
+  if (persist) {
+    const dir = configDir();
+    const config = loadConfig(dir);
+    config.enabled = (config.enabled || []).filter(name => name !== skillName);
+    config.disabled = config.disabled || [];
+    if (!config.disabled.includes(skillName)) {
+      config.disabled.push(skillName);
+    }
+    saveConfig(dir, config);
+  }
+
+  if (registry.hasSkill(skillName)) {
+    await registry.unregister(skillName);
+  }
+
+  console.log(`[SkillLoader] Disabled skill at runtime: ${skillName}`);
+  return true;
+}
+
 /**
  * Watch for changes in skills directory and reload automatically
  * @param {string} skillsDir - Directory to watch
@@ -463,9 +609,15 @@ module.exports = {
   loadSkills,
   loadSkill,
   reloadSkill,
+  enableSkill,
+  disableSkill,
+  findSkillDir,
   watchSkills,
   discoverSkillDirs,
   discoverSkills,
   loadConfig,
-  SKILL_PATHS
+  saveConfig,
+  isSkillEnabled,
+  SKILL_PATHS,
+  PROTECTED_SKILLS
 };
@@ -0,0 +1,255 @@
+/**
+ * Skill Manager Skill - Enable, disable and reload skills at runtime
+ *
+ * Loads and unloads skills without restarting the bot. Global changes are
+ * written to skills.json; "here" changes are stored per chat in the chat
+ * registry so a company chat can hide dev-only skills like remote-exec.
+ *
+ * Commands:
+ *   skill enable <name> [here]     - Enable a skill (globally, or just this chat)
+ *   skill disable <name> [here]    - Disable a skill (globally, or just this chat)
+ *   skill reset <name>             - Clear this chat's override for a skill
+ *   skill reload <name>            - Reload a skill from disk
+ *   skill status [name]            - Show skill state for this chat
+ *
+ * @module skills/skill-manager
+ */
+
+const BaseSkill = require('../base-skill');
+const registry = require('../skill-registry');
+const skillLoader = require('../skill-loader');
+const chatRegistry = require('../../lib/chat-registry');
+
+const SCOPE_ARG = {
+  name: 'scope',
+  choices: ['here', 'everywhere'],
+  optional: true,
+  default: 'everywhere',
+  description: '"here" for this chat only'
+};
+
+class SkillManagerSkill extends BaseSkill {
+  name = 'skill-manager';
+  description = 'Enable, disable and reload skills without restarting';
+  priority = 95; // Above most skills so "skill ..." is never swallowed
+
+  commands = [
+    {
+      command: 'skill enable',
+      usage: 'skill enable <skill> [here]',
+      description: 'Enable a skill globally or for this chat',
+      permission: 'admin',
+      args: [{ name: 'skill', description: 'Skill name' }, SCOPE_ARG]
+    },
+    {
+      command: 'skill disable',
+      usage: 'skill disable <skill> [here]',
+      description: 'Disable a skill globally or for this chat',
+      permission: 'admin',
+      destructive: true,
+      args: [{ name: 'skill', description: 'Skill name' }, SCOPE_ARG]
+    },
+    {
+      command: 'skill reset',
+      description: "Clear this chat's override for a skill",
+      permission: 'admin',
+      args: [{ name: 'skill', description: 'Skill name' }]
+    },
+    {
+      command: 'skill reload',
+      description: 'Reload a skill from disk',
+      permission: 'admin',
+      args: [{ name: 'skill', description: 'Skill name' }]
+    },
+    {
+      command: 'skill status',
+      description: 'Show skill state for this chat',
+      args: [{ name: 'skill', optional: true, description: 'Skill name' }]
+    }
+  ];
+
+  async execute(command, context = {}) {
+    const invocation = context.invocation || this.parseArgs(command);
+    if (invocation.error) {
+      return this.usageError(invocation.definition, invocation.error);
+    }
+
+    const { skill, scope } = invocation.args;
+    const skillName = skill ? skill.toLowerCase() : null;
+    const chatId = context.chatId || context.userId || context.from;
+
+    try {
+      switch (invocation.command) {
+        case 'skill enable':
+          return scope === 'here'
+            ? this.handleChatToggle(chatId, skillName, true)
+            : await this.handleEnable(skillName);
+        case 'skill disable':
+          return scope === 'here'
+            ? this.handleChatToggle(chatId, skillName, false)
+            : await this.handleDisable(skillName);
+        case 'skill reset':
+          return this.handleReset(chatId, skillName);
+        case 'skill reload':
+          return await this.handleReload(skillName);
+        case 'skill status':
+          return skillName ? this.handleStatus(chatId, skillName) : this.handleChatSummary(chatId);
+        default:
+          return this.error('Skill command not recognized', null, {
+            suggestion: 'Try: skill status'
+          });
+      }
+    } catch (err) {
+      this.log('error', 'Skill manager command failed', err);
+      return this.error('Skill command failed', err);
+    }
+  }
+
+  // ============ Command Handlers ============
+
+  /**
+   * Enable a skill globally (loads it now and persists to skills.json)
+   */
+  async handleEnable(skillName) {
+    const wasLoaded = registry.hasSkill(skillName);
+    const skill = await skillLoader.enableSkill(skillName);
+
+    if (!skill) {
+      return this.error(`Could not enable "${skillName}"`, null, {
+        suggestion: 'Check the name with "skills" or the bot logs for load errors'
+      });
+    }
+
+    return this.success(wasLoaded
+      ? `Skill *${skillName}* was already loaded (now enabled in skills.json)`
+      : `Skill *${skillName}* loaded and enabled`);
+  }
+
+  /**
+   * Disable a skill globally (unloads it now and persists to skills.json)
+   */
+  async handleDisable(skillName) {
+    if (skillLoader.PROTECTED_SKILLS.includes(skillName)) {
+      return this.error(`Skill "${skillName}" cannot be disabled`, null, {
+        suggestion: `Use "skill disable ${skillName} here" to hide it in this chat`
+      });
+    }
+
+    const disabled = await skillLoader.disableSkill(skillName);
+    if (!disabled) {
+      return this.error(`Could not disable "${skillName}"`, 'Skill not found');
+    }
+
+    return this.success(`Skill *${skillName}* unloaded and disabled`);
+  }
+
+  /**
+   * Enable/disable a skill for this chat only
+   */
+  handleChatToggle(chatId, skillName, enabled) {
+    if (!chatId) {
+      return this.error('Unable to determine chat ID');
+    }
+
+    if (!enabled && skillLoader.PROTECTED_SKILLS.includes(skillName)) {
+      return this.error(`Skill "${skillName}" cannot be disabled`);
+    }
+
+    if (!registry.hasSkill(skillName) && !skillLoader.findSkillDir(skillName)) {
+      return this.error(`Skill "${skillName}" not found`, null, {
+        suggestion: 'Type "skills" to list loaded skills'
+      });
+    }
+
+    chatRegistry.setSkillOverride(chatId, skillName, enabled);
+
+    let message = `Skill *${skillName}* ${enabled ? 'enabled' : 'disabled'} for this chat`;
+    if (enabled && !registry.hasSkill(skillName)) {
+      message += `\n_It is disabled globally - use "skill enable ${skillName}" to load it_`;
+    }
+
+    return this.success(message);
+  }
+
+  /**
+   * Clear this chat's override for a skill
+   */
+  handleReset(chatId, skillName) {
+    if (!chatId) {
+      return this.error('Unable to determine chat ID');
+    }
+
+    const cleared = chatRegistry.clearSkillOverride(chatId, skillName);
+    return this.success(cleared
+      ? `Skill *${skillName}* now follows the global setting in this chat`
+      : `This chat has no override for *${skillName}*`);
+  }
+
+  /**
+   * Reload a skill from disk
+   */
+  async handleReload(skillName) {
+    if (!registry.hasSkill(skillName)) {
+      return this.error(`Skill "${skillName}" is not loaded`, null, {
+        suggestion: `Use "skill enable ${skillName}" to load it`
+      });
+    }
+
+    const skill = await skillLoader.reloadSkill(skillName);
+    if (!skill) {
+      return this.error(`Failed to reload "${skillName}"`, null, {
+        suggestion: 'Check the bot logs for the load error'
+      });
+    }
+
+    return this.success(`Skill *${skillName}* reloaded`);
+  }
+
+  /**
+   * Show the state of one skill for this chat
+   */
+  handleStatus(chatId, skillName) {
+    const loaded = registry.hasSkill(skillName);
+    const exists = loaded || !!skillLoader.findSkillDir(skillName);
+
+    if (!exists) {
+      return this.error(`Skill "${skillName}" not found`);
+    }
+
+    const overrides = chatRegistry.getSkillOverrides(chatId);
+    const chatSetting = skillName in overrides
+      ? (overrides[skillName] ? 'enabled' : 'disabled')
+      : 'default';
+
+    let message = `*Skill: ${skillName}*\n\n`;
+    message += `Global: ${loaded ? 'loaded' : 'not loaded'}\n`;
+    message += `This chat: ${chatSetting}\n`;
+    message += `Available here: ${loaded && chatRegistry.isSkillEnabledForChat(chatId, skillName) ? 'yes' : 'no'}`;
+
+    return this.success(message);
+  }
+
+  /**
+   * Show this chat's overrides
+   */
+  handleChatSummary(chatId) {
+    const overrides = chatRegistry.getSkillOverrides(chatId);
+    const names = Object.keys(overrides);
+
+    let message = `*Skills in this chat*\n\n`;
+    message += `Loaded: ${registry.getSkillNames().length}\n`;
+
+    if (names.length === 0) {
+      message += '\n_No chat overrides - all loaded skills are available_';
+    } else {
+      const disabled = names.filter(n => overrides[n] === false);
+      const enabled = names.filter(n => overrides[n] === true);
+      if (disabled.length > 0) message += `Disabled here: ${disabled.join(', ')}\n`;
+      if (enabled.length > 0) message += `Enabled here: ${enabled.join(', ')}\n`;
+    }
+
+    return this.success(message);
+  }
+}
+
+module.exports = SkillManagerSkill;
@@ -182,53 +182,218 @@ class SkillRegistry extends EventEmitter {
 
     // Find the first skill that can handle this command
     for (const skill of sortedSkills) {
+      // Skip skills this chat has switched off
+      if (!this.isEnabledForChat(skill.name, context)) {
+        continue;
+      }
+
+      let canHandle = false;
       try {
-        if (skill.canHandle(normalizedCommand, context)) {
-          // Check if skill is initialized
-          if (!skill.isInitialized()) {
-            console.warn(`[Registry] Skill "${skill.name}" not initialized, initializing now`);
-            await skill.initialize();
-          }
+        canHandle = skill.canHandle(normalizedCommand, context);
+      } catch (error) {
+        return this._executeError(skill, normalizedCommand, error);
+      }
 
-          // Execute the skill
-          this.emit('beforeExecute', { skill: skill.name, command: normalizedCommand, context });
+      if (canHandle) {
+        return this._dispatch(skill, normalizedCommand, context);
+      }
+    }
 
-          const result = await skill.execute(normalizedCommand, context);
+    // No skill found to handle the command
+    return {
+      success: false,
+      message: 'No skill available to handle this command',
+      skill: null
+    };
+  }
 
-          this.emit('afterExecute', {
-            skill: skill.name,
-            command: normalizedCommand,
-            context,
-            result
-          });
+  /**
+   * Execute a command on one named skill, bypassing priority routing
+   * Used by callers that already chose the skill (e.g. the agent loop's tool
+   * calls). Per-chat switches, matching and argument validation still apply.
+   * @param {string} skillName - Name of the skill
+   * @param {string} command - Command string for that skill
+   * @param {Object} context - Execution context
+   * @returns {Promise<{success: boolean, message: string, skill?: string, data?: any}>}
+   */
+  async executeSkill(skillName, command, context = {}) {
+    const skill = this.skills.get(skillName);
+    if (!skill) {
+      return { success: false, message: `Unknown skill: ${skillName}`, skill: null };
+    }
+
+    if (!this.isEnabledForChat(skill.name, context)) {
+      return { success: false, message: `Skill "${skillName}" is disabled in this chat`, skill: skill.name };
+    }
+
+    const normalizedCommand = typeof command === 'string' ? command.trim() : '';
+    let canHandle = false;
+    try {
+      canHandle = skill.canHandle(normalizedCommand, context);
+    } catch (error) {
+      return this._executeError(skill, normalizedCommand, error);
+    }
+
+    if (!canHandle) {
+      return {
+        success: false,
+        message: `Skill "${skillName}" does not understand: ${normalizedCommand || '(empty command)'}`,
+        skill: skill.name
+      };
+    }
+
+    return this._dispatch(skill, normalizedCommand, context);
+  }
 
+  /**
+   * Validate arguments and execute a skill that has accepted a command
+   * @private
+   */
+  async _dispatch(skill, normalizedCommand, context) {
+    try {
+      // Check if skill is initialized
+      if (!skill.isInitialized()) {
+        console.warn(`[Registry] Skill "${skill.name}" not initialized, initializing now`);
+        await skill.initialize();
+      }
+
+      // Refuse senders whose role lacks the command's permission
+      const denial = this._checkAccess(skill, normalizedCommand, context);
+      if (denial) return denial;
+
+      // Validate schema arguments before dispatch (regex commands pass through)
+      let execContext = this._withIdentity(context);
+      if (typeof skill.parseArgs === 'function') {
+        const invocation = skill.parseArgs(normalizedCommand);
+        if (invocation.error) {
+          this.emit('usageError', { skill: skill.name, command: normalizedCommand, error: invocation.error });
           return {
-            ...result,
+            ...skill.usageError(invocation.definition, invocation.error),
             skill: skill.name,
-            handled: true  // Flag for webhook handler
+            handled: true
           };
         }
-      } catch (error) {
-        console.error(`[Registry] Error executing skill "${skill.name}":`, error);
-        this.emit('skillError', { name: skill.name, error, phase: 'execute', command: normalizedCommand });
-
-        return {
-          success: false,
-          message: `Error executing command: ${error.message}`,
-          skill: skill.name,
-          error: error.message
-        };
+        if (invocation.command) {
+          execContext = { ...execContext, invocation: { command: invocation.command, args: invocation.args } };
+        }
       }
+
+      // Execute the skill
+      this.emit('beforeExecute', { skill: skill.name, command: normalizedCommand, context: execContext });
+
+      const result = await skill.execute(normalizedCommand, execContext);
+
+      this.emit('afterExecute', {
+        skill: skill.name,
+        command: normalizedCommand,
+        context: execContext,
+        result
+      });
+
+      return {
+        ...result,
+        skill: skill.name,
+        handled: true  // Flag for webhook handler
+      };
+    } catch (error) {
+      return this._executeError(skill, normalizedCommand, error);
+    }
+  }
+
+  /**
+   * Check the sender's role against the permission the command declares
+   * (lib/access-control). Denials are emitted as 'accessDenied' and written
+   * to the audit log.
+   * @private
+   * @returns {Object|null} A handled denial result, or null if allowed
+   */
+  _checkAccess(skill, normalizedCommand, context) {
+    let accessControl;
+    try {
+      accessControl = require('../lib/access-control');
+    } catch (error) {
+      return null;
+    }
+
+    const access = accessControl.checkAccess(skill, normalizedCommand, context);
+    if (access.allowed) return null;
+
+    this.emit('accessDenied', { skill: skill.name, command: normalizedCommand, ...access });
+    try {
+      const { auditLogger } = require('../lib/audit-logger');
+      auditLogger.logAccessDenied(access.userId, access.chatId, skill.name, normalizedCommand, {
+        platform: context.platform || null,
+        role: access.role,
+        permission: access.permission
+      });
+    } catch (error) {
+      console.error('[Registry] Failed to audit access denial:', error.message);
     }
 
-    // No skill found to handle the command
     return {
       success: false,
-      message: 'No skill available to handle this command',
-      skill: null
+      message: accessControl.formatDenial(access, skill.name),
+      skill: skill.name,
+      handled: true,
+      denied: true
+    };
+  }
+
+  /**
+   * Set context.from - the sender skills keep their data under - to the
+   * canonical ID of the sender's linked identity (lib/database), so facts,
+   * goals and budgets saved on one platform are found on the others.
+   * The platform account itself stays in context.accountId; chat-scoped
+   * fields (chatId, userId) are left as they are.
+   * @private
+   */
+  _withIdentity(context) {
+    const sender = context.from || context.userId;
+    if (!sender) return context;
+
+    const accountId = context.accountId || String(sender);
+    try {
+      const db = require('../lib/database');
+      return { ...context, accountId, from: db.resolveUserId(accountId) };
+    } catch (error) {
+      return { ...context, accountId, from: accountId };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _executeError(skill, normalizedCommand, error) {
+    console.error(`[Registry] Error executing skill "${skill.name}":`, error);
+    this.emit('skillError', { name: skill.name, error, phase: 'execute', command: normalizedCommand });
+
+    return {
+      success: false,
+      message: `Error executing command: ${error.message}`,
+      skill: skill.name,
+      error: error.message
     };
   }
 
+  /**
+   * Check whether a skill may run in the chat a command came from
+   * Per-chat overrides live in lib/chat-registry; missing chat info means enabled.
+   * @param {string} skillName - Name of the skill
+   * @param {Object} context - Execution context (chatId/userId/from)
+   * @returns {boolean}
+   */
+  isEnabledForChat(skillName, context = {}) {
+    const chatId = context.chatId || context.userId || context.from;
+    if (!chatId) return true;
+
+    try {
+      const chatRegistry = require('../lib/chat-registry');
+      return chatRegistry.isSkillEnabledForChat(chatId, skillName);
+    } catch (error) {
+      return true;
+    }
+  }
+
   /**
    * List all registered skills
    * @returns {Array<{name: string, description: string, commands: Array, priority: number}>}
@@ -309,7 +474,7 @@ class SkillRegistry extends EventEmitter {
       'Accountancy': ['deadlines', 'companies', 'governance', 'intercompany', 'receipts'],
       'Productivity': ['digest', 'overnight', 'tasks', 'memory', 'reminders', 'morning-brief'],
       'Social': ['moltbook'],
-      'System': ['help', 'voice', 'vercel', 'research', 'remote-exec']
+      'System': ['help', 'skill-manager', 'voice', 'vercel', 'research', 'remote-exec']
     };
 
     let docs = '';
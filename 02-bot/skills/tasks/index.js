@@ -46,12 +46,14 @@ class TasksSkill extends BaseSkill {
     {
       pattern: /^delete\s+task\s+(\d+)$/i,
       description: 'Delete a task',
-      usage: 'delete task <number>'
+      usage: 'delete task <number>',
+      destructive: true
     },
     {
       pattern: /^clear\s+completed$/i,
       description: 'Remove all completed tasks',
-      usage: 'clear completed'
+      usage: 'clear completed',
+      destructive: true
     }
   ];
 
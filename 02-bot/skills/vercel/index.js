@@ -19,6 +19,7 @@ class VercelSkill extends BaseSkill {
   name = 'vercel';
   description = 'Vercel deployment management - deploy, check status, list projects';
   priority = 10;
+  permission = 'dev';
 
   commands = [
     {
@@ -29,7 +30,8 @@ class VercelSkill extends BaseSkill {
     {
       pattern: /^deploy\s+(\S+)$/i,
       description: 'Trigger a deployment for a project',
-      usage: 'deploy <project>'
+      usage: 'deploy <project>',
+      destructive: true
     },
     {
       pattern: /^list\s+deployments?\s+(\S+)$/i,
@@ -0,0 +1,348 @@
+/**
+ * Slack Bot Handler for ClawdBot
+ * Events API (incoming) + Web API (outgoing), mirroring telegram-handler.js
+ *
+ * Key Differences from Telegram/WhatsApp:
+ * =======================================
+ * - Transport: Slack POSTs events to /slack (Events API) and button clicks as
+ *              form-encoded "payload" (interactivity). Replies go out through
+ *              the Web API (chat.postMessage / chat.update) with a bot token.
+ * - Security: every request is signed with the app's signing secret
+ *             (X-Slack-Signature over "v0:{timestamp}:{raw body}")
+ * - IDs: channels are C.../G... (DMs are D...), users are U.../W...
+ * - Threads: replies go into the thread of the message that triggered them.
+ *            The recipient string carries the thread: "C0123ABCD:1712345678.000100"
+ * - Formatting: Slack mrkdwn - *bold*, _italic_, <url|text> links
+ * - Buttons: Block Kit "actions" blocks built from lib/action-buttons layouts
+ *
+ * Environment Variables:
+ * ----------------------
+ * - SLACK_BOT_TOKEN: Bot token (xoxb-...) for the Web API (required to send)
+ * - SLACK_SIGNING_SECRET: Signing secret for request verification (required to receive)
+ * - SLACK_AUTHORIZED_USERS: Comma-separated Slack user IDs allowed to use the bot
+ * - SLACK_AUTHORIZED_CHANNELS: Comma-separated channel IDs where anyone may use it
+ *
+ * Usage:
+ * ------
+ * const { getSlackHandler } = require('./slack-handler');
+ * const slack = getSlackHandler();
+ *
+ * if (slack.isAvailable()) {
+ *     await slack.sendMessage('C0123ABCD:1712345678.000100', 'Reply in thread');
+ * }
+ */
+
+const crypto = require('crypto');
+
+// Message limits (Slack accepts ~40k chars, but long messages are truncated in clients)
+const MESSAGE_LIMITS = {
+    SLACK: 4000,          // Recommended max for a chat.postMessage text
+    SECTION_TEXT: 3000,   // Block Kit section text limit
+    BUTTON_TEXT: 75,      // Block Kit button label limit
+    ACTION_VALUE: 2000    // Block Kit button value limit
+};
+
+// Requests older than this are rejected (replay protection)
+const SIGNATURE_MAX_AGE_SECONDS = 60 * 5;
+
+const SLACK_API_URL = 'https://slack.com/api';
+
+class SlackHandler {
+    /**
+     * Initialize Slack handler with bot token and signing secret
+     */
+    constructor() {
+        this.token = process.env.SLACK_BOT_TOKEN || null;
+        this.signingSecret = process.env.SLACK_SIGNING_SECRET || null;
+        this.botUserId = null;
+        this.webhookPath = '/slack';
+
+        if (!this.token) {
+            console.log('⚠️  Slack not configured (add SLACK_BOT_TOKEN to .env)');
+        }
+    }
+
+    /**
+     * Check if Slack is available/configured for sending
+     * @returns {boolean} True if a bot token is set
+     */
+    isAvailable() {
+        return !!this.token;
+    }
+
+    /**
+     * Get the webhook path for Express route setup
+     * @returns {string} The webhook path (default: '/slack')
+     */
+    getWebhookPath() {
+        return this.webhookPath;
+    }
+
+    // ============================================================
+    // REQUEST VERIFICATION
+    // ============================================================
+
+    /**
+     * Verify a Slack request signature
+     * @param {string} rawBody - Raw request body, exactly as received
+     * @param {string} timestamp - X-Slack-Request-Timestamp header
+     * @param {string} signature - X-Slack-Signature header ("v0=...")
+     * @param {number} [now] - Current time in seconds (for tests)
+     * @returns {boolean} True if the request came from Slack
+     */
+    verifySignature(rawBody, timestamp, signature, now = Math.floor(Date.now() / 1000)) {
+        if (!this.signingSecret || !timestamp || !signature || rawBody === undefined) {
+            return false;
+        }
+
+        const age = Math.abs(now - parseInt(timestamp, 10));
+        if (!Number.isFinite(age) || age > SIGNATURE_MAX_AGE_SECONDS) {
+            console.log('[Slack] Rejected request with stale timestamp');
+            return false;
+        }
+
+        const expected = 'v0=' + crypto
+            .createHmac('sha256', this.signingSecret)
+            .update(`v0:${timestamp}:${rawBody}`)
+            .digest('hex');
+
+        const a = Buffer.from(expected);
+        const b = Buffer.from(String(signature));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    /**
+     * Verify an Express request (needs req.rawBody from the body parser)
+     * @param {Object} req - Express request
+     * @returns {boolean} True if the signature is valid
+     */
+    verifyRequest(req) {
+        return this.verifySignature(
+            req.rawBody,
+            req.headers['x-slack-request-timestamp'],
+            req.headers['x-slack-signature']
+        );
+    }
+
+    /**
+     * Check if a Slack user/channel may use the bot
+     * Allowed when the user is listed in SLACK_AUTHORIZED_USERS or the
+     * channel in SLACK_AUTHORIZED_CHANNELS. Nothing configured denies all.
+     *
+     * @param {string} channelId - Slack channel ID
+     * @param {string} userId - Slack user ID of the sender
+     * @returns {boolean} True if authorized
+     */
+    isAuthorized(channelId, userId) {
+        const list = name => (process.env[name] || '').split(',').map(id => id.trim()).filter(Boolean);
+
+        if (userId && list('SLACK_AUTHORIZED_USERS').includes(String(userId))) {
+            return true;
+        }
+        return !!channelId && list('SLACK_AUTHORIZED_CHANNELS').includes(String(channelId));
+    }
+
+    // ============================================================
+    // RECIPIENTS & FORMATTING
+    // ============================================================
+
+    /**
+     * Build a recipient string for a channel, optionally inside a thread
+     * @param {string} channel - Slack channel ID
+     * @param {string} [threadTs] - Thread timestamp to reply in
+     * @returns {string} "C0123ABCD" or "C0123ABCD:1712345678.000100"
+     */
+    static formatRecipient(channel, threadTs = null) {
+        return threadTs ? `${channel}:${threadTs}` : String(channel);
+    }
+
+    /**
+     * Split a recipient string into channel and thread
+     * @param {string} recipient - Recipient from formatRecipient (may have a "slack:" prefix)
+     * @returns {{channel: string, threadTs: string|null}}
+     */
+    static parseRecipient(recipient) {
+        const value = String(recipient || '').replace(/^slack:/, '');
+        const [channel, threadTs] = value.split(':');
+        return { channel, threadTs: threadTs || null };
+    }
+
+    /**
+     * Convert the bot's Markdown to Slack mrkdwn
+     * Replies are written for Telegram (*bold*, _italic_), which Slack shares;
+     * only **bold** and [text](url) links need converting.
+     * @param {string} text - Message text
+     * @returns {string} mrkdwn text
+     */
+    static toMrkdwn(text) {
+        return String(text || '')
+            .replace(/\*\*(.+?)\*\*/g, '*$1*')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<$2|$1>');
+    }
+
+    /**
+     * Convert Slack's incoming markup to plain text for the skill pipeline
+     * Drops the leading @bot mention ("@ClawdBot deploy" -> "deploy"), unwraps
+     * <url|label> links and <#C123|channel> refs, and unescapes entities.
+     * @param {string} text - Raw Slack message text
+     * @returns {string} Plain text
+     */
+    static fromMrkdwn(text) {
+        return String(text || '')
+            .replace(/^(\s*<@[A-Z0-9]+(\|[^>]*)?>[\s,:]*)+/, '')
+            .replace(/<@([A-Z0-9]+)\|([^>]+)>/g, '@$2')
+            .replace(/<@([A-Z0-9]+)>/g, '@$1')
+            .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+            .replace(/<(https?:[^|>]+)\|[^>]+>/g, '$1')
+            .replace(/<(https?:[^>]+)>/g, '$1')
+            .replace(/<mailto:[^|>]+\|([^>]+)>/g, '$1')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    // ============================================================
+    // SENDING (Web API)
+    // ============================================================
+
+    /**
+     * Call a Slack Web API method
+     * @param {string} method - API method (e.g. 'chat.postMessage')
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object>} API response
+     * @throws {Error} If Slack answers ok: false
+     */
+    async callApi(method, body) {
+        const axios = require('axios');
+        const response = await axios.post(`${SLACK_API_URL}/${method}`, body, {
+            headers: {
+                Authorization: `Bearer ${this.token}`,
+                'Content-Type': 'application/json; charset=utf-8'
+            },
+            timeout: 10000
+        });
+
+        if (!response.data || !response.data.ok) {
+            throw new Error(`Slack ${method} failed: ${response.data?.error || 'unknown error'}`);
+        }
+        return response.data;
+    }
+
+    /**
+     * Send a text message, in the thread the recipient points at
+     * @param {string} recipient - Channel ID, or "channel:threadTs"
+     * @param {string} text - Message text (bot Markdown)
+     * @param {Object} [options] - Extra chat.postMessage fields (e.g. blocks)
+     * @returns {Promise<Object|null>} Slack response ({ ts, channel }) or null if failed
+     */
+    async sendMessage(recipient, text, options = {}) {
+        if (!this.token) {
+            console.log('[Mock] Would send Slack:', String(text).substring(0, 50) + '...');
+            return null;
+        }
+
+        const { channel, threadTs } = SlackHandler.parseRecipient(recipient);
+
+        try {
+            const result = await this.callApi('chat.postMessage', {
+                channel,
+                text: SlackHandler.toMrkdwn(text),
+                mrkdwn: true,
+                unfurl_links: false,
+                ...(threadTs ? { thread_ts: threadTs } : {}),
+                ...options
+            });
+
+            console.log(`[${new Date().toISOString()}] Slack message sent to ${channel}${threadTs ? ` (thread ${threadTs})` : ''}`);
+            return result;
+        } catch (error) {
+            console.error('Error sending Slack message:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Send a message with Block Kit buttons
+     * @param {string} recipient - Channel ID, or "channel:threadTs"
+     * @param {string} text - Message text (also the notification fallback)
+     * @param {Array} buttons - Inline keyboard rows (see lib/action-buttons)
+     * @returns {Promise<Object|null>} Slack response or null if failed
+     */
+    async sendMessageWithButtons(recipient, text, buttons) {
+        if (!Array.isArray(buttons) || buttons.length === 0) {
+            return this.sendMessage(recipient, text);
+        }
+
+        const ActionButtons = require('./lib/action-buttons');
+        return this.sendMessage(recipient, text, {
+            blocks: ActionButtons.toBlockKit(SlackHandler.toMrkdwn(text), buttons)
+        });
+    }
+
+    /**
+     * Replace an existing message (button clicks update the message they came from)
+     * @param {string} channel - Slack channel ID
+     * @param {string} ts - Timestamp of the message to update
+     * @param {string} text - New text
+     * @param {Array|null} [buttons] - New button rows (null/undefined removes them)
+     * @returns {Promise<Object|null>} Slack response or null if failed
+     */
+    async editMessage(channel, ts, text, buttons = undefined) {
+        if (!this.token) return null;
+
+        const ActionButtons = require('./lib/action-buttons');
+        const mrkdwn = SlackHandler.toMrkdwn(text);
+
+        try {
+            return await this.callApi('chat.update', {
+                channel,
+                ts,
+                text: mrkdwn,
+                blocks: ActionButtons.toBlockKit(mrkdwn, buttons || [])
+            });
+        } catch (error) {
+            console.error('Error editing Slack message:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Look up the bot's own user ID (to ignore its own messages and mentions)
+     * @returns {Promise<string|null>} Bot user ID
+     */
+    async getBotUserId() {
+        if (this.botUserId || !this.token) return this.botUserId;
+
+        try {
+            const auth = await this.callApi('auth.test', {});
+            this.botUserId = auth.user_id || null;
+        } catch (error) {
+            console.error('[Slack] auth.test failed:', error.message);
+        }
+        return this.botUserId;
+    }
+}
+
+// ============================================================================
+// Singleton Pattern (mirrors telegram-handler.js)
+// ============================================================================
+
+let slackHandlerInstance = null;
+
+/**
+ * Get or create the Slack handler singleton
+ * @returns {SlackHandler} The singleton instance
+ */
+function getSlackHandler() {
+    if (!slackHandlerInstance) {
+        slackHandlerInstance = new SlackHandler();
+    }
+    return slackHandlerInstance;
+}
+
+module.exports = {
+    SlackHandler,
+    getSlackHandler,
+    MESSAGE_LIMITS
+};
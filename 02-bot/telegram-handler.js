@@ -380,6 +380,8 @@ class TelegramHandler {
                 // Core message info
                 text: message.text || message.caption || '',
                 userId,
+                // Who sent it - differs from the chat in groups (roles are per person)
+                senderId: message.from?.id?.toString(),
                 chatId,
                 platform: 'telegram',
 
@@ -527,14 +529,15 @@ class TelegramHandler {
      * Handles photos, documents, audio, video, and voice
      *
      * @param {number|string} chatId - Telegram chat ID
-     * @param {string} mediaUrl - URL or file_id of the media to send
+     * @param {string|Object} mediaUrl - URL or file_id of the media to send, or a
+     *   Telegraf input file ({ source: Buffer|path, filename })
      * @param {string} [mediaType='photo'] - Type: 'photo', 'document', 'audio', 'video', 'voice'
      * @param {string} [caption=''] - Optional caption (max 1024 chars)
      * @returns {Promise<Object|null>} Message result or null if failed
      */
     async sendMediaMessage(chatId, mediaUrl, mediaType = 'photo', caption = '') {
         if (!this.bot) {
-            console.log('[Mock] Would send Telegram media:', mediaType, mediaUrl?.substring(0, 50));
+            console.log('[Mock] Would send Telegram media:', mediaType, mediaUrl?.filename || String(mediaUrl).substring(0, 50));
             return null;
         }
 
@@ -884,35 +887,55 @@ class TelegramHandler {
     }
 
     /**
-     * Edit an existing message's text (useful for updating button messages)
+     * Edit an existing message's text (useful for updating button messages
+     * and progressively streamed replies)
      *
      * @param {number|string} chatId - Chat ID containing the message
      * @param {number} messageId - Message ID to edit
      * @param {string} text - New text content
      * @param {Array} [buttons] - Optional new button layout (null to remove buttons)
+     * @param {Object} [editOptions] - Edit options
+     * @param {boolean} [editOptions.plain=false] - Send without Markdown (partial text may not parse)
      * @returns {Promise<Object|null>} Edited message or null if failed
      */
-    async editMessage(chatId, messageId, text, buttons = undefined) {
+    async editMessage(chatId, messageId, text, buttons = undefined, editOptions = {}) {
         if (!this.bot) return null;
 
-        try {
-            const options = {
-                chat_id: chatId,
-                message_id: messageId,
-                parse_mode: 'Markdown'
-            };
+        const options = {
+            chat_id: chatId,
+            message_id: messageId,
+            disable_web_page_preview: true
+        };
+        if (!editOptions.plain) {
+            options.parse_mode = 'Markdown';
+        }
 
-            // Include buttons if provided, or remove them if explicitly null
-            if (buttons !== undefined) {
-                options.reply_markup = buttons ? { inline_keyboard: buttons } : undefined;
-            }
+        // Include buttons if provided, or remove them if explicitly null
+        if (buttons !== undefined) {
+            options.reply_markup = buttons ? { inline_keyboard: buttons } : undefined;
+        }
 
+        try {
             return await this.bot.telegram.editMessageText(chatId, messageId, null, text, options);
         } catch (error) {
             // Ignore "message is not modified" errors
-            if (!error.message?.includes('not modified')) {
-                console.error('Error editing Telegram message:', error.message);
+            if (error.message?.includes('not modified')) {
+                return null;
             }
+
+            // Handle markdown parse errors by retrying without markdown
+            if (options.parse_mode && (error.message?.includes('parse') || error.message?.includes('Can\'t parse'))) {
+                try {
+                    console.log('[Telegram] Markdown parse failed on edit, retrying as plain text');
+                    const { parse_mode, ...plainOptions } = options;
+                    return await this.bot.telegram.editMessageText(chatId, messageId, null, text, plainOptions);
+                } catch (retryError) {
+                    console.error('Error editing Telegram message (retry):', retryError.message);
+                    return null;
+                }
+            }
+
+            console.error('Error editing Telegram message:', error.message);
             return null;
         }
     }
@@ -0,0 +1,456 @@
+/**
+ * Agent Loop Test Suite
+ *
+ * Tests for agent mode (lib/agent-loop): skills exposed as tools, the
+ * model/tool loop with a scripted model, the step budget, AI budget checks,
+ * destructive commands pausing for confirmation and resuming, the registry's
+ * executeSkill() and the local provider's scripted tool-use turns.
+ *
+ * Run with: node 02-bot/tests/agent-loop.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Offline providers, isolated SQLite
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-agent-'));
+process.env.AI_PROVIDER_MODE = 'local';
+process.env.AI_LOCAL_RULES = '';
+process.env.CACHE_ENABLED = 'false';
+
+const BaseSkill = require('../skills/base-skill');
+const { SkillRegistry } = require('../skills/skill-registry');
+const LocalHandler = require('../ai-providers/local-handler');
+const agentLoop = require('../lib/agent-loop');
+const { formatConfirmationRequest, requiresConfirmation } = require('../lib/confirmation-manager');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+/**
+ * Fake skills - a read-only lookup and one with a destructive command
+ */
+class WeatherSkill extends BaseSkill {
+  name = 'weather';
+  description = 'Weather lookups';
+  commands = [
+    { pattern: /^weather\s+(.+)$/i, description: 'Current weather', usage: 'weather <city>' }
+  ];
+
+  async execute(command) {
+    const city = command.replace(/^weather\s+/i, '');
+    return this.success(`${city}: 12C, light rain`);
+  }
+}
+
+class DeployerSkill extends BaseSkill {
+  name = 'deployer';
+  description = 'Deploy projects';
+  calls = [];
+  commands = [
+    { pattern: /^deploy\s+status\s+(\S+)$/i, description: 'Deployment status', usage: 'deploy status <project>' },
+    { pattern: /^deploy\s+(\S+)$/i, description: 'Deploy a project', usage: 'deploy <project>', destructive: true }
+  ];
+
+  async execute(command) {
+    this.calls.push(command);
+    if (/^deploy\s+status/i.test(command)) {
+      return this.success('Last deploy: 2 hours ago');
+    }
+    if (/broken/i.test(command)) {
+      return this.error('Deploy failed', 'build error');
+    }
+    return this.success(`Deployed ${command.split(/\s+/)[1]}`);
+  }
+}
+
+class ShellSkill extends BaseSkill {
+  name = 'shell';
+  description = 'Run shell commands';
+  destructive = true;
+  commands = [
+    { pattern: /^sh\s+(.+)$/i, description: 'Run a command', usage: 'sh <cmd>' },
+    { pattern: /^sh-help$/i, description: 'Show help', usage: 'sh-help', destructive: false }
+  ];
+
+  async execute() {
+    return this.success('ok');
+  }
+}
+
+class AgentStub extends BaseSkill {
+  name = 'agent';
+  description = 'Agent mode';
+  commands = [{ pattern: /^agent\s+/i, description: 'Agent', usage: 'agent <request>' }];
+
+  async execute() {
+    return this.success('should never be a tool');
+  }
+}
+
+async function buildRegistry() {
+  const registry = new SkillRegistry();
+  const deployer = new DeployerSkill();
+  for (const skill of [new WeatherSkill(), deployer, new ShellSkill(), new AgentStub()]) {
+    await skill.initialize();
+    registry.register(skill);
+  }
+  return { registry, deployer };
+}
+
+/**
+ * Scripted model: each turn returns the next entry
+ * An entry is a string (final text) or {tool, command} / [{tool, command}, ...]
+ */
+function scriptedModel(turns) {
+  const requests = [];
+  let toolId = 0;
+  const callModel = async (params) => {
+    requests.push(JSON.parse(JSON.stringify(params)));
+    const turn = turns[requests.length - 1];
+    if (turn === undefined || typeof turn === 'string') {
+      return { content: [{ type: 'text', text: turn || 'done' }], stopReason: 'end_turn', tokens: 50, cost: 0.001, model: 'scripted' };
+    }
+    const calls = Array.isArray(turn) ? turn : [turn];
+    return {
+      content: calls.map(call => ({ type: 'tool_use', id: `tool_${++toolId}`, name: call.tool, input: { command: call.command } })),
+      stopReason: 'tool_use',
+      tokens: 50,
+      cost: 0.001,
+      model: 'scripted'
+    };
+  };
+  callModel.requests = requests;
+  return callModel;
+}
+
+/**
+ * Destructive flags on skills and commands
+ */
+async function testDestructiveFlags() {
+  printHeader('Destructive Flags');
+
+  const deployer = new DeployerSkill();
+  const shell = new ShellSkill();
+  const weather = new WeatherSkill();
+
+  check('Flags', 'Command flag marks a command destructive', deployer.isDestructive('deploy web') === true);
+  check('Flags', 'Unflagged command on the same skill is safe', deployer.isDestructive('deploy status web') === false);
+  check('Flags', 'Skill-level flag covers its commands', shell.isDestructive('sh ls') === true);
+  check('Flags', 'Command flag overrides the skill-level flag', shell.isDestructive('sh-help') === false);
+  check('Flags', 'Skills are safe by default', weather.isDestructive('weather Leeds') === false);
+
+  const meta = deployer.getMetadata();
+  check('Flags', 'getMetadata() reports destructive commands',
+    meta.destructive === false && meta.commands[1].destructive === true && meta.commands[0].destructive === false, meta);
+
+  // Commands that delete data or change who can do what pause the agent
+  const deleting = [
+    ['memory', 'forget my dog'], ['memory', 'clear memory'],
+    ['tasks', 'delete task 3'], ['tasks', 'clear completed'],
+    ['overnight', 'clear queue'], ['queue', 'queue retry k3j9x2ab'],
+    ['access', 'access grant viewer to 1003'], ['access', 'access revoke 1003'],
+    ['skill-manager', 'skill disable weather'], ['goals', 'goal delete 4'],
+    ['receipts', 'delete expense #12'], ['receipts', 'budget delete food'], ['receipts', 'recurring delete #2'],
+    ['chat-management', 'unregister chat'], ['autonomous-config', 'config reset'], ['identity', 'unlink account']
+  ];
+  const unflagged = deleting.filter(([name, command]) => !new (require(`../skills/${name}`))().isDestructive(command));
+  check('Flags', 'Deleting and access-changing commands are destructive', unflagged.length === 0, unflagged);
+  check('Flags', 'Their read-only neighbours are not',
+    !new (require('../skills/memory'))().isDestructive('my facts') && !new (require('../skills/access'))().isDestructive('access list'));
+
+  check('Flags', 'agent_step always requires confirmation', requiresConfirmation('agent_step') === true);
+  const prompt = formatConfirmationRequest('agent_step', { skill: 'deployer', command: 'deploy web' });
+  check('Flags', 'Confirmation prompt names the command', /deploy web/.test(prompt) && /deployer/.test(prompt), prompt);
+}
+
+/**
+ * SkillRegistry.executeSkill()
+ */
+async function testExecuteSkill() {
+  printHeader('Registry executeSkill');
+
+  const { registry } = await buildRegistry();
+
+  const ok = await registry.executeSkill('weather', 'weather Leeds');
+  check('Registry', 'Runs the named skill', ok.success && ok.skill === 'weather' && /Leeds/.test(ok.message), ok);
+
+  const unknown = await registry.executeSkill('nope', 'anything');
+  check('Registry', 'Unknown skill is an error', !unknown.success && /Unknown skill/.test(unknown.message), unknown);
+
+  const mismatch = await registry.executeSkill('weather', 'deploy web');
+  check('Registry', 'Command the skill does not handle is an error',
+    !mismatch.success && /does not understand/.test(mismatch.message), mismatch);
+
+  let routed = null;
+  registry.once('afterExecute', event => { routed = event; });
+  await registry.executeSkill('deployer', 'deploy status web');
+  check('Registry', 'Emits afterExecute like route()', routed && routed.skill === 'deployer', routed);
+}
+
+/**
+ * Tools built from the registry
+ */
+async function testTools() {
+  printHeader('Tool Definitions');
+
+  const { registry } = await buildRegistry();
+  const tools = agentLoop.buildTools(registry);
+  const names = tools.map(tool => tool.name);
+
+  check('Tools', 'One tool per skill', names.includes('weather') && names.includes('deployer') && names.includes('shell'), names);
+  check('Tools', 'Agent skill is not a tool', !names.includes('agent'), names);
+
+  const deployer = tools.find(tool => tool.name === 'deployer');
+  check('Tools', 'Description lists usages and marks destructive ones',
+    /deploy status <project>/.test(deployer.description) && /deploy <project> - Deploy a project \[needs confirmation\]/.test(deployer.description),
+    deployer.description);
+  check('Tools', 'Input schema takes a command string',
+    deployer.input_schema.required[0] === 'command' && deployer.input_schema.properties.command.type === 'string');
+}
+
+/**
+ * The model/tool loop
+ */
+async function testLoop() {
+  printHeader('Agent Loop');
+
+  const { registry } = await buildRegistry();
+
+  const model = scriptedModel([
+    [{ tool: 'weather', command: 'weather London' }, { tool: 'deployer', command: 'deploy status web' }],
+    'Rainy in London; web was deployed 2 hours ago.'
+  ]);
+  const result = await agentLoop.run('weather and deploy status', {}, { registry, callModel: model, budget: null });
+
+  check('Loop', 'Returns the final answer', result.success && /Rainy in London/.test(result.message), result);
+  check('Loop', 'Counts model turns as steps', result.steps === 2, result.steps);
+  check('Loop', 'Records every tool call', result.tools.length === 2 && result.tools.every(t => t.success), result.tools);
+
+  const second = model.requests[1].messages;
+  const toolResults = second[second.length - 1].content;
+  check('Loop', 'Tool results are fed back in one user turn',
+    toolResults.length === 2 && toolResults[0].tool_use_id === 'tool_1' && /12C/.test(toolResults[0].content), toolResults);
+
+  const failing = scriptedModel([{ tool: 'weather', command: 'deploy web' }, 'Sorry']);
+  await agentLoop.run('bad call', {}, { registry, callModel: failing, budget: null });
+  const errorBlock = failing.requests[1].messages[2].content[0];
+  check('Loop', 'Failed tool calls come back with is_error', errorBlock.is_error === true, errorBlock);
+
+  const looping = scriptedModel(Array(10).fill({ tool: 'weather', command: 'weather Paris' }));
+  const stopped = await agentLoop.run('loop forever', {}, { registry, callModel: looping, budget: null, maxSteps: 3 });
+  check('Loop', 'Stops at the step budget',
+    !stopped.success && stopped.stopped && stopped.steps === 3 && looping.requests.length === 3, stopped);
+
+  const original = process.env.AGENT_MAX_STEPS;
+  process.env.AGENT_MAX_STEPS = '4';
+  check('Loop', 'AGENT_MAX_STEPS sets the default budget', agentLoop.getMaxSteps() === 4);
+  process.env.AGENT_MAX_STEPS = 'abc';
+  check('Loop', 'Invalid AGENT_MAX_STEPS falls back to 6', agentLoop.getMaxSteps() === agentLoop.DEFAULT_MAX_STEPS);
+  if (original === undefined) delete process.env.AGENT_MAX_STEPS; else process.env.AGENT_MAX_STEPS = original;
+}
+
+/**
+ * Destructive calls pause for confirmation
+ */
+async function testConfirmation() {
+  printHeader('Confirmation Gating');
+
+  const { registry, deployer } = await buildRegistry();
+
+  const model = scriptedModel([
+    [{ tool: 'weather', command: 'weather Leeds' }, { tool: 'deployer', command: 'deploy web' }],
+    'Deployed web; Leeds is rainy.'
+  ]);
+  const options = { registry, callModel: model, budget: null };
+  const paused = await agentLoop.run('check weather then deploy web', { userId: 'u1' }, options);
+
+  check('Confirm', 'Run pauses at the destructive call',
+    paused.needsApproval && paused.approvalData.action === 'agent_step' &&
+    paused.approvalData.skill === 'deployer' && paused.approvalData.command === 'deploy web', paused);
+  check('Confirm', 'Destructive command has not run', !deployer.calls.includes('deploy web'), deployer.calls);
+  check('Confirm', 'Safe calls before it already ran', /weather: weather Leeds/.test(paused.message), paused.message);
+  check('Confirm', 'Paused run is kept', agentLoop.hasPendingRun(paused.approvalData.runId));
+
+  const resumed = await agentLoop.resume(paused.approvalData.runId, options);
+  check('Confirm', 'Resume runs the approved call', deployer.calls.includes('deploy web'), deployer.calls);
+  check('Confirm', 'Resume continues to the final answer',
+    resumed.success && /Deployed web/.test(resumed.message) && resumed.tools.length === 2, resumed);
+  check('Confirm', 'Finished run is dropped', !agentLoop.hasPendingRun(paused.approvalData.runId));
+
+  const expired = await agentLoop.resume(paused.approvalData.runId, options);
+  check('Confirm', 'Resuming an unknown run fails cleanly', !expired.success && /expired/.test(expired.message), expired);
+
+  const twice = scriptedModel([
+    { tool: 'deployer', command: 'deploy api' },
+    { tool: 'deployer', command: 'deploy web' },
+    'Both deployed'
+  ]);
+  const first = await agentLoop.run('deploy both', {}, { registry, callModel: twice, budget: null });
+  const second = await agentLoop.resume(first.approvalData.runId, { registry, callModel: twice, budget: null });
+  check('Confirm', 'Each destructive call needs its own approval',
+    second.needsApproval && second.approvalData.command === 'deploy web' && second.approvalData.runId === first.approvalData.runId, second);
+
+  check('Confirm', 'cancel() drops a paused run',
+    agentLoop.cancel(second.approvalData.runId) && !agentLoop.hasPendingRun(second.approvalData.runId));
+}
+
+/**
+ * AI budget checks per turn
+ */
+async function testBudget() {
+  printHeader('AI Budget');
+
+  const { registry } = await buildRegistry();
+  const recorded = [];
+  let status = 'ok';
+  const budget = {
+    check: () => ({ status, costStatus: status, tokenStatus: 'ok', breaches: [] }),
+    recordUsage: (usage) => recorded.push(usage),
+    budgetExceededError: () => Object.assign(new Error('AI budget exceeded'), { code: 'AI_BUDGET_EXCEEDED' })
+  };
+
+  const model = scriptedModel([{ tool: 'weather', command: 'weather Rome' }, 'Sunny']);
+  await agentLoop.run('weather rome', { userId: 'u2', chatId: 'c2' }, { registry, callModel: model, budget });
+  check('Budget', 'Usage recorded for every turn',
+    recorded.length === 2 && recorded[0].userId === 'u2' && recorded[0].chatId === 'c2' && recorded[0].cost === 0.001, recorded);
+
+  status = 'hard';
+  let error = null;
+  try {
+    await agentLoop.run('weather rome', { userId: 'u2' }, { registry, callModel: scriptedModel(['x']), budget });
+  } catch (e) {
+    error = e;
+  }
+  check('Budget', 'Hard limit refuses the run', error && error.code === 'AI_BUDGET_EXCEEDED', error && error.message);
+}
+
+/**
+ * LocalHandler.createMessage scripted tool turns
+ */
+async function testLocalProvider() {
+  printHeader('Local Provider Tool Use');
+
+  const local = new LocalHandler({
+    standIn: 'claude',
+    rules: {
+      rules: [
+        { match: 'rain', tools: [{ name: 'weather', command: 'weather Leeds' }], response: 'Forecast: {toolResult}' }
+      ]
+    }
+  });
+  const { registry } = await buildRegistry();
+
+  const result = await agentLoop.run('will it rain?', {}, {
+    registry,
+    budget: null,
+    callModel: params => local.createMessage(params)
+  });
+  check('Local', 'Scripted tool call runs through the loop',
+    result.success && /^Forecast: .*Leeds: 12C, light rain$/.test(result.message) && result.steps === 2, result);
+
+  const unmatched = await local.createMessage({ messages: [{ role: 'user', content: 'hello' }], tools: [] });
+  check('Local', 'Unmatched prompt returns plain text',
+    unmatched.stopReason === 'end_turn' && unmatched.content[0].type === 'text', unmatched);
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Agent Loop Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await testDestructiveFlags();
+    await testExecuteSkill();
+    await testTools();
+    await testLoop();
+    await testConfirmation();
+    await testBudget();
+    await testLocalProvider();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,337 @@
+/**
+ * AI Budget Test Suite
+ *
+ * Tests for per-user, per-chat and per-provider AI spend caps: limit
+ * storage, soft/hard verdicts, router downgrade and refusal (using the
+ * offline provider with simulated costs), summaries and the
+ * "ai budget" commands.
+ *
+ * Run with: node 02-bot/tests/ai-budget.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite database, offline providers, no cached responses
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-budget-'));
+process.env.AI_PROVIDER_MODE = 'local';
+process.env.AI_LOCAL_RULES = '';
+process.env.CACHE_ENABLED = 'false';
+
+const aiBudget = require('../lib/ai-budget');
+const { AIProviderRegistry } = require('../ai-providers');
+const AISettingsSkill = require('../skills/ai-settings');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+// Claude costs $1 per call; every other stand-in is free
+const RULES = {
+  rules: [
+    { name: 'paid', match: '.*', provider: 'claude', cost: 1, response: 'claude answer' }
+  ],
+  fallback: '{provider} answer'
+};
+
+/**
+ * Query the registry, returning the error instead of throwing
+ */
+async function tryQuery(registry, query, context) {
+  try {
+    return await registry.processQuery(query, context);
+  } catch (err) {
+    return { error: err };
+  }
+}
+
+/**
+ * Run fn with the free providers removed from the registry
+ */
+async function withoutFreeProviders(registry, fn) {
+  const { groq, local } = registry.providers;
+  delete registry.providers.groq;
+  delete registry.providers.local;
+  try {
+    return await fn();
+  } finally {
+    registry.providers.groq = groq;
+    registry.providers.local = local;
+  }
+}
+
+/**
+ * Test limit storage and verdicts
+ */
+function testLimits() {
+  printHeader('Limits and Verdicts');
+
+  try {
+    let invalid = null;
+    try {
+      aiBudget.setLimit({ scope: 'team', period: 'daily', hard: 5 });
+    } catch (err) {
+      invalid = err.message;
+    }
+    check('Limits', 'Unknown scope is rejected', invalid !== null, invalid);
+
+    const limit = aiBudget.setLimit({ scope: 'user', scopeId: 'alice', period: 'daily', hard: 10 });
+    check('Limits', 'Soft limit defaults to 80% of hard', limit.soft === 8, limit);
+
+    aiBudget.setLimit({ scope: 'user', scopeId: 'alice', period: 'daily', hard: 10, soft: 5 });
+    const stored = aiBudget.getLimits().filter(l => l.scopeId === 'alice');
+    check('Limits', 'Setting a limit again updates it', stored.length === 1 && stored[0].soft === 5, stored);
+
+    check('Limits', 'No usage is ok', aiBudget.check({ userId: 'alice' }).status === 'ok');
+
+    aiBudget.recordUsage({ userId: 'alice', provider: 'claude', tokens: 100, cost: 6 });
+    const soft = aiBudget.check({ userId: 'alice' });
+    check('Limits', 'Past the soft limit is soft', soft.status === 'soft' && soft.costStatus === 'soft', soft);
+
+    aiBudget.recordUsage({ userId: 'alice', provider: 'claude', tokens: 100, cost: 4 });
+    const hard = aiBudget.check({ userId: 'alice' });
+    check('Limits', 'At the hard limit is hard', hard.status === 'hard' && hard.breaches[0].used === 10, hard);
+
+    check('Limits', 'Other users are unaffected', aiBudget.check({ userId: 'bob' }).status === 'ok');
+
+    aiBudget.setLimit({ scope: 'user', period: 'daily', hard: 100 });
+    aiBudget.setLimit({ scope: 'user', scopeId: 'carol', period: 'daily', hard: 1 });
+    aiBudget.recordUsage({ userId: 'carol', provider: 'claude', cost: 2 });
+    check('Limits', 'Specific limit overrides the "*" default',
+      aiBudget.check({ userId: 'carol' }).status === 'hard', aiBudget.check({ userId: 'carol' }));
+    aiBudget.clearLimit({ scope: 'user', period: 'daily' });
+
+    const error = aiBudget.budgetExceededError(hard);
+    check('Limits', 'Refusal error carries code and verdict',
+      error.code === 'AI_BUDGET_EXCEEDED' && /user alice daily spend limit/.test(error.message), error.message);
+  } catch (error) {
+    logResult('Limits', 'Limit storage', 'fail', error.message);
+  }
+}
+
+/**
+ * Test the router's downgrade and refusal
+ */
+async function testRouting() {
+  printHeader('Router Enforcement');
+
+  try {
+    const registry = new AIProviderRegistry();
+    await registry.initialize();
+    for (const provider of Object.values(registry.providers)) {
+      provider.loadRules(RULES);
+    }
+
+    aiBudget.setLimit({ scope: 'user', scopeId: 'dave', period: 'daily', hard: 2 });
+    const ctx = { userId: 'dave', forceProvider: 'claude' };
+
+    const first = await registry.processQuery('design the service', ctx);
+    check('Router', 'Under budget uses the paid provider', first.provider === 'claude' && !first.budgetDowngrade, first);
+
+    const usage = aiBudget.getUsage('user', 'dave', 'daily');
+    check('Router', 'Completed call is recorded', usage.cost === 1 && usage.calls === 1, usage);
+
+    await registry.processQuery('design the service', ctx);
+    const downgraded = await registry.processQuery('design the service', ctx);
+    check('Router', 'Over budget downgrades to Groq',
+      downgraded.provider === 'groq' && downgraded.budgetDowngrade.from === 'claude' &&
+      downgraded.budgetDowngrade.level === 'hard', downgraded);
+
+    const refused = await withoutFreeProviders(registry, () => tryQuery(registry, 'design the service', ctx));
+    check('Router', 'Hard limit refuses when no free provider is left',
+      refused.error && refused.error.code === 'AI_BUDGET_EXCEEDED', refused.error && refused.error.message);
+
+    aiBudget.setLimit({ scope: 'user', scopeId: 'erin', period: 'daily', hard: 10, soft: 1 });
+    aiBudget.recordUsage({ userId: 'erin', provider: 'claude', cost: 1 });
+    const quick = await withoutFreeProviders(registry,
+      () => registry.processQuery('design the service', { userId: 'erin', forceProvider: 'claude' }));
+    check('Router', 'Soft limit without a free provider uses Claude quick tier',
+      quick.provider === 'claude' && quick.tier === 'quick' && quick.budgetDowngrade.level === 'soft', quick);
+
+    aiBudget.setLimit({ scope: 'user', scopeId: 'frank', period: 'daily', metric: 'tokens', hard: 5 });
+    const groqCtx = { userId: 'frank', forceProvider: 'groq' };
+    await registry.processQuery('tell me something', groqCtx);
+    const overTokens = await tryQuery(registry, 'tell me something', groqCtx);
+    check('Router', 'Token limits apply to free providers',
+      overTokens.error && overTokens.error.code === 'AI_BUDGET_EXCEEDED', overTokens);
+
+    aiBudget.setLimit({ scope: 'user', scopeId: 'gina', period: 'daily', hard: 0.5 });
+    aiBudget.recordUsage({ userId: 'gina', provider: 'claude', cost: 1 });
+    const free = await registry.processQuery('tell me something', { userId: 'gina', forceProvider: 'groq' });
+    check('Router', 'Spend limits never block free providers', free.provider === 'groq' && !free.budgetDowngrade, free);
+
+    aiBudget.setLimit({ scope: 'provider', scopeId: 'claude', period: 'monthly', hard: 1000 });
+    aiBudget.setLimit({ scope: 'chat', scopeId: 'team-chat', period: 'daily', hard: 1 });
+    await registry.processQuery('design the service', { userId: 'hank', chatId: 'team-chat', forceProvider: 'claude' });
+    const chatCapped = await registry.processQuery('design the service',
+      { userId: 'hank', chatId: 'team-chat', forceProvider: 'claude' });
+    check('Router', 'Chat limits apply to every member',
+      chatCapped.provider === 'groq' && chatCapped.budgetDowngrade.from === 'claude', chatCapped);
+  } catch (error) {
+    logResult('Router', 'Router enforcement', 'fail', error.message);
+  }
+}
+
+/**
+ * Test summaries and burn rate
+ */
+function testSummary() {
+  printHeader('Summary and Burn Rate');
+
+  try {
+    const summary = aiBudget.getSummary({ userId: 'dave' });
+    const daily = summary.limits.find(l => l.scope === 'user' && l.period === 'daily');
+    check('Summary', 'User limit with usage and percent',
+      summary.status === 'hard' && daily.used === 2 && daily.percent === 100 && daily.level === 'hard', summary.limits);
+
+    const claude = summary.limits.find(l => l.scope === 'provider' && l.scopeId === 'claude');
+    check('Summary', 'Provider limits are included', claude && claude.period === 'monthly' && claude.level === 'ok', claude);
+
+    check('Summary', 'Burn rate covers the user\'s spend',
+      summary.burnRate.lastHour === 2 && summary.burnRate.monthToDate === 2 && summary.burnRate.projectedMonth >= 2,
+      summary.burnRate);
+
+    const today = summary.providers.today;
+    check('Summary', 'Provider breakdown for today', today.claude.cost >= 5 && today.groq.calls >= 3, today);
+  } catch (error) {
+    logResult('Summary', 'Summary', 'fail', error.message);
+  }
+}
+
+/**
+ * Test the "ai budget" commands
+ */
+async function testCommands() {
+  printHeader('AI Budget Commands');
+
+  try {
+    const skill = new AISettingsSkill();
+    const ctx = { userId: 'ivy' };
+
+    const set = await skill.execute('ai budget set me daily 5', ctx);
+    const mine = aiBudget.getLimits().find(l => l.scope === 'user' && l.scopeId === 'ivy');
+    check('Commands', 'ai budget set me daily 5',
+      set.success && mine && mine.hard === 5 && mine.soft === 4, { set, mine });
+
+    const provider = await skill.execute('ai budget set claude monthly 50 soft 40', ctx);
+    const claude = aiBudget.getLimits().find(l => l.scope === 'provider' && l.scopeId === 'claude');
+    check('Commands', 'Provider cap with explicit soft limit',
+      provider.success && claude.hard === 50 && claude.soft === 40, { provider, claude });
+
+    const tokens = await skill.execute('ai budget set me monthly 20000 tokens', ctx);
+    const tokenLimit = aiBudget.getLimits().find(l => l.scopeId === 'ivy' && l.metric === 'tokens');
+    check('Commands', 'Token cap', tokens.success && tokenLimit && tokenLimit.hard === 20000, { tokens, tokenLimit });
+
+    const bad = await skill.execute('ai budget set me weekly 5', ctx);
+    check('Commands', 'Invalid period shows usage', !bad.success && /period/i.test(bad.message), bad);
+
+    const show = await skill.execute('ai budget', ctx);
+    check('Commands', 'ai budget shows limits', show.success && /daily/.test(show.message) && /\$5\.00/.test(show.message), show);
+
+    const cleared = await skill.execute('ai budget clear me daily', ctx);
+    const remaining = aiBudget.getLimits().filter(l => l.scopeId === 'ivy' && l.metric === 'cost');
+    check('Commands', 'ai budget clear me daily', cleared.success && remaining.length === 0, { cleared, remaining });
+
+    const again = await skill.execute('ai budget clear me daily', ctx);
+    check('Commands', 'Clearing a missing cap is an error', !again.success, again);
+  } catch (error) {
+    logResult('Commands', 'AI budget commands', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} AI Budget Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testLimits();
+    await testRouting();
+    testSummary();
+    await testCommands();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,333 @@
+/**
+ * Command Schema Test Suite
+ *
+ * Tests for declarative skill command schemas: argument parsing and type
+ * coercion, usage generation, and validation in the skill registry.
+ *
+ * Run with: node 02-bot/tests/command-schema.test.js
+ */
+
+const { parseArgs, formatUsage, describeArgs, tokenize } = require('../skills/command-schema');
+const BaseSkill = require('../skills/base-skill');
+const { SkillRegistry } = require('../skills/skill-registry');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+// Sample schema commands used across tests
+const CONVERT = {
+  command: 'convert',
+  description: 'Convert currency',
+  args: [
+    { name: 'amount', type: 'number' },
+    { name: 'from', type: 'currency' },
+    'to',
+    { name: 'to', type: 'currency' }
+  ]
+};
+
+const RATES = {
+  command: 'rates',
+  description: 'Show rates',
+  args: ['for', { name: 'base', type: 'currency', optional: true, default: 'USD' }]
+};
+
+const DEPLOY = {
+  command: 'deploy',
+  description: 'Deploy a repo',
+  args: [
+    { name: 'repo', type: 'repo' },
+    { name: 'env', choices: ['staging', 'production'], optional: true, default: 'staging' }
+  ]
+};
+
+const NOTE = {
+  command: 'note add',
+  description: 'Add a note',
+  args: [{ name: 'text', type: 'text' }]
+};
+
+class SchemaSkill extends BaseSkill {
+  name = 'schema-test';
+  commands = [
+    CONVERT,
+    { pattern: /^legacy\s+(\w+)$/i, description: 'Regex command' }
+  ];
+
+  async execute(command, context) {
+    return this.success('ok', { invocation: context.invocation || null });
+  }
+}
+
+/**
+ * Test argument parsing and type coercion
+ */
+async function testParsing() {
+  printHeader('Argument Parsing');
+
+  try {
+    const convert = parseArgs(CONVERT, 'convert 12.50 usd to gbp');
+    if (convert.ok && convert.args.amount === 12.5 && convert.args.from === 'USD' && convert.args.to === 'GBP') {
+      logResult('Parsing', 'Typed args are coerced', 'pass');
+    } else {
+      logResult('Parsing', 'Typed args are coerced', 'fail', JSON.stringify(convert));
+    }
+
+    const rates = parseArgs(RATES, 'rates');
+    if (rates.ok && rates.args.base === 'USD') {
+      logResult('Parsing', 'Optional arg uses default', 'pass');
+    } else {
+      logResult('Parsing', 'Optional arg uses default', 'fail', JSON.stringify(rates));
+    }
+
+    const ratesFor = parseArgs(RATES, 'rates for eur');
+    if (ratesFor.ok && ratesFor.args.base === 'EUR') {
+      logResult('Parsing', 'Optional literal + arg parsed', 'pass');
+    } else {
+      logResult('Parsing', 'Optional literal + arg parsed', 'fail', JSON.stringify(ratesFor));
+    }
+
+    const deploy = parseArgs(DEPLOY, 'deploy giquina/clawd PRODUCTION');
+    if (deploy.ok && deploy.args.repo === 'giquina/clawd' && deploy.args.env === 'production') {
+      logResult('Parsing', 'Repo and choices types', 'pass');
+    } else {
+      logResult('Parsing', 'Repo and choices types', 'fail', JSON.stringify(deploy));
+    }
+
+    const note = parseArgs(NOTE, 'note add "quoted" rest of the line');
+    if (note.ok && note.args.text === 'quoted rest of the line') {
+      logResult('Parsing', 'Multi-word keyword and text arg', 'pass');
+    } else {
+      logResult('Parsing', 'Multi-word keyword and text arg', 'fail', JSON.stringify(note));
+    }
+
+    const tokens = tokenize('say "hello world" now');
+    if (tokens.length === 3 && tokens[1] === 'hello world') {
+      logResult('Parsing', 'Quoted tokens kept together', 'pass');
+    } else {
+      logResult('Parsing', 'Quoted tokens kept together', 'fail', JSON.stringify(tokens));
+    }
+  } catch (error) {
+    logResult('Parsing', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test validation errors
+ */
+async function testValidation() {
+  printHeader('Validation Errors');
+
+  try {
+    const missing = parseArgs(CONVERT, 'convert 10 usd to');
+    if (!missing.ok && missing.error === 'Missing to') {
+      logResult('Validation', 'Missing required arg', 'pass', missing.error);
+    } else {
+      logResult('Validation', 'Missing required arg', 'fail', JSON.stringify(missing));
+    }
+
+    const invalid = parseArgs(CONVERT, 'convert ten usd to gbp');
+    if (!invalid.ok && invalid.error.startsWith('Invalid amount')) {
+      logResult('Validation', 'Invalid type', 'pass', invalid.error);
+    } else {
+      logResult('Validation', 'Invalid type', 'fail', JSON.stringify(invalid));
+    }
+
+    const literal = parseArgs(CONVERT, 'convert 10 usd into gbp');
+    if (!literal.ok && literal.error.startsWith('Expected "to"')) {
+      logResult('Validation', 'Missing literal keyword', 'pass', literal.error);
+    } else {
+      logResult('Validation', 'Missing literal keyword', 'fail', JSON.stringify(literal));
+    }
+
+    const extra = parseArgs(CONVERT, 'convert 10 usd to gbp please');
+    if (!extra.ok && extra.error.startsWith('Unexpected input')) {
+      logResult('Validation', 'Extra input rejected', 'pass', extra.error);
+    } else {
+      logResult('Validation', 'Extra input rejected', 'fail', JSON.stringify(extra));
+    }
+
+    const choice = parseArgs(DEPLOY, 'deploy clawd qa');
+    if (!choice.ok && choice.error.includes('one of staging, production')) {
+      logResult('Validation', 'Invalid choice', 'pass', choice.error);
+    } else {
+      logResult('Validation', 'Invalid choice', 'fail', JSON.stringify(choice));
+    }
+  } catch (error) {
+    logResult('Validation', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test usage generation for help
+ */
+async function testUsage() {
+  printHeader('Usage Generation');
+
+  try {
+    const cases = [
+      [CONVERT, 'convert <amount> <from> to <to>'],
+      [RATES, 'rates [for <base=USD>]'],
+      [DEPLOY, 'deploy <repo> [env=staging]']
+    ];
+
+    for (const [cmd, expected] of cases) {
+      const usage = formatUsage(cmd);
+      if (usage === expected) {
+        logResult('Usage', `Usage for "${cmd.command}"`, 'pass', usage);
+      } else {
+        logResult('Usage', `Usage for "${cmd.command}"`, 'fail', `got "${usage}"`);
+      }
+    }
+
+    const described = describeArgs(DEPLOY);
+    if (described.length === 2 && described[1].type === 'staging|production' && described[1].optional) {
+      logResult('Usage', 'Describe args for help', 'pass');
+    } else {
+      logResult('Usage', 'Describe args for help', 'fail', JSON.stringify(described));
+    }
+  } catch (error) {
+    logResult('Usage', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test registry dispatch with schema and regex commands side by side
+ */
+async function testRegistryDispatch() {
+  printHeader('Registry Dispatch');
+
+  const registry = new SkillRegistry();
+  const quietLogger = { info() {}, warn() {}, error() {}, debug() {}, log() {} };
+  const originalLog = console.log;
+
+  try {
+    console.log = () => {};
+    const skill = new SchemaSkill({ logger: quietLogger });
+    registry.register(skill);
+    await registry.initialize({ logger: quietLogger });
+
+    const ok = await registry.route('convert 5 eur to usd', {});
+    const bad = await registry.route('convert five eur to usd', {});
+    const legacy = await registry.route('legacy thing', {});
+    console.log = originalLog;
+
+    if (ok.success && ok.data.invocation.args.amount === 5 && ok.data.invocation.command === 'convert') {
+      logResult('Registry', 'Parsed args passed to execute()', 'pass');
+    } else {
+      logResult('Registry', 'Parsed args passed to execute()', 'fail', JSON.stringify(ok));
+    }
+
+    if (!bad.success && bad.handled && bad.message.includes('Usage: convert <amount> <from> to <to>')) {
+      logResult('Registry', 'Uniform usage error before dispatch', 'pass');
+    } else {
+      logResult('Registry', 'Uniform usage error before dispatch', 'fail', bad.message);
+    }
+
+    if (legacy.success && legacy.data.invocation === null) {
+      logResult('Registry', 'Regex commands still dispatch', 'pass');
+    } else {
+      logResult('Registry', 'Regex commands still dispatch', 'fail', JSON.stringify(legacy));
+    }
+
+    const meta = skill.getMetadata();
+    if (meta.commands[0].usage === 'convert <amount> <from> to <to>' && meta.commands[1].args === null) {
+      logResult('Registry', 'Metadata exposes generated usage', 'pass');
+    } else {
+      logResult('Registry', 'Metadata exposes generated usage', 'fail', JSON.stringify(meta.commands));
+    }
+  } catch (error) {
+    console.log = originalLog;
+    logResult('Registry', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Command Schema Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await testParsing();
+    await testValidation();
+    await testUsage();
+    await testRegistryDispatch();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
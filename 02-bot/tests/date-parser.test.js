@@ -0,0 +1,412 @@
+/**
+ * Date Parser Test Suite
+ *
+ * Tests for the shared natural-language date parser (lib/date-parser.js):
+ * relative phrases, weekdays, "end of month", UK day-first dates and times
+ * in the user's timezone, ambiguous input returned as readings to ask about
+ * (with the user's command rewritten for each), splitting a date from the
+ * rest of a command, periods for reports, and lengths of time. Also checks the skills that read
+ * dates through it: command-schema date arguments, deadlines, goals,
+ * invoices and pomodoro.
+ *
+ * Run with: node 02-bot/tests/date-parser.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite databases and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-date-parser-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.TIMEZONE;
+
+const USER = '720000001';
+
+const db = require('../lib/database');
+const memory = require('../memory/memory-manager');
+const { parseDate, splitDate, parseDateRange, parseDuration, formatDate, clarifyCommands } = require('../lib/date-parser');
+const { ARG_TYPES } = require('../skills/command-schema');
+const DeadlinesSkill = require('../skills/deadlines');
+const GoalsSkill = require('../skills/goals');
+const InvoicesSkill = require('../skills/invoices');
+const PomodoroSkill = require('../skills/pomodoro');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+// Monday 19 October 2026, 11:00 in London (BST)
+const NOW = new Date('2026-10-19T10:00:00Z');
+const LONDON = 'Europe/London';
+const at = { timezone: LONDON, now: NOW };
+
+function as(userId) {
+  return { from: userId, userId, chatId: userId, platform: 'telegram' };
+}
+
+// ============================================================================
+// Reading dates and times
+// ============================================================================
+
+function testParseDate() {
+  printHeader('Dates and Times');
+
+  const cases = [
+    ['tomorrow morning', '2026-10-20T07:00:00.000Z'],
+    ['tomorrow', '2026-10-20T08:00:00.000Z'],
+    ['tomorrow at 17:30', '2026-10-20T16:30:00.000Z'],
+    ['next friday at 3pm', '2026-10-23T14:00:00.000Z'],
+    ['on friday', '2026-10-23T08:00:00.000Z'],
+    ['monday', '2026-10-26T09:00:00.000Z'], // GMT from the 25th
+    ['monday 3pm', '2026-10-19T14:00:00.000Z'],
+    ['next monday 3pm', '2026-10-26T15:00:00.000Z'],
+    ['last monday', '2026-10-12T08:00:00.000Z'],
+    ['yesterday', '2026-10-18T08:00:00.000Z'],
+    ['in 20 minutes', '2026-10-19T10:20:00.000Z'],
+    ['in an hour', '2026-10-19T11:00:00.000Z'],
+    ['in half an hour', '2026-10-19T10:30:00.000Z'],
+    ['in 2 days', '2026-10-21T10:00:00.000Z'],
+    ['3 days from now', '2026-10-22T10:00:00.000Z'],
+    ['in 2 weeks at 10am', '2026-11-02T10:00:00.000Z'],
+    ['tonight', '2026-10-19T19:00:00.000Z'],
+    ['tonight at 8', '2026-10-19T19:00:00.000Z'],
+    ['this evening', '2026-10-19T17:00:00.000Z'],
+    ['friday evening at 7', '2026-10-23T18:00:00.000Z'],
+    ['at 10am', '2026-10-20T09:00:00.000Z'],
+    ['at 9', '2026-10-20T08:00:00.000Z'],
+    ['at 14:00', '2026-10-19T13:00:00.000Z'],
+    ['next week', '2026-10-26T09:00:00.000Z'],
+    ['next month', '2026-11-01T09:00:00.000Z'],
+    ['day after tomorrow at noon', '2026-10-21T11:00:00.000Z'],
+    ['end of month', '2026-10-31T09:00:00.000Z'],
+    ['by end of next month', '2026-11-30T09:00:00.000Z'],
+    ['end of week', '2026-10-23T08:00:00.000Z'],
+    ['end of year', '2026-12-31T09:00:00.000Z'],
+    ['end of march', '2027-03-31T08:00:00.000Z'],
+    ['2026-12-25', '2026-12-25T09:00:00.000Z'],
+    ['25/12', '2026-12-25T09:00:00.000Z'],
+    ['25/12/2026 at 6pm', '2026-12-25T18:00:00.000Z'],
+    ['05/11/2026', '2026-11-05T09:00:00.000Z'],
+    ['10.12.26', '2026-12-10T09:00:00.000Z'],
+    ['25 December', '2026-12-25T09:00:00.000Z'],
+    ['Dec 25th, 2026', '2026-12-25T09:00:00.000Z'],
+    ['1st of March', '2027-03-01T09:00:00.000Z'],
+    ['the 25th', '2026-10-25T09:00:00.000Z'],
+    ['on the 5th', '2026-11-05T09:00:00.000Z'],
+    ['this weekend', '2026-10-24T08:00:00.000Z']
+  ];
+
+  for (const [text, expected] of cases) {
+    const parsed = parseDate(text, at);
+    check('Parse', `"${text}"`, parsed && parsed.date && parsed.date.toISOString() === expected, parsed);
+  }
+
+  for (const text of ['call john', 'whenever', 'friday maybe', 'in 0 minutes', 'in 2 hours at 5pm', '31/02/2026', '2026-13-01', '25:00', '']) {
+    check('Reject', `"${text}" is not a date`, parseDate(text, at) === null, parseDate(text, at));
+  }
+
+  const dateOnly = parseDate('end of month', at);
+  check('Result', 'A day without a time has hasTime false and a YYYY-MM-DD date',
+    dateOnly.hasTime === false && dateOnly.dateOnly === '2026-10-31' && dateOnly.description === 'Saturday 31 Oct', dateOnly);
+  const withTime = parseDate('tomorrow at 17:30', at);
+  check('Result', 'Descriptions are relative to now', withTime.hasTime && withTime.description === 'tomorrow at 17:30', withTime);
+  check('Result', 'Other years are named', formatDate(new Date('2027-01-04T12:00:00Z'), LONDON, { now: NOW, time: false }) === 'Monday 4 Jan 2027');
+
+  const tokyo = parseDate('tomorrow at 9', { timezone: 'Asia/Tokyo', now: NOW });
+  check('Timezone', 'Words are read in the given timezone', tokyo && tokyo.date.toISOString() === '2026-10-20T00:00:00.000Z', tokyo);
+  const lateTokyo = parseDate('today', { timezone: 'Asia/Tokyo', now: new Date('2026-10-19T20:00:00Z') });
+  check('Timezone', '"today" is the day in that timezone', lateTokyo && lateTokyo.dateOnly === '2026-10-20', lateTokyo);
+
+  const defaultTime = parseDate('friday', { ...at, defaultTime: { hour: 17, minute: 0 } });
+  check('Options', 'The time for a bare day can be changed', defaultTime.date.toISOString() === '2026-10-23T16:00:00.000Z', defaultTime);
+}
+
+function testAmbiguous() {
+  printHeader('Ambiguous Input');
+
+  const hour = parseDate('tomorrow at 5', at);
+  check('Time', '"at 5" is ambiguous', hour && hour.ambiguous === true && hour.options.length === 2, hour);
+  check('Time', 'The question names both readings',
+    hour.question === 'Did you mean tomorrow at 05:00 or tomorrow at 17:00?', hour.question);
+  check('Time', 'Each reading has its date',
+    hour.options[0].date.toISOString() === '2026-10-20T04:00:00.000Z' && hour.options[1].date.toISOString() === '2026-10-20T16:00:00.000Z', hour.options);
+
+  check('Time', 'A day part settles it', parseDate('tomorrow morning at 6', at).date.toISOString() === '2026-10-20T05:00:00.000Z');
+  check('Time', 'am/pm settles it', !parseDate('at 5pm', at).ambiguous);
+  check('Time', '24-hour times are not ambiguous', !parseDate('at 17:00', at).ambiguous && !parseDate('at 05:30', at).ambiguous);
+
+  const monthFirst = parseDate('12/25/2026', at);
+  check('Date', 'A date that only works month first is asked about',
+    monthFirst && monthFirst.ambiguous && monthFirst.options.length === 1 && monthFirst.options[0].dateOnly === '2026-12-25', monthFirst);
+  check('Date', 'The question offers the month-first reading', monthFirst.question === 'Did you mean Friday 25 Dec?', monthFirst.question);
+
+  const both = parseDate('12/25 at 5', at);
+  check('Date', 'Date and time ambiguity combine', both && both.ambiguous && both.options.length === 2, both);
+
+  const command = 'remind me to call mum at 5';
+  const split = splitDate(command.replace(/^remind me /, ''), at);
+  check('Clarify', 'splitDate passes ambiguity through', split && split.ambiguous && split.rest === 'to call mum', split);
+  const commands = clarifyCommands(command, split);
+  check('Clarify', 'The command is rewritten for each reading',
+    commands[0] === 'remind me to call mum at 5am' && commands[1] === 'remind me to call mum at 5pm', commands);
+
+  const rewritten = clarifyCommands('add deadline GMH VAT return 12/25/2026', parseDate('12/25/2026', at));
+  check('Clarify', 'Dates are rewritten day first', rewritten[0] === 'add deadline GMH VAT return 25/12/2026', rewritten);
+  check('Clarify', 'The rewritten command reads cleanly',
+    parseDate(commands[1].replace(/^remind me to call mum /, ''), at).date.toISOString() === '2026-10-19T16:00:00.000Z');
+}
+
+function testSplitDate() {
+  printHeader('Splitting Dates from Text');
+
+  const end = splitDate('Board minutes end of month', { ...at, position: 'end' });
+  check('Split', 'Date at the end', end && end.rest === 'Board minutes' && end.phrase === 'end of month', end);
+
+  const start = splitDate('tomorrow 8am deadlines GMH', { ...at, position: 'start' });
+  check('Split', 'Date at the start', start && start.rest === 'deadlines GMH' && start.phrase === 'tomorrow 8am', start);
+
+  const by = splitDate('Launch the app by 15/03/2027', at);
+  check('Split', 'Filler before the date goes with it', by && by.phrase === 'by 15/03/2027' && by.rest === 'Launch the app', by);
+
+  check('Split', 'position: end ignores a leading date', splitDate('friday lunch with Sam', { ...at, position: 'end' }) === null);
+  check('Split', 'No date gives null', splitDate('buy milk', at) === null);
+}
+
+function testDurations() {
+  printHeader('Lengths of Time');
+
+  const cases = [
+    ['25', 25],
+    ['25 minutes', 25],
+    ['90 mins', 90],
+    ['25m', 25],
+    ['an hour', 60],
+    ['half an hour', 30],
+    ['1.5 hours', 90],
+    ['1h30', 90],
+    ['an hour and a half', 90],
+    ['1 hour 15 minutes', 75],
+    ['for 2 hours', 120],
+    ['2 days', 2880]
+  ];
+  for (const [text, expected] of cases) {
+    check('Duration', `"${text}" is ${expected} minutes`, parseDuration(text) === expected, parseDuration(text));
+  }
+  for (const text of ['', 'soon', '0', 'two o\'clock', '5 parsecs']) {
+    check('Duration', `"${text}" is not a length of time`, parseDuration(text) === null, parseDuration(text));
+  }
+}
+
+// ============================================================================
+// Skills
+// ============================================================================
+
+function testRanges() {
+  printHeader('Periods');
+
+  // Monday 19 October 2026
+  const cases = [
+    ['this month', '2026-10-01', '2026-10-31', 'October 2026'],
+    ['last month', '2026-09-01', '2026-09-30', 'September 2026'],
+    ['last week', '2026-10-12', '2026-10-18', 'week of 12 Oct 2026'],
+    ['last quarter', '2026-07-01', '2026-09-30', 'Q3 2026'],
+    ['this year', '2026-01-01', '2026-12-31', '2026'],
+    ['Q1', '2026-01-01', '2026-03-31', 'Q1 2026'],
+    ['2026 Q2', '2026-04-01', '2026-06-30', 'Q2 2026'],
+    ['q4 2025', '2025-10-01', '2025-12-31', 'Q4 2025'],
+    ['2026-03', '2026-03-01', '2026-03-31', 'March 2026'],
+    ['2025', '2025-01-01', '2025-12-31', '2025'],
+    ['march', '2026-03-01', '2026-03-31', 'March 2026'],
+    ['in november', '2025-11-01', '2025-11-30', 'November 2025'],
+    ['since 1 march', '2026-03-01', '2026-10-19', 'since 1 Mar 2026'],
+    ['until 31/3', null, '2026-03-31', 'until 31 Mar 2026'],
+    ['from 1/1/2026 to 31/3/2026', '2026-01-01', '2026-03-31', '1 Jan 2026 to 31 Mar 2026'],
+    ['from 6/4 to 5/4', '2025-04-06', '2026-04-05', '6 Apr 2025 to 5 Apr 2026'],
+    ['between march and june', '2026-03-01', '2026-06-30', '1 Mar 2026 to 30 Jun 2026'],
+    ['yesterday', '2026-10-18', '2026-10-18', '18 Oct 2026']
+  ];
+  for (const [text, from, to, description] of cases) {
+    const range = parseDateRange(text, at);
+    check('Range', `"${text}" is ${from} to ${to}`,
+      range && range.from === from && range.to === to && range.description === description, range);
+  }
+
+  // Q4 hasn't started on 19 Feb, so it is last year's
+  const february = parseDateRange('q4', { timezone: LONDON, now: new Date('2026-02-19T10:00:00Z') });
+  check('Range', 'A quarter still to come is last year\'s', february && february.from === '2025-10-01', february);
+
+  const unclear = parseDateRange('from 12/25/2026 to 12/31/2026', at);
+  check('Range', 'A month-first date is ambiguous', unclear && unclear.ambiguous === true, unclear);
+  check('Range', 'Ambiguous periods can be offered back',
+    clarifyCommands('expenses from 12/25/2026 to 31/12/2026', unclear)[0] === 'expenses from 25/12/2026 to 31/12/2026',
+    clarifyCommands('expenses from 12/25/2026 to 31/12/2026', unclear));
+
+  for (const text of ['', 'whenever', 'from 1/4/2026 to 1/3/2026', 'since next year', '2026-13']) {
+    check('Range', `"${text}" is not a period`, parseDateRange(text, at) === null, parseDateRange(text, at));
+  }
+}
+
+async function testSkills() {
+  printHeader('Skills');
+
+  check('Schema', 'date arguments read words', ARG_TYPES.date.parse('tomorrow') === parseDate('tomorrow').dateOnly);
+  check('Schema', 'date arguments are day first', ARG_TYPES.date.parse('05/11/2026') === '2026-11-05');
+  check('Schema', 'Ambiguous date arguments are rejected', ARG_TYPES.date.parse('12/25/2026') === undefined);
+
+  const deadlines = new DeadlinesSkill({ memory });
+  const endOfMonth = parseDate('end of month', { timezone: LONDON }).dateOnly;
+  const added = await deadlines.execute('add deadline GMH Board minutes end of month', as(USER));
+  const facts = memory.getFacts('system', 'deadline').map(row => row.fact);
+  check('Deadlines', 'Natural dates are accepted', added.success && facts.includes(`DEADLINE:GMH:${endOfMonth}:Board minutes`), { added, facts });
+
+  const iso = await deadlines.execute('add deadline GMH Renew insurance 2030-03-31', as(USER));
+  check('Deadlines', 'ISO dates still work', iso.success && memory.getFacts('system', 'deadline').some(row => row.fact === 'DEADLINE:GMH:2030-03-31:Renew insurance'), iso);
+
+  const unclear = await deadlines.execute('add deadline GMH VAT return 12/25/2030', as(USER));
+  check('Deadlines', 'Ambiguous dates get a question back',
+    !unclear.success && unclear.needsClarification && unclear.options[0] === 'add deadline GMH VAT return 25/12/2030', unclear);
+
+  const noDate = await deadlines.execute('add deadline GMH Something important', as(USER));
+  check('Deadlines', 'A missing date is explained', !noDate.success && noDate.message.includes('due date'), noDate.message);
+
+  const goals = new GoalsSkill({ memory });
+  const goal = await goals.execute('goal set Read 12 books target 12 books by end of year', as(USER));
+  const saved = db.listGoals(USER, 'active').find(row => row.description === 'Read 12 books');
+  check('Goals', 'Deadlines are read after "by"',
+    goal.success && saved && saved.deadline === parseDate('end of year', { timezone: LONDON }).dateOnly, { goal, saved });
+
+  const uk = await goals.execute('goal set Launch by 15/03/2030', as(USER));
+  check('Goals', 'UK dates are day first', uk.success && db.listGoals(USER, 'active').some(row => row.description === 'Launch' && row.deadline === '2030-03-15'), uk);
+
+  const goalAt = await goals.execute('goal set Call the bank by friday at 5', as(USER));
+  check('Goals', 'Ambiguous deadlines get a question back',
+    !goalAt.success && goalAt.options.includes('goal set Call the bank by friday at 5pm'), goalAt);
+
+  const invoices = new InvoicesSkill({ memory });
+  const invoice = await invoices.execute('invoice create "Acme Corp" 1500 due 31/03/2030', as(USER));
+  const stored = invoice.data && db.getInvoice(invoice.data.id);
+  check('Invoices', 'A due date can be given', invoice.success && stored && stored.due_date === '2030-03-31' && invoice.message.includes('Due: 2030-03-31'), { invoice, stored });
+
+  const currencyDue = await invoices.execute('invoice create Acme 200 USD due end of next month', as(USER));
+  const usd = currencyDue.data && db.getInvoice(currencyDue.data.id);
+  check('Invoices', 'Currency and due date together',
+    usd && usd.currency === 'USD' && usd.due_date === parseDate('end of next month', { timezone: LONDON }).dateOnly, usd);
+
+  const defaultDue = await invoices.execute('invoice create Acme 300', as(USER));
+  check('Invoices', 'Without one, due in 30 days', defaultDue.success && db.getInvoice(defaultDue.data.id).due_date !== null, defaultDue);
+
+  const badDue = await invoices.execute('invoice create Acme 300 due whenever', as(USER));
+  check('Invoices', 'Unreadable due dates are rejected', !badDue.success && badDue.message.includes('whenever'), badDue.message);
+
+  const pomodoro = new PomodoroSkill({ memory });
+  const long = await pomodoro.execute('pomodoro start 1h30', as(USER));
+  check('Pomodoro', 'Lengths can be written out', long.success && long.message.includes('Duration: 90 minutes'), long.message);
+  await pomodoro.execute('pomodoro stop', as(USER));
+
+  const plain = await pomodoro.execute('pomodoro start', as(USER));
+  check('Pomodoro', 'The default is 25 minutes', plain.success && plain.message.includes('Duration: 25 minutes'), plain.message);
+  await pomodoro.execute('pomodoro stop', as(USER));
+
+  const junk = await pomodoro.execute('pomodoro start for ages', as(USER));
+  check('Pomodoro', 'Unreadable lengths are rejected', !junk.success && junk.message.includes('for ages'), junk.message);
+}
+
+/**
+ * Print final test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Date Parser Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testParseDate();
+    testAmbiguous();
+    testSplitDate();
+    testRanges();
+    testDurations();
+    await testSkills();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,488 @@
+/**
+ * Discord Adapter Test Suite
+ *
+ * Tests for the Discord adapter: Ed25519 request verification, Markdown
+ * conversion, button components and confirmation embeds, slash commands
+ * generated from skill command metadata and interactions turned back into
+ * chat commands, interaction normalisation, platform detection, and replies
+ * through MessagingPlatform with a stubbed REST API.
+ *
+ * Run with: node 02-bot/tests/discord.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Throwaway application key pair and IDs, isolated chat registry
+const keys = crypto.generateKeyPairSync('ed25519');
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-discord-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+process.env.DISCORD_PUBLIC_KEY = keys.publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+process.env.DISCORD_BOT_TOKEN = 'discord-test-token';
+process.env.DISCORD_APPLICATION_ID = '900000000000000001';
+process.env.DISCORD_GUILD_ID = '';
+
+const { DiscordHandler } = require('../discord-handler');
+const discordCommands = require('../lib/discord-commands');
+const BaseSkill = require('../skills/base-skill');
+const { SkillRegistry } = require('../skills/skill-registry');
+const ActionButtons = require('../lib/action-buttons');
+const confirmationManager = require('../lib/confirmation-manager');
+const messenger = require('../lib/messaging-platform');
+const chatRegistry = require('../lib/chat-registry');
+
+const { MessagingPlatform } = messenger;
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const CHANNEL = '1100000000000000001';
+
+/**
+ * Sign a body the way Discord does
+ */
+function sign(body, timestamp, privateKey = keys.privateKey) {
+  return crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+}
+
+/**
+ * Create a handler whose REST calls are recorded instead of sent
+ */
+function stubbedHandler() {
+  const discord = new DiscordHandler();
+  discord.calls = [];
+  discord.callApi = async (method, route, body) => {
+    discord.calls.push({ method, route, body });
+    return Array.isArray(body) ? body : { id: '1300000000000000001', channel_id: CHANNEL };
+  };
+  return discord;
+}
+
+/**
+ * Fake skills - one with schema commands plus a regex one, one regex-only
+ */
+class LedgerSkill extends BaseSkill {
+  name = 'ledger';
+  description = 'Track spending';
+  commands = [
+    {
+      command: 'ledger add',
+      description: 'Add an expense',
+      args: [
+        { name: 'amount', type: 'number', description: 'Amount spent' },
+        { name: 'category', choices: ['food', 'travel', 'office'] },
+        'for',
+        { name: 'note', type: 'text', optional: true }
+      ]
+    },
+    {
+      command: 'ledger list',
+      description: 'List expenses',
+      args: [{ name: 'days', type: 'integer', optional: true, default: 7 }, { name: 'shared', type: 'boolean', optional: true }]
+    },
+    { pattern: /^ledger\s+export$/i, description: 'Export as CSV', usage: 'ledger export' }
+  ];
+
+  async execute(command, context) {
+    return this.success(`ran ${command}`);
+  }
+}
+
+class NotesSkill extends BaseSkill {
+  name = 'quick notes!';
+  description = 'x'.repeat(150);
+  commands = [
+    { pattern: /^note\s+(.+)$/i, description: 'Save a note', usage: 'note <text>' },
+    { pattern: /^notes$/i, description: 'List notes', usage: 'notes' }
+  ];
+
+  async execute() {
+    return this.success('ok');
+  }
+}
+
+class EmptySkill extends BaseSkill {
+  name = 'background';
+  description = 'No commands';
+  commands = [];
+}
+
+async function buildRegistry() {
+  const registry = new SkillRegistry();
+  for (const skill of [new LedgerSkill(), new NotesSkill(), new EmptySkill()]) {
+    await skill.initialize();
+    registry.register(skill);
+  }
+  return registry;
+}
+
+/**
+ * Test request signature verification
+ */
+function testSignatures() {
+  printHeader('Signature Verification');
+
+  try {
+    const discord = new DiscordHandler();
+    const body = JSON.stringify({ type: 1 });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    check('Signature', 'Valid signature is accepted', discord.verifySignature(body, timestamp, sign(body, timestamp)) === true);
+    check('Signature', 'Tampered body is rejected', discord.verifySignature(body + ' ', timestamp, sign(body, timestamp)) === false);
+    check('Signature', 'Other timestamp is rejected', discord.verifySignature(body, '1', sign(body, timestamp)) === false);
+
+    const other = crypto.generateKeyPairSync('ed25519');
+    check('Signature', 'Signature from another key is rejected',
+      discord.verifySignature(body, timestamp, sign(body, timestamp, other.privateKey)) === false);
+    check('Signature', 'Garbage signature does not throw', discord.verifySignature(body, timestamp, 'zz') === false);
+    check('Signature', 'Missing headers are rejected', discord.verifySignature(body, undefined, undefined) === false);
+
+    const req = { rawBody: body, headers: { 'x-signature-timestamp': timestamp, 'x-signature-ed25519': sign(body, timestamp) } };
+    check('Signature', 'verifyRequest reads the raw body and headers', discord.verifyRequest(req) === true);
+
+    const unconfigured = new DiscordHandler();
+    unconfigured.publicKey = null;
+    check('Signature', 'No public key rejects everything', unconfigured.verifySignature(body, timestamp, sign(body, timestamp)) === false);
+  } catch (error) {
+    logResult('Signature', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test authorization lists
+ */
+function testAuthorization() {
+  printHeader('Authorization');
+
+  try {
+    const discord = new DiscordHandler();
+
+    delete process.env.DISCORD_AUTHORIZED_USERS;
+    delete process.env.DISCORD_AUTHORIZED_CHANNELS;
+    check('Auth', 'Nothing configured denies all', discord.isAuthorized(CHANNEL, '200000000000000001') === false);
+
+    process.env.DISCORD_AUTHORIZED_USERS = '200000000000000001';
+    check('Auth', 'Listed user is allowed', discord.isAuthorized(CHANNEL, '200000000000000001') === true);
+    check('Auth', 'Other users are denied', discord.isAuthorized(CHANNEL, '200000000000000002') === false);
+
+    process.env.DISCORD_AUTHORIZED_CHANNELS = CHANNEL;
+    check('Auth', 'Anyone may use a listed channel', discord.isAuthorized(CHANNEL, '200000000000000002') === true);
+
+    delete process.env.DISCORD_AUTHORIZED_USERS;
+    delete process.env.DISCORD_AUTHORIZED_CHANNELS;
+  } catch (error) {
+    logResult('Auth', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test Markdown, components and embeds
+ */
+function testRendering() {
+  printHeader('Markdown, Buttons and Embeds');
+
+  try {
+    const converted = DiscordHandler.toDiscordMarkdown('*Deploy* app? **kept** * bullet and 2*3*4');
+    check('Render', 'Telegram *bold* becomes **bold**, the rest is left alone',
+      converted === '**Deploy** app? **kept** * bullet and 2*3*4', converted);
+
+    const rows = DiscordHandler.toComponents(ActionButtons.confirm('deploy'));
+    const [yes, no] = rows[0].components;
+    check('Render', 'Button rows become action rows', rows.length === 1 && rows[0].type === 1, rows);
+    check('Render', 'Callback data travels as custom_id', yes.custom_id === 'confirm_yes:deploy' && no.custom_id === 'confirm_no:deploy', rows);
+    check('Render', 'Yes is green, No is red', yes.style === 3 && no.style === 4, [yes.style, no.style]);
+
+    const link = DiscordHandler.toComponents([[{ text: 'Open', url: 'https://github.com' }]])[0].components[0];
+    check('Render', 'URL buttons are link buttons', link.style === 5 && link.url === 'https://github.com' && !link.custom_id, link);
+
+    const many = DiscordHandler.toComponents(Array.from({ length: 7 }, (_, r) =>
+      Array.from({ length: 7 }, (__, i) => ({ text: `b${r}${i}`, callback_data: `x:${r}${i}` }))));
+    check('Render', 'At most 5 rows of 5 buttons', many.length === 5 && many.every(r => r.components.length === 5));
+
+    const card = confirmationManager.formatConfirmationCard('generate-image', { prompt: 'a lighthouse', estimatedCost: 0.04 });
+    check('Embed', 'Confirmation card describes the action',
+      card.title.includes('Approval') && card.description.includes('a lighthouse') &&
+      card.fields.some(f => f.name === 'Estimated cost' && f.value === '$0.04'), card);
+    check('Embed', 'Card footer keeps the typed yes/no fallback', /yes/.test(card.footer) && /5 minutes/.test(card.footer), card.footer);
+
+    const embed = DiscordHandler.toEmbed({ ...card, description: '*Generate image?*' });
+    check('Embed', 'Embed carries title, fields, footer and converted description',
+      embed.title === card.title && embed.description === '**Generate image?**' &&
+      embed.fields.length === card.fields.length && embed.footer.text === card.footer && typeof embed.color === 'number', embed);
+  } catch (error) {
+    logResult('Render', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test slash command generation and interaction -> command text
+ */
+async function testCommands() {
+  printHeader('Slash Commands from Skills');
+
+  try {
+    const registry = await buildRegistry();
+    const commands = discordCommands.buildCommands(registry);
+
+    check('Commands', 'Skills without commands are skipped',
+      commands.length === 2 && !commands.some(c => c.name === 'background'), commands.map(c => c.name));
+    check('Commands', 'Every name and description fits Discord limits',
+      commands.every(c => /^[a-z0-9_-]{1,32}$/.test(c.name) && c.description.length >= 1 && c.description.length <= 100),
+      commands.map(c => [c.name, c.description.length]));
+
+    const ledger = commands.find(c => c.name === 'ledger');
+    const subNames = ledger.options.map(o => o.name);
+    check('Commands', 'Schema commands become subcommands without the skill prefix, regex ones share "run"',
+      subNames.join(',') === 'add,list,run', subNames);
+
+    const add = ledger.options.find(o => o.name === 'add');
+    const [amount, category, note] = add.options;
+    check('Commands', 'Typed args become typed options',
+      amount.type === discordCommands.OPTION_TYPES.NUMBER && amount.required === true && amount.description === 'Amount spent', amount);
+    check('Commands', 'Choices are offered as choices',
+      category.type === discordCommands.OPTION_TYPES.STRING && category.choices.map(c => c.value).join('|') === 'food|travel|office', category);
+    check('Commands', 'Literals are not options and optional args are not required',
+      add.options.length === 3 && note.name === 'note' && note.required === false, add.options);
+
+    const list = ledger.options.find(o => o.name === 'list');
+    check('Commands', 'Integer and boolean types map across',
+      list.options[0].type === discordCommands.OPTION_TYPES.INTEGER && list.options[1].type === discordCommands.OPTION_TYPES.BOOLEAN, list.options);
+
+    const notes = commands.find(c => c.name === 'quick-notes');
+    check('Commands', 'Regex-only skills get a free-text "command" option',
+      notes && notes.options.length === 1 && notes.options[0].name === 'command' && notes.options[0].type === 3 &&
+      notes.options[0].description.includes('note <text>'), notes);
+
+    const sub = (name, options) => ({ name: 'ledger', options: [{ type: 1, name, options }] });
+    check('Interaction', 'Subcommand options are rebuilt in schema order with literals',
+      discordCommands.interactionToText(registry, sub('add', [
+        { name: 'note', value: 'team lunch' }, { name: 'category', value: 'food' }, { name: 'amount', value: 12.5 }
+      ])) === 'ledger add 12.5 food for team lunch');
+    check('Interaction', 'Trailing literal is dropped when its argument is missing',
+      discordCommands.interactionToText(registry, sub('add', [{ name: 'amount', value: 3 }, { name: 'category', value: 'travel' }])) === 'ledger add 3 travel');
+    check('Interaction', 'Values with spaces are quoted for non-text args',
+      discordCommands.buildCommandText({ command: 'tag', args: [{ name: 'label' }] }, { label: 'big deal' }) === 'tag "big deal"');
+    check('Interaction', '"run" passes the typed command through',
+      discordCommands.interactionToText(registry, sub('run', [{ name: 'command', value: ' ledger export ' }])) === 'ledger export');
+    check('Interaction', 'Top-level command option passes through',
+      discordCommands.interactionToText(registry, { name: 'quick-notes', options: [{ type: 3, name: 'command', value: 'note buy milk' }] }) === 'note buy milk');
+    check('Interaction', 'No options asks for the skill\'s help',
+      discordCommands.interactionToText(registry, { name: 'quick-notes' }) === 'help quick notes!');
+    check('Interaction', 'Unknown commands give null', discordCommands.interactionToText(registry, { name: 'nope' }) === null);
+
+    const text = discordCommands.interactionToText(registry, sub('add', [{ name: 'amount', value: 7 }, { name: 'category', value: 'office' }]));
+    const routed = await registry.route(text, {});
+    check('Interaction', 'Rebuilt text dispatches to the skill with parsed args',
+      routed.skill === 'ledger' && routed.success === true, routed);
+  } catch (error) {
+    logResult('Commands', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test interaction normalisation and platform detection
+ */
+function testNormalizeAndDetect() {
+  printHeader('Normalisation and Platform Detection');
+
+  try {
+    const incoming = MessagingPlatform.normalizeIncoming('discord', {
+      id: '1200000000000000001',
+      type: 2,
+      channel_id: CHANNEL,
+      guild_id: '100000000000000001',
+      member: { user: { id: '200000000000000001', username: 'sam' } },
+      data: { name: 'ledger' },
+      commandText: 'ledger list'
+    });
+    check('Normalize', 'Channel is the user ID and the rebuilt command is the text',
+      incoming.userId === CHANNEL && incoming.text === 'ledger list' && incoming.platform === 'discord', incoming);
+    check('Normalize', 'Replies are addressed to the interaction',
+      incoming.fromNumber === `${CHANNEL}:1200000000000000001` && incoming.discordUserId === '200000000000000001', incoming.fromNumber);
+
+    const dm = MessagingPlatform.normalizeIncoming('discord', { id: '1', channel_id: '1100000000000000009', user: { id: '2' }, commandText: 'notes' });
+    check('Normalize', 'DM interactions use the top-level user', dm.discordUserId === '2', dm);
+
+    check('Detect', 'Interaction recipients are detected', MessagingPlatform.detectPlatform(`${CHANNEL}:1200000000000000001`) === 'discord');
+    check('Detect', 'Mapped channels are detected', MessagingPlatform.detectPlatform(CHANNEL) === 'discord');
+    check('Detect', 'extractUserId drops the interaction', MessagingPlatform.extractUserId('discord', `discord:${CHANNEL}:12`) === CHANNEL);
+
+    check('Registry', 'Chat registry detects snowflakes', chatRegistry.detectPlatform(CHANNEL) === 'discord');
+    check('Registry', 'Chat registry still detects Telegram groups', chatRegistry.detectPlatform('-1001234567890') === 'telegram');
+    const entry = chatRegistry.registerChat(CHANNEL, 'repo', 'aws-clawd-bot');
+    check('Registry', 'Registering a Discord channel records the platform', entry.platform === 'discord', entry);
+    check('Registry', 'Stats count Discord chats', chatRegistry.getStats().byPlatform.discord === 1, chatRegistry.getStats().byPlatform);
+    chatRegistry.unregisterChat(CHANNEL);
+  } catch (error) {
+    logResult('Normalize', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test replies through MessagingPlatform with a stubbed REST API
+ */
+async function testSending() {
+  printHeader('Replies and Commands Registration');
+
+  try {
+    const discord = stubbedHandler();
+    messenger.setDiscordHandler(discord);
+
+    discord.trackInteraction({ id: '1200000000000000001', token: 'tok-1' });
+    const recipient = `${CHANNEL}:1200000000000000001`;
+
+    await messenger.sendToRecipient('*Done*', 'discord', recipient);
+    await messenger.sendToRecipient('And another thing', 'discord', recipient);
+    const [first, second] = discord.calls;
+    check('Send', 'First reply replaces the deferred "thinking" message',
+      first.method === 'patch' && first.route === '/webhooks/900000000000000001/tok-1/messages/@original' && first.body.content === '**Done**', first);
+    check('Send', 'Later replies are follow-ups on the interaction',
+      second.method === 'post' && second.route === '/webhooks/900000000000000001/tok-1', second);
+    check('Send', 'Mentions are never pinged', first.body.allowed_mentions && first.body.allowed_mentions.parse.length === 0);
+
+    discord.calls = [];
+    await messenger.sendToRecipient('Build passed', 'discord', CHANNEL);
+    check('Send', 'Plain recipients get a channel message',
+      discord.calls[0].method === 'post' && discord.calls[0].route === `/channels/${CHANNEL}/messages`, discord.calls[0]);
+
+    discord.calls = [];
+    discord.interactions.get('1200000000000000001').createdAt -= 16 * 60 * 1000;
+    await messenger.sendToRecipient('Late reply', 'discord', recipient);
+    check('Send', 'Expired interactions fall back to the channel',
+      discord.calls[0].route === `/channels/${CHANNEL}/messages`, discord.calls[0]);
+
+    discord.calls = [];
+    const card = confirmationManager.formatConfirmationCard('deploy', { project: 'web' });
+    await messenger.sendWithButtons('Deploy *web*?', 'discord', CHANNEL, ActionButtons.confirm('deploy'), { embed: card });
+    const body = discord.calls[0].body;
+    check('Send', 'Confirmations go out as an embed with Yes/No buttons',
+      body.content === '' && body.embeds.length === 1 && body.embeds[0].description === 'Deploy **web**?' &&
+      body.components[0].components.map(b => b.custom_id).join(',') === 'confirm_yes:deploy,confirm_no:deploy', body);
+
+    discord.calls = [];
+    await discord.editInteractionMessage('tok-2', 'Action cancelled.');
+    const edit = discord.calls[0];
+    check('Send', 'Button clicks update their message and clear embed and buttons',
+      edit.method === 'patch' && edit.route.endsWith('/tok-2/messages/@original') &&
+      edit.body.embeds.length === 0 && edit.body.components.length === 0, edit);
+
+    discord.calls = [];
+    const registry = await buildRegistry();
+    const count = await discord.registerCommands(discordCommands.buildCommands(registry));
+    check('Register', 'Commands are bulk-registered globally without a guild',
+      count === 2 && discord.calls[0].method === 'put' && discord.calls[0].route === '/applications/900000000000000001/commands', discord.calls[0]);
+
+    discord.calls = [];
+    discord.guildId = '100000000000000001';
+    await discord.registerCommands([]);
+    check('Register', 'DISCORD_GUILD_ID registers in that server',
+      discord.calls[0].route === '/applications/900000000000000001/guilds/100000000000000001/commands', discord.calls[0]);
+
+    const noToken = new DiscordHandler();
+    noToken.token = null;
+    check('Send', 'Without a token sends are mocked', (await noToken.sendMessage(CHANNEL, 'hi')) === null);
+  } catch (error) {
+    logResult('Send', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Discord Adapter Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testSignatures();
+    testAuthorization();
+    testRendering();
+    await testCommands();
+    testNormalizeAndDetect();
+    await testSending();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
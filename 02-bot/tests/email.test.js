@@ -0,0 +1,495 @@
+/**
+ * Email Channel Test Suite
+ *
+ * Tests for the email channel: parsing inbound mail and saving attachments,
+ * quoted-text stripping, plain-text conversion, sender authorization and
+ * automated-mail detection, threaded replies batched into one email, maildir
+ * polling, normalisation and platform detection, and the outbound uses -
+ * invoices emailed with their PDF, the morning brief and the email tier of
+ * alert escalation. SMTP is a recorded fake transport.
+ *
+ * Run with: node 02-bot/tests/email.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated data dir (SQLite, chat registry, attachments) and a local maildir
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-email-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+process.env.EMAIL_MAILDIR = path.join(process.env.CLAWDBOT_DATA_DIR, 'maildir');
+process.env.EMAIL_FROM = 'ClawdBot <bot@example.com>';
+process.env.EMAIL_AUTHORIZED_SENDERS = 'owner@example.com, @team.example.com';
+process.env.BASE_URL = 'https://bot.example.com';
+process.env.MORNING_BRIEF_EMAIL = 'owner@example.com';
+delete process.env.SMTP_HOST;
+delete process.env.IMAP_HOST;
+
+const { EmailHandler, getEmailHandler } = require('../email-handler');
+const messenger = require('../lib/messaging-platform');
+const chatRegistry = require('../lib/chat-registry');
+const db = require('../lib/database');
+const { AlertEscalation, STEPS } = require('../lib/alert-escalation');
+
+const { MessagingPlatform } = messenger;
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+/**
+ * Build a raw RFC 822 message
+ */
+function rawEmail({ from = 'Owner <owner@example.com>', subject = 'Hello', body = '', id, headers = [], attachments = [] }) {
+  const head = [
+    `From: ${from}`,
+    'To: bot@example.com',
+    `Subject: ${subject}`,
+    `Message-ID: <${id || Date.now() + Math.random()}@example.com>`,
+    'MIME-Version: 1.0',
+    ...headers
+  ];
+  if (attachments.length === 0) {
+    return [...head, 'Content-Type: text/plain; charset=utf-8', '', body].join('\r\n');
+  }
+
+  const boundary = 'test-boundary';
+  const parts = [
+    [`--${boundary}`, 'Content-Type: text/plain; charset=utf-8', '', body].join('\r\n'),
+    ...attachments.map(a => [
+      `--${boundary}`,
+      `Content-Type: ${a.contentType}; name="${a.filename}"`,
+      `Content-Disposition: attachment; filename="${a.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(a.content).toString('base64')
+    ].join('\r\n'))
+  ];
+  return [...head, `Content-Type: multipart/mixed; boundary="${boundary}"`, '', ...parts, `--${boundary}--`, ''].join('\r\n');
+}
+
+/**
+ * Create a handler whose SMTP sends are recorded instead of delivered
+ */
+function stubbedHandler(handler = new EmailHandler()) {
+  handler.smtp.host = 'smtp.example.com';
+  handler.sent = [];
+  handler.transport = {
+    sendMail: async mail => {
+      handler.sent.push(mail);
+      return { messageId: `<sent-${handler.sent.length}@example.com>` };
+    }
+  };
+  return handler;
+}
+
+/**
+ * Test formatting helpers
+ */
+function testFormatting() {
+  printHeader('Formatting');
+
+  try {
+    check('Address', 'Display names and prefixes are stripped',
+      EmailHandler.normalizeAddress('Owner <Owner@Example.com>') === 'owner@example.com' &&
+      EmailHandler.normalizeAddress('email:owner@example.com') === 'owner@example.com');
+
+    const plain = EmailHandler.toPlainText('**Invoice** sent to *Acme*, see [the PDF](https://x.example/a.pdf) _today_');
+    check('Plain text', 'Markdown markers and links are flattened',
+      plain === 'Invoice sent to Acme, see the PDF (https://x.example/a.pdf) today', plain);
+    check('Plain text', 'Snake_case and arithmetic survive',
+      EmailHandler.toPlainText('my_repo_name 2*3*4') === 'my_repo_name 2*3*4');
+
+    const reply = 'expenses this month\n\nOn Mon, 1 Jun 2026 at 09:00, ClawdBot <bot@example.com> wrote:\n> Morning brief';
+    check('Quotes', 'Quoted history is dropped', EmailHandler.stripQuoted(reply) === 'expenses this month');
+    check('Quotes', 'Signatures and > lines are dropped',
+      EmailHandler.stripQuoted('status\n> old\n-- \nOwner') === 'status');
+    check('Quotes', 'Outlook dividers are honoured',
+      EmailHandler.stripQuoted('yes\n-----Original Message-----\nFrom: x') === 'yes');
+
+    check('Subject', 'Re:/Fwd: prefixes are removed', EmailHandler.cleanSubject('Re: FWD: re: Expenses') === 'Expenses');
+    check('Message text', 'Body wins over subject', EmailHandler.toMessageText('Re: hi', 'help') === 'help');
+    check('Message text', 'Empty body falls back to the subject', EmailHandler.toMessageText('Re: expenses', '\n> quoted') === 'expenses');
+
+    check('Routing', 'PDFs go to document-analyzer',
+      EmailHandler.routeAttachment({ contentType: 'application/pdf' }) === 'document-analyzer');
+    check('Routing', 'Images go to receipts', EmailHandler.routeAttachment({ contentType: 'image/jpeg' }) === 'receipts');
+    check('Routing', 'Other files are not routed', EmailHandler.routeAttachment({ contentType: 'text/csv' }) === null);
+  } catch (error) {
+    logResult('Formatting', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test sender authorization and automated-mail detection
+ */
+async function testAuthorization() {
+  printHeader('Authorization');
+
+  try {
+    const email = new EmailHandler();
+    check('Auth', 'Listed address is allowed', email.isAuthorized('Owner <owner@example.com>'));
+    check('Auth', 'Listed @domain is allowed', email.isAuthorized('ann@team.example.com'));
+    check('Auth', 'Unlisted sender is denied', !email.isAuthorized('someone@else.com'));
+    check('Auth', 'The bot\'s own address is denied', !email.isAuthorized('bot@example.com'));
+
+    const saved = process.env.EMAIL_AUTHORIZED_SENDERS;
+    process.env.EMAIL_AUTHORIZED_SENDERS = '';
+    check('Auth', 'Empty allow-list denies everyone', !email.isAuthorized('owner@example.com'));
+    process.env.EMAIL_AUTHORIZED_SENDERS = saved;
+
+    const auto = await email.parseMessage(rawEmail({ body: 'Out of office', headers: ['Auto-Submitted: auto-replied'] }));
+    const list = await email.parseMessage(rawEmail({ body: 'Digest', headers: ['Precedence: bulk'] }));
+    const bounce = await email.parseMessage(rawEmail({ from: 'MAILER-DAEMON@example.com', body: 'Undeliverable' }));
+    const human = await email.parseMessage(rawEmail({ body: 'help', headers: ['Auto-Submitted: no'] }));
+    check('Automated', 'Auto-replies are flagged', auto.automated === true);
+    check('Automated', 'Bulk mail is flagged', list.automated === true);
+    check('Automated', 'Bounces are flagged', bounce.automated === true);
+    check('Automated', 'People are not flagged', human.automated === false);
+
+    const results = value => ['Authentication-Results: ' + value];
+    const dmarc = await email.parseMessage(rawEmail({ headers: results('mx.example.net; spf=pass; dmarc=pass (p=reject) header.from=example.com') }));
+    const dkim = await email.parseMessage(rawEmail({ headers: results('mx.example.net; dkim=pass header.d=example.com') }));
+    const none = await email.parseMessage(rawEmail({}));
+    const failed = await email.parseMessage(rawEmail({ headers: results('mx.example.net; dkim=fail header.d=example.com; dmarc=fail header.from=example.com') }));
+    const otherDomain = await email.parseMessage(rawEmail({ headers: results('mx.example.net; dkim=pass header.d=evil.com') }));
+    const spfOnly = await email.parseMessage(rawEmail({ headers: results('mx.example.net; spf=pass smtp.mailfrom=example.com') }));
+    const smuggled = await email.parseMessage(rawEmail({
+      headers: [
+        'Authentication-Results: mx.example.net; dkim=none; dmarc=fail header.from=example.com',
+        'Authentication-Results: evil.com; dmarc=pass header.from=example.com'
+      ]
+    }));
+    check('Authenticated', 'DMARC pass is accepted', dmarc.authenticated === true);
+    check('Authenticated', 'DKIM pass for the From domain is accepted', dkim.authenticated === true);
+    check('Authenticated', 'No Authentication-Results is refused', none.authenticated === false);
+    check('Authenticated', 'Failed DKIM and DMARC are refused', failed.authenticated === false);
+    check('Authenticated', 'DKIM signed by another domain is refused', otherDomain.authenticated === false);
+    check('Authenticated', 'SPF alone is refused', spfOnly.authenticated === false);
+    check('Authenticated', 'Only the topmost header counts', smuggled.authenticated === false);
+
+    process.env.EMAIL_AUTHSERV_ID = 'mx.example.net';
+    const forged = await email.parseMessage(rawEmail({ headers: results('evil.com; dmarc=pass header.from=example.com') }));
+    const below = await email.parseMessage(rawEmail({
+      headers: [
+        'Authentication-Results: relay.example.org; arc=none',
+        'Authentication-Results: mx.example.net; dmarc=pass header.from=example.com'
+      ]
+    }));
+    check('Authenticated', 'EMAIL_AUTHSERV_ID ignores results from other servers', forged.authenticated === false);
+    check('Authenticated', 'EMAIL_AUTHSERV_ID finds its own results', below.authenticated === true);
+    delete process.env.EMAIL_AUTHSERV_ID;
+  } catch (error) {
+    logResult('Authorization', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test parsing, attachments and maildir polling
+ */
+async function testReceiving() {
+  printHeader('Receiving');
+
+  try {
+    const email = new EmailHandler();
+    const source = rawEmail({
+      id: 'receipt-1',
+      subject: 'Lunch',
+      body: 'Team lunch',
+      attachments: [
+        { filename: 'lunch receipt.jpg', contentType: 'image/jpeg', content: 'jpeg bytes' },
+        { filename: 'terms.pdf', contentType: 'application/pdf', content: '%PDF-1.4' }
+      ]
+    });
+
+    const parsed = await email.parseMessage(source);
+    check('Parse', 'Sender, subject and body are read',
+      parsed.from.address === 'owner@example.com' && parsed.from.name === 'Owner' &&
+      parsed.subject === 'Lunch' && parsed.text.trim() === 'Team lunch', parsed);
+    check('Parse', 'Message-ID is kept for threading', parsed.messageId === '<receipt-1@example.com>');
+    check('Parse', 'Both attachments are saved', parsed.attachments.length === 2);
+
+    const [image] = parsed.attachments;
+    check('Attachments', 'File names are made safe', image.filename === 'lunch_receipt.jpg', image.filename);
+    check('Attachments', 'Files are written to disk',
+      fs.readFileSync(image.path, 'utf8') === 'jpeg bytes');
+    check('Attachments', 'URLs are served under BASE_URL',
+      /^https:\/\/bot\.example\.com\/email\/attachments\/[a-f0-9]{32}\/lunch_receipt\.jpg$/.test(image.url), image.url);
+
+    const token = image.url.split('/').slice(-2)[0];
+    check('Attachments', 'Tokens resolve to the saved file', email.getAttachmentPath(token, image.filename) === image.path);
+    check('Attachments', 'Bad tokens and traversal are refused',
+      email.getAttachmentPath('../etc', 'passwd') === null &&
+      email.getAttachmentPath(token, '../../clawdbot.db') === null);
+
+    check('Dedup', 'The same Message-ID is only handled once', await email.parseMessage(source) === null);
+
+    // Maildir polling
+    const newDir = path.join(process.env.EMAIL_MAILDIR, 'new');
+    fs.mkdirSync(newDir, { recursive: true });
+    fs.writeFileSync(path.join(newDir, '1.a'), rawEmail({ id: 'poll-1', body: 'first' }));
+    fs.writeFileSync(path.join(newDir, '2.b'), rawEmail({ id: 'poll-2', body: 'second' }));
+    fs.writeFileSync(path.join(newDir, '3.c'), rawEmail({ id: 'poll-1', body: 'first again' }));
+
+    const handled = [];
+    const count = await email.pollOnce(async mail => handled.push(mail.text.trim()));
+    check('Maildir', 'New messages are handed over in order',
+      count === 2 && handled.join(',') === 'first,second', handled);
+    check('Maildir', 'Messages are moved to cur/ as seen',
+      fs.readdirSync(newDir).length === 0 &&
+      fs.readdirSync(path.join(process.env.EMAIL_MAILDIR, 'cur')).every(name => name.endsWith(':2,S')));
+    check('Maildir', 'An empty inbox polls nothing', await email.pollOnce(async () => {}) === 0);
+    check('Maildir', 'Polling without a callback is a no-op', await new EmailHandler().pollOnce() === 0);
+  } catch (error) {
+    logResult('Receiving', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test normalisation and platform detection
+ */
+async function testNormalizeAndDetect() {
+  printHeader('Normalize & Detect');
+
+  try {
+    const email = new EmailHandler();
+    const parsed = await email.parseMessage(rawEmail({
+      id: 'norm-1',
+      subject: 'Re: Expenses',
+      body: '',
+      attachments: [{ filename: 'taxi.png', contentType: 'image/png', content: 'png' }]
+    }));
+    const message = MessagingPlatform.normalizeIncoming('email', parsed);
+
+    check('Normalize', 'Address is the user ID and reply target',
+      message.userId === 'owner@example.com' && message.fromNumber === 'owner@example.com' && message.platform === 'email');
+    check('Normalize', 'Empty body uses the subject', message.text === 'Expenses', message.text);
+    check('Normalize', 'First attachment is the media',
+      message.numMedia === 1 && message.mediaType === 'image/png' && message.mediaUrl === parsed.attachments[0].url);
+    check('Normalize', 'Missing sender gives no user',
+      MessagingPlatform.normalizeIncoming('email', { subject: 'x' }).userId === null);
+
+    check('Detect', 'Addresses are detected as email', MessagingPlatform.detectPlatform('owner@example.com') === 'email');
+    check('Detect', 'WhatsApp numbers are unaffected', MessagingPlatform.detectPlatform('whatsapp:+447700900001') === 'whatsapp');
+    check('Detect', 'Telegram IDs are not taken for email', MessagingPlatform.detectPlatform('-1001234567890') !== 'email');
+
+    check('Registry', 'Chat registry detects addresses', chatRegistry.detectPlatform('owner@example.com') === 'email');
+    check('Registry', 'Chat registry detects email: prefix', chatRegistry.detectPlatform('email:owner@example.com') === 'email');
+    chatRegistry.registerChat('owner@example.com', 'repo', 'aws-clawd-bot');
+    check('Registry', 'Stats count email chats', chatRegistry.getStats().byPlatform.email === 1, chatRegistry.getStats().byPlatform);
+    chatRegistry.unregisterChat('owner@example.com');
+  } catch (error) {
+    logResult('Normalize & Detect', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test threaded, batched replies
+ */
+async function testSending() {
+  printHeader('Sending');
+
+  try {
+    const unconfigured = new EmailHandler();
+    check('Send', 'Without SMTP nothing is sent',
+      await unconfigured.sendEmail({ to: 'owner@example.com', subject: 'x', text: 'y' }) === null);
+
+    const email = stubbedHandler();
+    await email.sendMessage('owner@example.com', '**Done** - all good\nmore');
+    check('Send', 'New conversations get a subject from the first line',
+      email.sent[0].subject === 'ClawdBot: **Done** - all good' && !email.sent[0].inReplyTo, email.sent[0]);
+    check('Send', 'Bodies are plain text from EMAIL_FROM',
+      email.sent[0].text === 'Done - all good\nmore' && email.sent[0].from === 'ClawdBot <bot@example.com>', email.sent[0]);
+
+    const parsed = await email.parseMessage(rawEmail({ id: 'thread-1', subject: 'Expenses', body: 'expenses' }));
+    email.trackThread(parsed);
+    email.beginReply('owner@example.com');
+    const queued = await email.sendMessage('owner@example.com', 'Working on it...');
+    await email.sendMessage('Owner <owner@example.com>', 'Total: £42');
+    check('Reply', 'Messages are held while a reply is open', queued.queued === true && email.sent.length === 1);
+
+    await email.flushReply('owner@example.com');
+    const reply = email.sent[1];
+    check('Reply', 'One email carries every part', email.sent.length === 2 && reply.text === 'Working on it...\n\nTotal: £42', reply);
+    check('Reply', 'The reply is threaded onto the sender\'s email',
+      reply.subject === 'Re: Expenses' && reply.inReplyTo === '<thread-1@example.com>' &&
+      reply.references.includes('<thread-1@example.com>'), reply);
+    check('Reply', 'Flushing with nothing collected sends nothing',
+      await email.flushReply('owner@example.com') === null && email.sent.length === 2);
+
+    // Through MessagingPlatform
+    messenger.setEmailHandler(email);
+    await messenger.sendToRecipient('Hello from the platform', 'email', 'owner@example.com');
+    check('Platform', 'sendToRecipient delivers by email',
+      email.sent.length === 3 && email.sent[2].to === 'owner@example.com' && email.sent[2].text === 'Hello from the platform');
+  } catch (error) {
+    logResult('Sending', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test outbound uses: invoices, morning brief, alert escalation
+ */
+async function testOutbound() {
+  printHeader('Invoices, Brief & Alerts');
+
+  try {
+    const email = stubbedHandler(getEmailHandler());
+
+    const InvoicesSkill = require('../skills/invoices');
+    const skill = new InvoicesSkill({});
+    const pdfDir = path.join(process.env.CLAWDBOT_DATA_DIR, 'invoices');
+    fs.mkdirSync(pdfDir, { recursive: true });
+    skill.generatePDF = async invoice => {
+      const file = path.join(pdfDir, `${invoice.invoice_number}.txt`);
+      fs.writeFileSync(file, invoice.invoice_number);
+      return file;
+    };
+
+    const context = { from: 'user-1', chatId: 'chat-1' };
+    const first = db.saveInvoice('user-1', { clientName: 'Acme Ltd', amount: 1200 });
+    const bad = await skill.execute(`invoice send ${first.invoiceNumber} to not-an-email`, context);
+    check('Invoice', 'Invalid addresses are rejected', !bad.success && /Invalid email/.test(bad.message), bad.message);
+
+    const sent = await skill.execute(`invoice send ${first.invoiceNumber} to Accounts@Acme.example`, context);
+    const mail = email.sent[email.sent.length - 1];
+    check('Invoice', 'The invoice is emailed with its PDF',
+      sent.success && mail.to === 'accounts@acme.example' && mail.subject === `Invoice ${first.invoiceNumber}` &&
+      mail.attachments[0].filename === `${first.invoiceNumber}.txt`, { message: sent.message, mail });
+    check('Invoice', 'The reply names the recipient', /Emailed to: accounts@acme\.example/.test(sent.message));
+    check('Invoice', 'The address is remembered on the invoice',
+      db.getInvoice(first.id).client_email === 'accounts@acme.example' && db.getInvoice(first.id).status === 'sent');
+
+    const second = db.saveInvoice('user-1', { clientName: 'Beta plc', amount: 90 });
+    db.setInvoiceClientEmail(second.id, 'ap@beta.example');
+    email.transport.sendMail = async () => { throw new Error('SMTP down'); };
+    const failed = await skill.execute(`invoice send ${second.invoiceNumber}`, context);
+    check('Invoice', 'A failed delivery keeps the invoice a draft',
+      !failed.success && /Failed to email/.test(failed.message) && db.getInvoice(second.id).status === 'draft', failed.message);
+    stubbedHandler(email);
+
+    const third = db.saveInvoice('user-1', { clientName: 'Gamma', amount: 10 });
+    const plain = await skill.execute(`invoice send ${third.invoiceNumber}`, context);
+    check('Invoice', 'Without an address it is only marked as sent',
+      plain.success && email.sent.length === 0 && !/Emailed to/.test(plain.message));
+
+    // Morning brief
+    const morningBrief = require('../scheduler/jobs/morning-brief');
+    const briefSent = await morningBrief.sendEmailBrief('*Good morning*\n3 tasks pending');
+    check('Brief', 'The brief is emailed to MORNING_BRIEF_EMAIL',
+      briefSent === true && email.sent[0].to === 'owner@example.com' && /^Morning Brief - /.test(email.sent[0].subject) &&
+      email.sent[0].text === 'Good morning\n3 tasks pending', email.sent[0]);
+
+    // Alert escalation
+    const alerts = new AlertEscalation();
+    const withoutEmail = alerts.getNextStep(STEPS.WHATSAPP);
+    const plainDelay = alerts.getEscalationDelay(STEPS.WHATSAPP);
+    alerts.initialize({ email: async () => {} });
+    check('Escalation', 'Email sits between WhatsApp and voice',
+      alerts.getNextStep(STEPS.WHATSAPP) === STEPS.EMAIL && alerts.getNextStep(STEPS.EMAIL) === STEPS.VOICE);
+    check('Escalation', 'Without an email sender WhatsApp goes straight to voice', withoutEmail === STEPS.VOICE);
+    check('Escalation', 'Voice still comes after the same total delay',
+      alerts.getEscalationDelay(STEPS.WHATSAPP) + alerts.getEscalationDelay(STEPS.EMAIL) === plainDelay &&
+      alerts.getEscalationDelay(STEPS.WHATSAPP) === alerts.config.whatsappToEmailDelay);
+  } catch (error) {
+    logResult('Invoices, Brief & Alerts', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Email Channel Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testFormatting();
+    await testAuthorization();
+    await testReceiving();
+    await testNormalizeAndDetect();
+    await testSending();
+    await testOutbound();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
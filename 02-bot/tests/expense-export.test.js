@@ -0,0 +1,390 @@
+/**
+ * Expense Export Test Suite
+ *
+ * Tests for lib/expense-export: the ledger CSV, the Xero and QuickBooks
+ * bank import files, the zip of receipt images, "expenses export <period>
+ * [company]" in the receipts skill, and MessagingPlatform.sendDocuments()
+ * delivering the files on Telegram, email and platforms without uploads.
+ *
+ * Run with: node 02-bot/tests/expense-export.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Isolated SQLite databases and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-expense-export-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.ACCESS_DEFAULT_ROLE;
+delete process.env.TIMEZONE;
+process.env.FX_FALLBACK_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'no-fallback-rates.json');
+
+const USER = '730000001';
+process.env.ACCESS_OWNERS = USER;
+
+const db = require('../lib/database');
+const memory = require('../memory/memory-manager');
+const expenseExport = require('../lib/expense-export');
+const { MessagingPlatform } = require('../lib/messaging-platform');
+const registry = require('../skills/skill-registry');
+const ReceiptsSkill = require('../skills/receipts');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const receipts = new ReceiptsSkill({ memory });
+registry.register(receipts);
+
+// No network in tests: one pound is 1.25 dollars
+db.saveFxRates('GBP', { USD: 1.25 }, { date: '2026-09-30', source: 'test' });
+
+function as(userId, extra = {}) {
+  return { userId, chatId: userId, platform: 'telegram', ...extra };
+}
+
+/**
+ * Read a zip back: name -> { data, method } for every central directory entry
+ */
+function readZip(buffer) {
+  const entries = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let pos = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const method = buffer.readUInt16LE(pos + 10);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const size = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const offset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const body = buffer.subarray(start, start + size);
+    const data = method === 8 ? zlib.inflateRawSync(body) : body;
+    entries[name] = { data, method, crcOk: expenseExport.crc32(data) === crc };
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+// Receipt images on disk
+const IMAGES_DIR = path.join(process.env.CLAWDBOT_DATA_DIR, 'receipts');
+fs.mkdirSync(IMAGES_DIR, { recursive: true });
+const SHELL_IMAGE = Buffer.from([0xff, 0xd8, 0xff, 0xe0, ...Array.from({ length: 200 }, (_, i) => (i * 37) & 0xff)]);
+const PRET_IMAGE = Buffer.from('PNG receipt '.repeat(50));
+
+const ids = {};
+
+function seed() {
+  ids.shell = db.saveExpense(USER, {
+    merchant: 'Shell', date: '2026-08-14', vatAmount: 10, vatRate: 20, supplierVatNumber: 'GB123456789', grossAmount: 60, category: 'Fuel',
+    company: 'GMH', paymentMethod: 'card', cardLast4: '4242'
+  }).id;
+  ids.pret = db.saveExpense(USER, {
+    merchant: 'Pret, "Bank" St', date: '2026-07-02', vatAmount: 1.6, grossAmount: 9.6, category: 'Food & Drink', company: 'GMH'
+  }).id;
+  ids.uber = db.saveExpense(USER, {
+    merchant: '=HYPERLINK("x")', date: '2026-09-30', grossAmount: 25, currency: 'USD', category: 'Transport', company: 'GMH'
+  }).id;
+  ids.kwikfit = db.saveExpense(USER, {
+    merchant: 'Kwik Fit', date: '2026-08-01', vatAmount: 40, grossAmount: 240, category: 'Vehicle Maintenance', company: 'GQCARS'
+  }).id;
+  ids.ryman = db.saveExpense(USER, {
+    merchant: 'Ryman', date: '2026-10-05', grossAmount: 12.5, category: 'Office Supplies', company: 'GMH'
+  }).id;
+
+  const shellPath = path.join(IMAGES_DIR, `expense-${ids.shell}.jpg`);
+  const pretPath = path.join(IMAGES_DIR, `expense-${ids.pret}.png`);
+  fs.writeFileSync(shellPath, SHELL_IMAGE);
+  fs.writeFileSync(pretPath, PRET_IMAGE);
+  db.updateExpense(ids.shell, { attachmentPath: shellPath });
+  db.updateExpense(ids.pret, { attachmentPath: pretPath });
+  // Image recorded but since deleted - left out of the zip
+  db.updateExpense(ids.uber, { attachmentPath: path.join(IMAGES_DIR, 'gone.jpg') });
+}
+
+const Q3_GMH = { from: '2026-07-01', to: '2026-09-30', company: 'GMH' };
+
+// ============================================================================
+// Formats
+// ============================================================================
+
+async function testFormats() {
+  printHeader('Formats');
+
+  const { expenses } = await expenseExport.exportExpenses(Q3_GMH);
+  check('Formats', 'Period and company filter, oldest first',
+    expenses.map(e => e.id).join() === [ids.pret, ids.shell, ids.uber].join(), expenses.map(e => e.id));
+
+  const csvLines = expenseExport.buildCsv(expenses).split('\r\n');
+  check('Formats', 'CSV header',
+    csvLines[0] === 'ID,Date,Merchant,Company,Category,Net,VAT,VAT Rate,Supplier VAT Number,Gross,Currency,FX Rate,Rate Date,Gross (GBP),Payment Method,Card,Notes,Receipt', csvLines[0]);
+  check('Formats', 'CSV quotes commas and doubles quotes',
+    csvLines[1] === `${ids.pret},2026-07-02,"Pret, ""Bank"" St",GMH,Food & Drink,8.00,1.60,,,9.60,GBP,1,,9.60,,,,receipts/${ids.pret}-2026-07-02-pret-bank-st.png`, csvLines[1]);
+  check('Formats', 'CSV row has net, VAT, card and receipt name',
+    csvLines[2] === `${ids.shell},2026-08-14,Shell,GMH,Fuel,50.00,10.00,20,GB123456789,60.00,GBP,1,,60.00,card,4242,,receipts/${ids.shell}-2026-08-14-shell.jpg`, csvLines[2]);
+  check('Formats', 'Formula-like text is defused, missing image left blank',
+    csvLines[3].startsWith(`${ids.uber},2026-09-30,"'=HYPERLINK(""x"")"`) && csvLines[3].endsWith(',,,,'), csvLines[3]);
+  check('Formats', 'Foreign expense has its rate, rate date and GBP amount',
+    csvLines[3].includes(',,,25.00,USD,0.8,2026-09-30,20.00,'), csvLines[3]);
+  check('Formats', 'CSV ends with a line break', csvLines[csvLines.length - 1] === '', csvLines.length);
+
+  const xero = expenseExport.buildXero(expenses).split('\r\n');
+  check('Formats', 'Xero header', xero[0] === '*Date,*Amount,Payee,Description,Reference', xero[0]);
+  check('Formats', 'Xero row: UK date, negative amount, reference',
+    xero[2] === `14/08/2026,-60.00,Shell,Fuel - GMH,Expense #${ids.shell}`, xero[2]);
+  check('Formats', 'Xero amount in GBP, foreign amount in the description',
+    xero[3].includes('Transport - GMH (USD 25.00)') && xero[3].includes(',-20.00,'), xero[3]);
+
+  const quickbooks = expenseExport.buildQuickBooks(expenses).split('\r\n');
+  check('Formats', 'QuickBooks header', quickbooks[0] === 'Date,Description,Amount', quickbooks[0]);
+  check('Formats', 'QuickBooks row',
+    quickbooks[2] === `14/08/2026,Shell - Fuel - GMH - #${ids.shell},-60.00`, quickbooks[2]);
+
+  const risky = expenseExport.buildXero([
+    { id: 90, expense_date: '2026-09-01', merchant: '-1+cmd|x', gross_amount: 5, fx_rate: 1, category: '\tTab' },
+    { id: 91, expense_date: '2026-09-02', merchant: '+SUM(A1)', gross_amount: 5, fx_rate: 1, category: '\rCR' },
+    { id: 92, expense_date: '2026-09-03', merchant: '@cmd', gross_amount: 5, fx_rate: 1, category: 'Misc' }
+  ]).split('\r\n');
+  check('Formats', 'Text starting with - + @ tab or CR is defused, negative amounts are not',
+    risky[1] === "01/09/2026,-5.00,'-1+cmd|x,'\tTab,Expense #90" &&
+    risky[2] === `02/09/2026,-5.00,'+SUM(A1),"'\rCR",Expense #91` &&
+    risky[3] === "03/09/2026,-5.00,'@cmd,Misc,Expense #92", risky);
+
+  check('Formats', 'crc32 check value', expenseExport.crc32(Buffer.from('123456789')) === 0xCBF43926,
+    expenseExport.crc32(Buffer.from('123456789')).toString(16));
+
+  const zip = readZip(expenseExport.buildZip(expenses));
+  const names = Object.keys(zip);
+  check('Formats', 'Zip holds the CSV and each image on disk',
+    names.join() === ['expenses.csv', `receipts/${ids.pret}-2026-07-02-pret-bank-st.png`, `receipts/${ids.shell}-2026-08-14-shell.jpg`].join(), names);
+  check('Formats', 'Zipped images match the originals',
+    zip[names[1]].data.equals(PRET_IMAGE) && zip[names[2]].data.equals(SHELL_IMAGE), names);
+  check('Formats', 'Compressible files are deflated, others stored',
+    zip['expenses.csv'].method === 8 && zip[names[2]].method === 0, names.map(n => zip[n].method));
+  check('Formats', 'CRCs match', names.every(n => zip[n].crcOk), names);
+  check('Formats', 'Zipped CSV is the ledger CSV', zip['expenses.csv'].data.toString() === expenseExport.buildCsv(expenses), null);
+
+  const kwikfit = await expenseExport.exportExpenses({ company: 'GQCARS' });
+  check('Formats', 'No zip without receipt images',
+    kwikfit.files.map(f => f.format).join() === 'csv,xero,quickbooks', kwikfit.files.map(f => f.format));
+  check('Formats', 'No files when nothing matches',
+    (await expenseExport.exportExpenses({ from: '2025-01-01', to: '2025-01-31' })).files.length === 0, null);
+
+  // No rate to GBP: kept in the full CSV, left out of the bank imports and listed
+  const arcade = db.saveExpense(USER, {
+    merchant: 'Arcade', date: '2026-06-15', grossAmount: 500, currency: 'XTS', category: 'Games', company: 'GMH'
+  }).id;
+  const june = await expenseExport.exportExpenses({ from: '2026-06-01', to: '2026-06-30' });
+  const juneFile = format => june.files.find(f => f.format === format).content.toString().split('\r\n');
+  check('Formats', 'Expenses with no rate are listed as unconverted', june.unconverted.join() === String(arcade), june.unconverted);
+  check('Formats', 'They are left out of the Xero and QuickBooks files',
+    juneFile('xero').length === 2 && juneFile('quickbooks').length === 2, [juneFile('xero'), juneFile('quickbooks')]);
+  check('Formats', 'They stay in the full CSV, with no GBP amount',
+    juneFile('csv')[1].includes(',500.00,XTS,,,,'), juneFile('csv')[1]);
+  db.deleteExpense(arcade);
+
+  check('Formats', 'File names',
+    expenseExport.exportFilename('csv', Q3_GMH) === 'expenses-GMH-2026-07-01-to-2026-09-30.csv' &&
+    expenseExport.exportFilename('xero', { from: '2026-03-01' }) === 'expenses-2026-03-01-to-date-xero.csv' &&
+    expenseExport.exportFilename('quickbooks', { to: '2026-03-31' }) === 'expenses-to-2026-03-31-quickbooks.csv' &&
+    expenseExport.exportFilename('zip', {}) === 'expenses-all-receipts.zip', null);
+
+  let threw = false;
+  try {
+    expenseExport.buildExports(expenses, {}, ['pdf']);
+  } catch (err) {
+    threw = /Unknown export format: pdf/.test(err.message);
+  }
+  check('Formats', 'Unknown format is refused', threw, null);
+}
+
+// ============================================================================
+// Receipts skill
+// ============================================================================
+
+async function testSkill() {
+  printHeader('Receipts Skill');
+
+  const result = await registry.route('expenses export Q3 2026 GMH', as(USER));
+  const files = (result.documents || []).map(doc => doc.filename);
+  check('Skill', 'expenses export <period> <company> sends four files',
+    files.join() === [
+      'expenses-GMH-2026-07-01-to-2026-09-30.csv',
+      'expenses-GMH-2026-07-01-to-2026-09-30-xero.csv',
+      'expenses-GMH-2026-07-01-to-2026-09-30-quickbooks.csv',
+      'expenses-GMH-2026-07-01-to-2026-09-30-receipts.zip'
+    ].join(), files);
+  check('Skill', 'Documents are buffers with content types',
+    (result.documents || []).every(doc => Buffer.isBuffer(doc.content) && doc.contentType), null);
+  check('Skill', 'Message has the heading, count and GBP total',
+    /Expense Export: GMH, Q3 2026/.test(result.message) && /3 expense\(s\), GBP 89\.60/.test(result.message), result.message);
+  check('Skill', 'Message lists the files', result.message.includes('expenses-GMH-2026-07-01-to-2026-09-30-xero.csv - Xero bank statement import'), result.message);
+
+  const leading = await registry.route('expenses export gqcars august 2026', as(USER));
+  check('Skill', 'Company can come first',
+    leading.success && leading.documents && leading.documents[0].filename === 'expenses-GQCARS-2026-08-01-to-2026-08-31.csv', leading.message);
+  check('Skill', 'No zip is explained', /no receipt images/i.test(leading.message), leading.message);
+
+  const all = await registry.route('expenses export all', as(USER));
+  check('Skill', 'expenses export all', all.success && /5 expense\(s\)/.test(all.message) && all.documents.length === 4, all.message);
+
+  const arcade = db.saveExpense(USER, { merchant: 'Arcade', date: '2026-06-15', grossAmount: 500, currency: 'XTS', category: 'Games' }).id;
+  const june = await registry.route('expenses export june 2026', as(USER));
+  check('Skill', 'Expenses left out of the bank imports are named',
+    june.success && june.message.includes(`1 expense(s) left out of the Xero and QuickBooks files: no exchange rate for their currency (#${arcade})`), june.message);
+  db.deleteExpense(arcade);
+
+  const none = await registry.route('expenses export 2025', as(USER));
+  check('Skill', 'Empty period sends nothing', none.success && !none.documents && /No expenses to export for 2025/.test(none.message), none.message);
+
+  const bad = await registry.route('expenses export whenever', as(USER));
+  check('Skill', 'Unreadable period is refused', !bad.success && /Couldn't read the period "whenever"/.test(bad.message), bad.message);
+
+  const listed = await registry.route('expenses Q3 2026', as(USER));
+  check('Skill', 'expenses <period> still lists', listed.success && !listed.documents && /Expenses: Q3 2026/.test(listed.message), listed.message);
+}
+
+// ============================================================================
+// Delivery
+// ============================================================================
+
+async function testDelivery() {
+  printHeader('Delivery');
+
+  const documents = [
+    { filename: 'a.csv', content: Buffer.from('x\r\n') },
+    { filename: 'b.zip', content: Buffer.from('zip') }
+  ];
+  const sent = [];
+  const messenger = new MessagingPlatform();
+  messenger.initialize({
+    telegramHandler: {
+      sendMessage: async (chatId, text) => sent.push({ type: 'text', chatId, text }),
+      sendMediaMessage: async (chatId, file, type) => sent.push({ type, chatId, file })
+    },
+    emailHandler: {
+      sendMessage: async (to, text, options) => sent.push({ type: 'email', to, text, options })
+    },
+    twilioClient: {
+      messages: { create: async (message) => sent.push({ type: 'whatsapp', ...message }) }
+    }
+  });
+
+  const telegram = await messenger.sendDocuments('Export ready', 'telegram', '42', documents);
+  check('Delivery', 'Telegram: text, then each file as a document',
+    telegram && sent.length === 3 && sent[0].text === 'Export ready' &&
+    sent[1].type === 'document' && sent[1].file.filename === 'a.csv' && sent[1].file.source === documents[0].content &&
+    sent[2].file.filename === 'b.zip', sent);
+
+  sent.length = 0;
+  await messenger.sendDocuments('Export ready', 'email', 'accounts@example.com', documents);
+  check('Delivery', 'Email: one message with attachments',
+    sent.length === 1 && sent[0].options.attachments.map(a => a.filename).join() === 'a.csv,b.zip' &&
+    sent[0].options.attachments[1].content === documents[1].content, sent);
+
+  sent.length = 0;
+  await messenger.sendDocuments('Export ready', 'whatsapp', '+447700900000', documents);
+  check('Delivery', 'Other platforms get the file names',
+    sent.length === 1 && /Export ready/.test(sent[0].body) && /• a\.csv\n• b\.zip/.test(sent[0].body), sent);
+
+  sent.length = 0;
+  await messenger.sendDocuments('Just text', 'telegram', '42', []);
+  check('Delivery', 'No documents is a plain send', sent.length === 1 && sent[0].type === 'text', sent);
+}
+
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Expense Export Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await receipts.initialize();
+    seed();
+    await testFormats();
+    await testSkill();
+    await testDelivery();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
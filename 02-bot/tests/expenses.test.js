@@ -0,0 +1,400 @@
+/**
+ * Expenses Test Suite
+ *
+ * Tests for the expense ledger: the one-time import of data/receipts.json
+ * and data/expenses.json into the expenses table, ledger queries with
+ * company, category and date-range filters, budgets joined against
+ * spending, and the receipts and analytics skills reading from it
+ * (confirming receipts, "expenses by company GMH", "expenses last month").
+ *
+ * Run with: node 02-bot/tests/expenses.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+
+// Isolated SQLite databases and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-expenses-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.ACCESS_DEFAULT_ROLE;
+delete process.env.TIMEZONE;
+process.env.FX_FALLBACK_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'no-fallback-rates.json');
+
+const USER = '720000001';
+const GROUP = '-100720';
+process.env.ACCESS_OWNERS = USER;
+
+// Files from before the expenses table, imported when the database opens
+const RECEIPTS_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'receipts.json');
+const EXPENSES_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'expenses.json');
+fs.writeFileSync(RECEIPTS_FILE, JSON.stringify({
+  receipts: [
+    { id: 3, date: '2026-01-14', vendor: 'Shell', amount: 60, currency: 'GBP', vat: 10, category: 'Fuel', paymentMethod: 'card', last4: '4242', confidence: 0.9, savedAt: '2026-01-14T09:00:00.000Z' },
+    { id: 7, date: 'Not stated', vendor: 'Ryman', amount: 12.5, currency: 'GBP', vat: null, category: 'Office Supplies', paymentMethod: 'Not stated', last4: null, confidence: 0.6, savedAt: '2026-02-02T10:00:00.000Z' }
+  ],
+  nextId: 8
+}));
+fs.writeFileSync(EXPENSES_FILE, JSON.stringify({
+  expenses: [
+    { id: 1, vendor: 'Kwik Fit', amount: 240, currency: 'GBP', date: '2026-02-10', category: 'Vehicle Maintenance', vat: 40, company: 'GQCARS', userId: USER, createdAt: '2026-02-10T12:00:00.000Z' }
+  ],
+  nextId: 2
+}));
+
+const db = require('../lib/database');
+const memory = require('../memory/memory-manager');
+const chatRegistry = require('../lib/chat-registry');
+const receiptProcessor = require('../lib/actions/receipt-processor');
+const registry = require('../skills/skill-registry');
+const ReceiptsSkill = require('../skills/receipts');
+const AnalyticsSkill = require('../skills/analytics');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const receipts = new ReceiptsSkill({ memory });
+const analytics = new AnalyticsSkill({ memory });
+registry.register(receipts);
+registry.register(analytics);
+
+// No network in tests: one pound is 1.25 dollars
+db.saveFxRates('GBP', { USD: 1.25 }, { date: '2026-01-01', source: 'test' });
+db.saveFxRates('GBP', { USD: 1.25 }, { date: moment().format('YYYY-MM-DD'), source: 'test' });
+
+function as(userId, chatId = userId, extra = {}) {
+  return { userId, chatId, platform: 'telegram', ...extra };
+}
+
+function idFrom(result) {
+  const match = String(result.message || '').match(/#(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function pending(overrides = {}) {
+  return {
+    merchant_name: 'Pret',
+    receipt_date: moment().format('YYYY-MM-DD'),
+    currency: 'GBP',
+    total: 9.6,
+    subtotal: 8,
+    tax: 1.6,
+    payment_method: 'card',
+    last4: '1111',
+    category: 'Food & Drink',
+    extraction_confidence: 0.95,
+    imageUrl: null,
+    ...overrides
+  };
+}
+
+const THIS_MONTH = moment().format('YYYY-MM');
+const LAST_MONTH = moment().subtract(1, 'month').format('YYYY-MM');
+
+// ============================================================================
+// Import from JSON
+// ============================================================================
+
+function testImport() {
+  printHeader('Import from JSON Files');
+
+  const shell = db.getExpense(3);
+  check('Import', 'receipts.json IDs are kept', shell && shell.merchant === 'Shell', shell);
+  check('Import', 'Gross, VAT and net from amount and VAT',
+    shell && shell.gross_amount === 60 && shell.vat_amount === 10 && shell.net_amount === 50, shell);
+  check('Import', 'Payment details kept', shell && shell.payment_method === 'card' && shell.card_last4 === '4242', shell);
+  check('Import', 'Saved time kept', shell && shell.created_at === '2026-01-14 09:00:00', shell && shell.created_at);
+
+  const ryman = db.getExpense(7);
+  check('Import', '"Not stated" is stored empty',
+    ryman && ryman.expense_date === null && ryman.payment_method === null && ryman.vat_amount === null, ryman);
+
+  const kwikFit = db.listExpenses({ company: 'GQCARS' });
+  check('Import', 'expenses.json rows imported with their company',
+    kwikFit.length === 1 && kwikFit[0].merchant === 'Kwik Fit' && kwikFit[0].user_id === USER, kwikFit);
+
+  check('Import', 'Files renamed so they import once',
+    !fs.existsSync(RECEIPTS_FILE) && fs.existsSync(`${RECEIPTS_FILE}.migrated`) &&
+    !fs.existsSync(EXPENSES_FILE) && fs.existsSync(`${EXPENSES_FILE}.migrated`));
+}
+
+// ============================================================================
+// Ledger
+// ============================================================================
+
+function testLedger() {
+  printHeader('Expense Ledger');
+
+  const saved = db.saveExpense(USER, {
+    merchant: 'AWS', date: '2026-03-05', grossAmount: 120, vatAmount: 20,
+    currency: 'usd', category: 'Subscriptions', company: 'gmh'
+  });
+  check('Ledger', 'saveExpense returns an ID', saved && saved.id > 7, saved);
+  const aws = db.getExpense(saved.id);
+  check('Ledger', 'Company and currency upper-cased', aws.company === 'GMH' && aws.currency === 'USD', aws);
+
+  check('Ledger', 'Filter by company (any case)', db.listExpenses({ company: 'gmh' }).length === 1);
+  check('Ledger', 'Filter by date range is inclusive',
+    db.listExpenses({ from: '2026-01-14', to: '2026-02-10' }).map(e => e.merchant).join() === 'Kwik Fit,Shell');
+  check('Ledger', 'Filter by month', db.listExpenses({ month: '2026-03' }).length === 1);
+  check('Ledger', 'Date filters leave out undated expenses',
+    !db.listExpenses({ from: '2000-01-01' }).some(e => e.id === 7));
+  check('Ledger', 'Filter by category (any case)', db.listExpenses({ category: 'fuel' }).length === 1);
+  check('Ledger', 'Limit', db.listExpenses({ limit: 2 }).length === 2);
+
+  const byCompany = db.getExpenseTotals({}, ['company']);
+  const gqcars = byCompany.find(row => row.company === 'GQCARS');
+  const unassigned = byCompany.find(row => row.company === 'Unassigned');
+  check('Ledger', 'Totals by company', gqcars && gqcars.gross === 240 && gqcars.vat === 40 && gqcars.net === 200, byCompany);
+  check('Ledger', 'Expenses with no company total as Unassigned', unassigned && unassigned.count === 2, byCompany);
+
+  const byMonth = db.getExpenseTotals({ from: '2026-01-01', to: '2026-03-31' }, ['month', 'currency']);
+  check('Ledger', 'Totals by month and currency', byMonth.length === 3 && byMonth.some(r => r.month === '2026-03' && r.currency === 'USD'), byMonth);
+  check('Ledger', 'Unknown groupings are ignored', db.getExpenseTotals({}, ['user_id; DROP TABLE expenses'])[0].count === 4);
+
+  check('Ledger', 'updateExpense changes allowed fields', db.updateExpense(saved.id, { company: 'gacc', category: 'Software', id: 1 }) === 1);
+  const updated = db.getExpense(saved.id);
+  check('Ledger', 'Updated fields stored', updated.company === 'GACC' && updated.category === 'Software', updated);
+
+  // Each user's budgets count only their own expenses - not the other user's,
+  // nor the ownerless Shell receipt from receipts.json
+  const OTHER = '720000002';
+  const ours = db.saveExpense(USER, { merchant: 'Esso', date: '2026-01-18', grossAmount: 35, category: 'fuel' });
+  const theirs = db.saveExpense(OTHER, { merchant: 'BP', date: '2026-01-20', grossAmount: 45, category: 'Fuel' });
+  db.saveBudget(USER, 'Fuel', 100);
+  db.saveBudget(USER, 'Travel', 50);
+  db.saveBudget(OTHER, 'Fuel', 80);
+  const spending = db.getBudgetSpending(USER, { from: '2026-01-01', to: '2026-01-31' });
+  const others = db.getBudgetSpending(OTHER, { from: '2026-01-01', to: '2026-01-31' });
+  check('Ledger', 'Budgets joined with spending in the period',
+    spending.length === 2 && spending.find(r => r.category === 'Fuel').spent === 35 &&
+    spending.find(r => r.category === 'Travel').spent === 0, spending);
+  check('Ledger', 'Budgets only count their owner\'s spending',
+    others.length === 1 && others[0].spent === 45 && others[0].count === 1, others);
+  db.deleteExpense(ours.id);
+  db.deleteExpense(theirs.id);
+
+  const deleted = db.deleteExpense(saved.id);
+  check('Ledger', 'deleteExpense returns the expense', deleted && deleted.merchant === 'AWS', deleted);
+  check('Ledger', 'Deleting a missing expense returns null', db.deleteExpense(saved.id) === null);
+}
+
+// ============================================================================
+// Receipts skill
+// ============================================================================
+
+async function testReceipts() {
+  printHeader('Receipts Skill');
+
+  receipts.pendingReceipts.set(USER, pending());
+  const confirmed = await registry.route('confirm GMH', as(USER));
+  const id = idFrom(confirmed);
+  const saved = id && db.getExpense(id);
+  check('Receipts', 'confirm <company> saves to the ledger', confirmed.success && saved && saved.company === 'GMH', confirmed.message);
+  check('Receipts', 'Net, VAT and gross stored', saved && saved.net_amount === 8 && saved.vat_amount === 1.6 && saved.gross_amount === 9.6, saved);
+  check('Receipts', 'Who confirmed it is recorded', saved && saved.user_id === USER, saved);
+
+  chatRegistry.registerChat(GROUP, 'company', 'GQCARS');
+  receipts.pendingReceipts.set(USER, pending({ merchant_name: 'BP', category: 'Fuel', total: 80, subtotal: null, tax: null }));
+  const inChat = await registry.route('confirm', as(USER, GROUP, { autoCompany: 'GQCARS' }));
+  const bp = db.getExpense(idFrom(inChat));
+  check('Receipts', 'confirm in a company chat uses its company', bp && bp.company === 'GQCARS' && bp.net_amount === 80, bp);
+  check('Receipts', 'Budget warning from the budgets join', /Budget Warning:\* Fuel at 80%/.test(inChat.message), inChat.message);
+
+  receipts.pendingReceipts.set(USER, pending({ merchant_name: 'Uber', category: 'Transport', total: 25, currency: 'USD', tax: null, subtotal: null }));
+  const noCompany = await registry.route('confirm', as(USER));
+  check('Receipts', 'confirm without a company suggests assigning one', /expense #\d+ company <code>/.test(noCompany.message), noCompany.message);
+
+  receipts.pendingReceipts.set(USER, pending());
+  const badCompany = await registry.route('confirm ACME', as(USER));
+  check('Receipts', 'Unknown company is refused', !badCompany.success && /Unknown company: ACME/.test(badCompany.message), badCompany.message);
+  receipts.pendingReceipts.delete(USER);
+
+  const uberId = idFrom(noCompany);
+  const assigned = await registry.route(`expense #${uberId} company gmh`, as(USER));
+  check('Receipts', 'expense #<id> company <code>', assigned.success && db.getExpense(uberId).company === 'GMH', assigned.message);
+  const missing = await registry.route('expense #9999 company GMH', as(USER));
+  check('Receipts', 'Assigning a missing expense fails', !missing.success, missing.message);
+
+  const gmh = await registry.route('expenses by company GMH', as(USER));
+  check('Receipts', 'expenses by company GMH lists its expenses',
+    gmh.success && /Pret/.test(gmh.message) && /Uber/.test(gmh.message) && !/#\d+ BP/.test(gmh.message), gmh.message);
+  // 9.60 GBP + 25 USD at 1.25 = 29.60
+  check('Receipts', 'Company totals converted to GBP', /Total: GBP 29\.60/.test(gmh.message), gmh.message);
+
+  const all = await registry.route('expenses by company', as(USER));
+  check('Receipts', 'expenses by company totals each company',
+    all.success && /\*GMH\* \(2\)/.test(all.message) && /\*GQCARS\* \(2\)/.test(all.message) && /\*Unassigned\*/.test(all.message), all.message);
+
+  const gqLastYear = await registry.route('expenses by company GQCARS 2025', as(USER));
+  check('Receipts', 'Company and period together', gqLastYear.success && /No expenses recorded for GQCARS, 2025/.test(gqLastYear.message), gqLastYear.message);
+
+  const periodOnly = await registry.route('expenses by company february 2026', as(USER));
+  check('Receipts', 'expenses by company <period>', periodOnly.success && /February 2026/.test(periodOnly.message) && /GQCARS/.test(periodOnly.message), periodOnly.message);
+
+  const badCode = await registry.route('expenses by company ACME', as(USER));
+  check('Receipts', 'Unknown company code is refused', !badCode.success && /Unknown company: ACME/.test(badCode.message), badCode.message);
+
+  const range = await registry.route('expenses from 1/1/2026 to 28/2/2026', as(USER));
+  check('Receipts', 'expenses <date range>',
+    range.success && /Shell/.test(range.message) && /Kwik Fit/.test(range.message) && /Net: GBP 250\.00/.test(range.message), range.message);
+
+  db.saveExpense(USER, { merchant: 'Trainline', date: `${LAST_MONTH}-15`, grossAmount: 30, category: 'Travel' });
+  const lastMonth = await registry.route('expenses last month', as(USER));
+  check('Receipts', 'expenses last month', lastMonth.success && /Trainline/.test(lastMonth.message) && !/Pret/.test(lastMonth.message), lastMonth.message);
+
+  const unclear = await registry.route('expenses 12/25/2026', as(USER));
+  check('Receipts', 'A month-first date is asked about', unclear.needsClarification && unclear.options.includes('expenses 25/12/2026'), unclear);
+
+  const unreadable = await registry.route('expenses whenever', as(USER));
+  check('Receipts', 'An unreadable period is an error', !unreadable.success && /Couldn't read the period/.test(unreadable.message), unreadable.message);
+
+  const recent = await registry.route('expenses', as(USER));
+  check('Receipts', 'expenses shows recent expenses', recent.success && /Recent Expenses/.test(recent.message) && /\[GMH\]/.test(recent.message), recent.message);
+
+  const month = await registry.route('receipts this month', as(USER));
+  check('Receipts', 'receipts this month', month.success && /Pret/.test(month.message) && !/Trainline/.test(month.message), month.message);
+
+  const status = await registry.route('budget status', as(USER));
+  check('Receipts', 'budget status uses this month\'s spending', status.success && /Spent: £80\.00 \/ £100\.00/.test(status.message), status.message);
+
+  const report = await registry.route(`expense report ${LAST_MONTH}`, as(USER));
+  check('Receipts', 'expense report for a month', report.success && /Travel: £30\.00/.test(report.message) && /1 receipt\(s\)/.test(report.message), report.message);
+
+  const summary = await registry.route('summary', as(USER));
+  check('Receipts', 'summary covers the whole ledger', summary.success && /Fuel: GBP 140\.00/.test(summary.message), summary.message);
+
+  check('Receipts', 'delete expense is destructive (agent runs pause for confirmation)',
+    receipts.isDestructive(`delete expense #${uberId}`) && !receipts.isDestructive('list receipts'));
+
+  const removed = await registry.route(`delete expense #${uberId}`, as(USER));
+  check('Receipts', 'delete expense', removed.success && /Uber: USD 25\.00/.test(removed.message) && !db.getExpense(uberId), removed.message);
+
+  const imagePath = receiptProcessor.saveAttachment(Buffer.from('receipt'), id, 'image/png');
+  check('Receipts', 'Receipt images kept in the data directory',
+    imagePath === path.join(process.env.CLAWDBOT_DATA_DIR, 'receipts', `expense-${id}.png`) && fs.existsSync(imagePath), imagePath);
+
+  const processorList = receiptProcessor.getExpenses({ company: 'GQCARS', startDate: '2026-02-01' });
+  check('Receipts', 'Receipt processor reads the ledger', processorList.length === 2, processorList);
+  const companySummary = receiptProcessor.getCompanySummary({ company: 'GQCARS' });
+  check('Receipts', 'Receipt processor company summary', companySummary.GQCARS && companySummary.GQCARS.count === 2 &&
+    companySummary.GQCARS.categories.Fuel === 80, companySummary);
+}
+
+// ============================================================================
+// Analytics
+// ============================================================================
+
+async function testAnalytics() {
+  printHeader('Analytics');
+
+  const thisMonth = await registry.route('analytics expenses', as(USER));
+  check('Analytics', 'analytics expenses reads the ledger',
+    thisMonth.success && /Receipts: 2\n/.test(thisMonth.message) && /By Company/.test(thisMonth.message), thisMonth.message);
+  check('Analytics', 'Budget status against this month', /Fuel: £80\.00 \/ £100\.00/.test(thisMonth.message), thisMonth.message);
+
+  const quarter = await registry.route('analytics expenses Q1 2026', as(USER));
+  check('Analytics', 'analytics expenses <period>',
+    quarter.success && /\*Q1 2026\*/.test(quarter.message) && /Total spent: £300\.00/.test(quarter.message) && /GQCARS: £240\.00/.test(quarter.message), quarter.message);
+
+  const unclear = await registry.route('analytics expenses 12/25/2026', as(USER));
+  check('Analytics', 'Ambiguous period is asked about', unclear.needsClarification === true, unclear);
+}
+
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Expenses Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await receipts.initialize();
+    await analytics.initialize();
+    testImport();
+    testLedger();
+    await testReceipts();
+    await testAnalytics();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,317 @@
+/**
+ * Exchange Rates Test Suite
+ *
+ * Tests for lib/fx-rates and the fx_rates table: dated lookups with inverse
+ * and cross rates, the currency skill as the rate source, the offline
+ * fallback file, and the receipts and analytics skills adding expenses in
+ * different currencies up in GBP at the rate stored on each expense.
+ *
+ * Run with: node 02-bot/tests/fx-rates.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+
+// Isolated SQLite databases and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-fx-rates-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.ACCESS_DEFAULT_ROLE;
+delete process.env.TIMEZONE;
+
+const USER = '740000001';
+process.env.ACCESS_OWNERS = USER;
+
+// Fallback file: 1 GBP = rate, for 1 October 2026
+process.env.FX_FALLBACK_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'fallback-rates.json');
+fs.writeFileSync(process.env.FX_FALLBACK_FILE, JSON.stringify({
+  base: 'GBP', date: '2026-10-01', source: 'fallback', rates: { JPY: 200, USD: 1.5 }
+}));
+
+const db = require('../lib/database');
+const memory = require('../memory/memory-manager');
+const fxRates = require('../lib/fx-rates');
+const registry = require('../skills/skill-registry');
+const ReceiptsSkill = require('../skills/receipts');
+const AnalyticsSkill = require('../skills/analytics');
+const CurrencySkill = require('../skills/currency');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const receipts = new ReceiptsSkill({ memory });
+const analytics = new AnalyticsSkill({ memory });
+const currency = new CurrencySkill({ memory });
+registry.register(receipts);
+registry.register(analytics);
+registry.register(currency);
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+function as(userId) {
+  return { userId, chatId: userId, platform: 'telegram' };
+}
+
+function idFrom(result) {
+  const match = String(result.message || '').match(/#(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function near(a, b) {
+  return typeof a === 'number' && Math.abs(a - b) < 1e-9;
+}
+
+function pending(overrides = {}) {
+  return {
+    merchant_name: 'Pret',
+    receipt_date: moment().format('YYYY-MM-DD'),
+    currency: 'GBP',
+    total: 10,
+    subtotal: null,
+    tax: null,
+    payment_method: 'card',
+    last4: '1111',
+    category: 'Travel',
+    extraction_confidence: 0.95,
+    imageUrl: null,
+    ...overrides
+  };
+}
+
+// ============================================================================
+// Stored rates
+// ============================================================================
+
+async function testStoredRates() {
+  printHeader('Stored Rates');
+
+  db.saveFxRates('GBP', { USD: 1.25 }, { date: '2026-10-01', source: 'exchangerate-api.com' });
+  const stored = db.saveFxRates('GBP', { USD: 1.3, EUR: 1.2, GBP: 1, BAD: -1 }, { date: '2026-03-01', source: 'test' });
+  db.saveFxRates('GBP', { USD: 1.4 }, { date: '2026-03-10', source: 'test' });
+  check('Stored', 'Base currency and bad rates are skipped', stored === 2, stored);
+
+  const gbp = await fxRates.getRate('gbp', '2026-03-05');
+  check('Stored', 'GBP converts at 1', gbp && gbp.rate === 1 && gbp.base === 'GBP', gbp);
+
+  const usd = await fxRates.getRate('USD', '2026-03-05');
+  check('Stored', 'Latest rate on or before the day', usd && near(usd.rate, 1 / 1.3) && usd.date === '2026-03-01', usd);
+
+  const later = await fxRates.getRate('USD', '2026-03-12');
+  check('Stored', 'Newer rate used from its day', later && near(later.rate, 1 / 1.4) && later.date === '2026-03-10', later);
+
+  db.saveFxRates('CHF', { GBP: 0.9 }, { date: '2026-03-01', source: 'test' });
+  const chf = await fxRates.getRate('CHF', '2026-03-02');
+  check('Stored', 'Rate from the other currency\'s base', chf && near(chf.rate, 0.9), chf);
+
+  db.saveFxRates('EUR', { SEK: 11, GBP: 0.85 }, { date: '2026-03-01', source: 'test' });
+  const sek = await fxRates.getRate('SEK', '2026-03-03');
+  check('Stored', 'Cross rate through a shared base', sek && near(sek.rate, 0.85 / 11), sek);
+
+  const fields = await fxRates.rateFields('usd', '2026-03-05');
+  check('Stored', 'rateFields for saveExpense()',
+    fields.baseCurrency === 'GBP' && near(fields.fxRate, 1 / 1.3) && fields.fxRateDate === '2026-03-01', fields);
+}
+
+// ============================================================================
+// Rate source and fallback
+// ============================================================================
+
+async function testRateSource() {
+  printHeader('Rate Source');
+
+  const calls = [];
+  fxRates.setRateSource(async (base) => {
+    calls.push(base);
+    fxRates.storeRates(base, { AUD: 2 }, { date: '2026-04-20', source: 'test' });
+  });
+
+  const aud = await fxRates.getRate('AUD', '2026-04-20');
+  check('Source', 'Missing rate is fetched from the rate source',
+    calls.join() === 'GBP' && aud && near(aud.rate, 0.5) && aud.date === '2026-04-20', { calls, aud });
+
+  const stale = await fxRates.getRate('AUD', '2026-05-20');
+  check('Source', 'Rate source is not asked again straight away', calls.length === 1, calls);
+  check('Source', 'Old rate used when nothing newer is known', stale && near(stale.rate, 0.5) && stale.date === '2026-04-20', stale);
+}
+
+async function testFallback() {
+  printHeader('Fallback File');
+
+  const jpy = await fxRates.getRate('JPY', '2026-10-05');
+  check('Fallback', 'Rates from the fallback file', jpy && near(jpy.rate, 1 / 200) && jpy.source === 'fallback', jpy);
+
+  const usd = await fxRates.getRate('USD', '2026-10-01');
+  check('Fallback', 'Fetched rates are not replaced',
+    usd && near(usd.rate, 0.8) && usd.source === 'exchangerate-api.com', usd);
+
+  check('Fallback', 'Loaded once', fxRates.loadFallbackRates() === 0);
+  check('Fallback', 'Unknown currency has no rate', await fxRates.getRate('XYZ', '2026-10-05') === null);
+}
+
+async function testCurrencySkill() {
+  printHeader('Currency Skill');
+
+  const urls = [];
+  const realFetch = global.fetch;
+  global.fetch = async (url) => {
+    urls.push(url);
+    return { ok: true, json: async () => ({ base: 'GBP', date: TODAY, rates: { GBP: 1, EUR: 1.16, USD: 1.33 } }) };
+  };
+
+  try {
+    await currency.initialize();
+    const eur = await fxRates.getRate('EUR', TODAY);
+    check('Currency', 'Currency skill is the rate source',
+      urls.length === 1 && urls[0].endsWith('/GBP') && eur && near(eur.rate, 1 / 1.16), { urls, eur });
+    check('Currency', 'Fetched rates stored with their source',
+      db.findFxRate('USD', 'GBP', TODAY).source === 'exchangerate-api.com', db.findFxRate('USD', 'GBP', TODAY));
+  } finally {
+    global.fetch = realFetch;
+  }
+}
+
+// ============================================================================
+// Expenses in GBP
+// ============================================================================
+
+async function testExpenses() {
+  printHeader('Expenses in GBP');
+
+  db.saveBudget(USER, 'Travel', 50);
+
+  receipts.pendingReceipts.set(USER, pending({ merchant_name: 'Eurostar', currency: 'EUR', total: 23.2 }));
+  const eurostar = db.getExpense(idFrom(await registry.route('confirm GMH', as(USER))));
+  check('Expenses', 'Confirmed receipt keeps its rate and rate date',
+    eurostar && eurostar.base_currency === 'GBP' && near(eurostar.fx_rate, 1 / 1.16) && eurostar.fx_rate_date === TODAY, eurostar);
+
+  receipts.pendingReceipts.set(USER, pending());
+  const pret = db.getExpense(idFrom(await registry.route('confirm GMH', as(USER))));
+  check('Expenses', 'GBP receipt stored at 1', pret && pret.fx_rate === 1 && pret.base_currency === 'GBP', pret);
+
+  // New rates for the same day don't change what was recorded
+  db.saveFxRates('GBP', { EUR: 1 }, { date: TODAY, source: 'test' });
+  check('Expenses', 'Stored rate unchanged by newer rates', near(db.getExpense(eurostar.id).fx_rate, 1 / 1.16));
+
+  const gmh = await registry.route('expenses by company GMH', as(USER));
+  // 10.00 GBP + 23.20 EUR at 1.16 = 30.00
+  check('Expenses', 'Company total adds EUR and GBP in GBP', /Total: GBP 30\.00/.test(gmh.message), gmh.message);
+  check('Expenses', 'Foreign expense shows its GBP amount', /EUR 23\.20 \(GBP 20\.00\)/.test(gmh.message), gmh.message);
+
+  const status = await registry.route('budget status', as(USER));
+  check('Expenses', 'Budget spending in GBP', /Spent: £30\.00 \/ £50\.00/.test(status.message), status.message);
+
+  const stats = await registry.route('analytics expenses', as(USER));
+  check('Expenses', 'Analytics totals in GBP', /Total spent: £30\.00/.test(stats.message) && /Travel: £30\.00 \/ £50\.00/.test(stats.message), stats.message);
+
+  db.updateExpense(eurostar.id, { currency: 'USD' });
+  const changed = db.getExpense(eurostar.id);
+  check('Expenses', 'Changing the currency clears the rate', changed.fx_rate === null && changed.fx_rate_date === null, changed);
+
+  const unknown = db.saveExpense(USER, { merchant: 'Kiosk', date: TODAY, grossAmount: 5, currency: 'XYZ', category: 'Travel', company: 'GMH' });
+  const normalised = await fxRates.normaliseExpenses();
+  check('Expenses', 'normaliseExpenses rates what it can',
+    normalised.converted === 1 && normalised.missing.join() === 'XYZ' && near(db.getExpense(eurostar.id).fx_rate, 1 / 1.33), normalised);
+
+  const withUnknown = await registry.route('expenses by company GMH', as(USER));
+  check('Expenses', 'Expenses without a rate are left out and noted',
+    /1 expense\(s\) left out/.test(withUnknown.message) && db.getExpense(unknown.id).fx_rate === null, withUnknown.message);
+}
+
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Exchange Rates Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await receipts.initialize();
+    await analytics.initialize();
+    await testStoredRates();
+    await testRateSource();
+    await testFallback();
+    await testCurrencySkill();
+    await testExpenses();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
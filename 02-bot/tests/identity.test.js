@@ -0,0 +1,354 @@
+/**
+ * Identity Linking Test Suite
+ *
+ * Tests for cross-platform identity linking (lib/database.js identities and
+ * the identity skill): one-time link codes, redeeming and expiry, limits on
+ * wrong codes, linking only from private chats, migration
+ * of existing per-platform rows, user-keyed reads and writes resolving the
+ * canonical ID (facts, goals, pomodoro stats, budgets), the memory manager's
+ * facts and tasks, semantic search, the registry's context.from, and
+ * unlinking.
+ *
+ * Run with: node 02-bot/tests/identity.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite databases and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-identity-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+
+const db = require('../lib/database');
+const memory = require('../memory/memory-manager');
+const semanticIndex = require('../lib/semantic-index');
+const BaseSkill = require('../skills/base-skill');
+const { SkillRegistry } = require('../skills/skill-registry');
+const IdentitySkill = require('../skills/identity');
+const GoalsSkill = require('../skills/goals');
+
+// Accounts of one person on two platforms, plus a third
+const TELEGRAM = '111222333';
+const WHATSAPP = '+447700900001';
+const SLACK = 'U0123ABCD';
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+/**
+ * Skill that echoes the context it was given
+ */
+class EchoSkill extends BaseSkill {
+  name = 'echo';
+  description = 'Echo context';
+  commands = [{ pattern: /^whoami$/i, description: 'Echo context', usage: 'whoami' }];
+
+  async execute(command, context) {
+    return this.success('ok', { from: context.from, accountId: context.accountId, userId: context.userId });
+  }
+}
+
+/**
+ * Test link codes
+ */
+function testLinkCodes() {
+  printHeader('Link Codes');
+
+  try {
+    check('Resolve', 'Unlinked IDs resolve to themselves', db.resolveUserId(TELEGRAM) === TELEGRAM);
+    check('Resolve', 'Numbers resolve to strings', db.resolveUserId(Number(TELEGRAM)) === TELEGRAM);
+    check('Resolve', 'Empty IDs pass through', db.resolveUserId(undefined) === undefined && db.resolveUserId(null) === null);
+
+    const first = db.createLinkCode(TELEGRAM, 'telegram');
+    check('Code', 'Codes are 6 digits with a 10 minute expiry',
+      /^\d{6}$/.test(first.code) && first.expiresInMinutes === 10, first);
+
+    const second = db.createLinkCode(TELEGRAM, 'telegram');
+    check('Code', 'A new code replaces the old one',
+      db.redeemLinkCode(first.code, WHATSAPP, 'whatsapp').error === 'Invalid or expired code' && second.code !== undefined);
+
+    db.getDb().prepare("UPDATE identity_link_codes SET expires_at = datetime('now', '-1 minute') WHERE code = ?").run(second.code);
+    check('Code', 'Expired codes are refused', db.redeemLinkCode(second.code, WHATSAPP, 'whatsapp').error === 'Invalid or expired code');
+    check('Code', 'Unknown codes are refused', !!db.redeemLinkCode('000000', WHATSAPP).error);
+
+    const own = db.createLinkCode(TELEGRAM, 'telegram');
+    check('Code', 'An account can\'t link to itself',
+      db.redeemLinkCode(own.code, TELEGRAM, 'telegram').error === 'These accounts are already linked');
+    check('Code', 'Nothing is linked by failed attempts', db.getLinkedAccounts(TELEGRAM).length === 0);
+
+    // Guessing: five wrong codes lock the account out, and a live code is
+    // thrown away after five wrong codes from anyone
+    const target = db.createLinkCode('4001', 'telegram');
+    const guesser = 'guesser@example.com';
+    const wrong = target.code === '111111' ? '222222' : '111111';
+    for (let i = 0; i < 4; i++) db.redeemLinkCode(wrong, guesser, 'email');
+    check('Limit', 'Live codes survive a few wrong guesses',
+      !!db.getDb().prepare('SELECT 1 FROM identity_link_codes WHERE code = ?').get(target.code));
+    db.redeemLinkCode(wrong, guesser, 'email');
+    const locked = db.redeemLinkCode(target.code, guesser, 'email');
+    check('Limit', 'Five wrong codes lock the account out',
+      /Too many wrong codes/.test(locked.error || '') && db.resolveUserId(guesser) === guesser, locked);
+    check('Limit', 'The live code is invalidated', db.redeemLinkCode(target.code, '4002', 'telegram').error === 'Invalid or expired code');
+    check('Limit', 'Other accounts aren\'t locked out', !/Too many/.test(db.redeemLinkCode('000000', '4003').error));
+
+    db.getDb().prepare("UPDATE identity_link_attempts SET attempted_at = datetime('now', '-16 minutes') WHERE user_id = ?").run(guesser);
+    const retry = db.createLinkCode('4001', 'telegram');
+    const unlocked = db.redeemLinkCode(retry.code, guesser, 'email');
+    check('Limit', 'The lock lifts after 15 minutes', unlocked.canonicalId === '4001', unlocked);
+    check('Limit', 'A successful link clears the account\'s wrong codes',
+      db.getDb().prepare('SELECT COUNT(*) AS n FROM identity_link_attempts WHERE user_id = ?').get(guesser).n === 0);
+  } catch (error) {
+    logResult('Link Codes', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test linking with migration of existing rows
+ */
+function testLinkingAndMigration() {
+  printHeader('Linking & Migration');
+
+  try {
+    // Data saved before linking, on each platform
+    db.saveFact(TELEGRAM, 'Prefers TypeScript', 'preference');
+    db.saveFact(WHATSAPP, 'Lives in London', 'personal');
+    db.saveGoal(WHATSAPP, { description: 'Read 12 books', targetValue: 12, unit: 'books' });
+    db.saveBudget(WHATSAPP, 'groceries', 300);
+    db.savePomodoroSession(WHATSAPP, { sessionId: 'pomo-1', duration: 25 });
+    db.updatePomodoroSessionStatus('pomo-1', 'completed');
+    memory.saveFact(WHATSAPP, 'Has a dog called Rex', 'personal');
+    memory.createTask(WHATSAPP, 'Renew passport');
+
+    check('Before', 'Data is split per platform',
+      db.getFacts(TELEGRAM).length === 1 && db.listGoals(TELEGRAM).length === 0 && db.getBudgets(TELEGRAM).length === 0);
+
+    const { code } = db.createLinkCode(TELEGRAM, 'telegram');
+    const result = db.redeemLinkCode(code, WHATSAPP, 'whatsapp');
+    check('Link', 'The code\'s account becomes canonical',
+      result.canonicalId === TELEGRAM && result.previousId === WHATSAPP, result);
+    check('Link', 'Rows are migrated and counted',
+      result.migrated.facts === 1 && result.migrated.goals === 1 && result.migrated.budgets === 1 &&
+      result.migrated.pomodoro_sessions === 1, result.migrated);
+    check('Link', 'Codes work once', !!db.redeemLinkCode(code, SLACK).error);
+
+    const moved = memory.migrateUser(result.previousId, result.canonicalId);
+    check('Link', 'Memory manager facts and tasks migrate', moved.facts === 1 && moved.tasks === 1, moved);
+
+    check('Resolve', 'Both accounts resolve to the canonical ID',
+      db.resolveUserId(WHATSAPP) === TELEGRAM && db.resolveUserId(TELEGRAM) === TELEGRAM);
+
+    // Reads from either platform see the same data
+    for (const [label, id] of [['Telegram', TELEGRAM], ['WhatsApp', WHATSAPP]]) {
+      check('Shared', `${label} sees all facts`, db.getFacts(id).length === 2, db.getFacts(id));
+      check('Shared', `${label} sees goals, budgets and pomodoro stats`,
+        db.listGoals(id).length === 1 && db.getBudgets(id).length === 1 &&
+        db.getPomodoroStatisticsToday(id).completed === 1, db.getPomodoroStatisticsToday(id));
+      check('Shared', `${label} sees memory facts and tasks`,
+        memory.getFacts(id).length === 1 && memory.getTasks(id).length === 1);
+    }
+
+    // New writes from either platform land on the canonical ID
+    db.saveGoal(WHATSAPP, { description: 'Run a marathon' });
+    memory.saveFact(WHATSAPP, 'Allergic to peanuts', 'personal');
+    check('Writes', 'New rows are saved under the canonical ID',
+      db.listGoals(TELEGRAM).every(g => g.user_id === TELEGRAM) && memory.getFacts(TELEGRAM).length === 2);
+
+    const hits = semanticIndex.search('where does the user live', { userId: WHATSAPP, chatId: WHATSAPP, sources: ['fact'] });
+    check('Search', 'Semantic search finds facts across linked accounts',
+      hits.some(hit => /London/.test(hit.text)), hits);
+
+    // A third account that already has a link joins with everything on it
+    const slackCode = db.createLinkCode(SLACK, 'slack');
+    const other = '+447700900002';
+    db.redeemLinkCode(slackCode.code, other, 'whatsapp');
+    db.saveFact(other, 'Uses a standing desk');
+    const join = db.createLinkCode(WHATSAPP, 'whatsapp');
+    const joined = db.redeemLinkCode(join.code, SLACK, 'slack');
+    check('Merge', 'Linking a linked account brings its accounts along',
+      joined.canonicalId === TELEGRAM && db.resolveUserId(other) === TELEGRAM && db.resolveUserId(SLACK) === TELEGRAM, joined);
+    check('Merge', 'Their rows are migrated too', db.getFacts(other).length === 3);
+
+    const accounts = db.getLinkedAccounts(WHATSAPP);
+    check('List', 'All linked accounts are listed with platforms',
+      accounts.length === 4 && accounts[0].platform_user_id === TELEGRAM && accounts[0].platform === 'telegram',
+      accounts.map(a => `${a.platform}:${a.platform_user_id}`));
+  } catch (error) {
+    logResult('Linking & Migration', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test the registry's identity context and the skills
+ */
+async function testSkills() {
+  printHeader('Registry & Skills');
+
+  try {
+    const registry = new SkillRegistry();
+    registry.register(new EchoSkill());
+    registry.register(new IdentitySkill({ memory }));
+    registry.register(new GoalsSkill({ memory }));
+    await registry.initialize({ memory });
+
+    const echo = await registry.route('whoami', { userId: WHATSAPP, chatId: WHATSAPP });
+    check('Context', 'context.from is the canonical ID',
+      echo.data.from === TELEGRAM && echo.data.accountId === WHATSAPP && echo.data.userId === WHATSAPP, echo.data);
+
+    const unlinked = await registry.route('whoami', { userId: '999', chatId: '999' });
+    check('Context', 'Unlinked senders are their own identity', unlinked.data.from === '999' && unlinked.data.accountId === '999');
+
+    const goals = await registry.route('goal list', { userId: SLACK, chatId: 'C0123ABCD1' });
+    check('Goals', 'Goals set on WhatsApp are listed from Slack',
+      goals.success && /Read 12 books/.test(goals.message) && /Run a marathon/.test(goals.message), goals.message);
+
+    const goalId = db.listGoals(TELEGRAM).find(g => g.description === 'Read 12 books').id;
+    const update = await registry.route(`goal update ${goalId} 3`, { userId: WHATSAPP, chatId: WHATSAPP });
+    check('Goals', 'Ownership checks accept linked accounts', update.success, update.message);
+
+    // Linking through the skill
+    const fresh = 'alice@example.com';
+    const ask = await registry.route('link account', { userId: '555', chatId: '555', platform: 'telegram' });
+    const code = (ask.message.match(/\b(\d{6})\b/) || [])[1];
+    check('Skill', '"link account" replies with a code', ask.success && !!code, ask.message);
+
+    memory.saveFact(fresh, 'Works at Acme', 'work');
+    const link = await registry.route(`link ${code}`, { userId: fresh, chatId: fresh, platform: 'email' });
+    check('Skill', '"link <code>" links and reports what moved',
+      link.success && /1 facts/.test(link.message) && db.resolveUserId(fresh) === '555', link.message);
+    check('Skill', 'Memory facts follow the link', memory.getFacts('555').some(f => f.fact === 'Works at Acme'));
+
+    const inGroup = await registry.route('link account', { userId: '-1001000000077', senderId: '777', chatId: '-1001000000077', platform: 'telegram' });
+    check('Group', 'Codes aren\'t handed out in groups', !inGroup.success && /private chat/.test(inGroup.message), inGroup.message);
+
+    const fromChannel = await registry.route(`link ${code}`, { userId: 'C0123ABCD7', senderId: 'U0777', chatId: 'C0123ABCD7', platform: 'slack' });
+    check('Group', 'Codes can\'t be redeemed from a channel',
+      !fromChannel.success && /private chat/.test(fromChannel.message) && db.resolveUserId('C0123ABCD7') === 'C0123ABCD7', fromChannel.message);
+
+    const fromServer = await registry.route('link account', { userId: '1100000000000000077', senderId: '2000077', isGroup: true, platform: 'discord' });
+    check('Group', 'Platforms can flag a chat as a group', !fromServer.success && /private chat/.test(fromServer.message));
+
+    const dm = await registry.route('link account', { userId: 'D0123ABCD7', senderId: 'U0777', chatId: 'D0123ABCD7', platform: 'slack' });
+    const dmCode = (dm.message.match(/\b(\d{6})\b/) || [])[1];
+    const dmLink = await registry.route(`link ${dmCode}`, { userId: '778', chatId: '778', platform: 'telegram' });
+    check('Sender', 'Slack DMs link the sender, not the DM channel',
+      dm.success && dmLink.success && db.resolveUserId('778') === 'U0777' && db.resolveUserId('D0123ABCD7') === 'D0123ABCD7', dm.message);
+
+    const bad = await registry.route('link 000000', { userId: '777', chatId: '777' });
+    check('Skill', 'Bad codes get a clear error', !bad.success && /Invalid or expired code/.test(bad.message), bad.message);
+
+    const list = await registry.route('linked accounts', { userId: fresh, chatId: fresh });
+    check('Skill', '"linked accounts" marks the primary and this account',
+      /555 \(primary\)/.test(list.message) && /email: alice@example\.com \(this account\)/.test(list.message), list.message);
+
+    const primary = await registry.route('unlink account', { userId: '555', chatId: '555' });
+    check('Unlink', 'The primary account can\'t be unlinked', !primary.success && /primary/.test(primary.message), primary.message);
+
+    const unlink = await registry.route('unlink account', { userId: fresh, chatId: fresh });
+    check('Unlink', 'Other accounts can be unlinked', unlink.success && db.resolveUserId(fresh) === fresh, unlink.message);
+    check('Unlink', 'A lone primary is no longer listed as linked', db.getLinkedAccounts('555').length === 0);
+    check('Unlink', 'Data stays with the primary account',
+      memory.getFacts('555').length === 1 && memory.getFacts(fresh).length === 0);
+
+    const none = await registry.route('unlink account', { userId: '888', chatId: '888' });
+    check('Unlink', 'Unlinked accounts get a clear error', !none.success && /not linked/.test(none.message), none.message);
+  } catch (error) {
+    logResult('Registry & Skills', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Identity Linking Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testLinkCodes();
+    testLinkingAndMigration();
+    await testSkills();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,332 @@
+/**
+ * Intent Evaluation Test Suite
+ *
+ * Tests for lib/intent-eval.js and scripts/intent-eval.js: eval set loading,
+ * precision/recall, confusion matrix and calibration maths, a full offline
+ * run of the classifier over the bundled eval set, correction records, and
+ * pattern suggestions rendered as a registry diff.
+ *
+ * Run with: node 02-bot/tests/intent-eval.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Offline provider, corrections in a temp dir
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-intent-'));
+process.env.AI_PROVIDER_MODE = 'local';
+process.env.AI_LOCAL_RULES = '';
+
+const { IntentClassifier } = require('../lib/intent-classifier');
+const intentEval = require('../lib/intent-eval');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+/**
+ * Build a classifier with quiet logs
+ */
+function quietClassifier(options = {}) {
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  try {
+    const classifier = new IntentClassifier();
+    classifier.initialize(options);
+    return classifier;
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+function correction(message, from, to) {
+  return { original: { intent: from, message }, corrected: { intent: to, correctionText: to }, userId: 'u1', timestamp: Date.now() };
+}
+
+/**
+ * Eval set loading
+ */
+async function testLoadEvalSet() {
+  printHeader('Eval Set');
+
+  const evalSet = intentEval.loadEvalSet();
+  check('EvalSet', 'Bundled eval set loads', evalSet.cases.length >= 20 && evalSet.rules.length > 0, evalSet.cases.length);
+
+  const dir = process.env.CLAWDBOT_DATA_DIR;
+  const bad = path.join(dir, 'bad.json');
+  fs.writeFileSync(bad, JSON.stringify({ cases: [{ message: 'deploy' }] }));
+  let error = null;
+  try {
+    intentEval.loadEvalSet(bad);
+  } catch (e) {
+    error = e;
+  }
+  check('EvalSet', 'Cases without a label are rejected', error && /needs "message" and "intent"/.test(error.message), error && error.message);
+
+  const list = path.join(dir, 'list.json');
+  fs.writeFileSync(list, JSON.stringify([{ message: 'deploy x', intent: 'deploy' }]));
+  check('EvalSet', 'A bare array of cases is accepted', intentEval.loadEvalSet(list).cases.length === 1);
+}
+
+/**
+ * Metrics maths on hand-made predictions
+ */
+async function testMetrics() {
+  printHeader('Metrics');
+
+  const p = (expected, predicted, confidence, source = 'quick') => ({ message: `${expected}>${predicted}`, expected, predicted, confidence, source });
+  const report = intentEval.buildReport([
+    p('deploy', 'deploy', 0.9),
+    p('deploy', 'deploy', 0.85),
+    p('deploy', 'check-status', 0.55, 'fallback'),
+    p('check-status', 'check-status', 0.95),
+    p('check-status', 'deploy', 0.45, 'ai')
+  ]);
+
+  check('Metrics', 'Accuracy', report.correct === 3 && Math.abs(report.accuracy - 0.6) < 1e-9, report.accuracy);
+  check('Metrics', 'Precision per intent',
+    Math.abs(report.perIntent.deploy.precision - 2 / 3) < 1e-9 && report.perIntent['check-status'].precision === 0.5, report.perIntent);
+  check('Metrics', 'Recall per intent',
+    Math.abs(report.perIntent.deploy.recall - 2 / 3) < 1e-9 && report.perIntent['check-status'].recall === 0.5, report.perIntent);
+  check('Metrics', 'Confusion matrix counts',
+    report.confusion.deploy.deploy === 2 && report.confusion.deploy['check-status'] === 1 &&
+    report.confusion['check-status'].deploy === 1, report.confusion);
+  check('Metrics', 'Accuracy by stage',
+    report.bySource.quick.correct === 3 && report.bySource.fallback.correct === 0 && report.bySource.ai.total === 1, report.bySource);
+
+  const high = report.calibration.buckets[4];
+  check('Metrics', 'Calibration buckets by confidence',
+    high.count === 3 && high.accuracy === 1 && report.calibration.buckets[2].count === 2, report.calibration.buckets);
+  // ECE: 3/5*|1-0.9| + 2/5*|0-0.5|
+  check('Metrics', 'Expected calibration error', Math.abs(report.calibration.ece - (0.6 * 0.1 + 0.4 * 0.5)) < 1e-9, report.calibration.ece);
+  check('Metrics', 'Misses are listed', report.misses.length === 2);
+
+  const text = intentEval.formatReport(report, 'Sample');
+  check('Metrics', 'Text report has every section',
+    /Sample: 3\/5 correct/.test(text) && /Per intent/.test(text) && /Confusion/.test(text) && /Calibration \(ECE/.test(text), text);
+}
+
+/**
+ * Full offline run over the bundled set
+ */
+async function testOfflineRun() {
+  printHeader('Offline Evaluation');
+
+  const evalSet = intentEval.loadEvalSet();
+  const classifier = quietClassifier({ rules: { rules: evalSet.rules } });
+  const report = await quietly(() => intentEval.evaluate(classifier, evalSet.cases));
+
+  check('Offline', 'Every case is classified', report.total === evalSet.cases.length);
+  check('Offline', 'Quick patterns and the AI step both run', report.bySource.quick && report.bySource.ai, report.bySource);
+  check('Offline', 'Offline rules answer the AI step',
+    report.perIntent['general-query'] && report.perIntent['general-query'].recall === 1, report.perIntent['general-query']);
+  check('Offline', 'Accuracy stays above 80%', report.accuracy >= 0.8, report.accuracy);
+}
+
+/**
+ * Corrections record the message and the corrected intent
+ */
+async function testCorrections() {
+  printHeader('Corrections');
+
+  const classifier = quietClassifier();
+  await quietly(() => classifier.classify('no i meant deploy it', {
+    userId: 'u1',
+    lastMessage: 'push the thing',
+    lastClassification: { intent: 'check-status', project: 'JUDO', confidence: 0.6 }
+  }));
+
+  const saved = JSON.parse(fs.readFileSync(path.join(process.env.CLAWDBOT_DATA_DIR, 'intent-corrections.json'), 'utf8'));
+  const last = saved[saved.length - 1];
+  check('Corrections', 'Stored under CLAWDBOT_DATA_DIR', saved.length === 1);
+  check('Corrections', 'Original message is kept', last.original.message === 'push the thing', last.original);
+  check('Corrections', 'Corrected intent is recognised', last.corrected.intent === 'deploy', last.corrected);
+}
+
+/**
+ * Pattern suggestions and the registry diff
+ */
+async function testSuggestions() {
+  printHeader('Pattern Suggestions');
+
+  const registryText = fs.readFileSync(intentEval.DEFAULT_REGISTRY_FILE, 'utf8');
+  const registry = JSON.parse(registryText);
+  const corrections = [
+    correction('ship it to prod', 'unknown', 'deploy'),
+    correction('ship it now please', 'check-status', 'deploy'),
+    correction('can you ship it', 'unknown', 'deploy'),
+    correction('ship notes', 'unknown', 'deploy'),
+    correction('mileage claim for march', 'unknown', 'process-receipt'),
+    correction('mileage claim again', 'unknown', 'process-receipt'),
+    correction('deploy now', 'deploy', 'deploy')
+  ];
+
+  const suggestions = intentEval.suggestPatterns(corrections, registry, { minCount: 2 });
+  const patterns = suggestions.map(s => `${s.intent}:${s.pattern}`);
+  check('Suggest', 'Frequent phrases are proposed',
+    patterns.includes('deploy:ship it') && patterns.includes('process-receipt:mileage claim'), patterns);
+  check('Suggest', 'Shorter phrases covered by a longer one are dropped',
+    !patterns.includes('process-receipt:mileage') && !patterns.includes('process-receipt:claim'), patterns);
+  check('Suggest', 'Existing patterns are not proposed again', !patterns.some(p => /deploy$/.test(p.split(':')[1])), patterns);
+  check('Suggest', 'minCount is respected',
+    intentEval.suggestPatterns(corrections, registry, { minCount: 5 }).length === 0);
+
+  const updated = intentEval.applySuggestions(registryText, [{ intent: 'deploy', pattern: 'ship it' }]);
+  check('Suggest', 'Patterns are appended to the intent', JSON.parse(updated).intents.deploy.patterns.slice(-1)[0] === 'ship it');
+  check('Suggest', 'Other intents are untouched',
+    JSON.stringify(JSON.parse(updated).intents['check-status']) === JSON.stringify(registry.intents['check-status']));
+
+  const diff = intentEval.unifiedDiff(registryText, updated);
+  const changed = diff.split('\n').filter(line => /^[+-][^+-]/.test(line));
+  check('Suggest', 'Diff shows only the patterns line',
+    changed.length === 2 && /"ship it"/.test(changed[1]) && /^@@ -\d+,\d+ \+\d+,\d+ @@/m.test(diff), diff);
+  check('Suggest', 'Equal texts give an empty diff', intentEval.unifiedDiff('a\nb', 'a\nb') === '');
+}
+
+/**
+ * The CLI script
+ */
+async function testCli() {
+  printHeader('CLI');
+
+  const script = path.join(__dirname, '../scripts/intent-eval.js');
+  const correctionsFile = path.join(process.env.CLAWDBOT_DATA_DIR, 'cli-corrections.json');
+  fs.writeFileSync(correctionsFile, JSON.stringify([
+    correction('mileage claim for march', 'unknown', 'process-receipt'),
+    correction('mileage claim again', 'unknown', 'process-receipt'),
+    correction('another mileage claim', 'unknown', 'process-receipt')
+  ]));
+  const before = fs.readFileSync(intentEval.DEFAULT_REGISTRY_FILE, 'utf8');
+
+  try {
+    const json = JSON.parse(execFileSync('node', [script, '--json'], { encoding: 'utf8', timeout: 60000 }));
+    check('CLI', '--json prints the report', json.total > 0 && json.perIntent && json.calibration, Object.keys(json));
+
+    const text = execFileSync('node', [script, '--suggest', '--corrections', correctionsFile], { encoding: 'utf8', timeout: 60000 });
+    check('CLI', '--suggest prints a reviewable diff',
+      /process-receipt: "mileage claim"/.test(text) && /\+\+\+ b\/config\/project-registry\.json/.test(text), text.slice(-600));
+    check('CLI', 'Registry is unchanged without --apply', fs.readFileSync(intentEval.DEFAULT_REGISTRY_FILE, 'utf8') === before);
+
+    let failed = false;
+    try {
+      execFileSync('node', [script, '--min-accuracy', '1.01'], { encoding: 'utf8', timeout: 60000, stdio: 'pipe' });
+    } catch (e) {
+      failed = e.status === 1;
+    }
+    check('CLI', '--min-accuracy fails below the threshold', failed);
+  } catch (error) {
+    logResult('CLI', 'Script run', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Intent Evaluation Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await testLoadEvalSet();
+    await testMetrics();
+    await testOfflineRun();
+    await testCorrections();
+    await testSuggestions();
+    await testCli();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,280 @@
+/**
+ * Local AI Provider Test Suite
+ *
+ * Tests for the offline AI provider: rule matching, fallback template,
+ * streaming, latency and error injection, and routing through the provider
+ * registry with AI_PROVIDER_MODE=local.
+ *
+ * Run with: node 02-bot/tests/local-provider.test.js
+ */
+
+// Deterministic routing: no cached responses, no keys
+process.env.CACHE_ENABLED = 'false';
+
+// Budget usage is recorded in SQLite - keep it out of the real data dir
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-local-'));
+
+const LocalHandler = require('../ai-providers/local-handler');
+const { AIProviderRegistry } = require('../ai-providers');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+// Rules shared across tests
+const RULES = {
+  defaults: { chunkSize: 5 },
+  rules: [
+    { name: 'greeting', match: '^(hi|hello)\\b', response: 'Hi there' },
+    { name: 'claude-only', match: 'architecture', provider: 'claude', response: 'Opus says: {query}' },
+    { name: 'planning', taskType: 'planning', response: 'Plan for {provider}' },
+    { name: 'chunks', match: 'stream me', chunks: ['one ', 'two ', 'three'] },
+    { name: 'slow', match: 'slow', latencyMs: 60, response: 'finally' },
+    { name: 'flaky', match: 'flaky', error: 'API error: 429', failTimes: 1, response: 'recovered' },
+    { name: 'down', match: 'always down', error: 'API error: 503' }
+  ],
+  fallback: 'echo({provider}): {query}'
+};
+
+/**
+ * Test rule matching and the fallback template
+ */
+async function testRules() {
+  printHeader('Rule Matching');
+
+  try {
+    const groq = await new LocalHandler({ standIn: 'groq', rules: RULES }).initialize();
+    const claude = await new LocalHandler({ standIn: 'claude', rules: RULES }).initialize();
+
+    const greeting = await groq.complete('hello bot');
+    check('Rules', 'First matching rule wins', greeting.response === 'Hi there' && greeting.provider === 'groq', greeting);
+
+    const groqArch = await groq.complete('explain the architecture');
+    check('Rules', 'Provider-scoped rule skipped for other stand-ins',
+      groqArch.response === 'echo(groq): explain the architecture', groqArch);
+
+    const claudeArch = await claude.complete('explain the architecture');
+    check('Rules', 'Provider-scoped rule applies to its stand-in',
+      claudeArch.response === 'Opus says: explain the architecture', claudeArch);
+
+    const plan = await claude.complete('roadmap please', { taskType: 'planning' });
+    check('Rules', 'Task type rule with template vars',
+      plan.response === 'Plan for claude' && plan.tier === 'brain', plan);
+
+    const result = await groq.complete('anything else');
+    check('Rules', 'Result has the real handler shape',
+      result.cost === 0 && result.tokens > 0 && result.model === 'local-groq' && result.local === true, result);
+
+    const fileHandler = await new LocalHandler({ standIn: 'groq' }).initialize();
+    const fromFile = await fileHandler.complete('hi');
+    check('Rules', 'Default rules file loads', /local AI provider/.test(fromFile.response), fromFile);
+
+    let missingError = null;
+    try {
+      await new LocalHandler({ rules: '/nonexistent/rules.json' }).initialize();
+    } catch (err) {
+      missingError = err.message;
+    }
+    check('Rules', 'Explicit missing rules file is an error', /not found/.test(missingError || ''), missingError);
+  } catch (error) {
+    logResult('Rules', 'Rule matching', 'fail', error.message);
+  }
+}
+
+/**
+ * Test streaming, latency and error injection
+ */
+async function testBehaviour() {
+  printHeader('Streaming, Latency and Errors');
+
+  try {
+    const handler = await new LocalHandler({ standIn: 'groq', rules: RULES }).initialize();
+
+    const explicit = [];
+    const streamed = await handler.completeStream('stream me', {}, chunk => explicit.push(chunk));
+    check('Streaming', 'Explicit chunks are emitted in order',
+      explicit.join('|') === 'one |two |three' && streamed.response === 'one two three', { explicit, streamed });
+
+    const split = [];
+    await handler.completeStream('hello world', {}, chunk => split.push(chunk));
+    check('Streaming', 'Response split by chunkSize', split.join('|') === 'Hi th|ere', split);
+
+    const started = Date.now();
+    const slow = await handler.complete('slow please');
+    check('Latency', 'Rule latency is applied', Date.now() - started >= 55 && slow.response === 'finally', slow);
+
+    let firstError = null;
+    try {
+      await handler.complete('flaky call');
+    } catch (err) {
+      firstError = err.message;
+    }
+    const second = await handler.complete('flaky call');
+    check('Errors', 'failTimes fails only the first N calls',
+      firstError === 'API error: 429' && second.response === 'recovered', { firstError, second });
+
+    handler.reload();
+    let afterReload = null;
+    try {
+      await handler.complete('flaky call');
+    } catch (err) {
+      afterReload = err.message;
+    }
+    check('Errors', 'reload() resets failure counters', afterReload === 'API error: 429', afterReload);
+  } catch (error) {
+    logResult('Behaviour', 'Streaming/latency/errors', 'fail', error.message);
+  }
+}
+
+/**
+ * Test routing through the provider registry in local mode
+ */
+async function testRegistry() {
+  printHeader('Registry in Local Mode');
+
+  const saved = { mode: process.env.AI_PROVIDER_MODE, rules: process.env.AI_LOCAL_RULES };
+  process.env.AI_PROVIDER_MODE = 'local';
+  process.env.AI_LOCAL_RULES = '';
+
+  try {
+    const registry = new AIProviderRegistry();
+    await registry.initialize();
+    for (const provider of Object.values(registry.providers)) {
+      provider.loadRules(RULES);
+    }
+
+    const providers = registry.getAvailableProviders().sort().join(',');
+    check('Registry', 'Stand-ins registered for every provider',
+      providers === 'claude,grok,groq,local,perplexity', providers);
+
+    const simple = await registry.processQuery('hi');
+    check('Registry', 'Simple query routed to Groq stand-in',
+      simple.provider === 'groq' && simple.response === 'Hi there', simple);
+
+    const planning = await registry.processQuery('what strategy should we take for the launch roadmap');
+    check('Registry', 'Planning query routed to Claude stand-in (brain tier)',
+      planning.provider === 'claude' && planning.tier === 'brain' && registry.stats.claude.opusCalls === 1, planning);
+
+    const forced = await registry.processQuery('hi', { forceProvider: 'local' });
+    check('Registry', 'forceProvider: local', forced.provider === 'local', forced);
+
+    registry.providers.claude.loadRules({ rules: [{ match: '.*', error: 'Claude API error: 529' }] });
+    const fallback = await registry.processQuery('please refactor this function() quickly');
+    check('Registry', 'Injected error falls back to next provider',
+      fallback.provider === 'perplexity' && registry.stats.claude.errors === 1, fallback);
+
+    let downError = null;
+    try {
+      await registry.processQuery('always down');
+    } catch (err) {
+      downError = err.message;
+    }
+    check('Registry', 'Error on every provider is thrown, not looped', /API error/.test(downError || ''), downError);
+
+    const health = registry.getHealth();
+    check('Registry', 'Health marks stand-ins offline', health.claude.offline === true, health.claude);
+  } catch (error) {
+    logResult('Registry', 'Local mode', 'fail', error.message);
+  } finally {
+    process.env.AI_PROVIDER_MODE = saved.mode || '';
+    process.env.AI_LOCAL_RULES = saved.rules || '';
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Local AI Provider Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await testRules();
+    await testBehaviour();
+    await testRegistry();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,266 @@
+/**
+ * Memory Extractor Test Suite
+ *
+ * Tests for automatic long-term memory suggestions: candidate extraction
+ * (preferences, decisions, people, constraints), confidence threshold,
+ * deduplication against facts and earlier suggestions, the review queue,
+ * the "memory review/approve/edit/reject" commands and their buttons.
+ *
+ * Run with: node 02-bot/tests/memory-extractor.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite databases, offline providers, no cached responses
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-extractor-'));
+process.env.AI_PROVIDER_MODE = 'local';
+process.env.AI_LOCAL_RULES = '';
+process.env.CACHE_ENABLED = 'false';
+
+const extractor = require('../lib/memory-extractor');
+const memory = require('../memory/memory-manager');
+const ActionButtons = require('../lib/action-buttons');
+const MemorySkill = require('../skills/memory');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const USER = 'user-1';
+
+/**
+ * Find the candidate extracted for a message, if any
+ */
+function extractOne(message) {
+  return extractor.extractCandidates(message)[0] || null;
+}
+
+/**
+ * Test candidate extraction from single messages
+ */
+function testExtraction() {
+  printHeader('Extraction');
+
+  try {
+    const preference = extractOne('I prefer TypeScript over JavaScript because of the types.');
+    check('Extraction', 'Preference is extracted without the reason',
+      preference && preference.fact === 'Prefers TypeScript over JavaScript' && preference.category === 'preference', preference);
+
+    const decision = extractOne('We decided to use Stripe for LusoTown payments.');
+    check('Extraction', 'Decision is extracted',
+      decision && decision.fact === 'Decided to use Stripe for LusoTown payments' && decision.category === 'decision', decision);
+
+    const people = extractor.extractCandidates('Maria is my accountant. My lawyer is John Smith.');
+    check('Extraction', 'People are extracted from both phrasings',
+      people.map(c => c.fact).join('|') === 'Maria is their accountant|John Smith is their lawyer', people);
+
+    const constraint = extractOne('The deadline for LusoTown is March 15th.');
+    check('Extraction', 'Project constraint is extracted',
+      constraint && constraint.fact === 'Deadline for LusoTown: March 15th' && constraint.category === 'constraint', constraint);
+
+    const clauses = extractor.extractCandidates('I work at Acme Ltd and I live in London');
+    check('Extraction', '"and I" clauses become separate candidates', clauses.length === 2, clauses);
+
+    check('Extraction', 'Candidates keep their source sentence',
+      decision && decision.sourceMessage === 'We decided to use Stripe for LusoTown payments.', decision);
+    check('Extraction', 'Candidates carry a confidence', decision && decision.confidence > 0 && decision.confidence <= 1, decision);
+
+    check('Extraction', 'Questions are ignored', extractor.extractCandidates('Do I prefer tabs?').length === 0);
+    check('Extraction', '"remember ..." is left to the memory skill', extractor.extractCandidates('remember I like tea').length === 0);
+    check('Extraction', 'Small talk yields nothing', extractor.extractCandidates('hey, how is it going').length === 0);
+  } catch (error) {
+    logResult('Extraction', 'Extraction', 'fail', error.message);
+  }
+}
+
+/**
+ * Test queueing, threshold and deduplication
+ */
+function testQueue() {
+  printHeader('Review Queue');
+
+  try {
+    memory.saveFact(USER, 'Works at Acme Ltd', 'work', 'user_stated');
+
+    const queued = extractor.processMessage(USER, 'I work at Acme Ltd. I prefer dark mode. Maria is my accountant.');
+    check('Queue', 'New candidates are queued', queued.length === 2, queued);
+    check('Queue', 'Existing facts are not suggested again', !queued.some(c => c.fact === 'Works at Acme Ltd'), queued);
+    check('Queue', 'Nothing is saved as a fact yet', memory.getFacts(USER).length === 1, memory.getFacts(USER));
+
+    const again = extractor.processMessage(USER, 'I really prefer dark mode!');
+    check('Queue', 'Pending candidates are not duplicated', again.length === 0, again);
+
+    check('Queue', 'Pending list is ordered by confidence',
+      extractor.listPending(USER).map(c => c.fact).join('|') === 'Maria is their accountant|Prefers dark mode',
+      extractor.listPending(USER));
+
+    process.env.MEMORY_EXTRACTION_MIN_CONFIDENCE = '0.9';
+    const strict = extractor.processMessage(USER, 'My favourite editor is VS Code.');
+    check('Queue', 'Candidates below the threshold are dropped', strict.length === 0, strict);
+    delete process.env.MEMORY_EXTRACTION_MIN_CONFIDENCE;
+
+    process.env.MEMORY_EXTRACTION = 'false';
+    const disabled = extractor.processMessage(USER, 'My favourite editor is VS Code.');
+    check('Queue', 'MEMORY_EXTRACTION=false turns extraction off', disabled.length === 0, disabled);
+    delete process.env.MEMORY_EXTRACTION;
+
+    const other = extractor.processMessage('user-2', 'I prefer dark mode.');
+    check('Queue', 'Queues are per user', other.length === 1 && extractor.countPending(USER) === 2, other);
+
+    let error = null;
+    try {
+      extractor.approve(USER, other[0].id);
+    } catch (err) {
+      error = err.message;
+    }
+    check('Queue', "Another user's suggestion can't be approved", /No memory suggestion/.test(error || ''), error);
+  } catch (error) {
+    logResult('Queue', 'Review queue', 'fail', error.message);
+  }
+}
+
+/**
+ * Test the memory review commands
+ */
+async function testCommands() {
+  printHeader('Review Commands');
+
+  try {
+    const skill = new MemorySkill();
+    skill.memory = memory;
+    const ctx = { userId: USER, chatId: USER };
+
+    const review = await skill.execute('memory review', ctx);
+    const [first, second] = extractor.listPending(USER);
+    check('Commands', 'Review lists pending suggestions', review.success && review.message.includes(`#${first.id}`) && review.message.includes('2 pending'), review.message);
+    check('Commands', 'Review shows the source message', review.message.includes('Maria is my accountant.'), review.message);
+    check('Commands', 'Review returns approve/edit/reject buttons',
+      JSON.stringify(review.buttons) === JSON.stringify([...ActionButtons.memoryCandidate(first.id), ...ActionButtons.memoryCandidate(second.id)]),
+      review.buttons);
+    check('Commands', 'Button callback data fits Telegram', review.buttons.flat().every(b => ActionButtons.isValidCallbackData(b.callback_data)));
+
+    const approved = await skill.execute(`memory approve ${first.id}`, ctx);
+    check('Commands', 'Approve saves the fact', approved.success && memory.getFacts(USER).some(f => f.fact === 'Maria is their accountant'), approved);
+
+    const approvedFact = memory.getFacts(USER).find(f => f.fact === 'Maria is their accountant');
+    check('Commands', 'Approved fact keeps its category and source', approvedFact && approvedFact.category === 'person' && approvedFact.source === 'auto_extracted', approvedFact);
+
+    const twice = await skill.execute(`memory approve ${first.id}`, ctx);
+    check('Commands', 'A suggestion can only be reviewed once', !twice.success && twice.message.includes('already approved'), twice);
+
+    const edited = await skill.execute(`memory edit ${second.id} Prefers dark mode in every editor`, ctx);
+    check('Commands', 'Edit saves the corrected wording', edited.success && memory.getFacts(USER).some(f => f.fact === 'Prefers dark mode in every editor'), edited);
+
+    extractor.processMessage(USER, 'Let us be clear. I hate pineapple on pizza.');
+    const rejectAll = await skill.execute('memory reject all', ctx);
+    check('Commands', 'Reject all clears the queue', rejectAll.success && extractor.countPending(USER) === 0, rejectAll);
+
+    const resuggested = extractor.processMessage(USER, 'I hate pineapple on pizza.');
+    check('Commands', 'Rejected suggestions are not proposed again', resuggested.length === 0, resuggested);
+
+    const empty = await skill.execute('memory review', ctx);
+    check('Commands', 'Empty queue says so', empty.success && empty.message.includes('No memory suggestions') && !empty.buttons, empty);
+
+    check('Commands', 'Skill handles memory review commands',
+      ['memory review', 'memory approve 3', 'memory reject all', 'memory edit 3 Likes tea'].every(c => skill.canHandle(c, ctx)));
+  } catch (error) {
+    logResult('Commands', 'Review commands', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Memory Extractor Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testExtraction();
+    testQueue();
+    await testCommands();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,351 @@
+/**
+ * Memory Sync Test Suite
+ *
+ * Tests for the MEMORY.md round trip (lib/memory-export.js): export with
+ * fact/task markers, parsing an edited file, the import plan (added, changed,
+ * removed facts; added, changed, completed, cancelled tasks), the diff
+ * preview, applying a plan, and the "memory export/import" commands with
+ * the memory_import confirmation action.
+ *
+ * Run with: node 02-bot/tests/memory-sync.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite databases and MEMORY.md, offline providers, no cached responses
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-memory-sync-'));
+process.env.MEMORY_MD_PATH = path.join(process.env.CLAWDBOT_DATA_DIR, 'MEMORY.md');
+process.env.AI_PROVIDER_MODE = 'local';
+process.env.AI_LOCAL_RULES = '';
+process.env.CACHE_ENABLED = 'false';
+
+const memoryExport = require('../lib/memory-export');
+const memory = require('../memory/memory-manager');
+const confirmationManager = require('../lib/confirmation-manager');
+const actionExecutor = require('../lib/action-executor');
+const MemorySkill = require('../skills/memory');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const USER = 'user-1';
+const OTHER = 'user-2';
+
+/**
+ * Export for USER and return the markdown
+ */
+function exportMd() {
+  return memoryExport.generateMemoryMd(memory, USER);
+}
+
+/**
+ * Replace one line of the export (matched by substring)
+ */
+function editLine(markdown, contains, replacement) {
+  return markdown.split('\n')
+    .map(line => (line.includes(contains) ? replacement : line))
+    .filter(line => line !== null)
+    .join('\n');
+}
+
+/**
+ * Test the exported markdown
+ */
+function testExport() {
+  printHeader('Export');
+
+  try {
+    memory.saveFact(USER, 'Works at Acme Ltd', 'work', 'user_stated');
+    memory.saveFact(USER, 'Lives in London', 'personal', 'user_stated');
+    memory.saveFact(USER, 'Timezone: Europe/Lisbon', 'preference', 'user_stated');
+    memory.saveFact(OTHER, 'Secret fact for someone else', 'general', 'user_stated');
+    for (let i = 0; i < 12; i++) {
+      memory.saveFact(USER, `Reading list item ${i}`, 'reading', 'user_stated');
+    }
+    memory.createTask(USER, 'Ship release', '', 'urgent');
+    memory.createTask(USER, 'Review PR', '', 'high');
+    memory.createTask(USER, 'Tidy docs', '', 'low');
+    const done = memory.createTask(USER, 'Old finished task', '', 'medium');
+    memory.updateTaskStatus(done, 'completed');
+
+    const md = exportMd();
+    const works = memory.getFacts(USER).find(f => f.fact === 'Works at Acme Ltd');
+
+    check('Export', 'Facts carry id markers', md.includes(`- Works at Acme Ltd <!-- fact:${works.id} -->`), md);
+    check('Export', 'Every fact is exported (no per-category cap)', md.includes('Reading list item 0') && md.includes('Reading list item 11'));
+    check('Export', 'Other users\' facts are not exported', !md.includes('Secret fact'));
+    check('Export', 'Open tasks are exported with markers', /- \[ \] Ship release <!-- task:\d+ -->/.test(md), md);
+    check('Export', 'Closed tasks are left out', !md.includes('Old finished task'));
+    check('Export', 'Preference facts override defaults and carry markers',
+      /- \*\*Timezone\*\*: Europe\/Lisbon <!-- fact:\d+ -->/.test(md) && !md.includes('Europe/London'), md);
+    check('Export', 'Untouched defaults are marked as defaults', md.includes('- **Morning brief**: 7am <!-- default -->'));
+    check('Export', 'Preferences are not repeated under Known Facts', !md.includes('### Preference'));
+    check('Export', 'Sync marker records the owner', /<!-- memory-sync user=user-1 last-fact=\d+ last-task=\d+ -->/.test(md));
+
+    const parsed = memoryExport.parseMemoryMd(md);
+    check('Export', 'Parsing the export finds every fact, task and preference',
+      parsed.facts.length === 14 + 5 && parsed.tasks.length === 3, { facts: parsed.facts.length, tasks: parsed.tasks.length });
+    check('Export', 'Projects and recent context are ignored on parse',
+      !parsed.facts.some(f => /aws-clawd-bot|interactions/i.test(f.fact)));
+
+    const plan = memoryExport.planImport(memory, USER, md);
+    check('Export', 'An unedited export plans no changes', memoryExport.countChanges(plan) === 0, plan);
+    check('Export', 'Unedited preview says it is in sync', memoryExport.formatImportPlan(plan).includes('in sync'));
+  } catch (error) {
+    logResult('Export', 'Export', 'fail', error.stack);
+  }
+}
+
+/**
+ * Test the import plan for edited markdown
+ */
+function testPlan() {
+  printHeader('Import Plan');
+
+  try {
+    const facts = memory.getFacts(USER);
+    const byText = text => facts.find(f => f.fact === text);
+    const tasks = memory.getTasks(USER);
+    const taskByTitle = title => tasks.find(t => t.title === title);
+
+    let md = exportMd();
+    md = editLine(md, `fact:${byText('Works at Acme Ltd').id} `, `- Works at Globex <!-- fact:${byText('Works at Acme Ltd').id} -->`);
+    md = editLine(md, `fact:${byText('Reading list item 0').id} `, null);
+    md = editLine(md, `task:${taskByTitle('Review PR').id} `, `- [x] Review PR <!-- task:${taskByTitle('Review PR').id} -->`);
+    md = editLine(md, `task:${taskByTitle('Tidy docs').id} `, null);
+    md = editLine(md, '**Morning brief**', '- **Morning brief**: 6:30am <!-- default -->');
+    // Move "Lives in London" under Work, add a fact and a task
+    md = editLine(md, `fact:${byText('Lives in London').id} `, null);
+    md = md.replace('### Work\n\n', `### Work\n\n- Lives in London <!-- fact:${byText('Lives in London').id} -->\n- Manages the platform team\n`);
+    md = md.replace('### Urgent\n', '### Urgent\n- [ ] Renew SSL certificate\n');
+    md = editLine(md, `task:${taskByTitle('Ship release').id} `, `- [ ] Ship release 2.0 <!-- task:${taskByTitle('Ship release').id} -->`);
+
+    // A fact created after the export must not count as removed
+    const later = memory.saveFact(USER, 'Created after export', 'general', 'user_stated');
+
+    const plan = memoryExport.planImport(memory, USER, md);
+
+    check('Plan', 'Edited fact is a change',
+      plan.facts.changed.some(f => f.fact === 'Works at Globex' && f.before.fact === 'Works at Acme Ltd'), plan.facts.changed);
+    check('Plan', 'Moving a fact under another heading changes its category',
+      plan.facts.changed.some(f => f.fact === 'Lives in London' && f.category === 'work' && f.before.category === 'personal'), plan.facts.changed);
+    check('Plan', 'New lines are added with the heading as category',
+      plan.facts.added.some(f => f.fact === 'Manages the platform team' && f.category === 'work'), plan.facts.added);
+    check('Plan', 'Edited default preference becomes a preference fact',
+      plan.facts.added.some(f => f.fact === 'Morning brief: 6:30am' && f.category === 'preference'), plan.facts.added);
+    check('Plan', 'Deleted fact line is a removal',
+      plan.facts.removed.length === 1 && plan.facts.removed[0].fact === 'Reading list item 0', plan.facts.removed);
+    check('Plan', 'Facts newer than the export are not removed', !plan.facts.removed.some(f => f.id === Number(later)));
+    check('Plan', 'Ticked task is completed', plan.tasks.completed.some(t => t.title === 'Review PR'), plan.tasks);
+    check('Plan', 'Deleted task line is a removal', plan.tasks.removed.some(t => t.title === 'Tidy docs'), plan.tasks);
+    check('Plan', 'New task takes its priority from the heading',
+      plan.tasks.added.some(t => t.title === 'Renew SSL certificate' && t.priority === 'urgent'), plan.tasks.added);
+    check('Plan', 'Edited task title is a change',
+      plan.tasks.changed.some(t => t.title === 'Ship release 2.0' && t.before.title === 'Ship release'), plan.tasks.changed);
+
+    const preview = memoryExport.formatImportPlan(plan);
+    check('Plan', 'Preview lists additions, changes and removals',
+      preview.includes('+ Manages the platform team') && preview.includes('~ #') &&
+      preview.includes('Works at Acme Ltd → Works at Globex') && preview.includes('- #') && preview.includes('✓ #'), preview);
+    check('Plan', 'Nothing is written while planning', memory.getFacts(USER).some(f => f.fact === 'Works at Acme Ltd'));
+
+    const applied = memoryExport.applyImport(memory, USER, plan);
+    const after = memory.getFacts(USER);
+    check('Apply', 'Counts match the plan', applied.added === 3 && applied.changed === 3 && applied.removed === 2 && applied.completed === 1, applied);
+    check('Apply', 'Fact text and category updated',
+      after.some(f => f.fact === 'Works at Globex') && after.find(f => f.fact === 'Lives in London').category === 'work');
+    check('Apply', 'Removed fact is deleted', !after.some(f => f.fact === 'Reading list item 0'));
+    const taskStatus = title => (memory.getTasks(USER).find(t => t.title === title) || {}).status;
+    check('Apply', 'Ticked task completed, deleted task cancelled',
+      taskStatus('Review PR') === 'completed' && taskStatus('Tidy docs') === 'cancelled');
+    check('Apply', 'Task title updated', taskStatus('Ship release 2.0') === 'pending');
+
+    const again = memoryExport.planImport(memory, USER, memoryExport.generateMemoryMd(memory, USER));
+    check('Apply', 'Re-exported file is in sync', memoryExport.countChanges(again) === 0, again);
+  } catch (error) {
+    logResult('Plan', 'Import plan', 'fail', error.stack);
+  }
+}
+
+/**
+ * Test hand-written and foreign files
+ */
+function testEdgeCases() {
+  printHeader('Edge Cases');
+
+  try {
+    const handWritten = [
+      '# MEMORY.md',
+      '## Known Facts',
+      '### Work',
+      '- Works at Globex',
+      '- Speaks Portuguese',
+      '## Pending Tasks',
+      '- [ ] Ship release 2.0',
+      '- [ ] Book flights'
+    ].join('\n');
+    const plan = memoryExport.planImport(memory, USER, handWritten);
+    check('Edge', 'Lines without markers match existing facts by text',
+      !plan.facts.added.some(f => f.fact === 'Works at Globex') && !plan.tasks.added.some(t => t.title === 'Ship release 2.0'), plan);
+    check('Edge', 'New unmarked lines are added', plan.facts.added.length === 1 && plan.tasks.added.length === 1, plan);
+    check('Edge', 'Without a sync marker nothing is removed',
+      plan.facts.removed.length === 0 && plan.tasks.removed.length === 0);
+
+    let foreignError = null;
+    try {
+      memoryExport.planImport(memory, USER, memoryExport.generateMemoryMd(memory, OTHER));
+    } catch (error) {
+      foreignError = error;
+    }
+    check('Edge', 'A file exported for another user is refused', foreignError && /exported for user-2/.test(foreignError.message));
+  } catch (error) {
+    logResult('Edge', 'Edge cases', 'fail', error.stack);
+  }
+}
+
+/**
+ * Test the memory skill commands and the confirmation action
+ */
+async function testCommands() {
+  printHeader('Commands');
+
+  try {
+    const skill = new MemorySkill();
+    skill.memory = memory;
+    const ctx = { userId: USER, chatId: USER };
+
+    check('Commands', 'Skill handles export/import', skill.canHandle('memory export') && skill.canHandle('memory import'));
+
+    const exported = await skill.execute('memory export', ctx);
+    check('Commands', 'Export writes MEMORY_MD_PATH',
+      exported.success && fs.existsSync(process.env.MEMORY_MD_PATH), exported);
+
+    const unchanged = await skill.execute('memory import', ctx);
+    check('Commands', 'Import of an untouched file needs no approval', unchanged.success && !unchanged.needsApproval, unchanged);
+
+    let md = fs.readFileSync(process.env.MEMORY_MD_PATH, 'utf8');
+    md = md.replace('### Work\n\n', '### Work\n\n- Runs the Lisbon office\n');
+    fs.writeFileSync(process.env.MEMORY_MD_PATH, md);
+
+    const preview = await skill.execute('memory import', ctx);
+    check('Commands', 'Import shows the diff and asks for approval',
+      preview.needsApproval && preview.message.includes('+ Runs the Lisbon office') &&
+      preview.message.includes('APPROVAL NEEDED'), preview.message);
+    check('Commands', 'Approval data carries the memory_import action and plan',
+      preview.approvalData && preview.approvalData.action === 'memory_import' && preview.approvalData.changes === 1);
+    check('Commands', 'Nothing is saved before confirmation', !memory.getFacts(USER).some(f => f.fact === 'Runs the Lisbon office'));
+    check('Commands', 'memory_import always requires confirmation', confirmationManager.requiresConfirmation('memory_import'));
+
+    const { action, ...params } = preview.approvalData;
+    const result = await actionExecutor.execute(action, params, ctx);
+    check('Commands', 'Confirmed action applies the import', result.success && /1 added/.test(result.message), result);
+    check('Commands', 'Fact saved after confirmation', memory.getFacts(USER).some(f => f.fact === 'Runs the Lisbon office' && f.category === 'work'));
+    check('Commands', 'MEMORY.md is rewritten with the new id',
+      /- Runs the Lisbon office <!-- fact:\d+ -->/.test(fs.readFileSync(process.env.MEMORY_MD_PATH, 'utf8')));
+
+    fs.unlinkSync(process.env.MEMORY_MD_PATH);
+    const missing = await skill.execute('memory import', ctx);
+    check('Commands', 'Missing MEMORY.md points to export', !missing.success && /memory export/.test(missing.message), missing);
+  } catch (error) {
+    logResult('Commands', 'Commands', 'fail', error.stack);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Memory Sync Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testExport();
+    testPlan();
+    testEdgeCases();
+    await testCommands();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
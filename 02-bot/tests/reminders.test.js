@@ -0,0 +1,417 @@
+/**
+ * Reminders Test Suite
+ *
+ * Tests for the reminders skill: splitting one-off times ("tomorrow morning",
+ * "next friday 3pm", "in 20 minutes") from the text in the user's timezone
+ * (the times themselves are covered by date-parser.test.js), recurring
+ * reminders through lib/recurrence, reminders stored as scheduler jobs
+ * (one-off ones disabled after they fire), delivery with snooze and done
+ * buttons, delivery to another chat or a linked platform, and catch-up of
+ * reminders missed while the bot was down.
+ *
+ * Run with: node 02-bot/tests/reminders.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite databases and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-reminders-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.ACCESS_DEFAULT_ROLE;
+delete process.env.TIMEZONE;
+
+const USER = '710000001';
+const OTHER = '710000002';
+const TOKYO_USER = '710000003';
+const SLACK_USER = 'U0REMIND1';
+const GROUP = '-100710';
+process.env.ACCESS_OWNERS = USER;
+
+const db = require('../lib/database');
+const memory = require('../memory/memory-manager');
+const chatRegistry = require('../lib/chat-registry');
+const ActionButtons = require('../lib/action-buttons');
+const { parseRecurrence, cronForDate } = require('../lib/recurrence');
+const { Scheduler, getScheduler } = require('../scheduler/scheduler');
+const registry = require('../skills/skill-registry');
+const RemindersSkill = require('../skills/reminders');
+const { splitWhen } = RemindersSkill;
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+// Messages the scheduler posts to chats
+const sent = [];
+const scheduler = getScheduler(memory, async (message) => sent.push({ message, chatId: 'default' }));
+scheduler.setChatSender(async (message, platform, chatId, buttons) => sent.push({ message, platform, chatId, buttons }));
+
+const reminders = new RemindersSkill({ memory, config: { maxReminders: 6 } });
+registry.register(reminders);
+
+function as(userId, chatId = userId) {
+  return { userId, chatId, platform: 'telegram' };
+}
+
+function idFrom(result) {
+  const match = String(result.message || '').match(/#(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function paramsOf(job) {
+  return typeof job.params === 'string' ? JSON.parse(job.params) : job.params;
+}
+
+// Monday 19 October 2026, 11:00 in London (BST)
+const NOW = new Date('2026-10-19T10:00:00Z');
+const LONDON = 'Europe/London';
+
+// ============================================================================
+// Reading times
+// ============================================================================
+
+function testSplitWhen() {
+  printHeader('Splitting Text and Time');
+
+  const after = splitWhen('to call John next Friday at 3pm', LONDON, NOW);
+  check('Split', 'Time after the text', after && after.message === 'call John' && after.phrase === 'next Friday at 3pm', after);
+
+  const before = splitWhen('tomorrow morning to pay the rent', LONDON, NOW);
+  check('Split', 'Time before the text', before && before.message === 'pay the rent' && before.date.toISOString() === '2026-10-20T07:00:00.000Z', before);
+
+  const recurring = splitWhen('every Monday at 9 to send the timesheet', LONDON, NOW);
+  check('Recurring', 'Recurrences become cron expressions',
+    recurring && recurring.cron === '0 9 * * 1' && recurring.message === 'send the timesheet' && !recurring.date, recurring);
+
+  const monthly = splitWhen('to pay rent on the first of the month', LONDON, NOW);
+  check('Recurring', '"first of the month" is monthly', monthly && monthly.cron === '0 9 1 * *' && monthly.message === 'pay rent', monthly);
+
+  const plural = splitWhen('fridays at 4pm review invoices', LONDON, NOW);
+  check('Recurring', 'Plural day names recur', plural && plural.cron === '0 16 * * 5', plural);
+
+  const single = splitWhen('call mum friday', LONDON, NOW);
+  check('Recurring', 'A single day name is one-off', single && single.date && !single.cron, single);
+
+  const about = splitWhen('about the meeting tomorrow', LONDON, NOW);
+  check('Split', 'Leading "about" is dropped', about && about.message === 'the meeting', about);
+
+  check('Split', 'No time gives null', splitWhen('to buy milk', LONDON, NOW) === null);
+
+  check('Recurrence', 'Ordinal words are days of the month',
+    parseRecurrence('on the fifteenth of every month at 10').cron === '0 10 15 * *');
+  check('Recurrence', 'cronForDate uses the wall-clock time in the timezone',
+    cronForDate(new Date('2026-10-24T14:30:00Z'), LONDON) === '30 15 24 10 *' &&
+    cronForDate(new Date('2026-10-24T14:30:00Z'), 'Asia/Tokyo') === '30 23 24 10 *');
+}
+
+// ============================================================================
+// Setting and delivering reminders
+// ============================================================================
+
+async function testOneOff() {
+  printHeader('One-off Reminders');
+
+  const set = await registry.route('remind me to call John tomorrow at 10am', as(USER));
+  const id = idFrom(set);
+  check('Set', 'Reminder is set', set.success && id, set.message);
+
+  const job = await scheduler.getJob(id);
+  const params = paramsOf(job);
+  check('Set', 'Stored as a once job for the reminder handler',
+    job.handler === 'reminder' && job.run_once === 1 && job.enabled === 1 && job.timezone === 'Europe/London', job);
+  check('Set', 'Params hold the text, owner and chat',
+    params.message === 'call John' && params.userId === USER && params.chatId === USER && params.recurring === false, params);
+  check('Set', 'Next run is tomorrow at 10:00', /^0 10 \d+ \d+ \*$/.test(job.cron_expression) && Boolean(job.next_run), job);
+
+  sent.length = 0;
+  await scheduler.triggerNow(id);
+  check('Deliver', 'Reminder goes to its chat', sent.length === 1 && sent[0].chatId === USER && sent[0].message.includes('call John'), sent);
+  check('Deliver', 'With snooze and done buttons',
+    sent[0] && JSON.stringify(sent[0].buttons) === JSON.stringify(ActionButtons.reminder(id)), sent[0]);
+
+  const fired = await scheduler.getJob(id);
+  check('Deliver', 'One-off reminders are disabled after firing', fired.enabled === 0 && fired.next_run === null, fired);
+
+  const list = await registry.route('my reminders', as(USER));
+  check('List', 'Delivered reminders wait to be marked done',
+    list.message.includes('Delivered, not done') && list.message.includes(`#${id} call John`), list.message);
+
+  const snoozed = await registry.route(`snooze reminder ${id} 1 hour`, as(USER));
+  const afterSnooze = await scheduler.getJob(id);
+  check('Snooze', 'Snoozing re-enables it', snoozed.success && afterSnooze.enabled === 1, snoozed.message);
+  const due = new Date(afterSnooze.next_run).getTime() - Date.now();
+  check('Snooze', 'Next run is about an hour away', due > 58 * 60 * 1000 && due <= 61 * 60 * 1000, afterSnooze.next_run);
+
+  const badSnooze = await registry.route(`snooze reminder ${id} a while`, as(USER));
+  check('Snooze', 'Unreadable snooze times are rejected', !badSnooze.success, badSnooze.message);
+
+  const done = await registry.route(`done reminder ${id}`, as(USER));
+  check('Done', 'Done removes a one-off reminder', done.success && (await scheduler.getJob(id)) === null, done.message);
+
+  const past = await registry.route('remind me to stretch today at 00:00', as(USER));
+  check('Set', 'Times that have passed are rejected', !past.success && past.message.includes('already passed'), past.message);
+
+  const noTime = await registry.route('remind me to buy milk', as(USER));
+  check('Set', 'A reminder needs a time', !noTime.success && noTime.message.includes('tomorrow at 9'), noTime.message);
+
+  const noText = await registry.route('remind me tomorrow at 9', as(USER));
+  check('Set', 'A reminder needs text', !noText.success && noText.message.includes('What should I remind you about'), noText.message);
+
+  const before = (await scheduler.listAll()).length;
+  const unclear = await registry.route('remind me to call mum at 5', as(USER));
+  check('Set', 'Ambiguous times are asked about, not guessed',
+    !unclear.success && unclear.needsClarification && (await scheduler.listAll()).length === before &&
+    unclear.options.includes('remind me to call mum at 5am') && unclear.options.includes('remind me to call mum at 5pm'), unclear.message);
+}
+
+async function testRecurring() {
+  printHeader('Recurring Reminders');
+
+  const set = await registry.route('remind me every Monday at 9 to send the timesheet', as(USER));
+  const id = idFrom(set);
+  const job = await scheduler.getJob(id);
+  check('Set', 'Recurring reminders keep running',
+    set.success && job.cron_expression === '0 9 * * 1' && job.run_once === 0 && paramsOf(job).recurring === true, job);
+
+  sent.length = 0;
+  await scheduler.triggerNow(id);
+  check('Deliver', 'Delivery says how often', sent[0] && sent[0].message.includes('Every Monday at 09:00'), sent);
+  check('Deliver', 'Still enabled after firing', (await scheduler.getJob(id)).enabled === 1);
+
+  const snoozed = await registry.route(`snooze reminder ${id}`, as(USER));
+  const copyId = idFrom({ message: snoozed.message.replace(/^[^(]*/, '') });
+  const copy = copyId && await scheduler.getJob(copyId);
+  check('Snooze', 'Snoozing a recurring reminder makes a one-off copy',
+    snoozed.success && copy && copy.run_once === 1 && paramsOf(copy).message === 'send the timesheet', snoozed.message);
+  check('Snooze', 'The recurring schedule is unchanged', (await scheduler.getJob(id)).cron_expression === '0 9 * * 1');
+
+  const done = await registry.route(`done reminder ${id}`, as(USER));
+  check('Done', 'Done keeps a recurring reminder', done.success && (await scheduler.getJob(id)) !== null, done.message);
+
+  const list = await registry.route('list reminders', as(USER));
+  check('List', 'List shows recurring and snoozed reminders',
+    list.message.includes('send the timesheet') && list.message.includes('Every Monday at 09:00'), list.message);
+
+  const cancelled = await registry.route(`cancel reminder ${copyId}`, as(USER));
+  check('Cancel', 'Cancel removes a reminder', cancelled.success && (await scheduler.getJob(copyId)) === null, cancelled.message);
+
+  const monthly = await registry.route('remind me to file VAT on the first of the month', as(USER));
+  check('Set', 'Monthly reminders', monthly.success && (await scheduler.getJob(idFrom(monthly))).cron_expression === '0 9 1 * *', monthly.message);
+}
+
+async function testOwnership() {
+  printHeader('Ownership and Buttons');
+
+  const set = await registry.route('remind us to review invoices tomorrow at 4pm', as(USER, GROUP));
+  const id = idFrom(set);
+  check('Set', 'Group reminders go to the group', set.success && paramsOf(await scheduler.getJob(id)).chatId === GROUP, set.message);
+
+  const stranger = await registry.route(`cancel reminder ${id}`, as(OTHER));
+  check('Ownership', "Others can't cancel a reminder", !stranger.success && stranger.message.includes("isn't yours"), stranger.message);
+
+  // Button presses arrive with the chat as the sender
+  const button = await registry.route(`snooze reminder ${id} 10 minutes`, { userId: GROUP, chatId: GROUP });
+  check('Buttons', 'Buttons work in the chat the reminder was sent to', button.success, button.message);
+
+  const elsewhere = await registry.route(`done reminder ${id}`, as(OTHER));
+  check('Buttons', "Other chats can't mark it done", !elsewhere.success, elsewhere.message);
+
+  const missing = await registry.route('done reminder 99999', as(USER));
+  check('Ownership', 'Unknown IDs are reported', !missing.success && missing.message.includes('No reminder #99999'), missing.message);
+
+  const notReminder = await scheduler.schedule('test:custom', '0 8 * * *', 'custom', { message: 'brief', userId: USER });
+  const wrongType = await registry.route(`cancel reminder ${notReminder.id}`, as(USER));
+  check('Ownership', 'Only reminder jobs can be cancelled here', !wrongType.success && (await scheduler.getJob(notReminder.id)) !== null, wrongType.message);
+
+  for (const buttons of [ActionButtons.reminder(123456789)]) {
+    const data = buttons.flat().map(button => button.callback_data);
+    check('Buttons', 'Callback data fits in 64 bytes', data.every(d => ActionButtons.isValidCallbackData(d)), data);
+    check('Buttons', 'Callback data parses to an action', ActionButtons.parseCallback(data[0]).action === 'reminder_snooze' &&
+      ActionButtons.parseCallback(data[0]).params === '123456789:10', data[0]);
+  }
+
+  const LIMITED = '710000009';
+  for (let i = 1; i <= 6; i++) {
+    await registry.route(`remind me to stretch in ${i * 10} minutes`, as(LIMITED));
+  }
+  const overLimit = await registry.route('remind me to sit down in 90 minutes', as(LIMITED));
+  check('Limit', 'maxReminders caps active reminders', !overLimit.success && overLimit.message.includes('the most is 6'), overLimit.message);
+}
+
+async function testTargets() {
+  printHeader('Delivery Targets');
+
+  chatRegistry.registerChat('-100720', 'company', 'GMH', { platform: 'telegram', name: 'GMH Team' });
+  chatRegistry.setRole(OTHER, 'viewer', '-100720');
+  const chat = await registry.route('remind me to check payroll tomorrow at 9 in the GMH Team chat', as(OTHER));
+  const chatJob = await scheduler.getJob(idFrom(chat));
+  check('Chat', 'Reminders can go to a named chat',
+    chat.success && paramsOf(chatJob).chatId === '-100720' && paramsOf(chatJob).message === 'check payroll', chat.message);
+  check('Chat', 'Reply says where it will be sent', chat.message.includes('to GMH Team'), chat.message);
+
+  const inText = await registry.route('remind me to read the notes from GMH Team in GMH Team tomorrow at 9', as(OTHER));
+  const inTextParams = paramsOf(await scheduler.getJob(idFrom(inText)));
+  check('Chat', '"in <name>" inside the text stays in the text',
+    inText.success && inTextParams.chatId === OTHER && inTextParams.message === 'read the notes from GMH Team in GMH Team', inTextParams);
+
+  const outsider = await registry.route('remind me to check payroll tomorrow at 9 in the GMH Team chat', as(TOKYO_USER));
+  check('Chat', 'Only people with a role in the chat can send reminders there',
+    !outsider.success && outsider.message.includes("can't send reminders to GMH Team"), outsider.message);
+
+  const unlinked = await registry.route('remind me on slack to submit expenses tomorrow', as(OTHER));
+  check('Platform', 'Platforms need a linked account', !unlinked.success && unlinked.message.includes('link account'), unlinked.message);
+
+  const code = db.createLinkCode(OTHER, 'telegram');
+  db.redeemLinkCode(code.code, SLACK_USER, 'slack');
+  const linked = await registry.route('remind me on slack to submit expenses tomorrow', as(OTHER));
+  const linkedParams = paramsOf(await scheduler.getJob(idFrom(linked)));
+  check('Platform', 'Reminders go to the linked account',
+    linked.success && linkedParams.chatId === SLACK_USER && linkedParams.platform === 'slack' && linkedParams.message === 'submit expenses', linkedParams);
+
+  const same = await registry.route('remind me on telegram to drink water in 15 minutes', as(OTHER));
+  check('Platform', 'The current platform means this chat', same.success && paramsOf(await scheduler.getJob(idFrom(same))).chatId === OTHER, same.message);
+
+  memory.saveFact(TOKYO_USER, 'My timezone is Tokyo', 'preference');
+  const tokyo = await registry.route('remind me to call Osaka tomorrow at 9', as(TOKYO_USER));
+  const tokyoJob = await scheduler.getJob(idFrom(tokyo));
+  check('Timezone', 'Reminders use the owner timezone',
+    tokyo.success && tokyoJob.timezone === 'Asia/Tokyo' && tokyoJob.cron_expression.startsWith('0 9 '), tokyoJob);
+}
+
+// ============================================================================
+// Restarts
+// ============================================================================
+
+async function testCatchUp() {
+  printHeader('Missed Reminders');
+
+  const set = await registry.route('remind me to take the bins out tomorrow at 7am', as(USER));
+  const id = idFrom(set);
+
+  // Due at 07:00 on the 18th, while the bot was down
+  await scheduler.reschedule(id, '0 7 18 10 *');
+  memory.db.prepare('UPDATE scheduled_jobs SET next_run = ? WHERE id = ?').run('2026-10-18T06:00:00.000Z', id);
+  const job = await scheduler.getJob(id);
+
+  sent.length = 0;
+  const summary = await scheduler.catchUpMissed([job], new Date('2026-10-19T06:00:00Z'));
+  const after = await scheduler.getJob(id);
+  check('Catch-up', 'A reminder missed while down is sent once', summary[0] && summary[0].ran === 1 && sent.length === 1, { summary, sent });
+  check('Catch-up', 'And then disabled', after.enabled === 0, after);
+
+  // Skills can register their handler after the scheduler has started
+  const fresh = new Scheduler(memory);
+  const delivered = [];
+  fresh.setChatSender(async (message, platform, chatId, buttons) => delivered.push({ message, chatId, buttons }));
+  await fresh.reschedule(id, '0 7 18 10 *');
+  memory.db.prepare('UPDATE scheduled_jobs SET next_run = ? WHERE id = ?').run('2026-10-18T06:00:00.000Z', id);
+  const waiting = await fresh.catchUpMissed([await fresh.getJob(id)], new Date('2026-10-19T06:00:00Z'));
+  check('Late handler', 'Jobs without a handler yet wait', waiting.length === 0 && delivered.length === 0, waiting);
+
+  fresh.registerHandler('reminder', reminders.handleReminderTrigger.bind(reminders));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  check('Late handler', 'They catch up when the handler registers',
+    delivered.length === 1 && delivered[0].message.includes('take the bins out') && Boolean(delivered[0].buttons), delivered);
+}
+
+/**
+ * Print final test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Reminders Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await reminders.initialize();
+    testSplitWhen();
+    await testOneOff();
+    await testRecurring();
+    await testOwnership();
+    await testTargets();
+    await testCatchUp();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
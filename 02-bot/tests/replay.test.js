@@ -0,0 +1,277 @@
+/**
+ * Conversation Replay Test Suite
+ *
+ * Replays recorded conversations from tests/replay/fixtures through the same
+ * /telegram, /webhook, /slack and /discord pipeline index.js serves (plus its email inbox), with AI providers and
+ * GitHub replaced by local fakes. Each turn asserts on the skill the registry
+ * chose, the AI fallback, pending confirmations and the outgoing messages.
+ *
+ * Fixture format (one conversation per JSON file):
+ *   {
+ *     "name": "...",
+ *     "chat": { "platform": "telegram"|"whatsapp"|"slack"|"discord"|"email", "chatId": "...",
+ *               "context": { "type": "repo", "value": "aws-clawd-bot" },
+ *               "skills": { "remote-exec": false },
+ *               "roles": { "1": "admin", "*": "viewer" } },
+ *     "env": { "REPLICATE_API_TOKEN": "fake" },
+ *     "ai": { "<regex>": "scripted AI reply" },
+ *     "github": { "repos.listForUser": [ ... ] },
+ *     "turns": [
+ *       { "message": "help", "threadTs": "1712345678.000100",
+ *         "expect": { "skill": "help", "ai": false, "confirmation": false,
+ *                     "thread": "1712345678.000100",
+ *                     "reply": { "contains": ["..."], "matches": "regex" } } }
+ *
+ *   "threadTs" (Slack) posts the message inside that thread; "thread" expects
+ *   every reply to go to it. Discord turns send a slash command
+ *   ("slash": { "name": "currency", "options": [...] }); Telegram, Slack and
+ *   Discord turns can click a button ("button": "confirm_no:generate-image").
+ *   "message" is then just a label. "buttons": true expects a reply with
+ *   buttons; "sender" expects the skill to run as that user ID. Email turns can set a
+ *   "subject" and "attachments" ([{ "filename", "contentType", "content" }]);
+ *   "message" is the body. "forged": true sends it without the receiving
+ *   server's Authentication-Results.
+ *   "roles" assigns roles in the chat before the first turn (Telegram
+ *   messages are sent by user 1, or the turn's "from"). Telegram turns with
+ *   "polling": true arrive through the long-polling handler, not /telegram.
+ *     ]
+ *   }
+ *
+ * Run with: node 02-bot/tests/replay.test.js [fixture-name-filter]
+ * Set REPLAY_VERBOSE=1 to see the bot's own logs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Keep a handle on the real console - the harness silences bot logs
+const print = console.log.bind(console);
+
+const { ReplayHarness } = require('./replay/harness');
+const fakes = require('./replay/fakes');
+
+const FIXTURES_DIR = path.join(__dirname, 'replay', 'fixtures');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  print('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  print(colors.bright + `  ${title}` + colors.reset);
+  print(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  print(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Load fixtures, optionally filtered by file name
+ */
+function loadFixtures(filter) {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .filter(file => !filter || file.includes(filter))
+    .sort()
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')) }));
+}
+
+/**
+ * Compare a turn's captured results with its expectations
+ * @returns {string[]} - Failure reasons (empty when the turn passed)
+ */
+function checkTurn(expect = {}, turn) {
+  const failures = [];
+  const replyText = turn.outgoing.map(o => o.text).join('\n');
+
+  if ('skill' in expect) {
+    const chosen = turn.skills[0] || null;
+    if (chosen !== expect.skill) {
+      failures.push(`skill: expected ${expect.skill}, got ${chosen}`);
+    }
+  }
+
+  if ('sender' in expect && turn.senders[0] !== expect.sender) {
+    failures.push(`sender: expected the skill to run as ${expect.sender}, got ${turn.senders[0]}`);
+  }
+
+  if ('ai' in expect && (turn.ai.length > 0) !== expect.ai) {
+    failures.push(`ai: expected ${expect.ai ? 'AI fallback' : 'no AI call'}, got ${turn.ai.length} call(s)`);
+  }
+
+  if ('confirmation' in expect && turn.pendingConfirmation !== expect.confirmation) {
+    failures.push(`confirmation: expected ${expect.confirmation}, got ${turn.pendingConfirmation}`);
+  }
+
+  if ('replies' in expect && turn.outgoing.length !== expect.replies) {
+    failures.push(`replies: expected ${expect.replies}, got ${turn.outgoing.length}`);
+  }
+
+  if ('buttons' in expect && turn.outgoing.some(o => o.buttons && o.buttons.length > 0) !== expect.buttons) {
+    failures.push(`buttons: expected ${expect.buttons ? 'a reply with buttons' : 'no buttons'}`);
+  }
+
+  if ('thread' in expect) {
+    const elsewhere = turn.outgoing.filter(o => !o.to.endsWith(`:${expect.thread}`));
+    if (elsewhere.length > 0) {
+      failures.push(`thread: expected replies in ${expect.thread}, got ${elsewhere.map(o => o.to).join(', ')}`);
+    }
+  }
+
+  const reply = expect.reply || {};
+  for (const text of reply.contains || []) {
+    if (!replyText.includes(text)) {
+      failures.push(`reply missing "${text}"`);
+    }
+  }
+  if (reply.matches && !new RegExp(reply.matches, 'i').test(replyText)) {
+    failures.push(`reply does not match /${reply.matches}/`);
+  }
+
+  if (failures.length > 0) {
+    failures.push(`${colors.dim}got: ${JSON.stringify(replyText.substring(0, 200))}${colors.reset}`);
+  }
+
+  return failures;
+}
+
+/**
+ * Replay one conversation
+ */
+async function replayConversation(harness, fixture) {
+  printHeader(`${fixture.name} (${fixture.file})`);
+
+  const chat = fixture.chat || {};
+  harness.setupChat(chat);
+  fakes.setAIReplies(fixture.ai);
+  fakes.setGitHubData(fixture.github);
+
+  // Fixture env vars (e.g. fake tokens so a skill gets past its config check)
+  const savedEnv = {};
+  for (const [key, value] of Object.entries(fixture.env || {})) {
+    savedEnv[key] = process.env[key];
+    process.env[key] = value;
+  }
+
+  for (const [i, step] of (fixture.turns || []).entries()) {
+    const testName = `#${i + 1} "${step.message}"`;
+
+    try {
+      const turn = await harness.send({
+        platform: step.platform || chat.platform || 'telegram',
+        chatId: step.chatId || chat.chatId,
+        message: step.message,
+        threadTs: step.threadTs,
+        slash: step.slash,
+        button: step.button,
+        from: step.from,
+        polling: step.polling,
+        subject: step.subject,
+        attachments: step.attachments,
+        forged: step.forged
+      });
+
+      const failures = checkTurn(step.expect, turn);
+      if (failures.length === 0) {
+        logResult(fixture.file, testName, 'pass', `→ ${turn.skills[0] || (turn.ai.length ? 'AI' : 'none')}`);
+      } else {
+        logResult(fixture.file, testName, 'fail', '\n      ' + failures.join('\n      '));
+      }
+    } catch (error) {
+      logResult(fixture.file, testName, 'fail', error.message);
+    }
+  }
+
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  print(`  Total turns: ${results.total}`);
+  print(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  print(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  print('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    print(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    print(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  print('='.repeat(60) + '\n');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  const fixtures = loadFixtures(process.argv[2]);
+  print(`\n${INFO} Conversation Replay - ${fixtures.length} fixture(s) - ${new Date().toISOString()}`);
+
+  const harness = new ReplayHarness();
+
+  try {
+    await harness.start();
+
+    for (const fixture of fixtures) {
+      await replayConversation(harness, fixture);
+    }
+  } catch (error) {
+    print(`\n${FAIL} Unexpected error during replay:`, error);
+    results.failed++;
+  } finally {
+    await harness.stop().catch(() => {});
+  }
+
+  printSummary();
+
+  // Bot modules keep timers (scheduler, cleanup intervals) alive - exit explicitly
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runTests();
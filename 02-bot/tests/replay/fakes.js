@@ -0,0 +1,203 @@
+/**
+ * Replay Fakes - Local stand-ins for AI providers and GitHub
+ *
+ * Installed before index.js is required so the real message pipeline runs
+ * without network access or API keys. Every call is recorded so fixtures can
+ * assert on whether the AI fallback or GitHub was reached.
+ */
+
+const path = require('path');
+const Module = require('module');
+
+const BOT_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Calls recorded by the fakes, cleared per turn by the harness
+ */
+const calls = {
+  ai: [],
+  github: []
+};
+
+/**
+ * Scripted AI replies: [{ match: RegExp, reply: string }]
+ * Falls back to an echo so unexpected AI use is visible in assertions.
+ */
+let aiScript = [];
+
+/**
+ * Canned GitHub responses keyed by "namespace.method" (e.g. "repos.listForUser")
+ */
+let githubData = {};
+
+/**
+ * Set scripted AI replies for the current conversation
+ * @param {Object<string, string>} replies - Regex source -> reply text
+ */
+function setAIReplies(replies = {}) {
+  aiScript = Object.entries(replies).map(([pattern, reply]) => ({
+    match: new RegExp(pattern, 'i'),
+    reply
+  }));
+}
+
+/**
+ * Set canned GitHub API data for the current conversation
+ * @param {Object<string, any>} data - "namespace.method" -> response data
+ */
+function setGitHubData(data = {}) {
+  githubData = data;
+}
+
+/**
+ * Reply for an AI query from the script, or an echo
+ * @param {string} message
+ * @returns {string}
+ */
+function scriptedReply(message) {
+  const entry = aiScript.find(e => e.match.test(message || ''));
+  return entry ? entry.reply : `[fake-ai] ${message}`;
+}
+
+/**
+ * Fake of the ai-handler singleton (the parts index.js uses)
+ */
+const fakeAIHandler = {
+  async processQuery(message, context = {}) {
+    calls.ai.push({ message, context });
+    return scriptedReply(message);
+  },
+  isNewConversation() {
+    return false;
+  },
+  getGreeting() {
+    return '[fake-ai] greeting';
+  }
+};
+
+/**
+ * Fake Anthropic SDK client - used by smart-router and direct SDK callers
+ */
+class FakeAnthropic {
+  constructor() {
+    this.messages = {
+      create: async (params = {}) => {
+        const last = (params.messages || []).slice(-1)[0];
+        const text = typeof last?.content === 'string' ? last.content : '';
+        calls.ai.push({ message: text, context: { sdk: 'anthropic', model: params.model } });
+        return { content: [{ type: 'text', text: scriptedReply(text) }], usage: { input_tokens: 0, output_tokens: 0 } };
+      }
+    };
+  }
+}
+
+/**
+ * Fake OpenAI SDK client (Groq/Grok/Perplexity use OpenAI-compatible clients)
+ */
+class FakeOpenAI {
+  constructor() {
+    this.chat = {
+      completions: {
+        create: async (params = {}) => {
+          const last = (params.messages || []).slice(-1)[0];
+          const text = typeof last?.content === 'string' ? last.content : '';
+          calls.ai.push({ message: text, context: { sdk: 'openai', model: params.model } });
+          return { choices: [{ message: { role: 'assistant', content: scriptedReply(text) } }], usage: {} };
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Fake Octokit - any octokit.<namespace>.<method>() resolves with canned data
+ */
+class FakeOctokit {
+  constructor() {
+    const makeNamespace = (namespace) => new Proxy({}, {
+      get: (_, method) => async (params = {}) => {
+        const key = `${namespace}.${String(method)}`;
+        calls.github.push({ method: key, params });
+        return { data: key in githubData ? githubData[key] : [] };
+      }
+    });
+
+    const namespaces = new Proxy({}, {
+      get: (_, namespace) => makeNamespace(String(namespace))
+    });
+
+    this.rest = namespaces;
+    return new Proxy(this, {
+      get: (target, prop) => (prop in target ? target[prop] : namespaces[prop])
+    });
+  }
+}
+
+/**
+ * Module ids and the fakes that replace them
+ */
+const PACKAGE_FAKES = {
+  '@anthropic-ai/sdk': Object.assign(FakeAnthropic, { default: FakeAnthropic, Anthropic: FakeAnthropic }),
+  'openai': Object.assign(FakeOpenAI, { default: FakeOpenAI, OpenAI: FakeOpenAI }),
+  '@octokit/rest': { Octokit: FakeOctokit }
+};
+
+const FILE_FAKES = {
+  [path.join(BOT_DIR, 'ai-handler.js')]: fakeAIHandler
+};
+
+let originalLoad = null;
+
+/**
+ * Route require() of AI SDKs, Octokit and ai-handler to the fakes
+ */
+function install() {
+  if (originalLoad) return;
+
+  originalLoad = Module._load;
+  Module._load = function (request, parent, isMain) {
+    if (Object.prototype.hasOwnProperty.call(PACKAGE_FAKES, request)) {
+      return PACKAGE_FAKES[request];
+    }
+
+    if (request.startsWith('.') && parent && parent.filename) {
+      const resolved = path.resolve(path.dirname(parent.filename), request);
+      const candidate = resolved.endsWith('.js') ? resolved : `${resolved}.js`;
+      if (FILE_FAKES[candidate]) {
+        return FILE_FAKES[candidate];
+      }
+    }
+
+    return originalLoad.apply(this, arguments);
+  };
+}
+
+/**
+ * Restore the real module loader
+ */
+function uninstall() {
+  if (!originalLoad) return;
+  Module._load = originalLoad;
+  originalLoad = null;
+}
+
+/**
+ * Clear recorded calls
+ */
+function resetCalls() {
+  calls.ai.length = 0;
+  calls.github.length = 0;
+}
+
+module.exports = {
+  install,
+  uninstall,
+  resetCalls,
+  setAIReplies,
+  setGitHubData,
+  calls,
+  fakeAIHandler,
+  FakeAnthropic,
+  FakeOpenAI,
+  FakeOctokit
+};
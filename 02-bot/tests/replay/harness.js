@@ -0,0 +1,503 @@
+/**
+ * Replay Harness - Feed recorded conversations through the real bot pipeline
+ *
+ * Boots index.js in-process with AI providers and GitHub replaced by the
+ * local fakes in ./fakes.js, then POSTs each turn to /telegram, /webhook,
+ * /slack or /discord exactly as Telegram/Twilio/Slack/Discord would (Slack and
+ * Discord requests are signed). Telegram turns can instead go through the
+ * long-polling handler. Email turns are dropped into a maildir that
+ * the bot then polls. Outgoing messages, the skill chosen by
+ * the registry and pending confirmations are captured per turn.
+ *
+ * All state (SQLite, chat registry) lives in a temp directory so replays
+ * never touch real data.
+ *
+ * @example
+ * const harness = new ReplayHarness();
+ * await harness.start();
+ * const turn = await harness.send({ platform: 'telegram', chatId: '-100123', message: 'help' });
+ * // turn.skills -> ['help'], turn.outgoing[0].text -> '✓ *ClawdBot* ...'
+ * await harness.stop();
+ */
+
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const http = require('http');
+const fakes = require('./fakes');
+
+const DEFAULT_WHATSAPP = '+447700900001';
+const SLACK_SIGNING_SECRET = 'replay-signing-secret';
+
+// Throwaway Ed25519 key pair standing in for the Discord application's
+const DISCORD_KEYS = crypto.generateKeyPairSync('ed25519');
+const DISCORD_PUBLIC_KEY = DISCORD_KEYS.publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+
+/**
+ * Env vars that would reach real services - blanked before boot.
+ * dotenv never overrides a variable that is already set, even to ''.
+ */
+const BLANKED_ENV = [
+  'ANTHROPIC_API_KEY', 'GROQ_API_KEY', 'XAI_API_KEY', 'PERPLEXITY_API_KEY',
+  'REPLICATE_API_TOKEN', 'VERCEL_TOKEN', 'TELEGRAM_BOT_TOKEN', 'TELEGRAM_HQ_CHAT_ID',
+  'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_WHATSAPP_NUMBER', 'TWILIO_PHONE_NUMBER',
+  'OPENWEATHER_API_KEY', 'NEWSAPI_KEY', 'BRAVE_API_KEY', 'MOLTBOOK_API_KEY', 'OPENCLAW_API_KEY',
+  'SPOTIFY_CLIENT_ID', 'SPOTIFY_CLIENT_SECRET', 'GITHUB_WEBHOOK_SECRET', 'SLACK_BOT_TOKEN',
+  'DISCORD_BOT_TOKEN', 'DISCORD_APPLICATION_ID', 'SMTP_HOST', 'IMAP_HOST', 'EMAIL_FROM',
+  'ALERT_EMAIL', 'MORNING_BRIEF_EMAIL', 'ACCESS_OWNERS', 'ACCESS_DEFAULT_ROLE'
+];
+
+class ReplayHarness {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.verbose - Let bot logs through (default: false)
+   * @param {number} options.settleMs - Quiet period that ends a turn (default: 250)
+   * @param {number} options.timeoutMs - Max wait for a turn's replies (default: 8000)
+   */
+  constructor(options = {}) {
+    this.verbose = options.verbose || !!process.env.REPLAY_VERBOSE;
+    this.settleMs = options.settleMs || 250;
+    this.timeoutMs = options.timeoutMs || 8000;
+
+    this.tmpDir = null;
+    this.server = null;
+    this.port = null;
+    this.registry = null;
+    this.confirmationManager = null;
+    this.chatRegistry = null;
+
+    this.outgoing = [];
+    this.skills = [];
+    this.senders = [];
+    this._console = null;
+  }
+
+  /**
+   * Boot the bot with fakes installed
+   */
+  async start() {
+    this.tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-replay-'));
+
+    Object.assign(process.env, {
+      PORT: '0',
+      NODE_ENV: 'test',
+      CLAWDBOT_DATA_DIR: this.tmpDir,
+      CHAT_REGISTRY_FILE: path.join(this.tmpDir, 'chat-registry.json'),
+      YOUR_WHATSAPP: DEFAULT_WHATSAPP,
+      GITHUB_TOKEN: 'replay-fake-token',
+      GITHUB_USERNAME: 'replay-user',
+      SLACK_SIGNING_SECRET,
+      DISCORD_PUBLIC_KEY,
+      EMAIL_MAILDIR: path.join(this.tmpDir, 'maildir'),
+      EMAIL_POLL_INTERVAL_MS: String(60 * 60 * 1000) // turns poll explicitly
+    });
+    for (const key of BLANKED_ENV) {
+      process.env[key] = '';
+    }
+
+    this._silence();
+    fakes.install();
+
+    const { server } = require('../../index');
+    this.server = server;
+    this.registry = require('../../skills/skill-registry');
+    this.confirmationManager = require('../../lib/confirmation-manager');
+    this.chatRegistry = require('../../lib/chat-registry');
+
+    await this._waitFor(() => this.server.listening && this.registry.getSkillNames().length > 0);
+    // Skills register asynchronously - wait for the count to stop growing
+    let count = -1;
+    await this._waitFor(() => {
+      const current = this.registry.getSkillNames().length;
+      const stable = current === count;
+      count = current;
+      return stable;
+    }, 200);
+
+    this.port = this.server.address().port;
+    process.env.BASE_URL = `http://127.0.0.1:${this.port}`;
+    this._patchOutbound();
+
+    const accessControl = require('../../lib/access-control');
+    this.registry.on('beforeExecute', ({ skill, context }) => {
+      this.skills.push(skill);
+      this.senders.push(accessControl.getSender(context).userId);
+    });
+    this.registry.on('usageError', ({ skill }) => this.skills.push(skill));
+    this.registry.on('accessDenied', ({ skill }) => this.skills.push(skill));
+  }
+
+  /**
+   * Shut the bot down and remove temp state
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+    }
+    fakes.uninstall();
+    this._restoreConsole();
+    if (this.tmpDir) {
+      fs.rmSync(this.tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Prepare a chat before a conversation: registry context, skill overrides,
+   * roles and a clean confirmation state
+   * @param {Object} chat - Fixture chat block
+   * @param {string} chat.chatId
+   * @param {Object} [chat.context] - { type: 'repo'|'company'|'hq', value }
+   * @param {Object<string, boolean>} [chat.skills] - Per-chat skill overrides
+   * @param {Object<string, string>} [chat.roles] - Roles in this chat (userId or '*' -> role)
+   */
+  setupChat(chat) {
+    const chatId = String(chat.chatId);
+
+    this.confirmationManager.clearAll();
+    if (this.chatRegistry.isRegistered(chatId)) {
+      this.chatRegistry.unregisterChat(chatId);
+    }
+    for (const skillName of Object.keys(this.chatRegistry.getSkillOverrides(chatId))) {
+      this.chatRegistry.clearSkillOverride(chatId, skillName);
+    }
+    for (const userId of Object.keys(this.chatRegistry.getRoles(chatId))) {
+      this.chatRegistry.clearRole(userId, chatId);
+    }
+
+    if (chat.context) {
+      this.chatRegistry.registerChat(chatId, chat.context.type, chat.context.value || null, {
+        platform: chat.platform
+      });
+    }
+    for (const [skillName, enabled] of Object.entries(chat.skills || {})) {
+      this.chatRegistry.setSkillOverride(chatId, skillName, enabled);
+    }
+    for (const [userId, role] of Object.entries(chat.roles || {})) {
+      this.chatRegistry.setRole(userId, role, chatId);
+    }
+  }
+
+  /**
+   * Send one message through the webhook for its platform and collect results
+   * @param {Object} turn
+   * @param {string} turn.platform - 'telegram' | 'whatsapp' | 'slack' | 'discord' | 'email'
+   * @param {string} turn.chatId - Telegram chat ID, WhatsApp number, Slack or Discord channel ID, email address
+   * @param {string} turn.message - Message text (email: the body)
+   * @param {string} [turn.threadTs] - Slack: thread the message was posted in
+   * @param {Object} [turn.slash] - Discord: slash command data ({ name, options })
+   * @param {string} [turn.button] - Telegram, Slack and Discord: callback data of a clicked button
+   * @param {string} [turn.from] - Telegram: sender's user ID (default 1)
+   * @param {boolean} [turn.polling] - Telegram: deliver as a long-polling update instead of via /telegram
+   * @param {string} [turn.subject] - Email: subject line
+   * @param {Array} [turn.attachments] - Email: [{ filename, contentType, content }]
+   * @param {boolean} [turn.forged] - Email: leave out the receiving server's Authentication-Results
+   * @returns {Promise<{outgoing: Array, skills: string[], senders: string[], ai: Array, github: Array, pendingConfirmation: boolean}>}
+   */
+  async send(turn) {
+    this.outgoing = [];
+    this.skills = [];
+    this.senders = [];
+    fakes.resetCalls();
+
+    const chatId = String(turn.chatId);
+
+    if (turn.platform === 'whatsapp') {
+      await this._post('/webhook', {
+        Body: turn.message,
+        From: `whatsapp:${chatId}`,
+        NumMedia: '0'
+      });
+    } else if (turn.platform === 'slack' && turn.button) {
+      await this._post('/slack', {
+        payload: JSON.stringify({
+          type: 'block_actions',
+          user: { id: 'UREPLAY01' },
+          channel: { id: chatId },
+          message: { ts: `${Math.floor(Date.now() / 1000)}.000100` },
+          actions: [{ value: turn.button }]
+        })
+      }, { signSlack: true });
+    } else if (turn.platform === 'slack') {
+      const ts = `${Math.floor(Date.now() / 1000)}.${String(Date.now() % 1000000).padStart(6, '0')}`;
+      const isDirect = chatId.startsWith('D');
+      await this._post('/slack', {
+        type: 'event_callback',
+        event_id: `Ev${Date.now()}`,
+        event: {
+          type: isDirect ? 'message' : 'app_mention',
+          channel: chatId,
+          channel_type: isDirect ? 'im' : 'channel',
+          user: 'UREPLAY01',
+          text: isDirect ? turn.message : `<@UBOT00001> ${turn.message}`,
+          ts,
+          ...(turn.threadTs ? { thread_ts: turn.threadTs } : {})
+        }
+      }, { signSlack: true });
+    } else if (turn.platform === 'discord') {
+      const id = `${Date.now()}${String(Math.floor(Math.random() * 1e6)).padStart(6, '0')}`;
+      await this._post('/discord', {
+        id,
+        token: `replay-token-${id}`,
+        application_id: 'replay-app',
+        type: turn.button ? 3 : 2,
+        channel_id: chatId,
+        guild_id: '100000000000000001',
+        member: { user: { id: '200000000000000001', username: 'replay' } },
+        data: turn.button ? { custom_id: turn.button, component_type: 2 } : turn.slash
+      }, { signDiscord: true });
+    } else if (turn.platform === 'email') {
+      await this._deliverEmail(chatId, turn);
+    } else if (turn.button) {
+      await this._post('/telegram', {
+        update_id: Date.now(),
+        callback_query: {
+          id: `replay-${Date.now()}`,
+          from: { id: Number(turn.from) || 1, first_name: 'Replay' },
+          message: { message_id: Date.now(), chat: { id: Number(chatId) || chatId, type: 'group' } },
+          data: turn.button
+        }
+      });
+    } else {
+      const message = {
+        message_id: Date.now(),
+        chat: { id: Number(chatId) || chatId, type: 'group' },
+        from: { id: Number(turn.from) || 1, first_name: 'Replay' },
+        text: turn.message
+      };
+      if (turn.polling) {
+        await this._pollTelegram(message);
+      } else {
+        await this._post('/telegram', { update_id: Date.now(), message });
+      }
+    }
+
+    await this._waitForSettle();
+
+    return {
+      outgoing: [...this.outgoing],
+      skills: [...this.skills],
+      senders: [...this.senders],
+      ai: [...fakes.calls.ai],
+      github: [...fakes.calls.github],
+      pendingConfirmation: this.confirmationManager.hasPending(chatId)
+    };
+  }
+
+  // ============ Internals ============
+
+  /**
+   * Record outbound messages instead of sending them
+   */
+  _patchOutbound() {
+    const { getTelegramHandler } = require('../../telegram-handler');
+    const MessagingPlatform = require('../../lib/messaging-platform');
+    const telegram = getTelegramHandler();
+    const record = (platform, to, text, extra = {}) => {
+      this.outgoing.push({ platform, to: String(to), text: String(text ?? ''), ...extra });
+      return true;
+    };
+
+    telegram.isAuthorized = () => true;
+    telegram.sendTypingIndicator = async () => {};
+    telegram.answerCallback = async () => {};
+    telegram.extractMediaInfo = async () => ({ numMedia: 0, mediaUrl: null, mediaContentType: null });
+    telegram.sendMessage = async (chatId, text) => record('telegram', chatId, text);
+    telegram.sendMessageWithButtons = async (chatId, text, buttons) => record('telegram', chatId, text, { buttons });
+    telegram.sendMediaMessage = async (chatId, mediaUrl, mediaType, caption) => record('telegram', chatId, caption, { mediaUrl });
+    telegram.editMessage = async (chatId, messageId, text) => record('telegram', chatId, text, { edit: messageId });
+
+    MessagingPlatform.setTelegramHandler(telegram);
+
+    const { getSlackHandler } = require('../../slack-handler');
+    const slack = getSlackHandler();
+    slack.isAuthorized = () => true;
+    slack.sendMessage = async (recipient, text) => record('slack', recipient, text);
+    slack.sendMessageWithButtons = async (recipient, text, buttons) => record('slack', recipient, text, { buttons });
+    slack.editMessage = async (channel, ts, text) => record('slack', channel, text, { edit: ts });
+    MessagingPlatform.setSlackHandler(slack);
+
+    // Discord: keep the real sendMessageWithButtons so embeds and components are built
+    const { getDiscordHandler } = require('../../discord-handler');
+    const discord = getDiscordHandler();
+    discord.isAuthorized = () => true;
+    discord.sendMessage = async (recipient, text, options = {}) => record('discord', recipient,
+      text || (options.embeds || []).map(e => e.description).join('\n'),
+      { buttons: options.components, embeds: options.embeds });
+    discord.editInteractionMessage = async (token, text) => record('discord', token, text, { edit: true });
+    discord.sendFollowUp = async (token, text) => record('discord', token, text);
+    MessagingPlatform.setDiscordHandler(discord);
+
+    // Email: keep the real reply batching and threading, swap the SMTP transport
+    const { getEmailHandler } = require('../../email-handler');
+    const email = getEmailHandler();
+    email.isAuthorized = () => true;
+    email.smtp.host = 'smtp.replay.local';
+    email.transport = {
+      sendMail: async mail => {
+        record('email', mail.to, mail.text, { subject: mail.subject, inReplyTo: mail.inReplyTo });
+        return { messageId: `<replay-${Date.now()}@replay.local>` };
+      }
+    };
+    MessagingPlatform.setEmailHandler(email);
+
+    MessagingPlatform.setTwilioClient({
+      messages: {
+        create: async ({ to, body }) => {
+          record('whatsapp', String(to).replace('whatsapp:', ''), body);
+          return { sid: 'SM-replay' };
+        }
+      }
+    });
+  }
+
+  /**
+   * Hand a Telegram message to the long-polling path (telegram-handler's
+   * handleIncomingMessage with index.js's message handler), as telegraf would
+   */
+  async _pollTelegram(message) {
+    const { getTelegramHandler } = require('../../telegram-handler');
+    const { handleTelegramMessage } = require('../../index');
+    const ctx = {
+      chat: message.chat,
+      message,
+      reply: async text => this.outgoing.push({ platform: 'telegram', to: String(message.chat.id), text: String(text) })
+    };
+    await getTelegramHandler().handleIncomingMessage(ctx, handleTelegramMessage, 'text');
+  }
+
+  /**
+   * POST JSON to the running bot
+   * @param {Object} [options]
+   * @param {boolean} [options.signSlack] - Add Slack's request signature headers
+   * @param {boolean} [options.signDiscord] - Add Discord's Ed25519 signature headers
+   */
+  _post(route, body, options = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = JSON.stringify(body);
+      const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) };
+
+      if (options.signSlack) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Slack-Request-Timestamp'] = timestamp;
+        headers['X-Slack-Signature'] = 'v0=' + crypto
+          .createHmac('sha256', SLACK_SIGNING_SECRET)
+          .update(`v0:${timestamp}:${payload}`)
+          .digest('hex');
+      }
+      if (options.signDiscord) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Signature-Timestamp'] = timestamp;
+        headers['X-Signature-Ed25519'] = crypto.sign(null, Buffer.from(timestamp + payload), DISCORD_KEYS.privateKey).toString('hex');
+      }
+
+      const req = http.request({
+        host: '127.0.0.1',
+        port: this.port,
+        path: route,
+        method: 'POST',
+        headers
+      }, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  /**
+   * Write an email into the bot's maildir and have it poll the inbox
+   * @param {string} from - Sender address
+   * @param {Object} turn - Turn with message (body), subject and attachments
+   */
+  async _deliverEmail(from, turn) {
+    const id = `${Date.now()}.${crypto.randomBytes(4).toString('hex')}`;
+    const boundary = `replay-${id}`;
+    const headers = [
+      `From: Replay <${from}>`,
+      'To: bot@replay.local',
+      `Subject: ${turn.subject || turn.message}`,
+      `Message-ID: <${id}@replay.local>`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0'
+    ];
+    if (!turn.forged) {
+      // The receiving server's verdict, which the bot requires before it acts
+      headers.unshift(`Authentication-Results: mx.replay.local; dkim=pass header.d=${from.split('@')[1]}`);
+    }
+    const attachments = turn.attachments || [];
+    let raw;
+
+    if (attachments.length === 0) {
+      raw = [...headers, 'Content-Type: text/plain; charset=utf-8', '', turn.message || ''].join('\r\n');
+    } else {
+      const parts = [
+        [`--${boundary}`, 'Content-Type: text/plain; charset=utf-8', '', turn.message || ''].join('\r\n'),
+        ...attachments.map(a => [
+          `--${boundary}`,
+          `Content-Type: ${a.contentType}; name="${a.filename}"`,
+          `Content-Disposition: attachment; filename="${a.filename}"`,
+          'Content-Transfer-Encoding: base64',
+          '',
+          Buffer.from(a.content || a.filename).toString('base64')
+        ].join('\r\n'))
+      ];
+      raw = [...headers, `Content-Type: multipart/mixed; boundary="${boundary}"`, '', ...parts, `--${boundary}--`, ''].join('\r\n');
+    }
+
+    const newDir = path.join(process.env.EMAIL_MAILDIR, 'new');
+    fs.mkdirSync(newDir, { recursive: true });
+    fs.writeFileSync(path.join(newDir, id), raw);
+
+    const { getEmailHandler } = require('../../email-handler');
+    await getEmailHandler().pollOnce();
+  }
+
+  /**
+   * Wait until no new outgoing message has arrived for settleMs
+   */
+  async _waitForSettle() {
+    const started = Date.now();
+    let lastCount = -1;
+    let lastChange = Date.now();
+
+    while (Date.now() - started < this.timeoutMs) {
+      if (this.outgoing.length !== lastCount) {
+        lastCount = this.outgoing.length;
+        lastChange = Date.now();
+      } else if (lastCount > 0 && Date.now() - lastChange >= this.settleMs) {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+  }
+
+  /**
+   * Poll until a condition is true
+   */
+  async _waitFor(condition, intervalMs = 50) {
+    const started = Date.now();
+    while (!condition()) {
+      if (Date.now() - started > this.timeoutMs * 2) {
+        throw new Error('Replay harness timed out waiting for the bot to start');
+      }
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  _silence() {
+    if (this.verbose || this._console) return;
+    this._console = { log: console.log, warn: console.warn, error: console.error, info: console.info };
+    console.log = console.warn = console.info = () => {};
+    console.error = () => {};
+  }
+
+  _restoreConsole() {
+    if (!this._console) return;
+    Object.assign(console, this._console);
+    this._console = null;
+  }
+}
+
+module.exports = { ReplayHarness, DEFAULT_WHATSAPP };
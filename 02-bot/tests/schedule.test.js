@@ -0,0 +1,658 @@
+/**
+ * Schedule Test Suite
+ *
+ * Tests for user schedules: natural-language recurrence to cron
+ * (lib/recurrence.js), per-user timezones (lib/user-timezone.js), the
+ * scheduler's skill-command jobs (run through the skill registry, results
+ * posted to the owning chat, persisted with their timezone), run history and
+ * catch-up of runs missed while the bot was down, and the `schedule` skill
+ * commands with their ownership and permission checks (destructive commands
+ * can't be scheduled; ones that ask for a "yes" anyway fail the run).
+ *
+ * Run with: node 02-bot/tests/schedule.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite databases and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-schedule-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.ACCESS_DEFAULT_ROLE;
+delete process.env.TIMEZONE;
+
+const OWNER = '700000001';
+const USER = '700000002';
+const OTHER = '700000003';
+const ADMIN = '700000004';
+process.env.ACCESS_OWNERS = OWNER;
+
+const memory = require('../memory/memory-manager');
+const chatRegistry = require('../lib/chat-registry');
+const { parseRecurrence, splitRecurrence, cronTimes, nextCronTime } = require('../lib/recurrence');
+const { resolveTimezone, getSavedTimezone, getUserTimezone } = require('../lib/user-timezone');
+const { Scheduler, getScheduler } = require('../scheduler/scheduler');
+const registry = require('../skills/skill-registry');
+const BaseSkill = require('../skills/base-skill');
+const ScheduleSkill = require('../skills/schedule');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+/**
+ * Echoes its text - stands in for any everyday command
+ */
+class EchoSkill extends BaseSkill {
+  name = 'echo';
+  description = 'Echo text back';
+  priority = 10;
+  commands = [
+    { command: 'echo', description: 'Echo text', args: [{ name: 'text', type: 'text', description: 'Text' }] }
+  ];
+
+  async execute(command, context = {}) {
+    const invocation = context.invocation || this.parseArgs(command);
+    this.lastContext = context;
+    if (invocation.args.text === 'fail') {
+      throw new Error('echo broke');
+    }
+    return this.success(`echo: ${invocation.args.text}`);
+  }
+}
+
+/**
+ * A command that needs the dev permission
+ */
+class ShipSkill extends BaseSkill {
+  name = 'ship';
+  description = 'Ship a build';
+  priority = 10;
+  commands = [
+    { command: 'ship', description: 'Ship it', permission: 'dev', args: [] }
+  ];
+
+  async execute() {
+    return this.success('shipped');
+  }
+}
+
+/**
+ * A destructive command, and one that asks for a "yes" before it runs
+ */
+class WipeSkill extends BaseSkill {
+  name = 'wipe';
+  description = 'Wipe things';
+  priority = 10;
+  commands = [
+    { command: 'wipe', description: 'Wipe everything', destructive: true, args: [] },
+    { command: 'render', description: 'Render an image (paid)', args: [] }
+  ];
+
+  async execute(command) {
+    if (/^render/i.test(command)) {
+      return this.warning('Rendering', { cost: '0.04' });
+    }
+    this.wiped = true;
+    return this.success('wiped');
+  }
+}
+
+const echo = new EchoSkill();
+const wipe = new WipeSkill();
+registry.register(echo);
+registry.register(new ShipSkill());
+registry.register(wipe);
+registry.register(new ScheduleSkill({ memory }));
+
+// Messages the scheduler posts to chats
+const sent = [];
+const scheduler = getScheduler(memory, async (message) => sent.push({ message, chatId: 'default' }));
+scheduler.setChatSender(async (message, platform, chatId) => sent.push({ message, platform, chatId }));
+
+function as(userId, chatId = userId) {
+  return { userId, chatId, platform: 'telegram' };
+}
+
+function idFrom(result) {
+  const match = String(result.message || '').match(/#(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// ============================================================================
+// Recurrence
+// ============================================================================
+
+function testRecurrence() {
+  printHeader('Recurrence');
+
+  const cases = [
+    ['every weekday 9am', '0 9 * * 1-5'],
+    ['every day at 7:30', '30 7 * * *'],
+    ['daily 18:30', '30 18 * * *'],
+    ['every evening', '0 18 * * *'],
+    ['weekends at 10am', '0 10 * * 0,6'],
+    ['every monday and thursday at 2pm', '0 14 * * 1,4'],
+    ['fridays 17:00', '0 17 * * 5'],
+    ['every 15 minutes', '*/15 * * * *'],
+    ['every 2 hours', '0 */2 * * *'],
+    ['hourly', '0 * * * *'],
+    ['every month on the 15th at 9am', '0 9 15 * *'],
+    ['on the 1st of every month', '0 9 1 * *'],
+    ['every weekday morning at 8:15', '15 8 * * 1-5'],
+    ['12am', '0 0 * * *'],
+    ['0 18 * * 5', '0 18 * * 5']
+  ];
+  for (const [text, expected] of cases) {
+    const parsed = parseRecurrence(text);
+    check('Recurrence', `"${text}" -> ${expected}`, parsed && parsed.cron === expected, parsed);
+  }
+
+  const rejected = ['every', 'every 2 minutes', 'every month on the 31st', 'tomorrow', 'every blursday', '25:00', ''];
+  for (const text of rejected) {
+    check('Recurrence', `"${text}" is not a recurrence`, parseRecurrence(text) === null, parseRecurrence(text));
+  }
+
+  const described = parseRecurrence('every monday and thursday at 2pm');
+  check('Recurrence', 'Description reads back the days and time',
+    described.description === 'every Monday and Thursday at 14:00', described.description);
+
+  const split = splitRecurrence('every weekday 9am morning brief');
+  check('Split', 'Unquoted time is split from the command',
+    split && split.cron === '0 9 * * 1-5' && split.rest === 'morning brief' && split.recurrence === 'every weekday 9am', split);
+
+  const afterTime = splitRecurrence('every friday at 5pm expenses summary');
+  check('Split', 'Words after the time belong to the command',
+    afterTime && afterTime.cron === '0 17 * * 5' && afterTime.rest === 'expenses summary', afterTime);
+
+  check('Split', 'No leading time gives null', splitRecurrence('deadlines every day') === null);
+}
+
+// ============================================================================
+// Cron times
+// ============================================================================
+
+function testCronTimes() {
+  printHeader('Cron Times');
+
+  const now = new Date('2026-10-19T06:00:00Z');
+  const next = nextCronTime('0 2 * * *', 'Europe/London', now);
+  check('Next', '2am London is 01:00 UTC in summer time', next && next.toISOString() === '2026-10-20T01:00:00.000Z', next);
+
+  const winter = nextCronTime('0 2 * * *', 'Europe/London', new Date('2026-11-02T12:00:00Z'));
+  check('Next', '2am London is 02:00 UTC in winter', winter && winter.toISOString() === '2026-11-03T02:00:00.000Z', winter);
+
+  const tokyo = nextCronTime('0 9 * * 1-5', 'Asia/Tokyo', now);
+  check('Next', 'Weekday 9am in Tokyo', tokyo && tokyo.toISOString() === '2026-10-20T00:00:00.000Z', tokyo);
+
+  const named = nextCronTime('0 8 * jan-mar mon', 'UTC', now);
+  check('Next', 'Month and day names are understood', named && named.toISOString() === '2027-01-04T08:00:00.000Z', named);
+
+  const gap = nextCronTime('30 1 29 3 *', 'Europe/London', new Date('2026-01-01T00:00:00Z'));
+  check('Next', 'Times skipped by the clocks going forward never fire', gap === null, gap);
+
+  const missed = cronTimes('0 2 * * *', {
+    timezone: 'Europe/London',
+    after: new Date('2026-10-16T12:00:00Z'),
+    before: now
+  });
+  check('Between', 'Lists every fire time in the window',
+    missed.map(t => t.toISOString()).join(',') === '2026-10-17T01:00:00.000Z,2026-10-18T01:00:00.000Z,2026-10-19T01:00:00.000Z', missed);
+
+  const limited = cronTimes('*/5 * * * *', { timezone: 'UTC', after: 0, before: now, limit: 3 });
+  check('Between', 'Limit keeps the earliest times', limited.length === 3 && limited[0].toISOString() === '1970-01-01T00:05:00.000Z', limited);
+}
+
+// ============================================================================
+// Timezones
+// ============================================================================
+
+function testTimezones() {
+  printHeader('Timezones');
+
+  check('Resolve', 'IANA names pass through', resolveTimezone('Asia/Tokyo') === 'Asia/Tokyo');
+  check('Resolve', 'City names resolve', resolveTimezone('new york') === 'America/New_York', resolveTimezone('new york'));
+  check('Resolve', 'Aliases resolve', resolveTimezone('UK') === 'Europe/London');
+  check('Resolve', 'Unknown names give null', resolveTimezone('Narnia') === null);
+
+  check('Default', 'Europe/London with nothing saved', getUserTimezone(OTHER, memory) === 'Europe/London');
+  process.env.TIMEZONE = 'Europe/Dublin';
+  check('Default', 'TIMEZONE from the environment is the fallback', getUserTimezone(OTHER, memory) === 'Europe/Dublin');
+  delete process.env.TIMEZONE;
+
+  memory.saveFact(USER, 'Timezone: Europe/Paris', 'preference');
+  check('Saved', 'Preference fact is used', getUserTimezone(USER, memory) === 'Europe/Paris', getUserTimezone(USER, memory));
+
+  memory.saveFact(USER, 'My timezone is Lisbon', 'preference');
+  check('Saved', 'Newest preference wins', getSavedTimezone(USER, memory) === 'Europe/Lisbon', getSavedTimezone(USER, memory));
+
+  const fake = { getFacts: () => [{ id: 1, fact: 'Timezone: nowhere' }, { id: 2, fact: 'Likes tea' }] };
+  check('Saved', 'Unreadable timezones are ignored', getSavedTimezone(USER, fake) === null);
+}
+
+// ============================================================================
+// Scheduler jobs
+// ============================================================================
+
+async function testSchedulerJobs() {
+  printHeader('Scheduler Jobs');
+
+  const job = await scheduler.schedule('test:echo', '0 9 * * 1-5', 'skill-command', {
+    command: 'echo hello',
+    description: 'every weekday at 09:00',
+    userId: OWNER,
+    chatId: '-100200',
+    platform: 'telegram'
+  }, { timezone: 'Asia/Tokyo' });
+
+  check('Persistence', 'Job gets its database row ID', Number.isInteger(job.id) && job.id > 0, job.id);
+  const row = await scheduler.getJob(job.id);
+  check('Persistence', 'Timezone is stored', row && row.timezone === 'Asia/Tokyo', row);
+
+  const listed = (await scheduler.listAll()).find(j => j.id === job.id);
+  check('Persistence', 'listAll parses params', listed && listed.params.command === 'echo hello', listed);
+
+  sent.length = 0;
+  await scheduler.triggerNow(job.id);
+  check('Run', 'Command output goes to the owning chat',
+    sent.length === 1 && sent[0].chatId === '-100200' && sent[0].platform === 'telegram' && sent[0].message.includes('echo: hello'), sent);
+  check('Run', 'Output is headed with the command', sent[0] && sent[0].message.startsWith('⏰ *echo hello*'), sent[0]);
+  check('Run', 'Command runs as the owner', echo.lastContext && echo.lastContext.from === OWNER && echo.lastContext.scheduled === true,
+    echo.lastContext);
+
+  const afterRun = await scheduler.getJob(job.id);
+  check('Run', 'Run count and last run are recorded', afterRun.run_count === 1 && Boolean(afterRun.last_run), afterRun);
+
+  const failing = await scheduler.schedule('test:fail', '0 9 * * *', 'skill-command', {
+    command: 'echo fail', userId: OWNER, chatId: '-100200', platform: 'telegram'
+  });
+  sent.length = 0;
+  await scheduler.triggerNow(failing.id);
+  check('Failure', 'Skill errors are reported to the chat', sent.length === 1 && sent[0].message.includes('echo broke'), sent);
+
+  const orphan = await scheduler.schedule('test:orphan', '0 9 * * *', 'skill-command', {
+    command: 'no such command', userId: OWNER, chatId: '-100200', platform: 'telegram'
+  });
+  sent.length = 0;
+  await scheduler.triggerNow(orphan.id);
+  const orphanRow = await scheduler.getJob(orphan.id);
+  check('Failure', 'Unknown commands fail the job', sent.length === 1 && sent[0].message.startsWith(`⚠️ Scheduled job #${orphan.id} failed`), sent);
+  check('Failure', 'Last error is stored', orphanRow.last_error && orphanRow.last_error.includes('No skill handles'), orphanRow);
+
+  await scheduler.disable(job.id);
+  check('Toggle', 'Paused jobs are kept but disabled', (await scheduler.getJob(job.id)).enabled === 0);
+  await scheduler.enable(job.id);
+  check('Toggle', 'Resumed jobs are enabled', (await scheduler.getJob(job.id)).enabled === 1);
+
+  const updated = await scheduler.updateParams(job.id, { ...listed.params, command: 'echo updated' });
+  check('Params', 'updateParams stores new params', updated && JSON.parse((await scheduler.getJob(job.id)).params).command === 'echo updated');
+  sent.length = 0;
+  await scheduler.triggerNow(job.id);
+  check('Params', 'The next run uses them', sent.length === 1 && sent[0].message.includes('echo: updated'), sent);
+  check('Params', 'Unknown jobs are not updated', (await scheduler.updateParams(999999, {})) === false);
+
+  const approval = await scheduler.schedule('test:approval', '0 9 * * *', 'skill-command', {
+    command: 'render', userId: OWNER, chatId: '-100200', platform: 'telegram'
+  });
+  sent.length = 0;
+  await scheduler.triggerNow(approval.id);
+  const approvalRun = scheduler.getRuns({ jobId: approval.id })[0] || {};
+  check('Failure', 'Commands waiting for a "yes" fail the run',
+    approvalRun.status === 'failed' && /needs confirmation/.test(approvalRun.error || '') &&
+    sent.length === 1 && sent[0].message.startsWith(`⚠️ Scheduled job #${approval.id} failed`), { approvalRun, sent });
+
+  for (const id of [job.id, failing.id, orphan.id, approval.id]) {
+    await scheduler.cancel(id);
+  }
+  check('Cancel', 'Cancelled jobs are removed', (await scheduler.getJob(job.id)) === null);
+}
+
+// ============================================================================
+// Schedule skill
+// ============================================================================
+
+async function testScheduleSkill() {
+  printHeader('Schedule Skill');
+
+  chatRegistry.setRole(ADMIN, 'admin');
+
+  const quoted = await registry.route('schedule add "every weekday 9am" echo standup', as(USER));
+  const quotedId = idFrom(quoted);
+  check('Add', 'Quoted time is accepted', quoted.success && quotedId, quoted.message);
+  check('Add', 'Reply shows the time and timezone',
+    quoted.message.includes('Every weekday at 09:00') && quoted.message.includes('Europe/Lisbon'), quoted.message);
+
+  const row = await scheduler.getJob(quotedId);
+  const params = JSON.parse(row.params);
+  check('Add', 'Job is a skill-command in the user timezone',
+    row.handler === 'skill-command' && row.cron_expression === '0 9 * * 1-5' && row.timezone === 'Europe/Lisbon', row);
+  check('Add', 'Job belongs to the sender and their chat',
+    params.command === 'echo standup' && params.userId === USER && params.chatId === USER && params.platform === 'telegram', params);
+
+  const unquoted = await registry.route('schedule add every friday at 5pm echo weekly wrap', as(USER));
+  const unquotedParams = unquoted.success && JSON.parse((await scheduler.getJob(idFrom(unquoted))).params);
+  check('Add', 'Unquoted time is split from the command',
+    unquotedParams && unquotedParams.command === 'echo weekly wrap', unquoted.message);
+
+  const badTime = await registry.route('schedule add "whenever" echo hi', as(USER));
+  check('Add', 'Unreadable times are rejected with examples', !badTime.success && badTime.message.includes('every weekday 9am'), badTime.message);
+
+  const unknown = await registry.route('schedule add "every day 9am" frobnicate', as(USER));
+  check('Add', 'Commands no skill handles are rejected', !unknown.success && unknown.message.includes('No command matches'), unknown.message);
+
+  const nested = await registry.route('schedule add "every day 9am" schedule list', as(USER));
+  check('Add', 'Schedules cannot create schedules', !nested.success, nested.message);
+
+  const denied = await registry.route('schedule add "every day 9am" ship', as(USER));
+  check('Add', 'Commands the sender cannot run are rejected', !denied.success && denied.message.includes('dev'), denied.message);
+
+  const destructive = await registry.route('schedule add "every day 9am" wipe', as(ADMIN));
+  check('Add', 'Destructive commands are rejected',
+    !destructive.success && destructive.message.includes("can't be scheduled") && !wipe.wiped, destructive.message);
+
+  const allowed = await registry.route('schedule add "every day 9am" ship', as(ADMIN));
+  check('Add', 'Admins can schedule dev commands', allowed.success, allowed.message);
+
+  const once = await registry.route('schedule add tomorrow 8am echo one off', as(USER));
+  const onceRow = once.success && await scheduler.getJob(idFrom(once));
+  check('Once', 'A single time runs the command once',
+    onceRow && onceRow.run_once === 1 && /^0 8 \d+ \d+ \*$/.test(onceRow.cron_expression) &&
+    JSON.parse(onceRow.params).command === 'echo one off' && once.message.includes('Once, tomorrow at 08:00'), once.message);
+
+  const onceUnclear = await registry.route('schedule add "tomorrow at 5" echo hi', as(USER));
+  check('Once', 'Ambiguous times are asked about',
+    !onceUnclear.success && onceUnclear.needsClarification && onceUnclear.options.includes('schedule add "tomorrow at 5pm" echo hi'), onceUnclear.message);
+
+  const oncePast = await registry.route('schedule add "yesterday" echo hi', as(USER));
+  check('Once', 'Times that have passed are rejected', !oncePast.success && oncePast.message.includes('already passed'), oncePast.message);
+
+  const list = await registry.route('schedule list', as(USER));
+  check('List', 'Users see their own schedules', list.message.includes('echo standup') && list.message.includes('echo weekly wrap'), list.message);
+  check('List', "Users don't see other people's schedules", !list.message.includes('ship'), list.message);
+
+  const emptyList = await registry.route('schedule list', as(OTHER));
+  check('List', 'Empty list suggests a first schedule', emptyList.message.includes('None yet'), emptyList.message);
+
+  const systemJob = await scheduler.schedule('test:brief', '0 8 * * *', 'custom', { message: 'brief' });
+  const adminList = await registry.route('schedule list', as(ADMIN));
+  check('List', 'Admins also see system jobs', adminList.message.includes('System Jobs') && adminList.message.includes('test:brief'), adminList.message);
+
+  const stranger = await registry.route(`schedule pause ${quotedId}`, as(OTHER));
+  check('Ownership', "Others can't pause a schedule", !stranger.success && stranger.message.includes("isn't yours"), stranger.message);
+
+  const paused = await registry.route(`schedule pause ${quotedId}`, as(USER));
+  check('Pause', 'Owner can pause', paused.success && (await scheduler.getJob(quotedId)).enabled === 0, paused.message);
+
+  const again = await registry.route(`schedule pause ${quotedId}`, as(USER));
+  check('Pause', 'Pausing twice says so', again.success && again.message.includes('already paused'), again.message);
+
+  const resumed = await registry.route(`schedule resume ${quotedId}`, as(ADMIN));
+  check('Pause', 'Admins can resume anyone\'s schedule', resumed.success && (await scheduler.getJob(quotedId)).enabled === 1, resumed.message);
+
+  const pauseSystem = await registry.route(`schedule pause ${systemJob.id}`, as(ADMIN));
+  check('System', 'Admins can pause system jobs', pauseSystem.success, pauseSystem.message);
+  const userSystem = await registry.route(`schedule pause ${systemJob.id}`, as(USER));
+  check('System', "Users can't touch system jobs", !userSystem.success, userSystem.message);
+  const deleteSystem = await registry.route(`schedule delete ${systemJob.id}`, as(ADMIN));
+  check('System', "System jobs can't be deleted", !deleteSystem.success && (await scheduler.getJob(systemJob.id)) !== null, deleteSystem.message);
+
+  const missing = await registry.route('schedule delete 99999', as(USER));
+  check('Delete', 'Unknown IDs are reported', !missing.success && missing.message.includes('No schedule #99999'), missing.message);
+
+  const badId = await registry.route('schedule pause abc', as(USER));
+  check('Delete', 'IDs must be numbers', !badId.success, badId.message);
+
+  const deleted = await registry.route(`schedule delete ${quotedId}`, as(USER));
+  check('Delete', 'Owner can delete', deleted.success && (await scheduler.getJob(quotedId)) === null, deleted.message);
+
+  check('Schema', 'Delete is marked destructive',
+    registry.getSkill('schedule').commands.find(c => c.command === 'schedule delete').destructive === true);
+}
+
+// ============================================================================
+// Run history and catch-up
+// ============================================================================
+
+/**
+ * A job that was last due at `lastDue` and hasn't run since
+ */
+async function missedJob(name, cronExpression, handler, params, lastDue, catchUp) {
+  const job = await scheduler.schedule(name, cronExpression, handler, params, { timezone: 'UTC', catchUp });
+  memory.db.prepare('UPDATE scheduled_jobs SET next_run = ? WHERE id = ?').run(lastDue, job.id);
+  return scheduler.getJob(job.id);
+}
+
+async function testRunHistory() {
+  printHeader('Run History');
+
+  const job = await scheduler.schedule('test:history', '0 9 * * *', 'custom', { message: 'Morning!' }, { timezone: 'UTC' });
+  const created = await scheduler.getJob(job.id);
+  check('Next run', 'New jobs record when they are next due',
+    created.next_run && new Date(created.next_run) > new Date() && new Date(created.next_run).getUTCHours() === 9, created.next_run);
+
+  await scheduler.triggerNow(job.id);
+  const [run] = scheduler.getRuns({ jobId: job.id });
+  check('Record', 'Runs are recorded with start, end and status',
+    run && run.status === 'success' && run.started_at && run.finished_at && run.duration_ms >= 0, run);
+  check('Record', 'Manual runs are marked manual', run && run.trigger_type === 'manual', run);
+  check('Record', 'Output summary is kept', run && run.output === 'Morning!', run);
+
+  const failing = await scheduler.schedule('test:history-fail', '0 9 * * *', 'skill-command', {
+    command: 'echo fail', userId: OWNER, chatId: '-100200', platform: 'telegram'
+  });
+  await scheduler.triggerNow(failing.id);
+  const [failed] = scheduler.getRuns({ jobId: failing.id });
+  check('Record', 'Failed runs keep the error', failed && failed.status === 'failed' && failed.error.includes('echo broke'), failed);
+
+  const long = await scheduler.schedule('test:history-long', '0 9 * * *', 'custom', { message: 'x'.repeat(2000) });
+  await scheduler.triggerNow(long.id);
+  const [longRun] = scheduler.getRuns({ jobId: long.id });
+  check('Record', 'Long output is shortened', longRun && longRun.output.length === 500 && longRun.output.endsWith('...'), longRun && longRun.output.length);
+
+  check('Filter', 'Runs can be filtered by status',
+    scheduler.getRuns({ status: 'failed' }).every(r => r.status === 'failed') && scheduler.getRuns({ status: 'failed' }).length >= 1);
+
+  // A run cut off by a restart
+  const stuck = memory.startJobRun({ id: job.id, name: 'test:history', handler: 'custom' }, { trigger: 'cron' });
+  const fresh = new Scheduler(memory, null);
+  await fresh.start();
+  await fresh.catchingUp;
+  fresh.stop();
+  const stuckRun = scheduler.getRuns({ jobId: job.id }).find(r => r.id === stuck);
+  check('Restart', 'Runs in progress at startup are marked interrupted', stuckRun && stuckRun.status === 'interrupted', stuckRun);
+
+  for (const id of [job.id, failing.id, long.id]) {
+    await scheduler.cancel(id);
+  }
+  check('Record', 'History outlives the job', scheduler.getRuns({ jobId: job.id }).length >= 2);
+}
+
+async function testCatchUp() {
+  printHeader('Catch-up');
+
+  const now = new Date('2026-10-19T06:00:00Z');
+  const lastDue = '2026-10-17T02:00:00.000Z'; // Missed the 17th, 18th and 19th
+
+  sent.length = 0;
+  const once = await missedJob('test:once', '0 2 * * *', 'custom', { message: 'nightly' }, lastDue);
+  const onceSummary = await scheduler.catchUpMissed([once], now);
+  check('Once', 'Missed runs are found', onceSummary[0] && onceSummary[0].missed === 3, onceSummary);
+  const onceRuns = scheduler.getRuns({ jobId: once.id });
+  const ran = onceRuns.filter(r => r.trigger_type === 'catch-up' && r.status === 'success');
+  check('Once', 'Runs once, for the latest missed time',
+    ran.length === 1 && ran[0].scheduled_for === '2026-10-19T02:00:00.000Z' && sent.length === 1, { onceRuns, sent });
+  const skippedOnce = onceRuns.find(r => r.status === 'skipped');
+  check('Once', 'The other missed runs are recorded as skipped', skippedOnce && skippedOnce.output.startsWith('Skipped 2 missed run(s)'), skippedOnce);
+
+  const after = await scheduler.getJob(once.id);
+  check('Once', 'Next run moves forward', new Date(after.next_run) > new Date(), after.next_run);
+  const again = await scheduler.catchUpMissed([after], new Date());
+  check('Once', 'Nothing is missed the second time', again.length === 0, again);
+
+  sent.length = 0;
+  const skip = await missedJob('test:skip', '0 2 * * *', 'custom', { message: 'skipped' }, lastDue, 'skip');
+  await scheduler.catchUpMissed([skip], now);
+  const skipRuns = scheduler.getRuns({ jobId: skip.id });
+  check('Skip', "Skipped jobs don't run", sent.length === 0 && skipRuns.length === 1 && skipRuns[0].status === 'skipped', skipRuns);
+  check('Skip', 'Next run moves forward', new Date((await scheduler.getJob(skip.id)).next_run) > new Date());
+
+  sent.length = 0;
+  const all = await missedJob('test:all', '0 2 * * *', 'custom', { message: 'each' }, lastDue, 'all');
+  await scheduler.catchUpMissed([all], now);
+  const allRuns = scheduler.getRuns({ jobId: all.id });
+  check('All', 'Runs once for every missed time, oldest first',
+    allRuns.length === 3 && sent.length === 3 &&
+    allRuns.map(r => r.scheduled_for).reverse().join(',') === '2026-10-17T02:00:00.000Z,2026-10-18T02:00:00.000Z,2026-10-19T02:00:00.000Z',
+    allRuns.map(r => r.scheduled_for));
+
+  sent.length = 0;
+  const frequent = await missedJob('test:frequent', '*/5 * * * *', 'custom', { message: 'tick' }, '2026-10-18T00:00:00.000Z', 'all');
+  await scheduler.catchUpMissed([frequent], now);
+  check('All', 'Runs are capped', sent.length === 24, sent.length);
+
+  const health = await missedJob('test:health', '*/30 * * * *', 'health-check', {}, lastDue);
+  check('Defaults', 'Health checks skip by default', scheduler.getCatchUpPolicy(health) === 'skip');
+  check('Defaults', 'Other jobs run once by default', scheduler.getCatchUpPolicy(once) === 'once');
+
+  const old = await missedJob('test:old', '0 2 * * *', 'custom', { message: 'old' }, '2026-09-01T02:00:00.000Z', 'skip');
+  const oldSummary = await scheduler.catchUpMissed([old], now);
+  check('Window', 'Only the last SCHEDULER_CATCH_UP_HOURS count', oldSummary[0] && oldSummary[0].missed === 7, oldSummary);
+
+  // Paused jobs don't collect missed runs
+  const paused = await missedJob('test:paused', '0 2 * * *', 'custom', { message: 'paused' }, lastDue);
+  await scheduler.disable(paused.id);
+  await scheduler.enable(paused.id);
+  const resumed = await scheduler.getJob(paused.id);
+  check('Paused', 'Resuming starts from the next due time', scheduler.findMissedRuns(resumed).length === 0, resumed.next_run);
+
+  await scheduler.setCatchUp(once.id, 'all');
+  check('Policy', 'Policy can be changed', scheduler.getCatchUpPolicy(await scheduler.getJob(once.id)) === 'all');
+  let rejected = false;
+  try {
+    await scheduler.setCatchUp(once.id, 'sometimes');
+  } catch (error) {
+    rejected = true;
+  }
+  check('Policy', 'Unknown policies are rejected', rejected);
+
+  // Legacy jobs with no next_run fall back to last_run
+  const legacy = await scheduler.schedule('test:legacy', '0 2 * * *', 'custom', { message: 'legacy' }, { timezone: 'UTC' });
+  memory.db.prepare('UPDATE scheduled_jobs SET next_run = NULL, last_run = ? WHERE id = ?').run('2026-10-18 02:00:05', legacy.id);
+  const legacyMissed = scheduler.findMissedRuns(await scheduler.getJob(legacy.id), now);
+  check('Legacy', 'SQLite timestamps are read as UTC', legacyMissed.length === 1 &&
+    legacyMissed[0].toISOString() === '2026-10-19T02:00:00.000Z', legacyMissed);
+
+  // Owners set the policy from chat
+  const added = await registry.route('schedule add "every day 7am" echo wake up', as(USER));
+  const addedId = idFrom(added);
+  const policy = await registry.route(`schedule catch-up ${addedId} skip`, as(USER));
+  check('Command', 'schedule catch-up sets the policy',
+    policy.success && (await scheduler.getJob(addedId)).catch_up === 'skip', policy.message);
+  const badPolicy = await registry.route(`schedule catch-up ${addedId} sometimes`, as(USER));
+  check('Command', 'Unknown policies get a usage error', !badPolicy.success, badPolicy.message);
+  const notYours = await registry.route(`schedule catch-up ${addedId} all`, as(OTHER));
+  check('Command', "Others can't change the policy", !notYours.success, notYours.message);
+  const listed = await registry.route('schedule list', as(USER));
+  check('Command', 'List shows the policy', listed.message.includes('(catch-up: skip)'), listed.message);
+}
+
+/**
+ * Print final test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Schedule Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testRecurrence();
+    testCronTimes();
+    testTimezones();
+    await testSchedulerJobs();
+    await testScheduleSkill();
+    await testRunHistory();
+    await testCatchUp();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
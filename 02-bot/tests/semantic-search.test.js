@@ -0,0 +1,315 @@
+/**
+ * Semantic Search Test Suite
+ *
+ * Tests for the local embedding index: tokenising and paraphrase matching,
+ * indexing hooks in memory-manager and database.js, per-chat scoping,
+ * backfill, the "recall" command and relevant memories in the context
+ * engine.
+ *
+ * Run with: node 02-bot/tests/semantic-search.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite databases, offline providers, no cached responses
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-semantic-'));
+process.env.AI_PROVIDER_MODE = 'local';
+process.env.AI_LOCAL_RULES = '';
+process.env.CACHE_ENABLED = 'false';
+
+const semanticIndex = require('../lib/semantic-index');
+const database = require('../lib/database');
+const memory = require('../memory/memory-manager');
+const contextEngine = require('../lib/context-engine');
+const MemorySkill = require('../skills/memory');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const USER = 'user-1';
+const GROUP = 'group-1';
+
+/**
+ * Test tokenising and raw similarity
+ */
+function testEmbedding() {
+  printHeader('Embedding');
+
+  try {
+    const tokens = semanticIndex.tokenize('What did I say about the payments?');
+    check('Embedding', 'Stop words are dropped and suffixes stemmed', tokens.join(' ') === 'pay', tokens);
+
+    const folded = semanticIndex.tokenize('checkout billing');
+    check('Embedding', 'Synonyms fold to one stem', folded.every(t => t === 'pay'), folded);
+
+    const vector = semanticIndex.embed('LusoTown payment gateway');
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    check('Embedding', 'Vectors have the configured size', vector.length === semanticIndex.VECTOR_DIM, vector.length);
+    check('Embedding', 'Vectors are normalised', Math.abs(norm - 1) < 1e-5, norm);
+
+    const empty = semanticIndex.embed('what about the');
+    check('Embedding', 'Stop-word-only text embeds to zeros', empty.every(v => v === 0));
+
+    const query = semanticIndex.embed('what did I say about the LusoTown payment gateway?');
+    const paraphrase = semanticIndex.similarity(query, semanticIndex.embed('For LusoTown we should switch the checkout provider to Stripe'));
+    const unrelated = semanticIndex.similarity(query, semanticIndex.embed('Remind me to buy milk tomorrow'));
+    check('Embedding', 'Paraphrase scores well above unrelated text', paraphrase > 0.5 && unrelated < 0.1, { paraphrase, unrelated });
+  } catch (error) {
+    logResult('Embedding', 'Embedding', 'fail', error.message);
+  }
+}
+
+/**
+ * Test that saves in memory-manager and database.js land in the index
+ */
+function testIndexing() {
+  printHeader('Indexing Hooks');
+
+  try {
+    memory.saveMessage(USER, 'user', 'For LusoTown we should switch the checkout provider to Stripe');
+    memory.saveMessage(USER, 'assistant', 'Noted - Stripe for LusoTown checkout.');
+    memory.saveMessage(USER, 'user', 'Remind me to buy milk tomorrow');
+    memory.saveMessage(USER, 'system', 'system prompt text');
+    memory.saveMessage(GROUP, 'user', 'The office wifi password changed today');
+
+    const factId = memory.saveFact(USER, 'Drives a blue Tesla Model 3', 'personal');
+    database.saveFact(USER, 'Preferred language: Portuguese (pt)', 'language');
+
+    const meeting = database.saveMeeting(USER, { title: 'Q3 planning' });
+    database.updateMeeting(meeting.id, {
+      transcript: 'We agreed to hire two contractors for the mobile app rewrite.',
+      summary: 'Hiring for mobile rewrite'
+    });
+
+    database.saveDocumentAnalysis(USER, GROUP, {
+      filename: 'lease.pdf',
+      summary: 'Office lease agreement, rent due on the first of each month'
+    });
+
+    const stats = semanticIndex.stats(USER);
+    check('Indexing', 'Messages are indexed, system messages skipped', stats.message === 3, stats);
+    check('Indexing', 'Facts from both stores are indexed', stats.fact === 2, stats);
+    check('Indexing', 'Meeting is indexed once its transcript arrives', stats.meeting === 1, stats);
+    check('Indexing', 'Document analysis is indexed', stats.document === 1, stats);
+
+    memory.updateFact(USER, factId, 'Drives a red Tesla Model Y');
+    const updated = semanticIndex.search('what car do I drive tesla', { userId: USER, sources: ['fact'] });
+    check('Indexing', 'Updated fact replaces its vector', updated[0] && updated[0].text.includes('red'), updated);
+
+    memory.deleteFact(USER, factId);
+    check('Indexing', 'Deleted fact leaves the index', semanticIndex.stats(USER).fact === 1, semanticIndex.stats(USER));
+  } catch (error) {
+    logResult('Indexing', 'Indexing hooks', 'fail', error.message);
+  }
+}
+
+/**
+ * Test ranking, scoping and chunking
+ */
+function testSearch() {
+  printHeader('Search');
+
+  try {
+    const hits = semanticIndex.search('what did I say about the LusoTown payment gateway?', { userId: USER });
+    check('Search', 'Paraphrased message is the top hit', hits[0] && hits[0].source === 'message' && hits[0].text.includes('Stripe'), hits);
+    check('Search', 'Unrelated messages fall below the threshold', !hits.some(h => h.text.includes('milk')), hits);
+
+    const meetingHits = semanticIndex.search('who are we hiring for the app?', { userId: USER });
+    check('Search', 'Meeting transcripts are searchable', meetingHits.some(h => h.source === 'meeting'), meetingHits);
+
+    const groupHits = semanticIndex.search('Stripe checkout for LusoTown', { userId: USER, chatId: GROUP });
+    check('Search', 'Group chats do not surface private messages', !groupHits.some(h => h.source === 'message'), groupHits);
+
+    const docHits = semanticIndex.search('when is the rent due', { userId: 'someone-else', chatId: GROUP });
+    check('Search', 'Documents posted in a chat match for its members', docHits.some(h => h.source === 'document'), docHits);
+
+    const wifi = semanticIndex.search('wifi password', { userId: USER });
+    check('Search', 'Other chats are not searched', wifi.length === 0, wifi);
+
+    const factsOnly = semanticIndex.search('LusoTown checkout', { userId: USER, sources: ['fact'] });
+    check('Search', 'Sources filter limits results', factsOnly.every(h => h.source === 'fact'), factsOnly);
+
+    const filler = Array.from({ length: 300 }, (_, i) => `filler word${i}`).join(' ');
+    semanticIndex.index({ source: 'meeting', refId: 'long', ownerId: USER, text: `${filler} the datacenter migration slipped to November` });
+    const chunked = semanticIndex.search('datacenter migration date', { userId: USER });
+    check('Search', 'Long texts are chunked so a late topic still matches', chunked[0] && chunked[0].refId === 'long', chunked);
+    check('Search', 'A chunked item is returned once', chunked.filter(h => h.refId === 'long').length === 1, chunked);
+    semanticIndex.remove('meeting', 'long');
+  } catch (error) {
+    logResult('Search', 'Search', 'fail', error.message);
+  }
+}
+
+/**
+ * Test rebuilding from the source tables and clearing history
+ */
+function testReindex() {
+  printHeader('Reindex');
+
+  try {
+    const before = semanticIndex.stats();
+    const counts = semanticIndex.reindex();
+    check('Reindex', 'Backfill rebuilds every source', JSON.stringify(counts) === JSON.stringify(before), { counts, before });
+
+    memory.clearHistory(USER);
+    check('Reindex', 'Clearing history drops its messages', semanticIndex.stats(USER).message === 0, semanticIndex.stats(USER));
+
+    memory.saveMessage(USER, 'user', 'For LusoTown we should switch the checkout provider to Stripe');
+  } catch (error) {
+    logResult('Reindex', 'Reindex', 'fail', error.message);
+  }
+}
+
+/**
+ * Test the "recall" command
+ */
+async function testRecall() {
+  printHeader('Recall Command');
+
+  try {
+    const skill = new MemorySkill();
+    skill.memory = memory;
+    const ctx = { from: USER, userId: USER };
+
+    check('Recall', 'Skill handles recall', skill.canHandle('recall LusoTown payments', ctx));
+
+    const found = await skill.execute('recall what did I say about the LusoTown payment gateway?', ctx);
+    check('Recall', 'Recall finds the paraphrased message', found.success && found.message.includes('Stripe'), found);
+    check('Recall', 'Recall labels who said it', found.message.includes('You said'), found.message);
+
+    const missing = await skill.execute('recall quantum chromodynamics', ctx);
+    check('Recall', 'No hits gives a friendly message', missing.success && missing.message.includes('Nothing found'), missing);
+  } catch (error) {
+    logResult('Recall', 'Recall command', 'fail', error.message);
+  }
+}
+
+/**
+ * Test relevant memories in the context engine
+ */
+async function testContextEngine() {
+  printHeader('Context Engine');
+
+  try {
+    for (let i = 0; i < 20; i++) {
+      memory.saveMessage(USER, i % 2 ? 'assistant' : 'user', `Small talk message number ${i} about the weather`);
+    }
+
+    const ctx = await contextEngine.build({ chatId: USER, userId: USER, message: 'Which payment gateway did we pick for LusoTown?' });
+    check('Context', 'Recent history is still the last N messages', ctx.conversationHistory.length === 15, ctx.conversationHistory.length);
+    check('Context', 'Older related message is pulled in',
+      ctx.relevantMemories.some(m => m.text.includes('Stripe')), ctx.relevantMemories);
+
+    const prompt = contextEngine.formatForSystemPrompt(ctx);
+    check('Context', 'System prompt lists related memories', prompt.includes('Related from earlier') && prompt.includes('Stripe'));
+
+    const recent = await contextEngine.build({ chatId: USER, userId: USER, message: 'Small talk message number 19 about the weather' });
+    const inHistory = new Set(recent.conversationHistory.map(m => m.content));
+    check('Context', 'Older small talk is pulled in', recent.relevantMemories.some(m => m.text.includes('number 0')), recent.relevantMemories);
+    check('Context', 'Messages already in history are not repeated',
+      !recent.relevantMemories.some(m => inHistory.has(m.text)), recent.relevantMemories);
+  } catch (error) {
+    logResult('Context', 'Context engine', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Semantic Search Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testEmbedding();
+    testIndexing();
+    testSearch();
+    testReindex();
+    await testRecall();
+    await testContextEngine();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
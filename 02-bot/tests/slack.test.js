@@ -0,0 +1,387 @@
+/**
+ * Slack Adapter Test Suite
+ *
+ * Tests for the Slack adapter: request signature verification, mrkdwn
+ * conversion both ways, thread-aware recipients, Block Kit buttons, event
+ * normalisation, platform detection (messaging platform and chat registry)
+ * and threaded sends through MessagingPlatform with a stubbed Web API.
+ *
+ * Run with: node 02-bot/tests/slack.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Isolated chat registry, known signing secret, no real token
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-slack-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+process.env.SLACK_SIGNING_SECRET = 'test-signing-secret';
+process.env.SLACK_BOT_TOKEN = 'xoxb-test';
+
+const { SlackHandler } = require('../slack-handler');
+const ActionButtons = require('../lib/action-buttons');
+const messenger = require('../lib/messaging-platform');
+const chatRegistry = require('../lib/chat-registry');
+
+const { MessagingPlatform, StreamingReply } = messenger;
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+/**
+ * Sign a body the way Slack does
+ */
+function sign(body, timestamp, secret = 'test-signing-secret') {
+  return 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+}
+
+/**
+ * Create a handler whose Web API calls are recorded instead of sent
+ */
+function stubbedHandler() {
+  const slack = new SlackHandler();
+  slack.calls = [];
+  slack.callApi = async (method, body) => {
+    slack.calls.push({ method, body });
+    return { ok: true, channel: body.channel, ts: '1760000001.000200' };
+  };
+  return slack;
+}
+
+/**
+ * Test request signature verification
+ */
+function testSignatures() {
+  printHeader('Signature Verification');
+
+  try {
+    const slack = new SlackHandler();
+    const body = JSON.stringify({ type: 'event_callback', event: { type: 'app_mention' } });
+    const now = 1760000000;
+    const timestamp = String(now);
+
+    check('Signature', 'Valid signature is accepted',
+      slack.verifySignature(body, timestamp, sign(body, timestamp), now) === true);
+    check('Signature', 'Tampered body is rejected',
+      slack.verifySignature(body + ' ', timestamp, sign(body, timestamp), now) === false);
+    check('Signature', 'Wrong secret is rejected',
+      slack.verifySignature(body, timestamp, sign(body, timestamp, 'other'), now) === false);
+    check('Signature', 'Stale timestamp is rejected (replay protection)',
+      slack.verifySignature(body, timestamp, sign(body, timestamp), now + 301) === false);
+    check('Signature', 'Missing headers are rejected',
+      slack.verifySignature(body, undefined, undefined, now) === false);
+    check('Signature', 'Malformed signature does not throw',
+      slack.verifySignature(body, timestamp, 'v0=abc', now) === false);
+
+    const req = {
+      rawBody: body,
+      headers: {
+        'x-slack-request-timestamp': String(Math.floor(Date.now() / 1000)),
+        'x-slack-signature': null
+      }
+    };
+    req.headers['x-slack-signature'] = sign(body, req.headers['x-slack-request-timestamp']);
+    check('Signature', 'verifyRequest reads the raw body and headers', slack.verifyRequest(req) === true);
+
+    const unsigned = new SlackHandler();
+    unsigned.signingSecret = null;
+    check('Signature', 'No signing secret rejects everything',
+      unsigned.verifySignature(body, timestamp, sign(body, timestamp), now) === false);
+  } catch (error) {
+    logResult('Signature', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test authorization lists
+ */
+function testAuthorization() {
+  printHeader('Authorization');
+
+  try {
+    const slack = new SlackHandler();
+
+    process.env.SLACK_AUTHORIZED_USERS = '';
+    process.env.SLACK_AUTHORIZED_CHANNELS = '';
+    check('Auth', 'Nothing configured denies all', slack.isAuthorized('C0123ABCD1', 'U0123ABCD') === false);
+
+    process.env.SLACK_AUTHORIZED_USERS = 'U0123ABCD, U0999';
+    check('Auth', 'Listed user is allowed in any channel', slack.isAuthorized('C0123ABCD1', 'U0123ABCD') === true);
+    check('Auth', 'Other users are denied', slack.isAuthorized('C0123ABCD1', 'U0NOPE') === false);
+
+    process.env.SLACK_AUTHORIZED_CHANNELS = 'C0TEAM0001';
+    check('Auth', 'Anyone may use a listed channel', slack.isAuthorized('C0TEAM0001', 'U0NOPE') === true);
+
+    delete process.env.SLACK_AUTHORIZED_USERS;
+    delete process.env.SLACK_AUTHORIZED_CHANNELS;
+  } catch (error) {
+    logResult('Auth', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test mrkdwn conversion and recipients
+ */
+function testFormatting() {
+  printHeader('Formatting and Recipients');
+
+  try {
+    check('Format', 'Markdown bold and links become mrkdwn',
+      SlackHandler.toMrkdwn('**Done** see [PR](https://github.com/x/y/pull/1)') === '*Done* see <https://github.com/x/y/pull/1|PR>',
+      SlackHandler.toMrkdwn('**Done** see [PR](https://github.com/x/y/pull/1)'));
+    check('Format', 'Telegram-style *bold* is left alone',
+      SlackHandler.toMrkdwn('*Deploy* _now_') === '*Deploy* _now_');
+
+    const incoming = SlackHandler.fromMrkdwn('<@U0BOT0001> deploy <https://example.com|site> to <#C0123ABCD|ops> &amp; ping <@U0AAA|sam>');
+    check('Format', 'Incoming markup becomes plain text',
+      incoming === 'deploy https://example.com to #ops & ping @sam', incoming);
+    check('Format', 'Newlines in incoming text are kept',
+      SlackHandler.fromMrkdwn('<@U0BOT0001> line one\nline two') === 'line one\nline two');
+
+    check('Recipient', 'Thread is carried in the recipient',
+      SlackHandler.formatRecipient('C0123ABCD1', '1760000000.000100') === 'C0123ABCD1:1760000000.000100');
+    const parsed = SlackHandler.parseRecipient('slack:C0123ABCD1:1760000000.000100');
+    check('Recipient', 'Recipient parses back into channel and thread',
+      parsed.channel === 'C0123ABCD1' && parsed.threadTs === '1760000000.000100', parsed);
+    check('Recipient', 'Channel without thread has no threadTs',
+      SlackHandler.parseRecipient('D0123ABCD1').threadTs === null);
+  } catch (error) {
+    logResult('Format', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test Block Kit rendering of action button layouts
+ */
+function testBlockKit() {
+  printHeader('Block Kit Buttons');
+
+  try {
+    const blocks = ActionButtons.toBlockKit('Deploy *app*?', ActionButtons.confirm('deploy_app'));
+    check('BlockKit', 'Text becomes a mrkdwn section',
+      blocks[0].type === 'section' && blocks[0].text.type === 'mrkdwn' && blocks[0].text.text === 'Deploy *app*?', blocks[0]);
+
+    const actions = blocks.filter(b => b.type === 'actions');
+    check('BlockKit', 'Each keyboard row becomes an actions block', actions.length === 1, blocks);
+    const buttons = actions[0].elements;
+    check('BlockKit', 'Buttons carry the callback data as value',
+      buttons.length === 2 && buttons.every(b => b.type === 'button' && typeof b.value === 'string' && b.action_id), buttons);
+    check('BlockKit', 'Action IDs are unique within the message',
+      new Set(buttons.map(b => b.action_id)).size === buttons.length);
+
+    const link = ActionButtons.toBlockKit('PR', [[{ text: 'Open', url: 'https://github.com' }]]);
+    const linkButton = link[1].elements[0];
+    check('BlockKit', 'URL buttons open the link', linkButton.url === 'https://github.com' && !linkButton.value, linkButton);
+
+    const long = ActionButtons.toBlockKit('x'.repeat(7000), []);
+    check('BlockKit', 'Long text is split into 3000-char sections',
+      long.length === 3 && long.every(b => b.type === 'section' && b.text.text.length <= 3000), long.map(b => b.text.text.length));
+
+    const label = ActionButtons.toBlockKit('t', [[{ text: 'y'.repeat(100), callback_data: 'noop' }]])[1].elements[0];
+    check('BlockKit', 'Button labels are capped at 75 chars', label.text.text.length === 75, label.text.text.length);
+  } catch (error) {
+    logResult('BlockKit', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test event normalisation and platform detection
+ */
+function testNormalizeAndDetect() {
+  printHeader('Normalisation and Platform Detection');
+
+  try {
+    const mention = MessagingPlatform.normalizeIncoming('slack', {
+      type: 'event_callback',
+      event_id: 'Ev01',
+      event: { type: 'app_mention', channel: 'C0123ABCD1', channel_type: 'channel', user: 'U0AAA', text: '<@U0BOT0001> help', ts: '1760000000.000100' }
+    });
+    check('Normalize', 'Channel is the user ID', mention.userId === 'C0123ABCD1' && mention.platform === 'slack', mention);
+    check('Normalize', 'Bot mention is stripped from the text', mention.text === 'help', mention.text);
+    check('Normalize', 'Top-level channel mention starts a thread under itself',
+      mention.fromNumber === 'C0123ABCD1:1760000000.000100', mention.fromNumber);
+
+    const threaded = MessagingPlatform.normalizeIncoming('slack', {
+      channel: 'C0123ABCD1', channel_type: 'channel', user: 'U0AAA', text: 'status', ts: '1760000005.000100', thread_ts: '1760000000.000100'
+    });
+    check('Normalize', 'Replies inside a thread stay in that thread',
+      threaded.fromNumber === 'C0123ABCD1:1760000000.000100' && threaded.threadTs === '1760000000.000100', threaded.fromNumber);
+
+    const dm = MessagingPlatform.normalizeIncoming('slack', {
+      event: { type: 'message', channel: 'D0123ABCD1', channel_type: 'im', user: 'U0AAA', text: 'hi', ts: '1760000000.000100' }
+    });
+    check('Normalize', 'Top-level DMs are answered inline', dm.fromNumber === 'D0123ABCD1', dm.fromNumber);
+
+    check('Detect', 'Slack channel IDs are detected', MessagingPlatform.detectPlatform('C0123ABCD1') === 'slack');
+    check('Detect', 'Threaded recipients are detected', MessagingPlatform.detectPlatform('C0123ABCD1:1760000000.000100') === 'slack');
+    check('Detect', 'Numeric Telegram IDs are not taken for Slack', MessagingPlatform.detectPlatform('-1001234567890') !== 'slack');
+    check('Detect', 'extractUserId drops the thread',
+      MessagingPlatform.extractUserId('slack', 'slack:C0123ABCD1:1760000000.000100') === 'C0123ABCD1');
+
+    check('Registry', 'Chat registry detects Slack channels', chatRegistry.detectPlatform('G0123ABCD1') === 'slack');
+    check('Registry', 'Chat registry detects slack: prefix', chatRegistry.detectPlatform('slack:C0123ABCD1') === 'slack');
+    check('Registry', 'Chat registry still detects WhatsApp numbers', chatRegistry.detectPlatform('+447700900001') === 'whatsapp');
+
+    const entry = chatRegistry.registerChat('C0123ABCD1', 'repo', 'aws-clawd-bot');
+    check('Registry', 'Registering a Slack channel records the platform', entry.platform === 'slack', entry);
+    check('Registry', 'Stats count Slack chats', chatRegistry.getStats().byPlatform.slack === 1, chatRegistry.getStats().byPlatform);
+    chatRegistry.unregisterChat('C0123ABCD1');
+  } catch (error) {
+    logResult('Normalize', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Test sending through MessagingPlatform with a stubbed Web API
+ */
+async function testSending() {
+  printHeader('Threaded Sending');
+
+  try {
+    const slack = stubbedHandler();
+    messenger.setSlackHandler(slack);
+
+    const sent = await messenger.sendToRecipient('**Deployed** ok', 'slack', 'C0123ABCD1:1760000000.000100');
+    const post = slack.calls[0];
+    check('Send', 'sendToRecipient posts into the thread',
+      sent === true && post.method === 'chat.postMessage' && post.body.channel === 'C0123ABCD1' &&
+      post.body.thread_ts === '1760000000.000100', post);
+    check('Send', 'Text is converted to mrkdwn', post.body.text === '*Deployed* ok', post.body.text);
+
+    slack.calls = [];
+    await messenger.sendToRecipient('hello', 'slack', 'D0123ABCD1');
+    check('Send', 'No thread means no thread_ts', slack.calls[0] && !('thread_ts' in slack.calls[0].body), slack.calls[0]);
+
+    slack.calls = [];
+    await messenger.sendWithButtons('Deploy?', 'slack', 'C0123ABCD1:1760000000.000100', ActionButtons.confirm('deploy_app'));
+    const withButtons = slack.calls[0].body;
+    check('Send', 'Buttons are sent as Block Kit in the thread',
+      Array.isArray(withButtons.blocks) && withButtons.blocks.some(b => b.type === 'actions') &&
+      withButtons.thread_ts === '1760000000.000100', withButtons);
+
+    slack.calls = [];
+    await slack.editMessage('C0123ABCD1', '1760000001.000200', 'Deployed');
+    const update = slack.calls[0];
+    check('Send', 'editMessage updates the message and drops its buttons',
+      update.method === 'chat.update' && update.body.ts === '1760000001.000200' &&
+      !update.body.blocks.some(b => b.type === 'actions'), update);
+
+    slack.calls = [];
+    const stream = new StreamingReply(messenger, 'slack', 'C0123ABCD1:1760000000.000100', { minIntervalMs: 0 });
+    await stream.push('First paragraph of a streamed answer.\n\n');
+    await stream.finish('First paragraph of a streamed answer.\n\nSecond paragraph.');
+    check('Send', 'Streamed replies arrive as thread messages, never edits',
+      slack.calls.length > 0 && slack.calls.every(c => c.method === 'chat.postMessage' && c.body.thread_ts === '1760000000.000100'),
+      slack.calls.map(c => c.method));
+    const streamed = slack.calls.map(c => c.body.text).join('\n\n');
+    check('Send', 'Streamed chunks add up to the whole reply',
+      streamed.includes('First paragraph') && streamed.includes('Second paragraph.'), streamed);
+
+    const noToken = new SlackHandler();
+    noToken.token = null;
+    check('Send', 'Without a token sends are mocked', (await noToken.sendMessage('C0123ABCD1', 'hi')) === null);
+  } catch (error) {
+    logResult('Send', 'Test suite', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Slack Adapter Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    testSignatures();
+    testAuthorization();
+    testFormatting();
+    testBlockKit();
+    testNormalizeAndDetect();
+    await testSending();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
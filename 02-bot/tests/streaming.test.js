@@ -0,0 +1,435 @@
+/**
+ * Streaming Replies Test Suite
+ *
+ * Tests for streamed AI responses: ClaudeHandler.completeStream (with a fake
+ * SDK client), router streaming and fallback resets, and progressive
+ * delivery in messaging-platform.js - throttled Telegram edits of a single
+ * message and chunked WhatsApp sends.
+ *
+ * Run with: node 02-bot/tests/streaming.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Offline providers, no cached responses, isolated SQLite (budget usage)
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-stream-'));
+process.env.AI_PROVIDER_MODE = 'local';
+process.env.AI_LOCAL_RULES = '';
+process.env.CACHE_ENABLED = 'false';
+
+const ClaudeHandler = require('../ai-providers/claude-handler');
+const { AIProviderRegistry } = require('../ai-providers');
+const { MessagingPlatform } = require('../lib/messaging-platform');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake Anthropic client: stream() emits the given deltas, then resolves finalMessage()
+ */
+function fakeAnthropicClient(deltas, usage = { input_tokens: 10, output_tokens: 20 }) {
+  const calls = [];
+  const text = deltas.join('');
+  const message = {
+    content: [{ type: 'thinking', thinking: '...' }, { type: 'text', text }],
+    usage
+  };
+
+  return {
+    calls,
+    messages: {
+      create: async (params) => {
+        calls.push({ method: 'create', params });
+        return message;
+      },
+      stream: (params) => {
+        calls.push({ method: 'stream', params });
+        const stream = new EventEmitter();
+        stream.finalMessage = async () => {
+          for (const delta of deltas) {
+            await sleep(1);
+            stream.emit('text', delta);
+          }
+          return message;
+        };
+        return stream;
+      }
+    }
+  };
+}
+
+/**
+ * Fake Telegram handler recording sends and edits
+ */
+function fakeTelegram({ withIds = true } = {}) {
+  const log = [];
+  let nextId = 100;
+  return {
+    log,
+    sendMessage: async (chatId, text, options = {}) => {
+      log.push({ type: 'send', chatId, text, plain: 'parse_mode' in options });
+      return withIds ? { message_id: nextId++ } : true;
+    },
+    editMessage: async (chatId, messageId, text, buttons, editOptions = {}) => {
+      log.push({ type: 'edit', chatId, messageId, text, plain: !!editOptions.plain });
+      return {};
+    }
+  };
+}
+
+/**
+ * Fake Twilio client recording WhatsApp sends
+ */
+function fakeTwilio() {
+  const sent = [];
+  return {
+    sent,
+    messages: {
+      create: async ({ body, to }) => {
+        sent.push({ body, to });
+        return { sid: 'SM-test' };
+      }
+    }
+  };
+}
+
+/**
+ * Test ClaudeHandler streaming
+ */
+async function testClaudeStreaming() {
+  printHeader('Claude Handler Streaming');
+
+  try {
+    const handler = new ClaudeHandler();
+    handler.initialized = true;
+    handler.client = fakeAnthropicClient(['Hello', ' from', ' Claude']);
+
+    const chunks = [];
+    const result = await handler.completeStream('write a function', { taskType: 'coding' }, chunk => chunks.push(chunk));
+    check('Claude', 'Text deltas reach onChunk in order', chunks.join('|') === 'Hello| from| Claude', chunks);
+    check('Claude', 'Result has the complete() shape',
+      result.response === 'Hello from Claude' && result.tokens === 30 && result.tier === 'coder' &&
+      result.provider === 'claude' && result.cost > 0, result);
+
+    const request = handler.client.calls[0];
+    check('Claude', 'Streams with the same request as complete()',
+      request.method === 'stream' && request.params.model === handler.models.sonnet &&
+      request.params.messages[0].content === 'write a function', request);
+
+    const plain = await handler.complete('write a function', { taskType: 'coding' });
+    check('Claude', 'complete() skips thinking blocks', plain.response === 'Hello from Claude', plain);
+
+    const emptyChunks = [];
+    const empty = await handler.completeStream('  ', {}, chunk => emptyChunks.push(chunk));
+    check('Claude', 'Empty query answered without an API call',
+      /didn't catch/.test(empty.response) && emptyChunks.length === 1 && handler.client.calls.length === 2, empty);
+  } catch (error) {
+    logResult('Claude', 'Claude streaming', 'fail', error.message);
+  }
+}
+
+/**
+ * Test streaming through the router
+ */
+async function testRouterStreaming() {
+  printHeader('Router Streaming');
+
+  try {
+    const registry = new AIProviderRegistry();
+    await registry.initialize();
+    for (const provider of Object.values(registry.providers)) {
+      provider.loadRules({
+        rules: [
+          { match: 'stream me', chunks: ['one ', 'two ', 'three'] },
+          { match: 'broken', provider: 'claude', error: 'Claude API error: 529' }
+        ],
+        fallback: '{provider} answer'
+      });
+    }
+
+    const chunks = [];
+    const streamed = await registry.processQuery('stream me', { forceProvider: 'claude', onChunk: c => chunks.push(c) });
+    check('Router', 'Streaming provider emits chunks', chunks.join('|') === 'one |two |three' &&
+      streamed.response === 'one two three', { chunks, streamed });
+
+    // Providers without completeStream deliver the response in one chunk
+    const groq = registry.providers.groq;
+    const single = [];
+    groq.completeStream = undefined;
+    const whole = await registry.processQuery('anything', { forceProvider: 'groq', onChunk: c => single.push(c) });
+    delete groq.completeStream;
+    check('Router', 'Non-streaming provider emits the whole response once',
+      single.length === 1 && single[0] === whole.response, { single, whole });
+
+    const noStream = await registry.processQuery('stream me', { forceProvider: 'claude' });
+    check('Router', 'No onChunk means a normal completion', noStream.response === 'one two three', noStream);
+
+    let resets = 0;
+    const fallbackChunks = [];
+    const fallback = await registry.processQuery('broken', {
+      forceProvider: 'claude',
+      onChunk: c => fallbackChunks.push(c),
+      onStreamReset: () => { resets++; }
+    });
+    check('Router', 'Fallback resets the stream before retrying',
+      resets === 1 && fallback.provider === 'perplexity' && fallbackChunks.join('') === 'perplexity answer',
+      { resets, fallback, fallbackChunks });
+  } catch (error) {
+    logResult('Router', 'Router streaming', 'fail', error.message);
+  }
+}
+
+/**
+ * Test progressive Telegram edits
+ */
+async function testTelegramReply() {
+  printHeader('Telegram Progressive Edits');
+
+  try {
+    const telegram = fakeTelegram();
+    const messenger = new MessagingPlatform();
+    messenger.initialize({ telegramHandler: telegram });
+
+    const reply = messenger.createStreamingReply('telegram', '12345', { editIntervalMs: 60, minInitialChars: 5 });
+    reply.push('Hi');
+    await sleep(10);
+    check('Telegram', 'Waits for minInitialChars before sending', telegram.log.length === 0, telegram.log);
+
+    reply.push(' there, this is');
+    await sleep(10);
+    check('Telegram', 'Opens one message (plain text)',
+      telegram.log.length === 1 && telegram.log[0].type === 'send' && telegram.log[0].plain, telegram.log);
+
+    for (const word of [' a', ' streamed', ' *answer*', ' in', ' many', ' small', ' pieces']) {
+      reply.push(word);
+      await sleep(5);
+    }
+    const editsBeforeWindow = telegram.log.filter(e => e.type === 'edit').length;
+    check('Telegram', 'Edits are throttled to the edit interval', editsBeforeWindow === 0, telegram.log);
+
+    await sleep(80);
+    const intermediate = telegram.log.filter(e => e.type === 'edit');
+    check('Telegram', 'Throttled edit shows the text so far',
+      intermediate.length === 1 && intermediate[0].plain && intermediate[0].messageId === 100 &&
+      intermediate[0].text.endsWith('pieces'), intermediate);
+
+    await reply.finish();
+    const last = telegram.log[telegram.log.length - 1];
+    const sends = telegram.log.filter(e => e.type === 'send');
+    check('Telegram', 'finish() makes a final Markdown edit of the same message',
+      sends.length === 1 && last.type === 'edit' && !last.plain &&
+      last.text === 'Hi there, this is a streamed *answer* in many small pieces', telegram.log);
+
+    reply.push(' late');
+    await sleep(10);
+    check('Telegram', 'Nothing is sent after finish()', telegram.log[telegram.log.length - 1] === last, telegram.log);
+
+    const group = messenger.createStreamingReply('telegram', '-100200');
+    check('Telegram', 'Groups use the slower edit interval',
+      group.editIntervalMs === 3000 && messenger.createStreamingReply('telegram', '1').editIntervalMs === 1000,
+      group.editIntervalMs);
+  } catch (error) {
+    logResult('Telegram', 'Progressive edits', 'fail', error.message);
+  }
+}
+
+/**
+ * Test long replies, final text replacement, resets and missing message ids
+ */
+async function testTelegramEdgeCases() {
+  printHeader('Telegram Edge Cases');
+
+  try {
+    const telegram = fakeTelegram();
+    const messenger = new MessagingPlatform();
+    messenger.initialize({ telegramHandler: telegram });
+
+    const long = messenger.createStreamingReply('telegram', '1', { partLength: 40, editIntervalMs: 0 });
+    const paragraph = 'The quick brown fox jumps over the lazy dog. ';
+    long.push(paragraph);
+    long.push(paragraph);
+    await long.finish();
+    const sends = telegram.log.filter(e => e.type === 'send');
+    const finals = telegram.log.filter(e => !e.plain);
+    check('Long', 'Text past the limit continues in a new message',
+      sends.length >= 2 && finals.every(e => e.text.length <= 40) &&
+      finals.map(e => e.text).join(' ').replace(/\s+/g, ' ') === (paragraph + paragraph).trim(), telegram.log);
+
+    telegram.log.length = 0;
+    const replaced = messenger.createStreamingReply('telegram', '2', { editIntervalMs: 0 });
+    replaced.push('Partial answer from a provider that');
+    await sleep(10);
+    replaced.reset();
+    replaced.push('Fresh answer');
+    await sleep(10);
+    await replaced.finish('⛔ AI budget reached');
+    const shown = telegram.log.map(e => e.text);
+    check('Reset', 'reset() and finish(text) replace the same message',
+      shown[0] === 'Partial answer from a provider that' && shown.includes('Fresh answer') &&
+      shown[shown.length - 1] === '⛔ AI budget reached' && telegram.log.filter(e => e.type === 'send').length === 1,
+      telegram.log);
+
+    telegram.log.length = 0;
+    const direct = messenger.createStreamingReply('telegram', '3');
+    await direct.finish('Complete reply, never streamed');
+    check('Direct', 'finish() without chunks sends one Markdown message',
+      telegram.log.length === 1 && telegram.log[0].type === 'send' && !telegram.log[0].plain, telegram.log);
+
+    const noIds = fakeTelegram({ withIds: false });
+    const fallbackMessenger = new MessagingPlatform();
+    fallbackMessenger.initialize({ telegramHandler: noIds });
+    const chunked = fallbackMessenger.createStreamingReply('telegram', '4', { editIntervalMs: 0, chunkChars: 10 });
+    chunked.push('First paragraph here.\n\n');
+    await sleep(10);
+    chunked.push('Second paragraph.');
+    await chunked.finish();
+    check('Direct', 'No message id falls back to chunked sends',
+      noIds.log.map(e => e.text).join('|') === 'First paragraph here.|Second paragraph.' &&
+      noIds.log.every(e => e.type === 'send'), noIds.log);
+  } catch (error) {
+    logResult('Edge', 'Telegram edge cases', 'fail', error.message);
+  }
+}
+
+/**
+ * Test chunked WhatsApp delivery
+ */
+async function testWhatsAppReply() {
+  printHeader('WhatsApp Chunked Sends');
+
+  try {
+    const twilio = fakeTwilio();
+    const messenger = new MessagingPlatform();
+    messenger.initialize({ twilioClient: twilio });
+
+    const reply = messenger.createStreamingReply('whatsapp', '447700900123', { chunkChars: 30 });
+    reply.push('Short start');
+    await sleep(5);
+    check('WhatsApp', 'Small text is buffered', twilio.sent.length === 0, twilio.sent);
+
+    reply.push(' and a first paragraph.\n\nSecond');
+    await sleep(5);
+    check('WhatsApp', 'Chunk sent at a paragraph break',
+      twilio.sent.length === 1 && twilio.sent[0].body === 'Short start and a first paragraph.' &&
+      twilio.sent[0].to === 'whatsapp:447700900123', twilio.sent);
+
+    reply.push(' paragraph without a break');
+    await sleep(5);
+    check('WhatsApp', 'No break, no send', twilio.sent.length === 1, twilio.sent);
+
+    await reply.finish();
+    check('WhatsApp', 'finish() sends the rest',
+      twilio.sent.length === 2 && twilio.sent[1].body === 'Second paragraph without a break', twilio.sent);
+
+    const long = messenger.createStreamingReply('whatsapp', '447700900123');
+    await long.finish('word '.repeat(500));
+    check('WhatsApp', 'Replies over 1600 chars are split, not truncated',
+      twilio.sent.length === 4 && twilio.sent.slice(2).every(m => m.body.length <= 1600) &&
+      !twilio.sent.some(m => /truncated/.test(m.body)), twilio.sent.map(m => m.body.length));
+  } catch (error) {
+    logResult('WhatsApp', 'Chunked sends', 'fail', error.message);
+  }
+}
+
+/**
+ * Print test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Streaming Replies Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await testClaudeStreaming();
+    await testRouterStreaming();
+    await testTelegramReply();
+    await testTelegramEdgeCases();
+    await testWhatsAppReply();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
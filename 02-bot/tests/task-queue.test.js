@@ -0,0 +1,560 @@
+/**
+ * Task Queue Test Suite
+ *
+ * Tests for the persistent job queue (lib/task-queue.js): jobs stored in
+ * SQLite, priorities, per-repo and per-type concurrency, retries with
+ * exponential backoff, dead letters and `retry()`, cancelling, recovery of
+ * jobs interrupted by a restart, results sent to the queuing chat, and the
+ * job types owned by the overnight skill (nightly_task), remote-exec
+ * (deploy) and the scheduler (report), plus the `queue` skill commands.
+ *
+ * Run with: node 02-bot/tests/task-queue.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Isolated SQLite database and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-queue-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.GITHUB_TOKEN;
+delete process.env.ACCESS_OWNERS;
+delete process.env.TASK_QUEUE_CONCURRENCY;
+delete process.env.TASK_QUEUE_REPO_CONCURRENCY;
+
+const db = require('../lib/database');
+const taskQueue = require('../lib/task-queue');
+const { TaskQueue, PRIORITIES } = taskQueue;
+const { Scheduler } = require('../scheduler/scheduler');
+const { SkillRegistry } = require('../skills/skill-registry');
+const QueueSkill = require('../skills/queue');
+const OvernightSkill = require('../skills/overnight');
+const RemoteExecSkill = require('../skills/remote-exec');
+
+const CHAT = '555000111';
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A job the test finishes by hand
+ */
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+/**
+ * A queue with its own settings, sharing the test database
+ */
+function createQueue(options = {}) {
+  const queue = new TaskQueue();
+  queue.maxConcurrent = options.concurrency || 1;
+  queue.maxPerRepo = options.perRepo || 1;
+  queue.init();
+  return queue;
+}
+
+/**
+ * Run a skill command through its schema like the registry does
+ */
+async function run(skill, command, context = {}) {
+  return skill.execute(command, { userId: CHAT, chatId: CHAT, platform: 'telegram', ...context });
+}
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+async function testStorage() {
+  printHeader('Storage');
+
+  const queue = createQueue();
+  const job = queue.enqueue('storage_test', { repo: 'armora', note: 'hello' }, {
+    priority: 'high',
+    chatId: CHAT,
+    userId: CHAT,
+    platform: 'telegram'
+  });
+
+  check('Storage', 'Enqueue returns the stored job', job && job.status === 'queued' && job.params.note === 'hello', job);
+  check('Storage', 'Named priority is resolved', job.priority === PRIORITIES.high, job.priority);
+  check('Storage', 'Repo defaults to params.repo', job.repo === 'armora', job.repo);
+  check('Storage', 'Chat and platform are kept for the result', job.chatId === CHAT && job.platform === 'telegram', job);
+
+  const row = db.getDb().prepare('SELECT * FROM queue_jobs WHERE id = ?').get(job.id);
+  check('Storage', 'Job is written to SQLite', row && row.type === 'storage_test', row);
+
+  const fresh = createQueue();
+  check('Storage', 'A new queue instance sees the job (survives restarts)', fresh.getJob(job.id)?.params.note === 'hello');
+
+  queue.processNext();
+  check('Storage', 'Jobs without a handler stay queued', queue.getJob(job.id).status === 'queued');
+
+  const listed = queue.listJobs({ type: 'storage_test', userId: CHAT });
+  check('Storage', 'listJobs filters by type and user', listed.length === 1 && listed[0].id === job.id, listed);
+
+  const status = queue.getStatus('storage_test');
+  check('Storage', 'getStatus counts by type', status.queued === 1 && status.running === 0, status);
+
+  await queue.cancelTask(job.id);
+  check('Storage', 'Cancelling a queued job marks it cancelled', queue.getJob(job.id).status === 'cancelled');
+  check('Storage', 'Cancelling again is refused', (await queue.cancelTask(job.id)) === false);
+}
+
+// ============================================================================
+// Ordering and concurrency
+// ============================================================================
+
+async function testOrdering() {
+  printHeader('Priorities and Concurrency');
+
+  // Priority, then age
+  const queue = createQueue({ concurrency: 1 });
+  const order = [];
+  queue.enqueue('order_test', { name: 'low' }, { priority: 'low' });
+  queue.enqueue('order_test', { name: 'normal-1' });
+  queue.enqueue('order_test', { name: 'high' }, { priority: 'high' });
+  queue.enqueue('order_test', { name: 'normal-2' });
+  queue.enqueue('order_test', { name: 'later' }, { priority: 'high', runAt: Date.now() + 60000 });
+
+  queue.registerHandler('order_test', async (job) => { order.push(job.params.name); });
+  await queue.idle();
+  check('Order', 'Highest priority first, then oldest first', order.join(',') === 'high,normal-1,normal-2,low', order);
+  check('Order', 'Jobs are not started before runAt', !order.includes('later'), order);
+
+  // Per-repo limit
+  const repoQueue = createQueue({ concurrency: 3, perRepo: 1 });
+  const gates = {};
+  repoQueue.registerHandler('repo_test', async (job) => {
+    gates[job.params.name] = deferred();
+    await gates[job.params.name].promise;
+  });
+  const a1 = repoQueue.enqueue('repo_test', { name: 'a1' }, { repo: 'armora' });
+  const a2 = repoQueue.enqueue('repo_test', { name: 'a2' }, { repo: 'armora' });
+  const b1 = repoQueue.enqueue('repo_test', { name: 'b1' }, { repo: 'giquina' });
+
+  check('Concurrency', 'One job per repo runs at a time', repoQueue.getJob(a1.id).status === 'running' &&
+    repoQueue.getJob(a2.id).status === 'queued', [repoQueue.getJob(a1.id).status, repoQueue.getJob(a2.id).status]);
+  check('Concurrency', 'Other repos run alongside', repoQueue.getJob(b1.id).status === 'running');
+  check('Concurrency', 'Running map holds the jobs', repoQueue.running.size === 2, repoQueue.running.size);
+
+  gates.a1.resolve();
+  await sleep(20);
+  check('Concurrency', 'Next job for the repo starts when the first finishes', repoQueue.getJob(a2.id).status === 'running');
+  gates.a2.resolve();
+  gates.b1.resolve();
+  await repoQueue.idle();
+
+  // Per-type limit and the global limit
+  const typeQueue = createQueue({ concurrency: 2 });
+  const typeGates = [];
+  typeQueue.registerHandler('solo_test', async () => {
+    const gate = deferred();
+    typeGates.push(gate);
+    await gate.promise;
+  }, { concurrency: 1 });
+  typeQueue.enqueue('solo_test', {});
+  typeQueue.enqueue('solo_test', {});
+  check('Concurrency', 'Handler concurrency limits a type', typeQueue.running.size === 1, typeQueue.running.size);
+  typeGates.forEach(g => g.resolve());
+  await sleep(20);
+  typeGates.forEach(g => g.resolve());
+  await typeQueue.idle();
+  check('Concurrency', 'Both jobs eventually complete', typeQueue.getStatus('solo_test').completed === 2,
+    typeQueue.getStatus('solo_test'));
+}
+
+// ============================================================================
+// Retries and dead letters
+// ============================================================================
+
+async function testRetries() {
+  printHeader('Retries and Dead Letters');
+
+  const queue = createQueue({ concurrency: 2 });
+  const notified = [];
+  queue.setNotifier(async (job, message) => { notified.push({ job, message }); });
+
+  // Fails once, then succeeds
+  let calls = 0;
+  queue.registerHandler('flaky_test', async () => {
+    calls++;
+    if (calls === 1) throw new Error('network blip');
+    return 'Flaky job done';
+  }, { maxAttempts: 3, backoffMs: 40 });
+
+  const before = Date.now();
+  const flaky = queue.enqueue('flaky_test', {}, { chatId: CHAT, platform: 'telegram' });
+  await queue.idle();
+  let stored = queue.getJob(flaky.id);
+  check('Retry', 'A failure goes back in the queue', stored.status === 'queued' && stored.attempts === 1, stored);
+  check('Retry', 'The error is recorded', stored.lastError === 'network blip', stored.lastError);
+  check('Retry', 'The retry waits for the backoff', stored.runAfter >= before + 40, stored.runAfter - before);
+
+  await sleep(60);
+  await queue.idle();
+  stored = queue.getJob(flaky.id);
+  check('Retry', 'The retry succeeds', stored.status === 'completed' && stored.attempts === 2, stored);
+  check('Retry', 'The result is stored', stored.result === 'Flaky job done', stored.result);
+  check('Retry', 'The result is sent to the queuing chat',
+    notified.some(n => n.job.id === flaky.id && n.job.chatId === CHAT && n.message === 'Flaky job done'), notified);
+
+  // Backoff doubles
+  queue.registerHandler('broken_test', async () => { throw new Error('always broken'); }, { maxAttempts: 3, backoffMs: 30 });
+  const broken = queue.enqueue('broken_test', {}, { chatId: CHAT });
+  await queue.idle();
+  const delayOf = () => {
+    const stored = queue.getJob(broken.id);
+    return stored.runAfter - stored.startedAt;
+  };
+  const firstDelay = delayOf();
+  await sleep(40);
+  await queue.idle();
+  const secondDelay = delayOf();
+  check('Retry', 'Backoff doubles each attempt', firstDelay >= 30 && firstDelay < 60 && secondDelay >= 60 && secondDelay < 120,
+    { firstDelay, secondDelay });
+
+  await sleep(70);
+  await queue.idle();
+  stored = queue.getJob(broken.id);
+  check('Dead letter', 'Job is dead after its last attempt', stored.status === 'dead' && stored.attempts === 3, stored);
+  const deadNotice = notified.find(n => n.job.id === broken.id);
+  check('Dead letter', 'The chat is told how to retry',
+    deadNotice && /always broken/.test(deadNotice.message) && deadNotice.message.includes(`queue retry ${broken.id}`),
+    deadNotice && deadNotice.message);
+  check('Dead letter', 'Dead jobs are listed', queue.listJobs({ status: 'dead' }).some(j => j.id === broken.id));
+
+  // Non-retryable errors skip the retries
+  queue.registerHandler('fatal_test', async () => {
+    const error = new Error('bad input');
+    error.retryable = false;
+    throw error;
+  }, { maxAttempts: 5 });
+  const fatal = queue.enqueue('fatal_test', {});
+  await queue.idle();
+  stored = queue.getJob(fatal.id);
+  check('Dead letter', 'retryable=false dead-letters straight away', stored.status === 'dead' && stored.attempts === 1, stored);
+
+  // Manual retry
+  queue.registerHandler('broken_test', async () => 'Fixed now', { maxAttempts: 3 });
+  const retried = queue.retry(broken.id);
+  check('Retry', 'retry() re-queues a dead job with fresh attempts',
+    retried && retried.status !== 'dead' && retried.attempts <= 1 && !retried.finishedAt, retried);
+  await queue.idle();
+  check('Retry', 'The retried job runs', queue.getJob(broken.id).status === 'completed');
+  check('Retry', 'Queued or running jobs cannot be retried', queue.retry(queue.enqueue('nohandler_test', {}).id) === null);
+  check('Retry', 'Completed jobs cannot be retried', queue.retry(broken.id) === null && queue.getJob(broken.id).status === 'completed');
+  check('Retry', 'Unknown jobs cannot be retried', queue.retry('nope') === null);
+}
+
+// ============================================================================
+// Cancelling and restarts
+// ============================================================================
+
+async function testCancelAndRecovery() {
+  printHeader('Cancelling and Restarts');
+
+  const queue = createQueue();
+  const notified = [];
+  queue.setNotifier(async (job, message) => { notified.push(message); });
+
+  const gate = deferred();
+  queue.registerHandler('cancel_test', async () => { await gate.promise; return 'should not be sent'; });
+  const job = queue.enqueue('cancel_test', {}, { chatId: CHAT });
+  check('Cancel', 'Job is running', queue.getJob(job.id).status === 'running');
+
+  const cancelled = await queue.cancelTask(job.id);
+  gate.resolve();
+  await queue.idle();
+  check('Cancel', 'Running job is cancelled', cancelled && queue.getJob(job.id).status === 'cancelled');
+  check('Cancel', 'A cancelled job keeps its status when the handler returns', queue.getJob(job.id).status === 'cancelled');
+  check('Cancel', 'No result is sent for a cancelled job', notified.length === 0, notified);
+
+  // Simulate a crash: jobs left "running" in the database
+  const crashed = createQueue();
+  const interrupted = crashed.enqueue('recover_test', { name: 'interrupted' });
+  const exhausted = crashed.enqueue('recover_test', { name: 'exhausted' }, { maxAttempts: 1 });
+  crashed._update(interrupted.id, { status: 'running', attempts: 1 });
+  crashed._update(exhausted.id, { status: 'running', attempts: 1 });
+
+  const restarted = createQueue();
+  const recovered = restarted.start();
+  restarted.stop();
+  check('Restart', 'start() re-queues interrupted jobs', recovered === 1 && restarted.getJob(interrupted.id).status === 'queued',
+    { recovered, status: restarted.getJob(interrupted.id).status });
+  check('Restart', 'Interrupted jobs say why', restarted.getJob(interrupted.id).lastError === 'Interrupted by restart');
+  check('Restart', 'Jobs out of attempts are dead-lettered', restarted.getJob(exhausted.id).status === 'dead');
+
+  // Claude Code sessions use the session ID, so cancelling by session works
+  const sessionQueue = createQueue();
+  const progress = [];
+  sessionQueue.registerHandler('session_test', async (task, { sendProgress }) => {
+    await sendProgress(`working on ${task.params.task}`);
+  });
+  const taskId = await sessionQueue.addTask('session_test', { sessionId: 'cc_session_42', task: 'fix lint' }, {
+    sendProgress: (message) => progress.push(message),
+    chatId: CHAT
+  });
+  await sessionQueue.idle();
+  check('addTask', 'Session ID is the job ID', taskId === 'cc_session_42', taskId);
+  check('addTask', 'In-process sendProgress reaches the handler', progress[0] === 'working on fix lint', progress);
+}
+
+// ============================================================================
+// Job types owned by skills and the scheduler
+// ============================================================================
+
+async function testJobTypes() {
+  printHeader('Overnight, Deploy and Report Jobs');
+
+  const notified = [];
+  taskQueue.setNotifier(async (job, message) => { notified.push({ job, message }); });
+
+  // Overnight tasks are due at 2 AM
+  const overnight = new OvernightSkill();
+  await overnight.initialize();
+  // Task parsing uses the AI when configured; pin it for the test
+  overnight.parseTask = async (description) => ({
+    action: /tests/.test(description) ? 'run_tests' : 'update_deps',
+    repo: overnight._extractRepoName(description),
+    target: null,
+    details: description
+  });
+  const queued = await run(overnight, 'tonight, run tests in armora');
+  const nightly = taskQueue.listJobs({ type: 'nightly_task', userId: CHAT })[0];
+  const dueAt = nightly && new Date(nightly.runAfter);
+  check('Overnight', '"tonight <task>" queues a nightly_task job', queued.success && nightly && nightly.status === 'queued', queued);
+  check('Overnight', 'The job is due at 2 AM', dueAt && dueAt.getHours() === 2 && dueAt > new Date(), dueAt);
+  check('Overnight', 'The repo is recorded for per-repo limits', nightly && nightly.repo === 'armora', nightly && nightly.repo);
+
+  const shown = await run(overnight, 'my queue');
+  check('Overnight', '"my queue" lists the job', shown.message.includes('run tests in armora') && shown.message.includes(nightly.id), shown.message);
+  check('Overnight', 'Stats come from the queue', overnight.getStats().queued === 1, overnight.getStats());
+
+  // Make it due now and let the queue run it
+  taskQueue._update(nightly.id, { run_after: Date.now() });
+  taskQueue.processNext();
+  await taskQueue.idle();
+  const done = taskQueue.getJob(nightly.id);
+  check('Overnight', 'The job runs through the skill', done.status === 'completed', done);
+  check('Overnight', 'The result goes to the chat',
+    notified.some(n => n.job.id === nightly.id && /Tests queued for armora/.test(n.message)), notified.map(n => n.message));
+
+  await run(overnight, 'tonight, update dependencies in giquina');
+  const cleared = await run(overnight, 'clear queue');
+  check('Overnight', '"clear queue" cancels queued jobs', /Cleared 1 task/.test(cleared.message) &&
+    taskQueue.listJobs({ type: 'nightly_task', status: 'queued' }).length === 0, cleared.message);
+
+  // Confirmed deploys are queued per repo and dead-lettered on failure
+  const remote = new RemoteExecSkill();
+  await remote.initialize();
+  const deployed = [];
+  remote.executeDeployment = async (pending) => {
+    deployed.push(pending);
+    return pending.repo === 'broken-app'
+      ? remote.error('❌ *Deployment Failed: broken-app*')
+      : remote.success(`🚀 *Deployment Complete: ${pending.repo}*`);
+  };
+
+  const confirmId = remote.createPendingConfirmation({
+    action: 'deploy', repo: 'armora', projectPath: '/tmp/armora', isProduction: false,
+    context: { userId: CHAT, chatId: CHAT, platform: 'telegram', sendProgress: () => {} }
+  });
+  const confirmed = await remote.confirmPending(confirmId, {});
+  check('Deploy', 'Confirming queues the deploy', confirmed.success && /queued \(job /.test(confirmed.message), confirmed.message);
+  await taskQueue.idle();
+  const deployJob = taskQueue.listJobs({ type: 'deploy' })[0];
+  check('Deploy', 'The deploy job is high priority with the repo set',
+    deployJob.priority === PRIORITIES.high && deployJob.repo === 'armora', deployJob);
+  check('Deploy', 'The deploy runs and reports to the chat', deployJob.status === 'completed' &&
+    notified.some(n => n.job.id === deployJob.id && /Deployment Complete: armora/.test(n.message)));
+  check('Deploy', 'Only plain data is stored, not callbacks', deployed[0].context.sendProgress === undefined &&
+    !('context' in deployJob.params), deployed[0]);
+
+  const failId = remote.createPendingConfirmation({
+    action: 'deploy', repo: 'broken-app', projectPath: '/tmp/broken-app', isProduction: true,
+    context: { userId: CHAT, chatId: CHAT }
+  });
+  await remote.confirmPending(failId, {});
+  await taskQueue.idle();
+  const failed = taskQueue.listJobs({ type: 'deploy' }).find(j => j.repo === 'broken-app');
+  check('Deploy', 'A failed deploy is dead-lettered without retrying', failed.status === 'dead' && failed.attempts === 1, failed);
+
+  // Reports run scheduler handlers
+  const scheduler = new Scheduler(null, null);
+  scheduler.registerHandler('evening-report', async () => '🌙 End of day summary');
+  const report = scheduler.queueReport('evening-report', {}, { chatId: CHAT, platform: 'telegram' });
+  await taskQueue.idle();
+  check('Report', 'queueReport runs the report handler', taskQueue.getJob(report.id).status === 'completed');
+  check('Report', 'The report is sent to the chat', notified.some(n => n.job.id === report.id && n.message === '🌙 End of day summary'));
+  check('Report', 'Unknown reports are refused', scheduler.queueReport('health-check') === null);
+
+  taskQueue.setNotifier(null);
+}
+
+// ============================================================================
+// queue skill
+// ============================================================================
+
+async function testQueueSkill() {
+  printHeader('queue Skill');
+
+  const skill = new QueueSkill();
+
+  const status = await run(skill, 'queue status');
+  check('Skill', 'queue status shows counts', status.success && /Running: 0\/2/.test(status.message) &&
+    /Dead: \d+/.test(status.message), status.message);
+
+  const dead = await run(skill, 'queue dead');
+  // Left dead by the restart test; no handler, so a retry stays queued
+  const deadJob = taskQueue.listJobs({ status: 'dead', type: 'recover_test' })[0];
+  check('Skill', 'queue dead lists failed jobs with the error', dead.message.includes(deadJob.id) &&
+    /Error: /.test(dead.message), dead.message);
+
+  const retried = await run(skill, `queue retry ${deadJob.id}`);
+  check('Skill', 'queue retry re-queues the job', retried.success && taskQueue.getJob(deadJob.id).status === 'queued', retried.message);
+  await taskQueue.idle();
+
+  const missing = await run(skill, 'queue retry nope123');
+  check('Skill', 'Unknown IDs get an error', !missing.success && /No job with ID nope123/.test(missing.message), missing.message);
+
+  const noArg = await run(skill, 'queue retry');
+  check('Skill', 'Missing ID is a usage error', !noArg.success && /queue retry <id>/.test(noArg.message), noArg.message);
+
+  const doneJob = taskQueue.listJobs({ status: 'completed' })[0];
+  const rerun = await run(skill, `queue retry ${doneJob.id}`);
+  check('Skill', 'Completed jobs are not run again', !rerun.success && /already completed/.test(rerun.message) &&
+    taskQueue.getJob(doneJob.id).status === 'completed', rerun.message);
+
+  const waiting = taskQueue.enqueue('nohandler_test', { description: 'waiting job' }, { runAt: Date.now() + 3600000 });
+  const listed = await run(skill, 'queue status');
+  check('Skill', 'Queued jobs show when they are due', listed.message.includes(waiting.id) && /due /.test(listed.message), listed.message);
+
+  const cancelled = await run(skill, `queue cancel ${waiting.id}`);
+  check('Skill', 'queue cancel cancels the job', cancelled.success && taskQueue.getJob(waiting.id).status === 'cancelled', cancelled.message);
+  const again = await run(skill, `queue cancel ${waiting.id}`);
+  check('Skill', 'Finished jobs cannot be cancelled', !again.success, again.message);
+
+  // Routing: queue commands win over overnight's "queue <task>"
+  const registry = new SkillRegistry();
+  registry.register(new OvernightSkill());
+  registry.register(skill);
+  const routed = [];
+  registry.on('beforeExecute', (event) => routed.push(event.skill));
+  await registry.route('queue status', { userId: CHAT, chatId: CHAT });
+  await registry.route('queue: review PRs in armora', { userId: CHAT, chatId: CHAT });
+  check('Routing', '"queue status" goes to the queue skill', routed[0] === 'queue', routed);
+  check('Routing', '"queue <task>" still goes to overnight', routed[1] === 'overnight', routed);
+
+  check('Permissions', 'retry and cancel need dev', skill.commands.filter(c => c.permission === 'dev').map(c => c.command).join(',') ===
+    'queue retry,queue cancel');
+  check('Permissions', 'retry and cancel ask for confirmation',
+    skill.isDestructive('queue retry k3j9x2ab') && skill.isDestructive('queue cancel k3j9x2ab') && !skill.isDestructive('queue status'));
+}
+
+/**
+ * Print final test summary
+ */
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} Task Queue Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await testStorage();
+    await testOrdering();
+    await testRetries();
+    await testCancelAndRecovery();
+    await testJobTypes();
+    await testQueueSkill();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,330 @@
+/**
+ * VAT Test Suite
+ *
+ * Tests for lib/vat and VAT in the skills: supplier VAT numbers and rates
+ * kept from receipts, VAT lines on invoices from a company the deadlines
+ * skill marks as VAT registered, and "vat summary <company> <period>"
+ * giving the boxes of a VAT return from issued invoices and the expense
+ * ledger.
+ *
+ * Run with: node 02-bot/tests/vat.test.js
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+
+// Isolated SQLite databases and chat registry
+process.env.CLAWDBOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clawd-vat-'));
+process.env.CHAT_REGISTRY_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'chat-registry.json');
+process.env.FX_FALLBACK_FILE = path.join(process.env.CLAWDBOT_DATA_DIR, 'no-fallback-rates.json');
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.ACCESS_DEFAULT_ROLE;
+delete process.env.TIMEZONE;
+
+const USER = '750000001';
+process.env.ACCESS_OWNERS = USER;
+
+const db = require('../lib/database');
+const memory = require('../memory/memory-manager');
+const vat = require('../lib/vat');
+const receiptProcessor = require('../lib/actions/receipt-processor');
+const registry = require('../skills/skill-registry');
+const ReceiptsSkill = require('../skills/receipts');
+const InvoicesSkill = require('../skills/invoices');
+const DeadlinesSkill = require('../skills/deadlines');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+// Test result symbols
+const PASS = `${colors.green}[PASS]${colors.reset}`;
+const FAIL = `${colors.red}[FAIL]${colors.reset}`;
+const INFO = `${colors.cyan}[INFO]${colors.reset}`;
+
+// Test results tracker
+const results = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  details: []
+};
+
+/**
+ * Print a section header
+ */
+function printHeader(title) {
+  console.log('\n' + colors.bright + colors.cyan + '='.repeat(60) + colors.reset);
+  console.log(colors.bright + `  ${title}` + colors.reset);
+  console.log(colors.cyan + '='.repeat(60) + colors.reset + '\n');
+}
+
+/**
+ * Log a test result
+ */
+function logResult(category, testName, status, message = '') {
+  results.total++;
+
+  let symbol;
+  if (status === 'pass') {
+    results.passed++;
+    symbol = PASS;
+  } else {
+    results.failed++;
+    symbol = FAIL;
+  }
+
+  results.details.push({ category, testName, status, message });
+  console.log(`  ${symbol} ${testName}${message ? ': ' + message : ''}`);
+}
+
+/**
+ * Record a pass/fail from a boolean
+ */
+function check(category, testName, condition, detail) {
+  logResult(category, testName, condition ? 'pass' : 'fail', condition ? '' : JSON.stringify(detail));
+}
+
+const receipts = new ReceiptsSkill({ memory });
+const invoices = new InvoicesSkill({ memory });
+const deadlines = new DeadlinesSkill({ memory });
+registry.register(receipts);
+registry.register(invoices);
+registry.register(deadlines);
+
+// GQ Cars is VAT registered for these tests; the other companies are not
+deadlines.companies.GQCARS.vatRegistered = true;
+deadlines.companies.GQCARS.vatNumber = 'GB987654321';
+
+// No network in tests: one pound is 1.25 euros
+db.saveFxRates('GBP', { EUR: 1.25 }, { date: '2026-09-01', source: 'test' });
+
+function as(userId, extra = {}) {
+  return { userId, from: userId, chatId: userId, platform: 'telegram', ...extra };
+}
+
+function invoiceFrom(result) {
+  const match = String(result.message || '').match(/INV-\d{6}-\d{3}/);
+  return match ? db.getInvoice(match[0]) : null;
+}
+
+/**
+ * Mark an invoice as sent on a given day
+ */
+function issue(invoice, date) {
+  db.updateInvoiceStatus(invoice.id, 'sent');
+  db.getDb().prepare('UPDATE invoices SET created_at = ? WHERE id = ?').run(`${date} 10:00:00`, invoice.id);
+}
+
+// ============================================================================
+// lib/vat
+// ============================================================================
+
+function testHelpers() {
+  printHeader('VAT Helpers');
+
+  check('Helpers', 'VAT number spaces and label removed', vat.normaliseVatNumber('VAT No: GB 123 4567 89') === 'GB123456789',
+    vat.normaliseVatNumber('VAT No: GB 123 4567 89'));
+  check('Helpers', 'Digits alone are taken as UK', vat.normaliseVatNumber('123456789') === 'GB123456789');
+  check('Helpers', 'EU VAT number kept', vat.normaliseVatNumber('FR 12 345678901') === 'FR12345678901');
+  check('Helpers', 'Not a VAT number', vat.normaliseVatNumber('GB 12345') === null && vat.normaliseVatNumber('Not stated') === null &&
+    vat.normaliseVatNumber(null) === null);
+
+  check('Helpers', 'VAT in a gross amount', vat.vatFromGross(60, 20) === 10 && vat.vatFromGross(10.5, 5) === 0.5);
+
+  const withVat = vat.invoiceVat(1500, 20);
+  check('Helpers', 'Invoice VAT added to the net amount',
+    withVat.netAmount === 1500 && withVat.vatRate === 20 && withVat.vatAmount === 300 && withVat.amount === 1800, withVat);
+  const withoutVat = vat.invoiceVat(1500, null);
+  check('Helpers', 'No VAT: the amount is the total', withoutVat.vatAmount === null && withoutVat.amount === 1500, withoutVat);
+
+  const gq = vat.getCompanyVat('gqcars');
+  check('Helpers', 'Registration from the deadlines skill',
+    gq && gq.registered && gq.vatNumber === 'GB987654321' && gq.name === 'GQ Cars Ltd', gq);
+  check('Helpers', 'Unregistered company', vat.getCompanyVat('GMH').registered === false);
+  check('Helpers', 'Unknown company', vat.getCompanyVat('ACME') === null);
+}
+
+// ============================================================================
+// Receipts
+// ============================================================================
+
+async function testReceipts() {
+  printHeader('Receipts');
+
+  receipts.pendingReceipts.set(USER, {
+    merchant_name: 'Shell', receipt_date: '2026-08-14', currency: 'GBP', total: 60, subtotal: 50, tax: 10,
+    vat_rate: 20, supplier_vat_number: 'GB 123 4567 89', category: 'Fuel', extraction_confidence: 0.9, imageUrl: null
+  });
+  const confirmed = await registry.route('confirm GQCARS', as(USER));
+  const shell = db.getExpense(parseInt((confirmed.message.match(/#(\d+)/) || [])[1], 10));
+  check('Receipts', 'VAT rate and supplier VAT number saved',
+    shell && shell.vat_rate === 20 && shell.supplier_vat_number === 'GB123456789' && shell.vat_amount === 10, shell);
+
+  const message = receipts.formatConfirmationMessage({
+    merchant_name: 'Shell', receipt_date: '2026-08-14', currency: 'GBP', total: 60, tax: 10, vat_rate: 20,
+    supplier_vat_number: 'GB123456789', category: 'Fuel', extraction_confidence: 0.9
+  });
+  check('Receipts', 'Confirmation shows the rate and VAT number',
+    /VAT: GBP 10\.00 \(20%\)/.test(message) && /Supplier VAT No: GB123456789/.test(message), message);
+
+  const record = receiptProcessor.buildExpenseRecord(
+    { vendor: 'Kwik Fit', amount: 240, currency: 'GBP', vatRate: '20%', supplierVatNumber: 'gb987 6543 21' },
+    { userId: USER, company: 'GQCARS' }
+  );
+  check('Receipts', 'Receipt processor works VAT out from the rate',
+    record.vat === 40 && record.vatRate === 20 && record.supplierVatNumber === 'GB987654321', record);
+}
+
+// ============================================================================
+// Invoices
+// ============================================================================
+
+let issued = [];
+
+async function testInvoices() {
+  printHeader('Invoices');
+
+  const registered = await registry.route('invoice create "Acme Ltd" 1500 from GQCARS', as(USER));
+  const acme = invoiceFrom(registered);
+  check('Invoices', 'VAT-registered company: net, VAT and total',
+    acme && acme.company === 'GQCARS' && acme.net_amount === 1500 && acme.vat_rate === 20 && acme.vat_amount === 300 && acme.amount === 1800,
+    acme || registered.message);
+  check('Invoices', 'Message shows the VAT lines',
+    /Net: GBP 1500\.00/.test(registered.message) && /VAT \(20%\): GBP 300\.00/.test(registered.message) &&
+    /Total: GBP 1800\.00/.test(registered.message) && /From: GQ Cars Ltd/.test(registered.message), registered.message);
+
+  const inChat = await registry.route('invoice create Bolt 100 EUR due 30/09/2026', as(USER, { autoCompany: 'GQCARS' }));
+  const bolt = invoiceFrom(inChat);
+  check('Invoices', 'Company of the chat issues it',
+    bolt && bolt.company === 'GQCARS' && bolt.vat_amount === 20 && bolt.amount === 120 && bolt.currency === 'EUR' &&
+    bolt.due_date === '2026-09-30', bolt || inChat.message);
+
+  const notRegistered = await registry.route('invoice create "Acme Ltd" 500 from GMH', as(USER));
+  const gmh = invoiceFrom(notRegistered);
+  check('Invoices', 'Company not VAT registered: no VAT',
+    gmh && gmh.company === 'GMH' && gmh.vat_amount === null && gmh.amount === 500 && /Amount: GBP 500\.00/.test(notRegistered.message),
+    gmh || notRegistered.message);
+
+  const noCompany = invoiceFrom(await registry.route('invoice create Someone 50', as(USER)));
+  check('Invoices', 'No company: as before', noCompany && noCompany.company === null && noCompany.amount === 50, noCompany);
+
+  const unknown = await registry.route('invoice create Someone 50 from ACME', as(USER));
+  check('Invoices', 'Unknown company is refused', !unknown.success && /Unknown company: ACME/.test(unknown.message), unknown.message);
+
+  const status = await registry.route(`invoice status ${acme.invoice_number}`, as(USER));
+  check('Invoices', 'Status shows the VAT lines', /VAT \(20%\): GBP 300\.00/.test(status.message) && /From: GQCARS/.test(status.message), status.message);
+
+  const pdfPath = await invoices.generatePDF(acme);
+  const pdf = fs.readFileSync(pdfPath, 'utf8');
+  fs.unlinkSync(pdfPath);
+  check('Invoices', 'Invoice file is a VAT invoice with the VAT number',
+    /VAT INVOICE/.test(pdf) && /VAT No:\s+GB987654321/.test(pdf) && /VAT @ 20%:\s+GBP 300\.00/.test(pdf) && /AMOUNT DUE:\s+GBP 1800\.00/.test(pdf), pdf);
+
+  const draft = invoiceFrom(await registry.route('invoice create Draft 999 from GQCARS', as(USER)));
+  db.getDb().prepare('UPDATE invoices SET created_at = ? WHERE id = ?').run('2026-08-20 10:00:00', draft.id);
+
+  issue(acme, '2026-08-10');
+  issue(bolt, '2026-09-05');
+  issue(gmh, '2026-08-11');
+  issued = [acme, bolt, gmh];
+}
+
+// ============================================================================
+// VAT summary
+// ============================================================================
+
+async function testSummary() {
+  printHeader('VAT Summary');
+
+  db.saveExpense(USER, { merchant: 'Kwik Fit', date: '2026-09-12', grossAmount: 240, vatAmount: 40, category: 'Vehicle Maintenance', company: 'GQCARS' });
+  db.saveExpense(USER, { merchant: 'Insurer', date: '2026-07-01', grossAmount: 100, category: 'Insurance', company: 'GQCARS' });
+  db.saveExpense(USER, { merchant: 'Garage', date: '2026-10-01', grossAmount: 120, vatAmount: 20, category: 'Vehicle Maintenance', company: 'GQCARS' });
+
+  const vatReturn = await vat.buildVatReturn('GQCARS', { from: '2026-07-01', to: '2026-09-30' });
+  // Sales: 1500 + 100 EUR at 1.25 = 1580, VAT 300 + 16 = 316
+  // Purchases: Shell 50 + Kwik Fit 200 + Insurer 100 = 350, VAT 10 + 40 = 50
+  check('Summary', 'Boxes from invoices and expenses',
+    JSON.stringify(vatReturn.boxes) === JSON.stringify({ 1: 316, 2: 0, 3: 316, 4: 50, 5: 266, 6: 1580, 7: 350, 8: 0, 9: 0 }), vatReturn.boxes);
+  check('Summary', 'Drafts and other companies left out', vatReturn.invoices === 2 && vatReturn.expenses === 3, vatReturn);
+  check('Summary', 'VAT without a supplier VAT number counted',
+    vatReturn.withoutVatNumber.count === 1 && vatReturn.withoutVatNumber.vat === 40, vatReturn.withoutVatNumber);
+
+  const result = await registry.route('vat summary GQCARS Q3 2026', as(USER));
+  check('Summary', 'vat summary <company> <quarter>',
+    result.success && /VAT Return: GQCARS, Q3 2026/.test(result.message) && /Box 1 - VAT due on sales: £316\.00/.test(result.message) &&
+    /Box 5 - Net VAT to pay: £266\.00/.test(result.message) && /Box 6 - Total sales ex VAT: £1580\n/.test(result.message), result.message);
+  check('Summary', 'Missing VAT numbers are flagged', /1 expense\(s\) with £40\.00 VAT have no supplier VAT number/.test(result.message), result.message);
+
+  const reversed = await registry.route('vat summary Q3 2026 gqcars', as(USER));
+  check('Summary', 'Company can come last', reversed.success && /VAT Return: GQCARS, Q3 2026/.test(reversed.message), reversed.message);
+
+  db.saveExpense(USER, { merchant: 'Ryman', date: '2026-08-02', grossAmount: 12, vatAmount: 2, supplierVatNumber: 'GB123456789', category: 'Office Supplies', company: 'GMH' });
+  const gmh = await registry.route('vat summary GMH Q3 2026', as(USER));
+  check('Summary', 'More VAT paid than charged is reclaimed',
+    /Box 5 - Net VAT to reclaim: £2\.00/.test(gmh.message) && /Box 6 - Total sales ex VAT: £500\n/.test(gmh.message), gmh.message);
+  check('Summary', 'Unregistered company noted', /GMH is not VAT registered/.test(gmh.message), gmh.message);
+
+  const defaultPeriod = await registry.route('vat summary GQCARS', as(USER));
+  check('Summary', 'Last quarter by default', defaultPeriod.success && /VAT Return: GQCARS/.test(defaultPeriod.message), defaultPeriod.message);
+
+  const noCompany = await registry.route('vat summary Q3 2026', as(USER));
+  check('Summary', 'A company is needed', !noCompany.success && /Which company/.test(noCompany.message), noCompany.message);
+
+  const open = await registry.route('vat summary GQCARS until 30/9/2026', as(USER));
+  check('Summary', 'A period without a start is refused', !open.success && /has no start/.test(open.message), open.message);
+
+  const unclear = await registry.route('vat summary GQCARS 12/25/2026', as(USER));
+  check('Summary', 'Ambiguous period is asked about', unclear.needsClarification === true, unclear);
+
+  check('Summary', 'Invoices issued in the period', issued.every(invoice => db.getInvoice(invoice.id).status === 'sent'));
+}
+
+function printSummary() {
+  printHeader('Test Summary');
+
+  console.log(`  Total tests: ${results.total}`);
+  console.log(`  ${colors.green}Passed:${colors.reset} ${results.passed}`);
+  console.log(`  ${colors.red}Failed:${colors.reset} ${results.failed}`);
+
+  console.log('\n' + '='.repeat(60));
+  if (results.failed === 0) {
+    console.log(`${colors.green}${colors.bright}✓ All tests passed!${colors.reset}`);
+  } else {
+    console.log(`${colors.red}${colors.bright}✗ ${results.failed} test(s) failed.${colors.reset}`);
+  }
+  console.log('='.repeat(60) + '\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+  console.log(`\n${INFO} VAT Test Suite - ${new Date().toISOString()}`);
+
+  try {
+    await receipts.initialize();
+    await invoices.initialize();
+    testHelpers();
+    await testReceipts();
+    await testInvoices();
+    await testSummary();
+  } catch (error) {
+    console.error(`\n${FAIL} Unexpected error during tests:`, error);
+    process.exit(1);
+  }
+
+  printSummary();
+}
+
+// Run tests
+runTests();
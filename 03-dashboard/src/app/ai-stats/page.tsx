@@ -5,6 +5,7 @@ import { api, type StatusResponse } from '@/lib/api';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
+import { AIBudgetPanel } from '@/components/ai-budget-panel';
 import {
   BarChart3,
   RefreshCw,
@@ -226,6 +227,9 @@ export default function AIStatsPage() {
         </Card>
       </div>
 
+      {/* Budget & Burn Rate */}
+      <AIBudgetPanel />
+
       {/* Provider Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         {/* Groq */}
@@ -0,0 +1,273 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { api, type SchedulerJob, type SchedulerRun, type SchedulerRunStatus } from '@/lib/api';
+import { formatDate, truncate } from '@/lib/utils';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import {
+  CalendarClock,
+  History,
+  CheckCircle,
+  XCircle,
+  SkipForward,
+  AlertTriangle,
+  Loader2,
+  AlertCircle,
+  RefreshCw,
+  Pause,
+} from 'lucide-react';
+
+const STATUS_FILTERS: Array<SchedulerRunStatus | 'all'> = ['all', 'success', 'failed', 'skipped', 'interrupted', 'running'];
+
+const STATUS_BADGES: Record<SchedulerRunStatus, 'success' | 'error' | 'warning' | 'default' | 'outline'> = {
+  success: 'success',
+  failed: 'error',
+  interrupted: 'warning',
+  skipped: 'outline',
+  running: 'default',
+};
+
+function StatusIcon({ status }: { status: SchedulerRunStatus }) {
+  switch (status) {
+    case 'success':
+      return <CheckCircle className="h-4 w-4 text-green-600 dark:text-green-400" />;
+    case 'failed':
+      return <XCircle className="h-4 w-4 text-red-600 dark:text-red-400" />;
+    case 'skipped':
+      return <SkipForward className="h-4 w-4 text-gray-500 dark:text-gray-400" />;
+    case 'interrupted':
+      return <AlertTriangle className="h-4 w-4 text-yellow-600 dark:text-yellow-400" />;
+    default:
+      return <Loader2 className="h-4 w-4 animate-spin text-blue-600 dark:text-blue-400" />;
+  }
+}
+
+function formatDuration(ms: number | null): string {
+  if (ms === null) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.round(ms / 60000)}m`;
+}
+
+export default function SchedulerPage() {
+  const [jobs, setJobs] = useState<SchedulerJob[]>([]);
+  const [runs, setRuns] = useState<SchedulerRun[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selectedJob, setSelectedJob] = useState<number | null>(null);
+  const [statusFilter, setStatusFilter] = useState<SchedulerRunStatus | 'all'>('all');
+
+  useEffect(() => {
+    fetchRuns();
+  }, [selectedJob, statusFilter]);
+
+  async function fetchRuns() {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await api.getSchedulerRuns(
+        100,
+        selectedJob ?? undefined,
+        statusFilter === 'all' ? undefined : statusFilter
+      );
+      setJobs(data.jobs || []);
+      setRuns(data.runs || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch scheduler runs');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (loading && jobs.length === 0) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="flex flex-col items-center gap-3">
+          <Loader2 className="h-8 w-8 animate-spin text-blue-600 dark:text-blue-400" />
+          <p className="text-gray-600 dark:text-gray-400">Loading scheduler...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <Card className="max-w-md">
+          <CardHeader>
+            <div className="flex items-center gap-2">
+              <AlertCircle className="h-5 w-5 text-red-600 dark:text-red-400" />
+              <CardTitle>Error</CardTitle>
+            </div>
+            <CardDescription>{error}</CardDescription>
+          </CardHeader>
+        </Card>
+      </div>
+    );
+  }
+
+  const failedJobs = jobs.filter(job => job.lastError).length;
+
+  return (
+    <div className="space-y-6 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100">Scheduler</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            {jobs.length} jobs - {failedJobs} with a failed last run
+          </p>
+        </div>
+        <Button variant="outline" onClick={fetchRuns} disabled={loading}>
+          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Jobs */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center gap-2">
+            <CalendarClock className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+            <CardTitle>Jobs</CardTitle>
+          </div>
+          <CardDescription>Click a job to see only its runs</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {jobs.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-12 text-gray-400 dark:text-gray-500">
+              <CalendarClock className="h-12 w-12 mb-3 opacity-20" />
+              <p className="text-sm">No scheduled jobs</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-2 pr-4 font-medium">Job</th>
+                    <th className="py-2 pr-4 font-medium">Schedule</th>
+                    <th className="py-2 pr-4 font-medium">Catch-up</th>
+                    <th className="py-2 pr-4 font-medium">Last run</th>
+                    <th className="py-2 pr-4 font-medium">Next run</th>
+                    <th className="py-2 font-medium">Runs</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.map((job) => (
+                    <tr
+                      key={job.id}
+                      onClick={() => setSelectedJob(selectedJob === job.id ? null : job.id)}
+                      className={`border-b border-gray-100 dark:border-gray-800 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800/50 ${
+                        selectedJob === job.id ? 'bg-blue-50 dark:bg-blue-900/20' : ''
+                      }`}
+                    >
+                      <td className="py-2 pr-4">
+                        <div className="flex items-center gap-2">
+                          {!job.enabled && <Pause className="h-3 w-3 text-gray-400" />}
+                          <span className="font-medium text-gray-900 dark:text-gray-100">#{job.id} {job.name}</span>
+                        </div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">{job.handler}</div>
+                        {job.lastError && (
+                          <div className="text-xs text-red-600 dark:text-red-400 mt-1">{truncate(job.lastError, 80)}</div>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4 font-mono text-xs text-gray-700 dark:text-gray-300">
+                        {job.cron}
+                        <div className="font-sans text-gray-500 dark:text-gray-400">{job.timezone}</div>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <Badge variant="outline">{job.catchUp}</Badge>
+                      </td>
+                      <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">{job.lastRun ? formatDate(job.lastRun) : '-'}</td>
+                      <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">
+                        {job.enabled && job.nextRun ? formatDate(job.nextRun) : '-'}
+                      </td>
+                      <td className="py-2 text-gray-700 dark:text-gray-300">{job.runCount}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Run history */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between flex-wrap gap-3">
+            <div>
+              <div className="flex items-center gap-2">
+                <History className="h-5 w-5 text-purple-600 dark:text-purple-400" />
+                <CardTitle>Run History</CardTitle>
+              </div>
+              <CardDescription className="mt-1">
+                {selectedJob ? `Job #${selectedJob}` : 'All jobs'} - {runs.length} runs
+              </CardDescription>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {STATUS_FILTERS.map((status) => (
+                <button
+                  key={status}
+                  onClick={() => setStatusFilter(status)}
+                  className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                    statusFilter === status
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {status}
+                </button>
+              ))}
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {runs.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-12 text-gray-400 dark:text-gray-500">
+              <History className="h-12 w-12 mb-3 opacity-20" />
+              <p className="text-sm">No runs recorded</p>
+            </div>
+          ) : (
+            <div className="space-y-3 max-h-[700px] overflow-y-auto pr-2">
+              {runs.map((run) => (
+                <div
+                  key={run.id}
+                  className="p-4 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800"
+                >
+                  <div className="flex items-start gap-3">
+                    <div className="mt-0.5">
+                      <StatusIcon status={run.status} />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2 flex-wrap mb-1">
+                        <span className="font-medium text-sm text-gray-900 dark:text-gray-100">{run.job_name}</span>
+                        <Badge variant={STATUS_BADGES[run.status]}>{run.status}</Badge>
+                        {run.trigger_type !== 'cron' && <Badge variant="outline">{run.trigger_type}</Badge>}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        Started {formatDate(run.started_at)} - {formatDuration(run.duration_ms)}
+                        {run.scheduled_for && run.trigger_type === 'catch-up' && (
+                          <> - due {formatDate(run.scheduled_for)}</>
+                        )}
+                      </div>
+                      {run.error && (
+                        <p className="text-sm text-red-600 dark:text-red-400 mt-2 break-words">{run.error}</p>
+                      )}
+                      {run.output && (
+                        <p className="text-sm text-gray-700 dark:text-gray-300 mt-2 whitespace-pre-wrap break-words">
+                          {truncate(run.output, 300)}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
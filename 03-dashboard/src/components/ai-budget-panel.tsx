@@ -0,0 +1,142 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { api, type AIBudgetResponse, type AIBudgetLimit, type BudgetLevel } from '@/lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Wallet, Flame, Loader2, AlertCircle } from 'lucide-react';
+
+const LEVEL_BADGE: Record<BudgetLevel, { label: string; variant: 'success' | 'warning' | 'error' }> = {
+  ok: { label: 'Within budget', variant: 'success' },
+  soft: { label: 'Soft limit - cheaper AI', variant: 'warning' },
+  hard: { label: 'Hard limit - paid AI paused', variant: 'error' },
+};
+
+const LEVEL_BAR: Record<BudgetLevel, string> = {
+  ok: 'bg-green-500',
+  soft: 'bg-yellow-500',
+  hard: 'bg-red-500',
+};
+
+function formatAmount(value: number, metric: AIBudgetLimit['metric']) {
+  return metric === 'tokens' ? `${Math.round(value).toLocaleString()} tok` : `$${value.toFixed(2)}`;
+}
+
+function limitLabel(limit: AIBudgetLimit) {
+  const who = limit.scope === 'user' ? 'You' : limit.scope === 'chat' ? 'This chat' : limit.scopeId;
+  return `${who} · ${limit.period}`;
+}
+
+export function AIBudgetPanel() {
+  const [budget, setBudget] = useState<AIBudgetResponse | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    api.getAIBudget()
+      .then(setBudget)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to fetch budget'));
+  }, []);
+
+  if (error) {
+    return (
+      <Card>
+        <CardContent className="pt-6 flex items-center gap-2 text-sm text-red-600 dark:text-red-400">
+          <AlertCircle className="h-4 w-4" />
+          Budget unavailable: {error}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!budget) {
+    return (
+      <Card>
+        <CardContent className="pt-6 flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading budget...
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const burn = budget.overallBurnRate;
+  const badge = LEVEL_BADGE[budget.status];
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Wallet className="h-5 w-5 text-primary-600" />
+            <CardTitle>AI Budget</CardTitle>
+          </div>
+          <Badge variant={badge.variant}>{badge.label}</Badge>
+        </div>
+        <CardDescription>
+          Spend caps per user, chat and provider - set with &quot;ai budget set&quot;
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* Burn rate */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <p className="text-sm text-gray-500 dark:text-gray-400 flex items-center gap-1">
+              <Flame className="h-4 w-4 text-orange-500" /> Burn rate
+            </p>
+            <p className="text-xl font-semibold text-gray-900 dark:text-gray-100">${burn.perHour.toFixed(3)}/h</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Last hour</p>
+            <p className="text-xl font-semibold text-gray-900 dark:text-gray-100">${burn.lastHour.toFixed(3)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Month to date</p>
+            <p className="text-xl font-semibold text-gray-900 dark:text-gray-100">${burn.monthToDate.toFixed(2)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Projected month</p>
+            <p className="text-xl font-semibold text-gray-900 dark:text-gray-100">${burn.projectedMonth.toFixed(2)}</p>
+          </div>
+        </div>
+
+        {/* Limits */}
+        <div className="space-y-3">
+          {budget.limits.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No limits configured.</p>
+          )}
+          {budget.limits.map((limit) => {
+            const level = limit.level || 'ok';
+            const percent = Math.min(limit.percent || 0, 100);
+            return (
+              <div key={`${limit.scope}-${limit.scopeId}-${limit.period}-${limit.metric}`}>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="text-gray-700 dark:text-gray-300">
+                    {limitLabel(limit)}
+                    {limit.inherited && <span className="text-gray-400 dark:text-gray-500"> (default)</span>}
+                  </span>
+                  <span className="font-medium text-gray-900 dark:text-gray-100">
+                    {formatAmount(limit.used || 0, limit.metric)} / {formatAmount(limit.hard, limit.metric)}
+                  </span>
+                </div>
+                <div className="h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                  <div className={`h-full ${LEVEL_BAR[level]}`} style={{ width: `${percent}%` }} />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Today's spend by provider */}
+        {Object.keys(budget.providers.today).length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(budget.providers.today).map(([provider, usage]) => (
+              <Badge key={provider} variant="default">
+                {provider}: ${usage.cost.toFixed(3)} · {usage.calls} calls
+              </Badge>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
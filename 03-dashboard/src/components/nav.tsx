@@ -17,12 +17,14 @@ import {
   X,
   FileText,
   Activity,
-  Radio
+  Radio,
+  CalendarClock
 } from 'lucide-react';
 
 const navigation = [
   { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
   { name: 'Live', href: '/live', icon: Radio },
+  { name: 'Scheduler', href: '/scheduler', icon: CalendarClock },
   { name: 'Projects', href: '/projects', icon: FolderGit2 },
   { name: 'Skills', href: '/skills', icon: Sparkles },
   { name: 'Memory', href: '/memory', icon: MessageSquare },
@@ -46,6 +46,8 @@ export const api = {
   }),
   getLogs: (limit = 100) => fetchAPI<LogsResponse>(`/api/logs?limit=${limit}`),
   getActivity: (limit = 20) => fetchAPI<ActivityResponse>(`/api/activity?limit=${limit}`),
+  getAIBudget: (userId?: string) =>
+    fetchAPI<AIBudgetResponse>(`/api/ai/budget${userId ? `?userId=${encodeURIComponent(userId)}` : ''}`),
 
   // Live Agent Visibility
   getLiveState: () => fetchAPI<LiveStateResponse>('/api/live/state'),
@@ -55,6 +57,12 @@ export const api = {
     fetchAPI<LiveSessionsResponse>(`/api/live/sessions?limit=${limit}`),
   getLiveDeployments: (limit = 10, repo?: string) =>
     fetchAPI<LiveDeploymentsResponse>(`/api/live/deployments?limit=${limit}${repo ? `&repo=${repo}` : ''}`),
+
+  // Scheduler
+  getSchedulerRuns: (limit = 100, jobId?: number, status?: SchedulerRunStatus) =>
+    fetchAPI<SchedulerRunsResponse>(
+      `/api/scheduler/runs?limit=${limit}${jobId ? `&jobId=${jobId}` : ''}${status ? `&status=${status}` : ''}`
+    ),
 };
 
 // Response types
@@ -185,6 +193,53 @@ export interface ActivityResponse {
   }>;
 }
 
+// ── AI Budget Types ──
+
+export type BudgetLevel = 'ok' | 'soft' | 'hard';
+
+export interface AIBudgetLimit {
+  scope: 'user' | 'chat' | 'provider';
+  scopeId: string;
+  period: 'daily' | 'monthly';
+  metric: 'cost' | 'tokens';
+  hard: number;
+  soft: number;
+  source: 'db' | 'env';
+  inherited?: boolean;
+  used?: number;
+  percent?: number;
+  level?: BudgetLevel;
+}
+
+export interface AIBurnRate {
+  lastHour: number;
+  last24h: number;
+  perHour: number;
+  monthToDate: number;
+  projectedMonth: number;
+  tokensLast24h: number;
+}
+
+export interface AIProviderUsage {
+  cost: number;
+  tokens: number;
+  calls: number;
+}
+
+export interface AIBudgetResponse {
+  success: boolean;
+  userId: string;
+  status: BudgetLevel;
+  limits: AIBudgetLimit[];
+  burnRate: AIBurnRate;
+  overallBurnRate: AIBurnRate;
+  providers: {
+    today: Record<string, AIProviderUsage>;
+    month: Record<string, AIProviderUsage>;
+  };
+  configuredLimits: AIBudgetLimit[];
+}
+
 // ── Live Agent Visibility Layer Types ──
 
 export interface LiveAgent {
@@ -309,3 +364,45 @@ export interface LiveDeploymentsResponse {
   count: number;
   deployments: LiveDeployment[];
 }
+
+// ── Scheduler Types ──
+
+export type SchedulerRunStatus = 'running' | 'success' | 'failed' | 'skipped' | 'interrupted';
+
+export type CatchUpPolicy = 'once' | 'skip' | 'all';
+
+export interface SchedulerRun {
+  id: number;
+  job_id: number | null;
+  job_name: string;
+  handler: string;
+  trigger_type: 'cron' | 'manual' | 'catch-up';
+  scheduled_for: string | null;
+  started_at: string;
+  finished_at: string | null;
+  duration_ms: number | null;
+  status: SchedulerRunStatus;
+  output: string | null;
+  error: string | null;
+}
+
+export interface SchedulerJob {
+  id: number;
+  name: string;
+  handler: string;
+  cron: string;
+  timezone: string;
+  enabled: boolean;
+  catchUp: CatchUpPolicy;
+  lastRun: string | null;
+  nextRun: string | null;
+  runCount: number;
+  lastError: string | null;
+}
+
+export interface SchedulerRunsResponse {
+  success: boolean;
+  count: number;
+  runs: SchedulerRun[];
+  jobs: SchedulerJob[];
+}